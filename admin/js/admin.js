@@ -34,6 +34,9 @@ class AdminDashboard {
     // Initialize global authentication handler
     this.initializeGlobalAuthHandler();
     
+    // Scope API calls to the selected patient
+    this.initializePatientScope();
+    
     // Initialize dashboard-specific features if on dashboard page
     if (window.location.pathname.includes('dashboard')) {
       this.initializeDashboardFeatures();
@@ -969,6 +972,61 @@ class AdminDashboard {
     console.log('[Auth] Global authentication handler initialized');
   }
 
+  initializePatientScope() {
+    // Every data API is scoped per patient; send the selected patient with each API call
+    const originalFetch = window.fetch;
+    window.fetch = (resource, init = {}) => {
+      const patientId = localStorage.getItem('admin-patient-id');
+      if (patientId && typeof resource === 'string' && resource.startsWith('/api/')) {
+        const headers = new Headers(init.headers || {});
+        headers.set('X-Patient-Id', patientId);
+        init = { ...init, headers };
+      }
+      return originalFetch.call(window, resource, init);
+    };
+
+    this.loadPatientSelector();
+    // The shared header is re-rendered once templates load, so add the selector again
+    document.addEventListener('templates:loaded', () => this.loadPatientSelector());
+  }
+
+  async loadPatientSelector() {
+    try {
+      const response = await fetch('/api/admin/patients');
+      if (!response.ok) return;
+
+      const result = await response.json();
+      const patients = result.data?.patients || [];
+
+      // Single-patient deployments don't need a selector
+      const headerRight = document.querySelector('.header-right');
+      if (patients.length < 2 || !headerRight || document.getElementById('patient-selector')) return;
+
+      const selectedId = localStorage.getItem('admin-patient-id') || String(result.data.defaultPatientId);
+      const select = document.createElement('select');
+      select.id = 'patient-selector';
+      select.className = 'form-select';
+      select.setAttribute('aria-label', 'Select patient');
+
+      patients.forEach(patient => {
+        const option = document.createElement('option');
+        option.value = String(patient.id);
+        option.textContent = patient.preferredName || patient.name;
+        option.selected = option.value === selectedId;
+        select.appendChild(option);
+      });
+
+      select.addEventListener('change', () => {
+        localStorage.setItem('admin-patient-id', select.value);
+        window.location.reload();
+      });
+
+      headerRight.prepend(select);
+    } catch (error) {
+      console.error('Failed to load patients:', error);
+    }
+  }
+
   async loadUserInfo() {
     try {
       const response = await fetch('/api/auth/me', {
@@ -0,0 +1,202 @@
+/**
+ * Audit Log Page - JavaScript functionality
+ *
+ * Lists the audit log newest first with filters by action, date and target,
+ * and checks that the log's hash chain is intact. Owners only.
+ */
+
+import { Notification } from './components/components.js';
+
+class AuditLogViewer {
+  constructor() {
+    this.entries = [];
+    this.actions = {};
+    this.filters = {};
+    this.page = 1;
+    this.totalPages = 1;
+
+    this.initializeEventListeners();
+    this.loadEntries();
+  }
+
+  /**
+   * Initialize event listeners for the page
+   */
+  initializeEventListeners() {
+    document.getElementById('retry-loading')?.addEventListener('click', () => this.loadEntries());
+    document.getElementById('verify-chain-btn')?.addEventListener('click', () => this.verifyChain());
+
+    document.getElementById('audit-filters')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.applyFilters();
+    });
+    document.getElementById('clear-filters')?.addEventListener('click', () => {
+      document.getElementById('audit-filters').reset();
+      this.applyFilters();
+    });
+
+    document.getElementById('prev-page')?.addEventListener('click', () => this.goToPage(this.page - 1));
+    document.getElementById('next-page')?.addEventListener('click', () => this.goToPage(this.page + 1));
+
+    // Clicking a user shows only their entries
+    document.getElementById('audit-table-body')?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action="filter-user"]');
+      if (button) {
+        this.filters.userId = button.dataset.userId;
+        this.page = 1;
+        this.loadEntries();
+      }
+    });
+  }
+
+  applyFilters() {
+    this.filters = {
+      action: document.getElementById('filter-action').value,
+      from: document.getElementById('filter-from').value,
+      to: document.getElementById('filter-to').value,
+      targetId: document.getElementById('filter-target').value.trim()
+    };
+    this.page = 1;
+    this.loadEntries();
+  }
+
+  goToPage(page) {
+    if (page < 1 || page > this.totalPages) return;
+    this.page = page;
+    this.loadEntries();
+  }
+
+  /**
+   * Load one page of entries matching the filters
+   */
+  async loadEntries() {
+    const errorState = document.getElementById('audit-error');
+    try {
+      const params = new URLSearchParams({ page: this.page });
+      for (const [name, value] of Object.entries(this.filters)) {
+        if (value) params.set(name, value);
+      }
+
+      const response = await fetch(`/api/admin/audit?${params}`);
+      const result = await response.json();
+      if (!result.success) {
+        throw new Error(response.status === 403 ? 'Only owners can view the audit log' : result.error || 'Failed to load the audit log');
+      }
+
+      this.entries = result.data.entries;
+      this.totalPages = Math.max(result.data.pagination.totalPages, 1);
+      if (Object.keys(this.actions).length === 0) {
+        this.actions = result.data.actions;
+        this.renderActionOptions();
+      }
+      errorState.style.display = 'none';
+      this.renderTable();
+      this.renderPagination(result.data.pagination);
+    } catch (error) {
+      console.error('Error loading audit log:', error);
+      errorState.querySelector('.error-text').textContent = error.message;
+      errorState.style.display = 'flex';
+    }
+  }
+
+  renderActionOptions() {
+    const select = document.getElementById('filter-action');
+    select.innerHTML = '<option value="">All actions</option>' + Object.entries(this.actions).map(([action, label]) =>
+      `<option value="${this.escapeHtml(action)}">${this.escapeHtml(label)}</option>`
+    ).join('');
+  }
+
+  renderTable() {
+    const tbody = document.getElementById('audit-table-body');
+    if (this.entries.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="6">No entries match these filters</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = this.entries.map(entry => `
+      <tr>
+        <td>${this.escapeHtml(new Date(entry.occurredAt).toLocaleString())}</td>
+        <td>${this.renderUser(entry)}</td>
+        <td>${this.escapeHtml(entry.actionLabel)}</td>
+        <td>
+          ${entry.targetType ? `${this.escapeHtml(entry.targetType)} ${this.escapeHtml(entry.targetId || '')}` : ''}
+          ${entry.details ? `<div class="audit-target">${this.escapeHtml(this.describeDetails(entry.details))}</div>` : ''}
+        </td>
+        <td>${this.escapeHtml(entry.ipAddress || '')}</td>
+        <td title="${this.escapeHtml(entry.userAgent || '')}">${this.escapeHtml(this.shortUserAgent(entry.userAgent))}</td>
+      </tr>
+    `).join('');
+  }
+
+  /**
+   * The user as a button that filters by them; system entries show the job or script
+   */
+  renderUser(entry) {
+    if (!entry.userId) {
+      return this.escapeHtml(entry.actor || 'Unknown');
+    }
+    const name = entry.userName || entry.actor || `User ${entry.userId}`;
+    return `<button class="btn btn-ghost btn-sm" data-action="filter-user" data-user-id="${entry.userId}">${this.escapeHtml(name)}</button>`;
+  }
+
+  renderPagination(pagination) {
+    document.getElementById('audit-pagination-info').textContent =
+      `${pagination.total} entries${this.filters.userId ? ' for this user' : ''} · page ${pagination.page} of ${this.totalPages}`;
+    document.getElementById('prev-page').disabled = this.page <= 1;
+    document.getElementById('next-page').disabled = this.page >= this.totalPages;
+  }
+
+  describeDetails(details) {
+    return Object.entries(details)
+      .map(([name, value]) => `${name}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+      .join(', ');
+  }
+
+  shortUserAgent(userAgent) {
+    if (!userAgent) return '';
+    return userAgent.length > 40 ? `${userAgent.slice(0, 40)}…` : userAgent;
+  }
+
+  /**
+   * Check the hash chain and show the result above the table
+   */
+  async verifyChain() {
+    const status = document.getElementById('chain-status');
+    try {
+      const response = await fetch('/api/admin/audit/verify');
+      const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to verify the audit log');
+      }
+
+      const { valid, checked, firstInvalidId } = result.data;
+      status.classList.toggle('invalid', !valid);
+      status.textContent = valid
+        ? `✓ All ${checked} entries verified; the hash chain is intact`
+        : `⚠ Entry ${firstInvalidId} doesn't match the log's hash chain: it or an earlier entry was changed or removed`;
+      status.style.display = 'block';
+    } catch (error) {
+      console.error('Error verifying audit log:', error);
+      Notification.error('Failed to verify the audit log', {
+        description: error.message
+      });
+    }
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+// Initialize audit log viewer when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    window.auditLogViewer = new AuditLogViewer();
+  });
+} else {
+  window.auditLogViewer = new AuditLogViewer();
+}
+
+export default AuditLogViewer;
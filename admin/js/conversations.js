@@ -334,6 +334,14 @@ class ConversationsPage {
       overlay.addEventListener('click', () => this.hideTranscriptModal());
     }
 
+    // Export the open conversation; the content is re-rendered for each call, so delegate
+    document.getElementById('transcript-content')?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action="export-transcript"]');
+      if (button) {
+        this.exportTranscript(button.dataset.conversationId);
+      }
+    });
+
     // Close modal on Escape key
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Escape' && modal && modal.style.display !== 'none') {
@@ -761,12 +769,39 @@ class ConversationsPage {
     this.showTranscriptModal(content);
   }
 
+  /**
+   * Format the recap written after the call, shown above the call details
+   */
+  formatNarrative(narrative) {
+    if (!narrative) return '';
+
+    const list = (label, items, className) => (items && items.length > 0 ? `
+      <div class="narrative-list ${className}">
+        <label>${label}:</label>
+        <ul>${items.map(item => `<li>${this.escapeHtml(item)}</li>`).join('')}</ul>
+      </div>
+    ` : '');
+
+    return `
+      <div class="conversation-narrative">
+        <h4>Call Recap</h4>
+        <p class="narrative-text">${this.escapeHtml(narrative.narrative)}</p>
+        <div class="narrative-lists">
+          ${list('Topics', narrative.keyTopics, 'topics')}
+          ${list('Concerns', narrative.concerns, 'concerns')}
+          ${list('Requests', narrative.requests, 'requests')}
+        </div>
+      </div>
+    `;
+  }
+
   /**
    * Format transcript content for display
    */
   formatTranscript(data) {
     let html = `
       <div class="transcript-container">
+        ${this.formatNarrative(data.narrative)}
         <div class="conversation-header">
           <div class="conversation-meta">
             <div class="meta-item">
@@ -787,6 +822,35 @@ class ConversationsPage {
                 <span class="call-id">${data.callSid}</span>
               </div>
             ` : ''}
+            ${data.direction === 'outbound' ? `
+              <div class="meta-item">
+                <label>Direction:</label>
+                <span class="call-direction">Outbound check-in${data.checkIn?.label ? ` - ${this.escapeHtml(data.checkIn.label)}` : ''}${data.checkIn?.attemptNumber > 1 ? ` (attempt ${data.checkIn.attemptNumber})` : ''}</span>
+              </div>
+            ` : ''}
+            ${data.routingDecision ? `
+              <div class="meta-item">
+                <label>Routing:</label>
+                <span class="routing-decision" title="Rule: ${this.escapeHtml(data.routingDecision.ruleId)}">${this.escapeHtml(data.routingDecision.outcome)} - ${this.escapeHtml(data.routingDecision.reason || data.routingDecision.ruleId)}</span>
+              </div>
+            ` : ''}
+            ${(data.transfers || []).map(transfer => `
+              <div class="meta-item">
+                <label>Transfer:</label>
+                <span class="call-transfer">${transfer.attempts.map(attempt => `${this.escapeHtml(attempt.targetName)} (${this.escapeHtml(attempt.status)})`).join(' → ')}${{ failed: ' - back to companion', canceled: ' - caller hung up' }[transfer.status] || ''}</span>
+              </div>
+            `).join('')}
+          </div>
+          <div class="transcript-export">
+            <select class="form-select" id="export-format" aria-label="Export format">
+              <option value="pdf">PDF</option>
+              <option value="txt">Plain text</option>
+              <option value="json">JSON</option>
+            </select>
+            <label class="export-redact">
+              <input type="checkbox" id="export-redact"> Redact names
+            </label>
+            <button class="btn btn-secondary btn-sm" data-action="export-transcript" data-conversation-id="${data.id}">Export</button>
           </div>
         </div>
         
@@ -808,9 +872,20 @@ class ConversationsPage {
       `;
     }
 
-    // Add messages
-    if (data.messages && data.messages.length > 0) {
-      data.messages.forEach((message, _index) => {
+    // Add messages, with any guidance caregivers sent during the call in time order
+    const guidance = (data.guidance || []).map(entry => ({
+      role: 'guidance',
+      content: entry.message,
+      sentBy: entry.sentBy,
+      timestamp: entry.timestamp,
+      timestampFormatted: entry.timestampFormatted
+    }));
+    const timeline = guidance.length > 0
+      ? [...(data.messages || []), ...guidance].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      : data.messages;
+
+    if (timeline && timeline.length > 0) {
+      timeline.forEach((message, _index) => {
         // Use server-provided formatted timestamp if available
         let timestamp;
         if (message.timestampFormatted && message.timestampFormatted.time) {
@@ -824,6 +899,19 @@ class ConversationsPage {
           timestamp = new Date(message.timestamp).toLocaleTimeString();
         }
         
+        if (message.role === 'guidance') {
+          html += `
+            <div class="message guidance-message">
+              <div class="message-header">
+                <span class="role-badge guidance">Guidance from ${this.escapeHtml(message.sentBy)}</span>
+                <span class="timestamp">${timestamp}</span>
+              </div>
+              <div class="message-content">${this.escapeHtml(message.content)}</div>
+            </div>
+          `;
+          return;
+        }
+
         const roleClass = message.role === 'user' ? 'user-message' : 'assistant-message';
         const roleLabel = message.role === 'user' ? 'Patient' : 'AI Companion';
         
@@ -849,6 +937,21 @@ class ConversationsPage {
   }
 
 
+  /**
+   * Download the conversation as a PDF, text or JSON transcript. A navigation
+   * doesn't carry the X-Patient-Id header, so the patient goes in the query.
+   */
+  exportTranscript(conversationId) {
+    const params = new URLSearchParams({
+      format: document.getElementById('export-format')?.value || 'pdf',
+      redact: document.getElementById('export-redact')?.checked ? 'true' : 'false'
+    });
+    const patientId = localStorage.getItem('admin-patient-id');
+    if (patientId) params.set('patientId', patientId);
+
+    window.location.href = `/api/conversations/${encodeURIComponent(conversationId)}/export?${params}`;
+  }
+
   /**
    * Show transcript modal with content
    */
@@ -11,6 +11,9 @@ class Dashboard {
     this.refreshInterval = null;
     this.currentTimeRange = '7';
     this.lastUpdateTime = null;
+    this.liveSource = null;
+    this.liveCalls = new Map(); // callSid -> { call, lines }
+    this.guidanceDrafts = new Map(); // callSid -> unsent guidance text
     
     this.init();
   }
@@ -20,6 +23,8 @@ class Dashboard {
     this.setupEventListeners();
     this.loadDashboardData();
     this.setupAutoRefresh();
+    this.setupLiveCalls();
+    this.setupDigestPreview();
   }
   
   setupEventListeners() {
@@ -58,6 +63,7 @@ class Dashboard {
         this.updateOverviewCards(data.data);
         this.updateRecentConversations(data.data.recentConversations || []);
         this.updateCriticalAlerts(data.data.alerts || []);
+        await this.loadCaregiverAlerts();
         this.updateCareIndicators(data.data);
         this.updateTimezoneInfo(data.timezone);
         await this.updateChart();
@@ -98,9 +104,6 @@ class Dashboard {
       avgComfortElement.innerHTML = `${comfortLevel}<span style="opacity: 0.4;">/10</span>`;
     }
     
-    // Update alert count (placeholder - would need to be added to admin API)
-    this.updateElement('alertCount', 0);
-    
     // Format and update last call time (placeholder)
     this.updateElement('lastCallTime', 'Recently active');
   }
@@ -175,6 +178,263 @@ class Dashboard {
     container.innerHTML = alertsHtml;
   }
   
+  async setupLiveCalls() {
+    try {
+      // Live transcripts are for owners and caregivers; others keep the panel hidden
+      const response = await fetch('/api/admin/live');
+      if (!response.ok) return;
+      const data = await response.json();
+      this.setLiveCalls(data.data.calls);
+    } catch (error) {
+      console.error('Error loading live calls:', error);
+      return;
+    }
+
+    document.getElementById('liveCallsPanel').style.display = 'block';
+
+    // EventSource can't send the patient header, so scope the stream in the URL
+    const patientId = localStorage.getItem('admin-patient-id');
+    this.liveSource = new EventSource(`/api/admin/live/stream${patientId ? `?patientId=${encodeURIComponent(patientId)}` : ''}`);
+    this.liveSource.addEventListener('snapshot', (event) => {
+      this.setLiveCalls(JSON.parse(event.data).calls);
+    });
+    this.liveSource.onmessage = (event) => this.handleLiveEvent(JSON.parse(event.data));
+  }
+
+  setLiveCalls(calls) {
+    this.liveCalls = new Map(calls.map(call => [call.callSid, {
+      call,
+      lines: call.transcript.map(line => ({ ...line }))
+    }]));
+    this.renderLiveCalls();
+  }
+
+  handleLiveEvent(event) {
+    if (event.type === 'call_started') {
+      this.liveCalls.set(event.callSid, { call: event.call, lines: [] });
+    } else if (event.type === 'call_ended') {
+      this.liveCalls.delete(event.callSid);
+      this.guidanceDrafts.delete(event.callSid);
+    } else {
+      const live = this.liveCalls.get(event.callSid);
+      if (!live) return;
+
+      const descriptions = {
+        function_call: () => `Used ${event.functionName}`,
+        interruption: () => 'Caller interrupted',
+        silence: () => `No response - ${event.action} (step ${event.stepIndex + 1})`
+      };
+      if (event.type === 'transcript') {
+        live.lines.push(event.line);
+      } else if (event.type === 'guidance') {
+        live.lines.push({ role: 'guidance', text: `Guidance from ${event.from}: ${event.message}`, timestamp: event.timestamp });
+      } else {
+        live.lines.push({ role: 'event', text: descriptions[event.type]?.() || event.type, timestamp: event.timestamp });
+      }
+      live.lines = live.lines.slice(-50);
+    }
+    this.renderLiveCalls();
+  }
+
+  renderLiveCalls() {
+    const panel = document.getElementById('liveCallsPanel');
+    const container = document.getElementById('liveCalls');
+    if (!panel || !container) return;
+
+    panel.classList.toggle('has-calls', this.liveCalls.size > 0);
+
+    if (this.liveCalls.size === 0) {
+      container.innerHTML = `
+        <div class="no-data-state">
+          <p>No calls in progress</p>
+        </div>
+      `;
+      return;
+    }
+
+    // Re-rendering replaces the guidance inputs, so keep focus on the one being typed in
+    const focusedCallSid = document.activeElement?.classList.contains('live-guidance-input')
+      ? document.activeElement.dataset.callSid
+      : null;
+
+    container.innerHTML = [...this.liveCalls.values()].map(({ call, lines }) => `
+      <div class="live-call">
+        <div class="live-call-header">
+          ${this.escapeHtml(call.patientName)} with ${this.escapeHtml(call.persona)}
+          <span class="live-call-meta">• ${call.direction === 'outbound' ? 'check-in call' : 'incoming call'} • started ${window.AdminUtils.timeAgo(call.startedAt)}</span>
+        </div>
+        <div class="live-transcript">
+          ${lines.map(line => this.renderLiveLine(call, line)).join('')}
+        </div>
+        <form class="live-guidance-form" data-call-sid="${this.escapeHtml(call.callSid)}">
+          <input type="text" class="form-input live-guidance-input" data-call-sid="${this.escapeHtml(call.callSid)}"
+                 maxlength="500" placeholder="Private guidance for the companion (not read aloud)">
+          <button type="submit" class="btn btn-secondary">Send guidance</button>
+        </form>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('.live-transcript').forEach(transcript => {
+      transcript.scrollTop = transcript.scrollHeight;
+    });
+
+    container.querySelectorAll('.live-guidance-form').forEach(form => {
+      const input = form.querySelector('.live-guidance-input');
+      input.value = this.guidanceDrafts.get(form.dataset.callSid) || '';
+      input.addEventListener('input', () => this.guidanceDrafts.set(form.dataset.callSid, input.value));
+      form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        this.sendCallGuidance(form.dataset.callSid, form);
+      });
+      if (form.dataset.callSid === focusedCallSid) {
+        input.focus();
+        input.setSelectionRange(input.value.length, input.value.length);
+      }
+    });
+  }
+
+  async sendCallGuidance(callSid, form) {
+    const input = form.querySelector('.live-guidance-input');
+    const button = form.querySelector('button');
+    const message = input.value.trim();
+    if (!message) return;
+
+    button.disabled = true;
+    try {
+      const response = await fetch(`/api/admin/live/${encodeURIComponent(callSid)}/guidance`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message })
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || 'Failed to send guidance');
+      }
+      // The guidance event from the stream adds it to the transcript
+      this.guidanceDrafts.delete(callSid);
+      input.value = '';
+    } catch (error) {
+      console.error('Error sending call guidance:', error);
+      this.showError(`Could not send guidance: ${error.message}`);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  renderLiveLine(call, line) {
+    if (line.role === 'event' || line.role === 'guidance') {
+      return `<div class="live-line ${line.role}">${this.escapeHtml(line.text)}</div>`;
+    }
+    const speaker = line.role === 'user' ? call.patientName : call.persona;
+    return `<div class="live-line"><span class="speaker">${this.escapeHtml(speaker)}:</span> ${this.escapeHtml(line.text)}</div>`;
+  }
+
+  setupDigestPreview() {
+    const periodSelect = document.getElementById('digestPeriod');
+    if (!periodSelect) return;
+
+    periodSelect.addEventListener('change', () => this.loadDigestPreview());
+    this.loadDigestPreview();
+  }
+
+  /**
+   * Show the selected digest in a sandboxed frame and point the PDF link at it
+   */
+  async loadDigestPreview() {
+    const period = document.getElementById('digestPeriod').value;
+    const frame = document.getElementById('digestPreview');
+    const patientId = localStorage.getItem('admin-patient-id');
+    const query = `period=${encodeURIComponent(period)}${patientId ? `&patientId=${encodeURIComponent(patientId)}` : ''}`;
+
+    // Plain link navigation doesn't carry X-Patient-Id, so the PDF link names the patient
+    document.getElementById('digestPdfLink').href = `/api/admin/digests/preview?${query}&format=pdf`;
+
+    try {
+      const response = await fetch(`/api/admin/digests/preview?${query}`);
+      if (!response.ok) {
+        throw new Error('Failed to load digest preview');
+      }
+      frame.srcdoc = await response.text();
+    } catch (error) {
+      console.error('Error loading digest preview:', error);
+      frame.srcdoc = '<p style="font-family: sans-serif; color: #6b7280;">The digest preview could not be loaded.</p>';
+    }
+  }
+
+  async loadCaregiverAlerts() {
+    try {
+      const response = await fetch('/api/admin/alerts?status=open');
+      const data = await response.json();
+
+      if (data.success) {
+        this.updateElement('alertCount', data.data.openCount);
+        this.updateCaregiverAlerts(data.data.alerts);
+      }
+    } catch (error) {
+      console.error('Error loading caregiver alerts:', error);
+    }
+  }
+
+  updateCaregiverAlerts(alerts) {
+    const container = document.getElementById('caregiver-alerts');
+    if (!container) return;
+
+    if (!alerts || alerts.length === 0) {
+      container.style.display = 'none';
+      container.innerHTML = '';
+      return;
+    }
+
+    container.style.display = 'block';
+
+    container.innerHTML = alerts.map(alert => {
+      const type = alert.severity === 'critical' ? 'error' : alert.severity;
+      const repeats = alert.occurrenceCount > 1 ? ` • happened ${alert.occurrenceCount} times` : '';
+      const sentTo = alert.deliveries.length > 0
+        ? `Sent to ${alert.deliveries.map(d => `${this.escapeHtml(d.recipient)} (${d.channel}${d.status === 'failed' ? ', failed' : ''})`).join(', ')}`
+        : 'No caregiver was notified';
+
+      return `
+        <div class="critical-alert ${type}">
+          <div class="alert-icon">
+            ${this.getAlertIcon(type)}
+          </div>
+          <div class="alert-content">
+            <h4>${this.escapeHtml(alert.title)}</h4>
+            <p>${this.escapeHtml(alert.message)}</p>
+            <div class="alert-action">${window.AdminUtils.timeAgo(alert.createdAt)}${repeats} • ${sentTo}</div>
+          </div>
+          <button class="btn btn-secondary acknowledge-btn" data-alert-id="${alert.id}">Acknowledge</button>
+        </div>
+      `;
+    }).join('');
+
+    container.querySelectorAll('.acknowledge-btn').forEach(button => {
+      button.addEventListener('click', () => this.acknowledgeAlert(button.dataset.alertId, button));
+    });
+  }
+
+  async acknowledgeAlert(alertId, button) {
+    button.disabled = true;
+    try {
+      const response = await fetch(`/api/admin/alerts/${alertId}/acknowledge`, { method: 'POST' });
+      if (!response.ok) {
+        throw new Error(response.status === 403 ? 'Only owners and caregivers can acknowledge alerts' : 'Could not acknowledge the alert');
+      }
+      await this.loadCaregiverAlerts();
+    } catch (error) {
+      console.error('Error acknowledging alert:', error);
+      button.disabled = false;
+      this.showError(error.message);
+    }
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+  
   updateCareIndicators(data) {
     const container = document.getElementById('careIndicators');
     if (!container) return;
@@ -452,6 +712,10 @@ class Dashboard {
     if (this.chart) {
       this.chart.destroy();
     }
+
+    if (this.liveSource) {
+      this.liveSource.close();
+    }
   }
 }
 
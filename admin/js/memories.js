@@ -5,6 +5,8 @@
  * - Statistics display and real-time updates
  * - Memory table with search, filtering, and pagination
  * - Add, edit, and delete memory operations
+ * - Review queue for memories the companion saved during calls
+ * - Revision history with restore, and recently deleted memories
  * - Modal dialogs for memory management
  * 
  * Integrates with existing admin components and maintains
@@ -19,6 +21,8 @@ import { Notification } from './components/components.js';
 class MemoryManager {
   constructor() {
     this.memories = [];
+    this.pendingMemories = [];
+    this.deletedMemories = [];
     this.filteredMemories = [];
     this.currentPage = 1;
     this.itemsPerPage = 10;
@@ -93,6 +97,40 @@ class MemoryManager {
       }
     });
 
+    // Review queue actions (using event delegation)
+    document.getElementById('memory-review-list')?.addEventListener('click', (e) => {
+      const button = e.target.closest('button');
+      const item = button?.closest('.review-item');
+      if (!item) return;
+
+      const memoryKey = item.dataset.memoryKey;
+      if (button.classList.contains('btn-approve')) {
+        this.reviewMemory(memoryKey, 'approve');
+      } else if (button.classList.contains('btn-correct')) {
+        item.classList.toggle('editing');
+      } else if (button.classList.contains('btn-save-approve')) {
+        const content = item.querySelector('.review-item-editor textarea').value.trim();
+        this.reviewMemory(memoryKey, 'approve', { content });
+      } else if (button.classList.contains('btn-reject')) {
+        this.reviewMemory(memoryKey, 'reject');
+      }
+    });
+
+    // Restore an earlier version from a memory's history
+    document.getElementById('view-memory-history')?.addEventListener('click', (e) => {
+      const button = e.target.closest('.btn-restore');
+      if (!button) return;
+      this.restoreRevision(e.currentTarget.dataset.memoryKey, parseInt(button.dataset.revisionId));
+    });
+
+    // Bring back a deleted memory
+    document.getElementById('memory-deleted-list')?.addEventListener('click', (e) => {
+      const button = e.target.closest('.btn-restore');
+      const item = button?.closest('.history-item');
+      if (!item) return;
+      this.restoreRevision(item.dataset.memoryKey, parseInt(button.dataset.revisionId));
+    });
+
     // Page number clicks (using event delegation)
     document.getElementById('page-numbers')?.addEventListener('click', (e) => {
       const button = e.target.closest('.page-number');
@@ -113,7 +151,9 @@ class MemoryManager {
       // Load in parallel for better performance
       const [_memoriesResponse, _statsResponse] = await Promise.all([
         this.loadMemories(),
-        this.loadStats()
+        this.loadStats(),
+        this.loadReviewQueue(),
+        this.loadDeletedMemories()
       ]);
       
       this.hideLoadingState();
@@ -160,6 +200,259 @@ class MemoryManager {
     return data;
   }
 
+  /**
+   * Load memories waiting for review
+   */
+  async loadReviewQueue() {
+    const response = await fetch('/api/admin/memories/review');
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    
+    const data = await response.json();
+    this.pendingMemories = data.data.memories || [];
+    this.renderReviewQueue();
+    return data;
+  }
+
+  /**
+   * Render the review queue; hidden when nothing is waiting
+   */
+  renderReviewQueue() {
+    const container = document.getElementById('memory-review');
+    const list = document.getElementById('memory-review-list');
+    const count = document.getElementById('memory-review-count');
+    if (!container || !list) return;
+
+    container.style.display = this.pendingMemories.length > 0 ? 'block' : 'none';
+    if (count) count.textContent = this.pendingMemories.length;
+
+    list.innerHTML = this.pendingMemories.map(memory => {
+      const { source, previous, removal } = memory;
+      const heard = source.utterance
+        ? `Heard${source.callStartedAt ? ` on ${new Date(source.callStartedAt).toLocaleString()}` : ' during a call'}: "${this.escapeHtml(source.utterance)}"`
+        : '';
+
+      return `
+        <div class="review-item" data-memory-key="${this.escapeHtml(memory.key)}">
+          <span class="category-badge ${this.escapeHtml(memory.category)}">${this.escapeHtml(memory.category)}</span>
+          <div class="review-item-content">${this.escapeHtml(memory.content)}</div>
+          ${removal ? '<div class="review-item-meta">The companion was asked to forget this</div>' : ''}
+          ${previous && !removal ? `<div class="review-item-meta">Replaces: ${this.escapeHtml(previous.content)}</div>` : ''}
+          ${heard ? `<div class="review-item-meta">${heard}</div>` : ''}
+          <div class="review-item-editor">
+            <textarea class="form-textarea" rows="3" aria-label="Corrected memory">${this.escapeHtml(memory.content)}</textarea>
+            <div class="review-item-actions">
+              <button class="btn btn-primary btn-sm btn-save-approve">Save and approve</button>
+            </div>
+          </div>
+          <div class="review-item-actions">
+            <button class="btn btn-primary btn-sm btn-approve">${removal ? 'Approve removal' : 'Approve'}</button>
+            ${removal ? '' : '<button class="btn btn-outline btn-sm btn-correct">Edit</button>'}
+            <button class="btn btn-outline btn-sm btn-danger btn-reject">Reject</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Load memories that were deleted and can be restored
+   */
+  async loadDeletedMemories() {
+    const response = await fetch('/api/admin/memories/deleted');
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    
+    const data = await response.json();
+    this.deletedMemories = data.data.memories || [];
+    this.renderDeletedMemories();
+    return data;
+  }
+
+  /**
+   * Render recently deleted memories; hidden when there are none
+   */
+  renderDeletedMemories() {
+    const container = document.getElementById('memory-deleted');
+    const list = document.getElementById('memory-deleted-list');
+    const count = document.getElementById('memory-deleted-count');
+    if (!container || !list) return;
+
+    container.style.display = this.deletedMemories.length > 0 ? 'block' : 'none';
+    if (count) count.textContent = this.deletedMemories.length;
+
+    list.innerHTML = this.deletedMemories.map(revision => `
+      <div class="history-item" data-memory-key="${this.escapeHtml(revision.key)}">
+        <div class="history-item-header">
+          <span class="memory-key">${this.escapeHtml(revision.key)}</span>
+          <button class="btn btn-outline btn-sm btn-restore" data-revision-id="${revision.id}">Restore</button>
+        </div>
+        <div class="history-item-change">${this.escapeHtml(revision.before.content)}</div>
+        <div class="history-item-change">${this.describeRevision(revision)}</div>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Who made a change and when, for the history
+   * @param {Object} revision - Revision from the history API
+   * @returns {string} HTML-safe description
+   */
+  describeRevision(revision) {
+    const actions = {
+      created: 'Added',
+      updated: 'Changed',
+      deleted: 'Deleted',
+      approved: 'Approved',
+      rejected: 'Rejected',
+      renamed: 'Renamed',
+      restored: 'Restored'
+    };
+    const { type, userName, script } = revision.changedBy;
+    const who = {
+      call: 'the companion during a call',
+      user: userName || 'a caregiver',
+      script: script ? `the ${script} script` : 'a script',
+      system: 'the system'
+    }[type];
+    // Revision times are stored in UTC
+    const when = new Date(`${revision.createdAt.replace(' ', 'T')}Z`).toLocaleString();
+
+    return `${actions[revision.action] || 'Changed'} by ${this.escapeHtml(who)} on ${when}`;
+  }
+
+  /**
+   * Load and render a memory's history in the view modal
+   * @param {string} key - Memory key
+   */
+  async loadHistory(key) {
+    const container = document.getElementById('view-memory-history');
+    if (!container) return;
+    container.dataset.memoryKey = key;
+    container.innerHTML = '';
+
+    try {
+      const response = await fetch(`/api/admin/memories/${encodeURIComponent(key)}/history`);
+      
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      
+      const { revisions } = (await response.json()).data;
+      const items = revisions.map((revision, index) => {
+        const { before, after } = revision;
+        let change = '';
+        if (revision.action === 'renamed') {
+          change = `Key was ${this.escapeHtml(revision.previousKey)}`;
+        } else if (before && after && before.content !== after.content) {
+          change = `<del>${this.escapeHtml(before.content)}</del> → ${this.escapeHtml(after.content)}`;
+        } else if (after || before) {
+          change = this.escapeHtml((after || before).content);
+        }
+        // The newest revision is the current version unless it removed the memory
+        const canRestore = index > 0 || !after;
+
+        return `
+          <div class="history-item">
+            <div class="history-item-header">
+              <span>${this.describeRevision(revision)}</span>
+              ${canRestore ? `<button class="btn btn-outline btn-sm btn-restore" data-revision-id="${revision.id}" title="Restore this version">Restore</button>` : ''}
+            </div>
+            ${change ? `<div class="history-item-change">${change}</div>` : ''}
+          </div>
+        `;
+      });
+
+      container.innerHTML = `
+        <h4 class="memory-history-title">History</h4>
+        ${items.length > 0 ? items.join('') : '<div class="history-item-change">No changes recorded yet.</div>'}
+      `;
+      
+    } catch (error) {
+      console.error('Error loading memory history:', error);
+      container.innerHTML = '<div class="history-item-change">History could not be loaded.</div>';
+    }
+  }
+
+  /**
+   * Restore the version a revision recorded, or bring back a deleted memory
+   * @param {string} key - Memory key
+   * @param {number} revisionId - Revision to restore
+   */
+  async restoreRevision(key, revisionId) {
+    try {
+      const response = await fetch(`/api/admin/memories/${encodeURIComponent(key)}/history/${revisionId}/restore`, {
+        method: 'POST'
+      });
+      
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to restore memory');
+      }
+      
+      Notification.success('Memory restored', {
+        description: `"${key}" is back to the selected version`
+      });
+      
+      const modal = document.getElementById('view-memory-modal');
+      if (modal?.style.display === 'flex') {
+        this.loadHistory(key);
+      }
+      this.loadMemoriesAndStats();
+      
+    } catch (error) {
+      console.error('Error restoring memory:', error);
+      Notification.error('Failed to restore memory', {
+        description: error.message
+      });
+    }
+  }
+
+  /**
+   * Approve or reject a pending memory
+   * @param {string} key - Memory key
+   * @param {string} decision - 'approve' or 'reject'
+   * @param {Object} changes - Corrected { content } when approving an edit
+   */
+  async reviewMemory(key, decision, changes = {}) {
+    try {
+      const response = await fetch(`/api/admin/memories/${encodeURIComponent(key)}/${decision}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(changes)
+      });
+      
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || `Failed to ${decision} memory`);
+      }
+      
+      const { action } = (await response.json()).data;
+      const messages = {
+        approved: 'Memory approved',
+        edited: 'Memory corrected and approved',
+        removed: 'Memory rejected',
+        deleted: 'Removal approved; the memory is deleted',
+        restored: 'Change rejected; the earlier version is kept'
+      };
+      Notification.success(messages[action] || 'Memory reviewed');
+      
+      this.loadMemoriesAndStats();
+      
+    } catch (error) {
+      console.error('Error reviewing memory:', error);
+      Notification.error('Failed to review memory', {
+        description: error.message
+      });
+    }
+  }
+
   /**
    * Update statistics display
    */
@@ -322,6 +615,7 @@ class MemoryManager {
                 Memory
               `}
             </span>
+            ${memory.review_status === 'pending' ? '<span class="memory-type-badge pending" title="Waiting for caregiver review">Pending</span>' : ''}
           </td>
           <td>
             <span class="category-badge ${memory.category}">
@@ -769,6 +1063,7 @@ class MemoryManager {
       
       // Setup event listeners for this modal
       this.setupViewModalEventListeners(key);
+      this.loadHistory(key);
       
     } catch (error) {
       console.error('Error viewing memory:', error);
@@ -922,7 +1217,7 @@ class MemoryManager {
    * Delete memory with confirmation
    */
   async deleteMemory(key) {
-    const confirmed = confirm(`Are you sure you want to delete the memory "${key}"? This action cannot be undone. The AI will no longer have access to this information.`);
+    const confirmed = confirm(`Are you sure you want to delete the memory "${key}"? The AI will no longer have access to this information. You can restore it from Recently deleted.`);
     
     if (!confirmed) return;
     
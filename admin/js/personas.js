@@ -0,0 +1,199 @@
+/**
+ * Persona Registry Page - JavaScript functionality
+ *
+ * Lists the companion personas and lets caregivers add or edit them:
+ * backstory, story themes, voice model, greetings and allowed functions.
+ */
+
+import { Notification } from './components/components.js';
+
+const linesToArray = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+class PersonaManager {
+  constructor() {
+    this.personas = [];
+    this.availableFunctions = [];
+    this.defaultPersona = 'jessica';
+    this.editingName = null;
+
+    this.initializeEventListeners();
+    this.loadPersonas();
+  }
+
+  /**
+   * Initialize event listeners for the page
+   */
+  initializeEventListeners() {
+    document.getElementById('add-persona-btn')?.addEventListener('click', () => this.showPersonaModal());
+    document.getElementById('retry-loading')?.addEventListener('click', () => this.loadPersonas());
+
+    const modal = document.getElementById('persona-modal');
+    const closeModal = () => this.closeModal();
+    modal.querySelector('.modal-close')?.addEventListener('click', closeModal);
+    modal.querySelector('[data-action="cancel"]')?.addEventListener('click', closeModal);
+    modal.querySelector('.modal-overlay')?.addEventListener('click', closeModal);
+
+    document.getElementById('persona-form')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.savePersona();
+    });
+
+    document.getElementById('persona-table-body')?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action="edit"]');
+      if (button) {
+        this.showPersonaModal(button.dataset.name);
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && modal.style.display === 'flex') {
+        closeModal();
+      }
+    });
+  }
+
+  /**
+   * Load all personas, including inactive ones
+   */
+  async loadPersonas() {
+    const errorState = document.getElementById('personas-error');
+    try {
+      const response = await fetch('/api/admin/personas?includeInactive=true');
+      const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to load personas');
+      }
+
+      this.personas = result.data.personas;
+      this.availableFunctions = result.data.availableFunctions;
+      this.defaultPersona = result.data.defaultPersona;
+      errorState.style.display = 'none';
+      this.renderTable();
+    } catch (error) {
+      console.error('Error loading personas:', error);
+      errorState.style.display = 'flex';
+    }
+  }
+
+  renderTable() {
+    const tbody = document.getElementById('persona-table-body');
+    tbody.innerHTML = this.personas.map(persona => `
+      <tr>
+        <td>
+          <strong>${this.escapeHtml(persona.displayName)}</strong>
+          ${persona.name === this.defaultPersona ? '<span class="badge">Default</span>' : ''}
+        </td>
+        <td><code>/incoming/persona/${this.escapeHtml(persona.name)}</code></td>
+        <td>${this.escapeHtml(persona.voiceModel || 'Default voice')}</td>
+        <td>${persona.allowedFunctions.length ? persona.allowedFunctions.length : 'All'}</td>
+        <td>${persona.isActive ? 'Active' : 'Inactive'}</td>
+        <td>
+          <div class="action-buttons">
+            <button class="btn btn-outline btn-sm" data-action="edit" data-name="${this.escapeHtml(persona.name)}">Edit</button>
+          </div>
+        </td>
+      </tr>
+    `).join('');
+  }
+
+  /**
+   * Open the modal empty (add) or filled from an existing persona (edit)
+   * @param {string} name - Persona to edit; omit to add a new one
+   */
+  showPersonaModal(name = null) {
+    const persona = name ? this.personas.find(p => p.name === name) : null;
+    this.editingName = persona ? persona.name : null;
+
+    const modal = document.getElementById('persona-modal');
+    modal.querySelector('.modal-title').textContent = persona ? `Edit ${persona.displayName}` : 'Add Persona';
+
+    const nameInput = document.getElementById('persona-name');
+    nameInput.value = persona?.name || '';
+    nameInput.disabled = Boolean(persona);
+    document.getElementById('persona-display-name').value = persona?.displayName || '';
+    document.getElementById('persona-backstory').value = persona?.backstory || '';
+    document.getElementById('persona-story-themes').value = (persona?.storyThemes || []).join('\n');
+    document.getElementById('persona-voice-model').value = persona?.voiceModel || '';
+    document.getElementById('persona-greetings').value = (persona?.greetings || []).join('\n');
+    document.getElementById('persona-active').checked = persona ? persona.isActive : true;
+
+    const allowed = persona?.allowedFunctions || [];
+    document.getElementById('persona-functions').innerHTML = this.availableFunctions.map(fn => `
+      <label class="checkbox-label">
+        <input type="checkbox" name="allowedFunctions" value="${this.escapeHtml(fn)}" ${allowed.includes(fn) ? 'checked' : ''}>
+        <span class="checkbox-text">${this.escapeHtml(fn)}</span>
+      </label>
+    `).join('');
+
+    modal.style.display = 'flex';
+    document.body.classList.add('modal-open');
+  }
+
+  closeModal() {
+    document.getElementById('persona-modal').style.display = 'none';
+    document.body.classList.remove('modal-open');
+  }
+
+  /**
+   * Create or update the persona from the modal form
+   */
+  async savePersona() {
+    const payload = {
+      displayName: document.getElementById('persona-display-name').value.trim(),
+      backstory: document.getElementById('persona-backstory').value.trim(),
+      storyThemes: linesToArray(document.getElementById('persona-story-themes').value),
+      voiceModel: document.getElementById('persona-voice-model').value.trim() || null,
+      greetings: linesToArray(document.getElementById('persona-greetings').value),
+      allowedFunctions: Array.from(document.querySelectorAll('#persona-functions input:checked')).map(input => input.value),
+      isActive: document.getElementById('persona-active').checked
+    };
+
+    const isEdit = Boolean(this.editingName);
+    if (!isEdit) {
+      payload.name = document.getElementById('persona-name').value.trim();
+    }
+
+    try {
+      const response = await fetch(
+        isEdit ? `/api/admin/personas/${encodeURIComponent(this.editingName)}` : '/api/admin/personas',
+        {
+          method: isEdit ? 'PUT' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload)
+        }
+      );
+      const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to save persona');
+      }
+
+      this.closeModal();
+      Notification.success(isEdit ? 'Persona updated' : 'Persona added', {
+        description: `${result.data.displayName} is available at /incoming/persona/${result.data.name}`
+      });
+      this.loadPersonas();
+    } catch (error) {
+      console.error('Error saving persona:', error);
+      Notification.error('Failed to save persona', {
+        description: error.message
+      });
+    }
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+// Initialize persona manager when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    window.personaManager = new PersonaManager();
+  });
+} else {
+  window.personaManager = new PersonaManager();
+}
+
+export default PersonaManager;
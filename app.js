@@ -7,18 +7,23 @@ const session = require('express-session');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 
-const { GptService } = require('./services/gpt-service');
 const { StreamService } = require('./services/stream-service');
 const { TranscriptionService } = require('./services/transcription-service');
 const { TextToSpeechService } = require('./services/tts-service');
 const { recordingService } = require('./services/recording-service');
-const { MarkCompletionService } = require('./services/mark-completion-service');
-const ConversationAnalyzer = require('./services/conversation-analyzer');
-const SqliteStorageService = require('./services/sqlite-storage-service');
 const DatabaseManager = require('./services/database-manager');
-const SummaryGenerator = require('./services/summary-generator');
-const MemoryService = require('./services/memory-service');
+const PatientService = require('./services/patient-service');
+const PersonaService = require('./services/persona-service');
+const ConfigService = require('./services/config-service');
 const CallRoutingService = require('./services/call-routing-service');
+const CallSession = require('./services/call-session');
+const CheckInScheduler = require('./services/check-in-scheduler');
+const DigestScheduler = require('./services/digest-scheduler');
+const RetentionScheduler = require('./services/retention-scheduler');
+const LiveCallMonitor = require('./services/live-call-monitor');
+const CallTransferService = require('./services/call-transfer-service');
+const { validateTwilioWebhook } = require('./middleware/twilio-webhook-middleware');
+const { authenticateAdmin } = require('./middleware/auth-middleware');
 const VoicemailRecordingService = require('./services/voicemail-recording-service');
 const VoicemailTranscriptionCache = require('./services/voicemail-transcription-cache');
 const AudioDownloadService = require('./services/audio-download-service');
@@ -68,10 +73,20 @@ const adminStatsRouter = require('./routes/api/admin-stats');
 const adminConfigRouter = require('./routes/api/admin-config');
 const adminMemoriesRouter = require('./routes/api/admin-memories');
 const adminDashboardRealRouter = require('./routes/api/admin-dashboard-real');
+const adminPatientsRouter = require('./routes/api/admin-patients');
+const adminPersonasRouter = require('./routes/api/admin-personas');
+const adminCheckInsRouter = require('./routes/api/admin-check-ins');
+const adminAlertsRouter = require('./routes/api/admin-alerts');
+const adminLiveRouter = require('./routes/api/admin-live');
+const adminDigestsRouter = require('./routes/api/admin-digests');
+const adminRetentionRouter = require('./routes/api/admin-retention');
+const adminAuditRouter = require('./routes/api/admin-audit');
+const adminFhirRouter = require('./routes/api/admin-fhir');
 const emotionalMetricsRouter = require('./routes/api/emotional-metrics');
 const conversationsRouter = require('./routes/api/conversations');
 const searchRouter = require('./routes/api/search');
 const authRouter = require('./routes/api/auth');
+const fhirRouter = require('./routes/fhir');
 
 const PORT = process.env.PORT || 3000;
 
@@ -374,10 +389,23 @@ app.use('/assets', express.static(assetsPath));
 
 // Mount admin routes
 app.use('/admin', adminRouter);
+
+// Every data API serves PHI and requires a signed-in user; routes enforce roles for changes
+app.use(['/api/admin', '/api/emotional-metrics', '/api/conversations', '/api/search', '/fhir'], authenticateAdmin);
+
 app.use('/api/admin/stats', adminStatsRouter);
 app.use('/api/admin/config', adminConfigRouter);
 app.use('/api/admin/memories', adminMemoriesRouter);
 app.use('/api/admin/dashboard', adminDashboardRealRouter);
+app.use('/api/admin/patients', adminPatientsRouter);
+app.use('/api/admin/personas', adminPersonasRouter);
+app.use('/api/admin/check-ins', adminCheckInsRouter);
+app.use('/api/admin/alerts', adminAlertsRouter);
+app.use('/api/admin/live', adminLiveRouter);
+app.use('/api/admin/digests', adminDigestsRouter);
+app.use('/api/admin/retention', adminRetentionRouter);
+app.use('/api/admin/audit', adminAuditRouter);
+app.use('/api/admin/fhir', adminFhirRouter);
 
 // Mount emotional metrics API routes
 app.use('/api/emotional-metrics', emotionalMetricsRouter);
@@ -388,6 +416,9 @@ app.use('/api/conversations', conversationsRouter);
 // Mount search API routes
 app.use('/api/search', searchRouter);
 
+// Mount the read-only FHIR endpoint
+app.use('/fhir', fhirRouter);
+
 // Mount authentication API routes
 app.use('/api/auth', authRouter);
 
@@ -483,24 +514,42 @@ app.get('/api/admin/heartbeat', async (req, res) => {
   }
 });
 
+/**
+ * Resolve the patient an incoming Twilio call belongs to from the dialed number
+ * Falls back to the default patient so a call is always answered
+ */
+async function resolveCallPatient(req) {
+  const dbManager = DatabaseManager.getInstance();
+  const patientService = new PatientService(dbManager);
+  return patientService.resolveForCall(req.body?.To);
+}
+
 /**
  * Handle incoming calls with routing logic (voicemail behavior)
  * Uses CallRoutingService to determine routing based on call frequency
  */
 async function handleIncomingWithRouting(req, res, endpointName = '/incoming', persona = 'jessica') {
+  let patient = null;
   try {
-    // Initialize routing service and get call statistics
-    const routingService = new CallRoutingService();
+    // Initialize routing service with the live routing configuration and get call statistics for the dialed patient
     const dbManager = DatabaseManager.getInstance();
     await dbManager.waitForInitialization();
-    const callStats = await dbManager.getTodayCallStats();
+    const config = await new ConfigService(dbManager).getCallConfig();
+    const routingService = new CallRoutingService(config.routing, dbManager);
+    patient = await resolveCallPatient(req);
+    const callStats = await dbManager.getTodayCallStats(patient.id);
     
-    // Determine routing based on call conditions
-    const routingDecision = routingService.determineRoute(callStats);
+    // Determine routing from the configured rules and record which rule fired
+    const routingDecision = routingService.determineRoute(callStats, {
+      timezone: config.system.timezone,
+      maintenanceMode: config.system.maintenanceMode,
+      patient
+    });
     console.log(`📋 Routing decision for ${endpointName}: ${routingDecision.type} - ${routingDecision.reason}`.cyan);
+    await routingService.recordDecision(req.body?.CallSid, routingDecision, { patientId: patient.id, endpoint: endpointName });
     
-    // Build and send TwiML response with persona parameter
-    const response = routingService.buildTwiMLResponse(routingDecision, persona);
+    // Build and send TwiML response with persona and patient parameters
+    const response = routingService.buildTwiMLResponse(routingDecision, persona, patient.id);
     res.type('text/xml');
     res.end(response.toString());
     
@@ -510,7 +559,7 @@ async function handleIncomingWithRouting(req, res, endpointName = '/incoming', p
     // Fallback to routing service's error response
     try {
       const routingService = new CallRoutingService();
-      const response = routingService.createFallbackResponse(persona);
+      const response = routingService.createFallbackResponse(persona, patient?.id);
       res.type('text/xml');
       res.end(response.toString());
     } catch (fallbackErr) {
@@ -535,14 +584,16 @@ async function handleIncomingWithRouting(req, res, endpointName = '/incoming', p
 async function handleIncomingDirectConnect(req, res, personaName = 'jessica') {
   try {
     console.log(`🎭 Direct connect to persona: ${personaName}`.magenta);
+    const patient = await resolveCallPatient(req);
     
     // Create immediate connection response (no routing delays)
     const response = new VoiceResponse();
     const connect = response.connect();
     const stream = connect.stream({ url: `wss://${process.env.SERVER}/connection` });
     
-    // Pass persona as custom parameter to WebSocket connection
+    // Pass persona and patient as custom parameters to WebSocket connection
     stream.parameter({ name: 'persona', value: personaName });
+    stream.parameter({ name: 'patient_id', value: String(patient.id) });
     
     res.type('text/xml');
     res.end(response.toString());
@@ -589,6 +640,10 @@ async function handleVoicemailRecording(req, res) {
   }
 }
 
+// Twilio posts call details (To, From, CallSid) URL-encoded; "To" selects the patient
+// Signatures are checked after parsing since Twilio signs the POST parameters
+app.use('/incoming', express.urlencoded({ extended: false }), validateTwilioWebhook);
+
 // DEPRECATED: Original /incoming endpoint - will be replaced by /incoming/voicemail
 app.post('/incoming', async (req, res) => {
   console.log('⚠️  DEPRECATED: /incoming endpoint used. Consider migrating to /incoming/voicemail'.yellow);
@@ -605,13 +660,15 @@ app.post('/incoming/voicemail', async (req, res) => {
   await handleVoicemailRecording(req, res);
 });
 
-// NEW: Direct connection to Jessica persona (no routing delays)
-app.post('/incoming/persona/jessica', async (req, res) => {
-  await handleIncomingDirectConnect(req, res, 'jessica');
+// Direct connection to a persona from the registry (no routing delays)
+app.post('/incoming/persona/:name', async (req, res) => {
+  const personaService = new PersonaService(DatabaseManager.getInstance());
+  const persona = await personaService.resolvePersona(req.params.name);
+  await handleIncomingDirectConnect(req, res, persona.name);
 });
 
 // Voicemail webhook endpoints - add URL-encoded parsing for Twilio webhooks
-app.use('/voicemail/*', express.urlencoded({ extended: false }));
+app.use('/voicemail/*', express.urlencoded({ extended: false }), validateTwilioWebhook);
 
 app.post('/voicemail/start-recording', async (req, res) => {
   try {
@@ -641,6 +698,8 @@ app.post('/voicemail/recording-complete', async (req, res) => {
     // Store recording metadata
     voicemailRecordingService.handleRecordingComplete(CallSid, RecordingUrl, RecordingDuration);
     
+    const patient = await resolveCallPatient(req);
+
     // Check if Whisper transcription is enabled via feature flag
     const enableWhisperTranscription = process.env.ENABLE_WHISPER_TRANSCRIPTION === 'true';
     
@@ -654,8 +713,9 @@ app.post('/voicemail/recording-complete', async (req, res) => {
           console.log('⬇️ Downloading audio from Twilio...'.gray);
           const { buffer: audioBuffer, format } = await audioDownloadService.downloadWithFallback(RecordingUrl, CallSid);
           
-          // Step 2: Transcribe with Whisper
-          const transcriptionResult = await whisperTranscriptionService.transcribeAudio(audioBuffer, format, CallSid);
+          // Step 2: Transcribe with Whisper, primed with the names the caller is likely to use
+          const persona = await new PersonaService(DatabaseManager.getInstance()).resolvePersona(PersonaService.DEFAULT_PERSONA);
+          const transcriptionResult = await whisperTranscriptionService.transcribeAudio(audioBuffer, format, CallSid, { patient, persona });
           
           // Step 3: Process and store transcription
           if (transcriptionResult.text) {
@@ -697,7 +757,7 @@ app.post('/voicemail/recording-complete', async (req, res) => {
     }
     
     // Always connect to WebSocket immediately (transcription happens in background)
-    const connectionResponse = voicemailRecordingService.createConnectionResponse(CallSid);
+    const connectionResponse = voicemailRecordingService.createConnectionResponse(CallSid, patient.id);
     
     res.type('text/xml');
     res.end(connectionResponse);
@@ -733,6 +793,85 @@ app.post('/voicemail/transcription-webhook', async (req, res) => {
   }
 });
 
+// Scheduled check-in calls the companion places; Twilio calls back here once answered
+app.use('/outbound', express.urlencoded({ extended: false }), validateTwilioWebhook);
+
+// Created on first use so loading the app doesn't open the database
+let checkInScheduler = null;
+function getCheckInScheduler() {
+  if (!checkInScheduler) {
+    checkInScheduler = new CheckInScheduler({ databaseManager: DatabaseManager.getInstance() });
+  }
+  return checkInScheduler;
+}
+
+app.post('/outbound/check-in', async (req, res) => {
+  try {
+    const response = await getCheckInScheduler().buildCheckInResponse(req.body, req.query.attemptId);
+    res.type('text/xml');
+    res.end(response.toString());
+  } catch (err) {
+    console.log('Error in /outbound/check-in endpoint:', err.message);
+
+    // Still connect the patient who picked up, as an outbound call
+    const response = new VoiceResponse();
+    const connect = response.connect();
+    const stream = connect.stream({ url: `wss://${process.env.SERVER}/connection` });
+    stream.parameter({ name: 'direction', value: 'outbound' });
+    res.type('text/xml');
+    res.end(response.toString());
+  }
+});
+
+app.post('/outbound/status', async (req, res) => {
+  await getCheckInScheduler().handleStatusCallback(req.body);
+  res.status(200).send('OK');
+});
+
+// Warm transfers: Twilio fetches the whisper when a target answers and reports how each dial ended
+app.use('/transfer', express.urlencoded({ extended: false }), validateTwilioWebhook);
+
+// Created on first use so loading the app doesn't open the database
+let callTransferService = null;
+function getCallTransferService() {
+  if (!callTransferService) {
+    callTransferService = new CallTransferService({ databaseManager: DatabaseManager.getInstance() });
+  }
+  return callTransferService;
+}
+
+app.post('/transfer/whisper', async (req, res) => {
+  let response;
+  try {
+    response = await getCallTransferService().buildWhisperResponse(req.query.transferId, req.query.position);
+  } catch (err) {
+    console.log('Error in /transfer/whisper endpoint:', err.message);
+    // An empty response still connects the caller
+    response = new VoiceResponse();
+  }
+  res.type('text/xml');
+  res.end(response.toString());
+});
+
+app.post('/transfer/dial-status', async (req, res) => {
+  let response;
+  try {
+    response = await getCallTransferService().handleDialStatus(req.body, req.query.transferId, req.query.position);
+  } catch (err) {
+    console.log('Error in /transfer/dial-status endpoint:', err.message);
+
+    // Don't leave the caller in silence: go back to the companion
+    response = new VoiceResponse();
+    const connect = response.connect();
+    const stream = connect.stream({ url: `wss://${process.env.SERVER}/connection` });
+    if (req.query.transferId) {
+      stream.parameter({ name: 'transfer_id', value: String(req.query.transferId) });
+    }
+  }
+  res.type('text/xml');
+  res.end(response.toString());
+});
+
 app.ws('/connection', async (ws) => {
   try {
     ws.on('error', console.error);
@@ -740,287 +879,58 @@ app.ws('/connection', async (ws) => {
     let streamSid;
     let callSid;
 
-    const markCompletionService = new MarkCompletionService();
     // Initialize SQLite storage using singleton pattern
     // This ensures SQLITE_DB_PATH is honored consistently across all services
     const databaseManager = DatabaseManager.getInstance();
-    
+
     // Wait for database to be initialized
     await databaseManager.waitForInitialization();
-    
-    const storageService = new SqliteStorageService(databaseManager);
-    const summaryGenerator = new SummaryGenerator();
-    
-    // Create GptService first (without memory service) - persona will be set after start message
-    let gptService;
-    
-    // Create MemoryService (will be linked to GptService after start message)
-    let memoryService;
-    let conversationAnalyzer; // Will be initialized after callSid is available
-    
-    // Services will be initialized after start message with persona information
+
     const streamService = new StreamService(ws);
     const transcriptionService = new TranscriptionService();
     const ttsService = new TextToSpeechService({});
 
-    let marks = [];
-    let interactionCount = 0;
-    
-    // Voicemail tracking variable (available throughout WebSocket lifetime)
-    let currentVoicemailTranscript = null;
-    
-    // Silence detection variables
-    let silenceTimer = null;
-    let isWaitingForResponse = false;
-    let isWaitingForVoicemailResponse = false;
-    let hasAskedIfPresent = false;
-    // CRITICAL FIX: Track when audio was last sent to prevent premature silence detection
-    // This ensures we don't start the 5-second timer immediately after audio finishes
-    let lastAudioSentTime = Date.now();
-    
-    // GPT Processing Lock - prevents concurrent GPT responses
-    let isProcessingGPT = false;
-    let gptQueue = [];
-    
-    // Rapid input consolidation - combine rapid user inputs into single request
-    let rapidInputTimer = null;
-    let rapidInputBuffer = [];
-    let rapidInputDebounceMs = 1500; // 1.5 seconds to collect rapid inputs
-
-    // GPT processing with rapid input consolidation
-    const processGPTRequest = async (text, interactionCount, role = 'user', caller = 'transcription') => {
-      // For user transcriptions, use rapid input consolidation
-      if (caller === 'transcription' && role === 'user') {
-        return handleRapidUserInput(text, interactionCount);
-      }
-      
-      // For non-user inputs (voicemail, system), process immediately
-      console.log(`🧠 GPT Request queued: "${text.substring(0, 50)}" (caller: ${caller}, queue: ${gptQueue.length})`.cyan);
-      
-      if (isProcessingGPT) {
-        console.log(`⏳ GPT is busy, queuing request from ${caller}`.yellow);
-        gptQueue.push({ text, interactionCount, role, caller });
-        return;
-      }
-      
-      await executeGPTRequest(text, interactionCount, role, caller);
-    };
-
-    // Handle rapid user input consolidation
-    const handleRapidUserInput = (text, interactionCount) => {
-      // Add to rapid input buffer
-      rapidInputBuffer.push({ text, interactionCount, timestamp: Date.now() });
-      
-      console.log(`📝 Buffering rapid user input: "${text.substring(0, 50)}" (buffer: ${rapidInputBuffer.length})`.cyan);
-      
-      // Clear existing timer
-      if (rapidInputTimer) {
-        clearTimeout(rapidInputTimer);
-      }
-      
-      // Set timer to process consolidated input after debounce period
-      rapidInputTimer = setTimeout(() => {
-        if (rapidInputBuffer.length > 0) {
-          // Consolidate all buffered inputs
-          const consolidatedText = rapidInputBuffer.map(input => input.text.trim()).join(' ');
-          const latestInteractionCount = Math.max(...rapidInputBuffer.map(input => input.interactionCount));
-          
-          console.log(`🔄 Processing consolidated user input: "${consolidatedText.substring(0, 50)}" (${rapidInputBuffer.length} inputs combined)`.green);
-          
-          // Clear buffer
-          rapidInputBuffer = [];
-          
-          // Process the consolidated input
-          if (isProcessingGPT) {
-            console.log('⏳ GPT is busy, queuing consolidated request'.yellow);
-            gptQueue.push({ text: consolidatedText, interactionCount: latestInteractionCount, role: 'user', caller: 'transcription-consolidated' });
-          } else {
-            executeGPTRequest(consolidatedText, latestInteractionCount, 'user', 'transcription-consolidated');
-          }
-        }
-      }, rapidInputDebounceMs);
-    };
-
-    // Execute GPT request
-    const executeGPTRequest = async (text, interactionCount, role, caller) => {
-      isProcessingGPT = true;
-      console.log(`🚀 Processing GPT request from ${caller}`.green);
-      
-      try {
-        await gptService.completion(text, interactionCount, role);
-      } catch (error) {
-        console.error('❌ GPT processing error:', error.message);
-      } finally {
-        isProcessingGPT = false;
-        console.log(`✅ GPT request completed from ${caller}`.green);
-        
-        // Process next item in queue
-        if (gptQueue.length > 0) {
-          const nextRequest = gptQueue.shift();
-          console.log(`🔄 Processing next queued request from ${nextRequest.caller} (${gptQueue.length} remaining)`.cyan);
-          // Use setTimeout to prevent deep recursion
-          setTimeout(() => {
-            processGPTRequest(nextRequest.text, nextRequest.interactionCount, nextRequest.role, nextRequest.caller);
-          }, 10);
-        }
-      }
-    };
-
-    // Clear GPT queue and rapid input buffer on interruption
-    const clearGPTQueue = () => {
-      let clearedItems = 0;
-      
-      if (gptQueue.length > 0) {
-        clearedItems += gptQueue.length;
-        gptQueue = [];
-      }
-      
-      if (rapidInputBuffer.length > 0) {
-        clearedItems += rapidInputBuffer.length;
-        rapidInputBuffer = [];
-      }
-      
-      if (rapidInputTimer) {
-        clearTimeout(rapidInputTimer);
-        rapidInputTimer = null;
-      }
-      
-      if (clearedItems > 0) {
-        console.log(`🧹 Clearing GPT queue and rapid input buffer: ${clearedItems} total requests`.yellow);
-      }
-      
-      isProcessingGPT = false;
-    };
+    // Created from the start message; owns debounce, silence, interruptions and persistence
+    let callSession = null;
 
-    // Helper functions for silence detection
-    const clearSilenceTimer = () => {
-      if (silenceTimer) {
-        console.log('Clearing silence timer - user is responsive'.cyan);
-        clearTimeout(silenceTimer);
-        silenceTimer = null;
-      }
-      isWaitingForResponse = false;
+    // The Twilio media stream is this call's audio transport
+    const transport = {
+      clearAudio: () => {
+        ws.send(JSON.stringify({ streamSid, event: 'clear' }));
+        // CRITICAL FIX: Clear StreamService buffer to prevent old audio from being sent
+        streamService.clear();
+      },
+      hangUp: () => ws.close(),
+      isOpen: () => ws.readyState === ws.OPEN
     };
 
-    const startSilenceDetection = () => {
-      // Don't start if we're already waiting or if there are still active marks
-      if (isWaitingForResponse || markCompletionService.getActiveMarkCount() > 0 || isWaitingForVoicemailResponse) {
-        console.log(`Skipping silence detection: waiting=${isWaitingForResponse}, activeMarks=${markCompletionService.getActiveMarkCount()}, voicemailWaiting=${isWaitingForVoicemailResponse}`.gray);
-        return;
-      }
-      
-      // CRITICAL FIX: Don't start silence timer if audio was sent very recently
-      // This prevents the timer from starting immediately after the last audio chunk
-      // before Twilio has had time to play it and the user has had time to hear it
-      const timeSinceLastAudio = Date.now() - lastAudioSentTime;
-      const AUDIO_BUFFER_TIME = 3000; // 3 seconds buffer - accounts for network latency, audio playback time, and processing time for elderly callers
-      
-      if (timeSinceLastAudio < AUDIO_BUFFER_TIME) {
-        console.log(`Skipping silence detection: audio sent only ${timeSinceLastAudio}ms ago (need ${AUDIO_BUFFER_TIME}ms buffer)`.gray);
-        // Schedule a retry after the buffer time has elapsed
-        setTimeout(() => {
-          console.log('Retrying silence detection after audio buffer time elapsed'.cyan);
-          startSilenceDetection();
-        }, AUDIO_BUFFER_TIME - timeSinceLastAudio);
-        return;
-      }
-      
-      console.log('Starting 8-second silence timer (optimized for elderly callers)'.cyan);
-      isWaitingForResponse = true;
-      silenceTimer = setTimeout(() => {
-        console.log('8-second silence timeout reached'.yellow);
-        if (!isWaitingForResponse) {
-          console.log('Timer fired but no longer waiting for response - ignoring'.gray);
-          return;
-        }
-        if (!hasAskedIfPresent) {
-          // First silence timeout - ask if user is still there
-          hasAskedIfPresent = true;
-          console.log('Silence detected - asking if user is still there'.yellow);
-          
-          const checkMessages = [
-            'Hello? Are you still there?',
-            'I\'m still here if you need me.',
-            'Is everything okay?',
-            'Are you still with me?'
-          ];
-          
-          const randomMessage = checkMessages[Math.floor(Math.random() * checkMessages.length)];
-          
-          // Directly generate TTS for the check message
-          ttsService.generate({
-            partialResponseIndex: null,
-            partialResponse: randomMessage,
-            isFinal: true
-          }, interactionCount);
-          
-          // Track this message in the conversation analyzer
-          if (conversationAnalyzer) {
-            conversationAnalyzer.trackAssistantResponse(randomMessage, new Date());
-          }
-          
-          interactionCount += 1;
-          
-          // Start another timer for final timeout
-          silenceTimer = setTimeout(() => {
-            console.log('Final 8-second timeout reached'.yellow);
-            if (isWaitingForResponse) {
-              console.log('No response received - ending call gracefully'.yellow);
-              
-              const goodbyeMessages = [
-                'I\'ll let you go for now. Take care!',
-                'Goodbye for now. I\'m here whenever you need me.',
-                'Have a wonderful day. Call me anytime!',
-                'Take care, and don\'t hesitate to call if you need anything.'
-              ];
-              
-              const randomGoodbye = goodbyeMessages[Math.floor(Math.random() * goodbyeMessages.length)];
-              
-              // Send goodbye message
-              ttsService.generate({
-                partialResponseIndex: null,
-                partialResponse: randomGoodbye,
-                isFinal: true
-              }, interactionCount);
-              
-              // Track goodbye in conversation analyzer
-              if (conversationAnalyzer) {
-                conversationAnalyzer.trackAssistantResponse(randomGoodbye, new Date());
-              }
-              
-              interactionCount += 1;
-              
-              // CRITICAL FIX: Wait for goodbye audio to actually complete using marks
-              // Instead of using a fixed timeout, listen for mark completion
-              let goodbyeCompletionHandler;
-              goodbyeCompletionHandler = () => {
-                // Only close if there are no active marks (goodbye audio finished)
-                if (markCompletionService.getActiveMarkCount() === 0) {
-                  console.log('Goodbye audio completed - closing call'.yellow);
-                  if (ws.readyState === ws.OPEN) {
-                    ws.close();
-                  }
-                  markCompletionService.off('all-marks-complete', goodbyeCompletionHandler);
-                } else {
-                  console.log(`Waiting for goodbye audio to complete (${markCompletionService.getActiveMarkCount()} marks remaining)`.gray);
-                }
-              };
-              
-              // Listen for marks completion
-              markCompletionService.on('all-marks-complete', goodbyeCompletionHandler);
-              
-              // Safety fallback: If something goes wrong with mark tracking, still close after 5 seconds
-              setTimeout(() => {
-                if (ws.readyState === ws.OPEN) {
-                  console.log('Safety fallback: Closing call after 5-second maximum wait'.yellow);
-                  markCompletionService.off('all-marks-complete', goodbyeCompletionHandler);
-                  ws.close();
-                }
-              }, 5000); // Longer safety timeout since we're waiting for actual audio completion
-            }
-          }, 8000); // 8 second final timeout for elderly callers
+    const voicemailResponsePrompt = (transcript) =>
+      `[VOICEMAIL RESPONSE NEEDED] The caller just left this voicemail: '${transcript}' - respond directly to their specific concern with immediate help. DO NOT repeat the confirmation message as that was already played.`;
+
+    // Poll the transcription cache for a voicemail transcript that arrives after the call connects
+    const waitForVoicemailTranscript = (onTranscript, onTimeout) => {
+      // CRITICAL: Prevent silence detection while we wait and respond
+      callSession.isWaitingForVoicemailResponse = true;
+      console.log('🔄 Waiting for voicemail transcription - preventing silence detection'.blue);
+
+      let attempts = 0;
+      const waitForTranscription = setInterval(() => {
+        attempts++;
+        const transcriptionData = voicemailTranscriptionCache.retrieve(callSid);
+
+        if (transcriptionData && transcriptionData.transcription) {
+          clearInterval(waitForTranscription);
+          callSession.isWaitingForVoicemailResponse = false;
+          // CRITICAL: Clear any existing silence timer since we're about to respond
+          callSession.clearSilenceTimer();
+          callSession.setVoicemailTranscript(transcriptionData.transcription);
+          onTranscript(transcriptionData.transcription);
+        } else if (attempts >= 20 || callSession.isEnded) { // 10 seconds total wait
+          clearInterval(waitForTranscription);
+          callSession.isWaitingForVoicemailResponse = false;
+          onTimeout();
         }
-      }, 8000); // 8 second initial timeout for elderly callers
+      }, 500); // Check every 500ms
     };
 
     // Incoming from MediaStream
@@ -1037,92 +947,45 @@ app.ws('/connection', async (ws) => {
         }
         console.log(`🎭 Using persona: ${persona}`.magenta);
 
-        // Check for voicemail mode
-        let voicemailMode = false;
-        let voicemailTranscript = null;
-        let playConfirmation = false;
-        let isWaitingForVoicemailResponse = false;
-        
-        if (msg.start.customParameters) {
-          voicemailMode = msg.start.customParameters.voicemail_mode === 'true';
-          playConfirmation = msg.start.customParameters.play_confirmation === 'true';
-          
-          if (voicemailMode) {
-            console.log('📼 Voicemail mode activated - checking for transcript'.cyan);
-            
-            // Try to retrieve the voicemail transcription
-            const transcriptionData = voicemailTranscriptionCache.retrieve(callSid);
-            if (transcriptionData) {
-              voicemailTranscript = transcriptionData.transcription;
-              currentVoicemailTranscript = voicemailTranscript; // Store for conversation saving
-              console.log(`📖 Retrieved voicemail transcript: "${voicemailTranscript.substring(0, 50)}${voicemailTranscript.length > 50 ? '...' : ''}"`.green);
-            } else {
-              console.log('⚠️ No voicemail transcript found - continuing without context'.yellow);
-            }
-          }
-        }
-
-        // Now create GptService with persona information
-        gptService = new GptService(markCompletionService, null, null, databaseManager, persona);
-        
-        // Create MemoryService with GptService for key generation
-        memoryService = new MemoryService(databaseManager, gptService);
-        
-        // Initialize memory service
+        // Load the patient profile selected when the call was routed (default patient if absent)
+        const patientService = new PatientService(databaseManager);
+        const requestedPatientId = parseInt(msg.start.customParameters?.patient_id, 10);
+        let patient = null;
         try {
-          await memoryService.initialize();
-          console.log('Memory service initialized successfully'.cyan);
+          patient = (requestedPatientId && await patientService.getPatient(requestedPatientId)) ||
+            await patientService.getDefaultPatient();
         } catch (error) {
-          // HIPAA COMPLIANCE: Never log full error object as it may contain patient memory data (PHI)
-          console.error('Error initializing memory service:', error.message);
-          // Continue anyway - memory service will be unavailable but the call should still work
-        }
-        
-        // Set memory service reference in GPT service after initialization
-        gptService.memoryService = memoryService;
-        if (memoryService) {
-          global.memoryService = memoryService;
+          console.error('Error loading patient profile:', error.message);
         }
 
-        streamService.setStreamSid(streamSid);
-        gptService.setCallSid(callSid);
-        
-        // Initialize conversation analyzer
-        conversationAnalyzer = new ConversationAnalyzer(callSid, new Date());
-        gptService.setConversationAnalyzer(conversationAnalyzer);
+        // Check for voicemail mode
+        const voicemailMode = msg.start.customParameters?.voicemail_mode === 'true';
+        const playConfirmation = msg.start.customParameters?.play_confirmation === 'true';
+        let voicemailTranscript = null;
 
-        // Initialize GPT service with memory keys
-        gptService.initialize().then(() => {
-          // Silent initialization - no console output that might leak to chat
-          
-          // Set voicemail context if in voicemail mode
-          if (voicemailMode && voicemailTranscript) {
-            gptService.setVoicemailContext(voicemailTranscript);
-            console.log('📝 Voicemail context set in GPT service'.green);
-          }
-        }).catch(error => {
-          // HIPAA COMPLIANCE: Never log full error object as it may contain patient data (PHI)
-          console.error('Error initializing GPT service:', error.message);
-        });
+        if (voicemailMode) {
+          console.log('📼 Voicemail mode activated - checking for transcript'.cyan);
 
-        // Set up service event handlers after services are created
-        gptService.on('gptreply', async (gptReply, icount) => {
-          console.log(`Interaction ${icount}: GPT -> TTS: ${gptReply.partialResponse}`.green );
-          
-          // CRITICAL: If this is a real GPT response (not confirmation message), clear voicemail waiting flag
-          if (isWaitingForVoicemailResponse && gptReply.partialResponse && !gptReply.partialResponse.startsWith('Message saved.')) {
-            console.log('🎯 Real GPT response received - allowing silence detection to resume'.green);
-            isWaitingForVoicemailResponse = false;
-          }
-          
-          // Track assistant response in analyzer
-          if (conversationAnalyzer && gptReply.partialResponse) {
-            conversationAnalyzer.trackAssistantResponse(gptReply.partialResponse, new Date());
+          // Try to retrieve the voicemail transcription
+          const transcriptionData = voicemailTranscriptionCache.retrieve(callSid);
+          if (transcriptionData) {
+            voicemailTranscript = transcriptionData.transcription;
+            console.log(`📖 Retrieved voicemail transcript: "${voicemailTranscript.substring(0, 50)}${voicemailTranscript.length > 50 ? '...' : ''}"`.green);
+          } else {
+            console.log('⚠️ No voicemail transcript found - continuing without context'.yellow);
           }
-          
-          ttsService.generate(gptReply, icount);
-        });
+        }
+
+        // Scheduled check-in calls the companion placed open differently from calls the patient made
+        const direction = msg.start.customParameters?.direction === 'outbound' ? 'outbound' : 'inbound';
+        const checkInLabel = msg.start.customParameters?.check_in_label || null;
+        // Set when the caller comes back after a transfer nobody answered
+        const returnedFromTransferId = parseInt(msg.start.customParameters?.transfer_id, 10) || null;
 
+        callSession = new CallSession({ callSid, transport, ttsService, databaseManager, patient, persona, direction, checkInLabel });
+        streamService.setStreamSid(streamSid);
+
+        // Set up audio event handlers before anything is spoken
         ttsService.on('speech', (responseIndex, audio, label, icount) => {
           console.log(`Interaction ${icount}: TTS -> TWILIO: ${label}`.blue);
 
@@ -1130,21 +993,20 @@ app.ws('/connection', async (ws) => {
         });
 
         streamService.on('audiosent', (markLabel) => {
-          marks.push(markLabel);
-          markCompletionService.addMark(markLabel);
-          // CRITICAL FIX: Update timestamp when audio is sent to Twilio
-          // This helps prevent silence detection from starting too soon after audio
-          lastAudioSentTime = Date.now();
+          callSession.audioSent(markLabel);
         });
 
-        // Listen for when all audio has completed playing
-        markCompletionService.on('all-marks-complete', () => {
-          console.log('All audio completed - starting silence detection'.cyan);
-          // Small delay to ensure marks array is updated
-          setTimeout(() => {
-            startSilenceDetection();
-          }, 100);
-        });
+        // Load configuration, persona and memories for this call
+        await callSession.start();
+        if (returnedFromTransferId) {
+          await callSession.resumeAfterFailedTransfer(returnedFromTransferId);
+        }
+        // Let caregivers follow the call live on the admin dashboard
+        LiveCallMonitor.getInstance().attach(callSession);
+        if (voicemailTranscript) {
+          callSession.setVoicemailTranscript(voicemailTranscript);
+          console.log('📝 Voicemail context set in GPT service'.green);
+        }
 
         // Set RECORDING_ENABLED='true' in .env to record calls
         recordingService(ttsService, callSid).then(() => {
@@ -1153,128 +1015,49 @@ app.ws('/connection', async (ws) => {
           // Handle voicemail mode vs regular mode
           if (voicemailMode) {
             console.log('📼 Voicemail mode - generating confirmation and contextual response'.cyan);
-            
+
             if (playConfirmation) {
-              // First play confirmation message
-              ttsService.generate({
-                partialResponseIndex: null,
-                partialResponse: 'Message saved. I\'ll send your message to Ryan and he will get back to you very soon.',
-                isFinal: false  // Not final, more content coming
-              }, 0);
-              
+              // First play confirmation message (not final, more content coming)
+              callSession.say(voicemailRecordingService.getConfirmationMessage(callSession.patient), 0, { track: false, isFinal: false });
+
               // Then generate contextual response based on voicemail transcript
               if (voicemailTranscript) {
                 // CRITICAL: Prevent silence detection while we generate GPT response
-                isWaitingForVoicemailResponse = true;
+                callSession.isWaitingForVoicemailResponse = true;
                 console.log('🔄 Generating voicemail response - preventing silence detection'.blue);
-                
+
                 // Let GPT generate a contextual response to the voicemail
                 setTimeout(() => {
-                  processGPTRequest(`[VOICEMAIL RESPONSE NEEDED] The caller just left this voicemail: '${voicemailTranscript}' - respond directly to their specific concern with immediate help. DO NOT repeat the confirmation message as that was already played.`, 1, 'user', 'voicemail-initial');
+                  callSession.processGPTRequest(voicemailResponsePrompt(voicemailTranscript), 1, 'user', 'voicemail-initial');
                 }, 1500); // Small delay to let confirmation message play first
               } else {
-                // Wait for transcription to arrive (up to 10 seconds)
-                isWaitingForVoicemailResponse = true;
-                console.log('🔄 Waiting for voicemail transcription - preventing silence detection'.blue);
-                
-                let attempts = 0;
-                const waitForTranscription = setInterval(() => {
-                  attempts++;
-                  const transcriptionData = voicemailTranscriptionCache.retrieve(callSid);
-                  
-                  if (transcriptionData && transcriptionData.transcription) {
-                    clearInterval(waitForTranscription);
-                    isWaitingForVoicemailResponse = false;
-                    // CRITICAL: Clear any existing silence timer since we're about to respond
-                    clearSilenceTimer();
-                    console.log('📖 Late transcription retrieved - generating contextual response'.green);
-                    
-                    // Set the voicemail context now that we have the transcript
-                    gptService.setVoicemailContext(transcriptionData.transcription);
-                    currentVoicemailTranscript = transcriptionData.transcription; // Store for conversation saving
-                    
-                    // Generate contextual response
-                    setTimeout(() => {
-                      processGPTRequest(`[VOICEMAIL RESPONSE NEEDED] The caller just left this voicemail: '${transcriptionData.transcription}' - respond directly to their specific concern with immediate help. DO NOT repeat the confirmation message as that was already played.`, 1, 'user', 'voicemail-delayed');
-                    }, 500);
-                  } else if (attempts >= 20) { // 10 seconds total wait
-                    clearInterval(waitForTranscription);
-                    isWaitingForVoicemailResponse = false;
-                    console.log('⚠️ Transcription timeout - using fallback response'.yellow);
-                    setTimeout(() => {
-                      ttsService.generate({
-                        partialResponseIndex: null,
-                        partialResponse: 'Hi Francine! I heard your message. Let me help you with whatever you need.',
-                        isFinal: true
-                      }, 1);
-                    }, 500);
-                  }
-                }, 500); // Check every 500ms
+                waitForVoicemailTranscript((transcript) => {
+                  console.log('📖 Late transcription retrieved - generating contextual response'.green);
+                  setTimeout(() => {
+                    callSession.processGPTRequest(voicemailResponsePrompt(transcript), 1, 'user', 'voicemail-delayed');
+                  }, 500);
+                }, () => {
+                  console.log('⚠️ Transcription timeout - using fallback response'.yellow);
+                  setTimeout(() => {
+                    callSession.say(`Hi ${callSession.patient.preferredName}! I heard your message. Let me help you with whatever you need.`, 1, { track: false });
+                  }, 500);
+                });
               }
-            } else {
+            } else if (voicemailTranscript) {
               // Direct contextual response without confirmation
-              if (voicemailTranscript) {
-                processGPTRequest(`[VOICEMAIL RESPONSE NEEDED] The caller just left this voicemail: '${voicemailTranscript}' - respond directly to their specific concern with immediate help. DO NOT repeat the confirmation message as that was already played.`, 0, 'user', 'voicemail-direct');
-              } else {
-                // Wait for transcription to arrive (up to 10 seconds)
-                isWaitingForVoicemailResponse = true;
-                console.log('🔄 Waiting for voicemail transcription - preventing silence detection'.blue);
-                
-                let attempts = 0;
-                const waitForTranscription = setInterval(() => {
-                  attempts++;
-                  const transcriptionData = voicemailTranscriptionCache.retrieve(callSid);
-                  
-                  if (transcriptionData && transcriptionData.transcription) {
-                    clearInterval(waitForTranscription);
-                    isWaitingForVoicemailResponse = false;
-                    // CRITICAL: Clear any existing silence timer since we're about to respond
-                    clearSilenceTimer();
-                    console.log('📖 Late transcription retrieved - generating direct contextual response'.green);
-                    
-                    // Set the voicemail context now that we have the transcript
-                    gptService.setVoicemailContext(transcriptionData.transcription);
-                    currentVoicemailTranscript = transcriptionData.transcription; // Store for conversation saving
-                    
-                    // Generate contextual response
-                    processGPTRequest(`[VOICEMAIL RESPONSE NEEDED] The caller just left this voicemail: '${transcriptionData.transcription}' - respond directly to their specific concern with immediate help. DO NOT repeat the confirmation message as that was already played.`, 0, 'user', 'voicemail-late');
-                  } else if (attempts >= 20) { // 10 seconds total wait
-                    clearInterval(waitForTranscription);
-                    isWaitingForVoicemailResponse = false;
-                    console.log('⚠️ Transcription timeout - using fallback greeting'.yellow);
-                    ttsService.generate({
-                      partialResponseIndex: null,
-                      partialResponse: 'Hi Francine! Let me help you with whatever you need.',
-                      isFinal: true
-                    }, 0);
-                  }
-                }, 500); // Check every 500ms
-              }
+              callSession.processGPTRequest(voicemailResponsePrompt(voicemailTranscript), 0, 'user', 'voicemail-direct');
+            } else {
+              waitForVoicemailTranscript((transcript) => {
+                console.log('📖 Late transcription retrieved - generating direct contextual response'.green);
+                callSession.processGPTRequest(voicemailResponsePrompt(transcript), 0, 'user', 'voicemail-late');
+              }, () => {
+                console.log('⚠️ Transcription timeout - using fallback greeting'.yellow);
+                callSession.say(`Hi ${callSession.patient.preferredName}! Let me help you with whatever you need.`, 0, { track: false });
+              });
             }
           } else {
-            // Regular mode - variety of natural greetings
-            const greetings = [
-              'Hello?',
-              'Hi Francine!',
-              'Hello Francine!',
-              'Hi there!',
-              'Hello!',
-              'Hi!',
-              'Hey there!',
-              'Hi Francine, how are you?',
-              'Hello Francine, how are you doing?',
-              'Hi, how are you?'
-            ];
-
-            // Send greeting immediately - delay is now handled by TwiML at /incoming
-            const randomGreeting = greetings[Math.floor(Math.random() * greetings.length)];
-            // CRITICAL FIX: Include isFinal: true to ensure greeting generates proper marks for tracking
-            // This prevents premature silence detection before the greeting finishes playing
-            ttsService.generate({
-              partialResponseIndex: null, 
-              partialResponse: randomGreeting, 
-              isFinal: true  // Ensures this generates marks that get tracked by markCompletionService
-            }, 0);
+            // Regular mode - send greeting immediately, delay is handled by TwiML at /incoming
+            callSession.greet();
           }
         });
       } else if (msg.event === 'media') {
@@ -1282,8 +1065,9 @@ app.ws('/connection', async (ws) => {
       } else if (msg.event === 'mark') {
         const label = msg.mark.name;
         console.log(`Twilio -> Audio completed mark (${msg.sequenceNumber}): ${label}`.red);
-        marks = marks.filter(m => m !== msg.mark.name);
-        markCompletionService.removeMark(label);
+        if (callSession) {
+          callSession.audioPlayed(label);
+        }
       } else if (msg.event === 'stop') {
         console.log(`Twilio -> Media stream ${streamSid} ended.`.underline.red);
         // Clean up the transcription service when call ends
@@ -1292,177 +1076,33 @@ app.ws('/connection', async (ws) => {
     });
 
     transcriptionService.on('utterance', async (text) => {
-      // NOTE: Do NOT clear silence timer here - utterance events can be triggered by 
+      // NOTE: Do NOT clear silence timer here - utterance events can be triggered by
       // audio processing artifacts or background noise, not actual user speech.
       // Only clear on actual transcription events.
-      
-      // This is a bit of a hack to filter out empty utterances
-      if(marks.length > 0 && text?.length > 5) {
-        console.log('Twilio -> Interruption, Clearing stream'.red);
-        
-        // Track interruption in analyzer
-        if (conversationAnalyzer) {
-          conversationAnalyzer.trackInterruption(new Date());
-        }
-        
-        ws.send(
-          JSON.stringify({
-            streamSid,
-            event: 'clear',
-          })
-        );
-        
-        // CRITICAL FIX: Clear TTS queue to prevent old responses from playing
-        if (ttsService && typeof ttsService.clearQueue === 'function') {
-          ttsService.clearQueue();
-        }
-        
-        // CRITICAL FIX: Clear StreamService buffer to prevent old audio from being sent
-        if (streamService && typeof streamService.clear === 'function') {
-          streamService.clear();
-        }
-        
-        // CRITICAL FIX: Clear GPT queue to prevent old responses from processing
-        clearGPTQueue();
-        
+      if (callSession && callSession.handleInterruption(text)) {
         // Clear transcription buffers on interruption
         transcriptionService.clearBuffers();
       }
     });
 
     transcriptionService.on('transcription', async (text) => {
-      if (!text) { return; }
-      console.log(`Interaction ${interactionCount} – STT -> GPT: ${text}`.yellow);
-      
-      // User provided input - clear silence detection only if we're waiting for response to silence
-      if (isWaitingForResponse) {
-        console.log('User provided transcription response to silence - clearing timer'.green);
-        clearSilenceTimer();
-        hasAskedIfPresent = false; // Reset since user is responsive
-      }
-      
-      // Track user utterance in analyzer
-      if (conversationAnalyzer) {
-        conversationAnalyzer.trackUserUtterance(text, new Date());
+      if (callSession) {
+        callSession.handleTranscription(text);
       }
-      
-      // Rapid input is now handled by the consolidation system in handleRapidUserInput
-      
-      processGPTRequest(text, interactionCount, 'user', 'transcription');
-      interactionCount += 1;
     });
 
     // Clean up when WebSocket closes
     ws.on('close', async () => {
       console.log('WebSocket closed, cleaning up services'.cyan);
-      
+
       // CRITICAL: Stop all processing immediately when WebSocket closes
-      
-      // Clear silence detection timer
-      clearSilenceTimer();
-      
-      // Clear all queues and stop processing
-      if (ttsService && typeof ttsService.clearQueue === 'function') {
-        ttsService.clearQueue();
-        console.log('🛑 TTS service cleared on WebSocket close'.red);
-      }
-      
-      if (streamService && typeof streamService.clear === 'function') {
-        streamService.clear();
-        console.log('🛑 StreamService buffer cleared on WebSocket close'.red);
-      }
-      
-      clearGPTQueue();
-      console.log('🛑 GPT queue cleared on WebSocket close'.red);
-      
-      // Generate and save conversation summary and messages
-      if (conversationAnalyzer) {
-        try {
-          conversationAnalyzer.endTime = new Date();
-          
-          // Calculate duration and skip save for test calls under 2 seconds
-          const duration = (conversationAnalyzer.endTime - conversationAnalyzer.startTime) / 1000;
-          if (duration < 2) {
-            console.log(`Skipping save: test call under 2 seconds (${duration}s)`.yellow);
-            return;
-          }
-          
-          const summary = summaryGenerator.generateSummary(conversationAnalyzer);
-          // Add voicemail transcript if available
-          if (currentVoicemailTranscript) {
-            summary.voicemailTranscript = currentVoicemailTranscript;
-          }
-          
-          const result = await storageService.saveSummary(summary);
-          const conversationId = result.conversationId; // String conversation ID
-          const numericId = result.numericId; // Numeric ID for messages
-          
-          console.log(`Conversation summary saved to: ${conversationId}`.green);
-          
-          // Extract and save conversation messages
-          const messages = [];
-          
-          // Add user utterances
-          conversationAnalyzer.userUtterances.forEach(utterance => {
-            messages.push({
-              role: 'user',
-              content: utterance.text,
-              timestamp: utterance.timestamp.toISOString()
-            });
-          });
-          
-          // Add assistant responses
-          conversationAnalyzer.assistantResponses.forEach(response => {
-            messages.push({
-              role: 'assistant',
-              content: response.text,
-              timestamp: response.timestamp.toISOString()
-            });
-          });
-          
-          // Sort messages by timestamp
-          messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-          
-          // Save messages to database
-          if (messages.length > 0) {
-            await storageService.saveMessages(numericId, messages);
-            console.log(`${messages.length} conversation messages saved to database`.green);
-            
-            // Analyze emotional state asynchronously to prevent WebSocket cleanup delays
-            // HIPAA COMPLIANCE: Process async emotional analysis in background without blocking
-            setImmediate(async () => {
-              try {
-                // Convert messages to the format expected by analyzeEmotionalState
-                const interactions = messages.map(msg => ({
-                  type: msg.role === 'user' ? 'user_utterance' : 'assistant_response',
-                  text: msg.content,
-                  timestamp: msg.timestamp
-                }));
-                
-                const emotionalMetrics = await gptService.analyzeEmotionalState(interactions);
-                
-                // Get database manager instance for emotional metrics
-                const dbManager = DatabaseManager.getInstance();
-                await dbManager.waitForInitialization();
-                await dbManager.saveEmotionalMetrics(numericId, emotionalMetrics);
-                
-                console.log(`Emotional metrics saved for conversation ${conversationId}`.green);
-              } catch (error) {
-                // HIPAA COMPLIANCE: Never log emotional metrics data in error messages
-                console.error('Error analyzing or saving emotional state:', error.message);
-                console.error('Failed to process emotional analysis for conversation:', conversationId);
-              }
-            });
-          }
-          
-        } catch (error) {
-          // HIPAA COMPLIANCE: Never log full error object as it may contain conversation data (PHI)
-          console.error('Error saving conversation summary or messages:', error.message);
-        }
-      }
-      
+      streamService.clear();
       transcriptionService.close();
-      markCompletionService.clearAll();
+
+      // Stops timers and queues, then saves the conversation
+      if (callSession) {
+        await callSession.end();
+      }
     });
   } catch (err) {
     console.log(err);
@@ -1511,6 +1151,9 @@ app.use('/api/admin', (error, req, res, _next) => {
 if (process.env.NODE_ENV !== 'test') {
   app.listen(PORT);
   console.log(`Server running on port ${PORT}`);
+  getCheckInScheduler().start();
+  new DigestScheduler({ databaseManager: DatabaseManager.getInstance() }).start();
+  new RetentionScheduler({ databaseManager: DatabaseManager.getInstance() }).start();
 }
 
 module.exports = app;
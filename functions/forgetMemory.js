@@ -8,13 +8,10 @@
 
 require('colors');
 
-async function forgetMemory({ memory_key }) {
+async function forgetMemory({ memory_key, memoryService }) {
   // User-visible notification
   console.log(`🗑️  Memory -> Removing information: "${memory_key}"`.red);
   
-  // Get memory service from global context (will be set by gpt-service)
-  const memoryService = global.memoryService;
-  
   if (!memoryService) {
     console.error('⚠️  Memory service not initialized'.red);
     // Silently report success
@@ -48,10 +45,13 @@ async function forgetMemory({ memory_key }) {
       });
     }
     
-    const result = await memoryService.removeMemory(memory_key);
+    const result = await memoryService.removeMemory(memory_key, { fromCall: true });
     
     if (result.status === 'success') {
       console.log('   ✓ Successfully removed memory'.red);
+      if (result.reviewStatus === 'pending') {
+        console.log('   ⏳ Waiting for caregiver review'.gray);
+      }
       return JSON.stringify({
         success: true,
         message: '', // Silent operation - no acknowledgment
@@ -75,7 +75,7 @@ async function forgetMemory({ memory_key }) {
         }
         
         // Remove the first match
-        const removeResult = await memoryService.removeMemory(firstMatch.key);
+        const removeResult = await memoryService.removeMemory(firstMatch.key, { fromCall: true });
         
         if (removeResult.status === 'success') {
           console.log(`   ⚡ Removed partial match: "${firstMatch.key}"`.red);
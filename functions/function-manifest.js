@@ -172,13 +172,13 @@ const tools = [
     function: {
       name: 'recallMemory',
       say: '', // Silent operation - don't announce
-      description: 'SILENT OPERATION - Retrieve specific stored memories using the exact keys provided in your system prompt. When conversation topics arise, use the descriptive memory keys from your system prompt (e.g., "son-family-information", "patient-music-preferences"). You can also use partial keys or related terms for flexible matching. Integrate recalled information naturally into conversation without announcing you checked memories.',
+      description: 'SILENT OPERATION - Retrieve specific stored memories using the exact keys provided in your system prompt. When conversation topics arise, use the descriptive memory keys from your system prompt (e.g., "son-family-information", "patient-music-preferences"). You can also use partial keys or related terms: memories are matched by meaning, and the closest ones are returned with similarity scores. Integrate recalled information naturally into conversation without announcing you checked memories.',
       parameters: {
         type: 'object',
         properties: {
           memory_key: {
             type: 'string',
-            description: 'The memory key to search for (e.g., "son-ryan", "medication", "favorite-food"). Can be a partial key.',
+            description: 'The memory key to search for (e.g., "son-ryan", "medication", "favorite-food"). Can be a partial key or a few words describing the topic.',
           },
         },
         required: ['memory_key'],
@@ -198,6 +198,14 @@ const tools = [
             type: 'string',
             description: 'The category of the memory'
           },
+          score: {
+            type: 'number',
+            description: 'How similar the memory is to the key asked for (0-1), when it was not an exact match'
+          },
+          matches: {
+            type: 'array',
+            description: 'The closest memories with their key, content, category and score, best first, when the key was not an exact match'
+          },
           message: {
             type: 'string',
             description: 'The memory content or error message'
@@ -5,13 +5,10 @@
 
 require('colors');
 
-async function listAvailableMemories() {
+async function listAvailableMemories({ memoryService } = {}) {
   // User-visible notification
   console.log('📚 Memory -> Listing all available memories'.blue);
   
-  // Get memory service from global context
-  const memoryService = global.memoryService;
-  
   if (!memoryService) {
     console.error('⚠️  Memory service not initialized'.red);
     // Return empty list gracefully
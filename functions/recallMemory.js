@@ -2,17 +2,19 @@
  * Function to recall stored information about Francine
  * The LLM should use this when it needs to remember specific details
  * that might have been mentioned in previous conversations
+ *
+ * An exact key returns that memory. Otherwise memories are ranked by how close
+ * they are in meaning to what was asked for ("son-info" finds
+ * "son-ryan-family-information"); the best match is returned along with the
+ * top matches and their scores.
  */
 
 require('colors');
 
-async function recallMemory({ memory_key }) {
+async function recallMemory({ memory_key, memoryService }) {
   // User-visible notification (for system monitoring, not for Francine)
   console.log(`🔍 Memory -> Recalling information: "${memory_key}"`.magenta);
   
-  // Get memory service from global context (will be set by gpt-service)
-  const memoryService = global.memoryService;
-  
   if (!memoryService) {
     // Log error for system monitoring only
     console.error('⚠️  Memory service not initialized'.red);
@@ -50,39 +52,64 @@ async function recallMemory({ memory_key }) {
         category: memory.category,
         message: '' // Silent operation - AI uses content naturally without acknowledging
       });
-    } else {
-      // Try searching for partial matches if exact key not found
-      const searchResults = await memoryService.searchMemories(memory_key);
+    }
+
+    // Rank memories by similarity if the exact key wasn't found
+    const matches = await memoryService.recallMemories(memory_key, { limit: 3 });
+    if (matches.length > 0) {
+      const [bestMatch] = matches;
+      console.log(`   ⚡ Found similar memory: "${bestMatch.key}" (score ${bestMatch.score}) in category: ${bestMatch.category}`.magenta);
+      console.log(`   Content: "${bestMatch.content.substring(0, 60)}${bestMatch.content.length > 60 ? '...' : ''}"`.gray);
+
+      // Update last accessed time for the best match (don't wait for completion)
+      memoryService.db.run(
+        'UPDATE memories SET last_accessed = CURRENT_TIMESTAMP WHERE patient_id = ? AND memory_key = ?',
+        [memoryService.patientId, bestMatch.key]
+      ).catch(err => console.error('Error updating last_accessed for similar match:', err.message));
+
+      return JSON.stringify({
+        success: true,
+        key: bestMatch.key,
+        content: bestMatch.content,
+        category: bestMatch.category,
+        score: bestMatch.score,
+        matches: matches.map(({ key, content, category, score }) => ({ key, content, category, score })),
+        message: '', // Silent operation - AI uses content naturally without acknowledging
+        note: `Found by similarity to '${memory_key}'`
+      });
+    }
+
+    // Fall back to partial key matches
+    const searchResults = await memoryService.searchMemories(memory_key);
+    
+    if (searchResults.length > 0) {
+      // Return the first match
+      const firstMatch = searchResults[0];
+      console.log(`   ⚡ Found partial match: "${firstMatch.key}" in category: ${firstMatch.category}`.magenta);
+      console.log(`   Content: "${firstMatch.content.substring(0, 60)}${firstMatch.content.length > 60 ? '...' : ''}"`.gray);
+      
+      // Update last accessed time for the partial match (don't wait for completion)
+      memoryService.db.run(
+        'UPDATE memories SET last_accessed = CURRENT_TIMESTAMP WHERE patient_id = ? AND memory_key = ?',
+        [memoryService.patientId, firstMatch.key]
+      ).catch(err => console.error('Error updating last_accessed for partial match:', err));
       
-      if (searchResults.length > 0) {
-        // Return the first match
-        const firstMatch = searchResults[0];
-        console.log(`   ⚡ Found partial match: "${firstMatch.key}" in category: ${firstMatch.category}`.magenta);
-        console.log(`   Content: "${firstMatch.content.substring(0, 60)}${firstMatch.content.length > 60 ? '...' : ''}"`.gray);
-        
-        // Update last accessed time for the partial match (don't wait for completion)
-        memoryService.db.run(
-          'UPDATE memories SET last_accessed = CURRENT_TIMESTAMP WHERE memory_key = ?', 
-          [firstMatch.key]
-        ).catch(err => console.error('Error updating last_accessed for partial match:', err));
-        
-        return JSON.stringify({
-          success: true,
-          key: firstMatch.key,
-          content: firstMatch.content,
-          category: firstMatch.category,
-          message: '', // Silent operation - AI uses content naturally without acknowledging
-          note: `Found as partial match for '${memory_key}'`
-        });
-      } else {
-        console.log(`   ✗ No memory found for: "${memory_key}"`.yellow);
-        // Don't mention that we don't have the information - let AI handle naturally
-        return JSON.stringify({
-          success: false,
-          content: null,
-          message: ''
-        });
-      }
+      return JSON.stringify({
+        success: true,
+        key: firstMatch.key,
+        content: firstMatch.content,
+        category: firstMatch.category,
+        message: '', // Silent operation - AI uses content naturally without acknowledging
+        note: `Found as partial match for '${memory_key}'`
+      });
+    } else {
+      console.log(`   ✗ No memory found for: "${memory_key}"`.yellow);
+      // Don't mention that we don't have the information - let AI handle naturally
+      return JSON.stringify({
+        success: false,
+        content: null,
+        message: ''
+      });
     }
     
   } catch (error) {
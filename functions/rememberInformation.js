@@ -10,13 +10,10 @@
 
 require('colors');
 
-async function rememberInformation({ content, category }) {
+async function rememberInformation({ content, category, memoryService }) {
   // User-visible notification
   console.log('💾 Memory -> Storing new information (auto-generating key)'.cyan);
   
-  // Get memory service from global context (will be set by gpt-service)
-  const memoryService = global.memoryService;
-  
   if (!memoryService) {
     console.error('⚠️  Memory service not initialized'.red);
     // Silently fail - AI should continue naturally
@@ -44,8 +41,8 @@ async function rememberInformation({ content, category }) {
   }
   
   try {
-    // Let memory service auto-generate the key
-    const result = await memoryService.saveMemory(null, content, category || 'general');
+    // Let memory service auto-generate the key; caregivers review it before it counts
+    const result = await memoryService.saveMemory(null, content, category || 'general', false, { fromCall: true });
     
     if (result.status === 'success') {
       // Show user what was saved with generated key
@@ -55,6 +52,9 @@ async function rememberInformation({ content, category }) {
         console.log(`   ✓ Saved new memory "${result.key}" in category: ${category || 'general'}`.cyan);
       }
       console.log(`   Content: "${content.substring(0, 60)}${content.length > 60 ? '...' : ''}"`.gray);
+      if (result.reviewStatus === 'pending') {
+        console.log('   ⏳ Waiting for caregiver review'.gray);
+      }
       
       return JSON.stringify({
         success: true,
@@ -1,7 +1,12 @@
 require('dotenv').config();
+const DatabaseManager = require('../services/database-manager');
+const CallTransferService = require('../services/call-transfer-service');
+
+const TRANSFERRED_RESPONSE = 'The call was transferred successfully, say goodbye to the caller.';
+const FAILED_RESPONSE = 'The call was not transferred successfully, advise caller to call back later.';
 
 const transferCallDeferred = async function (args) {
-  const { callSid, markCompletionService } = args;
+  const { callSid, markCompletionService, patient, persona, conversationAnalyzer, databaseManager } = args;
 
   console.log('Transfer requested, waiting for audio to complete...');
 
@@ -25,20 +30,21 @@ const transferCallDeferred = async function (args) {
     }
   }
 
-  // Now execute the actual transfer
+  // Now execute the actual transfer: dial the patient's transfer targets in order,
+  // briefing whoever answers with what the caller just said
   console.log('Transferring call', callSid);
-  const accountSid = process.env.TWILIO_ACCOUNT_SID;
-  const authToken = process.env.TWILIO_AUTH_TOKEN;
-  const client = require('twilio')(accountSid, authToken);
-
-  return await client.calls(callSid)
-    .update({twiml: `<Response><Dial>${process.env.TRANSFER_NUMBER}</Dial></Response>`})
-    .then(() => {
-      return 'The call was transferred successfully, say goodbye to the caller.';
-    })
-    .catch(() => {
-      return 'The call was not transferred successfully, advise caller to call back later.';
-    });
+  const transferService = new CallTransferService({ databaseManager: databaseManager || DatabaseManager.getInstance() });
+  const transfer = await transferService.start({
+    callSid,
+    patient,
+    persona,
+    recentUtterances: (conversationAnalyzer?.userUtterances || []).map(utterance => utterance.text)
+  });
+
+  return transfer ? TRANSFERRED_RESPONSE : FAILED_RESPONSE;
 };
 
+// Lets callers tell a failed transfer apart from a connected one
+transferCallDeferred.FAILED_RESPONSE = FAILED_RESPONSE;
+
 module.exports = transferCallDeferred;
@@ -6,13 +6,10 @@
 
 require('colors');
 
-async function updateMemory({ memory_key, updated_content, category }) {
+async function updateMemory({ memory_key, updated_content, category, memoryService }) {
   // User-visible notification
   console.log(`🔄 Memory -> Updating information: "${memory_key}"`.yellow);
   
-  // Get memory service from global context (will be set by gpt-service)
-  const memoryService = global.memoryService;
-  
   if (!memoryService) {
     console.error('⚠️  Memory service not initialized'.red);
     // Silently fail - AI should continue naturally
@@ -55,7 +52,7 @@ async function updateMemory({ memory_key, updated_content, category }) {
       }
       
       // Update existing memory with new content (preserve is_fact status)
-      const result = await memoryService.saveMemory(memory_key, updated_content, category || existingMemory.category, existingMemory.is_fact);
+      const result = await memoryService.saveMemory(memory_key, updated_content, category || existingMemory.category, existingMemory.is_fact, { fromCall: true });
       
       if (result.status === 'success') {
         console.log(`   ✓ Updated memory in category: ${category || existingMemory.category}`.yellow);
@@ -77,7 +74,7 @@ async function updateMemory({ memory_key, updated_content, category }) {
       }
     } else {
       // Memory doesn't exist yet, create it
-      const result = await memoryService.saveMemory(memory_key, updated_content, category || 'general');
+      const result = await memoryService.saveMemory(memory_key, updated_content, category || 'general', false, { fromCall: true });
       
       if (result.status === 'success') {
         console.log(`   ✓ Created new memory in category: ${category || 'general'}`.yellow);
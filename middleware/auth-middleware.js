@@ -13,10 +13,19 @@ const { v4: uuidv4 } = require('uuid');
  * - Bootstrap detection (redirect to setup if no users exist)
  * - Development mode auto-login (SECURITY: only when NODE_ENV === 'development')
  * - Graceful redirects for unauthenticated requests
- * - Audit logging for security events
+ * - Audit logging: sign-ins and admin actions are recorded by AuditService (routes/api/auth.js and the admin API routes)
  * - Rate limiting integration
+ * - Role-based access (owner, caregiver, read-only family) via requireRole
  */
 
+/**
+ * Admin user roles, from most to least privileged
+ * - owner: full access, including configuration and deleting memories
+ * - caregiver: reads everything and updates patient care data (memories, patient profiles)
+ * - family: read-only access to conversations, memories and wellbeing data
+ */
+const USER_ROLES = ['owner', 'caregiver', 'family'];
+
 /**
  * Development mode auto-login helper
  * SECURITY CRITICAL: Only works when NODE_ENV === 'development'
@@ -44,7 +53,7 @@ async function developmentAutoLogin(req) {
 
     // Get first available active user
     const user = await dbManager.get(`
-      SELECT id, email, display_name 
+      SELECT id, email, display_name, role
       FROM users 
       WHERE is_active = 1 
       ORDER BY created_at ASC 
@@ -74,7 +83,8 @@ async function developmentAutoLogin(req) {
         return {
           id: user.id,
           email: user.email,
-          displayName: user.display_name
+          displayName: user.display_name,
+          role: user.role
         };
       }
     }
@@ -114,7 +124,7 @@ async function authenticateAdmin(req, res, next) {
     const hasUsers = await checkHasUsers(dbManager);
     if (!hasUsers && !req.path.startsWith('/auth/')) {
       // Redirect to login if no admin users exist (CLI registration only)
-      return res.redirect('/admin/login');
+      return redirectToLogin(req, res, 'No admin users exist');
     }
 
     // Get session ID from cookies
@@ -124,7 +134,7 @@ async function authenticateAdmin(req, res, next) {
     if (sessionId) {
       // Validate session in database
       sessionData = await dbManager.get(`
-        SELECT us.*, u.id as user_id, u.email, u.display_name, u.is_active
+        SELECT us.*, u.id as user_id, u.email, u.display_name, u.is_active, u.role
         FROM user_sessions us
         JOIN users u ON us.user_id = u.id
         WHERE us.session_id = ? AND us.expires_at > datetime('now') AND u.is_active = 1
@@ -138,7 +148,8 @@ async function authenticateAdmin(req, res, next) {
         req.user = {
           id: autoUser.id,
           email: autoUser.email,
-          displayName: autoUser.displayName
+          displayName: autoUser.displayName,
+          role: autoUser.role
         };
         return next();
       }
@@ -168,7 +179,8 @@ async function authenticateAdmin(req, res, next) {
       id: sessionData.user_id,
       username: sessionData.username,
       email: sessionData.email,
-      displayName: sessionData.display_name
+      displayName: sessionData.display_name,
+      role: sessionData.role
     };
 
     // Log successful authentication check
@@ -199,7 +211,7 @@ async function optionalAuth(req, res, next) {
     await dbManager.waitForInitialization();
 
     const sessionData = await dbManager.get(`
-      SELECT us.*, u.id as user_id, u.email, u.display_name, u.is_active
+      SELECT us.*, u.id as user_id, u.email, u.display_name, u.is_active, u.role
       FROM user_sessions us
       JOIN users u ON us.user_id = u.id
       WHERE us.session_id = ? AND us.expires_at > datetime('now') AND u.is_active = 1
@@ -210,7 +222,8 @@ async function optionalAuth(req, res, next) {
         id: sessionData.user_id,
         username: sessionData.username,
         email: sessionData.email,
-        displayName: sessionData.display_name
+        displayName: sessionData.display_name,
+        role: sessionData.role
       };
     }
 
@@ -221,6 +234,32 @@ async function optionalAuth(req, res, next) {
   }
 }
 
+/**
+ * Role check middleware factory
+ * Mount after authenticateAdmin; rejects users whose role is not in the allowed list
+ * 
+ * @param {...string} allowedRoles - Roles permitted to use the route
+ * @returns {Function} Express middleware
+ */
+function requireRole(...allowedRoles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return redirectToLogin(req, res, 'No authenticated user');
+    }
+
+    if (!allowedRoles.includes(req.user.role)) {
+      console.log(`[Auth] Permission denied for user ${req.user.id} (${req.user.role}): ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    next();
+  };
+}
+
 /**
  * Middleware to ensure user is NOT authenticated (for login/register pages)
  */
@@ -378,7 +417,8 @@ function redirectToLogin(req, res, reason) {
   
   // For actual API requests or AJAX requests, return JSON error
   // Check for explicit API paths, XMLHttpRequest, or Fetch API headers
-  const isApiRequest = req.path.startsWith('/api/') || 
+  const isApiRequest = (req.originalUrl || req.path).startsWith('/api/') ||
+                      (req.originalUrl || req.path).startsWith('/fhir') || 
                       req.get('X-Requested-With') === 'XMLHttpRequest' ||
                       req.get('Content-Type') === 'application/json' ||
                       (req.get('Accept') && req.get('Accept').includes('application/json') && !req.get('Accept').includes('text/html'));
@@ -402,7 +442,9 @@ if (process.env.NODE_ENV !== 'test') {
 }
 
 module.exports = {
+  USER_ROLES,
   authenticateAdmin,
+  requireRole,
   optionalAuth,
   requireUnauthenticated,
   createUserSession,
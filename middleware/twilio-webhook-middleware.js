@@ -0,0 +1,123 @@
+const twilio = require('twilio');
+const DatabaseManager = require('../services/database-manager');
+
+/**
+ * Twilio Webhook Signature Middleware
+ *
+ * Verifies that call and voicemail webhooks really come from Twilio. Twilio signs
+ * every request with the account auth token over the full public URL and the POST
+ * parameters (X-Twilio-Signature). Unsigned or forged requests are rejected before
+ * they can trigger routing or inject voicemail transcripts into the GPT context.
+ *
+ * Features:
+ * - Validates X-Twilio-Signature against TWILIO_AUTH_TOKEN
+ * - Public URL from TWILIO_WEBHOOK_BASE_URL (falls back to https://SERVER)
+ * - Fails closed when no auth token is configured
+ * - Audit logs rejected requests to security_events (metadata only, never the body)
+ * - Development bypass (SECURITY: only when NODE_ENV === 'development' and
+ *   TWILIO_WEBHOOK_VALIDATION === 'false')
+ */
+
+const SIGNATURE_HEADER = 'X-Twilio-Signature';
+
+/**
+ * Public base URL Twilio is configured to call, without a trailing slash
+ * Must match the webhook URL in the Twilio console exactly, or signatures won't match
+ *
+ * @returns {string|null} Base URL, or null when neither variable is set
+ */
+function getWebhookBaseUrl() {
+  if (process.env.TWILIO_WEBHOOK_BASE_URL) {
+    return process.env.TWILIO_WEBHOOK_BASE_URL.replace(/\/+$/, '');
+  }
+  return process.env.SERVER ? `https://${process.env.SERVER}` : null;
+}
+
+/**
+ * Development bypass check
+ * SECURITY CRITICAL: Requires both development mode and an explicit opt-out
+ *
+ * @returns {boolean} True when signature validation should be skipped
+ */
+function isValidationBypassed() {
+  return process.env.NODE_ENV === 'development' &&
+    process.env.TWILIO_WEBHOOK_VALIDATION === 'false';
+}
+
+/**
+ * Sign a webhook request the way Twilio does
+ * Used by tests and local tooling to send requests that pass validation
+ *
+ * @param {string} url - Full public URL including any query string
+ * @param {Object} params - POST parameters
+ * @param {string} [authToken] - Defaults to TWILIO_AUTH_TOKEN
+ * @returns {string} Value for the X-Twilio-Signature header
+ */
+function signTwilioRequest(url, params = {}, authToken = process.env.TWILIO_AUTH_TOKEN) {
+  return twilio.getExpectedTwilioSignature(authToken, url, params);
+}
+
+/**
+ * Record a rejected webhook in the security audit log
+ * Never throws - a logging failure must not turn a 403 into a 500
+ *
+ * @param {Object} req - Express request object
+ * @param {string} reason - Why the request was rejected
+ */
+async function auditRejectedWebhook(req, reason) {
+  console.warn(`[Twilio Webhook] ⛔ Rejected ${req.method} ${req.originalUrl}: ${reason} (IP: ${req.ip})`);
+
+  try {
+    const dbManager = DatabaseManager.getInstance();
+    await dbManager.waitForInitialization();
+    await dbManager.run(
+      `INSERT INTO security_events (event_type, path, ip_address, user_agent, reason)
+       VALUES (?, ?, ?, ?, ?)`,
+      ['twilio_webhook_rejected', req.originalUrl, req.ip, req.get('User-Agent') || null, reason]
+    );
+  } catch (error) {
+    console.error('[Twilio Webhook] Error writing audit log:', error.message);
+  }
+}
+
+/**
+ * Express middleware validating the Twilio request signature
+ * Mount after the urlencoded body parser so POST parameters are available
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function validateTwilioWebhook(req, res, next) {
+  if (isValidationBypassed()) {
+    console.log(`[Twilio Webhook] ⚠️  Signature validation bypassed in development: ${req.originalUrl}`);
+    return next();
+  }
+
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const baseUrl = getWebhookBaseUrl();
+  const signature = req.get(SIGNATURE_HEADER);
+
+  let reason = null;
+  if (!authToken || !baseUrl) {
+    reason = 'validation_not_configured';
+  } else if (!signature) {
+    reason = 'missing_signature';
+  } else if (!twilio.validateRequest(authToken, signature, `${baseUrl}${req.originalUrl}`, req.body || {})) {
+    reason = 'invalid_signature';
+  }
+
+  if (reason) {
+    await auditRejectedWebhook(req, reason);
+    return res.status(403).type('text/plain').send('Forbidden');
+  }
+
+  next();
+}
+
+module.exports = {
+  validateTwilioWebhook,
+  signTwilioRequest,
+  getWebhookBaseUrl,
+  isValidationBypassed
+};
@@ -63,6 +63,28 @@ router.get('/memories', authenticateAdmin, (req, res) => {
   }
 });
 
+// Persona registry page route - protected
+router.get('/personas', authenticateAdmin, (req, res) => {
+  try {
+    const personasPath = path.join(__dirname, '..', 'admin', 'personas.html');
+    res.sendFile(personasPath);
+  } catch (error) {
+    console.error('Error serving personas page:', error);
+    res.status(500).json({ error: 'Failed to load personas page' });
+  }
+});
+
+// Audit log page route - protected (the audit API itself is owner only)
+router.get('/audit', authenticateAdmin, (req, res) => {
+  try {
+    const auditPath = path.join(__dirname, '..', 'admin', 'audit.html');
+    res.sendFile(auditPath);
+  } catch (error) {
+    console.error('Error serving audit page:', error);
+    res.status(500).json({ error: 'Failed to load audit page' });
+  }
+});
+
 // Admin login route - public (unauthenticated users only)
 router.get('/login', requireUnauthenticated, (req, res) => {
   try {
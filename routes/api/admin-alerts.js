@@ -0,0 +1,241 @@
+const express = require('express');
+const router = express.Router();
+const DatabaseManager = require('../../services/database-manager');
+const { requireRole } = require('../../middleware/auth-middleware');
+const AlertService = require('../../services/alert-service');
+const { getPatientId } = require('../../utils/patient-scope');
+
+/**
+ * Admin Caregiver Alert API Routes
+ *
+ * Lists the alerts raised for the selected patient (transfers, emergencies,
+ * high anxiety, pain or fall mentions) with where each was sent, lets owners
+ * and caregivers acknowledge them, and manages who receives them. Owners and
+ * caregivers manage recipients; family members can see alerts and recipients.
+ *
+ * All endpoints return JSON responses with standardized structure:
+ * Success: { success: true, data: {...} }
+ * Error: { success: false, error: "message" }
+ */
+
+async function getAlertService() {
+  const dbManager = DatabaseManager.getInstance();
+  await dbManager.waitForInitialization();
+  return new AlertService(dbManager);
+}
+
+/**
+ * Parse and validate the :id route parameter
+ */
+function parseId(id) {
+  const parsed = parseInt(id, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+/**
+ * GET /api/admin/alerts
+ * List the patient's alerts, newest first
+ * Query params: status ('open' | 'acknowledged' | 'all', default: 'open'), limit (default: 50, max: 200)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const status = ['open', 'acknowledged', 'all'].includes(req.query.status) ? req.query.status : 'open';
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const patientId = getPatientId(req);
+    const service = await getAlertService();
+
+    const alerts = await service.listAlerts(patientId, { status, limit });
+    const openCount = await service.countOpenAlerts(patientId);
+
+    res.json({
+      success: true,
+      data: { alerts, openCount }
+    });
+
+  } catch (error) {
+    console.error('Error fetching caregiver alerts:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/alerts/:id/acknowledge
+ * Mark an alert as handled by the signed-in user
+ */
+router.post('/:id/acknowledge', requireRole('owner', 'caregiver'), async (req, res) => {
+  try {
+    const alertId = parseId(req.params.id);
+    if (!alertId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid alert id'
+      });
+    }
+
+    const service = await getAlertService();
+    const alert = await service.acknowledge(alertId, getPatientId(req), req.user?.id);
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: alert
+    });
+
+  } catch (error) {
+    console.error('Error acknowledging caregiver alert:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/alerts/recipients
+ * List who receives the patient's alerts, including paused recipients
+ */
+router.get('/recipients', async (req, res) => {
+  try {
+    const service = await getAlertService();
+    const recipients = await service.listRecipients(getPatientId(req), { includeInactive: true });
+
+    res.json({
+      success: true,
+      data: { recipients }
+    });
+
+  } catch (error) {
+    console.error('Error fetching alert recipients:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/alerts/recipients
+ * Add an alert recipient for the patient
+ * Body: { name, channel: 'sms' | 'email' | 'webhook', address, minSeverity? }
+ */
+router.post('/recipients', requireRole('owner', 'caregiver'), async (req, res) => {
+  try {
+    const errors = AlertService.validateRecipient(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join(', ')
+      });
+    }
+
+    const service = await getAlertService();
+    const recipient = await service.createRecipient(getPatientId(req), req.body);
+
+    res.status(201).json({
+      success: true,
+      data: recipient
+    });
+
+  } catch (error) {
+    console.error('Error creating alert recipient:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/alerts/recipients/:id
+ * Update an alert recipient; only provided fields change
+ */
+router.put('/recipients/:id', requireRole('owner', 'caregiver'), async (req, res) => {
+  try {
+    const recipientId = parseId(req.params.id);
+    if (!recipientId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid recipient id'
+      });
+    }
+
+    const patientId = getPatientId(req);
+    const service = await getAlertService();
+    const existing = await service.getRecipient(recipientId, patientId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert recipient not found'
+      });
+    }
+
+    const errors = AlertService.validateRecipient({ ...existing, ...(req.body || {}) }, true);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join(', ')
+      });
+    }
+
+    const recipient = await service.updateRecipient(recipientId, patientId, req.body || {});
+
+    res.json({
+      success: true,
+      data: recipient
+    });
+
+  } catch (error) {
+    console.error('Error updating alert recipient:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/alerts/recipients/:id
+ * Remove an alert recipient; past deliveries are kept
+ */
+router.delete('/recipients/:id', requireRole('owner', 'caregiver'), async (req, res) => {
+  try {
+    const recipientId = parseId(req.params.id);
+    if (!recipientId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid recipient id'
+      });
+    }
+
+    const service = await getAlertService();
+    const deleted = await service.deleteRecipient(recipientId, getPatientId(req));
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert recipient not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { id: recipientId, deleted: true }
+    });
+
+  } catch (error) {
+    console.error('Error deleting alert recipient:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
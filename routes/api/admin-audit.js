@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const DatabaseManager = require('../../services/database-manager');
+const { requireRole } = require('../../middleware/auth-middleware');
+const AuditService = require('../../services/audit-service');
+
+/**
+ * Admin Audit Log API Routes
+ *
+ * Lists the audit log (see AuditService) with filters and checks that its
+ * hash chain is intact. Owners only.
+ *
+ * All endpoints return the standardized structure:
+ * Success: { success: true, data: {...} }
+ * Error: { success: false, error: "message" }
+ */
+
+async function getAuditService() {
+  const dbManager = DatabaseManager.getInstance();
+  await dbManager.waitForInitialization();
+  return new AuditService(dbManager);
+}
+
+/**
+ * Parse an optional date or timestamp query parameter
+ * @returns {string|null|undefined} ISO string (date-only values are kept as dates), null if absent, undefined if invalid
+ */
+function parseTime(value) {
+  if (!value) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const time = new Date(value);
+  return isNaN(time.getTime()) ? undefined : time.toISOString();
+}
+
+router.use(requireRole('owner'));
+
+/**
+ * GET /api/admin/audit
+ * Audit entries, newest first
+ * Query params: action, userId, targetType, targetId, from, to (ISO date or timestamp),
+ * page (default: 1), pageSize (default: 50, max: 200)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { action, targetType, targetId } = req.query;
+    const userId = req.query.userId ? parseInt(req.query.userId, 10) : null;
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+
+    if ((action && !AuditService.ACTIONS[action]) || Number.isNaN(userId) || from === undefined || to === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: `action must be one of: ${Object.keys(AuditService.ACTIONS).join(', ')}; userId must be a number; from and to must be dates`
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 50, 1), 200);
+
+    const service = await getAuditService();
+    const result = await service.list({ action, userId, targetType, targetId, from, to, page, pageSize });
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        actions: AuditService.ACTIONS
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching audit log:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/audit/verify
+ * Check the hash chain; reports the first entry that was changed or removed
+ */
+router.get('/verify', async (req, res) => {
+  try {
+    const service = await getAuditService();
+    const verification = await service.verify();
+
+    res.json({
+      success: true,
+      data: verification
+    });
+
+  } catch (error) {
+    console.error('Error verifying audit log:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
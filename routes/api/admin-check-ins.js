@@ -0,0 +1,199 @@
+const express = require('express');
+const router = express.Router();
+const DatabaseManager = require('../../services/database-manager');
+const { requireRole } = require('../../middleware/auth-middleware');
+const CheckInScheduleService = require('../../services/check-in-schedule-service');
+const { getPatientId } = require('../../utils/patient-scope');
+
+/**
+ * Admin Check-in Schedule API Routes
+ *
+ * Manages the recurring outbound check-in calls placed to the selected patient
+ * and lists every call attempt with its outcome. Owners and caregivers manage
+ * schedules; family members can see them and the call history.
+ *
+ * All endpoints return JSON responses with standardized structure:
+ * Success: { success: true, data: {...} }
+ * Error: { success: false, error: "message" }
+ */
+
+async function getScheduleService() {
+  const dbManager = DatabaseManager.getInstance();
+  await dbManager.waitForInitialization();
+  return new CheckInScheduleService(dbManager);
+}
+
+/**
+ * Parse and validate the :id route parameter
+ */
+function parseScheduleId(id) {
+  const parsed = parseInt(id, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+/**
+ * GET /api/admin/check-ins
+ * List the patient's check-in schedules
+ * Query params: includeInactive (default: false)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const service = await getScheduleService();
+    const schedules = await service.listSchedules(getPatientId(req), {
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: { schedules }
+    });
+
+  } catch (error) {
+    console.error('Error fetching check-in schedules:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/check-ins/attempts
+ * List recent outbound call attempts and their outcomes, newest first
+ * Query params: limit (default: 50, max: 200)
+ */
+router.get('/attempts', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const service = await getScheduleService();
+    const attempts = await service.listAttempts(getPatientId(req), { limit });
+
+    res.json({
+      success: true,
+      data: { attempts }
+    });
+
+  } catch (error) {
+    console.error('Error fetching check-in call attempts:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/check-ins
+ * Create a check-in schedule for the patient
+ * Body: { label, phoneNumber, timeOfDay: 'HH:MM', daysOfWeek?, maxAttempts?, retryDelayMinutes? }
+ */
+router.post('/', requireRole('owner', 'caregiver'), async (req, res) => {
+  try {
+    const errors = CheckInScheduleService.validate(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join(', ')
+      });
+    }
+
+    const service = await getScheduleService();
+    const schedule = await service.createSchedule(getPatientId(req), req.body);
+
+    res.status(201).json({
+      success: true,
+      data: schedule
+    });
+
+  } catch (error) {
+    console.error('Error creating check-in schedule:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/check-ins/:id
+ * Update a check-in schedule; only provided fields change
+ */
+router.put('/:id', requireRole('owner', 'caregiver'), async (req, res) => {
+  try {
+    const scheduleId = parseScheduleId(req.params.id);
+    if (!scheduleId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid schedule id'
+      });
+    }
+
+    const errors = CheckInScheduleService.validate(req.body || {}, true);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join(', ')
+      });
+    }
+
+    const service = await getScheduleService();
+    const schedule = await service.updateSchedule(scheduleId, getPatientId(req), req.body);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Check-in schedule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: schedule
+    });
+
+  } catch (error) {
+    console.error('Error updating check-in schedule:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/check-ins/:id
+ * Delete a check-in schedule; past call attempts are kept
+ */
+router.delete('/:id', requireRole('owner', 'caregiver'), async (req, res) => {
+  try {
+    const scheduleId = parseScheduleId(req.params.id);
+    if (!scheduleId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid schedule id'
+      });
+    }
+
+    const service = await getScheduleService();
+    const deleted = await service.deleteSchedule(scheduleId, getPatientId(req));
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Check-in schedule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { id: scheduleId, deleted: true }
+    });
+
+  } catch (error) {
+    console.error('Error deleting check-in schedule:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
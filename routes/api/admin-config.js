@@ -1,151 +1,51 @@
 const express = require('express');
 const router = express.Router();
+const DatabaseManager = require('../../services/database-manager');
+const { requireRole } = require('../../middleware/auth-middleware');
+const ConfigService = require('../../services/config-service');
+const AuditService = require('../../services/audit-service');
 
 /**
  * Admin Configuration API Routes
  * 
  * Provides endpoints for system configuration management and health monitoring
  * Handles configuration retrieval, updates, and system health checks
+ * 
+ * Configuration is persisted by ConfigService in the settings table and read
+ * by each call when it starts; every change is recorded in the config history
+ * and, by section, in the audit log.
  */
 
-// In-memory configuration store (in production, this would be in a database)
-let systemConfig = {
-  ai: {
-    model: 'gpt-4',
-    maxTokens: 150,
-    temperature: 0.7,
-    systemPromptEnabled: true,
-    functionCallingEnabled: true,
-    maxConversationHistory: 10
-  },
-  voice: {
-    provider: 'deepgram',
-    model: process.env.VOICE_MODEL || 'aura-asteria-en',
-    speed: 1.0,
-    pitch: 1.0,
-    responseChunking: true,
-    chunkDelimiter: '•'
-  },
-  call: {
-    maxDuration: 1800, // 30 minutes
-    recordingEnabled: process.env.RECORDING_ENABLED === 'true',
-    greetingEnabled: true,
-    interruptionHandling: true,
-    maxInterruptions: 5
-  },
-  security: {
-    rateLimitEnabled: true,
-    maxCallsPerHour: 60,
-    allowedNumbers: ['*'], // '*' means all numbers allowed
-    blockedNumbers: [],
-    adminAuthRequired: false // Placeholder for future auth
-  },
-  monitoring: {
-    loggingLevel: 'info',
-    metricsEnabled: true,
-    alertingEnabled: false,
-    healthCheckInterval: 60000 // 1 minute
-  },
-  system: {
-    environment: process.env.NODE_ENV || 'development',
-    timezone: 'America/New_York',
-    maintenanceMode: false,
-    debugMode: false
-  }
-};
-
-// Configuration validation schemas
-const configSchema = {
-  ai: {
-    model: { type: 'string', allowed: ['gpt-4', 'gpt-3.5-turbo'] },
-    maxTokens: { type: 'number', min: 50, max: 500 },
-    temperature: { type: 'number', min: 0, max: 1 },
-    systemPromptEnabled: { type: 'boolean' },
-    functionCallingEnabled: { type: 'boolean' },
-    maxConversationHistory: { type: 'number', min: 1, max: 50 }
-  },
-  voice: {
-    provider: { type: 'string', allowed: ['deepgram', 'elevenlabs'] },
-    model: { type: 'string' },
-    speed: { type: 'number', min: 0.5, max: 2.0 },
-    pitch: { type: 'number', min: 0.5, max: 2.0 },
-    responseChunking: { type: 'boolean' },
-    chunkDelimiter: { type: 'string', maxLength: 5 }
-  },
-  call: {
-    maxDuration: { type: 'number', min: 60, max: 3600 },
-    recordingEnabled: { type: 'boolean' },
-    greetingEnabled: { type: 'boolean' },
-    interruptionHandling: { type: 'boolean' },
-    maxInterruptions: { type: 'number', min: 1, max: 20 }
-  }
-};
-
-// Validation helper function
-const validateConfig = (config, schema) => {
-  const errors = [];
-  
-  for (const [section, sectionConfig] of Object.entries(config)) {
-    if (!schema[section]) continue;
-    
-    for (const [key, value] of Object.entries(sectionConfig)) {
-      const rules = schema[section][key];
-      if (!rules) continue;
-      
-      // Type validation
-      if (rules.type && typeof value !== rules.type) {
-        errors.push(`${section}.${key}: Expected ${rules.type}, got ${typeof value}`);
-        continue;
-      }
-      
-      // Range validation for numbers
-      if (rules.type === 'number') {
-        if (rules.min !== undefined && value < rules.min) {
-          errors.push(`${section}.${key}: Value ${value} is below minimum ${rules.min}`);
-        }
-        if (rules.max !== undefined && value > rules.max) {
-          errors.push(`${section}.${key}: Value ${value} is above maximum ${rules.max}`);
-        }
-      }
-      
-      // String length validation
-      if (rules.type === 'string' && rules.maxLength && value.length > rules.maxLength) {
-        errors.push(`${section}.${key}: String length ${value.length} exceeds maximum ${rules.maxLength}`);
-      }
-      
-      // Allowed values validation
-      if (rules.allowed && !rules.allowed.includes(value)) {
-        errors.push(`${section}.${key}: Value "${value}" not in allowed values: ${rules.allowed.join(', ')}`);
-      }
-    }
-  }
-  
-  return errors;
-};
+async function getConfigService() {
+  const dbManager = DatabaseManager.getInstance();
+  await dbManager.waitForInitialization();
+  return new ConfigService(dbManager);
+}
 
 // GET /api/admin/config - Get system configuration
-router.get('/config', (req, res) => {
+router.get('/config', async (req, res) => {
   try {
     const section = req.query.section; // Optional: get specific section
+    const config = await (await getConfigService()).getConfig();
     
     if (section) {
-      if (systemConfig[section]) {
+      if (config[section]) {
         res.json({
           success: true,
-          data: { [section]: systemConfig[section] },
+          data: { [section]: config[section] },
           timestamp: new Date().toISOString()
         });
       } else {
         res.status(404).json({
           success: false,
           error: `Configuration section '${section}' not found`,
-          availableSections: Object.keys(systemConfig)
+          availableSections: Object.keys(config)
         });
       }
     } else {
       res.json({
         success: true,
-        data: systemConfig,
+        data: config,
         timestamp: new Date().toISOString()
       });
     }
@@ -161,7 +61,7 @@ router.get('/config', (req, res) => {
 });
 
 // PUT /api/admin/config - Update configuration
-router.put('/config', (req, res) => {
+router.put('/config', requireRole('owner'), async (req, res) => {
   try {
     const updates = req.body;
     
@@ -174,7 +74,7 @@ router.put('/config', (req, res) => {
     }
     
     // Validate the configuration updates
-    const validationErrors = validateConfig(updates, configSchema);
+    const validationErrors = ConfigService.validateConfig(updates);
     if (validationErrors.length > 0) {
       return res.status(400).json({
         success: false,
@@ -184,37 +84,25 @@ router.put('/config', (req, res) => {
       });
     }
     
-    // Apply the updates (deep merge)
-    const previousConfig = JSON.parse(JSON.stringify(systemConfig)); // Backup
-    
-    for (const [section, sectionUpdates] of Object.entries(updates)) {
-      if (systemConfig[section]) {
-        systemConfig[section] = {
-          ...systemConfig[section],
-          ...sectionUpdates
-        };
-      } else {
-        // New section
-        systemConfig[section] = sectionUpdates;
-      }
-    }
+    // Persist the updates (deep merge) and record them in the change history
+    const service = await getConfigService();
+    const { current } = await service.updateConfig(updates, req.session?.email || 'admin');
+    await AuditService.logRequest(req, 'config_changed', {
+      targetType: 'config',
+      details: { sections: Object.keys(updates) }
+    });
     
     res.json({
       success: true,
       message: 'Configuration updated successfully',
       data: {
         updated: updates,
-        current: systemConfig
+        current
       },
       timestamp: new Date().toISOString()
     });
     
-    // Log the configuration change
-    console.log('Admin configuration updated:', {
-      timestamp: new Date().toISOString(),
-      updates: updates,
-      previousConfig: previousConfig
-    });
+    console.log(`Admin configuration updated: ${Object.keys(updates).join(', ')}`);
     
   } catch (error) {
     console.error('Error updating configuration:', error);
@@ -226,46 +114,71 @@ router.put('/config', (req, res) => {
   }
 });
 
+// GET /api/admin/config/history - Recent configuration changes, newest first
+router.get('/config/history', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const history = await (await getConfigService()).getHistory({
+      section: req.query.section || null,
+      limit
+    });
+    
+    res.json({
+      success: true,
+      data: { history },
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error fetching configuration history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch configuration history',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // PATCH /api/admin/config/:section - Update specific configuration section
-router.patch('/config/:section', (req, res) => {
+router.patch('/config/:section', requireRole('owner'), async (req, res) => {
   try {
     const { section } = req.params;
     const updates = req.body;
     
-    if (!systemConfig[section]) {
+    if (!ConfigService.DEFAULT_CONFIG[section]) {
       return res.status(404).json({
         success: false,
         error: `Configuration section '${section}' not found`,
-        availableSections: Object.keys(systemConfig)
+        availableSections: Object.keys(ConfigService.DEFAULT_CONFIG)
       });
     }
     
     // Validate section-specific updates
-    if (configSchema[section]) {
-      const validationErrors = validateConfig({ [section]: updates }, configSchema);
-      if (validationErrors.length > 0) {
-        return res.status(400).json({
-          success: false,
-          error: 'Configuration validation failed',
-          details: validationErrors,
-          timestamp: new Date().toISOString()
-        });
-      }
+    const validationErrors = ConfigService.validateConfig({ [section]: updates });
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Configuration validation failed',
+        details: validationErrors,
+        timestamp: new Date().toISOString()
+      });
     }
     
-    const previousSection = { ...systemConfig[section] };
-    systemConfig[section] = {
-      ...systemConfig[section],
-      ...updates
-    };
+    const service = await getConfigService();
+    const { previous, current } = await service.updateConfig({ [section]: updates }, req.session?.email || 'admin');
+    await AuditService.logRequest(req, 'config_changed', {
+      targetType: 'config',
+      targetId: section,
+      details: { sections: [section] }
+    });
     
     res.json({
       success: true,
       message: `Configuration section '${section}' updated successfully`,
       data: {
         section: section,
-        previous: previousSection,
-        current: systemConfig[section]
+        previous: previous[section],
+        current: current[section]
       },
       timestamp: new Date().toISOString()
     });
@@ -281,7 +194,7 @@ router.patch('/config/:section', (req, res) => {
 });
 
 // GET /api/admin/health - System health check
-router.get('/health', (req, res) => {
+router.get('/health', async (req, res) => {
   try {
     const now = new Date();
     const detailed = req.query.detailed === 'true';
@@ -296,6 +209,8 @@ router.get('/health', (req, res) => {
     };
     
     if (detailed) {
+      const systemConfig = await (await getConfigService()).getConfig();
+
       // Detailed health information
       healthData.details = {
         memory: {
@@ -377,7 +292,7 @@ router.get('/health', (req, res) => {
 });
 
 // POST /api/admin/maintenance - Toggle maintenance mode
-router.post('/maintenance', (req, res) => {
+router.post('/maintenance', requireRole('owner'), async (req, res) => {
   try {
     const { enabled } = req.body;
     
@@ -389,7 +304,13 @@ router.post('/maintenance', (req, res) => {
       });
     }
     
-    systemConfig.system.maintenanceMode = enabled;
+    const service = await getConfigService();
+    await service.updateConfig({ system: { maintenanceMode: enabled } }, req.session?.email || 'admin');
+    await AuditService.logRequest(req, 'config_changed', {
+      targetType: 'config',
+      targetId: 'system',
+      details: { sections: ['system'], maintenanceMode: enabled }
+    });
     
     res.json({
       success: true,
@@ -418,8 +339,8 @@ router.get('/config/schema', (req, res) => {
     res.json({
       success: true,
       data: {
-        schema: configSchema,
-        sections: Object.keys(systemConfig),
+        schema: ConfigService.CONFIG_SCHEMA,
+        sections: Object.keys(ConfigService.DEFAULT_CONFIG),
         description: 'Configuration schema for validation and UI generation'
       },
       timestamp: new Date().toISOString()
@@ -10,6 +10,9 @@
  * - GET /api/admin/dashboard/mental-state - Mental state indicators over time
  * - GET /api/admin/dashboard/care-indicators - Care-related metrics
  * - GET /api/admin/dashboard/conversation-trends - Call patterns and trends
+ *
+ * All endpoints report on the patient selected by the `patientId` query param
+ * (default patient when omitted).
  */
 
 const express = require('express');
@@ -17,11 +20,21 @@ const router = express.Router();
 const DashboardDataService = require('../../services/dashboard-data-service');
 const DatabaseManager = require('../../services/database-manager');
 const TimezoneUtils = require('../../utils/timezone-utils');
+const { getPatientId } = require('../../utils/patient-scope');
 
 // Initialize services using singleton pattern for consistent database access
 // This ensures SQLITE_DB_PATH environment variable is honored consistently
 const dbManager = DatabaseManager.getInstance();
-const dashboardService = new DashboardDataService(dbManager);
+
+// One dashboard service per patient so the initialization promise is shared
+const dashboardServices = new Map();
+
+function getDashboardService(patientId) {
+  if (!dashboardServices.has(patientId)) {
+    dashboardServices.set(patientId, new DashboardDataService(dbManager, patientId));
+  }
+  return dashboardServices.get(patientId);
+}
 
 // Get configured timezone from environment
 const CONFIGURED_TIMEZONE = process.env.TIMEZONE || 'America/Los_Angeles';
@@ -33,11 +46,12 @@ const CONFIGURED_TIMEZONE = process.env.TIMEZONE || 'America/Los_Angeles';
  */
 router.get('/overview', async (req, res) => {
   try {
+    const dashboardService = getDashboardService(getPatientId(req));
     const overview = await dashboardService.getOverviewStats();
     
     // Get recent conversations and alerts for the dashboard
-    const recentConversations = await getRecentConversations(dashboardService.db);
-    const alerts = await getCriticalAlerts(dashboardService.db);
+    const recentConversations = await getRecentConversations(dashboardService.db, dashboardService.patientId);
+    const alerts = await getCriticalAlerts(dashboardService.db, dashboardService.patientId);
     
     res.json({
       success: true,
@@ -91,6 +105,7 @@ router.get('/overview', async (req, res) => {
  */
 router.get('/mental-state', async (req, res) => {
   try {
+    const dashboardService = getDashboardService(getPatientId(req));
     const days = Math.min(parseInt(req.query.days) || 7, 90);
     const mentalStateData = await dashboardService.getMentalStateIndicators(days);
     
@@ -157,6 +172,7 @@ router.get('/mental-state', async (req, res) => {
  */
 router.get('/care-indicators', async (req, res) => {
   try {
+    const dashboardService = getDashboardService(getPatientId(req));
     const days = Math.min(parseInt(req.query.days) || 30, 180);
     const careData = await dashboardService.getCareIndicators(days);
     
@@ -246,6 +262,7 @@ router.get('/care-indicators', async (req, res) => {
  */
 router.get('/conversation-trends', async (req, res) => {
   try {
+    const dashboardService = getDashboardService(getPatientId(req));
     const days = Math.min(parseInt(req.query.days) || 30, 365);
     const trendsData = await dashboardService.getConversationTrends(days);
     
@@ -347,6 +364,7 @@ router.get('/conversation-trends', async (req, res) => {
  */
 router.get('/positive-insights', async (req, res) => {
   try {
+    const dashboardService = getDashboardService(getPatientId(req));
     const days = Math.min(parseInt(req.query.days) || 7, 90);
     const positiveInsights = await dashboardService.getPositiveInsights(days);
     
@@ -382,6 +400,7 @@ router.get('/positive-insights', async (req, res) => {
  */
 router.get('/real-time', async (req, res) => {
   try {
+    const dashboardService = getDashboardService(getPatientId(req));
     const [overview, mentalState, careIndicators] = await Promise.all([
       dashboardService.getOverviewStats(),
       dashboardService.getMentalStateIndicators(1), // Last 24 hours
@@ -558,7 +577,7 @@ function _generateTrendData(dailyPatterns, indicatorType) {
 /**
  * Helper function to get recent conversations
  */
-async function getRecentConversations(dbManager) {
+async function getRecentConversations(dbManager, patientId) {
   try {
     const sql = `
       SELECT 
@@ -581,11 +600,12 @@ async function getRecentConversations(dbManager) {
       FROM conversations c
       LEFT JOIN emotional_metrics em ON c.id = em.conversation_id
       LEFT JOIN summaries s ON c.id = s.conversation_id
+      WHERE c.patient_id = ?
       ORDER BY c.start_time DESC
       LIMIT 5
     `;
     
-    const conversations = await dbManager.all(sql);
+    const conversations = await dbManager.all(sql, [patientId]);
     
     return conversations.map(conv => ({
       id: conv.id,
@@ -615,7 +635,7 @@ async function getRecentConversations(dbManager) {
 /**
  * Helper function to get critical alerts
  */
-async function getCriticalAlerts(dbManager) {
+async function getCriticalAlerts(dbManager, patientId) {
   try {
     const alerts = [];
     const yesterday = new Date(Date.now() - (24 * 60 * 60 * 1000)).toISOString();
@@ -626,8 +646,8 @@ async function getCriticalAlerts(dbManager) {
       SELECT COUNT(*) as count
       FROM conversations c
       JOIN emotional_metrics em ON c.id = em.conversation_id
-      WHERE c.start_time >= ? AND em.anxiety_level >= 8
-    `, [yesterday]);
+      WHERE c.patient_id = ? AND c.start_time >= ? AND em.anxiety_level >= 8
+    `, [patientId, yesterday]);
     
     if ((highAnxietyCount?.count || 0) >= 2) {
       alerts.push({
@@ -646,8 +666,8 @@ async function getCriticalAlerts(dbManager) {
       SELECT COUNT(*) as count, MAX(c.start_time) as last_mention
       FROM conversations c
       JOIN emotional_metrics em ON c.id = em.conversation_id
-      WHERE c.start_time >= ? AND em.mentions_pain = 1
-    `, [week]);
+      WHERE c.patient_id = ? AND c.start_time >= ? AND em.mentions_pain = 1
+    `, [patientId, week]);
     
     if ((painMentions?.count || 0) > 0) {
       alerts.push({
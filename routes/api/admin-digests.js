@@ -0,0 +1,233 @@
+const express = require('express');
+const router = express.Router();
+const DatabaseManager = require('../../services/database-manager');
+const { requireRole } = require('../../middleware/auth-middleware');
+const DigestService = require('../../services/digest-service');
+const DigestRenderer = require('../../services/digest-renderer');
+const AuditService = require('../../services/audit-service');
+const { getPatientId } = require('../../utils/patient-scope');
+
+/**
+ * Admin Family Digest API Routes
+ *
+ * Previews the selected patient's daily and weekly digests (the emails the
+ * digest scheduler sends) and manages who receives them. Anyone signed in can
+ * preview and see recipients; owners and caregivers manage recipients.
+ *
+ * JSON endpoints return the standardized structure:
+ * Success: { success: true, data: {...} }
+ * Error: { success: false, error: "message" }
+ *
+ * GET /api/admin/digests/preview returns the digest itself as HTML (default),
+ * a PDF download (format=pdf) or the report data (format=json). Downloads are
+ * recorded in the audit log.
+ */
+
+async function getDigestService() {
+  const dbManager = DatabaseManager.getInstance();
+  await dbManager.waitForInitialization();
+  return new DigestService(dbManager);
+}
+
+/**
+ * Parse and validate the :id route parameter
+ */
+function parseId(id) {
+  const parsed = parseInt(id, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+/**
+ * GET /api/admin/digests/preview
+ * The patient's most recent complete daily or weekly digest
+ * Query params: period ('daily' | 'weekly', default: 'weekly'), format ('html' | 'pdf' | 'json', default: 'html')
+ */
+router.get('/preview', async (req, res) => {
+  try {
+    const period = req.query.period || 'weekly';
+    const format = req.query.format || 'html';
+    if (!DigestService.PERIODS.includes(period) || !['html', 'pdf', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `period must be one of: ${DigestService.PERIODS.join(', ')}; format must be one of: html, pdf, json`
+      });
+    }
+
+    const service = await getDigestService();
+    const report = await service.buildReport(getPatientId(req), period);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Patient not found'
+      });
+    }
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: { subject: DigestRenderer.subject(report), report }
+      });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    if (format === 'pdf') {
+      await AuditService.logRequest(req, 'data_exported', {
+        targetType: 'digest',
+        targetId: period,
+        patientId: getPatientId(req),
+        details: { format }
+      });
+      res.set('Content-Type', 'application/pdf');
+      res.attachment(DigestRenderer.filename(report, 'pdf'));
+      return res.send(DigestRenderer.renderPdf(report));
+    }
+    res.type('html').send(DigestRenderer.renderHtml(report));
+
+  } catch (error) {
+    console.error('Error building digest preview:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/digests/recipients
+ * List who receives the patient's digests, including paused recipients
+ */
+router.get('/recipients', async (req, res) => {
+  try {
+    const service = await getDigestService();
+    const recipients = await service.listRecipients(getPatientId(req));
+
+    res.json({
+      success: true,
+      data: { recipients }
+    });
+
+  } catch (error) {
+    console.error('Error fetching digest recipients:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/digests/recipients
+ * Add a digest recipient for the patient
+ * Body: { name, email, frequency: 'daily' | 'weekly' }
+ */
+router.post('/recipients', requireRole('owner', 'caregiver'), async (req, res) => {
+  try {
+    const errors = DigestService.validateRecipient(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join(', ')
+      });
+    }
+
+    const service = await getDigestService();
+    const recipient = await service.createRecipient(getPatientId(req), req.body);
+
+    res.status(201).json({
+      success: true,
+      data: recipient
+    });
+
+  } catch (error) {
+    console.error('Error creating digest recipient:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/digests/recipients/:id
+ * Update a digest recipient; only provided fields change
+ * Body: { name?, email?, frequency?, isActive? }
+ */
+router.put('/recipients/:id', requireRole('owner', 'caregiver'), async (req, res) => {
+  try {
+    const recipientId = parseId(req.params.id);
+    if (!recipientId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid recipient id'
+      });
+    }
+
+    const errors = DigestService.validateRecipient(req.body || {}, true);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join(', ')
+      });
+    }
+
+    const service = await getDigestService();
+    const recipient = await service.updateRecipient(recipientId, getPatientId(req), req.body || {});
+    if (!recipient) {
+      return res.status(404).json({
+        success: false,
+        error: 'Digest recipient not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: recipient
+    });
+
+  } catch (error) {
+    console.error('Error updating digest recipient:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/digests/recipients/:id
+ * Remove a digest recipient
+ */
+router.delete('/recipients/:id', requireRole('owner', 'caregiver'), async (req, res) => {
+  try {
+    const recipientId = parseId(req.params.id);
+    if (!recipientId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid recipient id'
+      });
+    }
+
+    const service = await getDigestService();
+    const deleted = await service.deleteRecipient(recipientId, getPatientId(req));
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Digest recipient not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { id: recipientId, deleted: true }
+    });
+
+  } catch (error) {
+    console.error('Error deleting digest recipient:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
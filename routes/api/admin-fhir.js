@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const DatabaseManager = require('../../services/database-manager');
+const FhirService = require('../../services/fhir-service');
+const AuditService = require('../../services/audit-service');
+const { getPatientId } = require('../../utils/patient-scope');
+
+/**
+ * Admin FHIR Export API Routes
+ *
+ * Downloads the selected patient's calls, emotional metrics and care
+ * indicators between two dates as a FHIR R4 collection Bundle (see
+ * FhirService) to hand to the facility's clinical systems. Downloads are
+ * recorded in the audit log.
+ *
+ * Errors return the standardized structure:
+ * Error: { success: false, error: "message" }
+ */
+
+/**
+ * Parse a 'YYYY-MM-DD' query parameter
+ * @returns {string|null} The date, or null if missing or invalid
+ */
+function parseDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(Date.parse(value)) ? value : null;
+}
+
+/**
+ * GET /api/admin/fhir/bundle
+ * Download a FHIR Bundle of calls on local dates from..to (inclusive)
+ * Query params: from, to ('YYYY-MM-DD', required)
+ */
+router.get('/bundle', async (req, res) => {
+  try {
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (!from || !to || from > to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to are required dates (YYYY-MM-DD), with from on or before to'
+      });
+    }
+
+    const dbManager = DatabaseManager.getInstance();
+    await dbManager.waitForInitialization();
+    const patientId = getPatientId(req);
+    const bundle = await new FhirService(dbManager).buildBundle(patientId, {
+      from,
+      to,
+      baseUrl: `${req.protocol}://${req.get('host')}/fhir`
+    });
+    if (!bundle) {
+      return res.status(404).json({
+        success: false,
+        error: 'Patient not found'
+      });
+    }
+
+    const problems = FhirService.validate(bundle);
+    if (problems.length > 0) {
+      console.error('Invalid FHIR bundle:', problems.join('; '));
+      return res.status(500).json({
+        success: false,
+        error: 'The export failed FHIR validation'
+      });
+    }
+
+    await AuditService.logRequest(req, 'data_exported', {
+      targetType: 'patient',
+      targetId: patientId,
+      patientId,
+      details: { format: 'fhir', from, to, resources: bundle.entry.length }
+    });
+
+    res.set('Cache-Control', 'no-store');
+    res.attachment(`fhir-patient-${patientId}-${from}-to-${to}.json`);
+    res.set('Content-Type', FhirService.CONTENT_TYPE);
+    res.send(JSON.stringify(bundle, null, 2));
+
+  } catch (error) {
+    // HIPAA COMPLIANCE: Never log full error object as it may contain patient data (PHI)
+    console.error('Error exporting FHIR bundle:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const DatabaseManager = require('../../services/database-manager');
+const { requireRole } = require('../../middleware/auth-middleware');
+const LiveCallMonitor = require('../../services/live-call-monitor');
+const CallGuidanceService = require('../../services/call-guidance-service');
+const AuditService = require('../../services/audit-service');
+const { getPatientId } = require('../../utils/patient-scope');
+
+/**
+ * Admin Live Call Monitor API Routes
+ *
+ * Lets caregivers follow the selected patient's calls while they happen: who
+ * is on the line, the rolling transcript, function calls, interruptions and
+ * silence check-ins, and send the companion private guidance mid-call. Live
+ * transcripts and guidance are limited to owners and caregivers.
+ *
+ * GET /api/admin/live returns the standardized JSON structure:
+ * Success: { success: true, data: {...} }
+ * Error: { success: false, error: "message" }
+ *
+ * GET /api/admin/live/stream is a Server-Sent Events stream. It opens with a
+ * `snapshot` event of the active calls, then sends each live event as a
+ * default `message` (see LiveCallMonitor for the event shapes). Opening the
+ * stream is recorded in the audit log.
+ */
+
+// Keeps proxies from closing an idle stream between calls
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+router.use(requireRole('owner', 'caregiver'));
+
+/**
+ * GET /api/admin/live
+ * Calls in progress for the patient with their recent transcript
+ */
+router.get('/', (req, res) => {
+  try {
+    const calls = LiveCallMonitor.getInstance().getActiveCalls(getPatientId(req));
+
+    res.json({
+      success: true,
+      data: { calls }
+    });
+
+  } catch (error) {
+    console.error('Error fetching live calls:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/live/stream
+ * Push live call events for the patient until the dashboard disconnects
+ */
+router.get('/stream', async (req, res) => {
+  const monitor = LiveCallMonitor.getInstance();
+  const patientId = getPatientId(req);
+
+  // Following live transcripts is recorded in the audit log
+  await AuditService.logRequest(req, 'conversation_viewed', {
+    targetType: 'patient',
+    targetId: patientId,
+    patientId,
+    details: { source: 'live' }
+  });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, name = null) => {
+    res.write(`${name ? `event: ${name}\n` : ''}data: ${JSON.stringify(event)}\n\n`);
+  };
+
+  send({ calls: monitor.getActiveCalls(patientId) }, 'snapshot');
+  const unsubscribe = monitor.subscribe(patientId, event => send(event));
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+/**
+ * POST /api/admin/live/:callSid/guidance
+ * Send private guidance into a call in progress; it is logged with the sender
+ * Body: { message }
+ */
+router.post('/:callSid/guidance', async (req, res) => {
+  try {
+    const errors = CallGuidanceService.validate(req.body?.message);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join(', ')
+      });
+    }
+
+    const patientId = getPatientId(req);
+    const session = LiveCallMonitor.getInstance().getSession(req.params.callSid, patientId);
+    const message = req.body.message.trim();
+    const sentBy = req.user?.displayName || req.user?.email || 'Caregiver';
+    if (!session || !session.addCaregiverGuidance(message, sentBy)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call is not in progress'
+      });
+    }
+
+    const dbManager = DatabaseManager.getInstance();
+    const guidance = await new CallGuidanceService(dbManager).record({
+      callSid: req.params.callSid,
+      patientId,
+      user: req.user,
+      message
+    });
+
+    res.status(201).json({
+      success: true,
+      data: guidance
+    });
+
+  } catch (error) {
+    console.error('Error sending call guidance:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
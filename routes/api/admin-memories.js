@@ -1,8 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const DatabaseManager = require('../../services/database-manager');
+const { requireRole } = require('../../middleware/auth-middleware');
 const MemoryService = require('../../services/memory-service');
 const { GptService } = require('../../services/gpt-service');
+const PatientService = require('../../services/patient-service');
+const { getPatientId } = require('../../utils/patient-scope');
+const AuditService = require('../../services/audit-service');
 
 /**
  * Admin Memory Management API Routes
@@ -10,24 +14,37 @@ const { GptService } = require('../../services/gpt-service');
  * Provides comprehensive endpoints for managing memories in the compassionate AI companion system.
  * These memories help personalize interactions with elderly users who have dementia.
  * 
+ * All endpoints are scoped to one patient via the `patientId` query parameter
+ * (defaults to the primary patient).
+ *
+ * Memories the companion saves during calls wait in a review queue
+ * (GET /review) until a caregiver approves, edits or rejects them.
+ * Memories entered here are approved as they are saved.
+ *
+ * Every change is kept in the memory's history (GET /:key/history), recorded
+ * against the signed-in user, and any version can be restored from it,
+ * including memories that were deleted (GET /deleted). Creates, edits and
+ * deletes are also recorded in the audit log.
+ * 
  * All endpoints return JSON responses with standardized structure:
  * Success: { success: true, data: {...} }
  * Error: { success: false, error: "message" }
  */
 
-// Initialize services - will be created on demand
-let memoryService;
-let gptService;
+// Initialize services - will be created on demand, one per patient
+const memoryServices = new Map();
 
-async function getMemoryService() {
-  if (!memoryService) {
+async function getMemoryService(patientId = PatientService.DEFAULT_PATIENT_ID) {
+  if (!memoryServices.has(patientId)) {
     const dbManager = DatabaseManager.getInstance();
     await dbManager.waitForInitialization();
     
     // Create GPT service for key generation only if OPENAI_API_KEY is available
+    let gptService = null;
     if (process.env.OPENAI_API_KEY) {
       try {
-        gptService = new GptService(null, null, null, dbManager);
+        const patient = await new PatientService(dbManager).getPatient(patientId);
+        gptService = new GptService(null, null, null, dbManager, 'jessica', patient);
       } catch (error) {
         console.warn('Failed to create GPT service for admin memories:', error.message);
         gptService = null;
@@ -35,7 +52,7 @@ async function getMemoryService() {
     }
     
     // Create memory service with or without GPT service
-    memoryService = new MemoryService(dbManager, gptService);
+    const memoryService = new MemoryService(dbManager, gptService, patientId);
     
     // Set memory service reference in GPT service if available
     if (gptService) {
@@ -43,8 +60,9 @@ async function getMemoryService() {
     }
     
     await memoryService.initialize();
+    memoryServices.set(patientId, memoryService);
   }
-  return memoryService;
+  return memoryServices.get(patientId);
 }
 
 /**
@@ -60,8 +78,19 @@ function normalizeKey(key) {
  * Reset cached services (for testing)
  */
 function resetServices() {
-  memoryService = null;
-  gptService = null;
+  memoryServices.clear();
+}
+
+/**
+ * Record a change to a memory in the audit log
+ */
+function auditMemory(req, action, key, details = null) {
+  return AuditService.logRequest(req, action, {
+    targetType: 'memory',
+    targetId: key,
+    patientId: getPatientId(req),
+    details
+  });
 }
 
 /**
@@ -86,21 +115,24 @@ router.get('/', async (req, res) => {
   try {
     const { limit, offset } = validatePagination(req.query.limit, req.query.offset);
     
+    const patientId = getPatientId(req);
+    
     const dbManager = DatabaseManager.getInstance();
     await dbManager.waitForInitialization();
     
     // Get total count
-    const countResult = await dbManager.get('SELECT COUNT(*) as total FROM memories');
+    const countResult = await dbManager.get('SELECT COUNT(*) as total FROM memories WHERE patient_id = ?', [patientId]);
     const total = countResult.total || 0;
     
     // Get paginated memories with is_fact column
     const memories = await dbManager.all(`
       SELECT memory_key as key, memory_content as content, category, 
-             created_at, updated_at, last_accessed, is_fact
+             created_at, updated_at, last_accessed, is_fact, review_status
       FROM memories 
+      WHERE patient_id = ?
       ORDER BY updated_at DESC 
       LIMIT ? OFFSET ?
-    `, [limit, offset]);
+    `, [patientId, limit, offset]);
     
     const hasMore = (offset + limit) < total;
     
@@ -148,7 +180,7 @@ router.get('/search', async (req, res) => {
       });
     }
     
-    const service = await getMemoryService();
+    const service = await getMemoryService(getPatientId(req));
     const memories = await service.searchMemories(query);
     
     res.json({
@@ -173,7 +205,7 @@ router.get('/search', async (req, res) => {
  */
 router.get('/stats', async (req, res) => {
   try {
-    const service = await getMemoryService();
+    const service = await getMemoryService(getPatientId(req));
     const stats = await service.getStatistics();
     
     res.json({
@@ -190,6 +222,103 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/memories/review
+ * Memories the companion saved or asked to forget during calls that are waiting for review, oldest first
+ * Each includes whether it is a removal (removal), the approved version it would
+ * replace (previous) and the call and caller words it came from (source)
+ */
+router.get('/review', async (req, res) => {
+  try {
+    const service = await getMemoryService(getPatientId(req));
+    const memories = await service.getPendingMemories();
+    
+    res.json({
+      success: true,
+      data: {
+        memories
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error fetching memories to review:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/memories/deleted
+ * Recently deleted memories that can be restored, most recent first
+ * Query params: limit (default: 50, max: 200)
+ */
+router.get('/deleted', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const service = await getMemoryService(getPatientId(req));
+    const revisions = await service.getDeletedMemories(limit);
+    
+    res.json({
+      success: true,
+      data: {
+        memories: revisions
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error fetching deleted memories:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/memories/:key/history
+ * Every change to a memory, newest first, with who made it
+ * Works for deleted memories too
+ */
+router.get('/:key/history', async (req, res) => {
+  try {
+    const normalizedKey = normalizeKey(req.params.key);
+    
+    if (!normalizedKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid memory key'
+      });
+    }
+    
+    const service = await getMemoryService(getPatientId(req));
+    const revisions = await service.getHistory(normalizedKey);
+    
+    if (revisions.length === 0 && !(await service.getMemory(normalizedKey))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Memory not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        key: normalizedKey,
+        revisions
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error fetching memory history:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
 /**
  * GET /api/admin/memories/:key
  * Get specific memory by key
@@ -205,7 +334,7 @@ router.get('/:key', async (req, res) => {
       });
     }
     
-    const service = await getMemoryService();
+    const service = await getMemoryService(getPatientId(req));
     const memory = await service.getMemory(normalizedKey);
     
     if (!memory) {
@@ -235,7 +364,7 @@ router.get('/:key', async (req, res) => {
  * Body: { key?: string, content: string, category?: string, isFact?: boolean }
  * If no key provided, one will be auto-generated using GPT
  */
-router.post('/', async (req, res) => {
+router.post('/', requireRole('owner', 'caregiver'), async (req, res) => {
   try {
     const { key, content, category = 'general', isFact = false } = req.body;
     
@@ -268,10 +397,12 @@ router.post('/', async (req, res) => {
       });
     }
     
-    const service = await getMemoryService();
+    const service = await getMemoryService(getPatientId(req));
     
     // Pass key (may be null for auto-generation)
-    const result = await service.saveMemory(key, content, category, isFact);
+    const result = await service.saveMemory(key, content, category, isFact, {
+      actor: { type: 'user', userId: req.user?.id || null }
+    });
     
     if (result.status === 'error') {
       return res.status(400).json({
@@ -280,6 +411,8 @@ router.post('/', async (req, res) => {
       });
     }
     
+    await auditMemory(req, result.action === 'created' ? 'memory_created' : 'memory_updated', result.key);
+    
     const statusCode = result.action === 'created' ? 201 : 200;
     
     res.status(statusCode).json({
@@ -305,7 +438,7 @@ router.post('/', async (req, res) => {
  * Update existing memory
  * Body: { content: string, category?: string, isFact?: boolean }
  */
-router.put('/:key', async (req, res) => {
+router.put('/:key', requireRole('owner', 'caregiver'), async (req, res) => {
   try {
     const normalizedKey = normalizeKey(req.params.key);
     const { content, category = 'general', isFact } = req.body;
@@ -339,7 +472,7 @@ router.put('/:key', async (req, res) => {
       });
     }
     
-    const service = await getMemoryService();
+    const service = await getMemoryService(getPatientId(req));
     
     // Check if memory exists
     const existingMemory = await service.getMemory(normalizedKey);
@@ -374,12 +507,23 @@ router.put('/:key', async (req, res) => {
       newKey = `${category}-${words.join('-')}-info`;
     }
     
+    const actor = { type: 'user', userId: req.user?.id || null };
+    
     // Check if the key needs to change
     if (newKey !== normalizedKey) {
-      // Key has changed - need to delete old memory and create new one
       try {
-        // First, create the new memory
-        const createResult = await service.saveMemory(newKey, content, category, finalIsFact);
+        // Rename first so the memory keeps its history under the new key
+        const renameResult = await service.renameMemory(normalizedKey, newKey, { actor });
+        
+        if (renameResult.status === 'error') {
+          return res.status(400).json({
+            success: false,
+            error: renameResult.message
+          });
+        }
+        
+        // Save the new content under the new key
+        const createResult = await service.saveMemory(newKey, content, category, finalIsFact, { actor });
         
         if (createResult.status === 'error') {
           return res.status(400).json({
@@ -388,14 +532,19 @@ router.put('/:key', async (req, res) => {
           });
         }
         
-        // Only delete the old memory if creation was successful
-        const deleteResult = await service.removeMemory(normalizedKey);
-        
-        if (deleteResult.status === 'error') {
-          console.error('Warning: Failed to delete old memory after creating new one:', deleteResult.message);
-          // Don't fail the request since the new memory was created successfully
+        // The new key belonged to another memory, which now holds this content:
+        // delete the old memory only once that save succeeded
+        if (renameResult.status === 'conflict') {
+          const deleteResult = await service.removeMemory(normalizedKey, { actor });
+          
+          if (deleteResult.status === 'error') {
+            console.error('Warning: Failed to delete old memory after creating new one:', deleteResult.message);
+            // Don't fail the request since the new memory was created successfully
+          }
         }
         
+        await auditMemory(req, 'memory_updated', newKey, { oldKey: normalizedKey });
+        
         // Return success with key change information
         res.json({
           success: true,
@@ -418,7 +567,7 @@ router.put('/:key', async (req, res) => {
     }
     
     // Key hasn't changed - update the memory normally
-    const result = await service.saveMemory(normalizedKey, content, category, finalIsFact);
+    const result = await service.saveMemory(normalizedKey, content, category, finalIsFact, { actor });
     
     if (result.status === 'error') {
       return res.status(400).json({
@@ -427,6 +576,8 @@ router.put('/:key', async (req, res) => {
       });
     }
     
+    await auditMemory(req, 'memory_updated', result.key);
+    
     res.json({
       success: true,
       data: {
@@ -446,11 +597,182 @@ router.put('/:key', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/admin/memories/:key/approve
+ * Approve a pending memory so calls can use it, or a pending removal so it is deleted
+ * Body (optional): { content?: string, category?: string } to correct it first
+ */
+router.post('/:key/approve', requireRole('owner', 'caregiver'), async (req, res) => {
+  try {
+    const normalizedKey = normalizeKey(req.params.key);
+    const { content, category } = req.body || {};
+    
+    if (!normalizedKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid memory key'
+      });
+    }
+    
+    if ((content !== undefined && (typeof content !== 'string' || !content.trim())) ||
+        (category !== undefined && (typeof category !== 'string' || !category.trim()))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Content and category must be non-empty strings if provided'
+      });
+    }
+    
+    const service = await getMemoryService(getPatientId(req));
+    const result = await service.approveMemory(normalizedKey, req.user?.id || null, {
+      content: content?.trim(),
+      category: category?.trim()
+    });
+    
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Pending memory not found'
+      });
+    }
+    
+    if (result.status === 'error') {
+      return res.status(500).json({
+        success: false,
+        error: result.message
+      });
+    }
+    
+    await auditMemory(req, result.action === 'deleted' ? 'memory_deleted' : 'memory_updated', result.key, { review: result.action });
+    
+    res.json({
+      success: true,
+      data: {
+        key: result.key,
+        action: result.action
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error approving memory:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/memories/:key/reject
+ * Reject a pending memory: a new one is removed, a change or removal goes back to the approved version
+ */
+router.post('/:key/reject', requireRole('owner', 'caregiver'), async (req, res) => {
+  try {
+    const normalizedKey = normalizeKey(req.params.key);
+    
+    if (!normalizedKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid memory key'
+      });
+    }
+    
+    const service = await getMemoryService(getPatientId(req));
+    const result = await service.rejectMemory(normalizedKey, req.user?.id || null);
+    
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Pending memory not found'
+      });
+    }
+    
+    if (result.status === 'error') {
+      return res.status(500).json({
+        success: false,
+        error: result.message
+      });
+    }
+    
+    // Rejecting a new memory removes it; rejecting a change or removal restores the approved version
+    await auditMemory(req, result.action === 'removed' ? 'memory_deleted' : 'memory_updated', result.key, { review: 'rejected' });
+    
+    res.json({
+      success: true,
+      data: {
+        key: result.key,
+        action: result.action
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error rejecting memory:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/memories/:key/history/:revisionId/restore
+ * Restore the version a revision recorded; restoring a deletion brings the memory back
+ */
+router.post('/:key/history/:revisionId/restore', requireRole('owner', 'caregiver'), async (req, res) => {
+  try {
+    const normalizedKey = normalizeKey(req.params.key);
+    const revisionId = parseInt(req.params.revisionId, 10);
+    
+    if (!normalizedKey || !Number.isInteger(revisionId) || revisionId <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid memory key or revision id'
+      });
+    }
+    
+    const service = await getMemoryService(getPatientId(req));
+    const result = await service.restoreRevision(normalizedKey, revisionId, {
+      actor: { type: 'user', userId: req.user?.id || null }
+    });
+    
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+    
+    if (result.status === 'error') {
+      return res.status(500).json({
+        success: false,
+        error: result.message
+      });
+    }
+    
+    await auditMemory(req, 'memory_updated', result.key, { restoredRevisionId: revisionId });
+    
+    res.json({
+      success: true,
+      data: {
+        key: result.key,
+        action: result.action,
+        revisionId: result.revisionId
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error restoring memory revision:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
 /**
  * DELETE /api/admin/memories/:key
  * Delete memory by key
  */
-router.delete('/:key', async (req, res) => {
+router.delete('/:key', requireRole('owner'), async (req, res) => {
   try {
     const normalizedKey = normalizeKey(req.params.key);
     
@@ -461,8 +783,10 @@ router.delete('/:key', async (req, res) => {
       });
     }
     
-    const service = await getMemoryService();
-    const result = await service.removeMemory(normalizedKey);
+    const service = await getMemoryService(getPatientId(req));
+    const result = await service.removeMemory(normalizedKey, {
+      actor: { type: 'user', userId: req.user?.id || null }
+    });
     
     if (result.status === 'not_found') {
       return res.status(404).json({
@@ -478,6 +802,8 @@ router.delete('/:key', async (req, res) => {
       });
     }
     
+    await auditMemory(req, 'memory_deleted', result.key);
+    
     res.json({
       success: true,
       data: {
@@ -0,0 +1,186 @@
+const express = require('express');
+const router = express.Router();
+const DatabaseManager = require('../../services/database-manager');
+const { requireRole } = require('../../middleware/auth-middleware');
+const PatientService = require('../../services/patient-service');
+
+/**
+ * Admin Patient Profile API Routes
+ *
+ * Manages the residents served by this deployment. Each patient profile holds
+ * the name the AI uses, family contacts, facility, timezone and the Twilio
+ * numbers that route calls to that patient.
+ *
+ * All endpoints return JSON responses with standardized structure:
+ * Success: { success: true, data: {...} }
+ * Error: { success: false, error: "message" }
+ */
+
+async function getPatientService() {
+  const dbManager = DatabaseManager.getInstance();
+  await dbManager.waitForInitialization();
+  return new PatientService(dbManager);
+}
+
+/**
+ * Parse and validate the :id route parameter
+ */
+function parsePatientId(id) {
+  const parsed = parseInt(id, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+/**
+ * GET /api/admin/patients
+ * List patient profiles
+ * Query params: includeInactive (default: false)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const service = await getPatientService();
+    const patients = await service.listPatients({
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        patients,
+        defaultPatientId: PatientService.DEFAULT_PATIENT_ID
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching patients:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/patients/:id
+ * Get a single patient profile
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const patientId = parsePatientId(req.params.id);
+    if (!patientId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid patient id'
+      });
+    }
+
+    const service = await getPatientService();
+    const patient = await service.getPatient(patientId);
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        error: 'Patient not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: patient
+    });
+
+  } catch (error) {
+    console.error('Error fetching patient:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/patients
+ * Create a patient profile
+ * Body: { name, preferredName?, facilityName?, facilityLocation?, timezone?, phoneNumbers?, familyContacts?, silencePolicy?, transferTargets? }
+ */
+router.post('/', requireRole('owner'), async (req, res) => {
+  try {
+    const errors = PatientService.validate(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join(', ')
+      });
+    }
+
+    const service = await getPatientService();
+    const patient = await service.createPatient(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: patient
+    });
+
+  } catch (error) {
+    console.error('Error creating patient:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/patients/:id
+ * Update a patient profile; only provided fields change
+ */
+router.put('/:id', requireRole('owner', 'caregiver'), async (req, res) => {
+  try {
+    const patientId = parsePatientId(req.params.id);
+    if (!patientId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid patient id'
+      });
+    }
+
+    const errors = PatientService.validate(req.body || {}, true);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join(', ')
+      });
+    }
+
+    const service = await getPatientService();
+    const existing = await service.getPatient(patientId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Patient not found'
+      });
+    }
+
+    if (patientId === PatientService.DEFAULT_PATIENT_ID && req.body.isActive === false) {
+      return res.status(400).json({
+        success: false,
+        error: 'The default patient cannot be deactivated'
+      });
+    }
+
+    const patient = await service.updatePatient(patientId, req.body);
+
+    res.json({
+      success: true,
+      data: patient
+    });
+
+  } catch (error) {
+    console.error('Error updating patient:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
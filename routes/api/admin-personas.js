@@ -0,0 +1,170 @@
+const express = require('express');
+const router = express.Router();
+const DatabaseManager = require('../../services/database-manager');
+const { requireRole } = require('../../middleware/auth-middleware');
+const PersonaService = require('../../services/persona-service');
+
+/**
+ * Admin Persona Registry API Routes
+ *
+ * Manages the companion personas callers can be connected to via
+ * /incoming/persona/:name. Each persona defines its backstory, story themes,
+ * voice model, greetings and the functions it may call.
+ *
+ * All endpoints return JSON responses with standardized structure:
+ * Success: { success: true, data: {...} }
+ * Error: { success: false, error: "message" }
+ */
+
+async function getPersonaService() {
+  const dbManager = DatabaseManager.getInstance();
+  await dbManager.waitForInitialization();
+  return new PersonaService(dbManager);
+}
+
+/**
+ * GET /api/admin/personas
+ * List personas
+ * Query params: includeInactive (default: false)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const service = await getPersonaService();
+    const personas = await service.listPersonas({
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        personas,
+        defaultPersona: PersonaService.DEFAULT_PERSONA,
+        availableFunctions: PersonaService.getFunctionNames()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching personas:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/personas/:name
+ * Get a single persona
+ */
+router.get('/:name', async (req, res) => {
+  try {
+    const service = await getPersonaService();
+    const persona = await service.getPersona(req.params.name);
+
+    if (!persona) {
+      return res.status(404).json({
+        success: false,
+        error: 'Persona not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: persona
+    });
+
+  } catch (error) {
+    console.error('Error fetching persona:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/personas
+ * Create a persona
+ * Body: { name, displayName, backstory, storyThemes?, voiceModel?, greetings?, allowedFunctions? }
+ */
+router.post('/', requireRole('owner'), async (req, res) => {
+  try {
+    const errors = PersonaService.validate(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join(', ')
+      });
+    }
+
+    const service = await getPersonaService();
+    if (await service.getPersona(req.body.name)) {
+      return res.status(409).json({
+        success: false,
+        error: 'A persona with that name already exists'
+      });
+    }
+
+    const persona = await service.createPersona(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: persona
+    });
+
+  } catch (error) {
+    console.error('Error creating persona:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/personas/:name
+ * Update a persona; only provided fields change (the name is immutable)
+ */
+router.put('/:name', requireRole('owner'), async (req, res) => {
+  try {
+    const errors = PersonaService.validate(req.body || {}, true);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join(', ')
+      });
+    }
+
+    const service = await getPersonaService();
+    const existing = await service.getPersona(req.params.name);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Persona not found'
+      });
+    }
+
+    if (req.params.name === PersonaService.DEFAULT_PERSONA && req.body.isActive === false) {
+      return res.status(400).json({
+        success: false,
+        error: 'The default persona cannot be deactivated'
+      });
+    }
+
+    const persona = await service.updatePersona(req.params.name, req.body);
+
+    res.json({
+      success: true,
+      data: persona
+    });
+
+  } catch (error) {
+    console.error('Error updating persona:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
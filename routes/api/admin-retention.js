@@ -0,0 +1,289 @@
+const express = require('express');
+const router = express.Router();
+const DatabaseManager = require('../../services/database-manager');
+const { requireRole } = require('../../middleware/auth-middleware');
+const RetentionService = require('../../services/retention-service');
+const AuditService = require('../../services/audit-service');
+const { getPatientId } = require('../../utils/patient-scope');
+
+/**
+ * Admin Data Retention API Routes
+ *
+ * Manages how long each class of call data is kept (see RetentionService),
+ * previews what the daily retention run would purge, lists past runs with what
+ * they purged, and manages legal holds on the selected patient's conversations.
+ * Anyone signed in can see policies, the preview, runs and holds; only owners
+ * change policies, start a run or place and lift legal holds; those changes
+ * are recorded in the audit log.
+ *
+ * All endpoints return the standardized structure:
+ * Success: { success: true, data: {...} }
+ * Error: { success: false, error: "message" }
+ */
+
+async function getRetentionService() {
+  const dbManager = DatabaseManager.getInstance();
+  await dbManager.waitForInitialization();
+  return new RetentionService(dbManager);
+}
+
+/**
+ * Parse and validate an id route parameter
+ */
+function parseId(id) {
+  const parsed = parseInt(id, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+/**
+ * GET /api/admin/retention/policies
+ * The retention policy of every data class
+ */
+router.get('/policies', async (req, res) => {
+  try {
+    const service = await getRetentionService();
+    const policies = await service.getPolicies();
+
+    res.json({
+      success: true,
+      data: { policies }
+    });
+
+  } catch (error) {
+    console.error('Error fetching retention policies:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/retention/policies/:dataClass
+ * Change a data class's policy (owner only)
+ * Body: { retainDays?: number | null (null keeps forever), action?: 'delete' | 'anonymize' }
+ */
+router.put('/policies/:dataClass', requireRole('owner'), async (req, res) => {
+  try {
+    const errors = RetentionService.validatePolicy(req.params.dataClass, req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join(', ')
+      });
+    }
+
+    const service = await getRetentionService();
+    const policy = await service.updatePolicy(req.params.dataClass, req.body || {}, req.user?.id);
+    await AuditService.logRequest(req, 'config_changed', {
+      targetType: 'retention_policy',
+      targetId: policy.dataClass,
+      details: { retainDays: policy.retainDays, action: policy.action }
+    });
+
+    res.json({
+      success: true,
+      data: { policy }
+    });
+
+  } catch (error) {
+    console.error('Error updating retention policy:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/retention/preview
+ * What a run would purge now (dry run; nothing changes)
+ */
+router.get('/preview', async (req, res) => {
+  try {
+    const service = await getRetentionService();
+    const preview = await service.preview();
+
+    res.json({
+      success: true,
+      data: preview
+    });
+
+  } catch (error) {
+    console.error('Error building retention preview:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/retention/run
+ * Apply the retention policies now (owner only)
+ */
+router.post('/run', requireRole('owner'), async (req, res) => {
+  try {
+    const service = await getRetentionService();
+    const run = await service.run({ trigger: 'manual', userId: req.user?.id });
+    await AuditService.logRequest(req, 'data_purged', {
+      targetType: 'retention_run',
+      targetId: run.id,
+      details: { status: run.status, totals: run.totals }
+    });
+
+    res.json({
+      success: true,
+      data: { run }
+    });
+
+  } catch (error) {
+    console.error('Error running retention policies:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/retention/runs
+ * Recent retention runs with their totals, newest first
+ * Query params: limit (default: 20, max: 100)
+ */
+router.get('/runs', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const service = await getRetentionService();
+    const runs = await service.listRuns(limit);
+
+    res.json({
+      success: true,
+      data: { runs }
+    });
+
+  } catch (error) {
+    console.error('Error fetching retention runs:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/retention/runs/:id
+ * One run with each conversation it purged
+ */
+router.get('/runs/:id', async (req, res) => {
+  try {
+    const runId = parseId(req.params.id);
+    if (!runId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid run ID'
+      });
+    }
+
+    const service = await getRetentionService();
+    const run = await service.getRun(runId, { includePurges: true });
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Retention run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { run }
+    });
+
+  } catch (error) {
+    console.error('Error fetching retention run:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/retention/holds
+ * The patient's conversations under a legal hold
+ */
+router.get('/holds', async (req, res) => {
+  try {
+    const service = await getRetentionService();
+    const holds = await service.listLegalHolds(getPatientId(req));
+
+    res.json({
+      success: true,
+      data: { holds }
+    });
+
+  } catch (error) {
+    console.error('Error fetching legal holds:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/retention/holds/:conversationId
+ * Place or lift a legal hold on a conversation (owner only)
+ * Body: { hold: boolean, reason?: string }
+ */
+router.put('/holds/:conversationId', requireRole('owner'), async (req, res) => {
+  try {
+    const conversationId = parseId(req.params.conversationId);
+    if (!conversationId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid conversation ID'
+      });
+    }
+
+    const { hold, reason = null } = req.body || {};
+    if (typeof hold !== 'boolean' || (reason !== null && typeof reason !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'hold must be true or false; reason must be a string'
+      });
+    }
+
+    const service = await getRetentionService();
+    const legalHold = await service.setLegalHold(conversationId, getPatientId(req), {
+      hold,
+      reason: reason?.trim() || null
+    }, req.user?.id);
+    if (!legalHold) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found'
+      });
+    }
+    await AuditService.logRequest(req, 'legal_hold_changed', {
+      targetType: 'conversation',
+      targetId: conversationId,
+      patientId: getPatientId(req),
+      details: { hold }
+    });
+
+    res.json({
+      success: true,
+      data: { legalHold }
+    });
+
+  } catch (error) {
+    console.error('Error updating legal hold:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
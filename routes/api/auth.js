@@ -1,6 +1,7 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const WebAuthnService = require('../../services/webauthn-service');
+const AuditService = require('../../services/audit-service');
 const { 
   createUserSession, 
   destroyUserSession, 
@@ -108,6 +109,12 @@ router.post('/register/complete', registrationRateLimit, requireUnauthenticated,
 
     if (result.verified) {
       console.log(`[Auth API] User registered successfully: ${result.email} (ID: ${result.userId})`);
+      await AuditService.logRequest(req, 'passkey_registered', {
+        userId: result.userId,
+        actor: result.email,
+        targetType: 'user',
+        targetId: result.userId
+      });
       
       res.json({
         success: true,
@@ -186,6 +193,7 @@ router.post('/login/complete', authRateLimit, requireUnauthenticated, async (req
         req.session.email = result.user.email;
         
         console.log(`[Auth API] User authenticated successfully: ${result.user.email} (ID: ${result.user.id})`);
+        await AuditService.logRequest(req, 'login', { targetType: 'user', targetId: result.user.id });
         
         res.json({
           success: true,
@@ -203,6 +211,7 @@ router.post('/login/complete', authRateLimit, requireUnauthenticated, async (req
 
   } catch (error) {
     console.error('[Auth API] Login complete error:', error);
+    await AuditService.logRequest(req, 'login_failed', { details: { reason: error.message } });
     res.status(400).json({
       success: false,
       error: error.message,
@@ -220,6 +229,10 @@ router.post('/logout', async (req, res) => {
   try {
     const sessionId = req.sessionID;
     
+    if (req.session?.userId) {
+      await AuditService.logRequest(req, 'logout', { targetType: 'user', targetId: req.session.userId });
+    }
+    
     if (sessionId) {
       await destroyUserSession(sessionId);
     }
@@ -363,7 +376,8 @@ router.get('/me', authenticateAdmin, async (req, res) => {
         id: user.id,
         email: user.email,
         displayName: user.display_name || user.email,
-        initials: initials
+        initials: initials,
+        role: user.role
       },
       timestamp: new Date().toISOString()
     });
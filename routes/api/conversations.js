@@ -8,14 +8,26 @@
  * Endpoints:
  * - GET /api/conversations - List conversations with pagination, sorting, filtering
  * - GET /api/conversations/:id - Get single conversation with full transcript and analytics  
+ * - GET /api/conversations/:id/export - Download the transcript as PDF, text or JSON
  * - GET /api/conversations/analytics - Get aggregate analytics data
+ * 
+ * Every endpoint is scoped to one patient via the `patientId` query parameter
+ * (defaults to the primary patient).
  */
 
 const express = require('express');
 const router = express.Router();
 const DatabaseManager = require('../../services/database-manager');
 const TimezoneUtils = require('../../utils/timezone-utils');
+const CallRoutingService = require('../../services/call-routing-service');
+const CallGuidanceService = require('../../services/call-guidance-service');
+const ConversationNarrativeService = require('../../services/conversation-narrative-service');
+const CallTransferService = require('../../services/call-transfer-service');
 const CallStatsUtils = require('../../utils/call-stats-utils');
+const { getPatientId } = require('../../utils/patient-scope');
+const AuditService = require('../../services/audit-service');
+const TranscriptExportService = require('../../services/transcript-export-service');
+const TranscriptRenderer = require('../../services/transcript-renderer');
 
 // Get database manager instance (will be singleton instance)
 function getDbManager() {
@@ -97,9 +109,9 @@ router.get('/', async (req, res) => {
     
     const offset = (page - 1) * pageSize;
     
-    // Build WHERE clause conditions
-    const conditions = [];
-    const params = [];
+    // Build WHERE clause conditions, always scoped to the selected patient
+    const conditions = ['c.patient_id = ?'];
+    const params = [getPatientId(req)];
     
     // Use timezone-aware date filtering from centralized utility
     const dateFilter = CallStatsUtils.buildTimezoneAwareDateFilter(dateFrom, dateTo, 'c.start_time');
@@ -119,7 +131,7 @@ router.get('/', async (req, res) => {
     if (emotionalStates && emotionalStates.length > 0) {
       // Parse summary JSON to filter by emotional state
       const placeholders = emotionalStates.map(() => '?').join(',');
-      conditions.push(`json_extract(s.summary_text, '$.mentalStateIndicators.overallMoodTrend') IN (${placeholders})`);
+      conditions.push(`json_extract(decrypt_field(s.summary_text), '$.mentalStateIndicators.overallMoodTrend') IN (${placeholders})`);
       params.push(...emotionalStates);
     }
 
@@ -130,16 +142,16 @@ router.get('/', async (req, res) => {
         EXISTS (
           SELECT 1 FROM messages m 
           WHERE m.conversation_id = c.id 
-          AND m.content LIKE ? COLLATE NOCASE
+          AND decrypt_field(m.content) LIKE ? COLLATE NOCASE
         )
         -- Search in call SID
         OR c.call_sid LIKE ? COLLATE NOCASE
         -- Search in care indicators (medication concerns, staff complaints)
         OR (
           s.summary_text IS NOT NULL AND (
-            json_extract(s.summary_text, '$.careIndicators.medicationConcerns') LIKE ? COLLATE NOCASE
-            OR json_extract(s.summary_text, '$.careIndicators.staffComplaints') LIKE ? COLLATE NOCASE
-            OR json_extract(s.summary_text, '$.mentalStateIndicators.overallMoodTrend') LIKE ? COLLATE NOCASE
+            json_extract(decrypt_field(s.summary_text), '$.careIndicators.medicationConcerns') LIKE ? COLLATE NOCASE
+            OR json_extract(decrypt_field(s.summary_text), '$.careIndicators.staffComplaints') LIKE ? COLLATE NOCASE
+            OR json_extract(decrypt_field(s.summary_text), '$.mentalStateIndicators.overallMoodTrend') LIKE ? COLLATE NOCASE
           )
         )
       )`);
@@ -153,8 +165,8 @@ router.get('/', async (req, res) => {
     const orderByMap = {
       start_time: 'c.start_time',
       duration: 'c.duration',
-      emotional_state: 'json_extract(s.summary_text, \'$.mentalStateIndicators.overallMoodTrend\')',
-      anxiety_level: 'json_extract(s.summary_text, \'$.mentalStateIndicators.anxietyLevel\')'
+      emotional_state: 'json_extract(decrypt_field(s.summary_text), \'$.mentalStateIndicators.overallMoodTrend\')',
+      anxiety_level: 'json_extract(decrypt_field(s.summary_text), \'$.mentalStateIndicators.anxietyLevel\')'
     };
     const orderByColumn = orderByMap[sortBy] || orderByMap.start_time;
     const orderByClause = `ORDER BY ${orderByColumn} ${sortOrder.toUpperCase()}`;
@@ -173,11 +185,13 @@ router.get('/', async (req, res) => {
     const dataSql = `
       SELECT 
         c.id,
+        c.patient_id,
         c.call_sid,
         c.start_time,
         c.end_time,
         c.duration,
         c.caller_info,
+        c.direction,
         s.summary_text,
         em.anxiety_level,
         em.confusion_level,
@@ -187,7 +201,7 @@ router.get('/', async (req, res) => {
         (SELECT COUNT(*) FROM messages WHERE conversation_id = c.id) as message_count,
         (SELECT GROUP_CONCAT(content, ' ') 
          FROM (
-           SELECT content 
+           SELECT decrypt_field(content) AS content 
            FROM messages 
            WHERE conversation_id = c.id 
            ORDER BY timestamp ASC 
@@ -242,7 +256,9 @@ router.get('/', async (req, res) => {
       
       return {
         id: conv.id,
+        patientId: conv.patient_id,
         callSid: conv.call_sid,
+        direction: conv.direction || 'inbound',
         startTime: conv.start_time,
         endTime: conv.end_time,
         startTimeFormatted,
@@ -295,9 +311,9 @@ router.get('/analytics', async (req, res) => {
     // Extract date filtering parameters
     const { dateFrom, dateTo } = validateDateRange(req.query.dateFrom, req.query.dateTo);
     
-    // Build WHERE clause for date filtering
-    const conditions = [];
-    const params = [];
+    // Build WHERE clause for patient and date filtering
+    const conditions = ['c.patient_id = ?'];
+    const params = [getPatientId(req)];
     
     // Use timezone-aware date filtering from centralized utility
     const analyticsDateFilter = CallStatsUtils.buildTimezoneAwareDateFilter(dateFrom, dateTo, 'c.start_time');
@@ -566,10 +582,10 @@ router.get('/:id', async (req, res) => {
       FROM conversations c
       LEFT JOIN summaries s ON c.id = s.conversation_id
       LEFT JOIN analytics a ON c.id = a.conversation_id
-      WHERE c.id = ?
+      WHERE c.id = ? AND c.patient_id = ?
     `;
     
-    const conversation = await dbManager.get(conversationSql, [conversationId]);
+    const conversation = await dbManager.get(conversationSql, [conversationId, getPatientId(req)]);
     
     if (!conversation) {
       return res.status(404).json({
@@ -578,6 +594,13 @@ router.get('/:id', async (req, res) => {
       });
     }
     
+    // Opening a transcript is recorded in the audit log
+    await AuditService.logRequest(req, 'conversation_viewed', {
+      targetType: 'conversation',
+      targetId: conversationId,
+      patientId: conversation.patient_id
+    });
+    
     // Get all messages for the conversation
     const messagesSql = `
       SELECT role, content, timestamp
@@ -588,6 +611,46 @@ router.get('/:id', async (req, res) => {
     
     const messages = await dbManager.all(messagesSql, [conversationId]);
     
+    // Get silence escalation steps taken during the call
+    const silenceEvents = await dbManager.all(`
+      SELECT step_index AS stepIndex, action, timeout_seconds AS timeoutSeconds,
+             message, family_alerted AS familyAlerted, occurred_at AS occurredAt
+      FROM silence_events
+      WHERE conversation_id = ?
+      ORDER BY occurred_at ASC, id ASC
+    `, [conversationId]);
+
+    // Get model token usage and context size for each turn
+    const tokenTurns = await dbManager.all(`
+      SELECT turn, prompt_tokens AS promptTokens, completion_tokens AS completionTokens,
+             total_tokens AS totalTokens, context_tokens AS contextTokens,
+             context_messages AS contextMessages, summarized_messages AS summarizedMessages,
+             occurred_at AS occurredAt
+      FROM token_usage
+      WHERE conversation_id = ?
+      ORDER BY turn ASC
+    `, [conversationId]);
+    
+    // Get the routing rule that decided how the call was answered
+    const routingDecision = await new CallRoutingService({}, dbManager).getDecision(conversation.call_sid);
+
+    // Get the scheduled check-in this call answered, for calls the companion placed
+    const checkInAttempt = await dbManager.get(`
+      SELECT s.label, a.occurrence_date AS occurrenceDate, a.attempt_number AS attemptNumber
+      FROM outbound_call_attempts a
+      LEFT JOIN check_in_schedules s ON s.id = a.schedule_id
+      WHERE a.call_sid = ?
+    `, [conversation.call_sid]);
+
+    // Get private guidance caregivers sent into the call while it was live
+    const guidance = await new CallGuidanceService(dbManager).listForCall(conversation.call_sid);
+
+    // Get warm transfers and who was dialed for each
+    const transfers = await new CallTransferService({ databaseManager: dbManager }).listForCall(conversation.call_sid);
+
+    // Get the recap written after the call (null until it has been written)
+    const narrative = await new ConversationNarrativeService(dbManager).getForConversation(conversationId);
+    
     // Parse and structure data
     let summaryData = null;
     let analyticsData = {
@@ -689,6 +752,16 @@ router.get('/:id', async (req, res) => {
         TimezoneUtils.convertUTCToTimezone(msg.timestamp, CONFIGURED_TIMEZONE) : null
     }));
     
+    // Guidance times are SQLite UTC timestamps
+    const guidanceWithTimezone = guidance.map(entry => {
+      const timestamp = `${entry.createdAt.replace(' ', 'T')}Z`;
+      return {
+        ...entry,
+        timestamp,
+        timestampFormatted: TimezoneUtils.convertUTCToTimezone(timestamp, CONFIGURED_TIMEZONE)
+      };
+    });
+    
     // Format response
     const responseData = {
       id: conversation.id,
@@ -700,9 +773,40 @@ router.get('/:id', async (req, res) => {
       timezone: CONFIGURED_TIMEZONE,
       timezoneAbbr: TimezoneUtils.getTimezoneAbbreviation(CONFIGURED_TIMEZONE),
       duration: conversation.duration,
+      direction: conversation.direction || 'inbound',
+      checkIn: checkInAttempt || null,
       callerInfo: conversation.caller_info ? JSON.parse(conversation.caller_info) : null,
       voicemailTranscript: conversation.voicemail_transcript || null,
+      legalHold: conversation.legal_hold ? {
+        reason: conversation.legal_hold_reason,
+        setAt: conversation.legal_hold_at
+      } : null,
+      narrative: narrative ? {
+        narrative: narrative.narrative,
+        keyTopics: narrative.keyTopics,
+        concerns: narrative.concerns,
+        requests: narrative.requests
+      } : null,
       messages: messagesWithTimezone,
+      guidance: guidanceWithTimezone,
+      silenceEvents: silenceEvents.map(event => ({ ...event, familyAlerted: Boolean(event.familyAlerted) })),
+      tokenUsage: {
+        promptTokens: tokenTurns.reduce((total, turn) => total + turn.promptTokens, 0),
+        completionTokens: tokenTurns.reduce((total, turn) => total + turn.completionTokens, 0),
+        totalTokens: tokenTurns.reduce((total, turn) => total + turn.totalTokens, 0),
+        turns: tokenTurns
+      },
+      routingDecision,
+      transfers: transfers.map(({ id, status, createdAt, attempts }) => ({
+        id,
+        status,
+        createdAt,
+        attempts: attempts.map(({ targetName, status: attemptStatus, durationSeconds }) => ({
+          targetName,
+          status: attemptStatus,
+          durationSeconds
+        }))
+      })),
       analytics: analyticsData,
       emotionalTimeline,
       careIndicators
@@ -722,4 +826,61 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/conversations/:id/export
+ * Download the conversation as a transcript document (see TranscriptExportService)
+ * Query params: format ('pdf' | 'txt' | 'json', default: 'pdf'), redact ('true' to remove names and other identifiers)
+ * Every export is recorded in the audit log.
+ */
+router.get('/:id/export', async (req, res) => {
+  try {
+    const conversationId = parseInt(req.params.id, 10);
+    const format = req.query.format || 'pdf';
+    const redact = req.query.redact === 'true';
+    if (!conversationId || conversationId < 1 || !TranscriptExportService.FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid conversation ID, or format is not one of: ${TranscriptExportService.FORMATS.join(', ')}`
+      });
+    }
+
+    const dbManager = getDbManager();
+    await dbManager.waitForInitialization();
+    const patientId = getPatientId(req);
+    const transcript = await new TranscriptExportService(dbManager).buildExport(conversationId, patientId, { redact });
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found'
+      });
+    }
+
+    await AuditService.logRequest(req, 'data_exported', {
+      targetType: 'conversation',
+      targetId: conversationId,
+      patientId,
+      details: { format, redacted: redact }
+    });
+
+    res.set('Cache-Control', 'no-store');
+    res.attachment(TranscriptRenderer.filename(transcript, format));
+    res.set('Content-Type', TranscriptRenderer.CONTENT_TYPES[format]);
+    if (format === 'pdf') {
+      return res.send(TranscriptRenderer.renderPdf(transcript));
+    }
+    if (format === 'txt') {
+      return res.send(TranscriptRenderer.renderText(transcript));
+    }
+    res.send(JSON.stringify(transcript, null, 2));
+
+  } catch (error) {
+    // HIPAA COMPLIANCE: Never log full error object as it may contain patient data (PHI)
+    console.error('Error exporting conversation:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export conversation'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
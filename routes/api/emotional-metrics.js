@@ -9,11 +9,15 @@
  * - GET /api/emotional-metrics/dashboard - Dashboard summary with trends
  * - GET /api/emotional-metrics/trends - Historical emotional trend data
  * - GET /api/emotional-metrics/alerts - Critical care alerts
+ * 
+ * All metrics are scoped to one patient via the `patientId` query parameter
+ * (defaults to the primary patient).
  */
 
 const express = require('express');
 const router = express.Router();
 const DatabaseManager = require('../../services/database-manager');
+const { getPatientId } = require('../../utils/patient-scope');
 
 // Get database manager instance (singleton)
 function getDbManager() {
@@ -48,18 +52,19 @@ router.get('/dashboard', async (req, res) => {
     await dbManager.waitForInitialization();
     
     const timeRanges = getTimeRanges();
+    const patientId = getPatientId(req);
     
     // Get overview statistics
-    const overviewStats = await getOverviewStats(dbManager, timeRanges);
+    const overviewStats = await getOverviewStats(dbManager, timeRanges, patientId);
     
     // Get recent conversations with emotional data
-    const recentConversations = await getRecentConversations(dbManager);
+    const recentConversations = await getRecentConversations(dbManager, patientId);
     
     // Get critical alerts
-    const alerts = await getCriticalAlerts(dbManager, timeRanges);
+    const alerts = await getCriticalAlerts(dbManager, timeRanges, patientId);
     
     // Get trend data for sparklines (last 7 days)
-    const trendData = await getTrendData(dbManager, timeRanges.week);
+    const trendData = await getTrendData(dbManager, timeRanges.week, patientId);
     
     res.json({
       success: true,
@@ -91,6 +96,7 @@ router.get('/trends', async (req, res) => {
     const dbManager = getDbManager();
     await dbManager.waitForInitialization();
     
+    const patientId = getPatientId(req);
     const days = parseInt(req.query.days) || 7;
     const maxDays = Math.min(days, 90); // Limit to 90 days
     
@@ -109,12 +115,12 @@ router.get('/trends', async (req, res) => {
         COUNT(*) as conversation_count
       FROM conversations c
       LEFT JOIN emotional_metrics em ON c.id = em.conversation_id
-      WHERE c.start_time >= ? AND em.id IS NOT NULL
+      WHERE c.patient_id = ? AND c.start_time >= ? AND em.id IS NOT NULL
       GROUP BY DATE(c.start_time)
       ORDER BY date ASC
     `;
     
-    const trendResults = await dbManager.all(sql, [startDate.toISOString()]);
+    const trendResults = await dbManager.all(sql, [patientId, startDate.toISOString()]);
     
     // Fill in missing dates with null values for consistent charting
     const filledTrends = fillMissingDates(trendResults, startDate, maxDays);
@@ -152,7 +158,7 @@ router.get('/alerts', async (req, res) => {
     await dbManager.waitForInitialization();
     
     const timeRanges = getTimeRanges();
-    const alerts = await getCriticalAlerts(dbManager, timeRanges);
+    const alerts = await getCriticalAlerts(dbManager, timeRanges, getPatientId(req));
     
     res.json({
       success: true,
@@ -173,7 +179,7 @@ router.get('/alerts', async (req, res) => {
 /**
  * Helper function to get overview statistics
  */
-async function getOverviewStats(dbManager, timeRanges) {
+async function getOverviewStats(dbManager, timeRanges, patientId) {
   try {
     // Get today's stats
     const todayStats = await dbManager.get(`
@@ -185,8 +191,8 @@ async function getOverviewStats(dbManager, timeRanges) {
         MAX(c.start_time) as last_call_time
       FROM conversations c
       LEFT JOIN emotional_metrics em ON c.id = em.conversation_id
-      WHERE c.start_time >= ?
-    `, [timeRanges.today]);
+      WHERE c.patient_id = ? AND c.start_time >= ?
+    `, [patientId, timeRanges.today]);
     
     // Get weekly comparison
     const weekStats = await dbManager.get(`
@@ -196,8 +202,8 @@ async function getOverviewStats(dbManager, timeRanges) {
         COUNT(CASE WHEN em.anxiety_level >= 7 THEN 1 END) as high_anxiety_count
       FROM conversations c
       LEFT JOIN emotional_metrics em ON c.id = em.conversation_id
-      WHERE c.start_time >= ?
-    `, [timeRanges.week]);
+      WHERE c.patient_id = ? AND c.start_time >= ?
+    `, [patientId, timeRanges.week]);
     
     // Get critical indicators
     const criticalCount = await dbManager.get(`
@@ -207,8 +213,8 @@ async function getOverviewStats(dbManager, timeRanges) {
         COUNT(CASE WHEN em.anxiety_level >= 8 THEN 1 END) as severe_anxiety_count
       FROM conversations c
       LEFT JOIN emotional_metrics em ON c.id = em.conversation_id
-      WHERE c.start_time >= ?
-    `, [timeRanges.week]);
+      WHERE c.patient_id = ? AND c.start_time >= ?
+    `, [patientId, timeRanges.week]);
     
     return {
       callsToday: todayStats?.calls_today || 0,
@@ -240,7 +246,7 @@ async function getOverviewStats(dbManager, timeRanges) {
 /**
  * Helper function to get recent conversations
  */
-async function getRecentConversations(dbManager) {
+async function getRecentConversations(dbManager, patientId) {
   try {
     const sql = `
       SELECT 
@@ -263,11 +269,12 @@ async function getRecentConversations(dbManager) {
       FROM conversations c
       LEFT JOIN emotional_metrics em ON c.id = em.conversation_id
       LEFT JOIN summaries s ON c.id = s.conversation_id
+      WHERE c.patient_id = ?
       ORDER BY c.start_time DESC
       LIMIT 5
     `;
     
-    const conversations = await dbManager.all(sql);
+    const conversations = await dbManager.all(sql, [patientId]);
     
     return conversations.map(conv => ({
       id: conv.id,
@@ -297,7 +304,7 @@ async function getRecentConversations(dbManager) {
 /**
  * Helper function to get critical alerts
  */
-async function getCriticalAlerts(dbManager, timeRanges) {
+async function getCriticalAlerts(dbManager, timeRanges, patientId) {
   try {
     const alerts = [];
     
@@ -306,8 +313,8 @@ async function getCriticalAlerts(dbManager, timeRanges) {
       SELECT COUNT(*) as count
       FROM conversations c
       JOIN emotional_metrics em ON c.id = em.conversation_id
-      WHERE c.start_time >= ? AND em.anxiety_level >= 8
-    `, [timeRanges.yesterday]);
+      WHERE c.patient_id = ? AND c.start_time >= ? AND em.anxiety_level >= 8
+    `, [patientId, timeRanges.yesterday]);
     
     if ((highAnxietyCount?.count || 0) >= 2) {
       alerts.push({
@@ -326,8 +333,8 @@ async function getCriticalAlerts(dbManager, timeRanges) {
       SELECT COUNT(*) as count, MAX(c.start_time) as last_mention
       FROM conversations c
       JOIN emotional_metrics em ON c.id = em.conversation_id
-      WHERE c.start_time >= ? AND em.mentions_pain = 1
-    `, [timeRanges.week]);
+      WHERE c.patient_id = ? AND c.start_time >= ? AND em.mentions_pain = 1
+    `, [patientId, timeRanges.week]);
     
     if ((painMentions?.count || 0) > 0) {
       alerts.push({
@@ -346,8 +353,8 @@ async function getCriticalAlerts(dbManager, timeRanges) {
       SELECT COUNT(*) as count, MAX(c.start_time) as last_complaint
       FROM conversations c
       JOIN emotional_metrics em ON c.id = em.conversation_id
-      WHERE c.start_time >= ? AND em.mentions_staff_complaint = 1
-    `, [timeRanges.week]);
+      WHERE c.patient_id = ? AND c.start_time >= ? AND em.mentions_staff_complaint = 1
+    `, [patientId, timeRanges.week]);
     
     if ((staffComplaints?.count || 0) > 0) {
       alerts.push({
@@ -371,7 +378,7 @@ async function getCriticalAlerts(dbManager, timeRanges) {
 /**
  * Helper function to get trend data for sparklines
  */
-async function getTrendData(dbManager, startDate) {
+async function getTrendData(dbManager, startDate, patientId) {
   try {
     const sql = `
       SELECT 
@@ -382,12 +389,12 @@ async function getTrendData(dbManager, startDate) {
         AVG(em.comfort_level) as comfort
       FROM conversations c
       LEFT JOIN emotional_metrics em ON c.id = em.conversation_id
-      WHERE c.start_time >= ? AND em.id IS NOT NULL
+      WHERE c.patient_id = ? AND c.start_time >= ? AND em.id IS NOT NULL
       GROUP BY DATE(c.start_time)
       ORDER BY date ASC
     `;
     
-    const results = await dbManager.all(sql, [startDate]);
+    const results = await dbManager.all(sql, [patientId, startDate]);
     
     return {
       anxiety: results.map(r => ({ date: r.date, value: Math.round((r.anxiety || 0) * 10) / 10 })),
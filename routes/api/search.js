@@ -9,17 +9,37 @@
  * - GET /api/search - Global search across all entities
  * - GET /api/search/conversations - Dedicated conversation search
  * - GET /api/search/memories - Memory system search
+ * 
+ * Results are scoped to one patient via the `patientId` query parameter
+ * (defaults to the primary patient). Each conversation whose transcript text
+ * a search returns is recorded in the audit log as viewed.
  */
 
 const express = require('express');
 const router = express.Router();
 const DatabaseManager = require('../../services/database-manager');
+const AuditService = require('../../services/audit-service');
+const { getPatientId } = require('../../utils/patient-scope');
 
 // Get database manager instance (will be singleton instance)
 function getDbManager() {
   return DatabaseManager.getInstance();
 }
 
+/**
+ * Record each conversation whose transcript text a search returned
+ */
+async function logTranscriptViews(req, patientId, conversationIds) {
+  for (const conversationId of conversationIds) {
+    await AuditService.logRequest(req, 'conversation_viewed', {
+      targetType: 'conversation',
+      targetId: conversationId,
+      patientId,
+      details: { source: 'search' }
+    });
+  }
+}
+
 /**
  * Input validation utilities
  */
@@ -70,6 +90,7 @@ router.get('/', async (req, res) => {
     };
     
     const searchPattern = `%${query}%`;
+    const patientId = getPatientId(req);
     
     // Search conversations if category is 'all' or 'conversations'
     if (category === 'all' || category === 'conversations') {
@@ -84,10 +105,10 @@ router.get('/', async (req, res) => {
           -- Get matched content snippet
           (SELECT GROUP_CONCAT(content, ' ') 
            FROM (
-             SELECT content 
+             SELECT decrypt_field(content) AS content 
              FROM messages 
              WHERE conversation_id = c.id 
-             AND content LIKE ? COLLATE NOCASE
+             AND decrypt_field(content) LIKE ? COLLATE NOCASE
              ORDER BY timestamp ASC 
              LIMIT 3
            )
@@ -96,21 +117,21 @@ router.get('/', async (req, res) => {
           (SELECT COUNT(*) FROM messages WHERE conversation_id = c.id) as message_count
         FROM conversations c
         LEFT JOIN summaries s ON c.id = s.conversation_id
-        WHERE (
+        WHERE c.patient_id = ? AND (
           -- Search in message content
           EXISTS (
             SELECT 1 FROM messages m 
             WHERE m.conversation_id = c.id 
-            AND m.content LIKE ? COLLATE NOCASE
+            AND decrypt_field(m.content) LIKE ? COLLATE NOCASE
           )
           -- Search in call SID
           OR c.call_sid LIKE ? COLLATE NOCASE
           -- Search in summary data
           OR (
             s.summary_text IS NOT NULL AND (
-              json_extract(s.summary_text, '$.careIndicators.medicationConcerns') LIKE ? COLLATE NOCASE
-              OR json_extract(s.summary_text, '$.careIndicators.staffComplaints') LIKE ? COLLATE NOCASE
-              OR json_extract(s.summary_text, '$.mentalStateIndicators.overallMoodTrend') LIKE ? COLLATE NOCASE
+              json_extract(decrypt_field(s.summary_text), '$.careIndicators.medicationConcerns') LIKE ? COLLATE NOCASE
+              OR json_extract(decrypt_field(s.summary_text), '$.careIndicators.staffComplaints') LIKE ? COLLATE NOCASE
+              OR json_extract(decrypt_field(s.summary_text), '$.mentalStateIndicators.overallMoodTrend') LIKE ? COLLATE NOCASE
             )
           )
         )
@@ -119,7 +140,7 @@ router.get('/', async (req, res) => {
       `;
       
       const conversations = await dbManager.all(conversationsSql, [
-        searchPattern, searchPattern, searchPattern, searchPattern, searchPattern, searchPattern, limit
+        searchPattern, patientId, searchPattern, searchPattern, searchPattern, searchPattern, searchPattern, limit
       ]);
       
       results.results.conversations = conversations.map(conv => ({
@@ -134,6 +155,7 @@ router.get('/', async (req, res) => {
           messageCount: conv.message_count
         }
       }));
+      await logTranscriptViews(req, patientId, conversations.filter(conv => conv.matched_content).map(conv => conv.id));
     }
     
     // Search memories if category is 'all' or 'memories'
@@ -141,22 +163,24 @@ router.get('/', async (req, res) => {
       const memoriesSql = `
         SELECT 
           id,
-          key,
-          content,
+          memory_key AS key,
+          decrypt_field(memory_content) AS content,
           category,
           created_at,
           last_accessed,
           'memory' as result_type
         FROM memories
-        WHERE key LIKE ? COLLATE NOCASE
-           OR content LIKE ? COLLATE NOCASE
-           OR category LIKE ? COLLATE NOCASE
+        WHERE patient_id = ? AND (
+          memory_key LIKE ? COLLATE NOCASE
+          OR decrypt_field(memory_content) LIKE ? COLLATE NOCASE
+          OR category LIKE ? COLLATE NOCASE
+        )
         ORDER BY last_accessed DESC
         LIMIT ?
       `;
       
       const memories = await dbManager.all(memoriesSql, [
-        searchPattern, searchPattern, searchPattern, limit
+        patientId, searchPattern, searchPattern, searchPattern, limit
       ]);
       
       results.results.memories = memories.map(memory => ({
@@ -188,14 +212,16 @@ router.get('/', async (req, res) => {
           'analytics' as result_type
         FROM analytics a
         JOIN conversations c ON a.conversation_id = c.id
-        WHERE a.keywords LIKE ? COLLATE NOCASE
-           OR a.patterns LIKE ? COLLATE NOCASE
+        WHERE c.patient_id = ? AND (
+          a.keywords LIKE ? COLLATE NOCASE
+          OR a.patterns LIKE ? COLLATE NOCASE
+        )
         ORDER BY c.start_time DESC
         LIMIT ?
       `;
       
       const analytics = await dbManager.all(analyticsSql, [
-        searchPattern, searchPattern, limit
+        patientId, searchPattern, searchPattern, limit
       ]);
       
       results.results.analytics = analytics.map(item => ({
@@ -268,20 +294,20 @@ router.get('/conversations', async (req, res) => {
         -- Get all matching messages
         (SELECT json_group_array(
            json_object(
-             'content', content,
+             'content', decrypt_field(content),
              'role', role,
              'timestamp', timestamp
            )
          )
          FROM messages 
          WHERE conversation_id = c.id 
-         AND content LIKE ? COLLATE NOCASE
+         AND decrypt_field(content) LIKE ? COLLATE NOCASE
          ORDER BY timestamp ASC
         ) as matching_messages,
         -- Get message snippet for preview
         (SELECT GROUP_CONCAT(content, ' ') 
          FROM (
-           SELECT content 
+           SELECT decrypt_field(content) AS content 
            FROM messages 
            WHERE conversation_id = c.id 
            ORDER BY timestamp ASC 
@@ -290,18 +316,18 @@ router.get('/conversations', async (req, res) => {
         ) as message_snippet
       FROM conversations c
       LEFT JOIN summaries s ON c.id = s.conversation_id
-      WHERE (
+      WHERE c.patient_id = ? AND (
         EXISTS (
           SELECT 1 FROM messages m 
           WHERE m.conversation_id = c.id 
-          AND m.content LIKE ? COLLATE NOCASE
+          AND decrypt_field(m.content) LIKE ? COLLATE NOCASE
         )
         OR c.call_sid LIKE ? COLLATE NOCASE
         OR (
           s.summary_text IS NOT NULL AND (
-            json_extract(s.summary_text, '$.careIndicators.medicationConcerns') LIKE ? COLLATE NOCASE
-            OR json_extract(s.summary_text, '$.careIndicators.staffComplaints') LIKE ? COLLATE NOCASE
-            OR json_extract(s.summary_text, '$.mentalStateIndicators.overallMoodTrend') LIKE ? COLLATE NOCASE
+            json_extract(decrypt_field(s.summary_text), '$.careIndicators.medicationConcerns') LIKE ? COLLATE NOCASE
+            OR json_extract(decrypt_field(s.summary_text), '$.careIndicators.staffComplaints') LIKE ? COLLATE NOCASE
+            OR json_extract(decrypt_field(s.summary_text), '$.mentalStateIndicators.overallMoodTrend') LIKE ? COLLATE NOCASE
           )
         )
       )
@@ -309,8 +335,9 @@ router.get('/conversations', async (req, res) => {
       LIMIT ?
     `;
     
+    const patientId = getPatientId(req);
     const conversations = await dbManager.all(conversationsSql, [
-      searchPattern, searchPattern, searchPattern, searchPattern, searchPattern, searchPattern, limit
+      searchPattern, patientId, searchPattern, searchPattern, searchPattern, searchPattern, searchPattern, limit
     ]);
     
     const enrichedResults = conversations.map(conv => {
@@ -348,6 +375,10 @@ router.get('/conversations', async (req, res) => {
       };
     });
     
+    await logTranscriptViews(req, patientId, enrichedResults
+      .filter(conv => conv.matchingMessages.length > 0 || conv.messageSnippet)
+      .map(conv => conv.id));
+
     res.json({
       success: true,
       data: {
@@ -393,20 +424,22 @@ router.get('/memories', async (req, res) => {
     const memoriesSql = `
       SELECT 
         id,
-        key,
-        content,
+        memory_key AS key,
+        decrypt_field(memory_content) AS content,
         category,
         created_at,
         updated_at,
         last_accessed
       FROM memories
-      WHERE key LIKE ? COLLATE NOCASE
-         OR content LIKE ? COLLATE NOCASE
-         OR category LIKE ? COLLATE NOCASE
+      WHERE patient_id = ? AND (
+        memory_key LIKE ? COLLATE NOCASE
+        OR decrypt_field(memory_content) LIKE ? COLLATE NOCASE
+        OR category LIKE ? COLLATE NOCASE
+      )
       ORDER BY 
         CASE 
-          WHEN key LIKE ? COLLATE NOCASE THEN 1  -- Exact key matches first
-          WHEN content LIKE ? COLLATE NOCASE THEN 2  -- Content matches second
+          WHEN memory_key LIKE ? COLLATE NOCASE THEN 1  -- Exact key matches first
+          WHEN decrypt_field(memory_content) LIKE ? COLLATE NOCASE THEN 2  -- Content matches second
           ELSE 3
         END,
         last_accessed DESC
@@ -414,7 +447,7 @@ router.get('/memories', async (req, res) => {
     `;
     
     const memories = await dbManager.all(memoriesSql, [
-      searchPattern, searchPattern, searchPattern, searchPattern, searchPattern, limit
+      getPatientId(req), searchPattern, searchPattern, searchPattern, searchPattern, searchPattern, limit
     ]);
     
     res.json({
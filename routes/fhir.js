@@ -0,0 +1,170 @@
+const express = require('express');
+const router = express.Router();
+const DatabaseManager = require('../services/database-manager');
+const FhirService = require('../services/fhir-service');
+const AuditService = require('../services/audit-service');
+const { getPatientId } = require('../utils/patient-scope');
+
+/**
+ * Read-only FHIR R4 endpoint
+ *
+ * Serves calls as Encounters and their emotional metrics and care indicators
+ * as Observations (see FhirService), for the facility's clinical systems.
+ *
+ * - GET /fhir/metadata - CapabilityStatement
+ * - GET /fhir/Patient/:id
+ * - GET /fhir/Encounter/:id, GET /fhir/Observation/:id
+ * - GET /fhir/Encounter, GET /fhir/Observation - searchset Bundles
+ *   Search params: patient ('Patient/1' or '1'; default: the selected patient),
+ *   date ('2024-06-10', 'ge2024-06-01', 'le2024-06-30'; repeatable)
+ *
+ * Responses are FHIR resources (application/fhir+json) and errors are
+ * OperationOutcomes. Every resource is validated before it is sent. Reads
+ * of patient data are recorded in the audit log.
+ */
+
+async function getFhirService() {
+  const dbManager = DatabaseManager.getInstance();
+  await dbManager.waitForInitialization();
+  return new FhirService(dbManager);
+}
+
+function baseUrl(req) {
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+}
+
+/**
+ * Send a resource, or a 500 OperationOutcome if it fails validation
+ */
+function sendResource(res, resource, status = 200) {
+  const problems = FhirService.validate(resource);
+  if (problems.length > 0) {
+    console.error('Invalid FHIR resource:', problems.join('; '));
+    return sendOutcome(res, 500, 'invariant', `The resource failed validation: ${problems.join('; ')}`);
+  }
+  res.status(status).set('Content-Type', FhirService.CONTENT_TYPE).send(JSON.stringify(resource));
+}
+
+function sendOutcome(res, status, code, diagnostics) {
+  res.status(status).set('Content-Type', FhirService.CONTENT_TYPE).send(JSON.stringify(FhirService.operationOutcome(code, diagnostics)));
+}
+
+function sendError(res, error) {
+  // HIPAA COMPLIANCE: Never log full error object as it may contain patient data (PHI)
+  console.error('Error serving FHIR request:', error.message);
+  sendOutcome(res, 500, 'exception', 'Internal server error');
+}
+
+/**
+ * Parse the date search params into local dates
+ * @returns {Object|null} { from, to } (either may be null), or null if a value isn't supported
+ */
+function parseDateParams(values) {
+  let from = null;
+  let to = null;
+  for (const value of [].concat(values || [])) {
+    const match = /^(eq|ge|le)?(\d{4}-\d{2}-\d{2})$/.exec(value);
+    if (!match || isNaN(Date.parse(match[2]))) return null;
+    const [, prefix = 'eq', date] = match;
+    if (prefix !== 'le') from = date;
+    if (prefix !== 'ge') to = date;
+  }
+  return { from, to };
+}
+
+/**
+ * The patient a search is for: the patient param, or the selected patient
+ * @returns {number|null} Patient id, or null if the param isn't one of ours
+ */
+function parsePatientParam(req) {
+  if (req.query.patient === undefined) return getPatientId(req);
+  const match = /^(?:Patient\/)?(\d+)$/.exec(String(req.query.patient));
+  return match ? parseInt(match[1], 10) : null;
+}
+
+router.get('/metadata', (req, res) => {
+  sendResource(res, FhirService.capabilityStatement(baseUrl(req)));
+});
+
+router.get('/Patient/:id', async (req, res) => {
+  try {
+    const patientId = /^\d+$/.test(req.params.id) ? parseInt(req.params.id, 10) : null;
+    const patient = patientId ? await (await getFhirService()).getPatientResource(patientId) : null;
+    if (!patient) {
+      return sendOutcome(res, 404, 'not-found', `Patient/${req.params.id} was not found`);
+    }
+
+    await AuditService.logRequest(req, 'data_exported', {
+      targetType: 'fhir',
+      targetId: `Patient/${patientId}`,
+      patientId,
+      details: { interaction: 'read' }
+    });
+    sendResource(res, patient);
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/:type(Encounter|Observation)/:id', async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const match = type === 'Encounter' ? /^(\d+)$/.exec(id) : /^(\d+)-[A-Za-z0-9\-.]+$/.exec(id);
+    const conversationId = match ? parseInt(match[1], 10) : null;
+
+    const service = await getFhirService();
+    const patientId = conversationId ? await service.getCallPatientId(conversationId) : null;
+    const resources = patientId ? await service.getResources(patientId, { conversationId }) : null;
+    const resource = resources && (type === 'Encounter' ? resources.encounters : resources.observations).find(item => item.id === id);
+    if (!resource) {
+      return sendOutcome(res, 404, 'not-found', `${type}/${id} was not found`);
+    }
+
+    await AuditService.logRequest(req, 'data_exported', {
+      targetType: 'fhir',
+      targetId: `${type}/${id}`,
+      patientId,
+      details: { interaction: 'read' }
+    });
+    sendResource(res, resource);
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/:type(Encounter|Observation)', async (req, res) => {
+  try {
+    const { type } = req.params;
+    const patientId = parsePatientParam(req);
+    const dates = parseDateParams(req.query.date);
+    if (!patientId || !dates) {
+      return sendOutcome(res, 400, 'invalid', 'patient must be Patient/{id}; date must be YYYY-MM-DD with an optional eq, ge or le prefix');
+    }
+
+    const resources = await (await getFhirService()).getResources(patientId, dates);
+    const matches = resources ? (type === 'Encounter' ? resources.encounters : resources.observations) : [];
+
+    await AuditService.logRequest(req, 'data_exported', {
+      targetType: 'fhir',
+      targetId: type,
+      patientId,
+      details: { interaction: 'search', ...dates, count: matches.length }
+    });
+    sendResource(res, FhirService.bundle('searchset', matches, baseUrl(req)));
+
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Read-only: anything else is not supported
+router.all('*', (req, res) => {
+  if (req.method !== 'GET') {
+    return sendOutcome(res, 405, 'not-supported', `${req.method} is not supported; this endpoint is read-only`);
+  }
+  sendOutcome(res, 404, 'not-supported', `${req.path} is not supported`);
+});
+
+module.exports = router;
@@ -4,9 +4,11 @@
 require('dotenv').config();
 
 const DatabaseManager = require('../services/database-manager.js');
+const AuditService = require('../services/audit-service.js');
 
 /**
  * Cleanup script to remove short conversations (< 1 second) and associated data
+ * The removal is recorded in the audit log.
  * 
  * Usage:
  *   node scripts/cleanup-short-conversations.js [--dry-run]
@@ -215,6 +217,12 @@ class ConversationCleanup {
       
       console.log('\n🗑️  Deleting short conversations and associated data...');
       const deletedCounts = await this.deleteShortConversations(conversationIds);
+      await new AuditService(this.dbManager).record({
+        action: 'data_purged',
+        actor: 'scripts/cleanup-short-conversations.js',
+        targetType: 'conversation',
+        details: { osUser: process.env.USER || null, conversationIds, deleted: deletedCounts }
+      });
       
       console.log('✅ Deletion completed successfully!');
       console.log(`   Conversations deleted: ${deletedCounts.conversations}`);
@@ -6,6 +6,9 @@ require('dotenv').config();
 const crypto = require('crypto');
 const DatabaseManager = require('../services/database-manager');
 
+// Must match the users.role CHECK constraint (see USER_ROLES in middleware/auth-middleware.js)
+const USER_ROLES = ['owner', 'caregiver', 'family'];
+
 /**
  * CLI Script: Generate Registration Link
  * 
@@ -14,19 +17,29 @@ const DatabaseManager = require('../services/database-manager');
  * - CLI-only registration (no web-based setup)
  * - 24-hour token expiry
  * - Email-based user identification
+ * - Role chosen at generation time (the first user is always an owner)
  * 
  * Usage:
  *   npm run generate-registration-link
- *   node scripts/generate-registration-link.js [email] [name]
+ *   npm run generate-registration-link -- --role family
+ *   node scripts/generate-registration-link.js --role caregiver
  */
 
-async function generateRegistrationLink() {
+async function generateRegistrationLink(requestedRole = null) {
   try {
     // Initialize database using same path as main app
     const dbPath = process.env.SQLITE_DB_PATH || './storage/conversation-summaries.db';
     const dbManager = new DatabaseManager(dbPath);
     await dbManager.waitForInitialization();
 
+    if (requestedRole && !USER_ROLES.includes(requestedRole)) {
+      throw new Error(`Role must be one of: ${USER_ROLES.join(', ')}`);
+    }
+
+    // The first admin must be able to manage everything; later users default to caregiver
+    const { count: userCount } = await dbManager.get('SELECT COUNT(*) as count FROM users WHERE is_active = 1');
+    const role = userCount === 0 ? 'owner' : (requestedRole || 'caregiver');
+
     // Generate secure token (32 bytes = 256 bits)
     const token = crypto.randomBytes(32).toString('hex');
     
@@ -36,9 +49,9 @@ async function generateRegistrationLink() {
 
     // Store token in database (email will be collected during registration)
     await dbManager.run(`
-      INSERT INTO registration_tokens (token, expires_at, created_at)
-      VALUES (?, ?, datetime('now'))
-    `, [token, expiresAt.toISOString()]);
+      INSERT INTO registration_tokens (token, expires_at, role, created_at)
+      VALUES (?, ?, ?, datetime('now'))
+    `, [token, expiresAt.toISOString(), role]);
 
     // Generate registration URL
     const serverUrl = process.env.SERVER 
@@ -56,6 +69,7 @@ async function generateRegistrationLink() {
     console.log('\n✅ Registration link generated successfully!');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.log(`🎫 Token: ${token.substring(0, 16)}...`);
+    console.log(`👤 Role: ${role}`);
     console.log(`⏰ Expires: ${expiresAt.toLocaleString()}`);
     console.log(`🔗 Registration URL:\n   ${registrationUrl}`);
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -92,7 +106,7 @@ async function listActiveTokens() {
     await dbManager.waitForInitialization();
 
     const tokens = await dbManager.all(`
-      SELECT token, email, expires_at, created_at
+      SELECT token, email, role, expires_at, created_at
       FROM registration_tokens 
       WHERE expires_at > datetime('now') AND used = 0
       ORDER BY created_at DESC
@@ -117,6 +131,7 @@ async function listActiveTokens() {
       } else {
         console.log('   Email: (will be collected during registration)');
       }
+      console.log(`   Role: ${token.role}`);
       console.log(`   Created: ${createdAt.toLocaleString()}`);
       console.log(`   Expires: ${expiresAt.toLocaleString()} (${timeLeft}h remaining)`);
       console.log('');
@@ -156,7 +171,8 @@ if (require.main === module) {
   } else if (command === '--cleanup' || command === 'cleanup') {
     cleanupExpiredTokens();
   } else {
-    generateRegistrationLink();
+    const roleIndex = process.argv.indexOf('--role');
+    generateRegistrationLink(roleIndex > -1 ? process.argv[roleIndex + 1] : null);
   }
 }
 
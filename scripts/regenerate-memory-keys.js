@@ -14,6 +14,7 @@ process.chdir(path.join(__dirname, '..'));
 
 const DatabaseManager = require('../services/database-manager');
 const { GptService } = require('../services/gpt-service');
+const MemoryRevisionService = require('../services/memory-revision-service');
 
 async function regenerateMemoryKeys() {
   const args = process.argv.slice(2);
@@ -32,6 +33,7 @@ async function regenerateMemoryKeys() {
     await dbManager.waitForInitialization();
     
     const gptService = new GptService();
+    const revisions = new MemoryRevisionService(dbManager);
     
     // Get memories to process
     let memories;
@@ -96,6 +98,16 @@ async function regenerateMemoryKeys() {
                 'UPDATE memories SET memory_key = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
                 [newKey, memory.id]
               );
+              const version = MemoryRevisionService.toVersion(content, category, memory.is_fact);
+              await revisions.record({
+                patientId: memory.patient_id,
+                key: newKey,
+                previousKey: oldKey,
+                action: 'renamed',
+                before: version,
+                after: version,
+                actor: { type: 'script', script: path.basename(__filename) }
+              });
               console.log('   ✅ Updated successfully');
               updated++;
             }
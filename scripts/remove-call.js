@@ -4,11 +4,13 @@
 require('dotenv').config();
 
 const DatabaseManager = require('../services/database-manager.js');
+const AuditService = require('../services/audit-service.js');
 const readline = require('readline');
 
 /**
  * Script to safely remove a specific call and all its associated data from the database.
  * Preserves shared data like memories that are used across multiple calls.
+ * The removal is recorded in the audit log.
  * 
  * Usage:
  *   node scripts/remove-call.js <call_sid>              # Remove by call_sid
@@ -278,6 +280,13 @@ class CallRemover {
       
       console.log('\n🗑️  Deleting call and all associated data...');
       const deletedCounts = await this.deleteCall(call.id);
+      await new AuditService(this.dbManager).record({
+        action: 'data_purged',
+        actor: 'scripts/remove-call.js',
+        targetType: 'conversation',
+        targetId: call.id,
+        details: { osUser: process.env.USER || null, deleted: deletedCounts }
+      });
       
       console.log('✅ Deletion completed successfully!');
       console.log(`   Emotional Metrics deleted: ${deletedCounts.emotionalMetrics}`);
@@ -3,9 +3,11 @@
 /**
  * Script to remove the most recent 25 calls from the database
  * This will remove conversations, their messages, summaries, analytics, and emotional metrics
+ * The removal is recorded in the audit log
  */
 
 const DatabaseManager = require('../services/database-manager');
+const AuditService = require('../services/audit-service');
 
 async function removeRecentCalls() {
   // Create a new instance pointing to the storage database
@@ -149,6 +151,12 @@ async function removeRecentCalls() {
       
       // Commit transaction
       await dbManager.run('COMMIT');
+      await new AuditService(dbManager).record({
+        action: 'data_purged',
+        actor: 'scripts/remove-recent-calls.js',
+        targetType: 'conversation',
+        details: { osUser: process.env.USER || null, conversationIds }
+      });
       
       console.log('\n🎉 Successfully deleted all records!');
       
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+// Load environment variables
+require('dotenv').config();
+
+const DatabaseManager = require('../services/database-manager.js');
+const FieldEncryption = require('../services/field-encryption.js');
+
+/**
+ * Field encryption key rotation
+ *
+ * Usage:
+ *   node scripts/rotate-encryption-key.js --generate-key
+ *   node scripts/rotate-encryption-key.js
+ *
+ * To rotate the key:
+ *   1. Generate a new key with --generate-key
+ *   2. Make it FIELD_ENCRYPTION_KEY and move the old key to FIELD_ENCRYPTION_PREVIOUS_KEYS
+ *      (or put the new key first in FIELD_ENCRYPTION_KEY_FILE)
+ *   3. Run this script to re-encrypt every field with the new key
+ *   4. Remove the old key once the script reports it retired
+ *
+ * Options:
+ *   --generate-key  Print a new random key and exit
+ *
+ * Environment:
+ *   SQLITE_DB_PATH  Path to database (default: './conversation-summaries.db')
+ *   FIELD_ENCRYPTION_KEY, FIELD_ENCRYPTION_PREVIOUS_KEYS or FIELD_ENCRYPTION_KEY_FILE
+ */
+
+async function main() {
+  if (process.argv.includes('--generate-key')) {
+    console.log(FieldEncryption.generateKey());
+    return;
+  }
+
+  const dbManager = DatabaseManager.getInstance();
+  await dbManager.waitForInitialization();
+  console.log(`📁 Database path: ${dbManager.dbPath}`);
+
+  const { encryption } = dbManager;
+  if (!encryption.enabled) {
+    throw new Error('No field encryption key is configured');
+  }
+  console.log(`🔑 Current key: ${encryption.currentKeyId}`);
+
+  const counts = dbManager.encryptFields({ rotate: true });
+  for (const [field, count] of Object.entries(counts)) {
+    if (count > 0) {
+      console.log(`   ${field}: ${count} re-encrypted`);
+    }
+  }
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  console.log(`✅ ${total} values re-encrypted with key ${encryption.currentKeyId}`);
+  console.log('🧹 Database file compacted; nothing under the old keys is left on disk');
+
+  const retired = encryption.keyIds.filter(keyId => keyId !== encryption.currentKeyId);
+  if (retired.length > 0) {
+    console.log(`🗝️  No longer needed and can be removed: ${retired.join(', ')}`);
+  }
+
+  await dbManager.close();
+}
+
+main().catch(error => {
+  console.error('❌ Key rotation failed:', error.message);
+  process.exit(1);
+});
@@ -144,8 +144,8 @@ class TextChatCLI {
     
     this.setupEventHandlers();
     
-    this.isRunning = true;
     this.showInitialGreeting();
+    this.isRunning = true;
     this.rl.prompt();
   }
 
@@ -192,7 +192,8 @@ class TextChatCLI {
 
   /**
    * Show initial AI greeting with TwiML delay information
-   * Shows what the delay would be in production without actually waiting
+   * Shows what the delay would be in production without actually waiting;
+   * the greeting itself comes from the call session, as on a phone call
    */
   showInitialGreeting() {
     // Get call frequency stats to show what delay would occur in production
@@ -201,7 +202,7 @@ class TextChatCLI {
     const delayMs = Math.max(3000, callsToday * 3000); // Minimum 3s, 3s per call
 
     console.log(chalk.magenta(`⏱️  TwiML delay would be: ${delayMs/1000}s (call #${callsToday} today)`));
-    console.log(chalk.green('🤖 Hi Francine! How are you doing today?'));
+    this.chatSession.greet();
     console.log();
     console.log(chalk.gray('💡 Tip: Type /help for commands, or just start chatting!'));
     console.log();
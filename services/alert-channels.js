@@ -0,0 +1,148 @@
+require('dotenv').config();
+require('colors');
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { createSmtpTransport } = require('./mail-transports');
+
+/**
+ * Alert Channels - Delivery methods for caregiver alerts
+ *
+ * Every channel has the same shape: `send(recipient, alert)` resolves when the
+ * alert was delivered and rejects with an Error when it wasn't. AlertService
+ * records the outcome, so channels don't log or swallow failures themselves.
+ *
+ * - sms: Twilio text message from ALERT_FROM_NUMBER (or FROM_NUMBER)
+ * - email: SMTP via SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS, from ALERT_EMAIL_FROM
+ * - webhook: JSON POST, signed with ALERT_WEBHOOK_SECRET (X-Alert-Signature) when set
+ *
+ * StubAlertChannel stands in for any of them locally: it keeps what it was
+ * asked to send in memory and prints it instead of contacting anyone.
+ */
+
+/**
+ * Text message alerts through Twilio
+ */
+class SmsAlertChannel {
+  /**
+   * @param {Object} twilioClient - Optional Twilio client (created from env credentials when omitted)
+   */
+  constructor(twilioClient = null) {
+    this.client = twilioClient;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = require('twilio')(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+    }
+    return this.client;
+  }
+
+  async send(recipient, alert) {
+    const from = process.env.ALERT_FROM_NUMBER || process.env.FROM_NUMBER;
+    if (!from) {
+      throw new Error('ALERT_FROM_NUMBER is not configured');
+    }
+    await this.getClient().messages.create({ to: recipient.address, from, body: alert.message });
+  }
+}
+
+/**
+ * Email alerts over SMTP
+ */
+class EmailAlertChannel {
+  /**
+   * @param {Object} transporter - Optional nodemailer transport (created from SMTP_* env when omitted)
+   */
+  constructor(transporter = null) {
+    this.transporter = transporter;
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = createSmtpTransport();
+    }
+    return this.transporter;
+  }
+
+  async send(recipient, alert) {
+    const from = process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER;
+    if (!from) {
+      throw new Error('ALERT_EMAIL_FROM is not configured');
+    }
+    await this.getTransporter().sendMail({
+      from,
+      to: recipient.address,
+      subject: `[${alert.severity.toUpperCase()}] ${alert.title}`,
+      text: alert.message
+    });
+  }
+}
+
+/**
+ * JSON webhook alerts, e.g. for a paging service or a care team chat
+ */
+class WebhookAlertChannel {
+  /**
+   * @param {Function} fetchImpl - fetch implementation (node-fetch by default)
+   */
+  constructor(fetchImpl = fetch) {
+    this.fetch = fetchImpl;
+  }
+
+  /**
+   * HMAC-SHA256 of the body with ALERT_WEBHOOK_SECRET so receivers can verify the sender
+   * @param {string} body - JSON request body
+   * @param {string} secret - Shared secret
+   * @returns {string} Hex signature
+   */
+  static sign(body, secret) {
+    return crypto.createHmac('sha256', secret).update(body).digest('hex');
+  }
+
+  async send(recipient, alert) {
+    const body = JSON.stringify({
+      id: alert.id,
+      type: alert.type,
+      severity: alert.severity,
+      title: alert.title,
+      message: alert.message,
+      patientId: alert.patientId,
+      createdAt: alert.createdAt
+    });
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.ALERT_WEBHOOK_SECRET) {
+      headers['X-Alert-Signature'] = WebhookAlertChannel.sign(body, process.env.ALERT_WEBHOOK_SECRET);
+    }
+
+    const response = await this.fetch(recipient.address, { method: 'POST', headers, body, timeout: 10000 });
+    if (!response.ok) {
+      throw new Error(`Webhook responded with HTTP ${response.status}`);
+    }
+  }
+}
+
+/**
+ * Local stand-in for any channel; records alerts instead of sending them
+ */
+class StubAlertChannel {
+  /**
+   * @param {string} type - Channel it stands in for (sms, email, webhook)
+   */
+  constructor(type) {
+    this.type = type;
+    this.sent = [];
+  }
+
+  async send(recipient, alert) {
+    this.sent.push({ recipient, alert });
+    console.log(`🔔 [stub ${this.type}] Alert for ${recipient.name}: ${alert.title}`.magenta);
+  }
+}
+
+module.exports = {
+  SmsAlertChannel,
+  EmailAlertChannel,
+  WebhookAlertChannel,
+  StubAlertChannel
+};
@@ -0,0 +1,564 @@
+require('colors');
+
+const ConfigService = require('./config-service');
+const {
+  SmsAlertChannel,
+  EmailAlertChannel,
+  WebhookAlertChannel,
+  StubAlertChannel
+} = require('./alert-channels');
+
+/**
+ * AlertService - Real-time caregiver alerts for calls that need a person
+ *
+ * Alerts are raised while a call is happening (transfer requested or failed,
+ * the caller mentions a fall or pain, the call is ended because the caller
+ * stopped responding) and after it is analyzed (high anxiety, emergency
+ * indicators). Each alert is saved, then sent to the patient's alert
+ * recipients whose minimum severity it meets. Patients without recipients fall
+ * back to a text to their primary family contact.
+ *
+ * The same alert type for the same patient within the de-duplication window of
+ * the last one is folded into the open alert (occurrence_count) instead of
+ * notifying again. Once caregivers acknowledge an alert, a repeat raises and
+ * sends a new one.
+ * Caregivers acknowledge alerts from the admin dashboard.
+ *
+ * Raising an alert never throws: a failed save or delivery is logged and
+ * recorded so the call flow is never interrupted.
+ */
+class AlertService {
+  static SEVERITIES = Object.freeze(['info', 'warning', 'critical']);
+
+  static CHANNELS = Object.freeze(['sms', 'email', 'webhook']);
+
+  /**
+   * Alert types with their severity, title and message
+   * Messages carry the minimum needed to act: no transcript text
+   */
+  static TYPES = Object.freeze({
+    transfer_requested: {
+      severity: 'critical',
+      title: 'Transfer requested',
+      message: (name, time) => `${name} asked to be connected to a person during a call at ${time}.`
+    },
+    transfer_failed: {
+      severity: 'critical',
+      title: 'Transfer failed',
+      message: (name, time) => `${name}'s call could not be transferred at ${time}. Please call them.`
+    },
+    fall_mentioned: {
+      severity: 'critical',
+      title: 'Fall mentioned',
+      message: (name, time) => `${name} mentioned a fall during a call at ${time}. Please check on them.`
+    },
+    emergency_indicators: {
+      severity: 'critical',
+      title: 'Possible emergency',
+      message: (name, time, details) => `Possible emergency in ${name}'s call at ${time}: ${(details.indicators || []).join(', ')}.`
+    },
+    pain_mentioned: {
+      severity: 'warning',
+      title: 'Pain mentioned',
+      message: (name, time) => `${name} mentioned being in pain during a call at ${time}.`
+    },
+    high_anxiety: {
+      severity: 'warning',
+      title: 'High anxiety',
+      message: (name, time, details) => `${name} seemed very anxious (${details.anxietyLevel}/10) during a call at ${time}.`
+    },
+    silent_hangup: {
+      severity: 'warning',
+      title: 'Call ended from silence',
+      message: (name, time) => `${name}'s call ended at ${time} after no response to several check-ins. You may want to check in.`
+    }
+  });
+
+  /**
+   * What the caller says that raises an alert immediately, during the call
+   */
+  static MENTION_PATTERNS = Object.freeze({
+    fall_mentioned: /\b(i fell(?! asleep| for| in love| behind)|fell (down|over|out of)|i('ve| have) fallen|had a fall|took a (fall|tumble)|on the floor and can('|no)?t get up|slipped and)\b/i,
+    pain_mentioned: /\b(chest pain|in (a lot of |so much )?pain|(it|that|everything) hurts|my \w+ (hurts|is hurting|aches)|hurts so (bad|much)|(terrible|awful|bad|sharp) pain)\b/i
+  });
+
+  /**
+   * @param {Object} databaseManager - DatabaseManager instance
+   * @param {Object} options
+   * @param {Object} options.channels - Channels by type (defaults from AlertService.createChannels)
+   */
+  constructor(databaseManager, { channels = AlertService.createChannels() } = {}) {
+    this.db = databaseManager;
+    this.channels = channels;
+  }
+
+  /**
+   * Build the delivery channels
+   * Stubs are used in tests and when ALERT_CHANNELS=stub, so nobody is contacted
+   * @param {Object} options - { stub }
+   * @returns {Object} { sms, email, webhook }
+   */
+  static createChannels({ stub = process.env.NODE_ENV === 'test' || process.env.ALERT_CHANNELS === 'stub' } = {}) {
+    if (stub) {
+      return Object.fromEntries(AlertService.CHANNELS.map(type => [type, new StubAlertChannel(type)]));
+    }
+    return {
+      sms: new SmsAlertChannel(),
+      email: new EmailAlertChannel(),
+      webhook: new WebhookAlertChannel()
+    };
+  }
+
+  /**
+   * Convert an alerts row into an alert object
+   * @param {Object} row - Row from the alerts table (optionally joined with the acknowledging user)
+   * @returns {Object|null} Alert
+   */
+  static formatAlert(row) {
+    if (!row) return null;
+
+    let details = {};
+    try {
+      details = row.details ? JSON.parse(row.details) : {};
+    } catch {
+      details = {};
+    }
+
+    return {
+      id: row.id,
+      patientId: row.patient_id,
+      type: row.type,
+      severity: row.severity,
+      title: AlertService.TYPES[row.type]?.title || row.type,
+      message: row.message,
+      details,
+      callSid: row.call_sid,
+      conversationId: row.conversation_id,
+      status: row.status,
+      occurrenceCount: row.occurrence_count,
+      lastTriggeredAt: row.last_triggered_at,
+      acknowledgedBy: row.acknowledged_by_name || null,
+      acknowledgedAt: row.acknowledged_at,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Convert an alert_recipients row into a recipient object
+   * @param {Object} row - Row from the alert_recipients table
+   * @returns {Object|null} Recipient
+   */
+  static formatRecipient(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      patientId: row.patient_id,
+      name: row.name,
+      channel: row.channel,
+      address: row.address,
+      minSeverity: row.min_severity,
+      isActive: Boolean(row.is_active),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Validate recipient fields from the admin API
+   * @param {Object} data - Recipient fields (camelCase)
+   * @param {boolean} partial - Whether missing required fields are allowed (updates)
+   * @returns {Array<string>} Validation errors
+   */
+  static validateRecipient(data, partial = false) {
+    const errors = [];
+    const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+
+    if (!data || typeof data !== 'object') {
+      return ['recipient data is required'];
+    }
+
+    if ((!partial || data.name !== undefined) && !isNonEmptyString(data.name)) {
+      errors.push('name is required');
+    }
+
+    if ((!partial || data.channel !== undefined) && !AlertService.CHANNELS.includes(data.channel)) {
+      errors.push(`channel must be one of: ${AlertService.CHANNELS.join(', ')}`);
+    }
+
+    if (!partial || data.address !== undefined) {
+      const address = isNonEmptyString(data.address) ? data.address.trim() : '';
+      if (!address) {
+        errors.push('address is required');
+      } else if (data.channel === 'sms' && address.replace(/\D/g, '').length < 10) {
+        errors.push('address must be a phone number for sms');
+      } else if (data.channel === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) {
+        errors.push('address must be an email address for email');
+      } else if (data.channel === 'webhook' && !/^https?:\/\/\S+$/.test(address)) {
+        errors.push('address must be an http(s) URL for webhook');
+      }
+    }
+
+    if (data.minSeverity !== undefined && !AlertService.SEVERITIES.includes(data.minSeverity)) {
+      errors.push(`minSeverity must be one of: ${AlertService.SEVERITIES.join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Whether an alert of one severity should reach a recipient with a minimum severity
+   */
+  static meetsSeverity(severity, minSeverity) {
+    return AlertService.SEVERITIES.indexOf(severity) >= AlertService.SEVERITIES.indexOf(minSeverity);
+  }
+
+  /**
+   * Raise an alert for a patient and notify their recipients
+   * @param {string} type - Key of AlertService.TYPES
+   * @param {Object} context
+   * @param {Object} context.patient - Patient profile from PatientService
+   * @param {string} context.callSid - Call the alert came from
+   * @param {number} context.conversationId - Saved conversation the alert came from
+   * @param {Object} context.details - Type-specific details (e.g. { anxietyLevel })
+   * @param {Date} context.now - When it happened
+   * @returns {Promise<Object|null>} { alert, deduplicated, deliveries } or null when not raised
+   */
+  async trigger(type, { patient, callSid = null, conversationId = null, details = {}, now = new Date() } = {}) {
+    const definition = AlertService.TYPES[type];
+    if (!definition || !patient?.id) return null;
+
+    try {
+      await this.db.waitForInitialization();
+      const config = (await new ConfigService(this.db).getCallConfig()).alerts;
+      if (!config.enabled) return null;
+
+      // Fold repeats within the window into the open alert caregivers already have
+      const triggeredAt = now.toISOString().replace('T', ' ').slice(0, 19);
+      const cutoff = new Date(now.getTime() - config.dedupeWindowMinutes * 60000).toISOString().replace('T', ' ').slice(0, 19);
+      const recent = await this.db.get(`
+        SELECT id FROM alerts
+        WHERE patient_id = ? AND type = ? AND status = 'open' AND datetime(last_triggered_at) >= datetime(?)
+        ORDER BY last_triggered_at DESC, id DESC LIMIT 1
+      `, [patient.id, type, cutoff]);
+
+      if (recent) {
+        await this.db.run(
+          'UPDATE alerts SET occurrence_count = occurrence_count + 1, last_triggered_at = ? WHERE id = ?',
+          [triggeredAt, recent.id]
+        );
+        console.log(`🔔 ${definition.title} alert repeated within ${config.dedupeWindowMinutes} minutes - not sent again`.yellow);
+        return { alert: await this.getAlert(recent.id), deduplicated: true, deliveries: [] };
+      }
+
+      const time = now.toLocaleTimeString('en-US', {
+        timeZone: patient.timezone || 'America/Los_Angeles',
+        hour: 'numeric',
+        minute: '2-digit'
+      });
+      const name = patient.preferredName || patient.name || 'Your family member';
+      const result = await this.db.run(`
+        INSERT INTO alerts (patient_id, type, severity, message, details, call_sid, conversation_id, last_triggered_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        patient.id,
+        type,
+        definition.severity,
+        definition.message(name, time, details),
+        JSON.stringify(details),
+        callSid,
+        conversationId,
+        triggeredAt
+      ]);
+
+      const alert = await this.getAlert(result.lastID);
+      console.log(`🔔 ${alert.severity.toUpperCase()} alert raised: ${alert.title}`.magenta);
+      const deliveries = await this.deliver(alert, patient);
+      return { alert, deduplicated: false, deliveries };
+    } catch (error) {
+      // HIPAA COMPLIANCE: Never log full error object as it may contain patient data (PHI)
+      console.error('Error raising caregiver alert:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Send an alert to every recipient it should reach and record each delivery
+   * @param {Object} alert - Saved alert
+   * @param {Object} patient - Patient profile
+   * @returns {Promise<Array<Object>>} [{ recipientId, channel, status, error? }]
+   */
+  async deliver(alert, patient) {
+    const recipients = await this.listRecipients(patient.id);
+    let targets = recipients.filter(recipient => AlertService.meetsSeverity(alert.severity, recipient.minSeverity));
+
+    // Patients without recipients still reach their primary family contact by text
+    if (recipients.length === 0 && patient.primaryContact?.phone) {
+      targets = [{ id: null, name: patient.primaryContact.name || 'Primary contact', channel: 'sms', address: patient.primaryContact.phone }];
+    }
+
+    const deliveries = [];
+    for (const recipient of targets) {
+      const delivery = { recipientId: recipient.id, channel: recipient.channel, status: 'sent' };
+      try {
+        await this.channels[recipient.channel].send(recipient, alert);
+      } catch (error) {
+        delivery.status = 'failed';
+        delivery.error = error.message;
+        console.error(`Error sending ${recipient.channel} alert:`, error.message);
+      }
+
+      await this.db.run(`
+        INSERT INTO alert_deliveries (alert_id, recipient_id, recipient_name, channel, address, status, error)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [alert.id, recipient.id, recipient.name, recipient.channel, recipient.address, delivery.status, delivery.error || null]);
+      deliveries.push(delivery);
+    }
+
+    if (targets.length === 0) {
+      console.log(`⚠️  ${alert.title} alert saved but no recipient is set up for this patient`.yellow);
+    }
+    return deliveries;
+  }
+
+  /**
+   * Raise alerts for what the caller just said (falls, pain)
+   * @param {Object} patient - Patient profile
+   * @param {string} text - Caller transcription
+   * @param {Object} context - { callSid }
+   * @returns {Promise<Array<string>>} Alert types that matched
+   */
+  async evaluateTranscription(patient, text, { callSid = null } = {}) {
+    const matched = Object.entries(AlertService.MENTION_PATTERNS)
+      .filter(([, pattern]) => pattern.test(text || ''))
+      .map(([type]) => type);
+
+    for (const type of matched) {
+      await this.trigger(type, { patient, callSid });
+    }
+    return matched;
+  }
+
+  /**
+   * Raise alerts from a call's emotional analysis
+   * @param {Object} patient - Patient profile
+   * @param {Object} metrics - Result of GptService.analyzeEmotionalState (0-100 scales)
+   * @param {Object} context - { callSid, conversationId }
+   * @returns {Promise<Array<string>>} Alert types raised
+   */
+  async evaluateEmotionalMetrics(patient, metrics, { callSid = null, conversationId = null } = {}) {
+    if (!metrics) return [];
+
+    const config = (await new ConfigService(this.db).getCallConfig()).alerts;
+    const raised = [];
+    const context = { patient, callSid, conversationId };
+
+    if (Array.isArray(metrics.emergencyIndicators) && metrics.emergencyIndicators.length > 0) {
+      await this.trigger('emergency_indicators', { ...context, details: { indicators: metrics.emergencyIndicators } });
+      raised.push('emergency_indicators');
+    }
+
+    // Stored and shown on the dashboard on a 0-10 scale
+    const anxietyLevel = Math.round((Number(metrics.anxietyLevel) || 0) / 10);
+    if (anxietyLevel >= config.highAnxietyThreshold) {
+      await this.trigger('high_anxiety', { ...context, details: { anxietyLevel } });
+      raised.push('high_anxiety');
+    }
+
+    if (metrics.mentionsPain) {
+      await this.trigger('pain_mentioned', context);
+      raised.push('pain_mentioned');
+    }
+
+    return raised;
+  }
+
+  /**
+   * Attach alerts raised during a call to its saved conversation
+   * @param {string} callSid - Call SID
+   * @param {number} conversationId - Saved conversation id
+   */
+  async linkConversation(callSid, conversationId) {
+    try {
+      await this.db.run(
+        'UPDATE alerts SET conversation_id = ? WHERE call_sid = ? AND conversation_id IS NULL',
+        [conversationId, callSid]
+      );
+    } catch (error) {
+      console.error('Error linking alerts to conversation:', error.message);
+    }
+  }
+
+  /**
+   * Get one alert, optionally only if it belongs to a patient
+   * @param {number} id - Alert id
+   * @param {number|null} patientId - Patient the alert must belong to
+   * @returns {Promise<Object|null>} Alert or null if not found
+   */
+  async getAlert(id, patientId = null) {
+    await this.db.waitForInitialization();
+    const row = await this.db.get(`
+      SELECT a.*, u.display_name AS acknowledged_by_name
+      FROM alerts a
+      LEFT JOIN users u ON u.id = a.acknowledged_by
+      WHERE a.id = ? ${patientId ? 'AND a.patient_id = ?' : ''}
+    `, patientId ? [id, patientId] : [id]);
+    return AlertService.formatAlert(row);
+  }
+
+  /**
+   * List a patient's alerts with their deliveries, newest first
+   * @param {number} patientId - Patient id
+   * @param {Object} options - { status: 'open' | 'acknowledged' | 'all', limit }
+   * @returns {Promise<Array<Object>>} Alerts
+   */
+  async listAlerts(patientId, { status = 'open', limit = 50 } = {}) {
+    await this.db.waitForInitialization();
+    const statusFilter = status === 'all' ? '' : 'AND a.status = ?';
+    const rows = await this.db.all(`
+      SELECT a.*, u.display_name AS acknowledged_by_name
+      FROM alerts a
+      LEFT JOIN users u ON u.id = a.acknowledged_by
+      WHERE a.patient_id = ? ${statusFilter}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT ?
+    `, status === 'all' ? [patientId, limit] : [patientId, status, limit]);
+
+    const alerts = rows.map(AlertService.formatAlert);
+    for (const alert of alerts) {
+      alert.deliveries = await this.db.all(`
+        SELECT channel, recipient_name AS recipient, status, sent_at AS sentAt
+        FROM alert_deliveries
+        WHERE alert_id = ?
+        ORDER BY id
+      `, [alert.id]);
+    }
+    return alerts;
+  }
+
+  /**
+   * Count a patient's open alerts
+   * @param {number} patientId - Patient id
+   * @returns {Promise<number>} Open alert count
+   */
+  async countOpenAlerts(patientId) {
+    await this.db.waitForInitialization();
+    const row = await this.db.get('SELECT COUNT(*) AS count FROM alerts WHERE patient_id = ? AND status = \'open\'', [patientId]);
+    return row?.count || 0;
+  }
+
+  /**
+   * Acknowledge an open alert
+   * @param {number} id - Alert id
+   * @param {number} patientId - Patient the alert must belong to
+   * @param {number} userId - Signed-in user acknowledging it
+   * @returns {Promise<Object|null>} Updated alert or null if not found
+   */
+  async acknowledge(id, patientId, userId) {
+    await this.db.waitForInitialization();
+    await this.db.run(`
+      UPDATE alerts SET status = 'acknowledged', acknowledged_by = ?, acknowledged_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND patient_id = ? AND status = 'open'
+    `, [userId || null, id, patientId]);
+    return this.getAlert(id, patientId);
+  }
+
+  /**
+   * List a patient's active alert recipients
+   * @param {number} patientId - Patient id
+   * @param {Object} options - { includeInactive }
+   * @returns {Promise<Array<Object>>} Recipients
+   */
+  async listRecipients(patientId, { includeInactive = false } = {}) {
+    await this.db.waitForInitialization();
+    const rows = await this.db.all(`
+      SELECT * FROM alert_recipients
+      WHERE patient_id = ? ${includeInactive ? '' : 'AND is_active = 1'}
+      ORDER BY name ASC, id ASC
+    `, [patientId]);
+    return rows.map(AlertService.formatRecipient);
+  }
+
+  /**
+   * Get one recipient that belongs to a patient
+   * @param {number} id - Recipient id
+   * @param {number} patientId - Patient id
+   * @returns {Promise<Object|null>} Recipient or null if not found
+   */
+  async getRecipient(id, patientId) {
+    await this.db.waitForInitialization();
+    const row = await this.db.get('SELECT * FROM alert_recipients WHERE id = ? AND patient_id = ?', [id, patientId]);
+    return AlertService.formatRecipient(row);
+  }
+
+  /**
+   * Add an alert recipient for a patient
+   * @param {number} patientId - Patient id
+   * @param {Object} data - Recipient fields (camelCase)
+   * @returns {Promise<Object>} The created recipient
+   */
+  async createRecipient(patientId, data) {
+    const errors = AlertService.validateRecipient(data);
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+
+    await this.db.waitForInitialization();
+    const result = await this.db.run(`
+      INSERT INTO alert_recipients (patient_id, name, channel, address, min_severity)
+      VALUES (?, ?, ?, ?, ?)
+    `, [patientId, data.name.trim(), data.channel, data.address.trim(), data.minSeverity || 'warning']);
+
+    return this.getRecipient(result.lastID, patientId);
+  }
+
+  /**
+   * Update a recipient; only provided fields are changed
+   * @param {number} id - Recipient id
+   * @param {number} patientId - Patient the recipient must belong to
+   * @param {Object} data - Recipient fields (camelCase)
+   * @returns {Promise<Object|null>} Updated recipient or null if not found
+   */
+  async updateRecipient(id, patientId, data) {
+    const existing = await this.getRecipient(id, patientId);
+    if (!existing) return null;
+
+    // Check the address against the channel it will be used with
+    const errors = AlertService.validateRecipient({ ...existing, ...data }, true);
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+
+    const columns = { name: 'name', channel: 'channel', address: 'address', minSeverity: 'min_severity', isActive: 'is_active' };
+    const assignments = [];
+    const params = [];
+    for (const [field, column] of Object.entries(columns)) {
+      if (data[field] === undefined) continue;
+      assignments.push(`${column} = ?`);
+      params.push(field === 'isActive' ? (data[field] ? 1 : 0) : String(data[field]).trim());
+    }
+
+    if (assignments.length > 0) {
+      await this.db.run(
+        `UPDATE alert_recipients SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND patient_id = ?`,
+        [...params, id, patientId]
+      );
+    }
+
+    return this.getRecipient(id, patientId);
+  }
+
+  /**
+   * Remove a recipient; past deliveries to them are kept
+   * @param {number} id - Recipient id
+   * @param {number} patientId - Patient the recipient must belong to
+   * @returns {Promise<boolean>} True when a recipient was deleted
+   */
+  async deleteRecipient(id, patientId) {
+    await this.db.waitForInitialization();
+    const result = await this.db.run('DELETE FROM alert_recipients WHERE id = ? AND patient_id = ?', [id, patientId]);
+    return result.changes > 0;
+  }
+}
+
+module.exports = AlertService;
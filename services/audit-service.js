@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const DatabaseManager = require('./database-manager');
+
+/**
+ * AuditService - Append-only, tamper-evident log of admin access and changes
+ *
+ * Records who signed in and out, registered passkeys, viewed a call transcript,
+ * changed memories or configuration, exported data or purged it, with the
+ * user, IP address, user agent and target of each action. System jobs and
+ * scripts are recorded under their own name with no user.
+ *
+ * Entries are never updated or deleted (triggers on audit_log refuse it), and
+ * each entry's hash covers its fields and the previous entry's hash, so
+ * changing, removing or reordering an entry breaks the chain from that point
+ * on. verify() walks the chain and reports the first entry that doesn't match.
+ *
+ * Details hold ids, counts and names only, never PHI. Recording an entry never
+ * throws, so auditing can't break the action being audited.
+ */
+class AuditService {
+  static ACTIONS = Object.freeze({
+    login: 'Signed in',
+    login_failed: 'Failed sign-in',
+    logout: 'Signed out',
+    passkey_registered: 'Registered a passkey',
+    conversation_viewed: 'Viewed a conversation',
+    memory_created: 'Created a memory',
+    memory_updated: 'Edited a memory',
+    memory_deleted: 'Deleted a memory',
+    config_changed: 'Changed configuration',
+    legal_hold_changed: 'Changed a legal hold',
+    data_exported: 'Exported data',
+    data_purged: 'Purged data'
+  });
+
+  static VERIFY_BATCH_SIZE = 1000;
+
+  /**
+   * @param {Object} databaseManager - DatabaseManager instance
+   */
+  constructor(databaseManager) {
+    this.db = databaseManager;
+  }
+
+  /**
+   * The hash of an entry, chained to the one before it
+   * @param {Object} entry - audit_log row
+   * @param {string|null} prevHash - Hash of the previous entry (null for the first)
+   * @returns {string} SHA-256 hex digest
+   */
+  static computeHash(entry, prevHash) {
+    const fields = [
+      prevHash ?? null,
+      entry.occurred_at,
+      entry.user_id ?? null,
+      entry.actor ?? null,
+      entry.action,
+      entry.target_type ?? null,
+      entry.target_id ?? null,
+      entry.patient_id ?? null,
+      entry.details ?? null,
+      entry.ip_address ?? null,
+      entry.user_agent ?? null
+    ];
+    return crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex');
+  }
+
+  /**
+   * Who made a request: the signed-in user, their IP address and user agent
+   * @param {Object} req - Express request
+   * @returns {Object} { userId, actor, ipAddress, userAgent }
+   */
+  static actorFrom(req) {
+    return {
+      userId: req.user?.id ?? req.session?.userId ?? null,
+      actor: req.user?.email || req.session?.email || null,
+      ipAddress: req.ip || req.socket?.remoteAddress || null,
+      userAgent: req.get?.('User-Agent') || null
+    };
+  }
+
+  /**
+   * Record an action taken through an admin request
+   * @param {Object} req - Express request
+   * @param {string} action - One of ACTIONS
+   * @param {Object} target - { targetType, targetId, patientId, details, userId, actor }
+   * @returns {Promise<Object|null>} The entry, or null if it couldn't be recorded
+   */
+  static async logRequest(req, action, target = {}) {
+    try {
+      const dbManager = DatabaseManager.getInstance();
+      await dbManager.waitForInitialization();
+      return await new AuditService(dbManager).record({ ...AuditService.actorFrom(req), ...target, action });
+    } catch (error) {
+      // HIPAA COMPLIANCE: Never log full error object as it may contain patient data (PHI)
+      console.error('Error recording audit entry:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Append an entry to the log
+   * @param {Object} entry
+   * @param {string} entry.action - One of ACTIONS
+   * @param {number} entry.userId - Signed-in user, if any
+   * @param {string} entry.actor - Who it was (email, or the job or script for system entries)
+   * @param {string} entry.targetType - What was acted on (e.g. 'conversation', 'memory')
+   * @param {string|number} entry.targetId - Its id or key
+   * @param {number} entry.patientId - Patient the target belongs to
+   * @param {Object} entry.details - Ids, counts and names only; never PHI
+   * @param {string} entry.ipAddress - Request IP address
+   * @param {string} entry.userAgent - Request user agent
+   * @param {Date} entry.now - When it happened
+   * @returns {Promise<Object|null>} The entry, or null if it couldn't be recorded
+   */
+  async record({
+    action,
+    userId = null,
+    actor = null,
+    targetType = null,
+    targetId = null,
+    patientId = null,
+    details = null,
+    ipAddress = null,
+    userAgent = null,
+    now = new Date()
+  }) {
+    try {
+      if (!AuditService.ACTIONS[action]) {
+        throw new Error(`Unknown audit action: ${action}`);
+      }
+
+      await this.db.waitForInitialization();
+      const entry = {
+        occurred_at: now.toISOString(),
+        user_id: userId,
+        actor,
+        action,
+        target_type: targetType,
+        target_id: targetId === null || targetId === undefined ? null : String(targetId),
+        patient_id: patientId,
+        details: details ? JSON.stringify(details) : null,
+        ip_address: ipAddress,
+        user_agent: userAgent
+      };
+
+      // Reading the last hash and appending must not interleave with another entry
+      const id = await this.db.transaction(() => {
+        const prevHash = this.db._getSync('SELECT hash FROM audit_log ORDER BY id DESC LIMIT 1')?.hash ?? null;
+        entry.prev_hash = prevHash;
+        entry.hash = AuditService.computeHash(entry, prevHash);
+        return this.db.runSync(`
+          INSERT INTO audit_log (occurred_at, user_id, actor, action, target_type, target_id, patient_id,
+                                 details, ip_address, user_agent, prev_hash, hash)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          entry.occurred_at, entry.user_id, entry.actor, entry.action, entry.target_type, entry.target_id,
+          entry.patient_id, entry.details, entry.ip_address, entry.user_agent, entry.prev_hash, entry.hash
+        ]).lastID;
+      });
+
+      return AuditService.formatEntry({ id, ...entry });
+    } catch (error) {
+      // HIPAA COMPLIANCE: Never log full error object as it may contain patient data (PHI)
+      console.error('Error recording audit entry:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Convert an audit_log row to the API shape
+   */
+  static formatEntry(row) {
+    let details = null;
+    try {
+      details = row.details ? JSON.parse(row.details) : null;
+    } catch {
+      details = null;
+    }
+
+    return {
+      id: row.id,
+      occurredAt: row.occurred_at,
+      userId: row.user_id,
+      actor: row.actor,
+      userName: row.user_name ?? null,
+      action: row.action,
+      actionLabel: AuditService.ACTIONS[row.action] || row.action,
+      targetType: row.target_type,
+      targetId: row.target_id,
+      patientId: row.patient_id,
+      details,
+      ipAddress: row.ip_address,
+      userAgent: row.user_agent,
+      hash: row.hash
+    };
+  }
+
+  /**
+   * Entries matching the filters, newest first
+   * @param {Object} filters
+   * @param {string} filters.action - One of ACTIONS
+   * @param {number} filters.userId - Who acted
+   * @param {string} filters.targetType - What was acted on
+   * @param {string} filters.targetId - Its id or key
+   * @param {string} filters.from - Earliest time (ISO date or timestamp)
+   * @param {string} filters.to - Latest time (ISO date or timestamp; a date includes the whole day)
+   * @param {number} filters.page - 1-based page
+   * @param {number} filters.pageSize - Entries per page
+   * @returns {Promise<Object>} { entries, pagination: { page, pageSize, total, totalPages } }
+   */
+  async list({ action, userId, targetType, targetId, from, to, page = 1, pageSize = 50 } = {}) {
+    await this.db.waitForInitialization();
+
+    const conditions = [];
+    const params = [];
+    if (action) {
+      conditions.push('a.action = ?');
+      params.push(action);
+    }
+    if (userId) {
+      conditions.push('a.user_id = ?');
+      params.push(userId);
+    }
+    if (targetType) {
+      conditions.push('a.target_type = ?');
+      params.push(targetType);
+    }
+    if (targetId) {
+      conditions.push('a.target_id = ?');
+      params.push(String(targetId));
+    }
+    if (from) {
+      conditions.push('a.occurred_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      // occurred_at is a full ISO timestamp, so a bare date must cover its whole day
+      conditions.push('a.occurred_at <= ?');
+      params.push(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to);
+    }
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const { total } = await this.db.get(`SELECT COUNT(*) AS total FROM audit_log a ${whereClause}`, params);
+    const rows = await this.db.all(`
+      SELECT a.*, u.display_name AS user_name
+      FROM audit_log a
+      LEFT JOIN users u ON u.id = a.user_id
+      ${whereClause}
+      ORDER BY a.id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, pageSize, (page - 1) * pageSize]);
+
+    return {
+      entries: rows.map(row => AuditService.formatEntry(row)),
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Check the hash chain from the first entry to the last
+   * @returns {Promise<Object>} { valid, checked, firstInvalidId, lastHash }
+   */
+  async verify() {
+    await this.db.waitForInitialization();
+
+    let prevHash = null;
+    let lastId = 0;
+    let checked = 0;
+    for (;;) {
+      const rows = await this.db.all(
+        'SELECT * FROM audit_log WHERE id > ? ORDER BY id LIMIT ?',
+        [lastId, AuditService.VERIFY_BATCH_SIZE]
+      );
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        if (row.prev_hash !== prevHash || row.hash !== AuditService.computeHash(row, prevHash)) {
+          return { valid: false, checked, firstInvalidId: row.id, lastHash: prevHash };
+        }
+        prevHash = row.hash;
+        lastId = row.id;
+        checked++;
+      }
+    }
+
+    return { valid: true, checked, firstInvalidId: null, lastHash: prevHash };
+  }
+}
+
+module.exports = AuditService;
@@ -0,0 +1,69 @@
+/**
+ * CallGuidanceService - Private caregiver guidance sent into live calls
+ *
+ * A caregiver following a call on the dashboard can send the companion an
+ * instruction ("She's worried about the cat. The neighbor is feeding it.").
+ * The instruction goes to the call's GPT context as a system message and is
+ * never spoken as given. Every instruction is logged here with who sent it, and
+ * shown on the saved conversation's timeline.
+ */
+class CallGuidanceService {
+  static MAX_MESSAGE_LENGTH = 500;
+
+  /**
+   * @param {Object} databaseManager - DatabaseManager instance
+   */
+  constructor(databaseManager) {
+    this.db = databaseManager;
+  }
+
+  /**
+   * Validate a guidance message
+   * @param {*} message - Message from the request body
+   * @returns {Array<string>} Validation errors
+   */
+  static validate(message) {
+    if (typeof message !== 'string' || message.trim().length === 0) {
+      return ['message is required'];
+    }
+    if (message.trim().length > CallGuidanceService.MAX_MESSAGE_LENGTH) {
+      return [`message must be ${CallGuidanceService.MAX_MESSAGE_LENGTH} characters or fewer`];
+    }
+    return [];
+  }
+
+  /**
+   * Log guidance that was sent into a call
+   * @param {Object} guidance - { callSid, patientId, user: { id, displayName }, message }
+   * @returns {Promise<Object>} The logged guidance
+   */
+  async record({ callSid, patientId, user, message }) {
+    await this.db.waitForInitialization();
+    const result = await this.db.run(`
+      INSERT INTO call_guidance (call_sid, patient_id, user_id, user_name, message)
+      VALUES (?, ?, ?, ?, ?)
+    `, [callSid, patientId, user?.id || null, user?.displayName || user?.email || 'Unknown user', message]);
+
+    return this.db.get(`
+      SELECT id, call_sid AS callSid, user_name AS sentBy, message, created_at AS createdAt
+      FROM call_guidance WHERE id = ?
+    `, [result.lastID]);
+  }
+
+  /**
+   * Guidance sent into a call, oldest first
+   * @param {string} callSid - Call SID
+   * @returns {Promise<Array<Object>>} [{ id, sentBy, message, createdAt }]
+   */
+  async listForCall(callSid) {
+    await this.db.waitForInitialization();
+    return this.db.all(`
+      SELECT id, user_name AS sentBy, message, created_at AS createdAt
+      FROM call_guidance
+      WHERE call_sid = ?
+      ORDER BY created_at ASC, id ASC
+    `, [callSid]);
+  }
+}
+
+module.exports = CallGuidanceService;
@@ -0,0 +1,194 @@
+/**
+ * CallHistoryService - What happened on a patient's recent calls, for the system prompt
+ *
+ * Each call otherwise starts knowing only how many calls there were today. This
+ * builds a short digest of the last few calls (from their recaps, see
+ * ConversationNarrativeService) and the alerts caregivers haven't acknowledged
+ * yet, so the companion can answer repeated questions consistently.
+ *
+ * Detail fades with age: calls from the last few hours keep their recap, what
+ * was asked for and any concerns; calls from earlier today keep topics,
+ * requests and concerns; older ones only their topics. The digest is capped in
+ * size, dropping the oldest calls first.
+ */
+class CallHistoryService {
+  static DEFAULT_MAX_CALLS = 5;
+  static DEFAULT_MAX_AGE_HOURS = 48;
+  static DEFAULT_MAX_CHARS = 1500;
+  static MAX_OPEN_CONCERNS = 5;
+
+  /**
+   * How much of a call is kept, by hours since it started
+   */
+  static DETAIL_LEVELS = Object.freeze([
+    { withinHours: 6, level: 'full' },
+    { withinHours: 24, level: 'summary' },
+    { withinHours: Infinity, level: 'topics' }
+  ]);
+
+  /**
+   * @param {Object} databaseManager - DatabaseManager instance
+   */
+  constructor(databaseManager) {
+    this.db = databaseManager;
+  }
+
+  static parseTime(value) {
+    return new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}/.test(value) ? `${value.replace(' ', 'T')}Z` : value);
+  }
+
+  static detailLevel(ageHours) {
+    return CallHistoryService.DETAIL_LEVELS.find(detail => ageHours <= detail.withinHours).level;
+  }
+
+  /**
+   * When something happened, for the model: "2 hours ago (Mon 9:15 AM)"
+   * @param {Date} time - When it happened
+   * @param {Date} now - Current time
+   * @param {string} timezone - Patient's IANA timezone
+   */
+  static describeWhen(time, now, timezone = 'America/Los_Angeles') {
+    const minutes = Math.max(0, Math.floor((now - time) / 60000));
+    const hours = Math.floor(minutes / 60);
+    const days = Math.floor(hours / 24);
+    let age;
+    if (days > 0) {
+      age = `${days} day${days > 1 ? 's' : ''} ago`;
+    } else if (hours > 0) {
+      age = `${hours} hour${hours > 1 ? 's' : ''} ago`;
+    } else if (minutes > 0) {
+      age = `${minutes} minute${minutes > 1 ? 's' : ''} ago`;
+    } else {
+      age = 'just now';
+    }
+
+    const local = time.toLocaleString('en-US', { timeZone: timezone, weekday: 'short', hour: 'numeric', minute: '2-digit' });
+    return `${age} (${local})`;
+  }
+
+  static joinList(list) {
+    return Array.isArray(list) && list.length > 0 ? list.join('; ') : null;
+  }
+
+  static parseList(value) {
+    try {
+      const list = JSON.parse(value || '[]');
+      return Array.isArray(list) ? list.filter(item => typeof item === 'string' && item.trim()) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  static shorten(text, maxChars) {
+    const clean = String(text).replace(/•/g, '').replace(/\s+/g, ' ').trim();
+    return clean.length > maxChars ? `${clean.slice(0, maxChars - 3)}...` : clean;
+  }
+
+  /**
+   * The digest of a patient's recent calls and open concerns
+   * @param {number} patientId - Patient id
+   * @param {Object} options
+   * @param {number} options.maxCalls - Most recent calls to consider (0 turns the digest off)
+   * @param {number} options.maxAgeHours - Ignore calls and alerts older than this
+   * @param {number} options.maxChars - Rough size limit of the digest text
+   * @param {string} options.timezone - Patient's timezone, for times of day
+   * @param {string} options.excludeCallSid - The call in progress (already saved after a failed transfer)
+   * @param {Date} options.now - Current time
+   * @returns {Promise<Object|null>} { calls, openConcerns, hasOpenConcerns } or null when there is nothing to tell
+   */
+  async getDigest(patientId, {
+    maxCalls = CallHistoryService.DEFAULT_MAX_CALLS,
+    maxAgeHours = CallHistoryService.DEFAULT_MAX_AGE_HOURS,
+    maxChars = CallHistoryService.DEFAULT_MAX_CHARS,
+    timezone = 'America/Los_Angeles',
+    excludeCallSid = null,
+    now = new Date()
+  } = {}) {
+    if (!maxCalls || maxCalls <= 0) {
+      return null;
+    }
+    await this.db.waitForInitialization();
+
+    const cutoff = new Date(now.getTime() - maxAgeHours * 3600000);
+    const rows = await this.db.all(`
+      SELECT c.id, c.start_time, c.direction, n.narrative, n.key_topics, n.concerns, n.requests
+      FROM conversations c
+      LEFT JOIN conversation_narratives n ON n.conversation_id = c.id
+      WHERE c.patient_id = ? AND c.start_time >= ? AND c.start_time <= ?
+        AND (? IS NULL OR c.call_sid != ?)
+      ORDER BY c.start_time DESC
+      LIMIT ?
+    `, [patientId, cutoff.toISOString(), now.toISOString(), excludeCallSid, excludeCallSid, maxCalls]);
+
+    const calls = [];
+    for (const row of rows) {
+      calls.push(await this.describeCall(row, now, timezone));
+    }
+
+    const alerts = await this.db.all(`
+      SELECT message, occurrence_count, last_triggered_at
+      FROM alerts
+      WHERE patient_id = ? AND status = 'open' AND last_triggered_at >= ?
+      ORDER BY last_triggered_at DESC
+      LIMIT ?
+    `, [patientId, cutoff.toISOString().replace('T', ' ').slice(0, 19), CallHistoryService.MAX_OPEN_CONCERNS]);
+    const openConcerns = alerts.map(alert => ({
+      message: alert.message,
+      repeated: alert.occurrence_count > 1 ? alert.occurrence_count : null
+    }));
+
+    // Open concerns are kept; calls are dropped oldest first to fit
+    let size = openConcerns.reduce((total, concern) => total + concern.message.length, 0);
+    const kept = [];
+    for (const call of calls) {
+      const callSize = Object.values(call).reduce((total, value) => total + (typeof value === 'string' ? value.length : 0), 0);
+      if (kept.length > 0 && size + callSize > maxChars) break;
+      kept.push(call);
+      size += callSize;
+    }
+
+    if (kept.length === 0 && openConcerns.length === 0) {
+      return null;
+    }
+    return { calls: kept, openConcerns, hasOpenConcerns: openConcerns.length > 0 };
+  }
+
+  /**
+   * One call in the digest, with as much detail as its age allows
+   */
+  async describeCall(row, now, timezone) {
+    const startTime = CallHistoryService.parseTime(row.start_time);
+    const level = CallHistoryService.detailLevel((now - startTime) / 3600000);
+    const requests = CallHistoryService.parseList(row.requests);
+    const concerns = CallHistoryService.parseList(row.concerns);
+
+    const call = {
+      when: CallHistoryService.describeWhen(startTime, now, timezone),
+      outbound: row.direction === 'outbound',
+      summary: null,
+      topics: CallHistoryService.joinList(CallHistoryService.parseList(row.key_topics)),
+      requests: level === 'topics' ? null : CallHistoryService.joinList(requests),
+      concerns: level === 'topics' ? null : CallHistoryService.joinList(concerns),
+      callerSaid: null
+    };
+
+    if (level === 'full') {
+      if (row.narrative) {
+        call.summary = CallHistoryService.shorten(row.narrative, 300);
+      } else {
+        // No recap yet (it is written after the call): use the first things the caller said
+        const messages = await this.db.all(`
+          SELECT content FROM messages
+          WHERE conversation_id = ? AND role = 'user'
+          ORDER BY timestamp ASC, id ASC
+          LIMIT 3
+        `, [row.id]);
+        const said = messages.map(message => `"${CallHistoryService.shorten(message.content, 100)}"`);
+        call.callerSaid = said.length > 0 ? said.join(' ') : null;
+      }
+    }
+    return call;
+  }
+}
+
+module.exports = CallHistoryService;
@@ -3,61 +3,436 @@ const VoiceResponse = require('twilio').twiml.VoiceResponse;
 /**
  * Call Routing Service
  * 
- * Handles routing decisions for incoming calls based on various conditions
+ * Handles routing decisions for incoming calls based on various conditions.
+ * Decisions come from an ordered list of rules: the configured `routing.rules`
+ * are checked first, then the built-in daily call limit and the default
+ * progressive-delay connect. The first enabled rule whose conditions all match
+ * decides the outcome.
+ * 
+ * Rule shape:
+ * {
+ *   id: 'late-night', description: 'Quiet hours', enabled: true,
+ *   when: { quietHours: true, familyAvailable: false },
+ *   outcome: 'voicemail',
+ *   delaySeconds, messageUrl, transferTo  // outcome-specific options
+ * }
+ * 
  * Each routing outcome is implemented in its own method for maintainability
  */
 class CallRoutingService {
+
+  /**
+   * Routing settings used for any key that hasn't been configured
+   */
+  static DEFAULT_CONFIG = Object.freeze({
+    dailyCallLimit: 10, // More calls than this in a day ring forever
+    delayPerCallSeconds: 3, // Connect delay grows by this much with each call today
+    quietHours: null, // { start: 'HH:MM', end: 'HH:MM' } in the patient's timezone; may wrap midnight
+    rules: [] // Custom rules, checked in order before the built-in ones
+  });
+
+  /**
+   * What a rule can do with the call
+   * - connect: AI companion after a delay (delaySeconds, default progressive)
+   * - voicemail: ring, greeting and recording, then the AI responds to the message
+   * - family_message: play a recorded family message (messageUrl) and hang up
+   * - transfer: dial a family member (transferTo, default the first available contact)
+   * - ring_forever: ring out without answering
+   */
+  static OUTCOMES = ['connect', 'voicemail', 'family_message', 'transfer', 'ring_forever'];
+
+  /**
+   * Rule conditions and the type of value each expects
+   */
+  static CONDITIONS = Object.freeze({
+    callsTodayAbove: 'number',
+    minutesSinceLastCallBelow: 'number',
+    timeOfDay: 'window',
+    quietHours: 'boolean',
+    maintenanceMode: 'boolean',
+    familyAvailable: 'boolean'
+  });
+
+  /**
+   * Rule ids used by the built-in rules; custom rules can't reuse them
+   */
+  static BUILT_IN_RULE_IDS = ['daily-limit', 'default'];
+
+  /**
+   * @param {Object} routingConfig - `routing` section from ConfigService
+   * @param {Object|null} databaseManager - Needed only to record decisions
+   */
+  constructor(routingConfig = {}, databaseManager = null) {
+    this.config = { ...CallRoutingService.DEFAULT_CONFIG, ...routingConfig };
+    this.db = databaseManager;
+  }
+
+  /**
+   * Parse an 'HH:MM' time into minutes after midnight
+   * @param {string} time - 24-hour time
+   * @returns {number|null} Minutes after midnight, or null if the format is invalid
+   */
+  static parseTime(time) {
+    const match = typeof time === 'string' && time.match(/^([01]\d|2[0-3]):([0-5]\d)$/);
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+  }
+
+  /**
+   * Check whether a time falls inside a window; windows ending before they start wrap midnight
+   * @param {Object} window - { start: 'HH:MM', end: 'HH:MM' }
+   * @param {number} minutes - Minutes after midnight
+   * @returns {boolean} True when inside the window (start inclusive, end exclusive)
+   */
+  static isWithinWindow(window, minutes) {
+    const start = CallRoutingService.parseTime(window?.start);
+    const end = CallRoutingService.parseTime(window?.end);
+    if (start === null || end === null) return false;
+
+    return start <= end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+  }
+
+  /**
+   * Minutes after midnight for a moment in a timezone
+   * @param {Date} date - Moment to convert
+   * @param {string} timezone - IANA timezone
+   * @returns {number} Minutes after midnight in that timezone
+   */
+  static getLocalMinutes(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).formatToParts(date);
+    const value = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+    return value('hour') * 60 + value('minute');
+  }
+
+  /**
+   * Validate routing settings from the admin API
+   * @param {Object} routingConfig - Routing section updates
+   * @returns {Array<string>} Validation errors
+   */
+  static validate(routingConfig = {}) {
+    const errors = [];
+    const validWindow = (window) => window && typeof window === 'object' &&
+      CallRoutingService.parseTime(window.start) !== null && CallRoutingService.parseTime(window.end) !== null;
+
+    if (routingConfig.quietHours !== undefined && routingConfig.quietHours !== null && !validWindow(routingConfig.quietHours)) {
+      errors.push('routing.quietHours must be null or { start: \'HH:MM\', end: \'HH:MM\' }');
+    }
+
+    if (routingConfig.rules === undefined) {
+      return errors;
+    }
+    if (!Array.isArray(routingConfig.rules)) {
+      errors.push('routing.rules must be an array');
+      return errors;
+    }
+
+    const seenIds = new Set();
+    routingConfig.rules.forEach((rule, index) => {
+      const path = `routing.rules[${index}]`;
+      if (!rule || typeof rule !== 'object') {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+
+      if (typeof rule.id !== 'string' || !rule.id.trim()) {
+        errors.push(`${path}.id is required`);
+      } else if (CallRoutingService.BUILT_IN_RULE_IDS.includes(rule.id)) {
+        errors.push(`${path}.id '${rule.id}' is reserved for a built-in rule`);
+      } else if (seenIds.has(rule.id)) {
+        errors.push(`${path}.id '${rule.id}' is used by more than one rule`);
+      } else {
+        seenIds.add(rule.id);
+      }
+
+      if (!CallRoutingService.OUTCOMES.includes(rule.outcome)) {
+        errors.push(`${path}.outcome must be one of: ${CallRoutingService.OUTCOMES.join(', ')}`);
+      }
+
+      if (rule.when !== undefined && (!rule.when || typeof rule.when !== 'object' || Array.isArray(rule.when))) {
+        errors.push(`${path}.when must be an object of conditions`);
+      } else {
+        for (const [condition, value] of Object.entries(rule.when || {})) {
+          const type = CallRoutingService.CONDITIONS[condition];
+          if (!type) {
+            errors.push(`${path}.when.${condition} is not a known condition`);
+          } else if (type === 'number' && (typeof value !== 'number' || value < 0)) {
+            errors.push(`${path}.when.${condition} must be a number of at least 0`);
+          } else if (type === 'boolean' && typeof value !== 'boolean') {
+            errors.push(`${path}.when.${condition} must be true or false`);
+          } else if (type === 'window' && !validWindow(value)) {
+            errors.push(`${path}.when.${condition} must be { start: 'HH:MM', end: 'HH:MM' }`);
+          }
+        }
+      }
+
+      if (rule.delaySeconds !== undefined && (typeof rule.delaySeconds !== 'number' || rule.delaySeconds < 0 || rule.delaySeconds > 60)) {
+        errors.push(`${path}.delaySeconds must be a number between 0 and 60`);
+      }
+      if (rule.outcome === 'family_message' && (typeof rule.messageUrl !== 'string' || !rule.messageUrl.trim())) {
+        errors.push(`${path}.messageUrl is required for family_message`);
+      }
+      if (rule.transferTo !== undefined && (typeof rule.transferTo !== 'string' || !rule.transferTo.trim())) {
+        errors.push(`${path}.transferTo must be a phone number`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Family contacts that can take a call right now
+   * A contact is available when it has a phone number and, if set, the time is within its availableHours
+   * @param {Object|null} patient - Patient profile
+   * @param {number} localMinutes - Minutes after midnight in the patient's timezone
+   * @returns {Array<Object>} Available contacts, primary contact first
+   */
+  static getAvailableContacts(patient, localMinutes) {
+    const contacts = (patient?.familyContacts || []).filter(contact =>
+      contact.phone && (!contact.availableHours || CallRoutingService.isWithinWindow(contact.availableHours, localMinutes))
+    );
+    return contacts.sort((a, b) => Number(Boolean(b.isPrimary)) - Number(Boolean(a.isPrimary)));
+  }
+
+  /**
+   * Rules in evaluation order: custom rules, then the daily limit, then the default connect
+   * @returns {Array<Object>} Rules
+   */
+  getRules() {
+    return [
+      ...(this.config.rules || []),
+      {
+        id: 'daily-limit',
+        description: 'Call limit exceeded',
+        when: { callsTodayAbove: this.config.dailyCallLimit },
+        outcome: 'ring_forever'
+      },
+      {
+        id: 'default',
+        description: 'Normal connect with progressive delay',
+        when: {},
+        outcome: 'connect'
+      }
+    ];
+  }
+
+  /**
+   * Gather everything rules can match on
+   * @param {Object} callStats - Today's call statistics from database
+   * @param {Object} options - See determineRoute()
+   * @returns {Object} Routing context (stored with the decision)
+   */
+  buildContext(callStats, { now = new Date(), timezone = 'America/Los_Angeles', maintenanceMode = false, patient = null } = {}) {
+    const zone = patient?.timezone || timezone;
+    const localMinutes = CallRoutingService.getLocalMinutes(now, zone);
+    const lastCall = callStats?.lastCallTime ? new Date(callStats.lastCallTime) : null;
+    const availableContacts = CallRoutingService.getAvailableContacts(patient, localMinutes);
+
+    return {
+      callsToday: callStats?.callsToday || 1,
+      minutesSinceLastCall: lastCall && !isNaN(lastCall) ? Math.max(0, Math.floor((now - lastCall) / 60000)) : null,
+      localTime: `${String(Math.floor(localMinutes / 60)).padStart(2, '0')}:${String(localMinutes % 60).padStart(2, '0')}`,
+      timezone: zone,
+      quietHours: Boolean(this.config.quietHours) && CallRoutingService.isWithinWindow(this.config.quietHours, localMinutes),
+      maintenanceMode: Boolean(maintenanceMode),
+      familyAvailable: availableContacts.length > 0
+    };
+  }
+
+  /**
+   * Check a rule's conditions against the routing context
+   * @param {Object} rule - Routing rule
+   * @param {Object} context - From buildContext()
+   * @returns {boolean} True when every condition matches
+   */
+  static matchesRule(rule, context) {
+    return Object.entries(rule.when || {}).every(([condition, value]) => {
+      switch (condition) {
+      case 'callsTodayAbove':
+        return context.callsToday > value;
+      case 'minutesSinceLastCallBelow':
+        return context.minutesSinceLastCall !== null && context.minutesSinceLastCall < value;
+      case 'timeOfDay':
+        return CallRoutingService.isWithinWindow(value, CallRoutingService.parseTime(context.localTime));
+      case 'quietHours':
+      case 'maintenanceMode':
+      case 'familyAvailable':
+        return context[condition] === value;
+      default:
+        return false; // Unknown conditions never match
+      }
+    });
+  }
   
   /**
    * Determine the appropriate routing for an incoming call
    * @param {Object} callStats - Today's call statistics from database
    * @param {number} callStats.callsToday - Number of calls today
    * @param {string} callStats.lastCallTime - Last call timestamp
-   * @returns {Object} Routing decision object
+   * @param {Object} options
+   * @param {Date} options.now - Current time (for tests)
+   * @param {string} options.timezone - Fallback timezone when the patient has none
+   * @param {boolean} options.maintenanceMode - `system.maintenanceMode` from the configuration
+   * @param {Object|null} options.patient - Patient profile (timezone and family contacts)
+   * @returns {Object} Routing decision object ({ type, ruleId, reason, callsToday, context, ... })
    */
-  determineRoute(callStats) {
-    const callsToday = callStats?.callsToday || 1;
+  determineRoute(callStats, options = {}) {
+    const context = this.buildContext(callStats, options);
+    const { callsToday } = context;
+    const patient = options.patient || null;
     
     console.log(`📞 Call routing: ${callsToday} calls today`.cyan);
     
-    // If more than 10 calls today, ring forever
-    if (callsToday > 10) {
-      console.log(`🚫 Call limit exceeded (${callsToday} > 10) - routing to ring forever`.yellow);
-      return {
-        type: 'ring_forever',
-        reason: `Call limit exceeded: ${callsToday} calls today`,
-        callsToday
-      };
+    for (const rule of this.getRules()) {
+      if (rule.enabled === false || !CallRoutingService.matchesRule(rule, context)) continue;
+
+      const decision = this.createDecision(rule, context, patient);
+      if (decision) {
+        console.log(`✅ Rule '${rule.id}' matched - routing to ${decision.type}`.green);
+        return decision;
+      }
     }
-    
-    // Default: connect with progressive delay
-    const delaySeconds = Math.max(3, callsToday * 3);
-    console.log(`✅ Normal routing - ${delaySeconds}s delay (call #${callsToday})`.green);
-    
+
+    // The default rule always matches; this only guards against a misconfigured rule list
+    return this.createDecision({ id: 'default', outcome: 'connect' }, context, patient);
+  }
+
+  /**
+   * Turn a matched rule into a routing decision
+   * @param {Object} rule - Matched rule
+   * @param {Object} context - From buildContext()
+   * @param {Object|null} patient - Patient profile (family contacts for transfers)
+   * @returns {Object|null} Decision, or null when the rule can't be carried out (e.g. nobody to transfer to)
+   */
+  createDecision(rule, context, patient = null) {
+    const { callsToday } = context;
+    const decision = {
+      type: rule.outcome,
+      ruleId: rule.id,
+      reason: rule.description || `Rule '${rule.id}' matched`,
+      callsToday,
+      context
+    };
+
+    switch (rule.outcome) {
+    case 'connect': {
+      const { delayPerCallSeconds } = this.config;
+      decision.delaySeconds = rule.delaySeconds ?? Math.max(delayPerCallSeconds, callsToday * delayPerCallSeconds);
+      break;
+    }
+    case 'ring_forever':
+      if (rule.id === 'daily-limit') {
+        decision.reason = `Call limit exceeded: ${callsToday} calls today`;
+      }
+      break;
+    case 'family_message':
+      decision.messageUrl = rule.messageUrl;
+      break;
+    case 'transfer':
+      decision.transferTo = rule.transferTo ||
+        CallRoutingService.getAvailableContacts(patient, CallRoutingService.parseTime(context.localTime))[0]?.phone;
+      if (!decision.transferTo) {
+        console.log(`⚠️  Rule '${rule.id}' skipped - no family contact available to transfer to`.yellow);
+        return null;
+      }
+      break;
+    }
+
+    return decision;
+  }
+
+  /**
+   * Store a routing decision so it can be reviewed with the conversation
+   * Never throws - a call must be answered even if the decision can't be saved
+   * @param {string} callSid - Twilio call SID
+   * @param {Object} decision - From determineRoute()
+   * @param {Object} options
+   * @param {number|null} options.patientId - Patient the call was routed to
+   * @param {string|null} options.endpoint - Webhook that received the call
+   * @returns {Promise<boolean>} True when saved
+   */
+  async recordDecision(callSid, decision, { patientId = null, endpoint = null } = {}) {
+    if (!this.db || !callSid) return false;
+
+    try {
+      await this.db.run(`
+        INSERT INTO routing_decisions (call_sid, patient_id, endpoint, rule_id, outcome, reason, context)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(call_sid) DO UPDATE SET
+          patient_id = excluded.patient_id, endpoint = excluded.endpoint, rule_id = excluded.rule_id,
+          outcome = excluded.outcome, reason = excluded.reason, context = excluded.context,
+          decided_at = CURRENT_TIMESTAMP
+      `, [
+        callSid,
+        patientId,
+        endpoint,
+        decision.ruleId,
+        decision.type,
+        decision.reason,
+        JSON.stringify(decision.context || {})
+      ]);
+      return true;
+    } catch (error) {
+      console.error('Error recording routing decision:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Get the routing decision for a call
+   * @param {string} callSid - Twilio call SID
+   * @returns {Promise<Object|null>} { ruleId, outcome, reason, context, endpoint, decidedAt } or null
+   */
+  async getDecision(callSid) {
+    const row = await this.db.get('SELECT * FROM routing_decisions WHERE call_sid = ?', [callSid]);
+    if (!row) return null;
+
+    let context = {};
+    try {
+      context = JSON.parse(row.context || '{}');
+    } catch (error) {
+      context = {};
+    }
+
     return {
-      type: 'connect',
-      delaySeconds,
-      reason: 'Normal connect with progressive delay',
-      callsToday
+      ruleId: row.rule_id,
+      outcome: row.outcome,
+      reason: row.reason,
+      endpoint: row.endpoint,
+      context,
+      decidedAt: row.decided_at
     };
   }
   
   /**
    * Build TwiML response based on routing decision
    * @param {Object} routingDecision - Decision from determineRoute()
+   * @param {string} persona - Persona passed to the WebSocket connection
+   * @param {number|null} patientId - Patient the call was routed to (omitted when null)
    * @returns {VoiceResponse} TwiML response object
    */
-  buildTwiMLResponse(routingDecision, persona = 'jessica') {
+  buildTwiMLResponse(routingDecision, persona = 'jessica', patientId = null) {
     switch (routingDecision.type) {
     case 'connect':
-      return this.createConnectResponse(routingDecision.delaySeconds, persona);
+      return this.createConnectResponse(routingDecision.delaySeconds, persona, patientId);
       
     case 'ring_forever':
       return this.createRingForeverResponse();
+
+    case 'voicemail':
+      return this.createVoicemailResponse();
+
+    case 'family_message':
+      return this.createFamilyMessageResponse(routingDecision.messageUrl);
+
+    case 'transfer':
+      return this.createTransferResponse(routingDecision.transferTo);
       
     default:
       console.log(`⚠️  Unknown routing type: ${routingDecision.type}, falling back to connect`.yellow);
-      return this.createConnectResponse(3, persona); // Fallback to minimum delay
+      return this.createConnectResponse(3, persona, patientId); // Fallback to minimum delay
     }
   }
   
@@ -65,9 +440,11 @@ class CallRoutingService {
    * Create TwiML response for normal connection with progressive delay
    * This is the default behavior that was previously in the /incoming endpoint
    * @param {number} delaySeconds - Seconds to pause before connecting
+   * @param {string} persona - Persona passed to the WebSocket connection
+   * @param {number|null} patientId - Patient the call was routed to (omitted when null)
    * @returns {VoiceResponse} TwiML response for connection
    */
-  createConnectResponse(delaySeconds, persona = 'jessica') {
+  createConnectResponse(delaySeconds, persona = 'jessica', patientId = null) {
     console.log(`🔗 Creating connect response with ${delaySeconds}s delay, persona: ${persona}`.magenta);
     
     const response = new VoiceResponse();
@@ -77,6 +454,9 @@ class CallRoutingService {
     
     // Pass persona as custom parameter to WebSocket connection
     stream.parameter({ name: 'persona', value: persona });
+    if (patientId) {
+      stream.parameter({ name: 'patient_id', value: String(patientId) });
+    }
     
     return response;
   }
@@ -97,12 +477,58 @@ class CallRoutingService {
     return response;
   }
   
+  /**
+   * Create TwiML response that hands the call to the voicemail flow
+   * The flow rings, plays the greeting and records, then the AI responds to the message
+   * @returns {VoiceResponse} TwiML response redirecting to the voicemail flow
+   */
+  createVoicemailResponse() {
+    console.log('📼 Creating voicemail response'.cyan);
+
+    const response = new VoiceResponse();
+    response.redirect({ method: 'POST' }, '/incoming/voicemail');
+
+    return response;
+  }
+
+  /**
+   * Create TwiML response that plays a recorded family message, then hangs up
+   * @param {string} messageUrl - Audio URL (absolute, or a path on this server such as /assets/audio/...)
+   * @returns {VoiceResponse} TwiML response for the family message
+   */
+  createFamilyMessageResponse(messageUrl) {
+    console.log('💌 Creating family message response'.magenta);
+
+    const url = messageUrl.startsWith('/') ? `https://${process.env.SERVER}${messageUrl}` : messageUrl;
+    const response = new VoiceResponse();
+    response.play(url);
+    response.hangup();
+
+    return response;
+  }
+
+  /**
+   * Create TwiML response that transfers the call to a family member
+   * @param {string} phoneNumber - Number to dial
+   * @returns {VoiceResponse} TwiML response for the transfer
+   */
+  createTransferResponse(phoneNumber) {
+    console.log('📲 Creating transfer response'.magenta);
+
+    const response = new VoiceResponse();
+    response.dial({ timeout: 30 }, phoneNumber);
+
+    return response;
+  }
+
   /**
    * Create fallback TwiML response for error conditions
    * Always provides minimum viable connection to prevent complete failure
+   * @param {string} persona - Persona passed to the WebSocket connection
+   * @param {number|null} patientId - Patient the call was routed to (omitted when null)
    * @returns {VoiceResponse} Fallback TwiML response
    */
-  createFallbackResponse(persona = 'jessica') {
+  createFallbackResponse(persona = 'jessica', patientId = null) {
     console.log(`🆘 Creating fallback response (3s delay + connect), persona: ${persona}`.yellow);
     
     const response = new VoiceResponse();
@@ -112,6 +538,9 @@ class CallRoutingService {
     
     // Pass persona as custom parameter to WebSocket connection
     stream.parameter({ name: 'persona', value: persona });
+    if (patientId) {
+      stream.parameter({ name: 'patient_id', value: String(patientId) });
+    }
     
     return response;
   }
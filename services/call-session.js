@@ -0,0 +1,809 @@
+require('colors');
+const EventEmitter = require('events');
+const { GptService } = require('./gpt-service');
+const { MarkCompletionService } = require('./mark-completion-service');
+const ConversationAnalyzer = require('./conversation-analyzer');
+const SqliteStorageService = require('./sqlite-storage-service');
+const SummaryGenerator = require('./summary-generator');
+const MemoryService = require('./memory-service');
+const PatientService = require('./patient-service');
+const PersonaService = require('./persona-service');
+const ConfigService = require('./config-service');
+const SilencePolicyService = require('./silence-policy-service');
+const AlertService = require('./alert-service');
+const CallTransferService = require('./call-transfer-service');
+const ConversationNarrativeService = require('./conversation-narrative-service');
+
+/**
+ * CallSession - Transport-agnostic engine for a single conversation
+ *
+ * Owns the behavior every conversation shares, whether it arrives over a
+ * Twilio media stream or the text chat CLI:
+ * - consolidating rapid caller input into a single GPT request
+ * - the GPT request queue (one completion at a time)
+ * - the silence policy ladder, started once all audio has finished playing
+ * - dropping queued replies when the caller interrupts
+ * - the maximum call duration
+ * - saving the summary, messages, emotional analysis and narrative recap when the call ends
+ *
+ * The transport handles audio and must implement:
+ *   clearAudio() - stop audio that is playing or buffered
+ *   hangUp()     - end the call; the transport then calls session.end()
+ *   isOpen()     - whether the call is still connected
+ * and report playback through audioSent(label) and audioPlayed(label).
+ *
+ * Events:
+ *   'say'   (text, interactionCount)  - a scripted line (greeting, check-in, goodbye) was spoken
+ *   'usage' (usage)                   - token usage for a completed GPT request
+ *   'ended' (result|null)             - the call ended; result holds the saved conversation IDs
+ */
+class CallSession extends EventEmitter {
+  static RAPID_INPUT_DEBOUNCE_MS = 1500;
+
+  static MIN_SAVE_DURATION_SECONDS = 2;
+
+  static GOODBYE_SAFETY_TIMEOUT_MS = 5000;
+
+  /**
+   * Opening lines for scheduled check-in calls the companion places
+   */
+  static OUTBOUND_GREETINGS = Object.freeze([
+    'Hi {{patientName}}! I\'m just calling to say hi. How are you doing today?',
+    'Hello {{patientName}}, it\'s me! I was thinking of you and wanted to call and say hi.',
+    'Hi {{patientName}}! I\'m calling to check in on you. How has your day been?'
+  ]);
+
+  /**
+   * What the companion is asked to do when the caller comes back from a transfer nobody answered
+   */
+  static TRANSFER_RETURN_INSTRUCTION = 'The caller is back on the line with you because nobody answered the transfer. ' +
+    'Gently let them know and keep them company.';
+
+  static MAX_DURATION_GOODBYES = Object.freeze([
+    'I have to go now, but it was so lovely talking with you. Take care!',
+    'I need to let you go for now. Talk to you again soon!'
+  ]);
+
+  /**
+   * @param {Object} options
+   * @param {string} options.callSid - Twilio call SID (or simulated SID for text chat)
+   * @param {Object} options.transport - Audio transport (see class docs)
+   * @param {Object} options.ttsService - Text-to-speech service (real or mock)
+   * @param {Object} options.databaseManager - DatabaseManager instance
+   * @param {Object} options.patient - Patient profile (defaults to the default profile)
+   * @param {string|Object} options.persona - Persona name or resolved persona profile
+   * @param {string} options.direction - 'inbound' (the patient called) or 'outbound' (a scheduled check-in)
+   * @param {string} options.checkInLabel - Name of the check-in schedule for outbound calls
+   * @param {Object} options.alertService - Caregiver alerts (defaults to an AlertService on the database)
+   * @param {number} options.rapidInputDebounceMs - How long to collect rapid caller input
+   */
+  constructor({
+    callSid,
+    transport,
+    ttsService,
+    databaseManager,
+    patient = null,
+    persona = PersonaService.DEFAULT_PERSONA,
+    direction = 'inbound',
+    checkInLabel = null,
+    markCompletionService = new MarkCompletionService(),
+    alertService = null,
+    storageService = null,
+    summaryGenerator = null,
+    rapidInputDebounceMs = CallSession.RAPID_INPUT_DEBOUNCE_MS
+  }) {
+    super();
+    this.callSid = callSid;
+    this.transport = transport;
+    this.ttsService = ttsService;
+    this.db = databaseManager;
+    this.patient = patient || { ...PatientService.DEFAULT_PROFILE };
+    this.direction = direction === 'outbound' ? 'outbound' : 'inbound';
+    this.checkInLabel = checkInLabel;
+    this.markCompletionService = markCompletionService;
+    this.alertService = alertService || new AlertService(databaseManager);
+    this.storageService = storageService || new SqliteStorageService(databaseManager);
+    this.summaryGenerator = summaryGenerator || new SummaryGenerator();
+    this.rapidInputDebounceMs = rapidInputDebounceMs;
+
+    this.personaProfile = persona && typeof persona === 'object' ? persona : null;
+    this.callConfig = ConfigService.getDefaults(); // Replaced with the live admin configuration on start
+    this.silencePolicy = SilencePolicyService.buildDefaultPolicy(); // Replaced with the patient's policy on start
+
+    this.gptService = new GptService(markCompletionService, null, null, databaseManager, persona, this.patient);
+    this.memoryService = new MemoryService(databaseManager, this.gptService, this.patient.id);
+    this.conversationAnalyzer = new ConversationAnalyzer(callSid, new Date());
+    this.gptService.setCallSid(callSid);
+    this.gptService.setConversationAnalyzer(this.conversationAnalyzer);
+
+    this.interactionCount = 0;
+    this.voicemailTranscript = null;
+    this.returnedFromTransfer = null; // The failed transfer this call came back from, if any
+    this.isStarted = false;
+    this.isEnded = false;
+    this.analysisPromise = null; // Background emotional analysis and recap, set once the call is saved
+
+    // GPT processing lock - prevents concurrent GPT responses
+    this.isProcessingGPT = false;
+    this.gptQueue = [];
+
+    // Rapid input consolidation - combine rapid caller input into a single request
+    this.rapidInputTimer = null;
+    this.rapidInputBuffer = [];
+
+    // Silence detection
+    this.silenceTimer = null;
+    this.silenceRetryTimer = null;
+    this.silenceStepIndex = 0; // Position in the silence escalation ladder; reset when the caller responds
+    this.isWaitingForResponse = false;
+    this.isWaitingForVoicemailResponse = false;
+    // CRITICAL FIX: Track when audio was last sent to prevent premature silence detection
+    this.lastAudioSentTime = Date.now();
+
+    this.maxDurationTimer = null;
+
+    this.gptService.on('gptreply', (gptReply, icount) => this.handleGptReply(gptReply, icount));
+
+    // Caregivers hear about a transfer as it starts, and again if it can't connect
+    this.gptService.on('transfer', ({ status }) => {
+      const type = { requested: 'transfer_requested', failed: 'transfer_failed' }[status];
+      if (type) {
+        this.alertService.trigger(type, { patient: this.patient, callSid: this.callSid });
+      }
+    });
+
+    // Listen for when all audio has completed playing
+    this.markCompletionService.on('all-marks-complete', () => {
+      if (!this.isStarted || this.isEnded) return;
+      console.log('All audio completed - starting silence detection'.cyan);
+      // Small delay to ensure marks are fully settled
+      setTimeout(() => this.startSilenceDetection(), 100);
+    });
+  }
+
+  /**
+   * Load the call configuration, persona and memories, then start the call clock
+   */
+  async start() {
+    await this.db.waitForInitialization();
+
+    // Read the live admin configuration and the patient's silence policy once for this call
+    this.callConfig = await new ConfigService(this.db).getCallConfig();
+    this.silencePolicy = SilencePolicyService.resolvePolicy(this.patient.silencePolicy, this.callConfig.call);
+
+    // Memories the companion saves wait for review, and can stay out of calls until approved
+    this.memoryService.requireReview = this.callConfig.memories.requireReview;
+    this.memoryService.hidePending = this.callConfig.memories.hidePending;
+
+    // Resolve the persona profile (falls back to the default persona) and use its voice
+    if (!this.personaProfile) {
+      this.personaProfile = await new PersonaService(this.db).resolvePersona(this.gptService.persona);
+    }
+    if (this.personaProfile) {
+      this.gptService.personaProfile = this.personaProfile;
+      this.gptService.persona = this.personaProfile.name;
+    }
+    if (typeof this.ttsService.configure === 'function') {
+      this.ttsService.configure(this.callConfig.voice);
+    }
+    if (typeof this.ttsService.setVoiceModel === 'function') {
+      this.ttsService.setVoiceModel(this.personaProfile?.voiceModel);
+    }
+
+    try {
+      await this.memoryService.initialize();
+      console.log('Memory service initialized successfully'.cyan);
+    } catch (error) {
+      // HIPAA COMPLIANCE: Never log full error object as it may contain patient memory data (PHI)
+      console.error('Error initializing memory service:', error.message);
+      // Continue anyway - memory service will be unavailable but the call should still work
+    }
+    this.gptService.memoryService = this.memoryService;
+
+    try {
+      await this.gptService.initialize();
+    } catch (error) {
+      // HIPAA COMPLIANCE: Never log full error object as it may contain patient data (PHI)
+      console.error('Error initializing GPT service:', error.message);
+    }
+    if (this.direction === 'outbound') {
+      this.gptService.setOutboundContext(this.checkInLabel);
+    }
+
+    // The transport may have disconnected while we were loading
+    if (this.isEnded) return;
+
+    // End calls that run past the configured maximum duration
+    this.maxDurationTimer = setTimeout(() => {
+      console.log(`Maximum call duration (${this.callConfig.call.maxDuration}s) reached - ending call gracefully`.yellow);
+      this.clearSilenceTimer();
+      this.endCallWithGoodbye(CallSession.MAX_DURATION_GOODBYES);
+    }, this.callConfig.call.maxDuration * 1000);
+    // The call clock alone shouldn't keep the process alive
+    this.maxDurationTimer.unref?.();
+
+    this.isStarted = true;
+  }
+
+  /**
+   * Greet the caller with one of the persona's greetings
+   * On a check-in call the companion placed, explain why it's calling instead
+   */
+  greet() {
+    // Back from a transfer nobody answered: the companion explains in its own words
+    if (this.returnedFromTransfer) {
+      this.processGPTRequest(CallSession.TRANSFER_RETURN_INSTRUCTION, this.interactionCount, 'system', 'transfer-return');
+      return;
+    }
+
+    const greetings = this.direction === 'outbound'
+      ? PersonaService.renderGreetings({ greetings: CallSession.OUTBOUND_GREETINGS }, this.patient)
+      : PersonaService.renderGreetings(this.personaProfile, this.patient);
+    const greeting = greetings[Math.floor(Math.random() * greetings.length)];
+    // CRITICAL FIX: isFinal ensures the greeting generates marks so silence detection waits for it
+    this.say(greeting, 0, { track: false });
+  }
+
+  /**
+   * Speak a scripted line directly, without asking GPT
+   * @param {string} message - Text to speak
+   * @param {number} interactionCount - Interaction the line belongs to
+   * @param {Object} options - { track: record it in the transcript, isFinal: last part of the turn }
+   */
+  say(message, interactionCount = this.interactionCount, { track = true, isFinal = true } = {}) {
+    this.ttsService.generate({
+      partialResponseIndex: null,
+      partialResponse: message,
+      isFinal
+    }, interactionCount);
+
+    if (track) {
+      this.conversationAnalyzer.trackAssistantResponse(message, new Date());
+    }
+    this.emit('say', message, interactionCount);
+  }
+
+  /**
+   * Pick a call back up after nobody answered a warm transfer
+   * The conversation so far was saved when the stream closed for the transfer;
+   * it is restored so the companion remembers it and the call is saved as one
+   * conversation. Call before greet().
+   * @param {number} transferId - The transfer the call came back from
+   */
+  async resumeAfterFailedTransfer(transferId) {
+    try {
+      const transfer = await new CallTransferService({ databaseManager: this.db }).getTransfer(transferId);
+      if (!transfer || transfer.callSid !== this.callSid) return;
+      this.returnedFromTransfer = transfer;
+
+      const previous = await this.db.get(
+        'SELECT id, start_time, direction FROM conversations WHERE call_sid = ?',
+        [this.callSid]
+      );
+      if (previous) {
+        this.direction = previous.direction || this.direction;
+        this.conversationAnalyzer.startTime = new Date(previous.start_time);
+
+        const messages = await this.storageService.loadMessages(`conversation-${previous.id}`);
+        for (const message of messages) {
+          if (message.role === 'user') {
+            this.conversationAnalyzer.trackUserUtterance(message.content, new Date(message.timestamp));
+          } else if (message.role === 'assistant') {
+            this.conversationAnalyzer.trackAssistantResponse(message.content, new Date(message.timestamp));
+          } else {
+            continue;
+          }
+          this.gptService.userContext.push({ role: message.role, content: message.content });
+        }
+      }
+
+      this.gptService.setTransferFailedContext(transfer.attempts.map(attempt => attempt.targetName));
+    } catch (error) {
+      // HIPAA COMPLIANCE: Never log full error object as it may contain conversation data (PHI)
+      console.error('Error restoring the call after a failed transfer:', error.message);
+    }
+  }
+
+  /**
+   * Use a voicemail the caller left as context for the conversation
+   * @param {string} transcript - Voicemail transcription
+   */
+  setVoicemailTranscript(transcript) {
+    this.voicemailTranscript = transcript;
+    this.gptService.setVoicemailContext(transcript);
+  }
+
+  /**
+   * Handle a final transcription of caller speech
+   * @param {string} text - What the caller said
+   */
+  handleTranscription(text) {
+    if (!text || this.isEnded) return;
+    console.log(`Interaction ${this.interactionCount} – STT -> GPT: ${text}`.yellow);
+
+    // User provided input - clear silence detection only if we're waiting for response to silence
+    if (this.isWaitingForResponse) {
+      console.log('User provided transcription response to silence - clearing timer'.green);
+      this.clearSilenceTimer();
+    }
+    this.silenceStepIndex = 0; // Restart the silence policy since the caller is responsive
+
+    this.conversationAnalyzer.trackUserUtterance(text, new Date());
+    this.alertService.evaluateTranscription(this.patient, text, { callSid: this.callSid });
+
+    this.processGPTRequest(text, this.interactionCount, 'user', 'transcription');
+    this.interactionCount += 1;
+  }
+
+  /**
+   * Steer the call with private guidance from a caregiver following it live
+   * @param {string} message - The caregiver's instruction
+   * @param {string} from - Who sent it
+   * @returns {boolean} Whether the guidance reached the call
+   */
+  addCaregiverGuidance(message, from) {
+    if (this.isEnded) return false;
+
+    this.gptService.addCaregiverGuidance(message);
+    this.conversationAnalyzer.trackCaregiverGuidance({ from, message }, new Date());
+    return true;
+  }
+
+  /**
+   * Handle the caller starting to speak while audio is still playing
+   * @param {string} text - Partial transcription of the interruption
+   * @returns {boolean} Whether the interruption cleared the pending audio and replies
+   */
+  handleInterruption(text) {
+    // Interruptions can be turned off in the admin configuration - keep speaking
+    if (!this.callConfig.call.interruptionHandling) {
+      return false;
+    }
+
+    // Filter out short utterances from background noise
+    if (this.markCompletionService.getActiveMarkCount() === 0 || !(text?.length > 5)) {
+      return false;
+    }
+
+    console.log('Interruption - clearing pending audio and replies'.red);
+    this.conversationAnalyzer.trackInterruption(new Date());
+
+    this.transport.clearAudio();
+
+    // CRITICAL FIX: Clear TTS queue to prevent old responses from playing
+    if (typeof this.ttsService.clearQueue === 'function') {
+      this.ttsService.clearQueue();
+    }
+
+    // CRITICAL FIX: Clear GPT queue to prevent old responses from processing
+    this.clearGPTQueue();
+    return true;
+  }
+
+  /**
+   * Record audio handed to the transport for playback
+   * @param {string} label - Mark label for the audio chunk
+   */
+  audioSent(label) {
+    if (this.isEnded) return;
+    this.markCompletionService.addMark(label);
+    // CRITICAL FIX: Update timestamp so silence detection doesn't start too soon after audio
+    this.lastAudioSentTime = Date.now();
+  }
+
+  /**
+   * Record that the transport finished playing an audio chunk
+   * @param {string} label - Mark label for the audio chunk
+   */
+  audioPlayed(label) {
+    if (this.isEnded) return;
+    this.markCompletionService.removeMark(label);
+  }
+
+  /**
+   * Track and speak a reply streamed from GPT
+   */
+  handleGptReply(gptReply, icount) {
+    if (this.isEnded) return;
+    console.log(`Interaction ${icount}: GPT -> TTS: ${gptReply.partialResponse}`.green);
+
+    // CRITICAL: A real GPT response (not the voicemail confirmation) lets silence detection resume
+    if (this.isWaitingForVoicemailResponse && gptReply.partialResponse && !gptReply.partialResponse.startsWith('Message saved.')) {
+      console.log('🎯 Real GPT response received - allowing silence detection to resume'.green);
+      this.isWaitingForVoicemailResponse = false;
+    }
+
+    if (gptReply.partialResponse) {
+      this.conversationAnalyzer.trackAssistantResponse(gptReply.partialResponse, new Date());
+    }
+
+    this.ttsService.generate(gptReply, icount);
+  }
+
+  /**
+   * Queue a GPT request; caller transcriptions are consolidated first
+   * @param {string} text - Request text
+   * @param {number} interactionCount - Interaction the request belongs to
+   * @param {string} role - Message role ('user' or 'system')
+   * @param {string} caller - Source of the request, for logging
+   */
+  async processGPTRequest(text, interactionCount, role = 'user', caller = 'transcription') {
+    if (caller === 'transcription' && role === 'user') {
+      return this.handleRapidUserInput(text, interactionCount);
+    }
+
+    // For non-user inputs (voicemail, system), process immediately
+    console.log(`🧠 GPT Request queued: "${text.substring(0, 50)}" (caller: ${caller}, queue: ${this.gptQueue.length})`.cyan);
+
+    if (this.isProcessingGPT) {
+      console.log(`⏳ GPT is busy, queuing request from ${caller}`.yellow);
+      this.gptQueue.push({ text, interactionCount, role, caller });
+      return;
+    }
+
+    await this.executeGPTRequest(text, interactionCount, role, caller);
+  }
+
+  /**
+   * Collect rapid caller input and send it to GPT as one request after a pause
+   */
+  handleRapidUserInput(text, interactionCount) {
+    this.rapidInputBuffer.push({ text, interactionCount, timestamp: Date.now() });
+    console.log(`📝 Buffering rapid user input: "${text.substring(0, 50)}" (buffer: ${this.rapidInputBuffer.length})`.cyan);
+
+    if (this.rapidInputTimer) {
+      clearTimeout(this.rapidInputTimer);
+    }
+
+    this.rapidInputTimer = setTimeout(() => {
+      this.rapidInputTimer = null;
+      if (this.rapidInputBuffer.length === 0) return;
+
+      const consolidatedText = this.rapidInputBuffer.map(input => input.text.trim()).join(' ');
+      const latestInteractionCount = Math.max(...this.rapidInputBuffer.map(input => input.interactionCount));
+
+      console.log(`🔄 Processing consolidated user input: "${consolidatedText.substring(0, 50)}" (${this.rapidInputBuffer.length} inputs combined)`.green);
+      this.rapidInputBuffer = [];
+
+      if (this.isProcessingGPT) {
+        console.log('⏳ GPT is busy, queuing consolidated request'.yellow);
+        this.gptQueue.push({ text: consolidatedText, interactionCount: latestInteractionCount, role: 'user', caller: 'transcription-consolidated' });
+      } else {
+        this.executeGPTRequest(consolidatedText, latestInteractionCount, 'user', 'transcription-consolidated');
+      }
+    }, this.rapidInputDebounceMs);
+  }
+
+  async executeGPTRequest(text, interactionCount, role, caller) {
+    this.isProcessingGPT = true;
+    console.log(`🚀 Processing GPT request from ${caller}`.green);
+    if (role === 'user') {
+      // Memories saved while answering this are traced back to what the caller said
+      this.memoryService.setSource({ callSid: this.callSid, utterance: text });
+    }
+
+    try {
+      const result = await this.gptService.completion(text, interactionCount, role, 'user', true);
+      if (result?.usage) {
+        this.conversationAnalyzer.trackTokenUsage(result.usage, result.context, new Date());
+        this.emit('usage', result.usage);
+      }
+    } catch (error) {
+      console.error('❌ GPT processing error:', error.message);
+    } finally {
+      this.isProcessingGPT = false;
+      console.log(`✅ GPT request completed from ${caller}`.green);
+
+      if (this.gptQueue.length > 0 && !this.isEnded) {
+        const nextRequest = this.gptQueue.shift();
+        console.log(`🔄 Processing next queued request from ${nextRequest.caller} (${this.gptQueue.length} remaining)`.cyan);
+        // Use setTimeout to prevent deep recursion
+        setTimeout(() => {
+          this.processGPTRequest(nextRequest.text, nextRequest.interactionCount, nextRequest.role, nextRequest.caller);
+        }, 10);
+      }
+    }
+  }
+
+  /**
+   * Drop queued GPT requests and buffered caller input (on interruption or hang-up)
+   */
+  clearGPTQueue() {
+    const clearedItems = this.gptQueue.length + this.rapidInputBuffer.length;
+    this.gptQueue = [];
+    this.rapidInputBuffer = [];
+
+    if (this.rapidInputTimer) {
+      clearTimeout(this.rapidInputTimer);
+      this.rapidInputTimer = null;
+    }
+
+    if (clearedItems > 0) {
+      console.log(`🧹 Clearing GPT queue and rapid input buffer: ${clearedItems} total requests`.yellow);
+    }
+
+    this.isProcessingGPT = false;
+  }
+
+  clearSilenceTimer() {
+    if (this.silenceTimer) {
+      console.log('Clearing silence timer - user is responsive'.cyan);
+      clearTimeout(this.silenceTimer);
+      this.silenceTimer = null;
+    }
+    this.isWaitingForResponse = false;
+  }
+
+  /**
+   * Start the silence policy once audio has finished playing
+   */
+  startSilenceDetection() {
+    if (this.isEnded) return;
+
+    // Don't start if we're already waiting or if there are still active marks
+    const activeMarks = this.markCompletionService.getActiveMarkCount();
+    if (this.isWaitingForResponse || activeMarks > 0 || this.isWaitingForVoicemailResponse) {
+      console.log(`Skipping silence detection: waiting=${this.isWaitingForResponse}, activeMarks=${activeMarks}, voicemailWaiting=${this.isWaitingForVoicemailResponse}`.gray);
+      return;
+    }
+
+    // CRITICAL FIX: Don't start the silence timer if audio was sent very recently.
+    // The buffer accounts for network latency, playback time and processing time for elderly callers
+    const timeSinceLastAudio = Date.now() - this.lastAudioSentTime;
+    const audioBufferMs = this.silencePolicy.audioBufferMs;
+
+    if (timeSinceLastAudio < audioBufferMs) {
+      console.log(`Skipping silence detection: audio sent only ${timeSinceLastAudio}ms ago (need ${audioBufferMs}ms buffer)`.gray);
+      clearTimeout(this.silenceRetryTimer);
+      this.silenceRetryTimer = setTimeout(() => {
+        this.silenceRetryTimer = null;
+        console.log('Retrying silence detection after audio buffer time elapsed'.cyan);
+        this.startSilenceDetection();
+      }, audioBufferMs - timeSinceLastAudio);
+      return;
+    }
+
+    console.log(`Starting silence policy at step ${this.silenceStepIndex + 1}/${this.silencePolicy.steps.length}`.cyan);
+    this.isWaitingForResponse = true;
+    this.scheduleSilenceStep();
+  }
+
+  /**
+   * Start the timer for the current step of the silence policy
+   */
+  scheduleSilenceStep() {
+    const step = this.silencePolicy.steps[this.silenceStepIndex];
+    if (!step) {
+      console.log('Silence policy has no more steps - keeping the call open'.gray);
+      return;
+    }
+
+    const stepIndex = this.silenceStepIndex;
+    this.silenceTimer = setTimeout(() => {
+      if (!this.isWaitingForResponse) {
+        console.log('Timer fired but no longer waiting for response - ignoring'.gray);
+        return;
+      }
+      this.runSilenceStep(step, stepIndex);
+    }, step.timeoutSeconds * 1000);
+  }
+
+  /**
+   * Take one step of the silence policy (check-in, story redirect or hangup)
+   */
+  runSilenceStep(step, stepIndex) {
+    console.log(`Silence step ${stepIndex + 1}/${this.silencePolicy.steps.length} after ${step.timeoutSeconds}s: ${step.action}`.yellow);
+
+    const message = step.action === 'story' ? null : SilencePolicyService.pickMessage(step);
+    const silenceEvent = this.conversationAnalyzer.trackSilenceEvent({
+      stepIndex,
+      action: step.action,
+      timeoutSeconds: step.timeoutSeconds,
+      message
+    }, new Date());
+
+    if (step.action === 'hangup') {
+      console.log('No response received - ending call gracefully'.yellow);
+      if (this.silencePolicy.alertFamilyOnSilentHangup) {
+        this.alertService.trigger('silent_hangup', { patient: this.patient, callSid: this.callSid }).then(result => {
+          silenceEvent.familyAlerted = Boolean(result?.deliveries.some(delivery => delivery.status === 'sent'));
+        });
+      }
+      this.endCallWithGoodbye([message]);
+      return;
+    }
+
+    if (step.action === 'story') {
+      // Let the AI redirect with a story from the persona's life
+      this.processGPTRequest(SilencePolicyService.STORY_INSTRUCTION, this.interactionCount, 'system', 'silence-story');
+    } else {
+      this.say(message);
+    }
+
+    this.interactionCount += 1;
+    this.silenceStepIndex = stepIndex + 1;
+    this.scheduleSilenceStep();
+  }
+
+  /**
+   * End the call with a spoken goodbye, hanging up once the audio has played
+   * @param {Array<string>} goodbyeMessages - Goodbyes to pick from
+   */
+  endCallWithGoodbye(goodbyeMessages) {
+    const goodbye = goodbyeMessages[Math.floor(Math.random() * goodbyeMessages.length)];
+    this.say(goodbye);
+    this.interactionCount += 1;
+
+    // CRITICAL FIX: Wait for the goodbye audio to actually complete using marks
+    const goodbyeCompletionHandler = () => {
+      const remaining = this.markCompletionService.getActiveMarkCount();
+      if (remaining === 0) {
+        console.log('Goodbye audio completed - closing call'.yellow);
+        this.markCompletionService.off('all-marks-complete', goodbyeCompletionHandler);
+        if (this.transport.isOpen()) {
+          this.transport.hangUp();
+        }
+      } else {
+        console.log(`Waiting for goodbye audio to complete (${remaining} marks remaining)`.gray);
+      }
+    };
+    this.markCompletionService.on('all-marks-complete', goodbyeCompletionHandler);
+
+    // Safety fallback: if mark tracking goes wrong, still hang up
+    setTimeout(() => {
+      if (this.transport.isOpen()) {
+        console.log('Safety fallback: Closing call after 5-second maximum wait'.yellow);
+        this.markCompletionService.off('all-marks-complete', goodbyeCompletionHandler);
+        this.transport.hangUp();
+      }
+    }, CallSession.GOODBYE_SAFETY_TIMEOUT_MS);
+  }
+
+  /**
+   * Stop all processing and save the conversation
+   * Calls shorter than MIN_SAVE_DURATION_SECONDS (test calls) are not saved.
+   * @returns {Promise<Object|null>} { conversationId, numericId } or null when nothing was saved
+   */
+  async end() {
+    if (this.isEnded) return null;
+    this.isEnded = true;
+
+    // CRITICAL: Stop all processing immediately
+    this.clearSilenceTimer();
+    clearTimeout(this.silenceRetryTimer);
+    clearTimeout(this.maxDurationTimer);
+    this.silenceRetryTimer = null;
+    this.maxDurationTimer = null;
+
+    if (typeof this.ttsService.clearQueue === 'function') {
+      this.ttsService.clearQueue();
+    }
+    this.clearGPTQueue();
+    this.markCompletionService.clearAll();
+
+    const result = await this.saveConversation();
+    this.emit('ended', result);
+    return result;
+  }
+
+  /**
+   * Save the summary and messages, then analyze emotional state and write the recap in the background
+   * @returns {Promise<Object|null>} { conversationId, numericId } or null when nothing was saved
+   */
+  async saveConversation() {
+    try {
+      // Keep an end time the transport already recorded
+      if (!this.conversationAnalyzer.endTime) {
+        this.conversationAnalyzer.endTime = new Date();
+      }
+
+      const duration = (this.conversationAnalyzer.endTime - this.conversationAnalyzer.startTime) / 1000;
+      if (duration < CallSession.MIN_SAVE_DURATION_SECONDS) {
+        console.log(`Skipping save: test call under ${CallSession.MIN_SAVE_DURATION_SECONDS} seconds (${duration}s)`.yellow);
+        return null;
+      }
+
+      const summary = this.summaryGenerator.generateSummary(this.conversationAnalyzer);
+      if (this.voicemailTranscript) {
+        summary.voicemailTranscript = this.voicemailTranscript;
+      }
+      summary.patientId = this.patient.id;
+      summary.direction = this.direction;
+
+      const { conversationId, numericId } = await this.storageService.saveSummary(summary);
+      console.log(`Conversation summary saved to: ${conversationId}`.green);
+      await this.alertService.linkConversation(this.callSid, numericId);
+
+      const messages = CallSession.buildMessages(this.conversationAnalyzer);
+      if (messages.length > 0) {
+        await this.storageService.saveMessages(numericId, messages);
+        console.log(`${messages.length} conversation messages saved to database`.green);
+
+        // Analyze emotional state and write the recap in the background so transport cleanup isn't delayed
+        this.analysisPromise = new Promise(resolve => {
+          setImmediate(() => Promise.all([
+            this.analyzeEmotionalState(numericId, messages),
+            this.writeNarrative(numericId, messages)
+          ]).then(() => resolve()));
+        });
+      }
+
+      return { conversationId, numericId };
+    } catch (error) {
+      // HIPAA COMPLIANCE: Never log full error object as it may contain conversation data (PHI)
+      console.error('Error saving conversation summary or messages:', error.message);
+      return null;
+    }
+  }
+
+  async analyzeEmotionalState(numericId, messages) {
+    try {
+      const emotionalMetrics = await this.gptService.analyzeEmotionalState(CallSession.toInteractions(messages));
+      await this.db.saveEmotionalMetrics(numericId, emotionalMetrics);
+      console.log(`Emotional metrics saved for conversation ${numericId}`.green);
+
+      await this.alertService.evaluateEmotionalMetrics(this.patient, emotionalMetrics, {
+        callSid: this.callSid,
+        conversationId: numericId
+      });
+    } catch (error) {
+      // HIPAA COMPLIANCE: Never log emotional metrics data in error messages
+      console.error('Error analyzing or saving emotional state:', error.message);
+    }
+  }
+
+  /**
+   * Write the caregiver-facing narrative recap of the call
+   * @param {number} numericId - Saved conversation id
+   * @param {Array<Object>} messages - Saved messages
+   */
+  async writeNarrative(numericId, messages) {
+    try {
+      const summary = await this.gptService.generateNarrativeSummary(CallSession.toInteractions(messages));
+      if (!summary) return;
+
+      await new ConversationNarrativeService(this.db).save(numericId, summary, this.gptService.aiConfig.model);
+      console.log(`Narrative recap saved for conversation ${numericId}`.green);
+    } catch (error) {
+      // HIPAA COMPLIANCE: Never log the recap, it describes the conversation
+      console.error('Error writing or saving narrative recap:', error.message);
+    }
+  }
+
+  /**
+   * The post-call GPT analyses expect interactions with a 'type' field, not 'role'
+   * @param {Array<Object>} messages - Saved messages
+   * @returns {Array<Object>} Interactions with type, text and timestamp
+   */
+  static toInteractions(messages) {
+    return messages.map(msg => ({
+      type: msg.role === 'user' ? 'user_utterance' : 'assistant_response',
+      text: msg.content,
+      timestamp: msg.timestamp
+    }));
+  }
+
+  /**
+   * Build the transcript to save from the analyzer, ordered by time
+   * @param {ConversationAnalyzer} analyzer - The call's analyzer
+   * @returns {Array<Object>} Messages with role, content and ISO timestamp
+   */
+  static buildMessages(analyzer) {
+    const messages = [
+      ...analyzer.userUtterances.map(utterance => ({
+        role: 'user',
+        content: utterance.text,
+        timestamp: utterance.timestamp.toISOString()
+      })),
+      ...analyzer.assistantResponses.map(response => ({
+        role: 'assistant',
+        content: response.text,
+        timestamp: response.timestamp.toISOString()
+      }))
+    ];
+
+    return messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+}
+
+module.exports = CallSession;
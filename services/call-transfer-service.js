@@ -0,0 +1,355 @@
+require('dotenv').config();
+require('colors');
+
+const VoiceResponse = require('twilio').twiml.VoiceResponse;
+const PatientService = require('./patient-service');
+const CallRoutingService = require('./call-routing-service');
+const AlertService = require('./alert-service');
+
+/**
+ * CallTransferService - Warm transfers from the companion to a person
+ *
+ * When the caller needs a person, the call is redirected to dial the patient's
+ * transfer targets in order (e.g. son, daughter, then the nurse station), each
+ * for its own ring timeout. Whoever answers first hears a short whisper of why
+ * the call is coming, built from what the caller said just before asking.
+ * Twilio reports each dial's outcome to /transfer/dial-status: an unanswered
+ * target moves on to the next one, and when nobody answers the call goes back
+ * to the companion's media stream with the transfer id so it can pick the
+ * conversation back up. Every dial is logged in transfer_attempts.
+ *
+ * Patients without transferTargets are transferred to TRANSFER_NUMBER.
+ */
+class CallTransferService {
+  /**
+   * How long a target's phone rings when it doesn't set timeoutSeconds
+   */
+  static DEFAULT_DIAL_TIMEOUT_SECONDS = 20;
+
+  /**
+   * How many of the caller's last utterances the whisper repeats
+   */
+  static WHISPER_UTTERANCES = 3;
+
+  /**
+   * DialCallStatus values meaning the target picked up and talked to the caller
+   */
+  static CONNECTED_STATUSES = Object.freeze(['completed', 'answered']);
+
+  /**
+   * @param {Object} options
+   * @param {Object} options.databaseManager - DatabaseManager instance
+   * @param {Object} options.twilioClient - Optional Twilio client (created from env credentials when omitted)
+   * @param {string} options.serverHost - Public host Twilio calls back (defaults to SERVER)
+   * @param {Object} options.alertService - Caregiver alerts (defaults to an AlertService on the database)
+   */
+  constructor({ databaseManager, twilioClient = null, serverHost = process.env.SERVER, alertService = null }) {
+    this.db = databaseManager;
+    this.client = twilioClient;
+    this.serverHost = serverHost;
+    this.alertService = alertService || new AlertService(databaseManager);
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = require('twilio')(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+    }
+    return this.client;
+  }
+
+  /**
+   * Who to dial for a patient right now, in order
+   * Targets outside their availableHours are skipped
+   * @param {Object} patient - Patient profile
+   * @param {Date} now - Current time
+   * @returns {Array<Object>} [{ name, relationship, phone, timeoutSeconds }]
+   */
+  static resolveTargets(patient, now = new Date()) {
+    const configured = patient?.transferTargets || [];
+    if (configured.length === 0) {
+      return process.env.TRANSFER_NUMBER
+        ? [{ name: 'Family', relationship: null, phone: process.env.TRANSFER_NUMBER, timeoutSeconds: CallTransferService.DEFAULT_DIAL_TIMEOUT_SECONDS }]
+        : [];
+    }
+
+    const localMinutes = CallRoutingService.getLocalMinutes(now, patient.timezone || 'America/Los_Angeles');
+    return configured
+      .filter(target => !target.availableHours || CallRoutingService.isWithinWindow(target.availableHours, localMinutes))
+      .map(target => ({
+        name: target.name.trim(),
+        relationship: target.relationship || null,
+        phone: target.phone.trim(),
+        timeoutSeconds: target.timeoutSeconds || CallTransferService.DEFAULT_DIAL_TIMEOUT_SECONDS
+      }));
+  }
+
+  /**
+   * Start a warm transfer by redirecting the call to dial the first target
+   * @param {Object} options - { callSid, patient, persona, recentUtterances, now }
+   * @returns {Promise<Object|null>} The transfer, or null when there was nobody to dial or Twilio refused
+   */
+  async start({ callSid, patient, persona = null, recentUtterances = [], now = new Date() }) {
+    const targets = CallTransferService.resolveTargets(patient, now);
+    if (!callSid || !patient?.id || targets.length === 0) {
+      console.log('⚠️  Transfer not started - no transfer target available'.yellow);
+      return null;
+    }
+
+    let transferId = null;
+    try {
+      await this.db.waitForInitialization();
+      const result = await this.db.run(`
+        INSERT INTO call_transfers (call_sid, patient_id, persona, targets, recent_utterances)
+        VALUES (?, ?, ?, ?, ?)
+      `, [
+        callSid,
+        patient.id,
+        persona,
+        JSON.stringify(targets),
+        JSON.stringify(recentUtterances.slice(-CallTransferService.WHISPER_UTTERANCES))
+      ]);
+      transferId = result.lastID;
+
+      const transfer = await this.getTransfer(transferId);
+      const response = await this.dialTarget(transfer, 0);
+      await this.getClient().calls(callSid).update({ twiml: response.toString() });
+
+      console.log(`📲 Transfer started: dialing ${targets.length} target(s) in order`.magenta);
+      return transfer;
+    } catch (error) {
+      console.error('Error starting call transfer:', error.message);
+      if (transferId) {
+        await this.finish(transferId, 'failed').catch(() => {});
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Log a dial attempt and build the TwiML that dials the target
+   * @param {Object} transfer - The transfer
+   * @param {number} position - Index of the target to dial
+   * @returns {Promise<VoiceResponse>} TwiML response
+   */
+  async dialTarget(transfer, position) {
+    const target = transfer.targets[position];
+    await this.db.run(`
+      INSERT OR IGNORE INTO transfer_attempts (transfer_id, position, target_name, phone_number, timeout_seconds)
+      VALUES (?, ?, ?, ?, ?)
+    `, [transfer.id, position, target.name, target.phone, target.timeoutSeconds]);
+
+    const response = new VoiceResponse();
+    // Keep the caller from waiting in silence between targets
+    if (position > 0) {
+      response.say(`${transfer.targets[position - 1].name} didn't pick up. Let me try ${target.name}.`);
+    }
+
+    const query = `transferId=${transfer.id}&position=${position}`;
+    const dial = response.dial({
+      timeout: target.timeoutSeconds,
+      action: `https://${this.serverHost}/transfer/dial-status?${query}`,
+      method: 'POST'
+    });
+    dial.number({ url: `https://${this.serverHost}/transfer/whisper?${query}`, method: 'POST' }, target.phone);
+
+    return response;
+  }
+
+  /**
+   * What the target hears when they pick up, before the caller is connected
+   * @param {Object} transfer - The transfer
+   * @param {number} position - Index of the target who answered
+   * @param {Object|null} patient - Patient profile
+   * @returns {string} Whisper text
+   */
+  static buildWhisper(transfer, position, patient) {
+    const name = patient?.preferredName || patient?.name || 'your family member';
+    const target = transfer.targets[position];
+    const lines = [`Hi ${target?.name || 'there'}, this is the companion line for ${name}. ${name} asked to talk with you.`];
+
+    if (transfer.recentUtterances.length > 0) {
+      lines.push(`Just before asking, ${name} said: ${transfer.recentUtterances.map(text => `"${text}"`).join(', ')}.`);
+    }
+    lines.push('Connecting you now.');
+
+    return lines.join(' ');
+  }
+
+  /**
+   * TwiML played to a target who answered
+   * @param {string|number} transferId - Transfer id from the webhook URL
+   * @param {string|number} position - Target index from the webhook URL
+   * @returns {Promise<VoiceResponse>} TwiML response
+   */
+  async buildWhisperResponse(transferId, position) {
+    const response = new VoiceResponse();
+    const transfer = await this.getTransfer(parseInt(transferId, 10));
+    if (!transfer) return response;
+
+    const patient = await new PatientService(this.db).getPatient(transfer.patientId);
+    response.say(CallTransferService.buildWhisper(transfer, parseInt(position, 10), patient));
+    return response;
+  }
+
+  /**
+   * Record how a dial ended and decide what the caller hears next:
+   * hang up after a connected call, dial the next target, or go back to the companion
+   * @param {Object} params - Twilio webhook parameters (DialCallStatus, DialCallDuration)
+   * @param {string|number} transferId - Transfer id from the webhook URL
+   * @param {string|number} position - Target index from the webhook URL
+   * @returns {Promise<VoiceResponse>} TwiML response
+   */
+  async handleDialStatus({ DialCallStatus: dialStatus, DialCallDuration: dialDuration } = {}, transferId, position) {
+    const transfer = await this.getTransfer(parseInt(transferId, 10));
+    const index = parseInt(position, 10);
+    if (!transfer || !transfer.targets[index]) {
+      const response = new VoiceResponse();
+      response.hangup();
+      return response;
+    }
+
+    const status = dialStatus || 'failed';
+    await this.db.run(`
+      UPDATE transfer_attempts
+      SET status = ?, duration_seconds = ?, ended_at = CURRENT_TIMESTAMP
+      WHERE transfer_id = ? AND position = ?
+    `, [status, parseInt(dialDuration, 10) || null, transfer.id, index]);
+    console.log(`📲 Transfer to ${transfer.targets[index].name}: ${status}`.magenta);
+
+    if (CallTransferService.CONNECTED_STATUSES.includes(status)) {
+      await this.finish(transfer.id, 'connected');
+      const response = new VoiceResponse();
+      response.hangup();
+      return response;
+    }
+
+    // The caller hung up while we were dialing
+    if (status === 'canceled') {
+      await this.finish(transfer.id, 'canceled');
+      const response = new VoiceResponse();
+      response.hangup();
+      return response;
+    }
+
+    if (index + 1 < transfer.targets.length) {
+      return this.dialTarget(transfer, index + 1);
+    }
+
+    await this.finish(transfer.id, 'failed');
+    const patient = await new PatientService(this.db).getPatient(transfer.patientId);
+    await this.alertService.trigger('transfer_failed', { patient, callSid: transfer.callSid });
+    console.log('📲 Nobody answered the transfer - returning the caller to the companion'.yellow);
+    return CallTransferService.buildReturnResponse(transfer, this.serverHost);
+  }
+
+  /**
+   * TwiML that reconnects the caller to the companion after a failed transfer
+   * @param {Object} transfer - The transfer
+   * @param {string} serverHost - Public host of the media stream
+   * @returns {VoiceResponse} TwiML response
+   */
+  static buildReturnResponse(transfer, serverHost = process.env.SERVER) {
+    const response = new VoiceResponse();
+    const connect = response.connect();
+    const stream = connect.stream({ url: `wss://${serverHost}/connection` });
+    if (transfer.persona) {
+      stream.parameter({ name: 'persona', value: transfer.persona });
+    }
+    stream.parameter({ name: 'patient_id', value: String(transfer.patientId) });
+    stream.parameter({ name: 'transfer_id', value: String(transfer.id) });
+    return response;
+  }
+
+  /**
+   * Set a transfer's final status
+   * @param {number} transferId - Transfer id
+   * @param {string} status - 'connected', 'failed' (nobody answered) or 'canceled' (the caller hung up)
+   */
+  async finish(transferId, status) {
+    await this.db.run(
+      'UPDATE call_transfers SET status = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [status, transferId]
+    );
+  }
+
+  /**
+   * Convert a call_transfers row and its attempts into a transfer object
+   * @param {Object} row - Row from call_transfers
+   * @param {Array<Object>} attempts - Rows from transfer_attempts
+   * @returns {Object|null} Transfer
+   */
+  static formatTransfer(row, attempts = []) {
+    if (!row) return null;
+
+    const parseJsonArray = (value) => {
+      try {
+        const parsed = JSON.parse(value || '[]');
+        return Array.isArray(parsed) ? parsed : [];
+      } catch (error) {
+        return [];
+      }
+    };
+
+    return {
+      id: row.id,
+      callSid: row.call_sid,
+      patientId: row.patient_id,
+      persona: row.persona,
+      targets: parseJsonArray(row.targets),
+      recentUtterances: parseJsonArray(row.recent_utterances),
+      status: row.status,
+      createdAt: row.created_at,
+      completedAt: row.completed_at,
+      attempts: attempts.map(attempt => ({
+        position: attempt.position,
+        targetName: attempt.target_name,
+        phoneNumber: attempt.phone_number,
+        timeoutSeconds: attempt.timeout_seconds,
+        status: attempt.status,
+        durationSeconds: attempt.duration_seconds,
+        startedAt: attempt.started_at,
+        endedAt: attempt.ended_at
+      }))
+    };
+  }
+
+  /**
+   * Get a transfer with its dial attempts
+   * @param {number} transferId - Transfer id
+   * @returns {Promise<Object|null>} Transfer or null if not found
+   */
+  async getTransfer(transferId) {
+    if (!transferId) return null;
+
+    await this.db.waitForInitialization();
+    const row = await this.db.get('SELECT * FROM call_transfers WHERE id = ?', [transferId]);
+    if (!row) return null;
+
+    const attempts = await this.db.all(
+      'SELECT * FROM transfer_attempts WHERE transfer_id = ? ORDER BY position ASC',
+      [transferId]
+    );
+    return CallTransferService.formatTransfer(row, attempts);
+  }
+
+  /**
+   * Transfers made during a call, oldest first
+   * @param {string} callSid - Call SID
+   * @returns {Promise<Array<Object>>} Transfers with their dial attempts
+   */
+  async listForCall(callSid) {
+    await this.db.waitForInitialization();
+    const rows = await this.db.all(
+      'SELECT id FROM call_transfers WHERE call_sid = ? ORDER BY created_at ASC, id ASC',
+      [callSid]
+    );
+
+    const transfers = [];
+    for (const row of rows) {
+      transfers.push(await this.getTransfer(row.id));
+    }
+    return transfers;
+  }
+}
+
+module.exports = CallTransferService;
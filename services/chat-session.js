@@ -1,22 +1,21 @@
 require('colors');
 const chalk = require('chalk');
 const EventEmitter = require('events');
-const { GptService } = require('./gpt-service');
 const { TranscriptionService } = require('./mock-transcription-service');
 const { TextToSpeechService } = require('./mock-tts-service');
 const { StreamService } = require('./mock-stream-service');
-const ConversationAnalyzer = require('./conversation-analyzer');
-const SqliteStorageService = require('./sqlite-storage-service');
 const DatabaseManager = require('./database-manager');
-const SummaryGenerator = require('./summary-generator');
-const MemoryService = require('./memory-service');
+const PatientService = require('./patient-service');
+const CallSession = require('./call-session');
+const AlertService = require('./alert-service');
 
 /**
  * Chat Session Manager for text-based conversation testing
- * Integrates all mock services and tracks conversation state with usage analytics
+ * Drives the same CallSession engine as phone calls, with the mock services
+ * standing in for the Twilio media stream, and tracks usage analytics
  */
 class ChatSession extends EventEmitter {
-  constructor(debugMode = false, persona = 'jessica') {
+  constructor(debugMode = false, persona = 'jessica', patient = null) {
     super();
     
     // Debug mode flag
@@ -25,32 +24,36 @@ class ChatSession extends EventEmitter {
     // Persona selection
     this.persona = persona;
     
+    // Patient profile the simulated call is for (default patient unless given)
+    this.patient = patient || { ...PatientService.DEFAULT_PROFILE };
+    
     // Generate a simulated call SID for the chat session
     this.callSid = `CHAT_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
     // Initialize SQLite storage using singleton pattern
     // This ensures consistent database access across all services
     this.databaseManager = DatabaseManager.getInstance();
-    this.storageService = new SqliteStorageService(this.databaseManager);
-    this.summaryGenerator = new SummaryGenerator();
-    
-    // Create GptService with persona parameter
-    this.gptService = new GptService(null, null, null, this.databaseManager, this.persona);
-    
-    // Initialize memory service with GptService for key generation (following app.js pattern)
-    this.memoryService = new MemoryService(this.databaseManager, this.gptService);
-    
-    // Initialize conversation analyzer (following app.js pattern)
-    this.conversationAnalyzer = new ConversationAnalyzer(this.callSid, new Date());
     
     // Initialize services with debug mode
     this.streamService = new StreamService(this.debugMode);
     this.transcriptionService = new TranscriptionService(this.debugMode);
     this.ttsService = new TextToSpeechService(this.debugMode);
     
-    // Set the conversation analyzer in GPT service (following app.js pattern)
-    this.gptService.setCallSid(this.callSid);
-    this.gptService.setConversationAnalyzer(this.conversationAnalyzer);
+    // The call engine shared with phone calls; this session is its audio transport
+    this.callSession = new CallSession({
+      callSid: this.callSid,
+      transport: this,
+      ttsService: this.ttsService,
+      databaseManager: this.databaseManager,
+      patient: this.patient,
+      persona: this.persona,
+      // Test chats record alerts but never text or email real caregivers
+      alertService: new AlertService(this.databaseManager, { channels: AlertService.createChannels({ stub: true }) })
+    });
+    this.gptService = this.callSession.gptService;
+    this.memoryService = this.callSession.memoryService;
+    this.conversationAnalyzer = this.callSession.conversationAnalyzer;
+    this.storageService = this.callSession.storageService;
     
     // Initialize database and memory service asynchronously
     this.initializeAsync();
@@ -77,42 +80,32 @@ class ChatSession extends EventEmitter {
   }
 
   /**
-   * Initialize database and memory service asynchronously
+   * Start the call session (configuration, persona, memories) once
+   * @returns {Promise<void>} Resolves when the session is ready
    */
-  async initializeAsync() {
-    try {
-      // Wait for database to be initialized
-      await this.databaseManager.waitForInitialization();
-      
-      // Initialize memory service
-      await this.memoryService.initialize();
-      console.log(chalk.green('✅ Memory service initialized successfully'));
-      
-      // Set memory service reference in GPT service after initialization
-      this.gptService.memoryService = this.memoryService;
-      if (this.memoryService) {
-        global.memoryService = this.memoryService;
-      }
-      
-      // Initialize GPT service with memory keys
-      await this.gptService.initialize();
-      console.log(chalk.green('✅ GPT service initialized with memory keys'));
-      
-    } catch (error) {
-      // HIPAA COMPLIANCE: Never log full error object as it may contain patient data (PHI)
-      console.error('Error initializing services:', error.message);
-      // Continue anyway - services will work without memory
+  initializeAsync() {
+    if (!this.initialization) {
+      this.initialization = this.callSession.start().then(() => {
+        console.log(chalk.green('✅ Call session started with memories and call configuration'));
+      }).catch(error => {
+        // HIPAA COMPLIANCE: Never log full error object as it may contain patient data (PHI)
+        console.error('Error initializing services:', error.message);
+        // Continue anyway - services will work without memory
+      });
     }
+    return this.initialization;
   }
 
   setupEventHandlers() {
-    // Handle transcription events (from user input)
+    // Handle transcription events (from user input); interim results can interrupt playback
     this.transcriptionService.on('transcript', (data) => {
-      if (data.is_final && data.speech_final && data.channel.alternatives[0]) {
-        const transcript = data.channel.alternatives[0].transcript;
-        if (transcript.trim()) {
-          this.handleUserMessage(transcript);
-        }
+      const transcript = data.channel.alternatives[0]?.transcript;
+      if (!transcript?.trim()) return;
+
+      if (data.is_final && data.speech_final) {
+        this.handleUserMessage(transcript);
+      } else {
+        this.callSession.handleInterruption(transcript);
       }
     });
 
@@ -121,15 +114,58 @@ class ChatSession extends EventEmitter {
       this.handleGptReply(gptReply, interactionCount);
     });
 
-    // Handle TTS events
-    this.ttsService.on('speech', (_audioData, _interactionCount) => {
-      // TTS processing complete - no additional action needed for text chat
+    // Scripted lines from the call session (greeting, silence check-ins, goodbyes)
+    this.callSession.on('say', (message, interactionCount) => {
+      this.handleScriptedLine(message, interactionCount);
+    });
+
+    this.callSession.on('usage', (usage) => {
+      this.updateTokenUsage(usage);
+      this.displayTokenUsage(usage);
+      // Store usage for display with response
+      this.lastUsage = usage;
     });
 
-    // Handle stream events
-    this.streamService.on('audiosent', (_markLabel) => {
-      // Audio sent - no additional action needed for text chat
+    // Mock audio "plays" like a phone call so silence detection behaves the same
+    this.ttsService.on('speech', (audioData) => {
+      this.streamService.buffer(audioData.partialResponseIndex, audioData.mockAudio);
     });
+
+    this.streamService.on('audiosent', (markLabel) => {
+      this.callSession.audioSent(markLabel);
+    });
+
+    this.streamService.on('markCompleted', (markLabel) => {
+      this.callSession.audioPlayed(markLabel);
+    });
+  }
+
+  /**
+   * Transport: stop any audio that is still "playing"
+   */
+  clearAudio() {
+    this.streamService.clear();
+  }
+
+  /**
+   * Transport: end the call (silence hangup or maximum duration)
+   */
+  hangUp() {
+    this.endSession();
+  }
+
+  /**
+   * Transport: whether the call is still connected
+   */
+  isOpen() {
+    return this.isActive;
+  }
+
+  /**
+   * Greet the user the way a phone call would
+   */
+  greet() {
+    this.callSession.greet();
   }
 
   /**
@@ -162,12 +198,6 @@ class ChatSession extends EventEmitter {
   async handleUserMessage(message) {
     this.messageCount++;
     const timestamp = new Date().toLocaleTimeString();
-    const fullTimestamp = new Date(); // Use full Date object for conversation analyzer
-    
-    // Track user utterance in analyzer
-    if (this.conversationAnalyzer) {
-      this.conversationAnalyzer.trackUserUtterance(message, fullTimestamp);
-    }
     
     // Add to conversation history
     this.conversationHistory.push({
@@ -186,21 +216,9 @@ class ChatSession extends EventEmitter {
       // Show loading animation
       this.showLoadingAnimation();
       
-      // Get GPT response with usage tracking
-      const result = await this.gptService.completion(
-        message,
-        this.messageCount,
-        'user',
-        'user',
-        true // Enable usage tracking
-      );
-
-      if (result && result.usage) {
-        this.updateTokenUsage(result.usage);
-        this.displayTokenUsage(result.usage);
-        // Store usage for display with response
-        this.lastUsage = result.usage;
-      }
+      // Rapid input is consolidated and queued exactly as on a phone call;
+      // token usage arrives through the session's 'usage' event
+      this.callSession.handleTranscription(message);
     } catch (error) {
       console.log(chalk.red(`❌ Error processing message: ${error.message}`));
     }
@@ -210,6 +228,8 @@ class ChatSession extends EventEmitter {
    * Show loading animation while waiting for GPT response
    */
   showLoadingAnimation() {
+    if (this.loadingInterval) return;
+
     const frames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
     let frameIndex = 0;
     
@@ -249,7 +269,6 @@ class ChatSession extends EventEmitter {
     }
 
     const timestamp = new Date().toLocaleTimeString();
-    const fullTimestamp = new Date(); // Use full Date object for conversation analyzer
 
     // Check if this is a function call message
     const isFunctionCall = this.isFunctionCallMessage(partialResponse);
@@ -267,11 +286,6 @@ class ChatSession extends EventEmitter {
     } else {
       console.log(`${chalk.green('🤖')} ${chalk.green(partialResponse)}`);
       
-      // Track assistant response in analyzer
-      if (this.conversationAnalyzer) {
-        this.conversationAnalyzer.trackAssistantResponse(partialResponse, fullTimestamp);
-      }
-      
       // Add to conversation history
       const lastEntry = this.conversationHistory[this.conversationHistory.length - 1];
       if (lastEntry && lastEntry.type === 'assistant' && lastEntry.interactionId === interactionCount) {
@@ -289,9 +303,6 @@ class ChatSession extends EventEmitter {
       }
     }
 
-    // Generate TTS (which will just log for mock service)
-    this.ttsService.generate(gptReply, interactionCount);
-    
     // If this is the final response, show stats and emit event to show prompt again
     if (isFinal) {
       // Show compact stats after final response
@@ -305,6 +316,25 @@ class ChatSession extends EventEmitter {
     }
   }
 
+  /**
+   * Show a scripted line spoken by the call session
+   * @param {string} message - Greeting, silence check-in or goodbye
+   * @param {number} interactionCount - Current interaction number
+   */
+  handleScriptedLine(message, interactionCount) {
+    this.stopLoadingAnimation();
+    console.log(`${chalk.green('🤖')} ${chalk.green(message)}`);
+
+    this.conversationHistory.push({
+      type: 'assistant',
+      message,
+      timestamp: new Date().toLocaleTimeString(),
+      interactionId: interactionCount,
+      partialIndex: null
+    });
+    this.emit('responseComplete');
+  }
+
   /**
    * Check if a message is a function call
    * @param {string} message - Message to check
@@ -411,7 +441,7 @@ class ChatSession extends EventEmitter {
     console.log(chalk.blue('   /help     - Show this help message'));
     console.log(chalk.blue('   /stats    - Show session statistics'));
     console.log(chalk.blue('   /context  - Show conversation context'));
-    console.log(chalk.blue('   /memories - Show all stored memories about Francine'));
+    console.log(chalk.blue(`   /memories - Show all stored memories about ${this.patient.preferredName}`));
     console.log(chalk.blue('   /debug    - Toggle debug mode (show/hide mock service logs)'));
     console.log(chalk.blue('   /reset    - Reset the conversation'));
     console.log(chalk.blue('   /storage  - Show recent stored conversation summaries'));
@@ -509,6 +539,7 @@ class ChatSession extends EventEmitter {
     this.startTime = Date.now();
     
     // Reset services
+    this.callSession.clearGPTQueue();
     this.ttsService.reset();
     this.streamService.clear();
     
@@ -519,7 +550,7 @@ class ChatSession extends EventEmitter {
     this.gptService.partialResponseIndex = 0;
     
     console.log(chalk.green('✅ Session reset complete'));
-    console.log(chalk.green('🤖 Hi Francine! How are you doing today?'));
+    console.log(chalk.green(`🤖 Hi ${this.patient.preferredName}! How are you doing today?`));
   }
 
   /**
@@ -610,10 +641,10 @@ class ChatSession extends EventEmitter {
   }
 
   /**
-   * Show all stored memories about Francine
+   * Show all stored memories about the patient
    */
   async showMemories() {
-    console.log(chalk.blue.bold('\n🧠 Stored Memories About Francine:'));
+    console.log(chalk.blue.bold(`\n🧠 Stored Memories About ${this.patient.preferredName}:`));
     console.log(chalk.gray('═══════════════════════════════════════════════════════════'));
     
     try {
@@ -750,111 +781,26 @@ class ChatSession extends EventEmitter {
 
   /**
    * End the chat session
+   * The call session saves the conversation exactly as it would for a phone call.
    */
   async endSession() {
+    if (!this.isActive) return;
     console.log(chalk.yellow('\n👋 Ending chat session...'));
     
     this.isActive = false;
+    this.stopLoadingAnimation();
     
-    // Generate and save conversation summary and messages (following app.js pattern)
-    if (this.conversationAnalyzer) {
-      try {
-        this.conversationAnalyzer.endTime = new Date();
-        const summary = this.summaryGenerator.generateSummary(this.conversationAnalyzer);
-        
-        // Check duration and skip save if under 2 seconds (test chat sessions)
-        if (summary.callMetadata && summary.callMetadata.duration < 2) {
-          console.log(chalk.yellow(`Skipping save: test chat session under 2 seconds (${summary.callMetadata.duration}s)`));
-        } else {
-          // Proceed with normal save for sessions >= 2 seconds
-          const result = await this.storageService.saveSummary(summary);
-          const conversationId = result.conversationId; // String conversation ID
-          const numericId = result.numericId; // Numeric ID for messages
-          
-          console.log(chalk.green('\n📝 Conversation summary saved to SQLite database'));
-          console.log(chalk.gray(`   Call SID: ${this.callSid}`));
-          console.log(chalk.gray(`   Database: ${this.databaseManager.dbPath}`));
-          
-          // Extract and save conversation messages
-          const messages = [];
-          
-          // Add user utterances
-          this.conversationAnalyzer.userUtterances.forEach(utterance => {
-            messages.push({
-              role: 'user',
-              content: utterance.text,
-              timestamp: utterance.timestamp.toISOString()
-            });
-          });
-          
-          // Add assistant responses
-          this.conversationAnalyzer.assistantResponses.forEach(response => {
-            messages.push({
-              role: 'assistant',
-              content: response.text,
-              timestamp: response.timestamp.toISOString()
-            });
-          });
-          
-          // Sort messages by timestamp
-          messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-          
-          // Save messages to database
-          if (messages.length > 0) {
-            await this.storageService.saveMessages(numericId, messages);
-            console.log(chalk.green(`💬 ${messages.length} conversation messages saved to database`));
-            
-            // Analyze emotional state asynchronously
-            // Only analyze if conversation is meaningful (>30 seconds)
-            const duration = summary.callMetadata ? summary.callMetadata.duration : 0;
-            console.log(chalk.gray(`📊 Conversation duration: ${duration} seconds`));
-            
-            if (duration > 30) {
-              console.log(chalk.cyan('🧠 Analyzing emotional state (duration > 30s)...'));
-              
-              // Create a promise that will complete when emotional analysis is done
-              // For chat sessions, we need to wait for this to complete before process exits
-              const emotionalAnalysisPromise = new Promise((resolve) => {
-                // Use setImmediate to allow other operations to complete first
-                setImmediate(async () => {
-                  try {
-                    // Convert messages to the format expected by analyzeEmotionalState
-                    // The GPT service expects interactions with 'type' field, not 'role'
-                    const interactions = messages.map(msg => ({
-                      type: msg.role === 'user' ? 'user_utterance' : 'assistant_response',
-                      text: msg.content,
-                      timestamp: msg.timestamp
-                    }));
-                    
-                    const emotionalMetrics = await this.gptService.analyzeEmotionalState(interactions);
-                    console.log(chalk.cyan('📈 Emotional metrics generated:'));
-                    console.log(chalk.cyan('   Raw response:', JSON.stringify(emotionalMetrics, null, 2)));
-                    
-                    // Save emotional metrics to database
-                    await this.databaseManager.saveEmotionalMetrics(numericId, emotionalMetrics);
-                    console.log(chalk.green(`✅ Emotional metrics saved for conversation ${conversationId}`));
-                  } catch (error) {
-                    // HIPAA COMPLIANCE: Never log emotional metrics data in error messages
-                    console.error(chalk.red('❌ Error analyzing or saving emotional state:'), error.message);
-                    console.error(chalk.red('   Error details:'), error.stack?.split('\n')[0]);
-                  }
-                  resolve();
-                });
-              });
-              
-              // Wait for emotional analysis to complete before ending session
-              // This ensures the process doesn't exit before the analysis finishes
-              await emotionalAnalysisPromise;
-            } else {
-              console.log(chalk.gray(`⏩ Skipping emotional analysis for short conversation (${duration}s < 30s threshold)`));
-            }
-          }
-        }
-        
-      } catch (error) {
-        // HIPAA COMPLIANCE: Never log full error object as it may contain conversation data (PHI)
-        console.error(chalk.red('❌ Error saving conversation summary or messages:'), error.message);
-      }
+    const result = await this.callSession.end();
+    if (result) {
+      console.log(chalk.green('\n📝 Conversation summary saved to SQLite database'));
+      console.log(chalk.gray(`   Call SID: ${this.callSid}`));
+      console.log(chalk.gray(`   Database: ${this.databaseManager.dbPath}`));
+    }
+    
+    // Emotional analysis and the recap run in the background on calls; wait for them before the CLI exits
+    if (this.callSession.analysisPromise) {
+      console.log(chalk.cyan('🧠 Analyzing emotional state and writing the recap...'));
+      await this.callSession.analysisPromise;
     }
     
     // Close services
@@ -0,0 +1,475 @@
+const CallRoutingService = require('./call-routing-service');
+
+/**
+ * CheckInScheduleService - Recurring outbound check-in calls and their attempts
+ *
+ * Caregivers set check-in times per patient ("every morning at 9:30"). Times are
+ * in the patient's timezone. Each scheduled occurrence gets up to maxAttempts
+ * calls; an attempt that isn't answered is retried after retryDelayMinutes.
+ * Every attempt is recorded in outbound_call_attempts and links to the
+ * conversation by call SID once the patient picks up.
+ *
+ * Schedule shape returned by this service:
+ * {
+ *   id, patientId, label, phoneNumber, timeOfDay: 'HH:MM',
+ *   daysOfWeek: [0-6] | null (every day), maxAttempts, retryDelayMinutes,
+ *   isActive, createdAt, updatedAt
+ * }
+ */
+class CheckInScheduleService {
+  static DEFAULT_MAX_ATTEMPTS = 3;
+
+  static DEFAULT_RETRY_DELAY_MINUTES = 10;
+
+  static MAX_ATTEMPTS_LIMIT = 5;
+
+  /**
+   * How late a check-in may still be placed, e.g. after a restart
+   * A 9:00 check-in isn't placed at 14:00 just because the server was down
+   */
+  static LATE_START_WINDOW_MINUTES = 30;
+
+  /**
+   * Twilio final call statuses that mean the patient didn't pick up
+   */
+  static RETRY_STATUSES = Object.freeze(['no-answer', 'busy', 'failed']);
+
+  static FINAL_STATUSES = Object.freeze(['completed', 'no-answer', 'busy', 'failed', 'canceled']);
+
+  constructor(databaseManager) {
+    this.db = databaseManager;
+  }
+
+  /**
+   * Local calendar date, weekday and time of a moment in a timezone
+   * @param {Date} date - Moment to convert
+   * @param {string} timezone - IANA timezone
+   * @returns {Object} { date: 'YYYY-MM-DD', weekday: 0-6 (Sunday first), minutes: minutes after midnight }
+   */
+  static getLocalDay(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit', weekday: 'short'
+    }).formatToParts(date);
+    const value = (type) => parts.find(part => part.type === type).value;
+    const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    return {
+      date: `${value('year')}-${value('month')}-${value('day')}`,
+      weekday: weekdays.indexOf(value('weekday')),
+      minutes: CallRoutingService.getLocalMinutes(date, timezone)
+    };
+  }
+
+  /**
+   * Convert a check_in_schedules row into a schedule object
+   * @param {Object} row - Row from the check_in_schedules table
+   * @returns {Object|null} Schedule
+   */
+  static formatSchedule(row) {
+    if (!row) return null;
+
+    let daysOfWeek = null;
+    try {
+      daysOfWeek = row.days_of_week ? JSON.parse(row.days_of_week) : null;
+    } catch {
+      daysOfWeek = null;
+    }
+
+    return {
+      id: row.id,
+      patientId: row.patient_id,
+      label: row.label,
+      phoneNumber: row.phone_number,
+      timeOfDay: row.time_of_day,
+      daysOfWeek,
+      maxAttempts: row.max_attempts,
+      retryDelayMinutes: row.retry_delay_minutes,
+      isActive: Boolean(row.is_active),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Convert an outbound_call_attempts row into an attempt object
+   * @param {Object} row - Row from outbound_call_attempts (optionally joined with the schedule and conversation)
+   * @returns {Object|null} Attempt
+   */
+  static formatAttempt(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      scheduleId: row.schedule_id,
+      patientId: row.patient_id,
+      label: row.label || null,
+      occurrenceDate: row.occurrence_date,
+      attemptNumber: row.attempt_number,
+      callSid: row.call_sid,
+      status: row.status,
+      answeredBy: row.answered_by || null,
+      error: row.error || null,
+      placedAt: row.placed_at,
+      completedAt: row.completed_at,
+      conversationId: row.conversation_id || null
+    };
+  }
+
+  /**
+   * Validate schedule fields from the admin API
+   * @param {Object} data - Schedule fields (camelCase)
+   * @param {boolean} partial - Whether missing required fields are allowed (updates)
+   * @returns {Array<string>} Validation errors
+   */
+  static validate(data, partial = false) {
+    const errors = [];
+    const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+    const isIntegerBetween = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+    if (!data || typeof data !== 'object') {
+      return ['schedule data is required'];
+    }
+
+    if (!partial || data.label !== undefined) {
+      if (!isNonEmptyString(data.label)) {
+        errors.push('label is required');
+      }
+    }
+
+    if (!partial || data.phoneNumber !== undefined) {
+      if (!isNonEmptyString(data.phoneNumber) || data.phoneNumber.replace(/\D/g, '').length < 10) {
+        errors.push('phoneNumber must be a phone number with at least 10 digits');
+      }
+    }
+
+    if (!partial || data.timeOfDay !== undefined) {
+      if (CallRoutingService.parseTime(data.timeOfDay) === null) {
+        errors.push('timeOfDay must be \'HH:MM\'');
+      }
+    }
+
+    if (data.daysOfWeek !== undefined && data.daysOfWeek !== null &&
+        (!Array.isArray(data.daysOfWeek) || data.daysOfWeek.length === 0 ||
+         data.daysOfWeek.some(day => !isIntegerBetween(day, 0, 6)))) {
+      errors.push('daysOfWeek must be null (every day) or an array of days 0 (Sunday) to 6');
+    }
+
+    if (data.maxAttempts !== undefined && !isIntegerBetween(data.maxAttempts, 1, CheckInScheduleService.MAX_ATTEMPTS_LIMIT)) {
+      errors.push(`maxAttempts must be between 1 and ${CheckInScheduleService.MAX_ATTEMPTS_LIMIT}`);
+    }
+
+    if (data.retryDelayMinutes !== undefined && !isIntegerBetween(data.retryDelayMinutes, 1, 120)) {
+      errors.push('retryDelayMinutes must be between 1 and 120');
+    }
+
+    return errors;
+  }
+
+  /**
+   * List a patient's check-in schedules, earliest time first
+   * @param {number} patientId - Patient id
+   * @param {Object} options - { includeInactive }
+   * @returns {Promise<Array<Object>>} Schedules
+   */
+  async listSchedules(patientId, { includeInactive = false } = {}) {
+    await this.db.waitForInitialization();
+    const rows = await this.db.all(`
+      SELECT * FROM check_in_schedules
+      WHERE patient_id = ? ${includeInactive ? '' : 'AND is_active = 1'}
+      ORDER BY time_of_day ASC, id ASC
+    `, [patientId]);
+    return rows.map(CheckInScheduleService.formatSchedule);
+  }
+
+  /**
+   * Get one schedule, optionally only if it belongs to a patient
+   * @param {number} id - Schedule id
+   * @param {number|null} patientId - Patient the schedule must belong to
+   * @returns {Promise<Object|null>} Schedule or null if not found
+   */
+  async getSchedule(id, patientId = null) {
+    await this.db.waitForInitialization();
+    const row = patientId
+      ? await this.db.get('SELECT * FROM check_in_schedules WHERE id = ? AND patient_id = ?', [id, patientId])
+      : await this.db.get('SELECT * FROM check_in_schedules WHERE id = ?', [id]);
+    return CheckInScheduleService.formatSchedule(row);
+  }
+
+  /**
+   * Create a check-in schedule for a patient
+   * @param {number} patientId - Patient id
+   * @param {Object} data - Schedule fields (camelCase)
+   * @returns {Promise<Object>} The created schedule
+   */
+  async createSchedule(patientId, data) {
+    const errors = CheckInScheduleService.validate(data);
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+
+    await this.db.waitForInitialization();
+    const result = await this.db.run(`
+      INSERT INTO check_in_schedules (patient_id, label, phone_number, time_of_day, days_of_week, max_attempts, retry_delay_minutes)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      patientId,
+      data.label.trim(),
+      data.phoneNumber.trim(),
+      data.timeOfDay,
+      data.daysOfWeek ? JSON.stringify([...new Set(data.daysOfWeek)].sort((a, b) => a - b)) : null,
+      data.maxAttempts ?? CheckInScheduleService.DEFAULT_MAX_ATTEMPTS,
+      data.retryDelayMinutes ?? CheckInScheduleService.DEFAULT_RETRY_DELAY_MINUTES
+    ]);
+
+    return this.getSchedule(result.lastID);
+  }
+
+  /**
+   * Update a schedule; only provided fields are changed
+   * @param {number} id - Schedule id
+   * @param {number} patientId - Patient the schedule must belong to
+   * @param {Object} data - Schedule fields (camelCase)
+   * @returns {Promise<Object|null>} Updated schedule or null if not found
+   */
+  async updateSchedule(id, patientId, data) {
+    const errors = CheckInScheduleService.validate(data, true);
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+
+    const columns = {
+      label: 'label',
+      phoneNumber: 'phone_number',
+      timeOfDay: 'time_of_day',
+      daysOfWeek: 'days_of_week',
+      maxAttempts: 'max_attempts',
+      retryDelayMinutes: 'retry_delay_minutes',
+      isActive: 'is_active'
+    };
+
+    const assignments = [];
+    const params = [];
+    for (const [field, column] of Object.entries(columns)) {
+      if (data[field] === undefined) continue;
+
+      let value = data[field];
+      if (field === 'daysOfWeek') {
+        value = value ? JSON.stringify([...new Set(value)].sort((a, b) => a - b)) : null;
+      } else if (field === 'isActive') {
+        value = value ? 1 : 0;
+      } else if (typeof value === 'string') {
+        value = value.trim();
+      }
+      assignments.push(`${column} = ?`);
+      params.push(value);
+    }
+
+    await this.db.waitForInitialization();
+    if (assignments.length > 0) {
+      await this.db.run(
+        `UPDATE check_in_schedules SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND patient_id = ?`,
+        [...params, id, patientId]
+      );
+    }
+
+    return this.getSchedule(id, patientId);
+  }
+
+  /**
+   * Delete a schedule; its past attempts are kept for the call history
+   * @param {number} id - Schedule id
+   * @param {number} patientId - Patient the schedule must belong to
+   * @returns {Promise<boolean>} True when a schedule was deleted
+   */
+  async deleteSchedule(id, patientId) {
+    await this.db.waitForInitialization();
+    const result = await this.db.run('DELETE FROM check_in_schedules WHERE id = ? AND patient_id = ?', [id, patientId]);
+    return result.changes > 0;
+  }
+
+  /**
+   * Find check-ins whose time has come and haven't been called yet today
+   * @param {Date} now - Current time
+   * @returns {Promise<Array<Object>>} [{ schedule, patientId, occurrenceDate, attemptNumber: 1 }]
+   */
+  async getDueCheckIns(now = new Date()) {
+    await this.db.waitForInitialization();
+    const rows = await this.db.all(`
+      SELECT s.*, p.timezone
+      FROM check_in_schedules s
+      JOIN patients p ON p.id = s.patient_id
+      WHERE s.is_active = 1 AND p.is_active = 1
+    `);
+
+    const due = [];
+    for (const row of rows) {
+      const schedule = CheckInScheduleService.formatSchedule(row);
+      const localDay = CheckInScheduleService.getLocalDay(now, row.timezone || 'America/Los_Angeles');
+      const minutesLate = localDay.minutes - CallRoutingService.parseTime(schedule.timeOfDay);
+
+      if (schedule.daysOfWeek && !schedule.daysOfWeek.includes(localDay.weekday)) continue;
+      if (minutesLate < 0 || minutesLate > CheckInScheduleService.LATE_START_WINDOW_MINUTES) continue;
+
+      const existing = await this.db.get(
+        'SELECT id FROM outbound_call_attempts WHERE schedule_id = ? AND occurrence_date = ? LIMIT 1',
+        [schedule.id, localDay.date]
+      );
+      if (!existing) {
+        due.push({ schedule, patientId: schedule.patientId, occurrenceDate: localDay.date, attemptNumber: 1 });
+      }
+    }
+
+    return due;
+  }
+
+  /**
+   * Find unanswered attempts whose retry delay has passed
+   * @param {Date} now - Current time
+   * @returns {Promise<Array<Object>>} [{ schedule, patientId, occurrenceDate, attemptNumber }]
+   */
+  async getDueRetries(now = new Date()) {
+    await this.db.waitForInitialization();
+    const statusPlaceholders = CheckInScheduleService.RETRY_STATUSES.map(() => '?').join(', ');
+    const rows = await this.db.all(`
+      SELECT a.occurrence_date, a.attempt_number, a.completed_at, s.*
+      FROM outbound_call_attempts a
+      JOIN check_in_schedules s ON s.id = a.schedule_id
+      WHERE s.is_active = 1
+        AND a.status IN (${statusPlaceholders})
+        AND a.attempt_number < s.max_attempts
+        AND NOT EXISTS (
+          SELECT 1 FROM outbound_call_attempts next
+          WHERE next.schedule_id = a.schedule_id
+            AND next.occurrence_date = a.occurrence_date
+            AND next.attempt_number > a.attempt_number
+        )
+    `, [...CheckInScheduleService.RETRY_STATUSES]);
+
+    return rows
+      .filter(row => {
+        // SQLite CURRENT_TIMESTAMP is UTC without a zone marker
+        const completedAt = new Date(`${row.completed_at.replace(' ', 'T')}Z`);
+        return now - completedAt >= row.retry_delay_minutes * 60000;
+      })
+      .map(row => ({
+        schedule: CheckInScheduleService.formatSchedule(row),
+        patientId: row.patient_id,
+        occurrenceDate: row.occurrence_date,
+        attemptNumber: row.attempt_number + 1
+      }));
+  }
+
+  /**
+   * Claim an attempt before the call is placed
+   * The unique (schedule, date, attempt) key keeps a check-in from being called twice
+   * @param {Object} occurrence - { schedule, patientId, occurrenceDate, attemptNumber }
+   * @returns {Promise<number|null>} Attempt id, or null when it was already claimed
+   */
+  async createAttempt({ schedule, patientId, occurrenceDate, attemptNumber }) {
+    await this.db.waitForInitialization();
+    const result = await this.db.run(`
+      INSERT OR IGNORE INTO outbound_call_attempts (schedule_id, patient_id, occurrence_date, attempt_number)
+      VALUES (?, ?, ?, ?)
+    `, [schedule?.id ?? null, patientId, occurrenceDate, attemptNumber]);
+    return result.changes > 0 ? result.lastID : null;
+  }
+
+  /**
+   * Get one attempt with its schedule label
+   * @param {number} id - Attempt id
+   * @returns {Promise<Object|null>} Attempt or null if not found
+   */
+  async getAttempt(id) {
+    await this.db.waitForInitialization();
+    const row = await this.db.get(`
+      SELECT a.*, s.label
+      FROM outbound_call_attempts a
+      LEFT JOIN check_in_schedules s ON s.id = a.schedule_id
+      WHERE a.id = ?
+    `, [id]);
+    return CheckInScheduleService.formatAttempt(row);
+  }
+
+  /**
+   * Record that Twilio accepted the call
+   * @param {number} id - Attempt id
+   * @param {string} callSid - Twilio call SID
+   */
+  async markAttemptPlaced(id, callSid) {
+    await this.db.waitForInitialization();
+    await this.db.run(
+      'UPDATE outbound_call_attempts SET call_sid = ?, status = \'initiated\', placed_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [callSid, id]
+    );
+  }
+
+  /**
+   * Record that the call couldn't be placed at all; it's retried like an unanswered call
+   * @param {number} id - Attempt id
+   * @param {string} error - Why the call failed
+   */
+  async markAttemptFailed(id, error) {
+    await this.db.waitForInitialization();
+    await this.db.run(
+      'UPDATE outbound_call_attempts SET status = \'failed\', error = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [error, id]
+    );
+  }
+
+  /**
+   * Record answering machine detection for a call
+   * @param {string} callSid - Twilio call SID
+   * @param {string} answeredBy - Twilio AnsweredBy value (human, machine_start, fax, unknown...)
+   */
+  async setAnsweredBy(callSid, answeredBy) {
+    await this.db.waitForInitialization();
+    await this.db.run('UPDATE outbound_call_attempts SET answered_by = ? WHERE call_sid = ?', [answeredBy, callSid]);
+  }
+
+  /**
+   * Record a call status from Twilio's status callback
+   * A call answered by a machine counts as not answered so it's retried
+   * @param {string} callSid - Twilio call SID
+   * @param {string} callStatus - Twilio CallStatus
+   * @returns {Promise<Object|null>} Updated attempt, or null for calls that aren't check-ins
+   */
+  async updateAttemptStatus(callSid, callStatus) {
+    await this.db.waitForInitialization();
+    const row = await this.db.get('SELECT id, answered_by FROM outbound_call_attempts WHERE call_sid = ?', [callSid]);
+    if (!row) return null;
+
+    const answeredByMachine = /^(machine|fax)/.test(row.answered_by || '');
+    const status = callStatus === 'completed' && answeredByMachine ? 'no-answer' : callStatus;
+    const isFinal = CheckInScheduleService.FINAL_STATUSES.includes(status);
+
+    await this.db.run(`
+      UPDATE outbound_call_attempts
+      SET status = ?, completed_at = ${isFinal ? 'CURRENT_TIMESTAMP' : 'completed_at'}
+      WHERE id = ?
+    `, [status, row.id]);
+
+    return this.getAttempt(row.id);
+  }
+
+  /**
+   * List a patient's recent attempts with the conversation each one started
+   * @param {number} patientId - Patient id
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array<Object>>} Attempts, newest first
+   */
+  async listAttempts(patientId, { limit = 50 } = {}) {
+    await this.db.waitForInitialization();
+    const rows = await this.db.all(`
+      SELECT a.*, s.label, c.id AS conversation_id
+      FROM outbound_call_attempts a
+      LEFT JOIN check_in_schedules s ON s.id = a.schedule_id
+      LEFT JOIN conversations c ON c.call_sid = a.call_sid
+      WHERE a.patient_id = ?
+      ORDER BY a.placed_at DESC, a.id DESC
+      LIMIT ?
+    `, [patientId, limit]);
+    return rows.map(CheckInScheduleService.formatAttempt);
+  }
+}
+
+module.exports = CheckInScheduleService;
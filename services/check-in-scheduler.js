@@ -0,0 +1,195 @@
+require('dotenv').config();
+require('colors');
+
+const VoiceResponse = require('twilio').twiml.VoiceResponse;
+const CheckInScheduleService = require('./check-in-schedule-service');
+const PatientService = require('./patient-service');
+
+/**
+ * CheckInScheduler - Places scheduled outbound check-in calls through Twilio
+ *
+ * Every tick it asks CheckInScheduleService for check-ins that are due (and
+ * unanswered attempts ready for a retry) and dials the patient. Twilio fetches
+ * /outbound/check-in when the call is answered and reports the final status to
+ * /outbound/status; an unanswered call is retried on a later tick.
+ *
+ * Calls come from the patient's companion number (the first of their Twilio
+ * phoneNumbers) so they recognize the caller ID, falling back to FROM_NUMBER.
+ * Placing a call never throws: failures are recorded on the attempt and retried.
+ */
+class CheckInScheduler {
+  static TICK_INTERVAL_MS = 60000;
+
+  /**
+   * How long Twilio lets the phone ring before reporting no-answer
+   */
+  static RING_TIMEOUT_SECONDS = 30;
+
+  /**
+   * @param {Object} options
+   * @param {Object} options.databaseManager - DatabaseManager instance
+   * @param {Object} options.twilioClient - Optional Twilio client (created from env credentials when omitted)
+   * @param {string} options.serverHost - Public host Twilio calls back (defaults to SERVER)
+   * @param {number} options.intervalMs - How often to look for due check-ins
+   */
+  constructor({
+    databaseManager,
+    twilioClient = null,
+    serverHost = process.env.SERVER,
+    intervalMs = CheckInScheduler.TICK_INTERVAL_MS
+  }) {
+    this.db = databaseManager;
+    this.client = twilioClient;
+    this.serverHost = serverHost;
+    this.intervalMs = intervalMs;
+    this.scheduleService = new CheckInScheduleService(databaseManager);
+    this.timer = null;
+    this.isTicking = false;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = require('twilio')(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+    }
+    return this.client;
+  }
+
+  /**
+   * Start checking for due check-ins
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    // The scheduler alone shouldn't keep the process alive
+    this.timer.unref?.();
+    console.log(`📅 Check-in scheduler started (every ${Math.round(this.intervalMs / 1000)}s)`.cyan);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Place every check-in call and retry that is due
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of calls placed
+   */
+  async tick(now = new Date()) {
+    // A slow tick (many calls) must not overlap the next one
+    if (this.isTicking) return 0;
+    this.isTicking = true;
+
+    let placed = 0;
+    try {
+      const due = [
+        ...await this.scheduleService.getDueCheckIns(now),
+        ...await this.scheduleService.getDueRetries(now)
+      ];
+      for (const occurrence of due) {
+        if (await this.placeCall(occurrence)) {
+          placed++;
+        }
+      }
+    } catch (error) {
+      console.error('Error checking for due check-in calls:', error.message);
+    } finally {
+      this.isTicking = false;
+    }
+
+    return placed;
+  }
+
+  /**
+   * Dial the patient for one check-in attempt
+   * @param {Object} occurrence - { schedule, patientId, occurrenceDate, attemptNumber }
+   * @returns {Promise<boolean>} True when Twilio accepted the call
+   */
+  async placeCall(occurrence) {
+    const attemptId = await this.scheduleService.createAttempt(occurrence);
+    if (!attemptId) return false; // Already placed
+
+    const { schedule, attemptNumber } = occurrence;
+    try {
+      const patient = await new PatientService(this.db).getPatient(occurrence.patientId);
+      const from = patient?.phoneNumbers?.[0] || process.env.FROM_NUMBER;
+      if (!from) {
+        throw new Error('No number to call from: the patient has no phone numbers and FROM_NUMBER is not configured');
+      }
+
+      const call = await this.getClient().calls.create({
+        to: schedule.phoneNumber,
+        from,
+        url: `https://${this.serverHost}/outbound/check-in?attemptId=${attemptId}`,
+        statusCallback: `https://${this.serverHost}/outbound/status`,
+        timeout: CheckInScheduler.RING_TIMEOUT_SECONDS,
+        machineDetection: 'Enable'
+      });
+
+      await this.scheduleService.markAttemptPlaced(attemptId, call.sid);
+      console.log(`📞 Check-in call placed: ${schedule.label} (attempt ${attemptNumber}/${schedule.maxAttempts})`.cyan);
+      return true;
+    } catch (error) {
+      console.error(`Error placing check-in call (attempt ${attemptNumber}):`, error.message);
+      await this.scheduleService.markAttemptFailed(attemptId, error.message).catch(() => {});
+      return false;
+    }
+  }
+
+  /**
+   * TwiML for an answered check-in call
+   * Connects the media stream as an outbound call, or hangs up on an answering machine
+   * @param {Object} params - Twilio webhook parameters (CallSid, AnsweredBy)
+   * @param {string|number} attemptId - Attempt id from the webhook URL
+   * @returns {Promise<VoiceResponse>} TwiML response
+   */
+  async buildCheckInResponse({ CallSid: callSid, AnsweredBy: answeredBy } = {}, attemptId) {
+    const response = new VoiceResponse();
+
+    if (answeredBy && callSid) {
+      await this.scheduleService.setAnsweredBy(callSid, answeredBy);
+    }
+    // Leaving a voicemail would confuse the patient; hang up and retry later instead
+    if (/^(machine|fax)/.test(answeredBy || '')) {
+      console.log(`📼 Check-in call reached ${answeredBy} - will retry`.yellow);
+      response.hangup();
+      return response;
+    }
+
+    const attempt = await this.scheduleService.getAttempt(parseInt(attemptId, 10));
+    const connect = response.connect();
+    const stream = connect.stream({ url: `wss://${this.serverHost}/connection` });
+    stream.parameter({ name: 'direction', value: 'outbound' });
+    if (attempt) {
+      stream.parameter({ name: 'patient_id', value: String(attempt.patientId) });
+      if (attempt.label) {
+        stream.parameter({ name: 'check_in_label', value: attempt.label });
+      }
+    }
+    return response;
+  }
+
+  /**
+   * Record the final status of a check-in call from Twilio's status callback
+   * @param {Object} params - Twilio webhook parameters (CallSid, CallStatus)
+   * @returns {Promise<Object|null>} Updated attempt, or null for calls that aren't check-ins
+   */
+  async handleStatusCallback({ CallSid: callSid, CallStatus: callStatus } = {}) {
+    if (!callSid || !callStatus) return null;
+
+    try {
+      const attempt = await this.scheduleService.updateAttemptStatus(callSid, callStatus);
+      if (attempt) {
+        console.log(`📞 Check-in call ${attempt.status}: ${attempt.label || 'check-in'} (attempt ${attempt.attemptNumber})`.cyan);
+      }
+      return attempt;
+    } catch (error) {
+      console.error('Error recording check-in call status:', error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = CheckInScheduler;
@@ -0,0 +1,328 @@
+const CallRoutingService = require('./call-routing-service');
+
+/**
+ * ConfigService - Persistent system configuration managed from the admin API
+ *
+ * Each configuration section (ai, voice, call, ...) is stored as a JSON object
+ * in the `settings` table under the key `config.<section>`. Stored values are
+ * merged over DEFAULT_CONFIG, so new keys get their defaults without a
+ * migration. Every changed key is recorded in `config_history`.
+ *
+ * Calls read the configuration once when they start, so changes apply to the
+ * next call rather than one already in progress.
+ */
+class ConfigService {
+  /**
+   * Prefix for configuration rows in the settings table
+   */
+  static SETTINGS_KEY_PREFIX = 'config.';
+
+  /**
+   * Configuration used for any key that hasn't been saved
+   */
+  static DEFAULT_CONFIG = Object.freeze({
+    ai: {
+      model: 'gpt-4-1106-preview',
+      maxTokens: 150,
+      temperature: 0.7,
+      systemPromptEnabled: true,
+      functionCallingEnabled: true,
+      maxConversationHistory: 10, // Recent exchanges sent verbatim; older ones are summarized
+      contextTokenBudget: 3000, // Estimated tokens of conversation context sent each turn
+      recentCallHistory: 5, // Recent calls summarized in the prompt; 0 turns it off
+      recentCallHistoryHours: 48 // Calls and open concerns older than this are left out
+    },
+    voice: {
+      provider: 'deepgram',
+      model: process.env.VOICE_MODEL || 'aura-asteria-en',
+      speed: 1.0,
+      pitch: 1.0,
+      responseChunking: true,
+      chunkDelimiter: '•'
+    },
+    call: {
+      maxDuration: 1800, // 30 minutes
+      recordingEnabled: process.env.RECORDING_ENABLED === 'true',
+      greetingEnabled: true,
+      interruptionHandling: true,
+      maxInterruptions: 5,
+      silenceTimeout: 8 // seconds, optimized for elderly callers
+    },
+    routing: CallRoutingService.DEFAULT_CONFIG, // Call limits, quiet hours and routing rules
+    alerts: {
+      enabled: true,
+      dedupeWindowMinutes: 30, // Repeats of the same alert within this window don't notify again
+      highAnxietyThreshold: 8 // 0-10 anxiety level that alerts caregivers after a call
+    },
+    memories: {
+      requireReview: true, // Memories the companion saves during calls wait for a caregiver
+      hidePending: true // Unreviewed memories stay out of calls until approved
+    },
+    security: {
+      rateLimitEnabled: true,
+      maxCallsPerHour: 60,
+      allowedNumbers: ['*'], // '*' means all numbers allowed
+      blockedNumbers: [],
+      adminAuthRequired: false // Placeholder for future auth
+    },
+    monitoring: {
+      loggingLevel: 'info',
+      metricsEnabled: true,
+      alertingEnabled: false,
+      healthCheckInterval: 60000 // 1 minute
+    },
+    system: {
+      environment: process.env.NODE_ENV || 'development',
+      timezone: 'America/New_York',
+      maintenanceMode: false,
+      debugMode: false
+    }
+  });
+
+  /**
+   * Validation rules per section; keys without rules are stored as given
+   */
+  static CONFIG_SCHEMA = Object.freeze({
+    ai: {
+      model: { type: 'string', allowed: ['gpt-4-1106-preview', 'gpt-4o', 'gpt-4o-mini', 'gpt-4', 'gpt-3.5-turbo'] },
+      maxTokens: { type: 'number', min: 50, max: 500 },
+      temperature: { type: 'number', min: 0, max: 1 },
+      systemPromptEnabled: { type: 'boolean' },
+      functionCallingEnabled: { type: 'boolean' },
+      maxConversationHistory: { type: 'number', min: 1, max: 50 },
+      contextTokenBudget: { type: 'number', min: 500, max: 32000 },
+      recentCallHistory: { type: 'number', min: 0, max: 20 },
+      recentCallHistoryHours: { type: 'number', min: 1, max: 168 }
+    },
+    voice: {
+      provider: { type: 'string', allowed: ['deepgram', 'elevenlabs'] },
+      model: { type: 'string' },
+      speed: { type: 'number', min: 0.5, max: 2.0 },
+      pitch: { type: 'number', min: 0.5, max: 2.0 },
+      responseChunking: { type: 'boolean' },
+      chunkDelimiter: { type: 'string', maxLength: 5 }
+    },
+    call: {
+      maxDuration: { type: 'number', min: 60, max: 3600 },
+      recordingEnabled: { type: 'boolean' },
+      greetingEnabled: { type: 'boolean' },
+      interruptionHandling: { type: 'boolean' },
+      maxInterruptions: { type: 'number', min: 1, max: 20 },
+      silenceTimeout: { type: 'number', min: 3, max: 60 }
+    },
+    routing: {
+      dailyCallLimit: { type: 'number', min: 1, max: 100 },
+      delayPerCallSeconds: { type: 'number', min: 0, max: 30 }
+    },
+    alerts: {
+      enabled: { type: 'boolean' },
+      dedupeWindowMinutes: { type: 'number', min: 1, max: 1440 },
+      highAnxietyThreshold: { type: 'number', min: 1, max: 10 }
+    },
+    memories: {
+      requireReview: { type: 'boolean' },
+      hidePending: { type: 'boolean' }
+    }
+  });
+
+  constructor(databaseManager) {
+    this.db = databaseManager;
+  }
+
+  /**
+   * Deep copy of the default configuration
+   * @returns {Object} Mutable default configuration
+   */
+  static getDefaults() {
+    return JSON.parse(JSON.stringify(ConfigService.DEFAULT_CONFIG));
+  }
+
+  /**
+   * Validate configuration updates against CONFIG_SCHEMA
+   * @param {Object} config - Updates keyed by section, e.g. { ai: { temperature: 0.5 } }
+   * @returns {Array<string>} Validation errors
+   */
+  static validateConfig(config) {
+    const errors = [];
+
+    for (const [section, sectionConfig] of Object.entries(config)) {
+      if (!Object.prototype.hasOwnProperty.call(ConfigService.DEFAULT_CONFIG, section)) {
+        errors.push(`${section}: Unknown configuration section`);
+        continue;
+      }
+
+      if (!sectionConfig || typeof sectionConfig !== 'object' || Array.isArray(sectionConfig)) {
+        errors.push(`${section}: Expected an object of settings`);
+        continue;
+      }
+
+      const schema = ConfigService.CONFIG_SCHEMA[section];
+      if (!schema) continue;
+
+      for (const [key, value] of Object.entries(sectionConfig)) {
+        const rules = schema[key];
+        if (!rules) continue;
+
+        // Type validation
+        if (rules.type && typeof value !== rules.type) {
+          errors.push(`${section}.${key}: Expected ${rules.type}, got ${typeof value}`);
+          continue;
+        }
+
+        // Range validation for numbers
+        if (rules.type === 'number') {
+          if (rules.min !== undefined && value < rules.min) {
+            errors.push(`${section}.${key}: Value ${value} is below minimum ${rules.min}`);
+          }
+          if (rules.max !== undefined && value > rules.max) {
+            errors.push(`${section}.${key}: Value ${value} is above maximum ${rules.max}`);
+          }
+        }
+
+        // String length validation
+        if (rules.type === 'string' && rules.maxLength && value.length > rules.maxLength) {
+          errors.push(`${section}.${key}: String length ${value.length} exceeds maximum ${rules.maxLength}`);
+        }
+
+        // Allowed values validation
+        if (rules.allowed && !rules.allowed.includes(value)) {
+          errors.push(`${section}.${key}: Value "${value}" not in allowed values: ${rules.allowed.join(', ')}`);
+        }
+      }
+
+      // Quiet hours and rules have nested structure the schema can't describe
+      if (section === 'routing') {
+        errors.push(...CallRoutingService.validate(sectionConfig));
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get the current configuration (saved values merged over the defaults)
+   * @param {string|null} section - Optional section name; null returns every section
+   * @returns {Promise<Object|null>} Full configuration, the section object, or null for an unknown section
+   */
+  async getConfig(section = null) {
+    const config = ConfigService.getDefaults();
+
+    await this.db.waitForInitialization();
+    const rows = await this.db.all(
+      'SELECT key, value FROM settings WHERE key LIKE ?',
+      [`${ConfigService.SETTINGS_KEY_PREFIX}%`]
+    );
+
+    for (const row of rows) {
+      const name = row.key.slice(ConfigService.SETTINGS_KEY_PREFIX.length);
+      if (!config[name]) continue;
+      try {
+        config[name] = { ...config[name], ...JSON.parse(row.value) };
+      } catch (error) {
+        console.error(`Ignoring unreadable configuration section '${name}':`, error.message);
+      }
+    }
+
+    if (section) {
+      return config[section] || null;
+    }
+    return config;
+  }
+
+  /**
+   * Get the configuration for a new call, falling back to the defaults
+   * Never throws - a call must not fail because configuration can't be read
+   * @returns {Promise<Object>} Full configuration
+   */
+  async getCallConfig() {
+    try {
+      return await this.getConfig();
+    } catch (error) {
+      console.error('Error loading configuration, using defaults:', error.message);
+      return ConfigService.getDefaults();
+    }
+  }
+
+  /**
+   * Save configuration updates and record each changed key in the history
+   * @param {Object} updates - Updates keyed by section, e.g. { ai: { temperature: 0.5 } }
+   * @param {string} changedBy - Who made the change (admin email or 'system')
+   * @returns {Promise<Object>} { previous, current } full configurations
+   */
+  async updateConfig(updates, changedBy = 'system') {
+    const errors = ConfigService.validateConfig(updates);
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+
+    const previous = await this.getConfig();
+    const current = JSON.parse(JSON.stringify(previous));
+
+    await this.db.transaction(() => {
+      for (const [section, sectionUpdates] of Object.entries(updates)) {
+        current[section] = { ...current[section], ...sectionUpdates };
+
+        this.db.runSync(`
+          INSERT INTO settings (key, value) VALUES (?, ?)
+          ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+        `, [`${ConfigService.SETTINGS_KEY_PREFIX}${section}`, JSON.stringify(current[section])]);
+
+        for (const [key, value] of Object.entries(sectionUpdates)) {
+          const previousValue = previous[section][key];
+          if (JSON.stringify(previousValue) === JSON.stringify(value)) continue;
+
+          this.db.runSync(`
+            INSERT INTO config_history (section, setting_key, previous_value, new_value, changed_by)
+            VALUES (?, ?, ?, ?, ?)
+          `, [
+            section,
+            key,
+            previousValue === undefined ? null : JSON.stringify(previousValue),
+            JSON.stringify(value),
+            changedBy
+          ]);
+        }
+      }
+    });
+
+    return { previous, current };
+  }
+
+  /**
+   * Get recent configuration changes, newest first
+   * @param {Object} options
+   * @param {string} options.section - Only changes to this section
+   * @param {number} options.limit - Maximum entries (default 50)
+   * @returns {Promise<Array>} [{ id, section, key, previousValue, newValue, changedBy, changedAt }]
+   */
+  async getHistory({ section = null, limit = 50 } = {}) {
+    await this.db.waitForInitialization();
+    const rows = await this.db.all(`
+      SELECT * FROM config_history
+      ${section ? 'WHERE section = ?' : ''}
+      ORDER BY changed_at DESC, id DESC
+      LIMIT ?
+    `, section ? [section, limit] : [limit]);
+
+    const parse = (value) => {
+      if (value === null) return null;
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    };
+
+    return rows.map(row => ({
+      id: row.id,
+      section: row.section,
+      key: row.setting_key,
+      previousValue: parse(row.previous_value),
+      newValue: parse(row.new_value),
+      changedBy: row.changed_by,
+      changedAt: row.changed_at
+    }));
+  }
+}
+
+module.exports = ConfigService;
@@ -1,10 +1,15 @@
+const EventEmitter = require('events');
+
 /**
  * ConversationAnalyzer - Basic conversation tracking for dementia care
  * Tracks conversation events and clinical indicators
  * Note: Emotional analysis now handled by GPT-based system after conversation ends
+ *
+ * Emits 'interaction' with each tracked event as it happens so live views
+ * (the admin call monitor) can follow the call.
  */
 
-class ConversationAnalyzer {
+class ConversationAnalyzer extends EventEmitter {
   /**
    * Constructor
    * @param {string} callSid - Unique call identifier
@@ -12,6 +17,7 @@ class ConversationAnalyzer {
    * @param {Object} dependencies - Injected dependencies (optional, for testing)
    */
   constructor(callSid, startTime, _dependencies = {}) {
+    super();
     this.callSid = callSid;
     this.startTime = startTime;
     this.endTime = null;
@@ -30,6 +36,17 @@ class ConversationAnalyzer {
     // Basic metrics
     this.responseLatencies = [];
     this.interruptionCount = 0;
+    this.silenceEvents = [];
+    this.tokenUsage = [];
+  }
+
+  /**
+   * Record an interaction and let listeners know about it
+   * @param {Object} interaction - {type, timestamp, ...}
+   */
+  _addInteraction(interaction) {
+    this.interactions.push(interaction);
+    this.emit('interaction', interaction);
   }
 
   /**
@@ -46,7 +63,7 @@ class ConversationAnalyzer {
     };
 
     this.userUtterances.push(utterance);
-    this.interactions.push({
+    this._addInteraction({
       type: 'user_utterance',
       timestamp,
       text, // Include text for GPT analysis
@@ -79,7 +96,7 @@ class ConversationAnalyzer {
     };
 
     this.assistantResponses.push(response);
-    this.interactions.push({
+    this._addInteraction({
       type: 'assistant_response',
       timestamp,
       text, // Include text for GPT analysis
@@ -93,13 +110,75 @@ class ConversationAnalyzer {
    */
   trackInterruption(timestamp) {
     this.interruptionCount++;
-    this.interactions.push({
+    this._addInteraction({
       type: 'interruption',
       timestamp,
       data: { count: this.interruptionCount }
     });
   }
 
+  /**
+   * Track a step of the silence escalation ladder
+   * @param {Object} event - {stepIndex, action, timeoutSeconds, message, familyAlerted}
+   * @param {Date} timestamp - When the step was taken
+   * @returns {Object} The recorded event (updated later if a family alert is sent)
+   */
+  trackSilenceEvent(event, timestamp) {
+    const silenceEvent = {
+      stepIndex: event.stepIndex,
+      action: event.action,
+      timeoutSeconds: event.timeoutSeconds,
+      message: event.message || null,
+      familyAlerted: Boolean(event.familyAlerted),
+      timestamp
+    };
+
+    this.silenceEvents.push(silenceEvent);
+    this._addInteraction({
+      type: 'silence',
+      timestamp,
+      data: silenceEvent
+    });
+
+    return silenceEvent;
+  }
+
+  /**
+   * Track the model's token usage for one turn and the size of the context it was sent
+   * @param {Object} usage - {prompt_tokens, completion_tokens, total_tokens} as reported by the model
+   * @param {Object} context - {messages, tokens, summarizedMessages} from ConversationContext.getStats()
+   * @param {Date} timestamp - When the turn finished
+   * @returns {Object} The recorded turn
+   */
+  trackTokenUsage(usage, context, timestamp) {
+    const turn = {
+      turn: this.tokenUsage.length + 1,
+      promptTokens: Math.round(usage?.prompt_tokens || 0),
+      completionTokens: Math.round(usage?.completion_tokens || 0),
+      totalTokens: Math.round(usage?.total_tokens || 0),
+      contextTokens: context?.tokens ?? null,
+      contextMessages: context?.messages ?? null,
+      summarizedMessages: context?.summarizedMessages || 0,
+      timestamp
+    };
+
+    this.tokenUsage.push(turn);
+    return turn;
+  }
+
+  /**
+   * Track private guidance a caregiver sent into the call
+   * @param {Object} guidance - {from, message}
+   * @param {Date} timestamp - When it was sent
+   */
+  trackCaregiverGuidance(guidance, timestamp) {
+    this._addInteraction({
+      type: 'caregiver_guidance',
+      timestamp,
+      data: { from: guidance.from, message: guidance.message }
+    });
+  }
+
   /**
    * Track function calls (like transferCall, endCall)
    * @param {string} functionName - Name of function called
@@ -113,7 +192,7 @@ class ConversationAnalyzer {
       timestamp
     };
 
-    this.interactions.push({
+    this._addInteraction({
       type: 'function_call',
       timestamp,
       functionName,
@@ -0,0 +1,232 @@
+/**
+ * ConversationContext - The messages sent to the model on each turn, kept within a budget
+ *
+ * Without limits the context grows for the whole call and every turn resends
+ * everything, including long tool results like the news headlines. This keeps:
+ *
+ * - The system prompt (always first) and pinned messages: every other system
+ *   message (callSid, voicemail, outbound, caregiver guidance...) plus anything
+ *   passed to pin(). These are never summarized or pruned.
+ * - The most recent maxHistory exchanges (a caller message and what followed it) verbatim.
+ * - A running synopsis of older turns, as a system message after the prompt.
+ *   Older turns are folded into it once there are more than maxHistory
+ *   exchanges or the context is over its token budget.
+ * - Tool results from earlier exchanges only as a short stub.
+ *
+ * The messages array is edited in place, so code that pushes onto it directly
+ * (GptService.userContext) keeps working. Token counts are estimates (about four
+ * characters per token); the model's reported usage is recorded separately.
+ */
+class ConversationContext {
+  static DEFAULT_MAX_HISTORY = 10;
+  static DEFAULT_TOKEN_BUDGET = 3000;
+  static TOOL_RESULT_STUB_CHARS = 200;
+  static LOCAL_SYNOPSIS_CHARS = 2000;
+  static SYNOPSIS_PREFIX = 'EARLIER IN THIS CALL (summary of turns no longer shown):';
+
+  /**
+   * @param {Array<Object>} messages - Initial messages; the first is the system prompt
+   * @param {Object} options
+   * @param {number} options.maxHistory - Recent exchanges kept verbatim
+   * @param {number} options.tokenBudget - Estimated tokens the context should stay under
+   * @param {Function} options.summarize - async (previousSynopsis, messages) => synopsis; a local summary is used without it
+   */
+  constructor(messages = [], { maxHistory, tokenBudget, summarize = null } = {}) {
+    this.messages = messages;
+    this.maxHistory = maxHistory || ConversationContext.DEFAULT_MAX_HISTORY;
+    this.tokenBudget = tokenBudget || ConversationContext.DEFAULT_TOKEN_BUDGET;
+    this.summarize = summarize;
+    this.pinned = new WeakSet();
+    this.pruned = new WeakSet(); // Tool results already shortened
+    this.synopsis = null; // The synopsis message in this.messages, once there is one
+    this.summarizedCount = 0; // Messages folded into the synopsis so far
+    this.compacting = null; // Promise of the compaction in progress
+  }
+
+  /**
+   * Start over with new messages, forgetting the synopsis and pins
+   * @param {Array<Object>} messages - Messages; the first is the system prompt
+   */
+  reset(messages) {
+    this.messages = messages;
+    this.pinned = new WeakSet();
+    this.pruned = new WeakSet();
+    this.synopsis = null;
+    this.summarizedCount = 0;
+  }
+
+  /**
+   * Apply limits from the AI configuration
+   * @param {Object} options - { maxHistory, tokenBudget }
+   */
+  configure({ maxHistory, tokenBudget } = {}) {
+    if (maxHistory) this.maxHistory = maxHistory;
+    if (tokenBudget) this.tokenBudget = tokenBudget;
+  }
+
+  /**
+   * Estimated tokens for one message, including its per-message overhead
+   */
+  static estimateTokens(message) {
+    const text = typeof message.content === 'string' ? message.content : JSON.stringify(message.content ?? '');
+    return Math.ceil(text.length / 4) + (message.name ? Math.ceil(message.name.length / 4) : 0) + 4;
+  }
+
+  getTokenCount() {
+    return this.messages.reduce((total, message) => total + ConversationContext.estimateTokens(message), 0);
+  }
+
+  /**
+   * Keep a message in the context for the whole call
+   * @param {Object} message - A message in this.messages
+   */
+  pin(message) {
+    this.pinned.add(message);
+    return message;
+  }
+
+  isPinned(message, index) {
+    return index === 0 || message === this.synopsis || message.role === 'system' || this.pinned.has(message);
+  }
+
+  /**
+   * Indexes where each exchange starts: a caller message and everything after it up to the next one
+   */
+  exchangeStarts() {
+    const starts = [];
+    this.messages.forEach((message, index) => {
+      if (message.role === 'user' && !this.isPinned(message, index)) {
+        starts.push(index);
+      }
+    });
+    return starts;
+  }
+
+  /**
+   * Shorten tool results from before the latest exchange; the model already used them
+   * @returns {number} Number of results shortened
+   */
+  pruneToolResults() {
+    const starts = this.exchangeStarts();
+    const latestStart = starts.length > 0 ? starts[starts.length - 1] : this.messages.length;
+    const limit = ConversationContext.TOOL_RESULT_STUB_CHARS;
+    let pruned = 0;
+
+    for (let index = 0; index < latestStart; index++) {
+      const message = this.messages[index];
+      if (message.role !== 'function' || this.isPinned(message, index) || this.pruned.has(message)) continue;
+      if (typeof message.content === 'string' && message.content.length > limit) {
+        // Edited in place so a compaction in progress still recognizes the message
+        message.content = `${message.content.slice(0, limit)}... [rest of this earlier ${message.name || 'tool'} result removed]`;
+        this.pruned.add(message);
+        pruned++;
+      }
+    }
+    return pruned;
+  }
+
+  /**
+   * Turns that should be folded into the synopsis: those before the last
+   * maxHistory exchanges, and older exchanges while over the token budget.
+   * The latest exchange is always kept.
+   * @returns {Array<Object>} Messages to fold, oldest first
+   */
+  getFoldable() {
+    const starts = this.exchangeStarts();
+    if (starts.length <= 1) return [];
+
+    const turnsBefore = end => this.messages.slice(0, end).filter((message, index) => !this.isPinned(message, index));
+    const tokensWithout = end => this.getTokenCount() -
+      turnsBefore(end).reduce((total, message) => total + ConversationContext.estimateTokens(message), 0);
+
+    let keepFrom = Math.max(0, starts.length - this.maxHistory);
+    while (keepFrom < starts.length - 1 && tokensWithout(starts[keepFrom]) > this.tokenBudget) {
+      keepFrom++;
+    }
+    return keepFrom > 0 ? turnsBefore(starts[keepFrom]) : [];
+  }
+
+  needsCompaction() {
+    return this.getFoldable().length > 0;
+  }
+
+  /**
+   * Fold older turns into the synopsis
+   * Safe to call while turns are being added: only the messages chosen at the start are removed.
+   * @returns {Promise<number>} Number of messages folded
+   */
+  async compact() {
+    if (this.compacting) return this.compacting;
+
+    const folded = this.getFoldable();
+    if (folded.length === 0) return 0;
+
+    this.compacting = (async () => {
+      const previous = this.synopsis ? this.synopsis.content.slice(ConversationContext.SYNOPSIS_PREFIX.length).trim() : null;
+      let text = null;
+      if (this.summarize) {
+        try {
+          text = await this.summarize(previous, folded);
+        } catch (error) {
+          // HIPAA COMPLIANCE: Never log full error object as it may contain conversation content (PHI)
+          console.error('Error summarizing earlier turns, using a local summary:', error.message);
+        }
+      }
+      if (!text || !text.trim()) {
+        text = ConversationContext.localSynopsis(previous, folded);
+      }
+
+      const remove = new Set(folded);
+      const synopsis = { role: 'system', content: `${ConversationContext.SYNOPSIS_PREFIX} ${text.trim()}` };
+      const kept = this.messages.filter(message => !remove.has(message) && message !== this.synopsis);
+      kept.splice(1, 0, synopsis);
+      this.messages.splice(0, this.messages.length, ...kept);
+
+      this.synopsis = synopsis;
+      this.summarizedCount += folded.length;
+      return folded.length;
+    })();
+
+    try {
+      return await this.compacting;
+    } finally {
+      this.compacting = null;
+    }
+  }
+
+  /**
+   * A plain summary built without the model: the earlier synopsis plus what each side said, shortened
+   * @param {string|null} previous - Earlier synopsis
+   * @param {Array<Object>} messages - Messages being folded
+   * @returns {string} Synopsis
+   */
+  static localSynopsis(previous, messages, maxChars = ConversationContext.LOCAL_SYNOPSIS_CHARS) {
+    const shorten = text => (text.length > 120 ? `${text.slice(0, 117)}...` : text);
+    const lines = [
+      ...(previous ? previous.split('\n') : []),
+      ...messages
+        .filter(message => ['user', 'assistant'].includes(message.role) && typeof message.content === 'string' && message.content.trim())
+        .map(message => `${message.role === 'user' ? 'Caller' : 'You'}: ${shorten(message.content.replace(/•/g, '').replace(/\s+/g, ' ').trim())}`)
+    ];
+
+    // Drop the oldest lines so the summary itself stays small
+    while (lines.length > 1 && lines.join('\n').length > maxChars) {
+      lines.shift();
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Sizes for logging and usage records
+   * @returns {Object} { messages, tokens, summarizedMessages }
+   */
+  getStats() {
+    return {
+      messages: this.messages.length,
+      tokens: this.getTokenCount(),
+      summarizedMessages: this.summarizedCount
+    };
+  }
+}
+
+module.exports = ConversationContext;
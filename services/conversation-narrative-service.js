@@ -0,0 +1,94 @@
+/**
+ * ConversationNarrativeService - Post-call recaps written for caregivers
+ *
+ * Once a call is saved, GptService.generateNarrativeSummary writes a short
+ * narrative of the call with its key topics, concerns and requests. The recap
+ * is stored here, one per conversation, and shown at the top of the
+ * conversation detail view. A call that is saved again (after a transfer nobody
+ * answered) gets its recap rewritten to cover the whole call.
+ */
+class ConversationNarrativeService {
+  /**
+   * @param {Object} databaseManager - DatabaseManager instance
+   */
+  constructor(databaseManager) {
+    this.db = databaseManager;
+  }
+
+  /**
+   * Store the recap of a conversation, replacing any earlier one
+   * @param {number} conversationId - Conversation id
+   * @param {Object} summary - { narrative, keyTopics, concerns, requests }
+   * @param {string} [model] - Model that wrote the recap
+   * @returns {Promise<Object>} The stored recap
+   */
+  async save(conversationId, { narrative, keyTopics = [], concerns = [], requests = [] }, model = null) {
+    if (!conversationId) {
+      throw new Error('conversationId is required');
+    }
+    if (typeof narrative !== 'string' || !narrative.trim()) {
+      throw new Error('narrative is required');
+    }
+
+    await this.db.waitForInitialization();
+    await this.db.run(`
+      INSERT INTO conversation_narratives (conversation_id, narrative, key_topics, concerns, requests, model)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(conversation_id) DO UPDATE SET
+        narrative = excluded.narrative,
+        key_topics = excluded.key_topics,
+        concerns = excluded.concerns,
+        requests = excluded.requests,
+        model = excluded.model,
+        created_at = CURRENT_TIMESTAMP
+    `, [
+      conversationId,
+      narrative.trim(),
+      JSON.stringify(keyTopics),
+      JSON.stringify(concerns),
+      JSON.stringify(requests),
+      model
+    ]);
+
+    return this.getForConversation(conversationId);
+  }
+
+  /**
+   * The recap of a conversation
+   * @param {number} conversationId - Conversation id
+   * @returns {Promise<Object|null>} { narrative, keyTopics, concerns, requests, model, createdAt } or null
+   */
+  async getForConversation(conversationId) {
+    await this.db.waitForInitialization();
+    const row = await this.db.get(
+      'SELECT * FROM conversation_narratives WHERE conversation_id = ?',
+      [conversationId]
+    );
+    return row ? ConversationNarrativeService.formatNarrative(row) : null;
+  }
+
+  /**
+   * Convert a database row to the API shape
+   */
+  static formatNarrative(row) {
+    const parseList = value => {
+      try {
+        const list = JSON.parse(value || '[]');
+        return Array.isArray(list) ? list : [];
+      } catch {
+        return [];
+      }
+    };
+
+    return {
+      narrative: row.narrative,
+      keyTopics: parseList(row.key_topics),
+      concerns: parseList(row.concerns),
+      requests: parseList(row.requests),
+      model: row.model,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = ConversationNarrativeService;
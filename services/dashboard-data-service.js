@@ -11,14 +11,22 @@
  * - Care indicators and health trends
  * - Call patterns and frequency analysis
  * - Performance metrics and service health
+ *
+ * Patient data is scoped to the patient the service was created for; service
+ * health metrics remain deployment-wide.
  */
 
 const _ConversationAnalyzer = require('./conversation-analyzer');
 const CallStatsUtils = require('../utils/call-stats-utils');
 
 class DashboardDataService {
-  constructor(databaseManager) {
+  /**
+   * @param {Object} databaseManager - Database manager instance
+   * @param {number} patientId - Patient whose data the dashboard reports on
+   */
+  constructor(databaseManager, patientId = 1) {
     this.db = databaseManager;
+    this.patientId = patientId;
     this.initializationPromise = null;
   }
 
@@ -133,11 +141,11 @@ class DashboardDataService {
         FROM conversations c
         LEFT JOIN summaries s ON c.id = s.conversation_id
         LEFT JOIN analytics a ON c.id = a.conversation_id
-        WHERE c.created_at >= ?
+        WHERE c.patient_id = ? AND c.created_at >= ?
         ORDER BY c.start_time DESC
       `;
 
-      const conversations = await this.db.all(conversationsQuery, [startDate]);
+      const conversations = await this.db.all(conversationsQuery, [this.patientId, startDate]);
       
       // Analyze mental state trends
       const mentalStateData = this._analyzeMentalStateTrends(conversations);
@@ -184,11 +192,11 @@ class DashboardDataService {
         FROM conversations c
         LEFT JOIN summaries s ON c.id = s.conversation_id
         LEFT JOIN analytics a ON c.id = a.conversation_id
-        WHERE c.created_at >= ?
+        WHERE c.patient_id = ? AND c.created_at >= ?
         ORDER BY c.start_time DESC
       `;
 
-      const conversations = await this.db.all(conversationsQuery, [startDate]);
+      const conversations = await this.db.all(conversationsQuery, [this.patientId, startDate]);
       
       // Analyze care indicators from conversation data
       const careAnalysis = this._analyzeCareIndicators(conversations);
@@ -295,12 +303,12 @@ class DashboardDataService {
                MIN(duration) as min_duration,
                MAX(duration) as max_duration
         FROM conversations
-        WHERE created_at >= ?
+        WHERE patient_id = ? AND created_at >= ?
         GROUP BY DATE(start_time)
         ORDER BY call_date DESC
       `;
 
-      const dailyPatterns = await this.db.all(dailyPatternsQuery, [startDate]);
+      const dailyPatterns = await this.db.all(dailyPatternsQuery, [this.patientId, startDate]);
       
       // Get hourly call distribution
       const hourlyDistribution = await this._getHourlyCallDistribution(startDate);
@@ -344,29 +352,29 @@ class DashboardDataService {
    */
   async _getConversationStats(_today, _weekAgo, _monthAgo) {
     // Use centralized call stats utility for consistent timezone handling
-    const todayCount = await CallStatsUtils.getTodayCallCount(this.db);
+    const todayCount = await CallStatsUtils.getTodayCallCount(this.db, this.patientId);
     
     // Calculate date ranges in YYYY-MM-DD format for the utility functions
     const _todayDate = new Date().toISOString().split('T')[0];
     const weekAgoDate = new Date(Date.now() - (7 * 24 * 60 * 60 * 1000)).toISOString().split('T')[0];
     const monthAgoDate = new Date(Date.now() - (30 * 24 * 60 * 60 * 1000)).toISOString().split('T')[0];
     
-    const totalQuery = 'SELECT COUNT(*) as total FROM conversations';
-    const avgDurationQuery = 'SELECT AVG(duration) as avg_duration FROM conversations WHERE duration IS NOT NULL';
+    const totalQuery = 'SELECT COUNT(*) as total FROM conversations WHERE patient_id = ?';
+    const avgDurationQuery = 'SELECT AVG(duration) as avg_duration FROM conversations WHERE patient_id = ? AND duration IS NOT NULL';
     const successRateQuery = `
       SELECT 
         COUNT(*) as total,
         SUM(CASE WHEN end_time IS NOT NULL THEN 1 ELSE 0 END) as completed
       FROM conversations
-      WHERE DATE(created_at, 'localtime') >= ?
+      WHERE patient_id = ? AND DATE(created_at, 'localtime') >= ?
     `;
 
     const [weekCount, monthCount, total, avgDuration, successData] = await Promise.all([
-      CallStatsUtils.getCallsByDateRange(this.db, { startDate: weekAgoDate, timeField: 'created_at' }),
-      CallStatsUtils.getCallsByDateRange(this.db, { startDate: monthAgoDate, timeField: 'created_at' }),
-      this.db.get(totalQuery),
-      this.db.get(avgDurationQuery),
-      this.db.get(successRateQuery, [weekAgoDate])
+      CallStatsUtils.getCallsByDateRange(this.db, { startDate: weekAgoDate, timeField: 'created_at', patientId: this.patientId }),
+      CallStatsUtils.getCallsByDateRange(this.db, { startDate: monthAgoDate, timeField: 'created_at', patientId: this.patientId }),
+      this.db.get(totalQuery, [this.patientId]),
+      this.db.get(avgDurationQuery, [this.patientId]),
+      this.db.get(successRateQuery, [this.patientId, weekAgoDate])
     ]);
 
     const successRate = successData.total > 0 ? 
@@ -390,7 +398,7 @@ class DashboardDataService {
     // Get recent message counts for responsiveness analysis
     const recentMessagesQuery = `
       SELECT COUNT(*) as message_count, 
-             AVG(LENGTH(content)) as avg_length
+             AVG(LENGTH(decrypt_field(content))) as avg_length
       FROM messages 
       WHERE timestamp >= datetime('now', '-7 days')
       AND role = 'assistant'
@@ -452,9 +460,10 @@ class DashboardDataService {
         COUNT(CASE WHEN category = 'preferences' THEN 1 END) as preference_memories,
         MAX(updated_at) as last_updated
       FROM memories
+      WHERE patient_id = ?
     `;
 
-    const memoryStats = await this.db.get(memoryQuery);
+    const memoryStats = await this.db.get(memoryQuery, [this.patientId]);
 
     return {
       totalMemories: memoryStats.total_memories || 0,
@@ -549,11 +558,11 @@ class DashboardDataService {
         c.id
       FROM conversations c
       LEFT JOIN summaries s ON c.id = s.conversation_id
-      WHERE c.created_at >= ? AND s.summary_text IS NOT NULL
+      WHERE c.patient_id = ? AND c.created_at >= ? AND s.summary_text IS NOT NULL
       ORDER BY c.start_time ASC
     `;
     
-    const conversations = await this.db.all(conversationsQuery, [startDate]);
+    const conversations = await this.db.all(conversationsQuery, [this.patientId, startDate]);
     
     // Group conversations by date and process care indicators
     const dailyPatterns = new Map();
@@ -631,12 +640,12 @@ class DashboardDataService {
         AVG(json_extract(a.sentiment_scores, '$.anxiety')) as avgAnxiety
       FROM conversations c
       LEFT JOIN analytics a ON c.id = a.conversation_id
-      WHERE c.created_at >= ? AND a.sentiment_scores IS NOT NULL
+      WHERE c.patient_id = ? AND c.created_at >= ? AND a.sentiment_scores IS NOT NULL
       GROUP BY DATE(c.start_time)
       ORDER BY date
     `;
     
-    const anxietyData = await this.db.all(anxietyQuery, [startDate]);
+    const anxietyData = await this.db.all(anxietyQuery, [this.patientId, startDate]);
     const dailyAverage = anxietyData.length > 0 ? 
       anxietyData.reduce((sum, day) => sum + (day.avgAnxiety || 0), 0) / anxietyData.length : 0;
     
@@ -663,10 +672,10 @@ class DashboardDataService {
         SUM(CASE WHEN a.patterns LIKE '%time%' OR a.patterns LIKE '%orientation%' THEN 1 ELSE 0 END) as timeDisorientationCount
       FROM conversations c
       LEFT JOIN analytics a ON c.id = a.conversation_id
-      WHERE c.created_at >= ? AND a.patterns IS NOT NULL
+      WHERE c.patient_id = ? AND c.created_at >= ? AND a.patterns IS NOT NULL
     `;
     
-    const data = await this.db.get(confusionQuery, [startDate]);
+    const data = await this.db.get(confusionQuery, [this.patientId, startDate]);
     const total = data.totalConversations || 1; // Avoid division by zero
     
     const repetitionScore = (data.repetitionCount || 0) / total;
@@ -911,12 +920,12 @@ class DashboardDataService {
         strftime('%H', start_time) as hour,
         COUNT(*) as call_count
       FROM conversations
-      WHERE created_at >= ?
+      WHERE patient_id = ? AND created_at >= ?
       GROUP BY strftime('%H', start_time)
       ORDER BY hour
     `;
 
-    const hourlyData = await this.db.all(hourlyQuery, [startDate]);
+    const hourlyData = await this.db.all(hourlyQuery, [this.patientId, startDate]);
     
     // Fill in missing hours with 0 counts
     const distribution = Array.from({ length: 24 }, (_, hour) => {
@@ -943,10 +952,10 @@ class DashboardDataService {
         COUNT(CASE WHEN duration < 60 THEN 1 END) as short_calls,
         COUNT(*) as total_calls
       FROM conversations
-      WHERE created_at >= ? AND duration IS NOT NULL
+      WHERE patient_id = ? AND created_at >= ? AND duration IS NOT NULL
     `;
 
-    const metrics = await this.db.get(engagementQuery, [startDate]);
+    const metrics = await this.db.get(engagementQuery, [this.patientId, startDate]);
 
     return {
       averageDuration: Math.round(metrics.avg_duration || 0),
@@ -966,17 +975,17 @@ class DashboardDataService {
     // Analyze function calls from message content
     const functionQuery = `
       SELECT 
-        SUM(CASE WHEN m.content LIKE '%getNewsHeadlines%' THEN 1 ELSE 0 END) as getNewsHeadlines,
-        SUM(CASE WHEN m.content LIKE '%transferCall%' THEN 1 ELSE 0 END) as transferCall,
-        SUM(CASE WHEN m.content LIKE '%endCall%' THEN 1 ELSE 0 END) as endCall,
-        SUM(CASE WHEN m.content LIKE '%rememberInformation%' THEN 1 ELSE 0 END) as rememberInformation,
-        SUM(CASE WHEN m.content LIKE '%recallMemory%' THEN 1 ELSE 0 END) as recallMemory
+        SUM(CASE WHEN decrypt_field(m.content) LIKE '%getNewsHeadlines%' THEN 1 ELSE 0 END) as getNewsHeadlines,
+        SUM(CASE WHEN decrypt_field(m.content) LIKE '%transferCall%' THEN 1 ELSE 0 END) as transferCall,
+        SUM(CASE WHEN decrypt_field(m.content) LIKE '%endCall%' THEN 1 ELSE 0 END) as endCall,
+        SUM(CASE WHEN decrypt_field(m.content) LIKE '%rememberInformation%' THEN 1 ELSE 0 END) as rememberInformation,
+        SUM(CASE WHEN decrypt_field(m.content) LIKE '%recallMemory%' THEN 1 ELSE 0 END) as recallMemory
       FROM messages m
       JOIN conversations c ON m.conversation_id = c.id
-      WHERE c.created_at >= ? AND m.role = 'assistant'
+      WHERE c.patient_id = ? AND c.created_at >= ? AND m.role = 'assistant'
     `;
     
-    const data = await this.db.get(functionQuery, [startDate]);
+    const data = await this.db.get(functionQuery, [this.patientId, startDate]);
     
     return {
       getNewsHeadlines: data.getNewsHeadlines || 0,
@@ -1102,10 +1111,10 @@ class DashboardDataService {
         COUNT(CASE WHEN duration > 300 THEN 1 END) as longConversations,
         COUNT(CASE WHEN end_time IS NOT NULL THEN 1 END) as completedConversations
       FROM conversations
-      WHERE created_at >= ?
+      WHERE patient_id = ? AND created_at >= ?
     `;
 
-    const metrics = await this.db.get(conversationsQuery, [startDate]);
+    const metrics = await this.db.get(conversationsQuery, [this.patientId, startDate]);
     
     return {
       total: metrics.totalConversations || 0,
@@ -1165,11 +1174,11 @@ class DashboardDataService {
       FROM conversations c
       LEFT JOIN summaries s ON c.id = s.conversation_id
       LEFT JOIN analytics a ON c.id = a.conversation_id
-      WHERE c.created_at >= ? AND c.duration IS NOT NULL
+      WHERE c.patient_id = ? AND c.created_at >= ? AND c.duration IS NOT NULL
       ORDER BY c.duration DESC
     `;
 
-    const conversations = await this.db.all(engagementQuery, [startDate]);
+    const conversations = await this.db.all(engagementQuery, [this.patientId, startDate]);
     
     let positiveEngagements = 0;
     let totalSentimentScore = 0;
@@ -1218,10 +1227,10 @@ class DashboardDataService {
       FROM conversations c
       LEFT JOIN summaries s ON c.id = s.conversation_id
       LEFT JOIN analytics a ON c.id = a.conversation_id
-      WHERE c.created_at >= ? AND s.summary_text IS NOT NULL
+      WHERE c.patient_id = ? AND c.created_at >= ? AND s.summary_text IS NOT NULL
     `;
 
-    const conversations = await this.db.all(comfortQuery, [startDate]);
+    const conversations = await this.db.all(comfortQuery, [this.patientId, startDate]);
     
     let comfortSuccesses = 0;
     let anxietyReductions = 0;
@@ -1279,9 +1288,10 @@ class DashboardDataService {
         MAX(updated_at) as lastUpdated,
         COUNT(CASE WHEN last_accessed >= datetime('now', '-7 days') THEN 1 END) as recentlyAccessedMemories
       FROM memories
+      WHERE patient_id = ?
     `;
 
-    const memoryStats = await this.db.get(memoryQuery);
+    const memoryStats = await this.db.get(memoryQuery, [this.patientId]);
     
     return {
       total: memoryStats.totalMemories || 0,
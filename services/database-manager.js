@@ -1,6 +1,8 @@
 const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
+const PersonaService = require('./persona-service');
+const FieldEncryption = require('./field-encryption');
 
 /**
  * DatabaseManager implements a singleton pattern to ensure consistent database access
@@ -24,6 +26,23 @@ class DatabaseManager {
   static _instance = null;
   static _instancePath = null;
 
+  /**
+   * Columns holding PHI that are encrypted at rest when a field encryption key
+   * is configured (see FieldEncryption). Values are encrypted as they are
+   * written and decrypted as they are read through all(), get() and query();
+   * SQL that filters on them must use decrypt_field(column).
+   */
+  static ENCRYPTED_FIELDS = Object.freeze({
+    messages: ['content'],
+    summaries: ['summary_text'],
+    conversations: ['voicemail_transcript'],
+    conversation_narratives: ['narrative'],
+    memories: ['memory_content', 'previous_content', 'source_utterance'],
+    memory_revisions: ['old_content', 'new_content'],
+    call_transfers: ['recent_utterances'],
+    call_guidance: ['message']
+  });
+
   /**
    * Get the singleton instance of DatabaseManager
    * @param {string} dbPath - Optional database path (only used if no instance exists)
@@ -80,8 +99,11 @@ class DatabaseManager {
   /**
    * Constructor is still public to support testing with custom paths
    * Production code should use getInstance() instead
+   * @param {string} dbPath - Database path
+   * @param {Object} options
+   * @param {FieldEncryption} options.encryption - Field encryption (default: keys from the environment)
    */
-  constructor(dbPath = './conversation-summaries.db') {
+  constructor(dbPath = './conversation-summaries.db', { encryption = null } = {}) {
     // Allow direct instantiation for testing, but log if not singleton
     if (DatabaseManager._instance && this !== DatabaseManager._instance) {
       console.log(`[DatabaseManager] Direct instantiation detected (likely for testing) with path: ${dbPath}`);
@@ -98,6 +120,8 @@ class DatabaseManager {
       this.dbPath = dbPath;
     }
     this.db = null;
+    this.encryption = encryption || FieldEncryption.fromEnv();
+    this.compactPending = false; // Set by a migration that needs the file rebuilt (see compact)
     this.isInitialized = false;
     this.isClosed = false;
     this._initPromise = null;
@@ -130,9 +154,17 @@ class DatabaseManager {
       this.db.pragma('synchronous = NORMAL');
       this.db.pragma('cache_size = 1000');
       this.db.pragma('temp_store = memory');
+      // Zero deleted and overwritten content, so plaintext the encryption triggers replace doesn't stay in the file
+      this.db.pragma('secure_delete = ON');
+
+      // SQL functions for field encryption; needed by the triggers and by queries that filter on encrypted fields
+      this.db.function('encrypt_field', value => this.encryption.encrypt(value));
+      this.db.function('decrypt_field', { deterministic: true }, value => this.encryption.decrypt(value));
+      this.db.function('is_encrypted_field', { deterministic: true }, value => (FieldEncryption.isEncrypted(value) ? 1 : 0));
 
       // Apply migrations
       await this.applyMigrations();
+      this.prepareFieldEncryption();
       this.isInitialized = true;
       
       return Promise.resolve();
@@ -209,6 +241,149 @@ class DatabaseManager {
       this.applyRegistrationTokenMigration();
       this.runSync('INSERT INTO migrations (version) VALUES (?)', [9]);
     }
+
+    // Apply patient profiles migration if needed
+    if (currentVersion < 10) {
+      this.applyPatientProfilesMigration();
+      this.runSync('INSERT INTO migrations (version) VALUES (?)', [10]);
+    }
+
+    // Apply persona registry migration if needed
+    if (currentVersion < 11) {
+      this.applyPersonaRegistryMigration();
+      this.runSync('INSERT INTO migrations (version) VALUES (?)', [11]);
+    }
+
+    // Apply configuration history migration if needed
+    if (currentVersion < 12) {
+      this.applyConfigHistoryMigration();
+      this.runSync('INSERT INTO migrations (version) VALUES (?)', [12]);
+    }
+
+    // Apply silence policy migration if needed
+    if (currentVersion < 13) {
+      this.applySilencePolicyMigration();
+      this.runSync('INSERT INTO migrations (version) VALUES (?)', [13]);
+    }
+
+    // Apply security events migration if needed
+    if (currentVersion < 14) {
+      this.applySecurityEventsMigration();
+      this.runSync('INSERT INTO migrations (version) VALUES (?)', [14]);
+    }
+
+    // Apply user roles migration if needed
+    if (currentVersion < 15) {
+      this.applyUserRolesMigration();
+      this.runSync('INSERT INTO migrations (version) VALUES (?)', [15]);
+    }
+
+    // Apply routing decisions migration if needed
+    if (currentVersion < 16) {
+      this.applyRoutingDecisionsMigration();
+      this.runSync('INSERT INTO migrations (version) VALUES (?)', [16]);
+    }
+
+    // Apply outbound check-in calls migration if needed
+    if (currentVersion < 17) {
+      this.applyCheckInCallsMigration();
+      this.runSync('INSERT INTO migrations (version) VALUES (?)', [17]);
+    }
+
+    // Apply caregiver alerts migration if needed
+    if (currentVersion < 18) {
+      this.applyCaregiverAlertsMigration();
+      this.runSync('INSERT INTO migrations (version) VALUES (?)', [18]);
+    }
+
+    if (currentVersion < 19) {
+      this.applyCallGuidanceMigration();
+      this.runSync('INSERT INTO migrations (version) VALUES (?)', [19]);
+    }
+
+    // Apply warm transfer migration if needed
+    if (currentVersion < 20) {
+      this.applyWarmTransferMigration();
+      this.runSync('INSERT INTO migrations (version) VALUES (?)', [20]);
+    }
+
+    // Apply conversation narratives migration if needed
+    if (currentVersion < 21) {
+      this.applyConversationNarrativesMigration();
+      this.runSync('INSERT INTO migrations (version) VALUES (?)', [21]);
+    }
+
+    // Apply family digests migration if needed
+    if (currentVersion < 22) {
+      this.applyFamilyDigestsMigration();
+      this.runSync('INSERT INTO migrations (version) VALUES (?)', [22]);
+    }
+
+    // Apply memory review migration if needed
+    if (currentVersion < 23) {
+      this.applyMemoryReviewMigration();
+      this.runSync('INSERT INTO migrations (version) VALUES (?)', [23]);
+    }
+
+    // Apply memory revisions migration if needed
+    if (currentVersion < 24) {
+      this.applyMemoryRevisionsMigration();
+      this.runSync('INSERT INTO migrations (version) VALUES (?)', [24]);
+    }
+
+    // Apply memory embeddings migration if needed
+    if (currentVersion < 25) {
+      this.applyMemoryEmbeddingsMigration();
+      this.runSync('INSERT INTO migrations (version) VALUES (?)', [25]);
+    }
+
+    // Apply token usage migration if needed
+    if (currentVersion < 26) {
+      this.applyTokenUsageMigration();
+      this.runSync('INSERT INTO migrations (version) VALUES (?)', [26]);
+    }
+
+    // Apply data retention migration if needed
+    if (currentVersion < 27) {
+      this.applyDataRetentionMigration();
+      this.runSync('INSERT INTO migrations (version) VALUES (?)', [27]);
+    }
+
+    // Apply field encryption migration if needed
+    if (currentVersion < 28) {
+      this.applyFieldEncryptionMigration();
+      this.runSync('INSERT INTO migrations (version) VALUES (?)', [28]);
+    }
+
+    // Apply audit log migration if needed
+    if (currentVersion < 29) {
+      this.applyAuditLogMigration();
+      this.runSync('INSERT INTO migrations (version) VALUES (?)', [29]);
+    }
+
+    // Apply FHIR patient reference migration if needed
+    if (currentVersion < 30) {
+      this.applyFhirPatientReferenceMigration();
+      this.runSync('INSERT INTO migrations (version) VALUES (?)', [30]);
+    }
+
+    // Apply memory review fact migration if needed
+    if (currentVersion < 31) {
+      this.applyMemoryReviewFactMigration();
+      this.runSync('INSERT INTO migrations (version) VALUES (?)', [31]);
+    }
+
+    // Apply memory removal review migration if needed
+    if (currentVersion < 32) {
+      this.applyMemoryRemovalReviewMigration();
+      this.runSync('INSERT INTO migrations (version) VALUES (?)', [32]);
+    }
+
+    // Apply secure delete migration if needed
+    if (currentVersion < 33) {
+      this.applySecureDeleteMigration();
+      this.runSync('INSERT INTO migrations (version) VALUES (?)', [33]);
+    }
   }
 
   applyInitialSchema() {
@@ -613,6 +788,823 @@ class DatabaseManager {
   }
 
 
+  /**
+   * Migration 10: Add patient profiles so one deployment can serve several residents
+   * 
+   * This migration:
+   * - Creates the patients table (name, preferred name, facility, timezone,
+   *   dialed Twilio numbers and family contacts stored as JSON)
+   * - Seeds patient 1 with the profile that used to be hardcoded (Francine / Ryan)
+   * - Adds patient_id to conversations, defaulting existing rows to patient 1
+   * - Rebuilds memories so memory keys are unique per patient instead of globally
+   */
+  applyPatientProfilesMigration() {
+    const migration = `
+      -- Migration 10: Create patients table
+      CREATE TABLE IF NOT EXISTS patients (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        preferred_name TEXT,
+        facility_name TEXT,
+        facility_location TEXT,
+        timezone TEXT NOT NULL DEFAULT 'America/Los_Angeles',
+        phone_numbers TEXT, -- JSON array of Twilio numbers that route to this patient
+        family_contacts TEXT, -- JSON array of {name, relationship, phone, isPrimary}
+        is_active INTEGER DEFAULT 1 CHECK (is_active IN (0, 1)),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Seed the original patient so existing data stays attached to her
+      INSERT OR IGNORE INTO patients (id, name, preferred_name, facility_location, timezone, phone_numbers, family_contacts)
+      VALUES (1, 'Francine', 'Francine', 'La Palma, CA (Orange County)', 'America/Los_Angeles', '[]',
+        '[{"name":"Ryan","relationship":"son","phone":null,"isPrimary":true}]');
+
+      CREATE INDEX IF NOT EXISTS idx_patients_is_active ON patients(is_active);
+
+      -- Scope conversations to a patient
+      ALTER TABLE conversations ADD COLUMN patient_id INTEGER NOT NULL DEFAULT 1;
+      CREATE INDEX IF NOT EXISTS idx_conversations_patient_start ON conversations(patient_id, start_time);
+
+      -- Rebuild memories with per-patient keys (SQLite can't drop a column UNIQUE constraint)
+      CREATE TABLE memories_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        patient_id INTEGER NOT NULL DEFAULT 1 REFERENCES patients(id),
+        memory_key TEXT NOT NULL,
+        memory_content TEXT NOT NULL,
+        category TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_accessed DATETIME,
+        is_fact BOOLEAN DEFAULT FALSE,
+        UNIQUE (patient_id, memory_key)
+      );
+
+      INSERT INTO memories_new (id, patient_id, memory_key, memory_content, category, created_at, updated_at, last_accessed, is_fact)
+      SELECT id, 1, memory_key, memory_content, category, created_at, updated_at, last_accessed, is_fact FROM memories;
+
+      DROP TABLE memories;
+      ALTER TABLE memories_new RENAME TO memories;
+
+      -- Recreate memories indexes
+      CREATE INDEX IF NOT EXISTS idx_memories_key ON memories(memory_key);
+      CREATE INDEX IF NOT EXISTS idx_memories_category ON memories(category);
+      CREATE INDEX IF NOT EXISTS idx_memories_updated ON memories(updated_at);
+      CREATE INDEX IF NOT EXISTS idx_memories_category_updated ON memories(category, updated_at);
+      CREATE INDEX IF NOT EXISTS idx_memories_is_fact ON memories(is_fact);
+      CREATE INDEX IF NOT EXISTS idx_memories_patient_id ON memories(patient_id);
+    `;
+
+    this._execSync(migration);
+  }
+
+  /**
+   * Migration 11: Store personas as data instead of template conditionals
+   * 
+   * This migration:
+   * - Creates the personas table (backstory, story themes, voice model,
+   *   greetings and allowed functions stored as JSON arrays)
+   * - Seeds the built-in personas (Jessica) from PersonaService
+   */
+  applyPersonaRegistryMigration() {
+    const migration = `
+      -- Migration 11: Create personas table
+      CREATE TABLE IF NOT EXISTS personas (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL, -- slug used in /incoming/persona/:name
+        display_name TEXT NOT NULL,
+        backstory TEXT NOT NULL,
+        story_themes TEXT, -- JSON array of redirection themes
+        voice_model TEXT, -- Deepgram voice model; NULL uses VOICE_MODEL
+        greetings TEXT, -- JSON array of opening lines
+        allowed_functions TEXT, -- JSON array of function names; empty allows all
+        is_active INTEGER DEFAULT 1 CHECK (is_active IN (0, 1)),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_personas_is_active ON personas(is_active);
+    `;
+
+    this._execSync(migration);
+
+    // Seed with bound parameters - backstories contain quotes
+    for (const persona of Object.values(PersonaService.BUILT_IN_PERSONAS)) {
+      this.runSync(`
+        INSERT OR IGNORE INTO personas (name, display_name, backstory, story_themes, voice_model, greetings, allowed_functions)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [
+        persona.name,
+        persona.displayName,
+        persona.backstory,
+        JSON.stringify(persona.storyThemes),
+        persona.voiceModel,
+        JSON.stringify(persona.greetings),
+        JSON.stringify(persona.allowedFunctions)
+      ]);
+    }
+  }
+
+  /**
+   * Migration 12: Track admin configuration changes
+   * 
+   * This migration:
+   * - Creates the config_history table (one row per changed key; values are JSON)
+   * - Configuration itself lives in the settings table under `config.<section>` keys
+   */
+  applyConfigHistoryMigration() {
+    const migration = `
+      -- Migration 12: Create config_history table
+      CREATE TABLE IF NOT EXISTS config_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        section TEXT NOT NULL,
+        setting_key TEXT NOT NULL,
+        previous_value TEXT, -- JSON; NULL when the key had no previous value
+        new_value TEXT NOT NULL, -- JSON
+        changed_by TEXT NOT NULL DEFAULT 'system',
+        changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_config_history_changed_at ON config_history(changed_at);
+      CREATE INDEX IF NOT EXISTS idx_config_history_section ON config_history(section);
+    `;
+
+    this._execSync(migration);
+  }
+
+  /**
+   * Migration 13: Per-patient silence handling
+   * 
+   * This migration:
+   * - Adds silence_policy to patients (JSON escalation ladder; NULL uses the default policy)
+   * - Creates the silence_events table recording each silence step taken during a call
+   */
+  applySilencePolicyMigration() {
+    const migration = `
+      -- Migration 13: Silence policy per patient
+      ALTER TABLE patients ADD COLUMN silence_policy TEXT;
+
+      CREATE TABLE IF NOT EXISTS silence_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id INTEGER NOT NULL,
+        step_index INTEGER NOT NULL, -- 0-based position in the policy ladder
+        action TEXT NOT NULL CHECK (action IN ('prompt', 'story', 'hangup')),
+        timeout_seconds INTEGER NOT NULL,
+        message TEXT, -- What was said; NULL for AI-written story redirects
+        family_alerted INTEGER DEFAULT 0 CHECK (family_alerted IN (0, 1)),
+        occurred_at DATETIME NOT NULL,
+        FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_silence_events_conversation_id ON silence_events(conversation_id);
+    `;
+
+    this._execSync(migration);
+  }
+
+  /**
+   * Migration 14: Security events audit log
+   * 
+   * This migration:
+   * - Creates the security_events table for rejected requests (e.g. forged Twilio webhooks)
+   * - Stores request metadata only; request bodies may contain PHI and are never recorded
+   */
+  applySecurityEventsMigration() {
+    const migration = `
+      -- Migration 14: Create security_events table
+      CREATE TABLE IF NOT EXISTS security_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_type TEXT NOT NULL,
+        path TEXT,
+        ip_address TEXT,
+        user_agent TEXT,
+        reason TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_security_events_created_at ON security_events(created_at);
+      CREATE INDEX IF NOT EXISTS idx_security_events_type ON security_events(event_type);
+    `;
+
+    this._execSync(migration);
+  }
+
+  /**
+   * Migration 15: Role-based access for admin users
+   * 
+   * This migration:
+   * - Adds role to users (owner, caregiver or read-only family); existing users become owners
+   * - Adds role to registration_tokens so the CLI decides the role a new user registers with
+   */
+  applyUserRolesMigration() {
+    const migration = `
+      -- Migration 15: User roles
+      ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'owner'
+        CHECK (role IN ('owner', 'caregiver', 'family'));
+
+      ALTER TABLE registration_tokens ADD COLUMN role TEXT NOT NULL DEFAULT 'caregiver'
+        CHECK (role IN ('owner', 'caregiver', 'family'));
+    `;
+
+    this._execSync(migration);
+  }
+
+  /**
+   * Migration 16: Call routing decisions
+   * 
+   * This migration:
+   * - Creates the routing_decisions table with the rule that decided each incoming call
+   * - Keyed by call_sid so decisions join to the conversation saved when the call ends;
+   *   calls that never reach the AI (ring out, transfer, family message) have no conversation
+   */
+  applyRoutingDecisionsMigration() {
+    const migration = `
+      -- Migration 16: Create routing_decisions table
+      CREATE TABLE IF NOT EXISTS routing_decisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        call_sid TEXT UNIQUE NOT NULL,
+        patient_id INTEGER,
+        endpoint TEXT,
+        rule_id TEXT NOT NULL,
+        outcome TEXT NOT NULL,
+        reason TEXT,
+        context TEXT, -- JSON: call stats, local time and conditions the rules saw
+        decided_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE SET NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_routing_decisions_decided_at ON routing_decisions(decided_at);
+    `;
+
+    this._execSync(migration);
+  }
+
+  applyCheckInCallsMigration() {
+    const migration = `
+      -- Migration 17: Scheduled outbound check-in calls
+      -- Existing conversations were all calls the patient placed
+      ALTER TABLE conversations ADD COLUMN direction TEXT NOT NULL DEFAULT 'inbound'
+        CHECK (direction IN ('inbound', 'outbound'));
+
+      CREATE TABLE IF NOT EXISTS check_in_schedules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        patient_id INTEGER NOT NULL,
+        label TEXT NOT NULL,
+        phone_number TEXT NOT NULL, -- The patient's own phone, which the companion dials
+        time_of_day TEXT NOT NULL, -- 'HH:MM' in the patient's timezone
+        days_of_week TEXT, -- JSON array of 0 (Sunday) to 6; NULL means every day
+        max_attempts INTEGER NOT NULL DEFAULT 3,
+        retry_delay_minutes INTEGER NOT NULL DEFAULT 10,
+        is_active BOOLEAN DEFAULT TRUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE IF NOT EXISTS outbound_call_attempts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        schedule_id INTEGER,
+        patient_id INTEGER NOT NULL,
+        occurrence_date TEXT NOT NULL, -- Local date of the scheduled check-in (YYYY-MM-DD)
+        attempt_number INTEGER NOT NULL,
+        call_sid TEXT UNIQUE,
+        status TEXT NOT NULL DEFAULT 'queued', -- queued, initiated, then Twilio's final call status
+        answered_by TEXT, -- Twilio answering machine detection result
+        error TEXT,
+        placed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME,
+        UNIQUE (schedule_id, occurrence_date, attempt_number),
+        FOREIGN KEY (schedule_id) REFERENCES check_in_schedules(id) ON DELETE SET NULL,
+        FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_check_in_schedules_patient ON check_in_schedules(patient_id, is_active);
+      CREATE INDEX IF NOT EXISTS idx_outbound_call_attempts_patient ON outbound_call_attempts(patient_id, placed_at);
+      CREATE INDEX IF NOT EXISTS idx_outbound_call_attempts_status ON outbound_call_attempts(status);
+    `;
+
+    this._execSync(migration);
+  }
+
+  applyCaregiverAlertsMigration() {
+    const migration = `
+      -- Migration 18: Caregiver alerts with per-patient recipients and delivery tracking
+      CREATE TABLE IF NOT EXISTS alert_recipients (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        patient_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        channel TEXT NOT NULL CHECK (channel IN ('sms', 'email', 'webhook')),
+        address TEXT NOT NULL, -- Phone number, email address or webhook URL
+        min_severity TEXT NOT NULL DEFAULT 'warning' CHECK (min_severity IN ('info', 'warning', 'critical')),
+        is_active BOOLEAN DEFAULT TRUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE IF NOT EXISTS alerts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        patient_id INTEGER NOT NULL,
+        type TEXT NOT NULL,
+        severity TEXT NOT NULL CHECK (severity IN ('info', 'warning', 'critical')),
+        message TEXT NOT NULL,
+        details TEXT, -- JSON: what triggered the alert
+        call_sid TEXT,
+        conversation_id INTEGER,
+        status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'acknowledged')),
+        occurrence_count INTEGER NOT NULL DEFAULT 1, -- Repeats folded in by the de-duplication window
+        last_triggered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        acknowledged_by INTEGER,
+        acknowledged_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+        FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE SET NULL,
+        FOREIGN KEY (acknowledged_by) REFERENCES users(id) ON DELETE SET NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS alert_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        alert_id INTEGER NOT NULL,
+        recipient_id INTEGER, -- NULL when sent to the patient's primary family contact
+        recipient_name TEXT NOT NULL, -- Kept so the history survives removing the recipient
+        channel TEXT NOT NULL,
+        address TEXT NOT NULL,
+        status TEXT NOT NULL CHECK (status IN ('sent', 'failed')),
+        error TEXT,
+        sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (alert_id) REFERENCES alerts(id) ON DELETE CASCADE,
+        FOREIGN KEY (recipient_id) REFERENCES alert_recipients(id) ON DELETE SET NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_alert_recipients_patient ON alert_recipients(patient_id, is_active);
+      CREATE INDEX IF NOT EXISTS idx_alerts_patient_status ON alerts(patient_id, status, created_at);
+      CREATE INDEX IF NOT EXISTS idx_alerts_patient_type ON alerts(patient_id, type, created_at);
+      CREATE INDEX IF NOT EXISTS idx_alert_deliveries_alert_id ON alert_deliveries(alert_id);
+    `;
+
+    this._execSync(migration);
+  }
+
+  applyCallGuidanceMigration() {
+    const migration = `
+      -- Migration 19: Private caregiver guidance sent into live calls (audit log and call timeline)
+      CREATE TABLE IF NOT EXISTS call_guidance (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        call_sid TEXT NOT NULL,
+        patient_id INTEGER NOT NULL,
+        user_id INTEGER,
+        user_name TEXT NOT NULL, -- Kept so the log survives removing the user
+        message TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_call_guidance_call_sid ON call_guidance(call_sid, created_at);
+    `;
+
+    this._execSync(migration);
+  }
+
+  applyWarmTransferMigration() {
+    const migration = `
+      -- Migration 20: Warm transfers to ordered fallback contacts, with each dial attempt logged
+      ALTER TABLE patients ADD COLUMN transfer_targets TEXT; -- JSON array tried in order; NULL uses TRANSFER_NUMBER
+
+      CREATE TABLE IF NOT EXISTS call_transfers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        call_sid TEXT NOT NULL,
+        patient_id INTEGER NOT NULL,
+        persona TEXT,
+        targets TEXT NOT NULL, -- JSON snapshot of the targets, in dialing order
+        recent_utterances TEXT, -- JSON array of what the caller said before asking, for the whisper
+        status TEXT NOT NULL DEFAULT 'dialing' CHECK (status IN ('dialing', 'connected', 'failed', 'canceled')),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME,
+        FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE IF NOT EXISTS transfer_attempts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        transfer_id INTEGER NOT NULL,
+        position INTEGER NOT NULL, -- 0-based index into the transfer's targets
+        target_name TEXT NOT NULL,
+        phone_number TEXT NOT NULL,
+        timeout_seconds INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'dialing', -- 'dialing', then Twilio's DialCallStatus
+        duration_seconds INTEGER,
+        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        ended_at DATETIME,
+        UNIQUE (transfer_id, position),
+        FOREIGN KEY (transfer_id) REFERENCES call_transfers(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_call_transfers_call_sid ON call_transfers(call_sid, created_at);
+    `;
+
+    this._execSync(migration);
+  }
+
+  applyConversationNarrativesMigration() {
+    const migration = `
+      -- Migration 21: Post-call narrative recap written for each saved conversation
+      CREATE TABLE IF NOT EXISTS conversation_narratives (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id INTEGER NOT NULL UNIQUE, -- Rewritten when a call is saved again after a failed transfer
+        narrative TEXT NOT NULL,
+        key_topics TEXT, -- JSON array
+        concerns TEXT, -- JSON array
+        requests TEXT, -- JSON array
+        model TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+      );
+    `;
+
+    this._execSync(migration);
+  }
+
+  applyFamilyDigestsMigration() {
+    const migration = `
+      -- Migration 22: Daily and weekly digest emails for families, with each send logged
+      CREATE TABLE IF NOT EXISTS digest_recipients (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        patient_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        email TEXT NOT NULL,
+        frequency TEXT NOT NULL CHECK (frequency IN ('daily', 'weekly')),
+        is_active INTEGER DEFAULT 1 CHECK (is_active IN (0, 1)),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE IF NOT EXISTS digest_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        recipient_id INTEGER NOT NULL,
+        patient_id INTEGER NOT NULL,
+        period TEXT NOT NULL CHECK (period IN ('daily', 'weekly')),
+        period_start TEXT NOT NULL, -- Patient's local date (YYYY-MM-DD) the digest covers from
+        status TEXT NOT NULL CHECK (status IN ('sent', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 1,
+        error TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (recipient_id, period, period_start),
+        FOREIGN KEY (recipient_id) REFERENCES digest_recipients(id) ON DELETE CASCADE,
+        FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_digest_recipients_patient ON digest_recipients(patient_id, is_active);
+    `;
+
+    this._execSync(migration);
+  }
+
+  applyMemoryReviewMigration() {
+    const migration = `
+      -- Migration 23: Memories the companion saves during calls wait for a caregiver to review them
+      -- Existing memories were already in use, so they count as approved
+      ALTER TABLE memories ADD COLUMN review_status TEXT NOT NULL DEFAULT 'approved'
+        CHECK (review_status IN ('pending', 'approved'));
+      ALTER TABLE memories ADD COLUMN source_call_sid TEXT; -- Call the companion saved it during
+      ALTER TABLE memories ADD COLUMN source_utterance TEXT; -- What the caller had just said
+      ALTER TABLE memories ADD COLUMN previous_content TEXT; -- Approved version a pending change would replace
+      ALTER TABLE memories ADD COLUMN previous_category TEXT;
+      ALTER TABLE memories ADD COLUMN reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+      ALTER TABLE memories ADD COLUMN reviewed_at DATETIME;
+
+      CREATE INDEX IF NOT EXISTS idx_memories_review_status ON memories(patient_id, review_status);
+    `;
+
+    this._execSync(migration);
+  }
+
+  applyMemoryRevisionsMigration() {
+    const migration = `
+      -- Migration 24: Every change to a memory, with the values before and after and who made it
+      CREATE TABLE IF NOT EXISTS memory_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        patient_id INTEGER NOT NULL,
+        memory_key TEXT NOT NULL, -- Key after the change
+        previous_key TEXT, -- Key before a rename
+        action TEXT NOT NULL CHECK (action IN ('created', 'updated', 'deleted', 'approved', 'rejected', 'renamed', 'restored')),
+        old_content TEXT, -- NULL when the memory didn't exist before
+        old_category TEXT,
+        old_is_fact INTEGER,
+        new_content TEXT, -- NULL when the change removed the memory
+        new_category TEXT,
+        new_is_fact INTEGER,
+        changed_by TEXT NOT NULL CHECK (changed_by IN ('call', 'user', 'script', 'system')),
+        call_sid TEXT,
+        user_id INTEGER,
+        script TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_memory_revisions_key ON memory_revisions(patient_id, memory_key, id);
+    `;
+
+    this._execSync(migration);
+  }
+
+  applyMemoryEmbeddingsMigration() {
+    const migration = `
+      -- Migration 25: Embedding vectors for semantic memory recall, one per memory
+      CREATE TABLE IF NOT EXISTS memory_embeddings (
+        memory_id INTEGER PRIMARY KEY,
+        provider TEXT NOT NULL, -- Provider and model that computed the vector, e.g. 'openai:text-embedding-3-small'
+        dimensions INTEGER NOT NULL,
+        vector BLOB NOT NULL, -- Float32 values, little-endian (encrypted base64 text with field encryption on)
+        content_hash TEXT NOT NULL, -- Hash of the embedded text, to spot stale vectors
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (memory_id) REFERENCES memories(id) ON DELETE CASCADE
+      );
+    `;
+
+    this._execSync(migration);
+  }
+
+  applyTokenUsageMigration() {
+    const migration = `
+      -- Migration 26: Model token usage and context size for each turn of a call
+      CREATE TABLE IF NOT EXISTS token_usage (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id INTEGER NOT NULL,
+        turn INTEGER NOT NULL, -- 1-based position of the model request in the call
+        prompt_tokens INTEGER NOT NULL DEFAULT 0,
+        completion_tokens INTEGER NOT NULL DEFAULT 0,
+        total_tokens INTEGER NOT NULL DEFAULT 0,
+        context_tokens INTEGER, -- Estimated size of the context sent
+        context_messages INTEGER,
+        summarized_messages INTEGER DEFAULT 0, -- Earlier messages folded into the running synopsis so far
+        occurred_at DATETIME NOT NULL,
+        FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_token_usage_conversation_id ON token_usage(conversation_id);
+    `;
+
+    this._execSync(migration);
+  }
+
+  applyDataRetentionMigration() {
+    const migration = `
+      -- Migration 27: Retention policies per data class, legal holds on conversations and a log of every purge
+      ALTER TABLE conversations ADD COLUMN legal_hold INTEGER DEFAULT 0 CHECK (legal_hold IN (0, 1));
+      ALTER TABLE conversations ADD COLUMN legal_hold_reason TEXT;
+      ALTER TABLE conversations ADD COLUMN legal_hold_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+      ALTER TABLE conversations ADD COLUMN legal_hold_at DATETIME;
+
+      CREATE TABLE IF NOT EXISTS retention_policies (
+        data_class TEXT PRIMARY KEY CHECK (data_class IN ('messages', 'summaries', 'emotional_metrics', 'voicemail_transcripts', 'recordings')),
+        retain_days INTEGER CHECK (retain_days IS NULL OR retain_days >= 1), -- NULL keeps the data forever
+        action TEXT NOT NULL DEFAULT 'delete' CHECK (action IN ('delete', 'anonymize')),
+        updated_by INTEGER,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS retention_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        triggered_by TEXT NOT NULL CHECK (triggered_by IN ('schedule', 'manual')),
+        user_id INTEGER, -- Who started a manual run
+        status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+        error TEXT,
+        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        finished_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+      );
+
+      -- What each run purged: ids and counts only, never the data itself
+      CREATE TABLE IF NOT EXISTS retention_purges (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id INTEGER NOT NULL,
+        data_class TEXT NOT NULL,
+        action TEXT NOT NULL CHECK (action IN ('delete', 'anonymize')),
+        conversation_id INTEGER,
+        call_sid TEXT,
+        records INTEGER NOT NULL DEFAULT 0,
+        purged_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (run_id) REFERENCES retention_runs(id) ON DELETE CASCADE,
+        FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE SET NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_retention_purges_run_id ON retention_purges(run_id);
+      CREATE INDEX IF NOT EXISTS idx_retention_purges_conversation ON retention_purges(conversation_id, data_class);
+    `;
+
+    this._execSync(migration);
+  }
+
+  applyFieldEncryptionMigration() {
+    const migration = `
+      -- Migration 28: Field encryption keys that have encrypted data, so a missing key is caught at startup
+      -- Existing rows are encrypted by prepareFieldEncryption() once a key is configured
+      CREATE TABLE IF NOT EXISTS encryption_keys (
+        key_id TEXT PRIMARY KEY, -- FieldEncryption.keyId, never the key itself
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        retired_at DATETIME -- Set once nothing is encrypted with it (after rotation)
+      );
+    `;
+
+    this._execSync(migration);
+  }
+
+  applyAuditLogMigration() {
+    const migration = `
+      -- Migration 29: Append-only audit log of admin access and changes, hash-chained (see AuditService)
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        occurred_at TEXT NOT NULL,
+        user_id INTEGER, -- No foreign key: removing a user must not rewrite the chain
+        actor TEXT, -- Who it was at the time (email, or the job or script for system entries)
+        action TEXT NOT NULL,
+        target_type TEXT,
+        target_id TEXT,
+        patient_id INTEGER,
+        details TEXT, -- JSON; ids and counts only, never PHI
+        ip_address TEXT,
+        user_agent TEXT,
+        prev_hash TEXT,
+        hash TEXT NOT NULL UNIQUE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_audit_log_occurred_at ON audit_log(occurred_at);
+      CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action);
+      CREATE INDEX IF NOT EXISTS idx_audit_log_user_id ON audit_log(user_id);
+
+      CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+      BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+      BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+      END;
+    `;
+
+    this._execSync(migration);
+  }
+
+  applyFhirPatientReferenceMigration() {
+    const migration = `
+      -- Migration 30: The patient in the facility's FHIR server that exported resources refer to (see FhirService)
+      ALTER TABLE patients ADD COLUMN fhir_patient_reference TEXT; -- e.g. 'Patient/123'; NULL refers to our own Patient resource
+    `;
+
+    this._execSync(migration);
+  }
+
+  applyMemoryReviewFactMigration() {
+    const migration = `
+      -- Migration 31: Whether the approved version a pending change would replace was a fact,
+      -- so rejecting the change restores it as one
+      ALTER TABLE memories ADD COLUMN previous_is_fact INTEGER;
+    `;
+
+    this._execSync(migration);
+  }
+
+  applyMemoryRemovalReviewMigration() {
+    const migration = `
+      -- Migration 32: The companion asking to forget a memory waits for a caregiver like its other changes
+      ALTER TABLE memories ADD COLUMN pending_removal INTEGER NOT NULL DEFAULT 0 CHECK (pending_removal IN (0, 1));
+    `;
+
+    this._execSync(migration);
+  }
+
+  applySecureDeleteMigration() {
+    // Migration 33: Overwritten and deleted values used to stay in free space in the file until it was reused,
+    // including the plaintext the encryption triggers replace. secure_delete zeroes them from now on;
+    // compact once (after encrypting, see prepareFieldEncryption) to clear what earlier writes left behind
+    this.compactPending = true;
+  }
+
+  /**
+   * Check the configured keys, install the encryption triggers and encrypt
+   * any plaintext left in the encrypted fields (rows written before a key
+   * was configured)
+   */
+  prepareFieldEncryption() {
+    const missing = this.db.prepare('SELECT key_id FROM encryption_keys WHERE retired_at IS NULL').all()
+      .map(row => row.key_id)
+      .filter(keyId => !this.encryption.keyIds.includes(keyId));
+    if (missing.length > 0) {
+      throw new Error(`Field encryption key ${missing.join(', ')} is not configured (FIELD_ENCRYPTION_KEY, FIELD_ENCRYPTION_PREVIOUS_KEYS or FIELD_ENCRYPTION_KEY_FILE)`);
+    }
+    if (!this.encryption.enabled) {
+      return;
+    }
+
+    this.runSync(`
+      INSERT INTO encryption_keys (key_id) VALUES (?)
+      ON CONFLICT(key_id) DO UPDATE SET retired_at = NULL
+    `, [this.encryption.currentKeyId]);
+
+    // TEMP triggers live only on this connection, so the database file never depends on these functions
+    for (const [table, columns] of Object.entries(DatabaseManager.ENCRYPTED_FIELDS)) {
+      for (const column of columns) {
+        this._execSync(`
+          CREATE TEMP TRIGGER IF NOT EXISTS encrypt_${table}_${column}_insert AFTER INSERT ON main.${table}
+          WHEN NEW.${column} IS NOT NULL AND NOT is_encrypted_field(NEW.${column})
+          BEGIN
+            UPDATE ${table} SET ${column} = encrypt_field(NEW.${column}) WHERE rowid = NEW.rowid;
+          END;
+          CREATE TEMP TRIGGER IF NOT EXISTS encrypt_${table}_${column}_update AFTER UPDATE OF ${column} ON main.${table}
+          WHEN NEW.${column} IS NOT NULL AND NOT is_encrypted_field(NEW.${column})
+          BEGIN
+            UPDATE ${table} SET ${column} = encrypt_field(NEW.${column}) WHERE rowid = NEW.rowid;
+          END;
+        `);
+      }
+    }
+
+    const encrypted = this.encryptFields();
+    const total = Object.values(encrypted).reduce((sum, count) => sum + count, 0);
+    if (total > 0) {
+      console.log(`[DatabaseManager] Encrypted ${total} existing field values`);
+    }
+    // The plaintext just replaced may still be in the WAL and in pages written before secure_delete
+    if (total > 0 || this.compactPending) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Rebuild the database file and empty the WAL, so nothing deleted or
+   * overwritten (such as plaintext or values under a retired key) is left on disk
+   */
+  compact() {
+    this.compactPending = false;
+    if (this.dbPath === ':memory:') {
+      return;
+    }
+    this._execSync('VACUUM');
+    this.db.pragma('wal_checkpoint(TRUNCATE)');
+  }
+
+  /**
+   * Encrypt every encrypted field with the current key, and drop memory
+   * embeddings not written with it
+   * @param {Object} options
+   * @param {boolean} options.rotate - Also re-encrypt values written with an older key, retire those keys
+   *   and compact the file so the old ciphertext is gone
+   * @returns {Object} Values encrypted per 'table.column'
+   */
+  encryptFields({ rotate = false } = {}) {
+    if (!this.encryption.enabled) {
+      throw new Error('Field encryption is not configured');
+    }
+
+    const counts = {};
+    this.db.transaction(() => {
+      for (const [table, columns] of Object.entries(DatabaseManager.ENCRYPTED_FIELDS)) {
+        for (const column of columns) {
+          counts[`${table}.${column}`] = this.runSync(`
+            UPDATE ${table} SET ${column} = encrypt_field(decrypt_field(${column}))
+            WHERE ${column} IS NOT NULL
+              AND (NOT is_encrypted_field(${column}) ${rotate ? `OR ${column} NOT LIKE ?` : ''})
+          `, rotate ? [`${FieldEncryption.PREFIX}${this.encryption.currentKeyId}:%`] : []).changes;
+        }
+      }
+      // Embeddings are derived from memories: drop any not written with the current key rather than re-encrypting them,
+      // and MemoryEmbeddingService recomputes them on the next recall
+      this.runSync('DELETE FROM memory_embeddings WHERE vector NOT LIKE ?', [`${FieldEncryption.PREFIX}${this.encryption.currentKeyId}:%`]);
+      if (rotate) {
+        this.runSync(
+          'UPDATE encryption_keys SET retired_at = CURRENT_TIMESTAMP WHERE key_id != ? AND retired_at IS NULL',
+          [this.encryption.currentKeyId]
+        );
+      }
+    })();
+    if (rotate) {
+      this.compact();
+    }
+    return counts;
+  }
+
+  /**
+   * Decrypt the encrypted fields of result rows
+   */
+  _decryptRows(rows) {
+    if (!this.encryption?.enabled) {
+      return rows;
+    }
+    for (const row of rows) {
+      if (!row || typeof row !== 'object') continue;
+      for (const [column, value] of Object.entries(row)) {
+        if (typeof value === 'string' && value.startsWith(FieldEncryption.PREFIX)) {
+          row[column] = this.encryption.decrypt(value);
+        }
+      }
+    }
+    return rows;
+  }
+
   getCurrentMigrationVersion() {
     try {
       const result = this._getSync('SELECT MAX(version) as version FROM migrations');
@@ -667,7 +1659,7 @@ class DatabaseManager {
     
     try {
       const stmt = this.db.prepare(sql);
-      return stmt.all(...params);
+      return this._decryptRows(stmt.all(...params));
     } catch (err) {
       console.error('Database query error:', err);
       console.error('SQL:', sql);
@@ -682,7 +1674,7 @@ class DatabaseManager {
     
     try {
       const stmt = this.db.prepare(sql);
-      return stmt.get(...params);
+      return this._decryptRows([stmt.get(...params)])[0];
     } catch (err) {
       console.error('Database query error:', err);
       console.error('SQL:', sql);
@@ -699,7 +1691,7 @@ class DatabaseManager {
     
     try {
       const stmt = this.db.prepare(sql);
-      return stmt.get(...params);
+      return this._decryptRows([stmt.get(...params)])[0];
     } catch (err) {
       console.error('Database query error:', err);
       console.error('SQL:', sql);
@@ -813,7 +1805,32 @@ class DatabaseManager {
       'analytics',
       'memories',
       'settings',
-      'emotional_metrics'
+      'emotional_metrics',
+      'patients',
+      'personas',
+      'config_history',
+      'silence_events',
+      'security_events',
+      'routing_decisions',
+      'check_in_schedules',
+      'outbound_call_attempts',
+      'alert_recipients',
+      'alerts',
+      'alert_deliveries',
+      'call_guidance',
+      'call_transfers',
+      'transfer_attempts',
+      'conversation_narratives',
+      'digest_recipients',
+      'digest_deliveries',
+      'memory_revisions',
+      'memory_embeddings',
+      'token_usage',
+      'retention_policies',
+      'retention_runs',
+      'retention_purges',
+      'encryption_keys',
+      'audit_log'
     ];
 
     const expectedIndexes = [
@@ -845,7 +1862,46 @@ class DatabaseManager {
       'idx_emotional_metrics_time_patterns',
       'idx_emotional_metrics_trends',
       // Fact memory migration indexes (Migration 6)
-      'idx_memories_is_fact'
+      'idx_memories_is_fact',
+      // Patient profiles migration indexes (Migration 10)
+      'idx_patients_is_active',
+      'idx_conversations_patient_start',
+      'idx_memories_patient_id',
+      // Persona registry migration indexes (Migration 11)
+      'idx_personas_is_active',
+      // Configuration history migration indexes (Migration 12)
+      'idx_config_history_changed_at',
+      'idx_config_history_section',
+      // Silence policy migration indexes (Migration 13)
+      'idx_silence_events_conversation_id',
+      // Security events migration indexes (Migration 14)
+      'idx_security_events_created_at',
+      'idx_security_events_type',
+      // Routing decisions migration indexes (Migration 16)
+      'idx_routing_decisions_decided_at',
+      // Outbound check-in calls migration indexes (Migration 17)
+      'idx_check_in_schedules_patient',
+      'idx_outbound_call_attempts_patient',
+      'idx_outbound_call_attempts_status',
+      // Caregiver alerts migration indexes (Migration 18)
+      'idx_alert_recipients_patient',
+      'idx_alerts_patient_status',
+      'idx_alerts_patient_type',
+      'idx_alert_deliveries_alert_id',
+      // Call guidance migration indexes (Migration 19)
+      'idx_call_guidance_call_sid',
+      // Warm transfer migration indexes (Migration 20)
+      'idx_call_transfers_call_sid',
+      // Family digests migration indexes (Migration 22)
+      'idx_digest_recipients_patient',
+      'idx_memories_review_status',
+      'idx_memory_revisions_key',
+      'idx_token_usage_conversation_id',
+      'idx_retention_purges_run_id',
+      'idx_retention_purges_conversation',
+      'idx_audit_log_occurred_at',
+      'idx_audit_log_action',
+      'idx_audit_log_user_id'
     ];
 
     try {
@@ -1086,9 +2142,10 @@ class DatabaseManager {
    * Get today's call statistics including call count and time since last call
    * Uses the configured timezone to determine "today" (not UTC)
    * 
+   * @param {number|null} patientId - Limit stats to one patient's calls (all calls when null)
    * @returns {Promise<{callsToday: number, lastCallTime: string|null, timeSinceLastCall: string|null}>}
    */
-  async getTodayCallStats() {
+  async getTodayCallStats(patientId = null) {
     await this.waitForInitialization();
     this._ensureConnection();
 
@@ -1098,22 +2155,27 @@ class DatabaseManager {
       
       // For now, use SQLite's localtime function since it matches the system timezone
       // TODO: Implement proper IANA timezone support for non-system timezones
+      const patientFilter = patientId ? 'AND patient_id = ?' : '';
+      const patientParams = patientId ? [patientId] : [];
+
       const callCountQuery = `
         SELECT COUNT(*) as callsToday 
         FROM conversations 
         WHERE DATE(start_time, 'localtime') = DATE('now', 'localtime')
+        ${patientFilter}
       `;
-      const callCountResult = await this.get(callCountQuery);
+      const callCountResult = await this.get(callCountQuery, patientParams);
       const callsToday = callCountResult?.callsToday || 0;
 
       // Get the most recent call time (if any calls exist)
       const lastCallQuery = `
         SELECT start_time, end_time
         FROM conversations 
+        WHERE 1 = 1 ${patientFilter}
         ORDER BY start_time DESC 
         LIMIT 1
       `;
-      const lastCallResult = await this.get(lastCallQuery);
+      const lastCallResult = await this.get(lastCallQuery, patientParams);
       
       let lastCallTime = null;
       let timeSinceLastCall = null;
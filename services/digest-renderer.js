@@ -0,0 +1,220 @@
+const PdfDocument = require('../utils/pdf-document');
+
+/**
+ * DigestRenderer - Turns a DigestService report into email HTML, text and PDF
+ *
+ * All three formats come from the same sections so they always say the same
+ * thing: a summary of the calls, how the patient seemed, a day-by-day view
+ * (weekly digests), each call's recap, notable concerns and new memories.
+ * The HTML uses inline styles only, since most email clients drop <style>.
+ */
+class DigestRenderer {
+  static escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Format a local calendar date
+   * @param {string} date - 'YYYY-MM-DD'
+   * @param {Object} options - Intl.DateTimeFormat options
+   */
+  static formatDate(date, options = { weekday: 'long', month: 'long', day: 'numeric' }) {
+    return new Intl.DateTimeFormat('en-US', { ...options, timeZone: 'UTC' }).format(new Date(`${date}T12:00:00Z`));
+  }
+
+  static formatDuration(seconds) {
+    if (seconds < 60) return `${seconds} sec`;
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} hr ${minutes % 60} min`;
+  }
+
+  /**
+   * Dates the report covers, e.g. "Monday, June 3" or "June 3 - June 9, 2024"
+   */
+  static formatPeriod(report) {
+    if (report.period === 'daily') {
+      return DigestRenderer.formatDate(report.start);
+    }
+    const short = { month: 'long', day: 'numeric' };
+    return `${DigestRenderer.formatDate(report.start, short)} - ${DigestRenderer.formatDate(report.end, short)}, ${report.end.slice(0, 4)}`;
+  }
+
+  static subject(report) {
+    return `${report.patient.name}'s ${report.period} digest: ${DigestRenderer.formatPeriod(report)}`;
+  }
+
+  /**
+   * File name for a download or attachment, e.g. francine-weekly-digest-2024-06-03.pdf
+   */
+  static filename(report, extension) {
+    const name = report.patient.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'patient';
+    return `${name}-${report.period}-digest-${report.start}.${extension}`;
+  }
+
+  /**
+   * One sentence on a 0-10 average and how it compares with the period before
+   */
+  static describeLevel(label, { average, previousAverage, trend }, periodWord) {
+    if (average === null) {
+      return `No ${label.toLowerCase()} readings this ${periodWord}.`;
+    }
+    const comparison = trend === null
+      ? ''
+      : trend === 'steady'
+        ? `, about the same as the ${periodWord} before`
+        : `, ${trend} than the ${periodWord} before (${previousAverage}/10)`;
+    return `${label} averaged ${average}/10${comparison}.`;
+  }
+
+  /**
+   * The digest's content as titled sections of paragraphs and bullets
+   * @param {Object} report - Report from DigestService.buildReport
+   * @returns {Array<Object>} [{ title, paragraphs, bullets }]
+   */
+  static buildSections(report) {
+    const name = report.patient.name;
+    const periodWord = report.period === 'weekly' ? 'week' : 'day';
+    const when = report.period === 'weekly' ? 'this week' : 'that day';
+    const { calls } = report;
+    const timeFormat = new Intl.DateTimeFormat('en-US', { timeZone: report.patient.timezone, hour: 'numeric', minute: '2-digit' });
+
+    const summary = calls.total === 0
+      ? `${name} didn't have any calls ${when}.`
+      : `${name} had ${calls.total} call${calls.total === 1 ? '' : 's'} ${when}, ${DigestRenderer.formatDuration(calls.totalDurationSeconds)} in total ` +
+        `(${DigestRenderer.formatDuration(calls.averageDurationSeconds)} on average).` +
+        (calls.outbound > 0 ? ` ${calls.outbound} ${calls.outbound === 1 ? 'was a check-in call' : 'were check-in calls'} from the companion.` : '');
+
+    const sections = [
+      { title: 'Summary', paragraphs: [summary], bullets: [] },
+      {
+        title: `How ${name} seemed`,
+        paragraphs: [
+          DigestRenderer.describeLevel('Anxiety', report.anxiety, periodWord),
+          DigestRenderer.describeLevel('Comfort', report.comfort, periodWord)
+        ],
+        bullets: []
+      }
+    ];
+
+    if (report.period === 'weekly') {
+      sections.push({
+        title: 'Day by day',
+        paragraphs: [],
+        bullets: report.days.map(day => {
+          const levels = [
+            day.averageAnxiety !== null ? `anxiety ${day.averageAnxiety}/10` : null,
+            day.averageComfort !== null ? `comfort ${day.averageComfort}/10` : null
+          ].filter(Boolean);
+          return `${DigestRenderer.formatDate(day.date, { weekday: 'short', month: 'short', day: 'numeric' })}: ` +
+            `${day.calls} call${day.calls === 1 ? '' : 's'}${levels.length > 0 ? `, ${levels.join(', ')}` : ''}`;
+        })
+      });
+    }
+
+    if (calls.total > 0) {
+      sections.push({
+        title: 'Calls',
+        paragraphs: [],
+        bullets: calls.list.map(call => {
+          const day = report.period === 'weekly'
+            ? `${DigestRenderer.formatDate(call.date, { weekday: 'short' })} `
+            : '';
+          const heading = `${day}${timeFormat.format(new Date(call.startTime))}, ${DigestRenderer.formatDuration(call.durationSeconds)}` +
+            (call.direction === 'outbound' ? ' (check-in)' : '');
+          return `${heading}: ${call.narrative || 'No recap was written for this call.'}`;
+        })
+      });
+    }
+
+    sections.push({
+      title: 'Notable concerns',
+      paragraphs: report.concerns.length === 0 ? ['Nothing notable came up.'] : [],
+      bullets: report.concerns.map(concern => concern.text)
+    });
+
+    sections.push({
+      title: 'New memories',
+      paragraphs: report.newMemories.length === 0 ? [`The companion didn't learn anything new ${when}.`] : [],
+      bullets: report.newMemories.map(memory => memory.content)
+    });
+
+    return sections;
+  }
+
+  /**
+   * Email HTML
+   * @param {Object} report - Report from DigestService.buildReport
+   * @returns {string} Complete HTML document
+   */
+  static renderHtml(report) {
+    const escape = DigestRenderer.escapeHtml;
+    const title = `${report.period === 'weekly' ? 'Weekly' : 'Daily'} digest for ${report.patient.name}`;
+    const sections = DigestRenderer.buildSections(report).map(section => `
+        <h2 style="margin: 24px 0 8px; font-size: 16px; color: #334170;">${escape(section.title)}</h2>
+        ${section.paragraphs.map(text => `<p style="margin: 0 0 8px; line-height: 1.5;">${escape(text)}</p>`).join('')}
+        ${section.bullets.length > 0 ? `<ul style="margin: 0; padding-left: 20px; line-height: 1.5;">${section.bullets.map(text => `<li style="margin-bottom: 6px;">${escape(text)}</li>`).join('')}</ul>` : ''}`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escape(title)}</title>
+</head>
+<body style="margin: 0; padding: 24px; background: #f4f5f7; font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif; color: #1f2937;">
+  <div style="max-width: 640px; margin: 0 auto; background: #ffffff; border-radius: 8px; padding: 32px;">
+    <h1 style="margin: 0 0 4px; font-size: 22px;">${escape(title)}</h1>
+    <p style="margin: 0; color: #6b7280;">${escape(DigestRenderer.formatPeriod(report))}</p>
+    ${sections}
+    <p style="margin: 32px 0 0; font-size: 12px; color: #9ca3af;">Sent by the companion line. Full transcripts are on the dashboard.</p>
+  </div>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Plain-text version for email clients that don't show HTML
+   * @param {Object} report - Report from DigestService.buildReport
+   * @returns {string} Text
+   */
+  static renderText(report) {
+    const lines = [
+      `${report.period === 'weekly' ? 'Weekly' : 'Daily'} digest for ${report.patient.name}`,
+      DigestRenderer.formatPeriod(report)
+    ];
+    for (const section of DigestRenderer.buildSections(report)) {
+      lines.push('', section.title.toUpperCase(), ...section.paragraphs, ...section.bullets.map(text => `- ${text}`));
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Downloadable PDF
+   * @param {Object} report - Report from DigestService.buildReport
+   * @returns {Buffer} PDF bytes
+   */
+  static renderPdf(report) {
+    const title = `${report.period === 'weekly' ? 'Weekly' : 'Daily'} digest for ${report.patient.name}`;
+    const pdf = new PdfDocument({ title });
+    pdf.heading(title);
+    pdf.paragraph(DigestRenderer.formatPeriod(report), { color: [0.42, 0.45, 0.5] });
+    pdf.rule();
+
+    for (const section of DigestRenderer.buildSections(report)) {
+      pdf.subheading(section.title);
+      section.paragraphs.forEach(text => pdf.paragraph(text));
+      section.bullets.forEach(text => pdf.bullet(text));
+    }
+
+    return pdf.toBuffer();
+  }
+}
+
+module.exports = DigestRenderer;
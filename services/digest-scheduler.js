@@ -0,0 +1,148 @@
+require('dotenv').config();
+require('colors');
+
+const DigestService = require('./digest-service');
+const DigestRenderer = require('./digest-renderer');
+const { createMailTransport, StubMailTransport } = require('./mail-transports');
+
+/**
+ * DigestScheduler - Emails the daily and weekly family digests
+ *
+ * Every tick it asks DigestService which digests are due, builds each
+ * patient's report once, and emails it to each recipient as HTML with a text
+ * alternative and the PDF attached. Mail goes through a pluggable transport
+ * (see mail-transports.js); tests and DIGEST_MAIL_TRANSPORT=stub use a stub
+ * that records messages instead of sending them.
+ *
+ * Sending never throws: each outcome is logged in digest_deliveries, and a
+ * failed send is tried again on a later tick.
+ */
+class DigestScheduler {
+  static TICK_INTERVAL_MS = 15 * 60 * 1000;
+
+  /**
+   * @param {Object} options
+   * @param {Object} options.databaseManager - DatabaseManager instance
+   * @param {Object} options.transport - Mail transport with sendMail(message) (defaults from DigestScheduler.createTransport)
+   * @param {number} options.intervalMs - How often to look for due digests
+   */
+  constructor({
+    databaseManager,
+    transport = null,
+    intervalMs = DigestScheduler.TICK_INTERVAL_MS
+  }) {
+    this.db = databaseManager;
+    this.transport = transport;
+    this.intervalMs = intervalMs;
+    this.digestService = new DigestService(databaseManager);
+    this.timer = null;
+    this.isTicking = false;
+  }
+
+  /**
+   * Build the mail transport
+   * DIGEST_MAIL_TRANSPORT picks smtp (default), sendmail or stub; tests always use the stub
+   * @returns {Object} Transport with sendMail(message)
+   */
+  static createTransport({ type = process.env.DIGEST_MAIL_TRANSPORT || 'smtp' } = {}) {
+    if (process.env.NODE_ENV === 'test' || type === 'stub') {
+      return new StubMailTransport();
+    }
+    return createMailTransport(type);
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.transport = DigestScheduler.createTransport();
+    }
+    return this.transport;
+  }
+
+  /**
+   * Start checking for due digests
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    // The scheduler alone shouldn't keep the process alive
+    this.timer.unref?.();
+    console.log(`📰 Digest scheduler started (every ${Math.round(this.intervalMs / 60000)}m)`.cyan);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Send every digest that is due
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of digests sent
+   */
+  async tick(now = new Date()) {
+    // A slow tick (many recipients) must not overlap the next one
+    if (this.isTicking) return 0;
+    this.isTicking = true;
+
+    let sent = 0;
+    try {
+      const reports = new Map(); // One report per patient and period, shared by its recipients
+      for (const { recipient, period } of await this.digestService.getDueDigests(now)) {
+        const key = `${recipient.patientId}:${period.period}`;
+        if (!reports.has(key)) {
+          reports.set(key, await this.digestService.buildReport(recipient.patientId, period.period, { now }));
+        }
+        if (await this.sendDigest(recipient, period, reports.get(key))) {
+          sent++;
+        }
+      }
+    } catch (error) {
+      console.error('Error checking for due digests:', error.message);
+    } finally {
+      this.isTicking = false;
+    }
+
+    return sent;
+  }
+
+  /**
+   * Email one digest and log the outcome
+   * @param {Object} recipient - Digest recipient
+   * @param {Object} period - { period, start } the report covers
+   * @param {Object} report - Report from DigestService.buildReport
+   * @returns {Promise<boolean>} True when the transport accepted the email
+   */
+  async sendDigest(recipient, period, report) {
+    try {
+      const from = process.env.DIGEST_EMAIL_FROM || process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER;
+      if (!from) {
+        throw new Error('DIGEST_EMAIL_FROM is not configured');
+      }
+
+      await this.getTransport().sendMail({
+        from,
+        to: recipient.email,
+        subject: DigestRenderer.subject(report),
+        html: DigestRenderer.renderHtml(report),
+        text: DigestRenderer.renderText(report),
+        attachments: [{
+          filename: DigestRenderer.filename(report, 'pdf'),
+          content: DigestRenderer.renderPdf(report),
+          contentType: 'application/pdf'
+        }]
+      });
+
+      await this.digestService.recordDelivery(recipient, period);
+      console.log(`📰 ${period.period} digest sent to ${recipient.name}`.cyan);
+      return true;
+    } catch (error) {
+      console.error(`Error sending ${period.period} digest:`, error.message);
+      await this.digestService.recordDelivery(recipient, period, error.message).catch(() => {});
+      return false;
+    }
+  }
+}
+
+module.exports = DigestScheduler;
@@ -0,0 +1,433 @@
+const CheckInScheduleService = require('./check-in-schedule-service');
+const PatientService = require('./patient-service');
+
+/**
+ * DigestService - Daily and weekly digests of how a patient's calls went
+ *
+ * Family members who don't log in to the dashboard can get a digest by email:
+ * the calls, their length, anxiety and comfort compared with the previous
+ * period (from emotional_metrics), alerts and concerns raised on calls, and
+ * memories the companion learned. DigestRenderer turns a report into HTML,
+ * text and PDF, and DigestScheduler emails it.
+ *
+ * Periods follow the patient's timezone. A daily digest covers yesterday and is
+ * due from SEND_HOUR; a weekly digest covers Monday to Sunday and is due from
+ * SEND_HOUR on Monday. Each send is logged per recipient and period, so a
+ * digest goes out once and a failed send is retried up to MAX_ATTEMPTS times.
+ */
+class DigestService {
+  static PERIODS = Object.freeze(['daily', 'weekly']);
+
+  /**
+   * Local hour digests are sent from
+   */
+  static SEND_HOUR = 8;
+
+  /**
+   * Weekly digests go out on Mondays (0 = Sunday)
+   */
+  static WEEKLY_SEND_WEEKDAY = 1;
+
+  static MAX_ATTEMPTS = 3;
+
+  /**
+   * Change in a 0-10 average that counts as higher or lower than last period
+   */
+  static TREND_THRESHOLD = 0.5;
+
+  constructor(databaseManager) {
+    this.db = databaseManager;
+  }
+
+  /**
+   * Convert a digest_recipients row into a recipient object
+   * @param {Object} row - Row from the digest_recipients table
+   * @returns {Object|null} Recipient
+   */
+  static formatRecipient(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      patientId: row.patient_id,
+      name: row.name,
+      email: row.email,
+      frequency: row.frequency,
+      isActive: Boolean(row.is_active),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Validate recipient fields from the admin API
+   * @param {Object} data - Recipient fields (camelCase)
+   * @param {boolean} partial - Whether missing required fields are allowed (updates)
+   * @returns {Array<string>} Validation errors
+   */
+  static validateRecipient(data, partial = false) {
+    const errors = [];
+    const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+
+    if (!data || typeof data !== 'object') {
+      return ['recipient data is required'];
+    }
+
+    if ((!partial || data.name !== undefined) && !isNonEmptyString(data.name)) {
+      errors.push('name is required');
+    }
+
+    if ((!partial || data.email !== undefined) &&
+        !(isNonEmptyString(data.email) && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email.trim()))) {
+      errors.push('email must be an email address');
+    }
+
+    if ((!partial || data.frequency !== undefined) && !DigestService.PERIODS.includes(data.frequency)) {
+      errors.push(`frequency must be one of: ${DigestService.PERIODS.join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Shift a calendar date by whole days
+   * @param {string} date - 'YYYY-MM-DD'
+   * @param {number} days - Days to add (negative to go back)
+   * @returns {string} 'YYYY-MM-DD'
+   */
+  static addDays(date, days) {
+    const shifted = new Date(`${date}T00:00:00Z`);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().slice(0, 10);
+  }
+
+  /**
+   * The moment a local calendar date starts in a timezone
+   * @param {string} date - 'YYYY-MM-DD'
+   * @param {string} timezone - IANA timezone
+   * @returns {Date} Local midnight
+   */
+  static getLocalMidnight(date, timezone) {
+    const utcMidnight = Date.parse(`${date}T00:00:00Z`);
+    let midnight = utcMidnight;
+    // Twice, so a DST change between UTC and local midnight is picked up
+    for (let i = 0; i < 2; i++) {
+      const local = CheckInScheduleService.getLocalDay(new Date(midnight), timezone);
+      const offset = Date.parse(`${local.date}T00:00:00Z`) + local.minutes * 60000 - midnight;
+      midnight = utcMidnight - offset;
+    }
+    return new Date(midnight);
+  }
+
+  /**
+   * The most recent complete period before now
+   * @param {string} period - 'daily' or 'weekly'
+   * @param {string} timezone - IANA timezone
+   * @param {Date} now - Current time
+   * @returns {Object} { period, start, end } local dates (end inclusive), with startsAt and endsAt (exclusive)
+   */
+  static getPeriod(period, timezone, now = new Date()) {
+    const today = CheckInScheduleService.getLocalDay(now, timezone);
+    let start;
+    let end;
+    if (period === 'weekly') {
+      // Monday to Sunday, ending last Sunday
+      end = DigestService.addDays(today.date, -(today.weekday === 0 ? 7 : today.weekday));
+      start = DigestService.addDays(end, -6);
+    } else {
+      start = end = DigestService.addDays(today.date, -1);
+    }
+
+    return {
+      period,
+      start,
+      end,
+      startsAt: DigestService.getLocalMidnight(start, timezone),
+      endsAt: DigestService.getLocalMidnight(DigestService.addDays(end, 1), timezone)
+    };
+  }
+
+  /**
+   * Average of the values that were recorded, to one decimal
+   */
+  static average(values) {
+    const recorded = values.filter(value => value !== null && value !== undefined);
+    if (recorded.length === 0) return null;
+    return Math.round(recorded.reduce((sum, value) => sum + value, 0) / recorded.length * 10) / 10;
+  }
+
+  /**
+   * Compare a 0-10 average with the previous period
+   * @returns {Object} { average, previousAverage, trend: 'higher' | 'lower' | 'steady' | null }
+   */
+  static compare(average, previousAverage) {
+    let trend = null;
+    if (average !== null && previousAverage !== null) {
+      const change = average - previousAverage;
+      trend = Math.abs(change) < DigestService.TREND_THRESHOLD ? 'steady' : (change > 0 ? 'higher' : 'lower');
+    }
+    return { average, previousAverage, trend };
+  }
+
+  /**
+   * Calls in a time range with their latest emotional metrics and recap
+   */
+  async getCalls(patientId, startsAt, endsAt) {
+    return this.db.all(`
+      SELECT c.id, c.start_time, c.duration, c.direction,
+             em.anxiety_level, em.comfort_level,
+             n.narrative, n.concerns
+      FROM conversations c
+      LEFT JOIN emotional_metrics em ON em.id = (
+        SELECT MAX(id) FROM emotional_metrics WHERE conversation_id = c.id
+      )
+      LEFT JOIN conversation_narratives n ON n.conversation_id = c.id
+      WHERE c.patient_id = ? AND datetime(c.start_time) >= datetime(?) AND datetime(c.start_time) < datetime(?)
+      ORDER BY c.start_time ASC
+    `, [patientId, startsAt.toISOString(), endsAt.toISOString()]);
+  }
+
+  /**
+   * Build a patient's digest for the most recent complete period
+   * @param {number} patientId - Patient id
+   * @param {string} period - 'daily' or 'weekly'
+   * @param {Object} options - { now }
+   * @returns {Promise<Object|null>} Report, or null when the patient doesn't exist
+   */
+  async buildReport(patientId, period, { now = new Date() } = {}) {
+    await this.db.waitForInitialization();
+    const patient = await new PatientService(this.db).getPatient(patientId);
+    if (!patient) return null;
+
+    const timezone = patient.timezone || 'America/Los_Angeles';
+    const range = DigestService.getPeriod(period, timezone, now);
+    const previousStartsAt = DigestService.getLocalMidnight(
+      DigestService.addDays(range.start, period === 'weekly' ? -7 : -1), timezone
+    );
+
+    const calls = (await this.getCalls(patientId, range.startsAt, range.endsAt)).map(row => {
+      let concerns = [];
+      try {
+        concerns = row.concerns ? JSON.parse(row.concerns) : [];
+      } catch {
+        concerns = [];
+      }
+      return {
+        id: row.id,
+        startTime: row.start_time,
+        date: CheckInScheduleService.getLocalDay(new Date(row.start_time), timezone).date,
+        durationSeconds: Math.round(row.duration || 0),
+        direction: row.direction || 'inbound',
+        anxietyLevel: row.anxiety_level,
+        comfortLevel: row.comfort_level,
+        narrative: row.narrative || null,
+        concerns
+      };
+    });
+    const previousCalls = await this.getCalls(patientId, previousStartsAt, range.startsAt);
+
+    const days = [];
+    for (let date = range.start; date <= range.end; date = DigestService.addDays(date, 1)) {
+      const dayCalls = calls.filter(call => call.date === date);
+      days.push({
+        date,
+        calls: dayCalls.length,
+        averageAnxiety: DigestService.average(dayCalls.map(call => call.anxietyLevel)),
+        averageComfort: DigestService.average(dayCalls.map(call => call.comfortLevel))
+      });
+    }
+
+    const alerts = await this.db.all(`
+      SELECT type, severity, message, created_at
+      FROM alerts
+      WHERE patient_id = ? AND datetime(created_at) >= datetime(?) AND datetime(created_at) < datetime(?)
+      ORDER BY created_at ASC, id ASC
+    `, [patientId, range.startsAt.toISOString(), range.endsAt.toISOString()]);
+
+    const newMemories = await this.db.all(`
+      SELECT memory_key AS key, category, memory_content AS content
+      FROM memories
+      WHERE patient_id = ? AND datetime(created_at) >= datetime(?) AND datetime(created_at) < datetime(?)
+      ORDER BY created_at ASC, id ASC
+    `, [patientId, range.startsAt.toISOString(), range.endsAt.toISOString()]);
+
+    const totalDurationSeconds = calls.reduce((sum, call) => sum + call.durationSeconds, 0);
+
+    return {
+      patient: { id: patient.id, name: patient.preferredName || patient.name, timezone },
+      period,
+      start: range.start,
+      end: range.end,
+      generatedAt: now.toISOString(),
+      calls: {
+        total: calls.length,
+        outbound: calls.filter(call => call.direction === 'outbound').length,
+        totalDurationSeconds,
+        averageDurationSeconds: calls.length > 0 ? Math.round(totalDurationSeconds / calls.length) : 0,
+        list: calls
+      },
+      days,
+      anxiety: DigestService.compare(
+        DigestService.average(calls.map(call => call.anxietyLevel)),
+        DigestService.average(previousCalls.map(call => call.anxiety_level))
+      ),
+      comfort: DigestService.compare(
+        DigestService.average(calls.map(call => call.comfortLevel)),
+        DigestService.average(previousCalls.map(call => call.comfort_level))
+      ),
+      concerns: [
+        ...alerts.map(alert => ({ source: 'alert', severity: alert.severity, text: alert.message })),
+        ...calls.flatMap(call => call.concerns.map(text => ({ source: 'call', conversationId: call.id, text })))
+      ],
+      newMemories
+    };
+  }
+
+  /**
+   * Digests that should be sent now
+   * @param {Date} now - Current time
+   * @returns {Promise<Array<Object>>} [{ recipient, period: { period, start, end } }]
+   */
+  async getDueDigests(now = new Date()) {
+    await this.db.waitForInitialization();
+    const rows = await this.db.all(`
+      SELECT r.*, p.timezone
+      FROM digest_recipients r
+      JOIN patients p ON p.id = r.patient_id
+      WHERE r.is_active = 1 AND p.is_active = 1
+      ORDER BY r.patient_id, r.id
+    `);
+
+    const due = [];
+    for (const row of rows) {
+      const timezone = row.timezone || 'America/Los_Angeles';
+      const local = CheckInScheduleService.getLocalDay(now, timezone);
+      if (local.minutes < DigestService.SEND_HOUR * 60) continue;
+      if (row.frequency === 'weekly' && local.weekday !== DigestService.WEEKLY_SEND_WEEKDAY) continue;
+
+      const period = DigestService.getPeriod(row.frequency, timezone, now);
+      const delivery = await this.db.get(`
+        SELECT status, attempts FROM digest_deliveries
+        WHERE recipient_id = ? AND period = ? AND period_start = ?
+      `, [row.id, period.period, period.start]);
+      if (delivery && (delivery.status === 'sent' || delivery.attempts >= DigestService.MAX_ATTEMPTS)) continue;
+
+      due.push({ recipient: DigestService.formatRecipient(row), period });
+    }
+    return due;
+  }
+
+  /**
+   * Log a digest send
+   * @param {Object} recipient - Recipient it was sent to
+   * @param {Object} period - { period, start }
+   * @param {string|null} error - Why it failed, or null when it was sent
+   */
+  async recordDelivery(recipient, { period, start }, error = null) {
+    await this.db.run(`
+      INSERT INTO digest_deliveries (recipient_id, patient_id, period, period_start, status, error)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(recipient_id, period, period_start) DO UPDATE SET
+        status = excluded.status,
+        error = excluded.error,
+        attempts = attempts + 1,
+        updated_at = CURRENT_TIMESTAMP
+    `, [recipient.id, recipient.patientId, period, start, error ? 'failed' : 'sent', error]);
+  }
+
+  /**
+   * List a patient's digest recipients
+   * @param {number} patientId - Patient id
+   * @returns {Promise<Array<Object>>} Recipients, including paused ones
+   */
+  async listRecipients(patientId) {
+    await this.db.waitForInitialization();
+    const rows = await this.db.all(
+      'SELECT * FROM digest_recipients WHERE patient_id = ? ORDER BY name ASC, id ASC',
+      [patientId]
+    );
+    return rows.map(DigestService.formatRecipient);
+  }
+
+  /**
+   * Get one recipient that belongs to a patient
+   * @param {number} id - Recipient id
+   * @param {number} patientId - Patient id
+   * @returns {Promise<Object|null>} Recipient or null if not found
+   */
+  async getRecipient(id, patientId) {
+    await this.db.waitForInitialization();
+    const row = await this.db.get('SELECT * FROM digest_recipients WHERE id = ? AND patient_id = ?', [id, patientId]);
+    return DigestService.formatRecipient(row);
+  }
+
+  /**
+   * Add a digest recipient for a patient
+   * @param {number} patientId - Patient id
+   * @param {Object} data - { name, email, frequency }
+   * @returns {Promise<Object>} The created recipient
+   */
+  async createRecipient(patientId, data) {
+    const errors = DigestService.validateRecipient(data);
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+
+    await this.db.waitForInitialization();
+    const result = await this.db.run(`
+      INSERT INTO digest_recipients (patient_id, name, email, frequency)
+      VALUES (?, ?, ?, ?)
+    `, [patientId, data.name.trim(), data.email.trim(), data.frequency]);
+
+    return this.getRecipient(result.lastID, patientId);
+  }
+
+  /**
+   * Update a recipient; only provided fields are changed
+   * @param {number} id - Recipient id
+   * @param {number} patientId - Patient the recipient must belong to
+   * @param {Object} data - { name, email, frequency, isActive }
+   * @returns {Promise<Object|null>} Updated recipient or null if not found
+   */
+  async updateRecipient(id, patientId, data) {
+    const existing = await this.getRecipient(id, patientId);
+    if (!existing) return null;
+
+    const errors = DigestService.validateRecipient(data, true);
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+
+    const columns = { name: 'name', email: 'email', frequency: 'frequency', isActive: 'is_active' };
+    const assignments = [];
+    const params = [];
+    for (const [field, column] of Object.entries(columns)) {
+      if (data[field] === undefined) continue;
+      assignments.push(`${column} = ?`);
+      params.push(field === 'isActive' ? (data[field] ? 1 : 0) : String(data[field]).trim());
+    }
+
+    if (assignments.length > 0) {
+      await this.db.run(
+        `UPDATE digest_recipients SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND patient_id = ?`,
+        [...params, id, patientId]
+      );
+    }
+
+    return this.getRecipient(id, patientId);
+  }
+
+  /**
+   * Remove a recipient and their send log
+   * @param {number} id - Recipient id
+   * @param {number} patientId - Patient the recipient must belong to
+   * @returns {Promise<boolean>} True when a recipient was deleted
+   */
+  async deleteRecipient(id, patientId) {
+    await this.db.waitForInitialization();
+    const result = await this.db.run('DELETE FROM digest_recipients WHERE id = ? AND patient_id = ?', [id, patientId]);
+    return result.changes > 0;
+  }
+}
+
+module.exports = DigestService;
@@ -0,0 +1,140 @@
+require('dotenv').config();
+
+const crypto = require('crypto');
+
+/**
+ * Embedding Providers - How memory text becomes vectors for semantic recall
+ *
+ * An embedding provider is anything with `id` (provider and model, stored with
+ * each vector so a change of provider re-embeds), `minScore` (the cosine
+ * similarity below which a match isn't worth returning) and
+ * `embed(texts) -> Promise<number[][]>`. Built-in types:
+ *
+ * - openai (default when OPENAI_API_KEY is set): OpenAI embeddings, MEMORY_EMBEDDING_MODEL
+ *   (default text-embedding-3-small)
+ * - local: LocalEmbeddingProvider, a deterministic hashed bag of words that needs
+ *   no network; used by tests and offline
+ */
+
+/**
+ * Words that say nothing about which memory is meant ("son-info" means "son")
+ */
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'her', 'his', 'in', 'is',
+  'it', 'its', 'of', 'on', 'or', 'she', 'he', 'that', 'the', 'to', 'was', 'with',
+  'info', 'information', 'details', 'detail', 'about'
+]);
+
+/**
+ * Offline embeddings: words and their character trigrams hashed into a fixed
+ * number of dimensions. Not as good as a trained model, but the same text
+ * always gets the same vector and related keys ("son-info", "son-ryan-family")
+ * land close together.
+ */
+class LocalEmbeddingProvider {
+  static DIMENSIONS = 256;
+
+  constructor({ dimensions = LocalEmbeddingProvider.DIMENSIONS } = {}) {
+    this.dimensions = dimensions;
+    this.id = `local:hashed-${dimensions}`;
+    this.minScore = 0.2;
+  }
+
+  /**
+   * Words of a text, lowercased, without stop words and a plural "s"
+   */
+  static tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word && !STOP_WORDS.has(word))
+      .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+  }
+
+  /**
+   * Bucket and sign for a feature; the sign keeps colliding features from adding up
+   */
+  bucket(feature) {
+    const hash = crypto.createHash('md5').update(feature).digest();
+    return { index: hash.readUInt32LE(0) % this.dimensions, sign: hash[4] & 1 ? 1 : -1 };
+  }
+
+  embedOne(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const add = (feature, weight) => {
+      const { index, sign } = this.bucket(feature);
+      vector[index] += sign * weight;
+    };
+
+    for (const word of LocalEmbeddingProvider.tokenize(text)) {
+      add(`w:${word}`, 1);
+      const padded = `^${word}$`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        add(`t:${padded.slice(i, i + 3)}`, 0.3);
+      }
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+}
+
+/**
+ * OpenAI embeddings
+ */
+class OpenAIEmbeddingProvider {
+  static DEFAULT_MODEL = 'text-embedding-3-small';
+
+  constructor({ model = process.env.MEMORY_EMBEDDING_MODEL || OpenAIEmbeddingProvider.DEFAULT_MODEL, client = null } = {}) {
+    this.model = model;
+    this.id = `openai:${model}`;
+    this.minScore = 0.3;
+    this.client = client;
+  }
+
+  getClient() {
+    if (!this.client) {
+      const OpenAI = require('openai');
+      this.client = new OpenAI();
+    }
+    return this.client;
+  }
+
+  async embed(texts) {
+    const response = await this.getClient().embeddings.create({ model: this.model, input: texts });
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+/**
+ * Build the configured embedding provider
+ * MEMORY_EMBEDDING_PROVIDER picks openai or local; without it, openai when an
+ * OpenAI key is configured and local otherwise. Tests always use local.
+ * @param {string} type - 'openai' or 'local'
+ * @returns {Object} Provider with id, minScore and embed(texts)
+ */
+function createEmbeddingProvider(type = process.env.MEMORY_EMBEDDING_PROVIDER) {
+  if (process.env.NODE_ENV === 'test') {
+    return new LocalEmbeddingProvider();
+  }
+  switch (type || (process.env.OPENAI_API_KEY ? 'openai' : 'local')) {
+  case 'local':
+    return new LocalEmbeddingProvider();
+  case 'openai':
+    return new OpenAIEmbeddingProvider();
+  default:
+    throw new Error(`Unknown embedding provider: ${type}`);
+  }
+}
+
+module.exports = {
+  createEmbeddingProvider,
+  LocalEmbeddingProvider,
+  OpenAIEmbeddingProvider
+};
@@ -0,0 +1,430 @@
+const PatientService = require('./patient-service');
+const DigestService = require('./digest-service');
+
+/**
+ * FhirService - Calls, emotional metrics and care indicators as FHIR R4 resources
+ *
+ * The facility's clinical systems read FHIR, not our tables. Each call is an
+ * Encounter (a virtual visit). The anxiety, agitation, confusion and comfort
+ * scores from its emotional metrics are Observations with a 0-10 score, pain
+ * and medication mentions are boolean Observations, and a pain level from the
+ * call's summary is a LOINC pain severity Observation. Everything refers to
+ * the patient's `fhirPatientReference` (the patient in the facility's FHIR
+ * server) or, when none is set, to our own Patient resource.
+ *
+ * Resources are checked against the elements R4 requires (see validate)
+ * before they are served, so a bad row can't produce an invalid resource.
+ */
+class FhirService {
+  static FHIR_VERSION = '4.0.1';
+
+  static CONTENT_TYPE = 'application/fhir+json; fhirVersion=4.0';
+
+  /**
+   * Our codes for the scores and mentions; clinical terminologies have none for these
+   */
+  static CODE_SYSTEM = 'urn:mom-nanny:fhir:companion-observations';
+
+  static SCORES = Object.freeze([
+    { column: 'anxiety_level', code: 'anxiety-level', display: 'Anxiety level' },
+    { column: 'agitation_level', code: 'agitation-level', display: 'Agitation level' },
+    { column: 'confusion_level', code: 'confusion-level', display: 'Confusion level' },
+    { column: 'comfort_level', code: 'comfort-level', display: 'Comfort level' }
+  ]);
+
+  static MENTIONS = Object.freeze([
+    { column: 'mentions_pain', code: 'pain-mentioned', display: 'Pain mentioned during call' },
+    { column: 'mentions_medication', code: 'medication-mentioned', display: 'Medication mentioned during call' }
+  ]);
+
+  static PAIN_SEVERITY = Object.freeze({
+    system: 'http://loinc.org',
+    code: '72514-3',
+    display: 'Pain severity - 0-10 verbal numeric rating [Score] - Reported'
+  });
+
+  static RESOURCE_TYPES = Object.freeze(['Patient', 'Encounter', 'Observation']);
+
+  static ENCOUNTER_STATUSES = Object.freeze([
+    'planned', 'arrived', 'triaged', 'in-progress', 'onleave', 'finished', 'cancelled', 'entered-in-error', 'unknown'
+  ]);
+
+  static OBSERVATION_STATUSES = Object.freeze([
+    'registered', 'preliminary', 'final', 'amended', 'corrected', 'cancelled', 'entered-in-error', 'unknown'
+  ]);
+
+  static BUNDLE_TYPES = Object.freeze([
+    'document', 'message', 'transaction', 'transaction-response', 'batch', 'batch-response',
+    'history', 'searchset', 'collection'
+  ]);
+
+  static ID_PATTERN = /^[A-Za-z0-9\-.]{1,64}$/;
+
+  static DATE_TIME_PATTERN = /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/;
+
+  constructor(databaseManager) {
+    this.db = databaseManager;
+  }
+
+  /**
+   * A stored timestamp as a FHIR instant; SQLite's 'YYYY-MM-DD HH:MM:SS' is UTC
+   */
+  static toInstant(timestamp) {
+    if (!timestamp) return null;
+    const value = String(timestamp);
+    const date = new Date(/(Z|[+-]\d{2}:?\d{2})$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  static coding(system, code, display) {
+    return { coding: [{ system, code, display }], text: display };
+  }
+
+  /**
+   * Our Patient resource for a profile
+   */
+  static patientResource(patient) {
+    return {
+      resourceType: 'Patient',
+      id: String(patient.id),
+      active: patient.isActive !== false,
+      name: [{ text: patient.name, given: [patient.preferredName || patient.name] }]
+    };
+  }
+
+  /**
+   * What the exported resources refer to as their subject
+   */
+  static subjectReference(patient) {
+    return { reference: patient.fhirPatientReference || `Patient/${patient.id}` };
+  }
+
+  /**
+   * The Encounter for a call
+   * @param {Object} row - Call row from getCalls
+   * @param {Object} subject - Patient reference
+   */
+  static encounterResource(row, subject) {
+    const encounter = {
+      resourceType: 'Encounter',
+      id: String(row.id),
+      status: row.end_time ? 'finished' : 'in-progress',
+      class: { system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: 'VR', display: 'virtual' },
+      type: [{ text: row.direction === 'outbound' ? 'Companion phone call (outbound check-in)' : 'Companion phone call (inbound)' }],
+      subject,
+      period: { start: FhirService.toInstant(row.start_time) }
+    };
+    if (row.end_time) encounter.period.end = FhirService.toInstant(row.end_time);
+    if (row.duration) {
+      encounter.length = { value: Math.round(row.duration / 6) / 10, unit: 'min', system: 'http://unitsofmeasure.org', code: 'min' };
+    }
+    return encounter;
+  }
+
+  /**
+   * The Observations for a call: its scores, mentions and pain level
+   * @param {Object} row - Call row from getCalls
+   * @param {Object} subject - Patient reference
+   */
+  static observationResources(row, subject) {
+    const observation = (code, value) => ({
+      resourceType: 'Observation',
+      id: `${row.id}-${code.coding[0].code}`,
+      status: 'final',
+      category: [{
+        coding: [{ system: 'http://terminology.hl7.org/CodeSystem/observation-category', code: 'survey', display: 'Survey' }]
+      }],
+      code,
+      subject,
+      encounter: { reference: `Encounter/${row.id}` },
+      effectiveDateTime: FhirService.toInstant(row.start_time),
+      ...value
+    });
+    const score = value => ({ valueQuantity: { value, unit: 'score', system: 'http://unitsofmeasure.org', code: '{score}' } });
+
+    const observations = [];
+    for (const { column, code, display } of FhirService.SCORES) {
+      if (row[column] !== null && row[column] !== undefined) {
+        observations.push(observation(FhirService.coding(FhirService.CODE_SYSTEM, code, display), score(row[column])));
+      }
+    }
+    for (const { column, code, display } of FhirService.MENTIONS) {
+      if (row[column]) {
+        observations.push(observation(FhirService.coding(FhirService.CODE_SYSTEM, code, display), { valueBoolean: true }));
+      }
+    }
+
+    const careIndicators = FhirService.careIndicators(row.summary_text);
+    if (Number.isInteger(careIndicators.painLevel) && careIndicators.painLevel >= 0 && careIndicators.painLevel <= 10) {
+      const { system, code, display } = FhirService.PAIN_SEVERITY;
+      observations.push(observation(FhirService.coding(system, code, display), score(careIndicators.painLevel)));
+    }
+    return observations;
+  }
+
+  static careIndicators(summaryText) {
+    try {
+      return JSON.parse(summaryText || '{}')?.careIndicators || {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * A Bundle of resources
+   * @param {string} type - 'collection' or 'searchset'
+   * @param {Array<Object>} resources - Resources
+   * @param {string} baseUrl - This server's FHIR base, for each entry's fullUrl
+   * @param {Date} now - Current time
+   */
+  static bundle(type, resources, baseUrl, now = new Date()) {
+    const bundle = {
+      resourceType: 'Bundle',
+      type,
+      timestamp: now.toISOString(),
+      entry: resources.map(resource => ({
+        fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+        resource,
+        ...(type === 'searchset' ? { search: { mode: 'match' } } : {})
+      }))
+    };
+    if (type === 'searchset') bundle.total = resources.length;
+    return bundle;
+  }
+
+  /**
+   * What this server supports
+   */
+  static capabilityStatement(baseUrl, now = new Date()) {
+    const searchParams = [
+      { name: 'patient', type: 'reference' },
+      { name: 'date', type: 'date' }
+    ];
+    return {
+      resourceType: 'CapabilityStatement',
+      status: 'active',
+      date: now.toISOString(),
+      kind: 'instance',
+      implementation: { description: 'Companion call metrics (read-only)', url: baseUrl },
+      fhirVersion: FhirService.FHIR_VERSION,
+      format: ['json'],
+      rest: [{
+        mode: 'server',
+        resource: FhirService.RESOURCE_TYPES.map(type => ({
+          type,
+          interaction: type === 'Patient' ? [{ code: 'read' }] : [{ code: 'read' }, { code: 'search-type' }],
+          ...(type === 'Patient' ? {} : { searchParam: searchParams })
+        }))
+      }]
+    };
+  }
+
+  /**
+   * An OperationOutcome reporting one problem
+   */
+  static operationOutcome(code, diagnostics, severity = 'error') {
+    return {
+      resourceType: 'OperationOutcome',
+      issue: [{ severity, code, diagnostics }]
+    };
+  }
+
+  /**
+   * Check a resource against the elements R4 requires of it
+   * @param {Object} resource - FHIR resource
+   * @param {string} path - Where the resource is, for nested resources
+   * @returns {Array<string>} Problems, e.g. 'Observation.code is required'
+   */
+  static validate(resource, path = resource?.resourceType || 'resource') {
+    const problems = [];
+    const required = (element, name) => {
+      if (element === undefined || element === null || element === '' || (Array.isArray(element) && element.length === 0)) {
+        problems.push(`${path}.${name} is required`);
+        return false;
+      }
+      return true;
+    };
+    const oneOf = (value, allowed, name) => {
+      if (required(value, name) && !allowed.includes(value)) {
+        problems.push(`${path}.${name} '${value}' is not one of: ${allowed.join(', ')}`);
+      }
+    };
+    const dateTime = (value, name) => {
+      if (value !== undefined && value !== null && !FhirService.DATE_TIME_PATTERN.test(value)) {
+        problems.push(`${path}.${name} is not a valid dateTime`);
+      }
+    };
+    const codeableConcept = (concept, name) => {
+      if (!required(concept, name)) return;
+      if (!concept.text && !(concept.coding || []).some(coding => coding.code)) {
+        problems.push(`${path}.${name} needs a coding or text`);
+      }
+      (concept.coding || []).forEach((coding, index) => {
+        if (!coding.system || !coding.code) problems.push(`${path}.${name}.coding[${index}] needs a system and code`);
+      });
+    };
+    const reference = (value, name) => {
+      if (value && !value.reference && !value.display) problems.push(`${path}.${name} needs a reference or display`);
+    };
+
+    if (!resource || typeof resource !== 'object' || !resource.resourceType) {
+      return [`${path}.resourceType is required`];
+    }
+    if (resource.id !== undefined && !FhirService.ID_PATTERN.test(resource.id)) {
+      problems.push(`${path}.id '${resource.id}' is not a valid id`);
+    }
+
+    switch (resource.resourceType) {
+    case 'Patient':
+      break;
+    case 'Encounter':
+      oneOf(resource.status, FhirService.ENCOUNTER_STATUSES, 'status');
+      if (required(resource.class, 'class') && !resource.class.code) problems.push(`${path}.class needs a code`);
+      reference(resource.subject, 'subject');
+      dateTime(resource.period?.start, 'period.start');
+      dateTime(resource.period?.end, 'period.end');
+      break;
+    case 'Observation': {
+      oneOf(resource.status, FhirService.OBSERVATION_STATUSES, 'status');
+      codeableConcept(resource.code, 'code');
+      reference(resource.subject, 'subject');
+      reference(resource.encounter, 'encounter');
+      dateTime(resource.effectiveDateTime, 'effectiveDateTime');
+      const values = Object.keys(resource).filter(key => key.startsWith('value'));
+      if (values.length > 1) problems.push(`${path} has more than one value[x]`);
+      break;
+    }
+    case 'Bundle':
+      oneOf(resource.type, FhirService.BUNDLE_TYPES, 'type');
+      (resource.entry || []).forEach((entry, index) => {
+        if (!entry.resource) {
+          problems.push(`${path}.entry[${index}].resource is required`);
+        } else {
+          problems.push(...FhirService.validate(entry.resource, `${path}.entry[${index}].resource`));
+        }
+      });
+      break;
+    case 'CapabilityStatement':
+      oneOf(resource.status, ['draft', 'active', 'retired', 'unknown'], 'status');
+      required(resource.date, 'date');
+      dateTime(resource.date, 'date');
+      oneOf(resource.kind, ['instance', 'capability', 'requirements'], 'kind');
+      required(resource.fhirVersion, 'fhirVersion');
+      required(resource.format, 'format');
+      break;
+    case 'OperationOutcome':
+      if (required(resource.issue, 'issue')) {
+        resource.issue.forEach((issue, index) => {
+          if (!issue.severity || !issue.code) problems.push(`${path}.issue[${index}] needs a severity and code`);
+        });
+      }
+      break;
+    default:
+      problems.push(`${path}.resourceType '${resource.resourceType}' is not supported`);
+    }
+
+    return problems;
+  }
+
+  /**
+   * A patient's calls with their latest emotional metrics and summary
+   * @param {number} patientId - Patient id
+   * @param {Object} filters - { conversationId, startsAt, endsAt (exclusive) }
+   * @returns {Promise<Array<Object>>} Rows, oldest first
+   */
+  async getCalls(patientId, { conversationId = null, startsAt = null, endsAt = null } = {}) {
+    const conditions = ['c.patient_id = ?'];
+    const params = [patientId];
+    if (conversationId) {
+      conditions.push('c.id = ?');
+      params.push(conversationId);
+    }
+    if (startsAt) {
+      conditions.push('datetime(c.start_time) >= datetime(?)');
+      params.push(startsAt.toISOString());
+    }
+    if (endsAt) {
+      conditions.push('datetime(c.start_time) < datetime(?)');
+      params.push(endsAt.toISOString());
+    }
+
+    return this.db.all(`
+      SELECT c.id, c.start_time, c.end_time, c.duration, c.direction, s.summary_text,
+             em.anxiety_level, em.agitation_level, em.confusion_level, em.comfort_level,
+             em.mentions_pain, em.mentions_medication
+      FROM conversations c
+      LEFT JOIN summaries s ON s.conversation_id = c.id
+      LEFT JOIN emotional_metrics em ON em.id = (
+        SELECT MAX(id) FROM emotional_metrics WHERE conversation_id = c.id
+      )
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY c.start_time ASC, c.id ASC
+    `, params);
+  }
+
+  /**
+   * Our Patient resource for a patient
+   * @param {number} patientId - Patient id
+   * @returns {Promise<Object|null>} Patient resource, or null when the patient doesn't exist
+   */
+  async getPatientResource(patientId) {
+    await this.db.waitForInitialization();
+    const patient = await new PatientService(this.db).getPatient(patientId);
+    return patient ? FhirService.patientResource(patient) : null;
+  }
+
+  /**
+   * A patient's resources, optionally for one call or for local dates
+   * @param {number} patientId - Patient id
+   * @param {Object} filters - { conversationId, from, to } with from and to as local 'YYYY-MM-DD' (inclusive)
+   * @returns {Promise<Object|null>} { patient, subject, encounters, observations }, or null when the patient doesn't exist
+   */
+  async getResources(patientId, { conversationId = null, from = null, to = null } = {}) {
+    await this.db.waitForInitialization();
+    const patient = await new PatientService(this.db).getPatient(patientId);
+    if (!patient) return null;
+
+    const calls = await this.getCalls(patientId, {
+      conversationId,
+      startsAt: from ? DigestService.getLocalMidnight(from, patient.timezone) : null,
+      endsAt: to ? DigestService.getLocalMidnight(DigestService.addDays(to, 1), patient.timezone) : null
+    });
+    const subject = FhirService.subjectReference(patient);
+
+    return {
+      patient: FhirService.patientResource(patient),
+      subject,
+      encounters: calls.map(row => FhirService.encounterResource(row, subject)),
+      observations: calls.flatMap(row => FhirService.observationResources(row, subject))
+    };
+  }
+
+  /**
+   * A collection Bundle of a patient's calls between two local dates, for download
+   * @param {number} patientId - Patient id
+   * @param {Object} options - { from, to, baseUrl, now }
+   * @returns {Promise<Object|null>} Bundle, or null when the patient doesn't exist
+   */
+  async buildBundle(patientId, { from, to, baseUrl, now = new Date() }) {
+    const resources = await this.getResources(patientId, { from, to });
+    if (!resources) return null;
+
+    // Our Patient resource only when the subject is ours, not the facility's
+    const { patient, subject, encounters, observations } = resources;
+    const patientResources = subject.reference === `Patient/${patient.id}` ? [patient] : [];
+    return FhirService.bundle('collection', [...patientResources, ...encounters, ...observations], baseUrl, now);
+  }
+
+  /**
+   * Which patient a call belongs to, for reads by id
+   * @param {number} conversationId - Conversation id
+   * @returns {Promise<number|null>} Patient id
+   */
+  async getCallPatientId(conversationId) {
+    await this.db.waitForInitialization();
+    const row = await this.db.get('SELECT patient_id FROM conversations WHERE id = ?', [conversationId]);
+    return row ? row.patient_id : null;
+  }
+}
+
+module.exports = FhirService;
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * FieldEncryption - AES-256-GCM encryption of individual database fields
+ *
+ * Encrypted values are stored as text so they fit the existing columns:
+ *
+ *   enc:v1:<key id>:<iv>:<auth tag>:<ciphertext>   (base64 parts)
+ *
+ * The key id is derived from the key itself, so a value always names the key
+ * that can read it. The first key encrypts; every configured key decrypts,
+ * which is what lets keys be rotated (see scripts/rotate-encryption-key.js).
+ *
+ * Keys are 32 random bytes, base64 encoded (`FieldEncryption.generateKey()`):
+ * - FIELD_ENCRYPTION_KEY: the current key
+ * - FIELD_ENCRYPTION_PREVIOUS_KEYS: comma-separated keys still needed to read older values
+ * - FIELD_ENCRYPTION_KEY_FILE: a file with one key per line, the current key first
+ *   (used instead of the two above when set)
+ *
+ * With no key, encryption is off and values pass through unchanged.
+ */
+class FieldEncryption {
+  static PREFIX = 'enc:v1:';
+  static ALGORITHM = 'aes-256-gcm';
+  static KEY_BYTES = 32;
+  static IV_BYTES = 12;
+  static PATTERN = /^enc:v1:([0-9a-f]{8}):([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]*)$/;
+
+  /**
+   * @param {Array<string|Buffer>} keys - Current key first, then older keys (base64 or raw bytes)
+   */
+  constructor(keys = []) {
+    this.keys = new Map();
+    this.currentKeyId = null;
+
+    for (const key of keys) {
+      const bytes = FieldEncryption.parseKey(key);
+      const keyId = FieldEncryption.keyId(bytes);
+      if (!this.keys.has(keyId)) {
+        this.keys.set(keyId, bytes);
+      }
+      this.currentKeyId = this.currentKeyId || keyId;
+    }
+  }
+
+  /**
+   * Build from FIELD_ENCRYPTION_KEY_FILE, or FIELD_ENCRYPTION_KEY and FIELD_ENCRYPTION_PREVIOUS_KEYS
+   * @param {Object} env - Environment variables
+   * @returns {FieldEncryption}
+   */
+  static fromEnv(env = process.env) {
+    const split = (text, separator) => (text || '').split(separator).map(key => key.trim()).filter(Boolean);
+
+    if (env.FIELD_ENCRYPTION_KEY_FILE) {
+      return new FieldEncryption(split(fs.readFileSync(env.FIELD_ENCRYPTION_KEY_FILE, 'utf8'), /\r?\n/));
+    }
+    return new FieldEncryption([
+      ...split(env.FIELD_ENCRYPTION_KEY, ','),
+      ...split(env.FIELD_ENCRYPTION_PREVIOUS_KEYS, ',')
+    ]);
+  }
+
+  /**
+   * A new random key, base64 encoded
+   * @returns {string}
+   */
+  static generateKey() {
+    return crypto.randomBytes(FieldEncryption.KEY_BYTES).toString('base64');
+  }
+
+  static parseKey(key) {
+    const bytes = Buffer.isBuffer(key) ? key : Buffer.from(String(key).trim(), 'base64');
+    if (bytes.length !== FieldEncryption.KEY_BYTES) {
+      throw new Error(`Field encryption keys must be ${FieldEncryption.KEY_BYTES} bytes, base64 encoded`);
+    }
+    return bytes;
+  }
+
+  /**
+   * Short public id of a key: the start of its SHA-256 hash
+   * @param {Buffer} key - Key bytes
+   * @returns {string} 8 hex characters
+   */
+  static keyId(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+  }
+
+  get enabled() {
+    return this.currentKeyId !== null;
+  }
+
+  get keyIds() {
+    return [...this.keys.keys()];
+  }
+
+  static isEncrypted(value) {
+    return typeof value === 'string' && FieldEncryption.PATTERN.test(value);
+  }
+
+  /**
+   * The id of the key a value was encrypted with
+   * @param {string} value - Stored value
+   * @returns {string|null} Key id, or null if the value isn't encrypted
+   */
+  static keyIdOf(value) {
+    const match = typeof value === 'string' ? FieldEncryption.PATTERN.exec(value) : null;
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Encrypt a value with the current key
+   * Anything other than a plaintext string, or any value when encryption is off, is returned unchanged.
+   * @param {*} value - Value to store
+   * @returns {*} Encrypted value
+   */
+  encrypt(value) {
+    if (!this.enabled || typeof value !== 'string' || FieldEncryption.isEncrypted(value)) {
+      return value;
+    }
+
+    const iv = crypto.randomBytes(FieldEncryption.IV_BYTES);
+    const cipher = crypto.createCipheriv(FieldEncryption.ALGORITHM, this.keys.get(this.currentKeyId), iv);
+    const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return `${FieldEncryption.PREFIX}${this.currentKeyId}:${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${ciphertext.toString('base64')}`;
+  }
+
+  /**
+   * A keyed digest of a value (HMAC-SHA256 under a key derived from the
+   * current key), to tell whether stored text changed without keeping a plain
+   * hash that could be checked against guessed text
+   * Plain SHA-256 when encryption is off; digests change when the key is rotated.
+   * @param {string} value - Text to digest
+   * @returns {string} Hex digest
+   */
+  digest(value) {
+    if (!this.enabled) {
+      return crypto.createHash('sha256').update(value).digest('hex');
+    }
+    const key = Buffer.from(crypto.hkdfSync('sha256', this.keys.get(this.currentKeyId), Buffer.alloc(0), 'content-digest', FieldEncryption.KEY_BYTES));
+    return crypto.createHmac('sha256', key).update(value).digest('hex');
+  }
+
+  /**
+   * Decrypt a stored value; values that aren't encrypted are returned unchanged
+   * @param {*} value - Stored value
+   * @returns {*} Plaintext
+   */
+  decrypt(value) {
+    const match = typeof value === 'string' ? FieldEncryption.PATTERN.exec(value) : null;
+    if (!match) {
+      return value;
+    }
+
+    const [, keyId, iv, tag, ciphertext] = match;
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw new Error(`Field encryption key ${keyId} is not configured`);
+    }
+
+    const decipher = crypto.createDecipheriv(FieldEncryption.ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  }
+}
+
+module.exports = FieldEncryption;
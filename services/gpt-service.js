@@ -3,6 +3,11 @@ const EventEmitter = require('events');
 const OpenAI = require('openai');
 const tools = require('../functions/function-manifest');
 const TemplateService = require('./template-service');
+const PatientService = require('./patient-service');
+const PersonaService = require('./persona-service');
+const ConfigService = require('./config-service');
+const ConversationContext = require('./conversation-context');
+const CallHistoryService = require('./call-history-service');
 
 // Import all functions included in function manifest
 // Note: the function name and file name must be the same
@@ -12,32 +17,48 @@ tools.forEach((tool) => {
   availableFunctions[functionName] = require(`../functions/${functionName}`);
 });
 
+// Functions that read or change the patient's memories; they are given this call's memory service
+const MEMORY_FUNCTIONS = ['rememberInformation', 'recallMemory', 'updateMemory', 'forgetMemory', 'listAvailableMemories'];
+
 class GptService extends EventEmitter {
-  constructor(markCompletionService, conversationAnalyzer = null, memoryService = null, databaseManager = null, persona = 'jessica') {
+  constructor(markCompletionService, conversationAnalyzer = null, memoryService = null, databaseManager = null, persona = 'jessica', patient = null) {
     super();
     this.openai = new OpenAI();
     this.markCompletionService = markCompletionService;
     this.conversationAnalyzer = conversationAnalyzer;
     this.memoryService = memoryService;
     this.databaseManager = databaseManager;
-    this.persona = persona; // Store persona for template service
+    // Persona may be a name (loaded from the registry on initialize) or an already-resolved profile
+    this.personaProfile = persona && typeof persona === 'object' ? persona : null;
+    this.persona = this.personaProfile ? this.personaProfile.name : persona;
+    this.patient = patient || { ...PatientService.DEFAULT_PROFILE }; // Patient profile for this call
     this.templateService = new TemplateService();
-
-    // Store memory service in global context for functions to access
-    if (memoryService) {
-      global.memoryService = memoryService;
-    }
+    this.aiConfig = { ...ConfigService.DEFAULT_CONFIG.ai }; // Replaced with the saved configuration on initialize
 
     // Initialize system prompt (will be updated with memory keys)
     this.systemPrompt = '';
     this.callStats = null; // Store call frequency data for access
-    this.userContext = [
+    this.callHistory = null; // Digest of recent calls for the prompt
+    // Messages sent to the model, kept within the configured history and token budget
+    this.context = new ConversationContext([
       { 'role': 'system', 'content': 'Initializing...' },
-      { 'role': 'assistant', 'content': 'Hi Francine! • How are you doing today?' },
-    ],
+      { 'role': 'assistant', 'content': `Hi ${this.patient.preferredName}! • How are you doing today?` },
+    ], {
+      maxHistory: this.aiConfig.maxConversationHistory,
+      tokenBudget: this.aiConfig.contextTokenBudget,
+      summarize: (previous, messages) => this.summarizeTurns(previous, messages)
+    });
     this.partialResponseIndex = 0;
   }
 
+  get userContext() {
+    return this.context.messages;
+  }
+
+  set userContext(messages) {
+    this.context.reset(messages);
+  }
+
   async initialize() {
     // Get memory keys if memory service is available
     let memoryKeys = [];
@@ -46,7 +67,7 @@ class GptService extends EventEmitter {
         await this.memoryService.initialize();
         memoryKeys = await this.memoryService.getAllMemoryKeys();
         if (memoryKeys.length > 0) {
-          console.log(`📂 Memory -> Loaded ${memoryKeys.length} stored memories for Francine`.cyan);
+          console.log(`📂 Memory -> Loaded ${memoryKeys.length} stored memories for ${this.patient.preferredName}`.cyan);
         }
       } catch (error) {
         console.error('Error loading memory keys:', error);
@@ -57,7 +78,7 @@ class GptService extends EventEmitter {
     if (this.databaseManager) {
       try {
         await this.databaseManager.waitForInitialization();
-        this.callStats = await this.databaseManager.getTodayCallStats();
+        this.callStats = await this.databaseManager.getTodayCallStats(this.patient.id);
         if (this.callStats.callsToday > 0) {
           console.log(`📞 Call Frequency -> ${this.callStats.callsToday} calls today, last call ${this.callStats.timeSinceLastCall}`.cyan);
         }
@@ -66,16 +87,65 @@ class GptService extends EventEmitter {
       }
     }
 
-    // Get the system prompt with memory keys, call frequency data, and persona
-    this.systemPrompt = this.templateService.getSystemPrompt(memoryKeys, this.callStats, this.persona);
+    // Read the live AI configuration (model, temperature) for this call
+    if (this.databaseManager) {
+      this.aiConfig = (await new ConfigService(this.databaseManager).getCallConfig()).ai;
+      this.context.configure({
+        maxHistory: this.aiConfig.maxConversationHistory,
+        tokenBudget: this.aiConfig.contextTokenBudget
+      });
+
+      // Recent calls and open concerns, so repeated calls get consistent answers
+      try {
+        this.callHistory = await new CallHistoryService(this.databaseManager).getDigest(this.patient.id, {
+          maxCalls: this.aiConfig.recentCallHistory,
+          maxAgeHours: this.aiConfig.recentCallHistoryHours,
+          timezone: this.patient.timezone,
+          excludeCallSid: this.callSid
+        });
+      } catch (error) {
+        // HIPAA COMPLIANCE: Never log full error object as it may contain conversation content (PHI)
+        console.error('Error loading recent call history:', error.message);
+      }
+    }
+
+    // Load the persona profile from the registry if only a name was given
+    if (!this.personaProfile && this.databaseManager) {
+      try {
+        const persona = await new PersonaService(this.databaseManager).getPersona(this.persona);
+        if (persona && persona.isActive) {
+          this.personaProfile = persona;
+        }
+      } catch (error) {
+        console.error('Error loading persona:', error.message);
+      }
+    }
+
+    // Get the system prompt with memory keys, call frequency data, persona and patient profile
+    this.systemPrompt = this.templateService.getSystemPrompt(
+      memoryKeys, this.callStats, this.personaProfile || this.persona, this.patient, this.callHistory
+    );
     
     // Update the system context with the full prompt
     this.userContext[0] = { 'role': 'system', 'content': this.systemPrompt };
   }
 
+  /**
+   * Tools offered to the model, limited to the persona's allowed functions when it defines any
+   * @returns {Array} Function manifest entries
+   */
+  getTools() {
+    const allowed = this.personaProfile?.allowedFunctions;
+    if (!allowed || allowed.length === 0) {
+      return tools;
+    }
+    return tools.filter(tool => allowed.includes(tool.function.name));
+  }
+
   // Add the callSid to the chat context in case
   // ChatGPT decides to transfer the call.
   setCallSid (callSid) {
+    this.callSid = callSid;
     this.userContext.push({ 'role': 'system', 'content': `callSid: ${callSid}` });
   }
 
@@ -100,7 +170,7 @@ MANDATORY INSTRUCTIONS:
 4. Stay focused on their voicemail topic throughout the conversation
 5. Show urgency in addressing their concern
 
-Example opening: "Hi Francine! I heard you're worried about [specific topic from message]. Let's solve that right now. [Specific helpful suggestion]"
+Example opening: "Hi ${this.patient.preferredName}! I heard you're worried about [specific topic from message]. Let's solve that right now. [Specific helpful suggestion]"
 
 DO NOT give generic greetings. ADDRESS THEIR SPECIFIC CONCERN IMMEDIATELY.`
     });
@@ -108,6 +178,60 @@ DO NOT give generic greetings. ADDRESS THEIR SPECIFIC CONCERN IMMEDIATELY.`
     console.log('📝 Voicemail context added to GPT system messages'.green);
   }
 
+  /**
+   * Tell the model the companion placed this call for a scheduled check-in
+   * @param {string|null} checkInLabel - Name of the check-in schedule (e.g. 'Morning check-in')
+   */
+  setOutboundContext(checkInLabel = null) {
+    this.userContext.push({
+      role: 'system',
+      content: `OUTBOUND CHECK-IN CALL: You called ${this.patient.preferredName}${checkInLabel ? ` for their scheduled "${checkInLabel}"` : ''} - they did not call you.
+
+- You already said you're calling to say hi; don't ask why they called or what you can help with
+- Keep it warm and light: ask how their day is going and follow their lead
+- If they sound busy, tired or want to go, say you'll talk again soon and end the call kindly`
+    });
+
+    console.log('📞 Outbound check-in context added to GPT system messages'.green);
+  }
+
+  /**
+   * Add private guidance from a caregiver watching the call
+   * It steers the next replies; the caller must never hear it as given
+   * @param {string} message - The caregiver's instruction
+   */
+  addCaregiverGuidance(message) {
+    this.userContext.push({
+      role: 'system',
+      content: `PRIVATE CAREGIVER GUIDANCE (from family following this call - ${this.patient.preferredName} cannot see this): ${message}
+
+- Use it to steer what you say next, naturally and in your own words
+- NEVER read it aloud, quote it, or mention that family sent guidance or is listening
+- If it gives news (e.g. someone is taking care of something), share it gently as something you know`
+    });
+
+    console.log('🤫 Caregiver guidance added to GPT system messages'.green);
+  }
+
+  /**
+   * Let the companion know a warm transfer failed and the caller is back on the line
+   * @param {Array<string>} tried - Who was called, in order
+   */
+  setTransferFailedContext(tried = []) {
+    const name = this.patient.preferredName;
+    this.userContext.push({
+      role: 'system',
+      content: `TRANSFER FAILED: You tried to connect ${name} to ${tried.length > 0 ? tried.join(', then ') : 'family'}, but nobody answered. ${name} is back on the line with you.
+
+- Tell them gently that nobody picked up, without alarming them
+- Reassure them that their family will know they called
+- If it sounds like a real emergency, tell them to get help from the staff nearby right away
+- Otherwise stay with them, ask what's on their mind and help however you can`
+    });
+
+    console.log('📲 Failed transfer context added to GPT system messages'.green);
+  }
+
   // Get call frequency statistics (for progressive delay calculation)
   getCallStats() {
     return this.callStats;
@@ -144,12 +268,15 @@ DO NOT give generic greetings. ADDRESS THEIR SPECIFIC CONCERN IMMEDIATELY.`
     }
   }
 
-  async analyzeEmotionalState(conversationTranscript) {
-    // Create conversation text from transcript
-    let conversationText = '';
+  /**
+   * Turn a saved transcript into plain text for the post-call analysis prompts
+   * @param {Array<Object>|string} conversationTranscript - Interactions with type, text and timestamp, or text
+   * @returns {string} One "[time] Speaker: text" line per turn
+   */
+  static formatTranscript(conversationTranscript) {
     if (Array.isArray(conversationTranscript)) {
       // Handle array of interactions (from conversationAnalyzer.interactions)
-      conversationText = conversationTranscript.map(interaction => {
+      return conversationTranscript.map(interaction => {
         const timestamp = new Date(interaction.timestamp).toLocaleTimeString();
         if (interaction.type === 'user_utterance') {
           return `[${timestamp}] User: ${interaction.text}`;
@@ -159,10 +286,14 @@ DO NOT give generic greetings. ADDRESS THEIR SPECIFIC CONCERN IMMEDIATELY.`
         return '';
       }).filter(line => line.length > 0).join('\n');
     } else if (typeof conversationTranscript === 'string') {
-      conversationText = conversationTranscript;
-    } else {
-      throw new Error('Invalid conversation transcript format');
+      return conversationTranscript;
     }
+    throw new Error('Invalid conversation transcript format');
+  }
+
+  async analyzeEmotionalState(conversationTranscript) {
+    // Create conversation text from transcript
+    const conversationText = GptService.formatTranscript(conversationTranscript);
 
     // In test environment, return mock emotional analysis
     if (process.env.NODE_ENV === 'test') {
@@ -182,7 +313,9 @@ DO NOT give generic greetings. ADDRESS THEIR SPECIFIC CONCERN IMMEDIATELY.`
         keyObservations: [
           'Mock analysis for testing',
           'Simulated emotional metrics'
-        ]
+        ],
+        mentionsPain: false,
+        emergencyIndicators: []
       };
     }
 
@@ -303,6 +436,17 @@ Return structured JSON with exact numeric fields.`;
               description: 'Key observations about emotional state (2-5 items) - specific transcript-based evidence for scoring decisions',
               minItems: 2,
               maxItems: 5
+            },
+            mentionsPain: {
+              type: 'boolean',
+              description: 'True only if the caller said they are in pain or something hurts'
+            },
+            emergencyIndicators: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Short descriptions of anything that may need urgent help (a fall, chest pain, trouble breathing, being lost or unsafe) - empty if none'
             }
           },
           required: [
@@ -318,7 +462,7 @@ Return structured JSON with exact numeric fields.`;
     try {
       // Create the analysis request
       const response = await this.openai.chat.completions.create({
-        model: 'gpt-4-1106-preview',
+        model: this.aiConfig.model,
         messages: [
           { role: 'system', content: emotionalAnalysisPrompt },
           { role: 'user', content: `Please analyze this conversation for emotional state:\n\n${conversationText}` }
@@ -350,7 +494,10 @@ Return structured JSON with exact numeric fields.`;
             moodTrend: analysisResult.moodTrend || 'stable',
             analysisConfidence: Number(analysisResult.analysisConfidence) || 0.5,
             keyObservations: Array.isArray(analysisResult.keyObservations) ? 
-              analysisResult.keyObservations : ['No specific observations']
+              analysisResult.keyObservations : ['No specific observations'],
+            mentionsPain: analysisResult.mentionsPain === true,
+            emergencyIndicators: Array.isArray(analysisResult.emergencyIndicators) ?
+              analysisResult.emergencyIndicators.filter(indicator => typeof indicator === 'string' && indicator.trim()) : []
           };
 
           return validatedResult;
@@ -382,6 +529,106 @@ Return structured JSON with exact numeric fields.`;
     }
   }
 
+  /**
+   * Write a short caregiver-facing recap of a finished call
+   * @param {Array<Object>|string} conversationTranscript - Interactions with type, text and timestamp, or text
+   * @returns {Promise<Object|null>} { narrative, keyTopics, concerns, requests }, or null when it can't be written
+   */
+  async generateNarrativeSummary(conversationTranscript) {
+    const conversationText = GptService.formatTranscript(conversationTranscript);
+    const name = this.patient.preferredName;
+
+    // In test environment, return a deterministic recap built from the transcript
+    if (process.env.NODE_ENV === 'test') {
+      const userTurns = conversationText.split('\n').filter(line => line.includes('] User: ')).length;
+      return {
+        narrative: `${name} spoke ${userTurns} time${userTurns === 1 ? '' : 's'} during this call. Mock narrative for testing.`,
+        keyTopics: ['Mock topic'],
+        concerns: [],
+        requests: []
+      };
+    }
+
+    const narrativePrompt = `You write short recaps of phone calls between ${name}, an older adult with dementia, and an AI companion. Family caregivers read these recaps to catch up on a call without reading the transcript.
+
+Write from the caregiver's point of view, in plain past-tense prose, and refer to ${name} by name:
+• 2-4 sentences covering what ${name} talked about, how they seemed, and how the call ended
+• Only report what is in the transcript; never guess at events or diagnoses
+• Leave out filler, greetings and the companion's own small talk
+• Concerns are things a caregiver may want to follow up on (worries, pain, confusion about safety, missed medication)
+• Requests are things ${name} asked for or asked someone to do`;
+
+    const narrativeTool = {
+      type: 'function',
+      function: {
+        name: 'reportNarrativeSummary',
+        description: 'Report a short recap of the call for family caregivers',
+        parameters: {
+          type: 'object',
+          properties: {
+            narrative: {
+              type: 'string',
+              description: '2-4 sentence recap of the call'
+            },
+            keyTopics: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Main topics discussed, a few words each (1-5 items)',
+              maxItems: 5
+            },
+            concerns: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Things a caregiver may want to follow up on - empty if none'
+            },
+            requests: {
+              type: 'array',
+              items: { type: 'string' },
+              description: `Things ${name} asked for - empty if none`
+            }
+          },
+          required: ['narrative', 'keyTopics', 'concerns', 'requests']
+        }
+      }
+    };
+
+    const toStrings = value => (Array.isArray(value) ?
+      value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim()) : []);
+
+    try {
+      const response = await this.openai.chat.completions.create({
+        model: this.aiConfig.model,
+        messages: [
+          { role: 'system', content: narrativePrompt },
+          { role: 'user', content: `Please recap this conversation:\n\n${conversationText}` }
+        ],
+        tools: [narrativeTool],
+        tool_choice: { type: 'function', function: { name: 'reportNarrativeSummary' } },
+        temperature: 0.3
+      });
+
+      const toolCall = response.choices[0].message.tool_calls?.[0];
+      if (toolCall?.function.name === 'reportNarrativeSummary') {
+        const result = JSON.parse(toolCall.function.arguments);
+        if (typeof result.narrative === 'string' && result.narrative.trim()) {
+          return {
+            narrative: result.narrative.trim(),
+            keyTopics: toStrings(result.keyTopics),
+            concerns: toStrings(result.concerns),
+            requests: toStrings(result.requests)
+          };
+        }
+      }
+
+      throw new Error('No valid narrative summary function call returned');
+
+    } catch (error) {
+      // HIPAA COMPLIANCE: Never log full error object as it may contain conversation content (PHI)
+      console.error('GPT Narrative Summary Error:', error.message);
+      return null;
+    }
+  }
+
   async generateMemoryKey(content, category) {
     // In test environment, return deterministic mock key
     if (process.env.NODE_ENV === 'test') {
@@ -393,7 +640,7 @@ Return structured JSON with exact numeric fields.`;
 
     const keyGenerationPrompt = `Generate a stable memory key (3-6 words) that identifies WHAT this memory is about, not the specific changeable details.
 
-CRITICAL: The patient (Francine) is the PRIMARY SUBJECT of most memories unless explicitly about someone else.
+CRITICAL: The patient (${this.patient.preferredName}) is the PRIMARY SUBJECT of most memories unless explicitly about someone else.
 
 KEY STRUCTURE RULES:
 - For memories about the patient: always start with "patient-"
@@ -425,7 +672,7 @@ Return only the key in lowercase with hyphens, nothing else.`;
 
     try {
       const response = await this.openai.chat.completions.create({
-        model: 'gpt-4-1106-preview',
+        model: this.aiConfig.model,
         messages: [
           { role: 'system', content: keyGenerationPrompt }
         ],
@@ -466,8 +713,113 @@ Return only the key in lowercase with hyphens, nothing else.`;
     }
   }
 
+  /**
+   * Summarize turns that no longer fit in the context, for the model itself to read
+   * @param {string|null} previous - The synopsis so far
+   * @param {Array<Object>} messages - Turns being folded into it
+   * @returns {Promise<string|null>} Updated synopsis, or null to use a local summary
+   */
+  async summarizeTurns(previous, messages) {
+    // In test environment, use the local summary to prevent OpenAI API calls
+    if (process.env.NODE_ENV === 'test') {
+      return null;
+    }
+
+    const name = this.patient.preferredName;
+    const turns = messages
+      .map(message => {
+        if (message.role === 'function') {
+          return `[You used ${message.name}: ${String(message.content).slice(0, 200)}]`;
+        }
+        return `${message.role === 'user' ? name : 'You'}: ${String(message.content).replace(/•/g, '').trim()}`;
+      })
+      .join('\n');
+
+    const response = await this.openai.chat.completions.create({
+      model: this.aiConfig.model,
+      messages: [
+        {
+          role: 'system',
+          content: `You keep notes for yourself during a phone call with ${name}, who has dementia. ` +
+            'Update the notes with the new turns so you can continue the call without them. ' +
+            `Keep what ${name} told you, how ${name} was feeling, topics already covered, stories already told ` +
+            'and anything you promised or were asked to do. Write short plain sentences, under 150 words, no headings.'
+        },
+        { role: 'user', content: `Notes so far:\n${previous || '(none)'}\n\nNew turns:\n${turns}` }
+      ],
+      temperature: 0.2,
+      max_tokens: 300
+    });
+
+    return response.choices[0]?.message?.content?.trim() || null;
+  }
+
+  /**
+   * Keep the context within its limits before a caller turn is sent
+   * Shortens earlier tool results, then folds older turns into the synopsis: right
+   * away when over the token budget, otherwise in the background.
+   */
+  async prepareContext() {
+    this.context.pruneToolResults();
+
+    if (this.context.getTokenCount() > this.context.tokenBudget) {
+      await this.context.compact();
+    } else if (this.context.needsCompaction()) {
+      this.context.compact().catch(error => {
+        console.error('Error compacting conversation context:', error.message);
+      });
+    }
+  }
+
+  /**
+   * Run a function the model called, giving it what it needs from this call
+   * Transfer and end-call functions get the mark completion service (and the
+   * transfer gets the patient and persona); memory functions get this call's
+   * memory service, so they only ever reach this patient's memories.
+   * @param {string} functionName - Name from the function manifest
+   * @param {Object} validatedArgs - Arguments the model passed
+   * @returns {Promise<string>} The function's response
+   */
+  async runFunction(functionName, validatedArgs) {
+    const functionToCall = availableFunctions[functionName];
+
+    if (functionName === 'transferCallDeferred' || functionName === 'endCallDeferred') {
+      // Add delay to ensure the "say" message gets processed through TTS and marked
+      // This allows the audio to be generated, sent, and queued before we check for marks
+      await new Promise(resolve => setTimeout(resolve, 500));
+
+      const argsWithService = {
+        ...validatedArgs,
+        markCompletionService: this.markCompletionService
+      };
+      if (functionName === 'transferCallDeferred') {
+        // The transfer dials the patient's targets and briefs whoever answers
+        Object.assign(argsWithService, {
+          patient: this.patient,
+          persona: this.persona,
+          conversationAnalyzer: this.conversationAnalyzer,
+          databaseManager: this.databaseManager
+        });
+        this.emit('transfer', { status: 'requested' });
+      }
+      const functionResponse = await functionToCall(argsWithService);
+      if (functionName === 'transferCallDeferred') {
+        this.emit('transfer', { status: functionResponse === functionToCall.FAILED_RESPONSE ? 'failed' : 'dialing' });
+      }
+      return functionResponse;
+    }
+
+    if (MEMORY_FUNCTIONS.includes(functionName)) {
+      return functionToCall({ ...validatedArgs, memoryService: this.memoryService });
+    }
+    return functionToCall(validatedArgs);
+  }
+
   async completion(text, interactionCount, role = 'user', name = 'user', returnUsage = false) {
     this.updateUserContext(name, role, text);
+    if (role === 'user') {
+      await this.prepareContext();
+    }
 
     // NOTE: User utterances are tracked in chat-session.js or app.js
     // to avoid duplicates. This was causing messages to be saved twice.
@@ -490,15 +842,17 @@ Return only the key in lowercase with hyphens, nothing else.`;
           prompt_tokens: Math.max(20, text.length * 1.2), // Realistic token estimation
           completion_tokens: 25,
           total_tokens: Math.max(45, text.length * 1.2 + 25)
-        }
+        },
+        context: this.context.getStats()
       } : {};
     }
 
     // Step 1: Send user transcription to Chat GPT
     const stream = await this.openai.chat.completions.create({
-      model: 'gpt-4-1106-preview',
+      model: this.aiConfig.model,
+      temperature: this.aiConfig.temperature,
       messages: this.userContext,
-      tools: tools,
+      tools: this.getTools(),
       stream: true,
       stream_options: returnUsage ? { include_usage: true } : undefined,
     });
@@ -547,7 +901,6 @@ Return only the key in lowercase with hyphens, nothing else.`;
       if (finishReason === 'tool_calls') {
         // parse JSON string of args into JSON object
 
-        const functionToCall = availableFunctions[functionName];
         const validatedArgs = this.validateFunctionArgs(functionArgs);
 
         // Say a pre-configured message from the function manifest
@@ -568,21 +921,7 @@ Return only the key in lowercase with hyphens, nothing else.`;
           this.conversationAnalyzer.trackAssistantResponse(cleanedSay, new Date());
         }
 
-        // For transfer and endCall functions, pass the markCompletionService
-        let functionResponse;
-        if (functionName === 'transferCallDeferred' || functionName === 'endCallDeferred') {
-          // Add delay to ensure the "say" message gets processed through TTS and marked
-          // This allows the audio to be generated, sent, and queued before we check for marks
-          await new Promise(resolve => setTimeout(resolve, 500));
-          
-          const argsWithService = {
-            ...validatedArgs,
-            markCompletionService: this.markCompletionService
-          };
-          functionResponse = await functionToCall(argsWithService);
-        } else {
-          functionResponse = await functionToCall(validatedArgs);
-        }
+        const functionResponse = await this.runFunction(functionName, validatedArgs);
 
         // Track function call in analyzer
         if (this.conversationAnalyzer) {
@@ -590,11 +929,11 @@ Return only the key in lowercase with hyphens, nothing else.`;
         }
 
         // Step 4: send the info on the function call and function response to GPT
-        this.updateUserContext(functionName, 'function', functionResponse);
-
-        // For endCall, don't call completion again since the call is ending
-        // For other functions, call completion to get GPT's response
-        if (functionName !== 'endCallDeferred') {
+        // For endCall, don't call completion again since the call is ending; just record the result
+        // For other functions, call completion to get GPT's response (it adds the result to the context)
+        if (functionName === 'endCallDeferred') {
+          this.updateUserContext(functionName, 'function', functionResponse);
+        } else {
           // call the completion function again but pass in the function response to have OpenAI generate a new assistant response
           const recursiveResult = await this.completion(functionResponse, interactionCount, 'function', functionName, returnUsage);
           if (returnUsage && recursiveResult?.usage) {
@@ -666,7 +1005,8 @@ Return only the key in lowercase with hyphens, nothing else.`;
       return {
         response: completeResponse,
         usage: usageData,
-        contextLength: this.userContext.length
+        contextLength: this.userContext.length,
+        context: this.context.getStats()
       };
     }
   }
@@ -0,0 +1,201 @@
+require('colors');
+const EventEmitter = require('events');
+
+/**
+ * LiveCallMonitor - Follows calls in progress for the admin dashboard
+ *
+ * The /connection handler attaches each phone call's CallSession. The monitor
+ * keeps a snapshot of every active call with a rolling transcript, and turns
+ * what the call's ConversationAnalyzer tracks into live events:
+ *
+ *   { type: 'call_started', callSid, call }
+ *   { type: 'transcript', callSid, line: { role, text, timestamp } }
+ *   { type: 'function_call', callSid, functionName, timestamp }
+ *   { type: 'interruption', callSid, timestamp }
+ *   { type: 'silence', callSid, action, stepIndex, timestamp }
+ *   { type: 'guidance', callSid, from, message, timestamp }
+ *   { type: 'call_ended', callSid }
+ *
+ * Subscribers only receive events for the patient they are scoped to. Nothing
+ * is persisted here; saved conversations remain the record of the call.
+ */
+class LiveCallMonitor extends EventEmitter {
+  // Singleton instance storage
+  static _instance = null;
+
+  /**
+   * Transcript lines kept per call for dashboards that connect mid-call
+   */
+  static TRANSCRIPT_LINES = 20;
+
+  /**
+   * Get the monitor shared by the call handler and the admin API
+   * @returns {LiveCallMonitor} The singleton instance
+   */
+  static getInstance() {
+    if (!LiveCallMonitor._instance) {
+      LiveCallMonitor._instance = new LiveCallMonitor();
+    }
+    return LiveCallMonitor._instance;
+  }
+
+  /**
+   * Reset the singleton instance (mainly for testing)
+   */
+  static resetInstance() {
+    LiveCallMonitor._instance = null;
+  }
+
+  constructor() {
+    super();
+    this.calls = new Map(); // callSid -> { call, session, detach }
+    this.setMaxListeners(0); // One listener per open dashboard
+  }
+
+  /**
+   * Start following a call until it ends
+   * @param {CallSession} callSession - The call's session
+   */
+  attach(callSession) {
+    const { callSid, conversationAnalyzer, patient } = callSession;
+    if (!callSid || callSession.isEnded || this.calls.has(callSid)) return;
+
+    const call = {
+      callSid,
+      patientId: patient.id,
+      patientName: patient.preferredName || patient.name,
+      direction: callSession.direction,
+      persona: callSession.personaProfile?.displayName || callSession.gptService.persona,
+      startedAt: (conversationAnalyzer.startTime || new Date()).toISOString(),
+      transcript: []
+    };
+
+    const onInteraction = interaction => this.handleInteraction(call, interaction);
+    const onEnded = () => this.detach(callSid);
+    conversationAnalyzer.on('interaction', onInteraction);
+    callSession.once('ended', onEnded);
+
+    this.calls.set(callSid, {
+      call,
+      session: callSession,
+      detach: () => {
+        conversationAnalyzer.removeListener('interaction', onInteraction);
+        callSession.removeListener('ended', onEnded);
+      }
+    });
+
+    console.log(`📡 Live monitor following call ${callSid}`.gray);
+    this.publish(call, { type: 'call_started', callSid, call: LiveCallMonitor.snapshot(call) });
+  }
+
+  /**
+   * Stop following a call
+   * @param {string} callSid - Call SID
+   */
+  detach(callSid) {
+    const entry = this.calls.get(callSid);
+    if (!entry) return;
+
+    entry.detach();
+    this.calls.delete(callSid);
+    this.publish(entry.call, { type: 'call_ended', callSid });
+  }
+
+  /**
+   * Turn a tracked interaction into a live event
+   * @param {Object} call - Active call
+   * @param {Object} interaction - Interaction from ConversationAnalyzer
+   */
+  handleInteraction(call, interaction) {
+    const timestamp = new Date(interaction.timestamp || Date.now()).toISOString();
+    const { callSid } = call;
+
+    switch (interaction.type) {
+    case 'user_utterance':
+    case 'assistant_response': {
+      const line = { role: interaction.type === 'user_utterance' ? 'user' : 'assistant', text: interaction.text, timestamp };
+      call.transcript.push(line);
+      if (call.transcript.length > LiveCallMonitor.TRANSCRIPT_LINES) {
+        call.transcript.shift();
+      }
+      this.publish(call, { type: 'transcript', callSid, line });
+      break;
+    }
+    case 'function_call':
+      this.publish(call, { type: 'function_call', callSid, functionName: interaction.functionName, timestamp });
+      break;
+    case 'interruption':
+      this.publish(call, { type: 'interruption', callSid, timestamp });
+      break;
+    case 'silence':
+      this.publish(call, {
+        type: 'silence',
+        callSid,
+        action: interaction.data.action,
+        stepIndex: interaction.data.stepIndex,
+        timestamp
+      });
+      break;
+    case 'caregiver_guidance':
+      this.publish(call, { type: 'guidance', callSid, from: interaction.data.from, message: interaction.data.message, timestamp });
+      break;
+    default:
+      break;
+    }
+  }
+
+  /**
+   * Send an event to the subscribers of the call's patient
+   */
+  publish(call, event) {
+    this.emit('event', call.patientId, event);
+  }
+
+  /**
+   * Copy of an active call safe to hand to subscribers
+   */
+  static snapshot(call) {
+    return { ...call, transcript: [...call.transcript] };
+  }
+
+  /**
+   * Calls in progress for a patient, oldest first
+   * @param {number} patientId - Patient id
+   * @returns {Array<Object>} Active calls with their recent transcript
+   */
+  getActiveCalls(patientId) {
+    return [...this.calls.values()]
+      .map(entry => entry.call)
+      .filter(call => call.patientId === patientId)
+      .map(LiveCallMonitor.snapshot);
+  }
+
+  /**
+   * The session of a call in progress, only if it is one of the patient's calls
+   * @param {string} callSid - Call SID
+   * @param {number} patientId - Patient id
+   * @returns {CallSession|null} The live session or null
+   */
+  getSession(callSid, patientId) {
+    const entry = this.calls.get(callSid);
+    return entry && entry.call.patientId === patientId ? entry.session : null;
+  }
+
+  /**
+   * Receive live events for one patient's calls
+   * @param {number} patientId - Patient id
+   * @param {Function} listener - Called with each event
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(patientId, listener) {
+    const onEvent = (eventPatientId, event) => {
+      if (eventPatientId === patientId) {
+        listener(event);
+      }
+    };
+    this.on('event', onEvent);
+    return () => this.removeListener('event', onEvent);
+  }
+}
+
+module.exports = LiveCallMonitor;
@@ -0,0 +1,70 @@
+require('dotenv').config();
+require('colors');
+
+/**
+ * Mail Transports - How outgoing email leaves the server
+ *
+ * A mail transport is anything with nodemailer's `sendMail(message)` shape, so
+ * any nodemailer transport (SMTP, sendmail, SES, ...) can be plugged in, as can
+ * a custom object that hands mail to another service. Built-in types:
+ *
+ * - smtp (default): SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+ * - sendmail: the local sendmail binary
+ * - stub: StubMailTransport, which keeps messages in memory and prints the subject
+ */
+
+/**
+ * SMTP transport from the SMTP_* environment variables
+ * @returns {Object} nodemailer transport
+ */
+function createSmtpTransport() {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is not configured');
+  }
+  const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+  return require('nodemailer').createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+}
+
+/**
+ * Local stand-in transport; records mail instead of sending it
+ */
+class StubMailTransport {
+  constructor() {
+    this.sent = [];
+  }
+
+  async sendMail(message) {
+    this.sent.push(message);
+    console.log(`✉️  [stub mail] To ${message.to}: ${message.subject}`.magenta);
+    return { messageId: `stub-${this.sent.length}` };
+  }
+}
+
+/**
+ * Build the configured mail transport
+ * @param {string} type - 'smtp', 'sendmail' or 'stub'
+ * @returns {Object} Transport with sendMail(message)
+ */
+function createMailTransport(type = 'smtp') {
+  switch (type) {
+  case 'stub':
+    return new StubMailTransport();
+  case 'sendmail':
+    return require('nodemailer').createTransport({ sendmail: true });
+  case 'smtp':
+    return createSmtpTransport();
+  default:
+    throw new Error(`Unknown mail transport: ${type}`);
+  }
+}
+
+module.exports = {
+  createSmtpTransport,
+  createMailTransport,
+  StubMailTransport
+};
@@ -0,0 +1,174 @@
+const { createEmbeddingProvider } = require('./embedding-providers');
+
+/**
+ * MemoryEmbeddingService - Semantic recall over a patient's memories
+ *
+ * Each memory's key and content are embedded (see embedding-providers.js) and
+ * the vector is stored in memory_embeddings. MemoryService refreshes it
+ * whenever a memory is saved or renamed; recall fills in any that are missing
+ * or were computed from other text or by another provider. Ranking is cosine
+ * similarity against the query, done in process: a patient has at most a few
+ * hundred memories.
+ *
+ * Embedding failures never break a save: the vector is simply computed on the
+ * next recall.
+ *
+ * Vectors can be partly inverted back to the words embedded (the local
+ * provider's hashed bag of words especially), so with field encryption on
+ * they are stored encrypted and the hash of the embedded text is keyed (see
+ * FieldEncryption.digest). Embeddings not written with the current key are
+ * dropped by DatabaseManager.encryptFields and recomputed on the next recall.
+ */
+class MemoryEmbeddingService {
+  /**
+   * @param {Object} databaseManager - DatabaseManager instance
+   * @param {Object} provider - Embedding provider (defaults from createEmbeddingProvider)
+   */
+  constructor(databaseManager, provider = null) {
+    this.db = databaseManager;
+    this.provider = provider || createEmbeddingProvider();
+  }
+
+  /**
+   * The text embedded for a memory: its key as words, then its content
+   */
+  static textFor(key, content) {
+    return `${String(key || '').replace(/-/g, ' ')}: ${content}`;
+  }
+
+  hash(text) {
+    return this.db.encryption.digest(text);
+  }
+
+  static toBlob(vector) {
+    return Buffer.from(Float32Array.from(vector).buffer);
+  }
+
+  static fromBlob(blob) {
+    // Copy first: a Buffer from SQLite may sit at an offset a Float32Array can't view
+    return new Float32Array(Uint8Array.from(blob).buffer);
+  }
+
+  /**
+   * A vector as stored: a blob, or its base64 encrypted when field encryption is on
+   */
+  toStored(vector) {
+    const blob = MemoryEmbeddingService.toBlob(vector);
+    return this.db.encryption.enabled ? this.db.encryption.encrypt(blob.toString('base64')) : blob;
+  }
+
+  /**
+   * A stored vector as read back (already decrypted by DatabaseManager)
+   */
+  static fromStored(value) {
+    return MemoryEmbeddingService.fromBlob(typeof value === 'string' ? Buffer.from(value, 'base64') : value);
+  }
+
+  /**
+   * Cosine similarity of two vectors
+   * @returns {number} -1 to 1; 0 when either is empty
+   */
+  static cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  /**
+   * Compute and store embeddings for memories
+   * Never throws: memories that fail are left for the next recall.
+   * @param {Array} memories - Rows with id, memory_key, memory_content
+   * @returns {Promise<number>} Number of embeddings stored
+   */
+  async refresh(memories) {
+    if (memories.length === 0) return 0;
+
+    try {
+      const texts = memories.map(m => MemoryEmbeddingService.textFor(m.memory_key, m.memory_content));
+      const vectors = await this.provider.embed(texts);
+
+      for (let i = 0; i < memories.length; i++) {
+        await this.db.run(`
+          INSERT INTO memory_embeddings (memory_id, provider, dimensions, vector, content_hash, updated_at)
+          VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+          ON CONFLICT(memory_id) DO UPDATE SET
+            provider = excluded.provider, dimensions = excluded.dimensions, vector = excluded.vector,
+            content_hash = excluded.content_hash, updated_at = CURRENT_TIMESTAMP
+        `, [
+          memories[i].id, this.provider.id, vectors[i].length,
+          this.toStored(vectors[i]), this.hash(texts[i])
+        ]);
+      }
+      return memories.length;
+
+    } catch (error) {
+      // HIPAA COMPLIANCE: Never log full error object as it may contain patient memory data (PHI)
+      console.error('Error computing memory embeddings:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Compute and store the embedding of one memory
+   * @param {number} memoryId - memories.id
+   * @returns {Promise<boolean>} True when stored
+   */
+  async refreshMemory(memoryId) {
+    const memory = await this.db.get('SELECT id, memory_key, memory_content FROM memories WHERE id = ?', [memoryId]);
+    return memory ? (await this.refresh([memory])) === 1 : false;
+  }
+
+  /**
+   * Rank a patient's memories by similarity to a query
+   * @param {number} patientId - Patient id
+   * @param {string} query - What to look for; a memory key's hyphens count as spaces
+   * @param {Object} options
+   * @param {number} options.limit - Maximum number of matches
+   * @param {number} options.minScore - Lowest similarity to return (defaults to the provider's)
+   * @returns {Promise<Array>} Memory rows with a score, best first
+   */
+  async rank(patientId, query, { limit = 3, minScore = this.provider.minScore } = {}) {
+    await this.db.waitForInitialization();
+
+    const rows = await this.db.all(`
+      SELECT m.id, m.memory_key, m.memory_content, m.category, m.is_fact,
+             m.review_status, m.previous_content, m.previous_category, m.previous_is_fact, m.pending_removal,
+             e.provider, e.content_hash
+      FROM memories m
+      LEFT JOIN memory_embeddings e ON e.memory_id = m.id
+      WHERE m.patient_id = ?
+    `, [patientId]);
+
+    const stale = rows.filter(row => row.provider !== this.provider.id ||
+      row.content_hash !== this.hash(MemoryEmbeddingService.textFor(row.memory_key, row.memory_content)));
+    if (stale.length > 0) {
+      await this.refresh(stale);
+    }
+
+    const stored = await this.db.all(`
+      SELECT e.memory_id, e.vector FROM memory_embeddings e
+      JOIN memories m ON m.id = e.memory_id
+      WHERE m.patient_id = ? AND e.provider = ?
+    `, [patientId, this.provider.id]);
+    const vectors = new Map(stored.map(row => [row.memory_id, MemoryEmbeddingService.fromStored(row.vector)]));
+    if (vectors.size === 0) return [];
+
+    const [queryVector] = await this.provider.embed([String(query).replace(/-/g, ' ')]);
+
+    return rows
+      .filter(row => vectors.has(row.id))
+      .map(row => ({ ...row, score: MemoryEmbeddingService.cosine(queryVector, vectors.get(row.id)) }))
+      .filter(row => row.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ provider: _provider, content_hash: _hash, ...row }) => row);
+  }
+}
+
+module.exports = MemoryEmbeddingService;
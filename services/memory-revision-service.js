@@ -0,0 +1,172 @@
+/**
+ * MemoryRevisionService - History of every change to a patient's memories
+ *
+ * MemoryService records each save, review decision, rename and deletion here
+ * with the values before and after and who made the change: the companion
+ * during a call (its call SID), a caregiver (their user id), a maintenance
+ * script, or the system. Caregivers read the history on the memories page and
+ * restore earlier versions or deleted memories from it.
+ *
+ * Revisions hold memory content (PHI), so they live and are deleted with the patient.
+ */
+class MemoryRevisionService {
+  static ACTIONS = ['created', 'updated', 'deleted', 'approved', 'rejected', 'renamed', 'restored'];
+
+  /**
+   * @param {Object} databaseManager - DatabaseManager instance
+   */
+  constructor(databaseManager) {
+    this.db = databaseManager;
+  }
+
+  /**
+   * Who made a change, as stored in a revision
+   * @param {Object|null} actor - { type: 'call', callSid } | { type: 'user', userId } | { type: 'script', script }
+   * @returns {Object} { changedBy, callSid, userId, script }; anything else is the system
+   */
+  static describeActor(actor) {
+    switch (actor?.type) {
+    case 'call':
+      return { changedBy: 'call', callSid: actor.callSid || null, userId: null, script: null };
+    case 'user':
+      return { changedBy: 'user', callSid: null, userId: actor.userId || null, script: null };
+    case 'script':
+      return { changedBy: 'script', callSid: null, userId: null, script: actor.script || null };
+    default:
+      return { changedBy: 'system', callSid: null, userId: null, script: null };
+    }
+  }
+
+  static toVersion(content, category, isFact) {
+    if (content === null || content === undefined) {
+      return null;
+    }
+    return { content, category, isFact: Boolean(isFact) };
+  }
+
+  /**
+   * Convert a memory_revisions row (joined with users and conversations) to the API shape
+   */
+  static formatRevision(row) {
+    return {
+      id: row.id,
+      key: row.memory_key,
+      previousKey: row.previous_key,
+      action: row.action,
+      before: MemoryRevisionService.toVersion(row.old_content, row.old_category, row.old_is_fact),
+      after: MemoryRevisionService.toVersion(row.new_content, row.new_category, row.new_is_fact),
+      changedBy: {
+        type: row.changed_by,
+        callSid: row.call_sid,
+        conversationId: row.conversation_id ?? null,
+        userId: row.user_id,
+        userName: row.user_name ?? null,
+        script: row.script
+      },
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Record one change to a memory
+   * Never throws: a failed history write is logged and the change itself stands.
+   * @param {Object} revision
+   * @param {number} revision.patientId - Patient the memory belongs to
+   * @param {string} revision.key - Memory key after the change
+   * @param {string} [revision.previousKey] - Key before a rename
+   * @param {string} revision.action - One of ACTIONS
+   * @param {Object|null} revision.before - { content, category, isFact } before, or null if new
+   * @param {Object|null} revision.after - { content, category, isFact } after, or null if removed
+   * @param {Object|null} revision.actor - Who made the change (see describeActor)
+   * @returns {Promise<number|null>} Revision id
+   */
+  async record({ patientId, key, previousKey = null, action, before = null, after = null, actor = null }) {
+    try {
+      if (!MemoryRevisionService.ACTIONS.includes(action)) {
+        throw new Error(`Unknown memory revision action: ${action}`);
+      }
+      const { changedBy, callSid, userId, script } = MemoryRevisionService.describeActor(actor);
+
+      const { lastID } = await this.db.run(`
+        INSERT INTO memory_revisions (
+          patient_id, memory_key, previous_key, action,
+          old_content, old_category, old_is_fact, new_content, new_category, new_is_fact,
+          changed_by, call_sid, user_id, script
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        patientId, key, previousKey, action,
+        before?.content ?? null, before?.category ?? null, before ? (before.isFact ? 1 : 0) : null,
+        after?.content ?? null, after?.category ?? null, after ? (after.isFact ? 1 : 0) : null,
+        changedBy, callSid, userId, script
+      ]);
+      return lastID;
+
+    } catch (error) {
+      // HIPAA COMPLIANCE: Never log full error object as it may contain patient memory data (PHI)
+      console.error('Error recording memory revision:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * A memory's history, newest first, following it back through renames
+   * @param {number} patientId - Patient id
+   * @param {string} key - Current (or last) memory key
+   * @returns {Promise<Array>} Revisions
+   */
+  async getHistory(patientId, key) {
+    await this.db.waitForInitialization();
+
+    const keys = [key];
+    for (let i = 0; i < keys.length; i++) {
+      const renames = await this.db.all(`
+        SELECT previous_key FROM memory_revisions
+        WHERE patient_id = ? AND memory_key = ? AND action = 'renamed' AND previous_key IS NOT NULL
+      `, [patientId, keys[i]]);
+      for (const { previous_key: previousKey } of renames) {
+        if (!keys.includes(previousKey)) {
+          keys.push(previousKey);
+        }
+      }
+    }
+
+    const rows = await this.db.all(`
+      SELECT r.*, u.display_name AS user_name, c.id AS conversation_id
+      FROM memory_revisions r
+      LEFT JOIN users u ON u.id = r.user_id
+      LEFT JOIN conversations c ON c.call_sid = r.call_sid
+      WHERE r.patient_id = ? AND r.memory_key IN (${keys.map(() => '?').join(', ')})
+      ORDER BY r.id DESC
+    `, [patientId, ...keys]);
+
+    return rows.map(MemoryRevisionService.formatRevision);
+  }
+
+  /**
+   * Deleted memories that haven't been restored, most recent first
+   * @param {number} patientId - Patient id
+   * @param {number} limit - Maximum number to return
+   * @returns {Promise<Array>} The deleting revision of each
+   */
+  async getDeleted(patientId, limit = 50) {
+    await this.db.waitForInitialization();
+
+    const rows = await this.db.all(`
+      SELECT r.*, u.display_name AS user_name, c.id AS conversation_id
+      FROM memory_revisions r
+      LEFT JOIN users u ON u.id = r.user_id
+      LEFT JOIN conversations c ON c.call_sid = r.call_sid
+      WHERE r.patient_id = ?
+        AND r.new_content IS NULL
+        AND r.old_content IS NOT NULL
+        AND r.id = (SELECT MAX(id) FROM memory_revisions WHERE patient_id = r.patient_id AND memory_key = r.memory_key)
+        AND NOT EXISTS (SELECT 1 FROM memories m WHERE m.patient_id = r.patient_id AND m.memory_key = r.memory_key)
+      ORDER BY r.id DESC
+      LIMIT ?
+    `, [patientId, limit]);
+
+    return rows.map(MemoryRevisionService.formatRevision);
+  }
+}
+
+module.exports = MemoryRevisionService;
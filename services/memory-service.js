@@ -17,13 +17,116 @@
  * - 'preferences': Likes, dislikes, comfort topics
  * - 'topics_to_avoid': Things that cause distress
  * - 'general': Other contextual information
+ * 
+ * Review:
+ * - Memories the companion saves during a call (saveMemory with fromCall) are
+ *   pending until a caregiver approves, edits or rejects them, and record the
+ *   call and what the caller had just said. A pending change to an approved
+ *   memory keeps the approved version so rejecting it restores that.
+ * - Forgetting a memory during a call (removeMemory with fromCall) is a pending
+ *   removal: approving it deletes the memory, rejecting it keeps it. A memory
+ *   the companion saved that nobody has approved yet is deleted straight away.
+ * - Caregiver-entered memories and facts are approved as they are saved.
+ * - The companion cannot change or remove a fact: saveMemory and removeMemory
+ *   with fromCall refuse a key that holds one (status 'protected').
+ * - With hidePending set, reads show the companion only approved versions.
+ *   Without it a pending removal hides the memory at once.
+ *
+ * History:
+ * - Every save, review decision, rename and removal is recorded in
+ *   memory_revisions (see MemoryRevisionService) with the call, caregiver or
+ *   script that made it. Callers say who they are with the actor option.
+ * - restoreRevision brings back an earlier version, including of a removed memory.
+ *
+ * Recall:
+ * - Each memory's key and content are embedded when it is saved or renamed
+ *   (see MemoryEmbeddingService). recallMemories ranks memories by similarity
+ *   to what the companion asks for, so "son-info" finds "son-ryan-family-information".
+ *
+ * Every query is scoped to a single patient (patients.id). The default of 1
+ * is the original patient seeded by migration 10.
  */
+const MemoryRevisionService = require('./memory-revision-service');
+const MemoryEmbeddingService = require('./memory-embedding-service');
+
 class MemoryService {
-  constructor(databaseManager, gptService = null) {
+  constructor(databaseManager, gptService = null, patientId = 1) {
     this.db = databaseManager;
     this.gptService = gptService;
+    this.patientId = patientId;
     this.memoryCache = new Map(); // In-memory cache for quick access
     this.cacheLoaded = false;
+    this.requireReview = true; // Memories saved during calls wait for a caregiver
+    this.hidePending = false; // Calls set this to keep unreviewed memories out of the conversation
+    this.source = null; // { callSid, utterance } the companion is currently responding to
+    this.revisions = new MemoryRevisionService(databaseManager);
+    this.embeddings = new MemoryEmbeddingService(databaseManager);
+  }
+
+  /**
+   * Cache entry for a memories row
+   * @param {Object} row - Row with memory_content, category, is_fact, review_status, previous_content, previous_category, previous_is_fact, pending_removal
+   * @returns {Object} { content, category, is_fact, pending, removal, previous }
+   */
+  static toCacheEntry(row) {
+    return {
+      content: row.memory_content,
+      category: row.category,
+      is_fact: Boolean(row.is_fact),
+      pending: row.review_status === 'pending',
+      removal: Boolean(row.pending_removal),
+      previous: row.previous_content !== null && row.previous_content !== undefined
+        ? {
+          content: row.previous_content,
+          category: row.previous_category,
+          is_fact: Boolean(row.previous_is_fact ?? row.is_fact)
+        }
+        : null
+    };
+  }
+
+  /**
+   * The version of a memory reads should return
+   * With hidePending set, a pending memory shows the approved version it would
+   * replace, or nothing if it is new. Without it, a pending removal shows nothing.
+   * @param {Object} entry - Cache entry
+   * @returns {Object|null} { content, category, is_fact } or null when hidden
+   */
+  visibleVersion(entry) {
+    if (!entry.pending) {
+      return entry;
+    }
+    if (!this.hidePending) {
+      return entry.removal ? null : entry;
+    }
+    return entry.previous ? { is_fact: entry.is_fact, ...entry.previous } : null;
+  }
+
+  /**
+   * Record what the companion is responding to, so memories it saves can be traced back
+   * @param {Object|null} source - { callSid, utterance }
+   */
+  setSource(source) {
+    this.source = source;
+  }
+
+  /**
+   * Who a change is recorded against
+   * @param {Object} options - { fromCall, actor } as passed to saveMemory or removeMemory
+   * @returns {Object|null} Actor for MemoryRevisionService
+   */
+  changeActor({ fromCall = false, actor = null } = {}) {
+    if (actor) {
+      return actor;
+    }
+    return fromCall ? { type: 'call', callSid: this.source?.callSid || null } : null;
+  }
+
+  /**
+   * Record a change to one of this patient's memories
+   */
+  recordRevision(key, action, before, after, actor, previousKey = null) {
+    return this.revisions.record({ patientId: this.patientId, key, previousKey, action, before, after, actor });
   }
 
   /**
@@ -39,15 +142,14 @@ class MemoryService {
    */
   async loadMemoriesIntoCache() {
     try {
-      const memories = await this.db.all('SELECT memory_key, memory_content, category, is_fact FROM memories');
+      const memories = await this.db.all(`
+        SELECT memory_key, memory_content, category, is_fact, review_status, previous_content, previous_category, previous_is_fact, pending_removal
+        FROM memories WHERE patient_id = ?
+      `, [this.patientId]);
       this.memoryCache.clear();
       
       for (const memory of memories) {
-        this.memoryCache.set(memory.memory_key, {
-          content: memory.memory_content,
-          category: memory.category,
-          is_fact: Boolean(memory.is_fact)
-        });
+        this.memoryCache.set(memory.memory_key, MemoryService.toCacheEntry(memory));
       }
       
       this.cacheLoaded = true;
@@ -65,9 +167,13 @@ class MemoryService {
    * @param {string} content - The memory content
    * @param {string} category - Category: 'family', 'health', 'preferences', 'topics_to_avoid', 'general'
    * @param {boolean} isFact - Whether this is a verified fact (true) or conversation memory (false)
-   * @returns {Promise<Object>} Result object with status
+   * @param {Object} options
+   * @param {boolean} options.fromCall - Saved by the companion during a call (may need review)
+   * @param {Object} options.actor - Who is saving it, for the history (see MemoryRevisionService.describeActor)
+   * @param {string} options.action - History action to record instead of created/updated (e.g. 'restored')
+   * @returns {Promise<Object>} Result object with status ('protected' when the companion tries to change a fact)
    */
-  async saveMemory(key, content, category = 'general', isFact = false) {
+  async saveMemory(key, content, category = 'general', isFact = false, { fromCall = false, actor = null, action = null } = {}) {
     try {
       await this.db.waitForInitialization();
       
@@ -102,35 +208,78 @@ class MemoryService {
       // Normalize the key (lowercase, replace spaces with hyphens)
       const normalizedKey = memoryKey.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
       
+      // The companion's memories wait for a caregiver; facts and caregiver entries are approved
+      const pending = fromCall && !isFact && this.requireReview;
+      const source = fromCall && this.source ? this.source : { callSid: null, utterance: null };
+
       // Check if memory exists
-      const existing = await this.db.get('SELECT id FROM memories WHERE memory_key = ?', [normalizedKey]);
+      const existing = await this.db.get(`
+        SELECT id, memory_content, category, is_fact, review_status, previous_content, previous_category, previous_is_fact, pending_removal
+        FROM memories WHERE patient_id = ? AND memory_key = ?
+      `, [this.patientId, normalizedKey]);
+
+      // Only caregivers change facts; the companion must not overwrite one, even under a generated key
+      if (fromCall && existing?.is_fact) {
+        return {
+          status: 'protected',
+          key: normalizedKey,
+          message: 'This is a verified fact from caregivers and cannot be changed'
+        };
+      }
+
+      // A pending change keeps the approved version it would replace
+      let previous = null;
+      if (pending && existing) {
+        previous = existing.review_status === 'approved'
+          ? { content: existing.memory_content, category: existing.category, is_fact: Boolean(existing.is_fact) }
+          : MemoryService.toCacheEntry(existing).previous;
+      }
       
+      let memoryId = existing?.id;
       if (existing) {
         // Update existing memory
         await this.db.run(`
           UPDATE memories 
-          SET memory_content = ?, category = ?, is_fact = ?, updated_at = CURRENT_TIMESTAMP
-          WHERE memory_key = ?
-        `, [content, category, isFact ? 1 : 0, normalizedKey]);
+          SET memory_content = ?, category = ?, is_fact = ?, review_status = ?, pending_removal = 0,
+              previous_content = ?, previous_category = ?, previous_is_fact = ?,
+              source_call_sid = COALESCE(?, source_call_sid), source_utterance = COALESCE(?, source_utterance),
+              updated_at = CURRENT_TIMESTAMP
+          WHERE patient_id = ? AND memory_key = ?
+        `, [
+          content, category, isFact ? 1 : 0, pending ? 'pending' : 'approved',
+          previous?.content ?? null, previous?.category ?? null, previous ? (previous.is_fact ? 1 : 0) : null,
+          source.callSid, source.utterance,
+          this.patientId, normalizedKey
+        ]);
         
         // Memory updated (logging handled by function)
       } else {
         // Insert new memory
-        await this.db.run(`
-          INSERT INTO memories (memory_key, memory_content, category, is_fact)
-          VALUES (?, ?, ?, ?)
-        `, [normalizedKey, content, category, isFact ? 1 : 0]);
+        ({ lastID: memoryId } = await this.db.run(`
+          INSERT INTO memories (patient_id, memory_key, memory_content, category, is_fact, review_status, source_call_sid, source_utterance)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [this.patientId, normalizedKey, content, category, isFact ? 1 : 0, pending ? 'pending' : 'approved', source.callSid, source.utterance]));
         
         // Memory created (logging handled by function)
       }
       
       // Update cache
-      this.memoryCache.set(normalizedKey, { content, category, is_fact: isFact });
+      this.memoryCache.set(normalizedKey, { content, category, is_fact: isFact, pending, removal: false, previous });
+      await this.embeddings.refresh([{ id: memoryId, memory_key: normalizedKey, memory_content: content }]);
+
+      await this.recordRevision(
+        normalizedKey,
+        action || (existing ? 'updated' : 'created'),
+        existing ? MemoryRevisionService.toVersion(existing.memory_content, existing.category, existing.is_fact) : null,
+        MemoryRevisionService.toVersion(content, category, isFact),
+        this.changeActor({ fromCall, actor })
+      );
       
       return {
         status: 'success',
         key: normalizedKey,
-        action: existing ? 'updated' : 'created'
+        action: existing ? 'updated' : 'created',
+        reviewStatus: pending ? 'pending' : 'approved'
       };
       
     } catch (error) {
@@ -157,11 +306,15 @@ class MemoryService {
       
       // Check cache first
       if (this.memoryCache.has(normalizedKey)) {
+        const cached = this.visibleVersion(this.memoryCache.get(normalizedKey));
+        if (!cached) {
+          return null;
+        }
+
         // Update last accessed time in background (don't wait)
-        this.db.run('UPDATE memories SET last_accessed = CURRENT_TIMESTAMP WHERE memory_key = ?', [normalizedKey])
+        this.db.run('UPDATE memories SET last_accessed = CURRENT_TIMESTAMP WHERE patient_id = ? AND memory_key = ?', [this.patientId, normalizedKey])
           .catch(err => console.error('Error updating last_accessed:', err));
         
-        const cached = this.memoryCache.get(normalizedKey);
         return {
           key: normalizedKey,
           content: cached.content,
@@ -172,27 +325,29 @@ class MemoryService {
       
       // If not in cache, try database
       const memory = await this.db.get(`
-        SELECT memory_key, memory_content, category, is_fact 
+        SELECT memory_key, memory_content, category, is_fact, review_status, previous_content, previous_category, previous_is_fact, pending_removal
         FROM memories 
-        WHERE memory_key = ?
-      `, [normalizedKey]);
+        WHERE patient_id = ? AND memory_key = ?
+      `, [this.patientId, normalizedKey]);
       
       if (memory) {
-        // Update last accessed time
-        await this.db.run('UPDATE memories SET last_accessed = CURRENT_TIMESTAMP WHERE memory_key = ?', [normalizedKey]);
-        
         // Add to cache
-        this.memoryCache.set(memory.memory_key, {
-          content: memory.memory_content,
-          category: memory.category,
-          is_fact: Boolean(memory.is_fact)
-        });
+        const entry = MemoryService.toCacheEntry(memory);
+        this.memoryCache.set(memory.memory_key, entry);
+
+        const visible = this.visibleVersion(entry);
+        if (!visible) {
+          return null;
+        }
+
+        // Update last accessed time
+        await this.db.run('UPDATE memories SET last_accessed = CURRENT_TIMESTAMP WHERE patient_id = ? AND memory_key = ?', [this.patientId, normalizedKey]);
         
         return {
           key: memory.memory_key,
-          content: memory.memory_content,
-          category: memory.category,
-          is_fact: Boolean(memory.is_fact)
+          content: visible.content,
+          category: visible.category,
+          is_fact: visible.is_fact
         };
       }
       
@@ -219,6 +374,9 @@ class MemoryService {
       // Get from cache if loaded
       if (this.cacheLoaded) {
         for (const [key, data] of this.memoryCache.entries()) {
+          if (!this.visibleVersion(data)) {
+            continue;
+          }
           if (data.is_fact) {
             facts.push(key);
           } else {
@@ -227,8 +385,14 @@ class MemoryService {
         }
       } else {
         // Otherwise query database
-        const allMemories = await this.db.all('SELECT memory_key, is_fact FROM memories ORDER BY memory_key');
+        const allMemories = await this.db.all(`
+          SELECT memory_key, memory_content, category, is_fact, review_status, previous_content, previous_category, previous_is_fact, pending_removal
+          FROM memories WHERE patient_id = ? ORDER BY memory_key
+        `, [this.patientId]);
         for (const memory of allMemories) {
+          if (!this.visibleVersion(MemoryService.toCacheEntry(memory))) {
+            continue;
+          }
           if (memory.is_fact) {
             facts.push(memory.memory_key);
           } else {
@@ -248,10 +412,14 @@ class MemoryService {
 
   /**
    * Remove a memory by key
+   * The companion's removals of approved memories wait for a caregiver (see approveMemory).
    * @param {string} key - The memory key to remove
-   * @returns {Promise<Object>} Result object with status
+   * @param {Object} options
+   * @param {boolean} options.fromCall - Removed by the companion during a call (may need review)
+   * @param {Object} options.actor - Who is removing it, for the history
+   * @returns {Promise<Object>} Result object with status ('protected' when the companion tries to remove a fact)
    */
-  async removeMemory(key) {
+  async removeMemory(key, { fromCall = false, actor = null } = {}) {
     try {
       await this.db.waitForInitialization();
       
@@ -259,7 +427,10 @@ class MemoryService {
       const normalizedKey = key.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
       
       // Check if memory exists
-      const existing = await this.db.get('SELECT id FROM memories WHERE memory_key = ?', [normalizedKey]);
+      const existing = await this.db.get(`
+        SELECT id, memory_content, category, is_fact, review_status, previous_content, previous_category, previous_is_fact, pending_removal
+        FROM memories WHERE patient_id = ? AND memory_key = ?
+      `, [this.patientId, normalizedKey]);
       
       if (!existing) {
         return {
@@ -267,12 +438,63 @@ class MemoryService {
           message: `Memory with key '${normalizedKey}' does not exist`
         };
       }
+
+      if (fromCall && existing.is_fact) {
+        return {
+          status: 'protected',
+          key: normalizedKey,
+          message: 'This is a verified fact from caregivers and cannot be removed'
+        };
+      }
+
+      // The version a caregiver approved; a memory nobody has approved yet has none
+      const approved = existing.review_status === 'approved'
+        ? { content: existing.memory_content, category: existing.category, is_fact: Boolean(existing.is_fact) }
+        : MemoryService.toCacheEntry(existing).previous;
+
+      if (fromCall && this.requireReview && approved) {
+        const source = this.source || { callSid: null, utterance: null };
+        await this.db.run(`
+          UPDATE memories
+          SET memory_content = ?, category = ?, is_fact = ?, review_status = 'pending', pending_removal = 1,
+              previous_content = ?, previous_category = ?, previous_is_fact = ?,
+              source_call_sid = COALESCE(?, source_call_sid), source_utterance = COALESCE(?, source_utterance),
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [
+          approved.content, approved.category, approved.is_fact ? 1 : 0,
+          approved.content, approved.category, approved.is_fact ? 1 : 0,
+          source.callSid, source.utterance,
+          existing.id
+        ]);
+
+        // A pending change being dropped for the removal puts the approved text back
+        if (existing.review_status !== 'approved') {
+          await this.embeddings.refreshMemory(existing.id);
+        }
+        this.memoryCache.set(normalizedKey, { ...approved, pending: true, removal: true, previous: approved });
+
+        return {
+          status: 'success',
+          key: normalizedKey,
+          action: 'removal_pending',
+          reviewStatus: 'pending'
+        };
+      }
       
       // Delete from database
-      await this.db.run('DELETE FROM memories WHERE memory_key = ?', [normalizedKey]);
+      await this.db.run('DELETE FROM memories WHERE patient_id = ? AND memory_key = ?', [this.patientId, normalizedKey]);
       
       // Remove from cache
       this.memoryCache.delete(normalizedKey);
+
+      await this.recordRevision(
+        normalizedKey,
+        'deleted',
+        MemoryRevisionService.toVersion(existing.memory_content, existing.category, existing.is_fact),
+        null,
+        this.changeActor({ fromCall, actor })
+      );
       
       // Memory removed (logging handled by function)
       
@@ -304,18 +526,21 @@ class MemoryService {
       const normalizedQuery = query.toLowerCase().replace(/\s+/g, '-');
       
       const memories = await this.db.all(`
-        SELECT memory_key, memory_content, category, is_fact 
+        SELECT memory_key, memory_content, category, is_fact, review_status, previous_content, previous_category, previous_is_fact, pending_removal
         FROM memories 
-        WHERE memory_key LIKE ?
+        WHERE patient_id = ? AND memory_key LIKE ?
         ORDER BY memory_key
-      `, [`%${normalizedQuery}%`]);
+      `, [this.patientId, `%${normalizedQuery}%`]);
       
-      return memories.map(m => ({
-        key: m.memory_key,
-        content: m.memory_content,
-        category: m.category,
-        is_fact: Boolean(m.is_fact)
-      }));
+      return memories
+        .map(m => ({ key: m.memory_key, version: this.visibleVersion(MemoryService.toCacheEntry(m)) }))
+        .filter(({ version }) => version)
+        .map(({ key, version }) => ({
+          key,
+          content: version.content,
+          category: version.category,
+          is_fact: version.is_fact
+        }));
       
     } catch (error) {
       // HIPAA COMPLIANCE: Never log full error object as it may contain patient memory data (PHI)
@@ -324,6 +549,42 @@ class MemoryService {
     }
   }
 
+  /**
+   * Memories most similar in meaning to a query, best first
+   * @param {string} query - Key or words the companion is looking for
+   * @param {Object} options
+   * @param {number} options.limit - Maximum number of matches
+   * @param {number} options.minScore - Lowest similarity to return (defaults to the embedding provider's)
+   * @returns {Promise<Array>} [{ key, content, category, is_fact, score }]
+   */
+  async recallMemories(query, { limit = 3, minScore } = {}) {
+    try {
+      if (!query || !String(query).trim()) {
+        return [];
+      }
+
+      // Rank everything: hidden pending memories are dropped before the limit applies
+      const ranked = await this.embeddings.rank(this.patientId, query, { limit: Infinity, minScore });
+
+      return ranked
+        .map(row => ({ row, version: this.visibleVersion(MemoryService.toCacheEntry(row)) }))
+        .filter(({ version }) => version)
+        .slice(0, limit)
+        .map(({ row, version }) => ({
+          key: row.memory_key,
+          content: version.content,
+          category: version.category,
+          is_fact: version.is_fact,
+          score: Math.round(row.score * 1000) / 1000
+        }));
+
+    } catch (error) {
+      // HIPAA COMPLIANCE: Never log full error object as it may contain patient memory data (PHI)
+      console.error('Error recalling memories:', error.message);
+      return [];
+    }
+  }
+
   /**
    * Get memories by category
    * @param {string} category - Category to filter by
@@ -333,18 +594,22 @@ class MemoryService {
     try {
       await this.db.waitForInitialization();
       
+      // A hidden pending change may have moved an approved memory out of this category
       const memories = await this.db.all(`
-        SELECT memory_key, memory_content, is_fact 
+        SELECT memory_key, memory_content, category, is_fact, review_status, previous_content, previous_category, previous_is_fact, pending_removal
         FROM memories 
-        WHERE category = ?
+        WHERE patient_id = ? AND (category = ? OR previous_category = ?)
         ORDER BY memory_key
-      `, [category]);
+      `, [this.patientId, category, category]);
       
-      return memories.map(m => ({
-        key: m.memory_key,
-        content: m.memory_content,
-        is_fact: Boolean(m.is_fact)
-      }));
+      return memories
+        .map(m => ({ key: m.memory_key, version: this.visibleVersion(MemoryService.toCacheEntry(m)) }))
+        .filter(({ version }) => version && version.category === category)
+        .map(({ key, version }) => ({
+          key,
+          content: version.content,
+          is_fact: version.is_fact
+        }));
       
     } catch (error) {
       // HIPAA COMPLIANCE: Never log full error object as it may contain patient memory data (PHI)
@@ -366,22 +631,26 @@ class MemoryService {
           COUNT(*) as total_memories,
           COUNT(CASE WHEN is_fact = 1 THEN 1 END) as fact_count,
           COUNT(CASE WHEN is_fact = 0 THEN 1 END) as memory_count,
+          COUNT(CASE WHEN review_status = 'pending' THEN 1 END) as pending_count,
           COUNT(DISTINCT category) as categories_used,
           MAX(updated_at) as last_updated,
           MIN(created_at) as first_created
         FROM memories
-      `);
+        WHERE patient_id = ?
+      `, [this.patientId]);
       
       const byCategory = await this.db.all(`
         SELECT category, COUNT(*) as count 
         FROM memories 
+        WHERE patient_id = ?
         GROUP BY category
-      `);
+      `, [this.patientId]);
       
       return {
         totalMemories: stats.total_memories || 0,
         factCount: stats.fact_count || 0,
         memoryCount: stats.memory_count || 0,
+        pendingCount: stats.pending_count || 0,
         categoriesUsed: stats.categories_used || 0,
         lastUpdated: stats.last_updated,
         firstCreated: stats.first_created,
@@ -422,7 +691,7 @@ class MemoryService {
       }
       
       // Otherwise query database
-      const facts = await this.db.all('SELECT memory_key FROM memories WHERE is_fact = 1 ORDER BY memory_key');
+      const facts = await this.db.all('SELECT memory_key FROM memories WHERE patient_id = ? AND is_fact = 1 ORDER BY memory_key', [this.patientId]);
       return facts.map(m => m.memory_key);
       
     } catch (error) {
@@ -444,7 +713,7 @@ class MemoryService {
       if (this.cacheLoaded) {
         const memories = [];
         for (const [key, data] of this.memoryCache.entries()) {
-          if (!data.is_fact) {
+          if (!data.is_fact && this.visibleVersion(data)) {
             memories.push(key);
           }
         }
@@ -452,8 +721,13 @@ class MemoryService {
       }
       
       // Otherwise query database
-      const memories = await this.db.all('SELECT memory_key FROM memories WHERE is_fact = 0 ORDER BY memory_key');
-      return memories.map(m => m.memory_key);
+      const memories = await this.db.all(`
+        SELECT memory_key, memory_content, category, is_fact, review_status, previous_content, previous_category, previous_is_fact, pending_removal
+        FROM memories WHERE patient_id = ? AND is_fact = 0 ORDER BY memory_key
+      `, [this.patientId]);
+      return memories
+        .filter(m => this.visibleVersion(MemoryService.toCacheEntry(m)))
+        .map(m => m.memory_key);
       
     } catch (error) {
       // HIPAA COMPLIANCE: Never log full error object as it may contain patient memory data (PHI)
@@ -461,6 +735,357 @@ class MemoryService {
       return [];
     }
   }
+
+  /**
+   * Memories waiting for a caregiver, oldest first, with the call and words they came from
+   * @returns {Promise<Array>} Pending memories
+   */
+  async getPendingMemories() {
+    try {
+      await this.db.waitForInitialization();
+
+      const rows = await this.db.all(`
+        SELECT m.memory_key, m.memory_content, m.category, m.previous_content, m.previous_category, m.pending_removal,
+               m.source_call_sid, m.source_utterance, m.created_at, m.updated_at,
+               c.id AS conversation_id, c.start_time AS call_started_at
+        FROM memories m
+        LEFT JOIN conversations c ON c.call_sid = m.source_call_sid
+        WHERE m.patient_id = ? AND m.review_status = 'pending'
+        ORDER BY m.updated_at ASC, m.id ASC
+      `, [this.patientId]);
+
+      return rows.map(row => ({
+        key: row.memory_key,
+        content: row.memory_content,
+        category: row.category,
+        removal: Boolean(row.pending_removal), // The companion asked to forget it
+        previous: row.previous_content !== null
+          ? { content: row.previous_content, category: row.previous_category }
+          : null,
+        source: {
+          callSid: row.source_call_sid,
+          conversationId: row.conversation_id, // Set once the call has been saved
+          callStartedAt: row.call_started_at,
+          utterance: row.source_utterance
+        },
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+      }));
+
+    } catch (error) {
+      // HIPAA COMPLIANCE: Never log full error object as it may contain patient memory data (PHI)
+      console.error('Error getting pending memories:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Approve a pending memory, optionally with a caregiver's edits
+   * Approving a pending removal deletes the memory; edits don't apply to it.
+   * @param {string} key - The memory key
+   * @param {number|null} reviewerId - User who reviewed it
+   * @param {Object} changes - { content, category } to save instead of what the companion wrote
+   * @returns {Promise<Object>} Result object with status
+   */
+  async approveMemory(key, reviewerId = null, { content, category } = {}) {
+    try {
+      await this.db.waitForInitialization();
+
+      const normalizedKey = key.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+      const pending = await this.db.get(`
+        SELECT id, memory_content, category, is_fact, pending_removal FROM memories
+        WHERE patient_id = ? AND memory_key = ? AND review_status = 'pending'
+      `, [this.patientId, normalizedKey]);
+
+      if (!pending) {
+        return {
+          status: 'not_found',
+          message: `No pending memory with key '${normalizedKey}'`
+        };
+      }
+
+      if (pending.pending_removal) {
+        await this.db.run('DELETE FROM memories WHERE id = ?', [pending.id]);
+        this.memoryCache.delete(normalizedKey);
+        await this.recordRevision(
+          normalizedKey,
+          'deleted',
+          MemoryRevisionService.toVersion(pending.memory_content, pending.category, pending.is_fact),
+          null,
+          { type: 'user', userId: reviewerId }
+        );
+        return {
+          status: 'success',
+          key: normalizedKey,
+          action: 'deleted'
+        };
+      }
+
+      const approvedContent = content || pending.memory_content;
+      const approvedCategory = category || pending.category;
+      await this.db.run(`
+        UPDATE memories
+        SET memory_content = ?, category = ?, review_status = 'approved',
+            previous_content = NULL, previous_category = NULL, previous_is_fact = NULL,
+            reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [approvedContent, approvedCategory, reviewerId, pending.id]);
+
+      await this.embeddings.refreshMemory(pending.id);
+      this.memoryCache.set(normalizedKey, {
+        content: approvedContent,
+        category: approvedCategory,
+        is_fact: Boolean(pending.is_fact),
+        pending: false,
+        removal: false,
+        previous: null
+      });
+
+      await this.recordRevision(
+        normalizedKey,
+        'approved',
+        MemoryRevisionService.toVersion(pending.memory_content, pending.category, pending.is_fact),
+        MemoryRevisionService.toVersion(approvedContent, approvedCategory, pending.is_fact),
+        { type: 'user', userId: reviewerId }
+      );
+
+      return {
+        status: 'success',
+        key: normalizedKey,
+        action: content || category ? 'edited' : 'approved'
+      };
+
+    } catch (error) {
+      // HIPAA COMPLIANCE: Never log full error object as it may contain patient memory data (PHI)
+      console.error('Error approving memory:', error.message);
+      return {
+        status: 'error',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Reject a pending memory
+   * A new memory is removed; a change to an approved memory, or its removal, goes back to the approved version.
+   * @param {string} key - The memory key
+   * @param {number|null} reviewerId - User who reviewed it
+   * @returns {Promise<Object>} Result object with status
+   */
+  async rejectMemory(key, reviewerId = null) {
+    try {
+      await this.db.waitForInitialization();
+
+      const normalizedKey = key.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+      const pending = await this.db.get(`
+        SELECT id, memory_content, category, is_fact, previous_content, previous_category, previous_is_fact FROM memories
+        WHERE patient_id = ? AND memory_key = ? AND review_status = 'pending'
+      `, [this.patientId, normalizedKey]);
+
+      if (!pending) {
+        return {
+          status: 'not_found',
+          message: `No pending memory with key '${normalizedKey}'`
+        };
+      }
+
+      const rejected = MemoryRevisionService.toVersion(pending.memory_content, pending.category, pending.is_fact);
+      const reviewer = { type: 'user', userId: reviewerId };
+
+      if (pending.previous_content === null) {
+        await this.db.run('DELETE FROM memories WHERE id = ?', [pending.id]);
+        this.memoryCache.delete(normalizedKey);
+        await this.recordRevision(normalizedKey, 'rejected', rejected, null, reviewer);
+        return {
+          status: 'success',
+          key: normalizedKey,
+          action: 'removed'
+        };
+      }
+
+      const restored = MemoryService.toCacheEntry(pending).previous;
+      await this.db.run(`
+        UPDATE memories
+        SET memory_content = previous_content, category = previous_category, is_fact = ?, review_status = 'approved',
+            pending_removal = 0, previous_content = NULL, previous_category = NULL, previous_is_fact = NULL,
+            reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [restored.is_fact ? 1 : 0, reviewerId, pending.id]);
+
+      await this.embeddings.refreshMemory(pending.id);
+      this.memoryCache.set(normalizedKey, { ...restored, pending: false, removal: false, previous: null });
+
+      await this.recordRevision(
+        normalizedKey,
+        'rejected',
+        rejected,
+        MemoryRevisionService.toVersion(restored.content, restored.category, restored.is_fact),
+        reviewer
+      );
+
+      return {
+        status: 'success',
+        key: normalizedKey,
+        action: 'restored'
+      };
+
+    } catch (error) {
+      // HIPAA COMPLIANCE: Never log full error object as it may contain patient memory data (PHI)
+      console.error('Error rejecting memory:', error.message);
+      return {
+        status: 'error',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Give a memory a new key, keeping its content and history
+   * @param {string} oldKey - Current key
+   * @param {string} newKey - New key
+   * @param {Object} options
+   * @param {Object} options.actor - Who is renaming it, for the history
+   * @returns {Promise<Object>} Result object with status ('conflict' when newKey is taken)
+   */
+  async renameMemory(oldKey, newKey, { actor = null } = {}) {
+    try {
+      await this.db.waitForInitialization();
+
+      const normalizedOld = oldKey.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+      const normalizedNew = newKey.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+      if (!normalizedNew) {
+        throw new Error('New memory key is required');
+      }
+
+      const existing = await this.db.get(`
+        SELECT id, memory_key, memory_content, category, is_fact, review_status, previous_content, previous_category, previous_is_fact, pending_removal
+        FROM memories WHERE patient_id = ? AND memory_key = ?
+      `, [this.patientId, normalizedOld]);
+
+      if (!existing) {
+        return {
+          status: 'not_found',
+          message: `Memory with key '${normalizedOld}' does not exist`
+        };
+      }
+
+      if (normalizedNew === normalizedOld) {
+        return { status: 'success', key: normalizedNew, action: 'unchanged' };
+      }
+
+      const taken = await this.db.get('SELECT id FROM memories WHERE patient_id = ? AND memory_key = ?', [this.patientId, normalizedNew]);
+      if (taken) {
+        return {
+          status: 'conflict',
+          message: `Memory with key '${normalizedNew}' already exists`
+        };
+      }
+
+      await this.db.run('UPDATE memories SET memory_key = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [normalizedNew, existing.id]);
+
+      this.memoryCache.delete(normalizedOld);
+      this.memoryCache.set(normalizedNew, MemoryService.toCacheEntry(existing));
+      await this.embeddings.refreshMemory(existing.id);
+
+      const version = MemoryRevisionService.toVersion(existing.memory_content, existing.category, existing.is_fact);
+      await this.recordRevision(normalizedNew, 'renamed', version, version, actor, normalizedOld);
+
+      return {
+        status: 'success',
+        key: normalizedNew,
+        previousKey: normalizedOld,
+        action: 'renamed'
+      };
+
+    } catch (error) {
+      // HIPAA COMPLIANCE: Never log full error object as it may contain patient memory data (PHI)
+      console.error('Error renaming memory:', error.message);
+      return {
+        status: 'error',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * A memory's history, newest first (also works for removed memories)
+   * @param {string} key - The memory key
+   * @returns {Promise<Array>} Revisions from MemoryRevisionService
+   */
+  async getHistory(key) {
+    try {
+      const normalizedKey = key.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+      return await this.revisions.getHistory(this.patientId, normalizedKey);
+    } catch (error) {
+      // HIPAA COMPLIANCE: Never log full error object as it may contain patient memory data (PHI)
+      console.error('Error getting memory history:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Removed memories that can still be restored, most recent first
+   * @param {number} limit - Maximum number to return
+   * @returns {Promise<Array>} The revision that removed each
+   */
+  async getDeletedMemories(limit = 50) {
+    try {
+      return await this.revisions.getDeleted(this.patientId, limit);
+    } catch (error) {
+      // HIPAA COMPLIANCE: Never log full error object as it may contain patient memory data (PHI)
+      console.error('Error getting deleted memories:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Put a memory back to the version a revision recorded
+   * Restores the version the revision saved, or for a removal the version
+   * before it, which brings a removed memory back. The restored memory is approved.
+   * @param {string} key - The memory key
+   * @param {number} revisionId - Revision from the memory's history
+   * @param {Object} options
+   * @param {Object} options.actor - Who is restoring it, for the history
+   * @returns {Promise<Object>} Result object with status
+   */
+  async restoreRevision(key, revisionId, { actor = null } = {}) {
+    try {
+      const normalizedKey = key.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+      const history = await this.revisions.getHistory(this.patientId, normalizedKey);
+      const revision = history.find(rev => rev.id === revisionId);
+
+      if (!revision) {
+        return {
+          status: 'not_found',
+          message: `Memory '${normalizedKey}' has no revision ${revisionId}`
+        };
+      }
+
+      const version = revision.after || revision.before;
+      const result = await this.saveMemory(normalizedKey, version.content, version.category, version.isFact, {
+        actor,
+        action: 'restored'
+      });
+      if (result.status !== 'success') {
+        return result;
+      }
+
+      return {
+        status: 'success',
+        key: normalizedKey,
+        action: 'restored',
+        revisionId
+      };
+
+    } catch (error) {
+      // HIPAA COMPLIANCE: Never log full error object as it may contain patient memory data (PHI)
+      console.error('Error restoring memory revision:', error.message);
+      return {
+        status: 'error',
+        message: error.message
+      };
+    }
+  }
 }
 
 module.exports = MemoryService;
\ No newline at end of file
@@ -0,0 +1,347 @@
+const SilencePolicyService = require('./silence-policy-service');
+const CallRoutingService = require('./call-routing-service');
+
+/**
+ * PatientService - Manages patient profiles for multi-resident deployments
+ *
+ * A patient profile holds everything that used to be hardcoded for a single
+ * resident: the name the AI uses, the family contact messages are relayed to,
+ * the facility and its timezone. Each call is matched to a patient by the
+ * Twilio number that was dialed, falling back to the default patient.
+ *
+ * Profile shape returned by this service:
+ * {
+ *   id, name, preferredName, facilityName, facilityLocation, timezone,
+ *   phoneNumbers: ['+15551234567'],
+ *   familyContacts: [{ name, relationship, phone, isPrimary, availableHours? }],
+ *   primaryContact: { name, relationship, phone, isPrimary } | null,
+ *   silencePolicy: { audioBufferMs, steps, alertFamilyOnSilentHangup } | null (default policy),
+ *   transferTargets: [{ name, relationship, phone, timeoutSeconds?, availableHours? }] (dialed in order),
+ *   isActive
+ * }
+ */
+class PatientService {
+  /**
+   * The patient seeded by migration 10; used when a call can't be matched
+   */
+  static DEFAULT_PATIENT_ID = 1;
+
+  /**
+   * In-memory copy of the seeded profile for code paths that can't hit the
+   * database (e.g. synchronous template rendering without a patient)
+   */
+  static DEFAULT_PROFILE = Object.freeze({
+    id: 1,
+    name: 'Francine',
+    preferredName: 'Francine',
+    facilityName: null,
+    facilityLocation: 'La Palma, CA (Orange County)',
+    timezone: 'America/Los_Angeles',
+    phoneNumbers: [],
+    familyContacts: [{ name: 'Ryan', relationship: 'son', phone: null, isPrimary: true }],
+    primaryContact: { name: 'Ryan', relationship: 'son', phone: null, isPrimary: true },
+    silencePolicy: null,
+    transferTargets: [],
+    fhirPatientReference: null,
+    isActive: true
+  });
+
+  /**
+   * How long a transfer target's phone may ring, in seconds
+   */
+  static TRANSFER_TIMEOUT_LIMITS = Object.freeze({ min: 5, max: 60 });
+
+  /**
+   * A FHIR Patient reference, relative ('Patient/123') or absolute ('https://ehr.example.org/fhir/Patient/123')
+   */
+  static FHIR_PATIENT_REFERENCE = /^(https?:\/\/\S+\/)?Patient\/[A-Za-z0-9\-.]{1,64}$/;
+
+  constructor(databaseManager) {
+    this.db = databaseManager;
+  }
+
+  /**
+   * Normalize a phone number to its digits so '+1 (555) 123-4567' matches '+15551234567'
+   * @param {string} phoneNumber - Raw phone number
+   * @returns {string} Digits only, with a leading US country code stripped
+   */
+  static normalizePhoneNumber(phoneNumber) {
+    if (!phoneNumber || typeof phoneNumber !== 'string') return '';
+    const digits = phoneNumber.replace(/\D/g, '');
+    return digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+  }
+
+  /**
+   * Convert a patients row into a profile object
+   * @param {Object} row - Row from the patients table
+   * @returns {Object|null} Patient profile
+   */
+  static formatPatient(row) {
+    if (!row) return null;
+
+    const parseJsonArray = (value) => {
+      try {
+        const parsed = JSON.parse(value || '[]');
+        return Array.isArray(parsed) ? parsed : [];
+      } catch (error) {
+        return [];
+      }
+    };
+
+    const familyContacts = parseJsonArray(row.family_contacts);
+
+    let silencePolicy = null;
+    try {
+      silencePolicy = row.silence_policy ? JSON.parse(row.silence_policy) : null;
+    } catch (error) {
+      silencePolicy = null;
+    }
+
+    return {
+      id: row.id,
+      name: row.name,
+      preferredName: row.preferred_name || row.name,
+      facilityName: row.facility_name || null,
+      facilityLocation: row.facility_location || null,
+      timezone: row.timezone || 'America/Los_Angeles',
+      phoneNumbers: parseJsonArray(row.phone_numbers),
+      familyContacts,
+      primaryContact: familyContacts.find(contact => contact.isPrimary) || familyContacts[0] || null,
+      silencePolicy,
+      transferTargets: parseJsonArray(row.transfer_targets),
+      fhirPatientReference: row.fhir_patient_reference || null,
+      isActive: Boolean(row.is_active),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Get a patient profile by id
+   * @param {number} id - Patient id
+   * @returns {Promise<Object|null>} Patient profile or null if not found
+   */
+  async getPatient(id) {
+    await this.db.waitForInitialization();
+    const row = await this.db.get('SELECT * FROM patients WHERE id = ?', [id]);
+    return PatientService.formatPatient(row);
+  }
+
+  /**
+   * Get the default patient, falling back to the built-in profile
+   * @returns {Promise<Object>} Patient profile
+   */
+  async getDefaultPatient() {
+    try {
+      const patient = await this.getPatient(PatientService.DEFAULT_PATIENT_ID);
+      return patient || { ...PatientService.DEFAULT_PROFILE };
+    } catch (error) {
+      console.error('Error loading default patient:', error.message);
+      return { ...PatientService.DEFAULT_PROFILE };
+    }
+  }
+
+  /**
+   * List patient profiles
+   * @param {Object} options
+   * @param {boolean} options.includeInactive - Include deactivated patients
+   * @returns {Promise<Array>} Patient profiles ordered by id
+   */
+  async listPatients({ includeInactive = false } = {}) {
+    await this.db.waitForInitialization();
+    const rows = await this.db.all(
+      `SELECT * FROM patients ${includeInactive ? '' : 'WHERE is_active = 1'} ORDER BY id`
+    );
+    return rows.map(row => PatientService.formatPatient(row));
+  }
+
+  /**
+   * Find the active patient whose profile lists the dialed number
+   * @param {string} phoneNumber - Twilio "To" number
+   * @returns {Promise<Object|null>} Patient profile or null if no match
+   */
+  async findByPhoneNumber(phoneNumber) {
+    const target = PatientService.normalizePhoneNumber(phoneNumber);
+    if (!target) return null;
+
+    const patients = await this.listPatients();
+    return patients.find(patient =>
+      patient.phoneNumbers.some(number => PatientService.normalizePhoneNumber(number) === target)
+    ) || null;
+  }
+
+  /**
+   * Resolve which patient an incoming call belongs to
+   * Never throws - a call must always be answered, so errors fall back to the default patient
+   * @param {string} toNumber - Twilio "To" number
+   * @returns {Promise<Object>} Patient profile
+   */
+  async resolveForCall(toNumber) {
+    try {
+      const patient = await this.findByPhoneNumber(toNumber);
+      if (patient) return patient;
+    } catch (error) {
+      console.error('Error resolving patient for call:', error.message);
+    }
+    return this.getDefaultPatient();
+  }
+
+  /**
+   * Validate profile fields from the admin API
+   * @param {Object} data - Profile fields (camelCase)
+   * @param {boolean} partial - Whether missing required fields are allowed (updates)
+   * @returns {Array<string>} Validation errors
+   */
+  static validate(data, partial = false) {
+    const errors = [];
+
+    if (!partial || data.name !== undefined) {
+      if (!data.name || typeof data.name !== 'string' || !data.name.trim()) {
+        errors.push('name is required');
+      }
+    }
+
+    if (data.timezone !== undefined) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: data.timezone });
+      } catch (error) {
+        errors.push(`timezone '${data.timezone}' is not a valid IANA timezone`);
+      }
+    }
+
+    if (data.phoneNumbers !== undefined &&
+        (!Array.isArray(data.phoneNumbers) || data.phoneNumbers.some(number => typeof number !== 'string'))) {
+      errors.push('phoneNumbers must be an array of strings');
+    }
+
+    if (data.familyContacts !== undefined) {
+      if (!Array.isArray(data.familyContacts)) {
+        errors.push('familyContacts must be an array');
+      } else if (data.familyContacts.some(contact => !contact || typeof contact.name !== 'string' || !contact.name.trim())) {
+        errors.push('each family contact requires a name');
+      } else if (data.familyContacts.some(contact => contact.availableHours && (
+        CallRoutingService.parseTime(contact.availableHours.start) === null ||
+        CallRoutingService.parseTime(contact.availableHours.end) === null))) {
+        errors.push('family contact availableHours must be { start: \'HH:MM\', end: \'HH:MM\' }');
+      }
+    }
+
+    if (data.silencePolicy !== undefined) {
+      errors.push(...SilencePolicyService.validate(data.silencePolicy));
+    }
+
+    if (data.transferTargets !== undefined) {
+      const { min, max } = PatientService.TRANSFER_TIMEOUT_LIMITS;
+      if (!Array.isArray(data.transferTargets)) {
+        errors.push('transferTargets must be an array');
+      } else if (data.transferTargets.some(target => !target || typeof target.name !== 'string' || !target.name.trim() ||
+        typeof target.phone !== 'string' || !target.phone.trim())) {
+        errors.push('each transfer target requires a name and phone');
+      } else if (data.transferTargets.some(target => target.timeoutSeconds !== undefined && (
+        !Number.isInteger(target.timeoutSeconds) || target.timeoutSeconds < min || target.timeoutSeconds > max))) {
+        errors.push(`transfer target timeoutSeconds must be an integer from ${min} to ${max}`);
+      } else if (data.transferTargets.some(target => target.availableHours && (
+        CallRoutingService.parseTime(target.availableHours.start) === null ||
+        CallRoutingService.parseTime(target.availableHours.end) === null))) {
+        errors.push('transfer target availableHours must be { start: \'HH:MM\', end: \'HH:MM\' }');
+      }
+    }
+
+    if (data.fhirPatientReference !== undefined && data.fhirPatientReference !== null &&
+        (typeof data.fhirPatientReference !== 'string' || !PatientService.FHIR_PATIENT_REFERENCE.test(data.fhirPatientReference))) {
+      errors.push('fhirPatientReference must be a FHIR Patient reference like \'Patient/123\'');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Create a patient profile
+   * @param {Object} data - Profile fields (camelCase)
+   * @returns {Promise<Object>} Created patient profile
+   */
+  async createPatient(data) {
+    const errors = PatientService.validate(data);
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+
+    await this.db.waitForInitialization();
+    const result = await this.db.run(`
+      INSERT INTO patients (name, preferred_name, facility_name, facility_location, timezone, phone_numbers, family_contacts, silence_policy, transfer_targets,
+                            fhir_patient_reference)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      data.name.trim(),
+      data.preferredName || null,
+      data.facilityName || null,
+      data.facilityLocation || null,
+      data.timezone || 'America/Los_Angeles',
+      JSON.stringify(data.phoneNumbers || []),
+      JSON.stringify(data.familyContacts || []),
+      data.silencePolicy ? JSON.stringify(data.silencePolicy) : null,
+      JSON.stringify(data.transferTargets || []),
+      data.fhirPatientReference || null
+    ]);
+
+    return this.getPatient(result.lastID);
+  }
+
+  /**
+   * Update a patient profile; only provided fields are changed
+   * @param {number} id - Patient id
+   * @param {Object} data - Profile fields (camelCase)
+   * @returns {Promise<Object|null>} Updated profile or null if not found
+   */
+  async updatePatient(id, data) {
+    const errors = PatientService.validate(data, true);
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+
+    const columns = {
+      name: 'name',
+      preferredName: 'preferred_name',
+      facilityName: 'facility_name',
+      facilityLocation: 'facility_location',
+      timezone: 'timezone',
+      phoneNumbers: 'phone_numbers',
+      familyContacts: 'family_contacts',
+      silencePolicy: 'silence_policy',
+      transferTargets: 'transfer_targets',
+      fhirPatientReference: 'fhir_patient_reference',
+      isActive: 'is_active'
+    };
+
+    const assignments = [];
+    const params = [];
+    for (const [field, column] of Object.entries(columns)) {
+      if (data[field] === undefined) continue;
+
+      let value = data[field];
+      if (field === 'phoneNumbers' || field === 'familyContacts' || field === 'transferTargets') {
+        value = JSON.stringify(value);
+      } else if (field === 'silencePolicy') {
+        value = value ? JSON.stringify(value) : null;
+      } else if (field === 'fhirPatientReference') {
+        value = value || null;
+      } else if (field === 'isActive') {
+        value = value ? 1 : 0;
+      }
+      assignments.push(`${column} = ?`);
+      params.push(value);
+    }
+
+    await this.db.waitForInitialization();
+    if (assignments.length > 0) {
+      await this.db.run(
+        `UPDATE patients SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...params, id]
+      );
+    }
+
+    return this.getPatient(id);
+  }
+}
+
+module.exports = PatientService;
@@ -0,0 +1,322 @@
+const mustache = require('mustache');
+const tools = require('../functions/function-manifest');
+
+/**
+ * PersonaService - Registry of the companion personas callers talk to
+ *
+ * A persona is data rather than template logic: the backstory the system prompt
+ * introduces, story themes used for redirection, the Deepgram voice model, the
+ * opening greetings and which functions the persona may call. Personas are
+ * addressed by a lowercase slug (e.g. 'jessica') used in
+ * /incoming/persona/:name and in the `persona` stream parameter.
+ *
+ * Backstories and greetings are mustache templates and may use {{patientName}},
+ * {{familyContactName}} and {{familyContactRelationship}}.
+ *
+ * Profile shape returned by this service:
+ * {
+ *   name, displayName, backstory,
+ *   storyThemes: ['...'],
+ *   voiceModel: 'aura-asteria-en' | null (deployment default),
+ *   greetings: ['Hi {{patientName}}!'],
+ *   allowedFunctions: ['recallMemory'] | [] (all functions),
+ *   isActive
+ * }
+ */
+class PersonaService {
+  /**
+   * Persona used when a call doesn't name one, or names one that isn't available
+   */
+  static DEFAULT_PERSONA = 'jessica';
+
+  /**
+   * Greetings used when a persona doesn't define its own
+   */
+  static DEFAULT_GREETINGS = Object.freeze([
+    'Hello?',
+    'Hi {{patientName}}!',
+    'Hello {{patientName}}!',
+    'Hi there!',
+    'Hello!',
+    'Hi!',
+    'Hey there!',
+    'Hi {{patientName}}, how are you?',
+    'Hello {{patientName}}, how are you doing?',
+    'Hi, how are you?'
+  ]);
+
+  /**
+   * Personas seeded by migration 11; also used for code paths without a database
+   */
+  static BUILT_IN_PERSONAS = Object.freeze({
+    jessica: Object.freeze({
+      name: 'jessica',
+      displayName: 'Jessica',
+      backstory: '{{familyContactName}}\'s friend, licensed ER nurse at Northwestern Memorial Hospital, Chicago. ' +
+        'You have golden retriever Max, care for elderly mother, love Italian cooking (grandmother\'s recipes) and gardening. ' +
+        'You\'re calling from Chicago, far from {{patientName}}\'s facility.\n\n' +
+        '**Professional approach:** ER nursing experience for health education and comfort. ' +
+        'For serious symptoms → direct to facility nurses immediately. Remember: {{patientName}} exaggerates due to anxiety. ' +
+        'Share ER perspective on stress/symptoms without diagnosing. No prescriptions, only comfort measures.\n\n' +
+        '**Your topics:** Max/dogs, elderly mother stories, ER experiences, Italian recipes, gardening, plus general safe topics below.',
+      storyThemes: Object.freeze([
+        'ER experiences (patient similarities, teamwork, heartwarming moments)',
+        'Max\'s antics (garbage raids, squirrel chasing, training mishaps)',
+        'mother\'s care (forgetfulness, daily activities, funny moments)',
+        'cooking adventures (recipe attempts, family traditions, kitchen successes/disasters)'
+      ]),
+      voiceModel: null,
+      greetings: PersonaService.DEFAULT_GREETINGS,
+      allowedFunctions: Object.freeze([]),
+      isActive: true
+    })
+  });
+
+  constructor(databaseManager) {
+    this.db = databaseManager;
+  }
+
+  /**
+   * Get a copy of a built-in persona by name (case-sensitive)
+   * @param {string} name - Persona slug
+   * @returns {Object|null} Persona profile or null if not built in
+   */
+  static getBuiltInPersona(name) {
+    if (!Object.prototype.hasOwnProperty.call(PersonaService.BUILT_IN_PERSONAS, name)) {
+      return null;
+    }
+    const persona = PersonaService.BUILT_IN_PERSONAS[name];
+    return {
+      ...persona,
+      storyThemes: [...persona.storyThemes],
+      greetings: [...persona.greetings],
+      allowedFunctions: [...persona.allowedFunctions]
+    };
+  }
+
+  /**
+   * Names of the functions a persona can be allowed to call
+   * @returns {Array<string>} Function names from the function manifest
+   */
+  static getFunctionNames() {
+    return tools.map(tool => tool.function.name);
+  }
+
+  /**
+   * Convert a personas row into a profile object
+   * @param {Object} row - Row from the personas table
+   * @returns {Object|null} Persona profile
+   */
+  static formatPersona(row) {
+    if (!row) return null;
+
+    const parseJsonArray = (value) => {
+      try {
+        const parsed = JSON.parse(value || '[]');
+        return Array.isArray(parsed) ? parsed : [];
+      } catch (error) {
+        return [];
+      }
+    };
+
+    return {
+      name: row.name,
+      displayName: row.display_name,
+      backstory: row.backstory,
+      storyThemes: parseJsonArray(row.story_themes),
+      voiceModel: row.voice_model || null,
+      greetings: parseJsonArray(row.greetings),
+      allowedFunctions: parseJsonArray(row.allowed_functions),
+      isActive: Boolean(row.is_active),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Render a persona's greetings for a patient, falling back to the default set
+   * @param {Object|null} persona - Persona profile
+   * @param {Object} patient - Patient profile from PatientService
+   * @returns {Array<string>} Greetings ready to speak
+   */
+  static renderGreetings(persona, patient) {
+    const greetings = persona?.greetings?.length ? persona.greetings : PersonaService.DEFAULT_GREETINGS;
+    const view = { patientName: patient?.preferredName || patient?.name || '' };
+    return greetings.map(greeting => mustache.render(greeting, view).replace(/\s+([!?,.])/g, '$1').trim());
+  }
+
+  /**
+   * Validate persona fields from the admin API
+   * @param {Object} data - Persona fields (camelCase)
+   * @param {boolean} partial - Whether missing required fields are allowed (updates)
+   * @returns {Array<string>} Validation errors
+   */
+  static validate(data, partial = false) {
+    const errors = [];
+    const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+    const isStringArray = value => Array.isArray(value) && value.every(isNonEmptyString);
+
+    if (!partial) {
+      if (typeof data.name !== 'string' || !/^[a-z0-9][a-z0-9-]{0,49}$/.test(data.name)) {
+        errors.push('name must be a lowercase slug (letters, numbers and dashes)');
+      }
+    }
+
+    for (const field of ['displayName', 'backstory']) {
+      if ((!partial || data[field] !== undefined) && !isNonEmptyString(data[field])) {
+        errors.push(`${field} is required`);
+      }
+    }
+
+    if (data.voiceModel !== undefined && data.voiceModel !== null && !isNonEmptyString(data.voiceModel)) {
+      errors.push('voiceModel must be a string or null');
+    }
+
+    for (const field of ['storyThemes', 'greetings']) {
+      if (data[field] !== undefined && !isStringArray(data[field])) {
+        errors.push(`${field} must be an array of strings`);
+      }
+    }
+
+    if (data.allowedFunctions !== undefined) {
+      if (!Array.isArray(data.allowedFunctions)) {
+        errors.push('allowedFunctions must be an array');
+      } else {
+        const known = PersonaService.getFunctionNames();
+        const unknown = data.allowedFunctions.filter(name => !known.includes(name));
+        if (unknown.length > 0) {
+          errors.push(`unknown functions: ${unknown.join(', ')}`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get a persona by name
+   * @param {string} name - Persona slug
+   * @returns {Promise<Object|null>} Persona profile or null if not found
+   */
+  async getPersona(name) {
+    await this.db.waitForInitialization();
+    const row = await this.db.get('SELECT * FROM personas WHERE name = ?', [name]);
+    return PersonaService.formatPersona(row);
+  }
+
+  /**
+   * List personas
+   * @param {Object} options
+   * @param {boolean} options.includeInactive - Include disabled personas
+   * @returns {Promise<Array>} Persona profiles ordered by name
+   */
+  async listPersonas({ includeInactive = false } = {}) {
+    await this.db.waitForInitialization();
+    const rows = await this.db.all(
+      `SELECT * FROM personas ${includeInactive ? '' : 'WHERE is_active = 1'} ORDER BY name`
+    );
+    return rows.map(row => PersonaService.formatPersona(row));
+  }
+
+  /**
+   * Resolve the persona a call should use
+   * Never throws - falls back to the default persona so a call is always answered
+   * @param {string} name - Requested persona slug
+   * @returns {Promise<Object>} Active persona profile
+   */
+  async resolvePersona(name) {
+    try {
+      const persona = await this.getPersona(name || PersonaService.DEFAULT_PERSONA);
+      if (persona && persona.isActive) return persona;
+
+      if (name && name !== PersonaService.DEFAULT_PERSONA) {
+        console.warn(`Persona '${name}' is not available - using ${PersonaService.DEFAULT_PERSONA}`);
+        const fallback = await this.getPersona(PersonaService.DEFAULT_PERSONA);
+        if (fallback) return fallback;
+      }
+    } catch (error) {
+      console.error('Error resolving persona:', error.message);
+    }
+    return PersonaService.getBuiltInPersona(PersonaService.DEFAULT_PERSONA);
+  }
+
+  /**
+   * Create a persona
+   * @param {Object} data - Persona fields (camelCase)
+   * @returns {Promise<Object>} Created persona profile
+   */
+  async createPersona(data) {
+    const errors = PersonaService.validate(data);
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+
+    await this.db.waitForInitialization();
+    await this.db.run(`
+      INSERT INTO personas (name, display_name, backstory, story_themes, voice_model, greetings, allowed_functions)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      data.name,
+      data.displayName.trim(),
+      data.backstory.trim(),
+      JSON.stringify(data.storyThemes || []),
+      data.voiceModel || null,
+      JSON.stringify(data.greetings || []),
+      JSON.stringify(data.allowedFunctions || [])
+    ]);
+
+    return this.getPersona(data.name);
+  }
+
+  /**
+   * Update a persona; only provided fields are changed
+   * @param {string} name - Persona slug
+   * @param {Object} data - Persona fields (camelCase)
+   * @returns {Promise<Object|null>} Updated persona or null if not found
+   */
+  async updatePersona(name, data) {
+    const errors = PersonaService.validate(data, true);
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+
+    const columns = {
+      displayName: 'display_name',
+      backstory: 'backstory',
+      storyThemes: 'story_themes',
+      voiceModel: 'voice_model',
+      greetings: 'greetings',
+      allowedFunctions: 'allowed_functions',
+      isActive: 'is_active'
+    };
+
+    const assignments = [];
+    const params = [];
+    for (const [field, column] of Object.entries(columns)) {
+      if (data[field] === undefined) continue;
+
+      let value = data[field];
+      if (Array.isArray(value)) {
+        value = JSON.stringify(value);
+      } else if (field === 'isActive') {
+        value = value ? 1 : 0;
+      } else if (field === 'voiceModel') {
+        value = value || null;
+      }
+      assignments.push(`${column} = ?`);
+      params.push(value);
+    }
+
+    await this.db.waitForInitialization();
+    if (assignments.length > 0) {
+      await this.db.run(
+        `UPDATE personas SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE name = ?`,
+        [...params, name]
+      );
+    }
+
+    return this.getPersona(name);
+  }
+}
+
+module.exports = PersonaService;
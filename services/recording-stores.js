@@ -0,0 +1,79 @@
+require('dotenv').config();
+
+/**
+ * Recording Stores - Where call and voicemail recordings live, for retention purges
+ *
+ * Recordings never touch our database: Twilio keeps them with the call. A
+ * recording store is anything with `removeForCall(callSid) -> Promise<number>`
+ * (the number of recordings deleted). Built-in types:
+ *
+ * - twilio (default): deletes the call's recordings through the Twilio API
+ * - stub: StubRecordingStore, which only remembers which calls were purged; used by tests
+ */
+
+/**
+ * Recordings kept by Twilio
+ */
+class TwilioRecordingStore {
+  constructor(client = null) {
+    this.client = client;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = require('twilio')(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+    }
+    return this.client;
+  }
+
+  async removeForCall(callSid) {
+    const recordings = await this.getClient().recordings.list({ callSid });
+    for (const recording of recordings) {
+      await this.getClient().recordings(recording.sid).remove();
+    }
+    return recordings.length;
+  }
+}
+
+/**
+ * Local stand-in store; records which calls' recordings were removed
+ */
+class StubRecordingStore {
+  constructor(recordings = {}) {
+    this.recordings = { ...recordings }; // callSid -> number of recordings
+    this.removed = [];
+  }
+
+  async removeForCall(callSid) {
+    const count = this.recordings[callSid] || 0;
+    delete this.recordings[callSid];
+    this.removed.push(callSid);
+    return count;
+  }
+}
+
+/**
+ * Build the configured recording store
+ * RETENTION_RECORDING_STORE picks twilio (default) or stub; tests always use the stub
+ * @param {string} type - 'twilio' or 'stub'
+ * @returns {Object} Store with removeForCall(callSid)
+ */
+function createRecordingStore(type = process.env.RETENTION_RECORDING_STORE || 'twilio') {
+  if (process.env.NODE_ENV === 'test') {
+    return new StubRecordingStore();
+  }
+  switch (type) {
+  case 'twilio':
+    return new TwilioRecordingStore();
+  case 'stub':
+    return new StubRecordingStore();
+  default:
+    throw new Error(`Unknown recording store: ${type}`);
+  }
+}
+
+module.exports = {
+  createRecordingStore,
+  StubRecordingStore,
+  TwilioRecordingStore
+};
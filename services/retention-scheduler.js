@@ -0,0 +1,97 @@
+require('colors');
+
+const RetentionService = require('./retention-service');
+const AuditService = require('./audit-service');
+
+/**
+ * RetentionScheduler - Applies the data retention policies once a day
+ *
+ * Every tick it checks when the last scheduled run started and, once a day has
+ * passed, runs RetentionService. Nothing runs until at least one data class has
+ * a retention period. Ticking never throws; a failed run is recorded in
+ * retention_runs and tried again the next day. Each run is also recorded in
+ * the audit log.
+ */
+class RetentionScheduler {
+  static TICK_INTERVAL_MS = 60 * 60 * 1000;
+  static RUN_INTERVAL_HOURS = 24;
+
+  /**
+   * @param {Object} options
+   * @param {Object} options.databaseManager - DatabaseManager instance
+   * @param {Object} options.recordingStore - Recording store (defaults from createRecordingStore)
+   * @param {number} options.intervalMs - How often to check whether a run is due
+   */
+  constructor({
+    databaseManager,
+    recordingStore = null,
+    intervalMs = RetentionScheduler.TICK_INTERVAL_MS
+  }) {
+    this.db = databaseManager;
+    this.intervalMs = intervalMs;
+    this.retentionService = new RetentionService(databaseManager, recordingStore);
+    this.timer = null;
+    this.isTicking = false;
+  }
+
+  /**
+   * Start checking for due runs
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    // The scheduler alone shouldn't keep the process alive
+    this.timer.unref?.();
+    console.log(`🗑️  Retention scheduler started (every ${Math.round(this.intervalMs / 60000)}m)`.cyan);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Apply the retention policies if a run is due
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} The run, or null when none was due
+   */
+  async tick(now = new Date()) {
+    // A long purge must not overlap the next tick
+    if (this.isTicking) return null;
+    this.isTicking = true;
+
+    try {
+      const policies = await this.retentionService.getPolicies();
+      if (!policies.some(policy => policy.retainDays)) {
+        return null;
+      }
+
+      const lastRun = await this.retentionService.getLastScheduledRun();
+      if (lastRun && now - lastRun < RetentionScheduler.RUN_INTERVAL_HOURS * 60 * 60 * 1000) {
+        return null;
+      }
+
+      const run = await this.retentionService.run({ trigger: 'schedule', now });
+      await new AuditService(this.db).record({
+        action: 'data_purged',
+        actor: 'retention scheduler',
+        targetType: 'retention_run',
+        targetId: run.id,
+        details: { status: run.status, totals: run.totals },
+        now
+      });
+      const purged = run.totals.reduce((total, item) => total + item.records, 0);
+      console.log(`🗑️  Retention run ${run.id} ${run.status}: ${purged} records purged`.cyan);
+      return run;
+    } catch (error) {
+      console.error('Error applying retention policies:', error.message);
+      return null;
+    } finally {
+      this.isTicking = false;
+    }
+  }
+}
+
+module.exports = RetentionScheduler;
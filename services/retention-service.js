@@ -0,0 +1,570 @@
+const { createRecordingStore } = require('./recording-stores');
+
+/**
+ * RetentionService - Purges PHI once it is older than its retention policy
+ *
+ * Each data class has its own policy: how many days to keep it (none keeps it
+ * forever, the default) and whether to delete it or anonymize it. Anonymizing
+ * keeps what the dashboards and trends need (timings, counts, scores) and
+ * removes what was said:
+ *
+ * - messages: transcript lines; anonymized lines keep their role and time. Also
+ *   covers what was said that is kept elsewhere: guidance sent to the companion
+ *   during the call (deleted, or anonymized like a line), the caller's words
+ *   whispered on a transfer and the quote a memory was learned from (cleared)
+ * - summaries: call summaries and recaps; anonymized summaries keep call metrics only
+ * - emotional_metrics: per-call scores; anonymizing clears the detected keywords
+ * - voicemail_transcripts: the voicemail left before a call (delete only)
+ * - recordings: the call's recordings, through a recording store (delete only)
+ *
+ * Age is measured from the start of the call. Conversations under a legal hold
+ * are never purged. Every purge is logged in retention_purges with ids and
+ * counts only, grouped by run in retention_runs. A preview reports what a run
+ * would purge without changing anything.
+ */
+class RetentionService {
+  static DATA_CLASSES = Object.freeze({
+    messages: { label: 'Call transcripts', actions: ['delete', 'anonymize'] },
+    summaries: { label: 'Call summaries and recaps', actions: ['delete', 'anonymize'] },
+    emotional_metrics: { label: 'Emotional metrics', actions: ['delete', 'anonymize'] },
+    voicemail_transcripts: { label: 'Voicemail transcripts', actions: ['delete'] },
+    recordings: { label: 'Call recordings', actions: ['delete'] }
+  });
+
+  static REDACTED = '[removed by retention policy]';
+  static CALL_SID_OF = '(SELECT call_sid FROM conversations WHERE id = ?)';
+  static PREVIEW_CALL_LIMIT = 50;
+
+  /**
+   * @param {Object} databaseManager - DatabaseManager instance
+   * @param {Object} recordingStore - Store with removeForCall(callSid) (defaults from createRecordingStore)
+   */
+  constructor(databaseManager, recordingStore = null) {
+    this.db = databaseManager;
+    this.recordingStore = recordingStore;
+  }
+
+  getRecordingStore() {
+    if (!this.recordingStore) {
+      this.recordingStore = createRecordingStore();
+    }
+    return this.recordingStore;
+  }
+
+  static toSqliteTime(date) {
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+  }
+
+  /**
+   * Validate a policy change
+   * @param {string} dataClass - One of DATA_CLASSES
+   * @param {Object} data - { retainDays?, action? }
+   * @returns {Array<string>} Error messages; empty when valid
+   */
+  static validatePolicy(dataClass, data = {}) {
+    const dataClassInfo = RetentionService.DATA_CLASSES[dataClass];
+    if (!dataClassInfo) {
+      return [`dataClass must be one of: ${Object.keys(RetentionService.DATA_CLASSES).join(', ')}`];
+    }
+
+    const errors = [];
+    if (data.retainDays !== undefined && data.retainDays !== null &&
+        !(Number.isInteger(data.retainDays) && data.retainDays >= 1)) {
+      errors.push('retainDays must be a whole number of days (at least 1), or null to keep forever');
+    }
+    if (data.action !== undefined && !dataClassInfo.actions.includes(data.action)) {
+      errors.push(`action must be one of: ${dataClassInfo.actions.join(', ')}`);
+    }
+    return errors;
+  }
+
+  /**
+   * The policy of every data class, including those never set
+   * @returns {Promise<Array>} { dataClass, label, actions, retainDays, action, updatedBy, updatedAt }
+   */
+  async getPolicies() {
+    await this.db.waitForInitialization();
+    const rows = await this.db.all(`
+      SELECT p.*, u.display_name AS updated_by_name
+      FROM retention_policies p
+      LEFT JOIN users u ON u.id = p.updated_by
+    `);
+
+    return Object.entries(RetentionService.DATA_CLASSES).map(([dataClass, { label, actions }]) => {
+      const row = rows.find(candidate => candidate.data_class === dataClass);
+      return {
+        dataClass,
+        label,
+        actions,
+        retainDays: row?.retain_days ?? null,
+        action: row?.action || 'delete',
+        updatedBy: row?.updated_by_name ?? null,
+        updatedAt: row?.updated_at ?? null
+      };
+    });
+  }
+
+  /**
+   * Change a data class's policy; only provided fields change
+   * @param {string} dataClass - One of DATA_CLASSES
+   * @param {Object} data - { retainDays?, action? }
+   * @param {number} userId - Who changed it
+   * @returns {Promise<Object>} The policy
+   */
+  async updatePolicy(dataClass, data, userId = null) {
+    const errors = RetentionService.validatePolicy(dataClass, data);
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+
+    const current = (await this.getPolicies()).find(policy => policy.dataClass === dataClass);
+    await this.db.run(`
+      INSERT INTO retention_policies (data_class, retain_days, action, updated_by, updated_at)
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(data_class) DO UPDATE SET
+        retain_days = excluded.retain_days, action = excluded.action,
+        updated_by = excluded.updated_by, updated_at = CURRENT_TIMESTAMP
+    `, [
+      dataClass,
+      data.retainDays !== undefined ? data.retainDays : current.retainDays,
+      data.action !== undefined ? data.action : current.action,
+      userId
+    ]);
+
+    return (await this.getPolicies()).find(policy => policy.dataClass === dataClass);
+  }
+
+  /**
+   * Convert a conversations row to the legal hold API shape
+   */
+  static formatHold(row) {
+    return {
+      conversationId: row.id,
+      callSid: row.call_sid,
+      startTime: row.start_time,
+      legalHold: Boolean(row.legal_hold),
+      reason: row.legal_hold_reason,
+      setBy: row.legal_hold_by_name ?? null,
+      setAt: row.legal_hold_at
+    };
+  }
+
+  async getLegalHold(conversationId, patientId) {
+    await this.db.waitForInitialization();
+    const row = await this.db.get(`
+      SELECT c.id, c.call_sid, c.start_time, c.legal_hold, c.legal_hold_reason, c.legal_hold_at,
+             u.display_name AS legal_hold_by_name
+      FROM conversations c
+      LEFT JOIN users u ON u.id = c.legal_hold_by
+      WHERE c.id = ? AND c.patient_id = ?
+    `, [conversationId, patientId]);
+    return row ? RetentionService.formatHold(row) : null;
+  }
+
+  /**
+   * The patient's conversations under a legal hold, most recent call first
+   * @param {number} patientId - Patient id
+   * @returns {Promise<Array>} Legal holds
+   */
+  async listLegalHolds(patientId) {
+    await this.db.waitForInitialization();
+    const rows = await this.db.all(`
+      SELECT c.id, c.call_sid, c.start_time, c.legal_hold, c.legal_hold_reason, c.legal_hold_at,
+             u.display_name AS legal_hold_by_name
+      FROM conversations c
+      LEFT JOIN users u ON u.id = c.legal_hold_by
+      WHERE c.patient_id = ? AND c.legal_hold = 1
+      ORDER BY c.start_time DESC
+    `, [patientId]);
+    return rows.map(RetentionService.formatHold);
+  }
+
+  /**
+   * Place or lift a legal hold on a conversation
+   * @param {number} conversationId - Conversation id
+   * @param {number} patientId - Patient the conversation must belong to
+   * @param {Object} hold - { hold: boolean, reason? }
+   * @param {number} userId - Who changed it
+   * @returns {Promise<Object|null>} The hold, or null if the conversation wasn't found
+   */
+  async setLegalHold(conversationId, patientId, { hold, reason = null }, userId = null) {
+    if (!(await this.getLegalHold(conversationId, patientId))) {
+      return null;
+    }
+
+    if (hold) {
+      await this.db.run(`
+        UPDATE conversations
+        SET legal_hold = 1, legal_hold_reason = ?, legal_hold_by = ?, legal_hold_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [reason, userId, conversationId]);
+    } else {
+      await this.db.run(`
+        UPDATE conversations
+        SET legal_hold = 0, legal_hold_reason = NULL, legal_hold_by = NULL, legal_hold_at = NULL
+        WHERE id = ?
+      `, [conversationId]);
+    }
+
+    return this.getLegalHold(conversationId, patientId);
+  }
+
+  /**
+   * How many of a conversation's records a policy would still purge
+   * A call's recordings count as one until they have been purged.
+   */
+  async countPending(dataClass, action, conversationId) {
+    const anonymize = action === 'anonymize';
+    let row;
+    switch (dataClass) {
+    case 'messages':
+      row = await this.db.get(`
+        SELECT (SELECT COUNT(*) FROM messages WHERE conversation_id = ? ${anonymize ? 'AND decrypt_field(content) != ?' : ''})
+             + (SELECT COUNT(*) FROM call_guidance WHERE call_sid = ${RetentionService.CALL_SID_OF} ${anonymize ? 'AND decrypt_field(message) != ?' : ''})
+             + (SELECT COUNT(*) FROM call_transfers WHERE call_sid = ${RetentionService.CALL_SID_OF} AND recent_utterances IS NOT NULL)
+             + (SELECT COUNT(*) FROM memories WHERE source_call_sid = ${RetentionService.CALL_SID_OF} AND source_utterance IS NOT NULL) AS records
+      `, anonymize
+        ? [conversationId, RetentionService.REDACTED, conversationId, RetentionService.REDACTED, conversationId, conversationId]
+        : [conversationId, conversationId, conversationId, conversationId]);
+      break;
+    case 'summaries':
+      row = await this.db.get(anonymize ? `
+        SELECT (SELECT COUNT(*) FROM summaries WHERE conversation_id = ?
+                  AND (CASE WHEN json_valid(decrypt_field(summary_text)) THEN json_extract(decrypt_field(summary_text), '$.anonymized') END) IS NULL)
+             + (SELECT COUNT(*) FROM conversation_narratives WHERE conversation_id = ? AND decrypt_field(narrative) != ?) AS records
+      ` : `
+        SELECT (SELECT COUNT(*) FROM summaries WHERE conversation_id = ?)
+             + (SELECT COUNT(*) FROM conversation_narratives WHERE conversation_id = ?) AS records
+      `, anonymize ? [conversationId, conversationId, RetentionService.REDACTED] : [conversationId, conversationId]);
+      break;
+    case 'emotional_metrics':
+      row = await this.db.get(
+        `SELECT COUNT(*) AS records FROM emotional_metrics WHERE conversation_id = ?
+         ${anonymize ? 'AND (emergency_indicators IS NOT NULL OR memory_triggers IS NOT NULL)' : ''}`,
+        [conversationId]
+      );
+      break;
+    case 'voicemail_transcripts':
+      row = await this.db.get(
+        'SELECT COUNT(*) AS records FROM conversations WHERE id = ? AND voicemail_transcript IS NOT NULL',
+        [conversationId]
+      );
+      break;
+    case 'recordings':
+      row = await this.db.get(`
+        SELECT CASE WHEN EXISTS (
+          SELECT 1 FROM retention_purges WHERE conversation_id = ? AND data_class = 'recordings'
+        ) THEN 0 ELSE 1 END AS records
+      `, [conversationId]);
+      break;
+    default:
+      throw new Error(`Unknown data class: ${dataClass}`);
+    }
+    return row?.records || 0;
+  }
+
+  /**
+   * What each policy would purge now
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} { dataClass, action, retainDays, cutoff, conversations: [{ conversationId, callSid, startTime, records }] }
+   */
+  async plan(now = new Date()) {
+    await this.db.waitForInitialization();
+    const plan = [];
+
+    for (const policy of await this.getPolicies()) {
+      if (!policy.retainDays) continue;
+
+      const cutoff = new Date(now.getTime() - policy.retainDays * 24 * 60 * 60 * 1000);
+      const candidates = await this.db.all(`
+        SELECT id, call_sid, start_time FROM conversations
+        WHERE start_time < ? AND COALESCE(legal_hold, 0) = 0
+        ORDER BY start_time ASC
+      `, [cutoff.toISOString()]);
+
+      const conversations = [];
+      for (const candidate of candidates) {
+        const records = await this.countPending(policy.dataClass, policy.action, candidate.id);
+        if (records > 0) {
+          conversations.push({ conversationId: candidate.id, callSid: candidate.call_sid, startTime: candidate.start_time, records });
+        }
+      }
+
+      plan.push({
+        dataClass: policy.dataClass,
+        action: policy.action,
+        retainDays: policy.retainDays,
+        cutoff: cutoff.toISOString(),
+        conversations
+      });
+    }
+    return plan;
+  }
+
+  /**
+   * What a run would purge now, without changing anything
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { generatedAt, heldConversations, classes }
+   */
+  async preview(now = new Date()) {
+    const plan = await this.plan(now);
+    const held = await this.db.get('SELECT COUNT(*) AS count FROM conversations WHERE legal_hold = 1');
+
+    return {
+      generatedAt: now.toISOString(),
+      heldConversations: held.count,
+      classes: plan.map(({ conversations, ...policy }) => ({
+        ...policy,
+        conversationCount: conversations.length,
+        records: conversations.reduce((total, conversation) => total + conversation.records, 0),
+        conversations: conversations.slice(0, RetentionService.PREVIEW_CALL_LIMIT)
+      }))
+    };
+  }
+
+  /**
+   * Keep only the metrics of a stored call summary
+   * @param {Object} summary - Summary from SummaryGenerator
+   * @returns {Object} Anonymized summary
+   */
+  static anonymizeSummary(summary) {
+    const { callMetadata = {}, conversationMetrics = {}, mentalStateIndicators = {}, behavioralPatterns = {} } = summary || {};
+    return {
+      anonymized: true,
+      callSid: summary?.callSid,
+      startTime: summary?.startTime,
+      endTime: summary?.endTime,
+      callMetadata: {
+        duration: callMetadata.duration,
+        dayOfWeek: callMetadata.dayOfWeek,
+        timeOfDay: callMetadata.timeOfDay
+      },
+      conversationMetrics,
+      mentalStateIndicators,
+      behavioralPatterns
+    };
+  }
+
+  /**
+   * Apply a policy to one conversation's data (inside a transaction)
+   * @returns {number} Records deleted or anonymized
+   */
+  applySync(dataClass, action, conversationId, summaries = []) {
+    const anonymize = action === 'anonymize';
+    switch (dataClass) {
+    case 'messages': {
+      const records = anonymize
+        ? this.db.runSync('UPDATE messages SET content = ? WHERE conversation_id = ? AND decrypt_field(content) != ?',
+          [RetentionService.REDACTED, conversationId, RetentionService.REDACTED]).changes +
+          this.db.runSync(`UPDATE call_guidance SET message = ? WHERE call_sid = ${RetentionService.CALL_SID_OF} AND decrypt_field(message) != ?`,
+            [RetentionService.REDACTED, conversationId, RetentionService.REDACTED]).changes
+        : this.db.runSync('DELETE FROM messages WHERE conversation_id = ?', [conversationId]).changes +
+          this.db.runSync(`DELETE FROM call_guidance WHERE call_sid = ${RetentionService.CALL_SID_OF}`, [conversationId]).changes;
+      return records +
+        this.db.runSync(`
+          UPDATE call_transfers SET recent_utterances = NULL
+          WHERE call_sid = ${RetentionService.CALL_SID_OF} AND recent_utterances IS NOT NULL
+        `, [conversationId]).changes +
+        this.db.runSync(`
+          UPDATE memories SET source_utterance = NULL
+          WHERE source_call_sid = ${RetentionService.CALL_SID_OF} AND source_utterance IS NOT NULL
+        `, [conversationId]).changes;
+    }
+    case 'summaries':
+      if (!anonymize) {
+        return this.db.runSync('DELETE FROM summaries WHERE conversation_id = ?', [conversationId]).changes +
+          this.db.runSync('DELETE FROM conversation_narratives WHERE conversation_id = ?', [conversationId]).changes;
+      } else {
+        let records = 0;
+        for (const { id, summary_text: summaryText } of summaries) {
+          let summary = null;
+          try {
+            summary = JSON.parse(summaryText);
+          } catch {
+            // Unreadable summaries keep nothing
+          }
+          if (summary?.anonymized) continue;
+          records += this.db.runSync('UPDATE summaries SET summary_text = ? WHERE id = ?',
+            [JSON.stringify(RetentionService.anonymizeSummary(summary)), id]).changes;
+        }
+        return records + this.db.runSync(`
+          UPDATE conversation_narratives SET narrative = ?, key_topics = '[]', concerns = '[]', requests = '[]'
+          WHERE conversation_id = ? AND decrypt_field(narrative) != ?
+        `, [RetentionService.REDACTED, conversationId, RetentionService.REDACTED]).changes;
+      }
+    case 'emotional_metrics':
+      return anonymize
+        ? this.db.runSync(`
+            UPDATE emotional_metrics SET emergency_indicators = NULL, memory_triggers = NULL
+            WHERE conversation_id = ? AND (emergency_indicators IS NOT NULL OR memory_triggers IS NOT NULL)
+          `, [conversationId]).changes
+        : this.db.runSync('DELETE FROM emotional_metrics WHERE conversation_id = ?', [conversationId]).changes;
+    case 'voicemail_transcripts':
+      return this.db.runSync(
+        'UPDATE conversations SET voicemail_transcript = NULL WHERE id = ? AND voicemail_transcript IS NOT NULL',
+        [conversationId]
+      ).changes;
+    default:
+      throw new Error(`Unknown data class: ${dataClass}`);
+    }
+  }
+
+  /**
+   * Purge one conversation's data for a policy and log it
+   * @returns {Promise<number|null>} Records purged, or null when skipped (a legal hold placed since planning)
+   */
+  async purge(runId, dataClass, action, { conversationId, callSid }) {
+    const logPurge = records => this.db.runSync(`
+      INSERT INTO retention_purges (run_id, data_class, action, conversation_id, call_sid, records)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [runId, dataClass, action, conversationId, callSid, records]);
+    const isHeld = () => Boolean(this.db._getSync('SELECT legal_hold FROM conversations WHERE id = ?', [conversationId])?.legal_hold);
+
+    if (dataClass === 'recordings') {
+      if (isHeld()) return null;
+      const records = await this.getRecordingStore().removeForCall(callSid);
+      logPurge(records);
+      return records;
+    }
+
+    const summaries = dataClass === 'summaries' && action === 'anonymize'
+      ? await this.db.all('SELECT id, summary_text FROM summaries WHERE conversation_id = ?', [conversationId])
+      : [];
+
+    return this.db.transaction(() => {
+      if (isHeld()) return null;
+      const records = this.applySync(dataClass, action, conversationId, summaries);
+      logPurge(records);
+      return records;
+    });
+  }
+
+  /**
+   * Apply every policy and log what was purged
+   * A call whose recordings can't be removed is retried on the next run;
+   * anything else that fails stops the run and marks it failed.
+   * @param {Object} options
+   * @param {string} options.trigger - 'schedule' or 'manual'
+   * @param {number} options.userId - Who started a manual run
+   * @param {Date} options.now - Current time
+   * @returns {Promise<Object>} The run (see getRun)
+   */
+  async run({ trigger = 'manual', userId = null, now = new Date() } = {}) {
+    await this.db.waitForInitialization();
+    const { lastID: runId } = await this.db.run(
+      'INSERT INTO retention_runs (triggered_by, user_id, started_at) VALUES (?, ?, ?)',
+      [trigger, userId, RetentionService.toSqliteTime(now)]
+    );
+
+    try {
+      for (const { dataClass, action, conversations } of await this.plan(now)) {
+        for (const conversation of conversations) {
+          try {
+            await this.purge(runId, dataClass, action, conversation);
+          } catch (error) {
+            if (dataClass !== 'recordings') throw error;
+            console.error(`Error removing recordings for conversation ${conversation.conversationId}:`, error.message);
+          }
+        }
+      }
+      await this.db.run(
+        'UPDATE retention_runs SET status = \'completed\', finished_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [runId]
+      );
+    } catch (error) {
+      // HIPAA COMPLIANCE: Never log full error object as it may contain patient data (PHI)
+      console.error('Error applying retention policies:', error.message);
+      await this.db.run(
+        'UPDATE retention_runs SET status = \'failed\', error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [error.message, runId]
+      );
+    }
+
+    return this.getRun(runId);
+  }
+
+  /**
+   * Convert a retention_runs row (with its totals) to the API shape
+   */
+  static formatRun(row, totals) {
+    return {
+      id: row.id,
+      trigger: row.triggered_by,
+      startedBy: row.user_name ?? null,
+      status: row.status,
+      error: row.error,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      totals: totals.map(total => ({
+        dataClass: total.data_class,
+        action: total.action,
+        conversations: total.conversations,
+        records: total.records
+      }))
+    };
+  }
+
+  /**
+   * One run with its totals and, optionally, each conversation it purged
+   * @param {number} runId - Run id
+   * @param {Object} options - { includePurges }
+   * @returns {Promise<Object|null>} Run
+   */
+  async getRun(runId, { includePurges = false } = {}) {
+    await this.db.waitForInitialization();
+    const row = await this.db.get(`
+      SELECT r.*, u.display_name AS user_name
+      FROM retention_runs r
+      LEFT JOIN users u ON u.id = r.user_id
+      WHERE r.id = ?
+    `, [runId]);
+    if (!row) return null;
+
+    const totals = await this.db.all(`
+      SELECT data_class, action, COUNT(*) AS conversations, SUM(records) AS records
+      FROM retention_purges WHERE run_id = ?
+      GROUP BY data_class, action
+      ORDER BY data_class
+    `, [runId]);
+    const run = RetentionService.formatRun(row, totals);
+
+    if (includePurges) {
+      run.purges = await this.db.all(`
+        SELECT data_class AS dataClass, action, conversation_id AS conversationId, call_sid AS callSid,
+               records, purged_at AS purgedAt
+        FROM retention_purges WHERE run_id = ?
+        ORDER BY id
+      `, [runId]);
+    }
+    return run;
+  }
+
+  /**
+   * Recent runs, newest first
+   * @param {number} limit - Maximum number to return
+   * @returns {Promise<Array>} Runs with their totals
+   */
+  async listRuns(limit = 20) {
+    await this.db.waitForInitialization();
+    const rows = await this.db.all('SELECT id FROM retention_runs ORDER BY id DESC LIMIT ?', [limit]);
+    const runs = [];
+    for (const { id } of rows) {
+      runs.push(await this.getRun(id));
+    }
+    return runs;
+  }
+
+  /**
+   * When the last scheduled run started
+   * @returns {Promise<Date|null>}
+   */
+  async getLastScheduledRun() {
+    await this.db.waitForInitialization();
+    const row = await this.db.get(
+      'SELECT MAX(started_at) AS startedAt FROM retention_runs WHERE triggered_by = \'schedule\''
+    );
+    return row?.startedAt ? new Date(`${row.startedAt.replace(' ', 'T')}Z`) : null;
+  }
+}
+
+module.exports = RetentionService;
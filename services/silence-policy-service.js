@@ -0,0 +1,156 @@
+/**
+ * SilencePolicyService - Per-patient escalation ladder for caller silence
+ *
+ * When a caller stops responding, the call walks through the policy's steps in
+ * order. Each step waits `timeoutSeconds` of silence and then takes its action:
+ *
+ * - 'prompt'  - gently check in with one of the step's messages
+ * - 'story'   - ask the AI to redirect with a short story from the persona's life
+ * - 'hangup'  - say one of the step's messages as a goodbye and end the call
+ *
+ * Any response from the caller resets the ladder to the first step. A ladder
+ * that runs out of steps without hanging up simply keeps the call open.
+ *
+ * Policy shape (stored as JSON on the patient profile; null uses the default):
+ * {
+ *   audioBufferMs: 3000,
+ *   steps: [{ timeoutSeconds: 8, action: 'prompt', messages: ['Are you still there?'] }],
+ *   alertFamilyOnSilentHangup: false
+ * }
+ */
+class SilencePolicyService {
+  static ACTIONS = Object.freeze(['prompt', 'story', 'hangup']);
+
+  static MAX_STEPS = 10;
+
+  static DEFAULT_AUDIO_BUFFER_MS = 3000;
+
+  static DEFAULT_PROMPTS = Object.freeze([
+    'Hello? Are you still there?',
+    'I\'m still here if you need me.',
+    'Is everything okay?',
+    'Are you still with me?'
+  ]);
+
+  static DEFAULT_GOODBYES = Object.freeze([
+    'I\'ll let you go for now. Take care!',
+    'Goodbye for now. I\'m here whenever you need me.',
+    'Have a wonderful day. Call me anytime!',
+    'Take care, and don\'t hesitate to call if you need anything.'
+  ]);
+
+  /**
+   * Instruction sent to the AI for a 'story' step
+   */
+  static STORY_INSTRUCTION = 'The caller has been quiet for a little while. Gently re-engage them by sharing ' +
+    'a short, warm story from your own life, then ask one simple question. Do not mention the silence.';
+
+  /**
+   * The policy used for patients without their own: one check-in, then a goodbye
+   * @param {number} timeoutSeconds - Silence per step (the admin `call.silenceTimeout`)
+   * @returns {Object} Silence policy
+   */
+  static buildDefaultPolicy(timeoutSeconds = 8) {
+    return {
+      audioBufferMs: SilencePolicyService.DEFAULT_AUDIO_BUFFER_MS,
+      steps: [
+        { timeoutSeconds, action: 'prompt', messages: [...SilencePolicyService.DEFAULT_PROMPTS] },
+        { timeoutSeconds, action: 'hangup', messages: [...SilencePolicyService.DEFAULT_GOODBYES] }
+      ],
+      alertFamilyOnSilentHangup: false
+    };
+  }
+
+  /**
+   * Resolve the policy a call should follow
+   * @param {Object|null} patientPolicy - Patient's saved policy (may be partial or null)
+   * @param {Object} callConfig - `call` section from ConfigService
+   * @returns {Object} Complete silence policy
+   */
+  static resolvePolicy(patientPolicy, callConfig = {}) {
+    const defaults = SilencePolicyService.buildDefaultPolicy(callConfig.silenceTimeout || 8);
+    if (!patientPolicy || SilencePolicyService.validate(patientPolicy).length > 0) {
+      return defaults;
+    }
+
+    return {
+      audioBufferMs: patientPolicy.audioBufferMs ?? defaults.audioBufferMs,
+      steps: patientPolicy.steps?.length
+        ? patientPolicy.steps.map(step => ({
+          timeoutSeconds: step.timeoutSeconds,
+          action: step.action,
+          messages: step.messages?.length ? [...step.messages] : SilencePolicyService.getDefaultMessages(step.action)
+        }))
+        : defaults.steps,
+      alertFamilyOnSilentHangup: Boolean(patientPolicy.alertFamilyOnSilentHangup)
+    };
+  }
+
+  /**
+   * Messages used when a step doesn't define its own
+   * @param {string} action - Step action
+   * @returns {Array<string>} Messages ('story' steps are written by the AI)
+   */
+  static getDefaultMessages(action) {
+    if (action === 'prompt') return [...SilencePolicyService.DEFAULT_PROMPTS];
+    if (action === 'hangup') return [...SilencePolicyService.DEFAULT_GOODBYES];
+    return [];
+  }
+
+  /**
+   * Pick one of a step's messages at random
+   * @param {Object} step - Policy step
+   * @returns {string|null} Message, or null if the step has none
+   */
+  static pickMessage(step) {
+    if (!step?.messages?.length) return null;
+    return step.messages[Math.floor(Math.random() * step.messages.length)];
+  }
+
+  /**
+   * Validate a silence policy from the admin API
+   * @param {Object|null} policy - Silence policy (null resets to the default)
+   * @returns {Array<string>} Validation errors
+   */
+  static validate(policy) {
+    const errors = [];
+    if (policy === null) return errors;
+
+    if (typeof policy !== 'object' || Array.isArray(policy)) {
+      return ['silencePolicy must be an object or null'];
+    }
+
+    if (policy.audioBufferMs !== undefined &&
+        (typeof policy.audioBufferMs !== 'number' || policy.audioBufferMs < 0 || policy.audioBufferMs > 10000)) {
+      errors.push('silencePolicy.audioBufferMs must be a number between 0 and 10000');
+    }
+
+    if (policy.alertFamilyOnSilentHangup !== undefined && typeof policy.alertFamilyOnSilentHangup !== 'boolean') {
+      errors.push('silencePolicy.alertFamilyOnSilentHangup must be a boolean');
+    }
+
+    if (policy.steps !== undefined) {
+      if (!Array.isArray(policy.steps) || policy.steps.length > SilencePolicyService.MAX_STEPS) {
+        errors.push(`silencePolicy.steps must be an array of at most ${SilencePolicyService.MAX_STEPS} steps`);
+      } else {
+        policy.steps.forEach((step, index) => {
+          const label = `silencePolicy.steps[${index}]`;
+          if (!step || typeof step.timeoutSeconds !== 'number' || step.timeoutSeconds < 3 || step.timeoutSeconds > 300) {
+            errors.push(`${label}.timeoutSeconds must be a number between 3 and 300`);
+          }
+          if (!SilencePolicyService.ACTIONS.includes(step?.action)) {
+            errors.push(`${label}.action must be one of: ${SilencePolicyService.ACTIONS.join(', ')}`);
+          }
+          if (step?.messages !== undefined &&
+              (!Array.isArray(step.messages) || step.messages.some(message => typeof message !== 'string' || !message.trim()))) {
+            errors.push(`${label}.messages must be an array of strings`);
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+}
+
+module.exports = SilencePolicyService;
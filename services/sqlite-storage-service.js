@@ -36,19 +36,23 @@ class SqliteStorageService {
           // Remove existing related records to replace them
           this.db.runSync('DELETE FROM summaries WHERE conversation_id = ?', [conversationId]);
           this.db.runSync('DELETE FROM analytics WHERE conversation_id = ?', [conversationId]);
+          this.db.runSync('DELETE FROM silence_events WHERE conversation_id = ?', [conversationId]);
+          this.db.runSync('DELETE FROM token_usage WHERE conversation_id = ?', [conversationId]);
           
         } else {
           // Insert new conversation
           const result = this.db.runSync(`
-            INSERT INTO conversations (call_sid, start_time, end_time, duration, caller_info, voicemail_transcript)
-            VALUES (?, ?, ?, ?, ?, ?)
+            INSERT INTO conversations (call_sid, start_time, end_time, duration, caller_info, voicemail_transcript, patient_id, direction)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
           `, [
             summary.callSid,
             summary.startTime,
             summary.endTime || null,
             summary.callMetadata?.duration || null,
             JSON.stringify(summary.callMetadata || {}),
-            summary.voicemailTranscript || null
+            summary.voicemailTranscript || null,
+            summary.patientId || 1, // Default patient when the caller wasn't routed to a profile
+            summary.direction || 'inbound'
           ]);
           
           conversationId = result.lastInsertRowid;
@@ -77,6 +81,42 @@ class SqliteStorageService {
           JSON.stringify(analyticsData.patterns)
         ]);
 
+        // Insert silence escalation events
+        for (const event of summary.silenceEvents || []) {
+          this.db.runSync(`
+            INSERT INTO silence_events (conversation_id, step_index, action, timeout_seconds, message, family_alerted, occurred_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+          `, [
+            conversationId,
+            event.stepIndex,
+            event.action,
+            event.timeoutSeconds,
+            event.message || null,
+            event.familyAlerted ? 1 : 0,
+            event.timestamp
+          ]);
+        }
+
+        // Insert token usage for each turn
+        for (const turn of summary.tokenUsage || []) {
+          this.db.runSync(`
+            INSERT INTO token_usage (
+              conversation_id, turn, prompt_tokens, completion_tokens, total_tokens,
+              context_tokens, context_messages, summarized_messages, occurred_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `, [
+            conversationId,
+            turn.turn,
+            turn.promptTokens,
+            turn.completionTokens,
+            turn.totalTokens,
+            turn.contextTokens,
+            turn.contextMessages,
+            turn.summarizedMessages,
+            turn.timestamp
+          ]);
+        }
+
         return conversationId;
       });
 
@@ -24,6 +24,9 @@ class SummaryGenerator {
         userUtterances: analyzer.userUtterances.length,
         assistantResponses: analyzer.assistantResponses.length,
         interruptionCount: analyzer.interruptionCount,
+        silenceEventCount: analyzer.silenceEvents?.length || 0,
+        promptTokens: (analyzer.tokenUsage || []).reduce((total, turn) => total + turn.promptTokens, 0),
+        completionTokens: (analyzer.tokenUsage || []).reduce((total, turn) => total + turn.completionTokens, 0),
         averageResponseLatency: this.calculateAverage(analyzer.responseLatencies?.map(r => r.latency) || [])
       },
       
@@ -62,6 +65,18 @@ class SummaryGenerator {
         engagementQuality: this.assessEngagementQuality(analyzer)
       },
       
+      // Silence escalation steps taken during the call
+      silenceEvents: (analyzer.silenceEvents || []).map(event => ({
+        ...event,
+        timestamp: new Date(event.timestamp).toISOString()
+      })),
+      
+      // Model token usage for each turn
+      tokenUsage: (analyzer.tokenUsage || []).map(turn => ({
+        ...turn,
+        timestamp: new Date(turn.timestamp).toISOString()
+      })),
+      
       // Caregiver Insights
       caregiverInsights: this.generateCaregiverInsights(analyzer)
     };
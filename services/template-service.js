@@ -1,6 +1,8 @@
 const fs = require('fs');
 const path = require('path');
 const mustache = require('mustache');
+const PatientService = require('./patient-service');
+const PersonaService = require('./persona-service');
 
 class TemplateService {
   constructor() {
@@ -59,16 +61,50 @@ class TemplateService {
   }
 
   /**
-   * Get the system prompt with current date/time, available memories, call frequency data, and persona
+   * Build the persona section data for the system prompt template
+   * @param {string|Object} persona - Persona profile from PersonaService, or a built-in persona name
+   * @param {Object} patientView - Patient variables available to the backstory ({patientName, familyContactName, ...})
+   * @returns {Object|null} {displayName, backstory, storyThemes}, or null for the generic prompt
+   */
+  buildPersonaView(persona, patientView = {}) {
+    // Names without a profile only resolve to built-in personas; unknown names get the generic prompt
+    const profile = persona && typeof persona === 'object'
+      ? persona
+      : PersonaService.getBuiltInPersona(persona);
+
+    if (!profile) {
+      return null;
+    }
+
+    return {
+      displayName: profile.displayName,
+      backstory: mustache.render(profile.backstory || '', patientView),
+      storyThemes: (profile.storyThemes || []).join(', ')
+    };
+  }
+
+  /**
+   * Get the system prompt with current date/time, available memories, call frequency data, recent calls and persona
    * @param {Array<string>} memoryKeys - Optional array of available memory keys
    * @param {Object} callStats - Optional call frequency statistics {callsToday, lastCallTime, timeSinceLastCall}
-   * @param {string} persona - Persona name (default: 'jessica')
+   * @param {string|Object} persona - Persona profile from PersonaService, or a built-in persona name (default: 'jessica')
+   * @param {Object} patient - Patient profile from PatientService (default: the primary patient)
+   * @param {Object} callHistory - Optional digest of recent calls from CallHistoryService.getDigest
    * @returns {string} Rendered system prompt
    */
-  getSystemPrompt(memoryKeys = [], callStats = null, persona = 'jessica') {
+  getSystemPrompt(memoryKeys = [], callStats = null, persona = 'jessica', patient = null, callHistory = null) {
+    const profile = patient || PatientService.DEFAULT_PROFILE;
+    const patientName = profile.preferredName || profile.name;
+    const contact = profile.primaryContact || null;
+    const patientView = {
+      patientName,
+      familyContactName: contact?.name || 'her family',
+      familyContactRelationship: contact?.relationship || 'family contact'
+    };
+
     const now = new Date();
-    const laTime = now.toLocaleString('en-US', {
-      timeZone: 'America/Los_Angeles',
+    const localTime = now.toLocaleString('en-US', {
+      timeZone: profile.timezone || 'America/Los_Angeles',
       weekday: 'long',
       year: 'numeric',
       month: 'long',
@@ -80,13 +116,15 @@ class TemplateService {
 
     // First render the base template with call frequency data and persona
     let systemPrompt = this.render('system-prompt', {
-      currentDateTime: laTime,
-      persona: persona,  // Pass raw persona value
-      isJessica: persona === 'jessica',  // Helper flag for conditional template
+      currentDateTime: localTime,
+      ...patientView,
+      facilityLocation: profile.facilityLocation || null,
+      persona: this.buildPersonaView(persona, patientView),
       callsToday: callStats?.callsToday || 0,
       timeSinceLastCall: callStats?.timeSinceLastCall || null,
       hasMultipleCalls: callStats && callStats.callsToday > 1,
-      hasFrequentCalls: callStats && callStats.callsToday >= 3
+      hasFrequentCalls: callStats && callStats.callsToday >= 3,
+      recentHistory: callHistory
     });
 
     // Then append memory section if memories are available
@@ -98,7 +136,8 @@ class TemplateService {
         // Group keys by category for better LLM parsing
         const familyKeys = validKeys.filter(key => key.includes('daughter') || key.includes('son') || key.includes('family') || key.includes('mary'));
         const healthKeys = validKeys.filter(key => key.includes('patient') || key.includes('health') || key.includes('allergy') || key.includes('medication'));
-        const preferenceKeys = validKeys.filter(key => key.includes('francine') || key.includes('preferences') || key.includes('hobby'));
+        const patientKey = patientName.toLowerCase();
+        const preferenceKeys = validKeys.filter(key => key.includes(patientKey) || key.includes('preferences') || key.includes('hobby'));
         const otherKeys = validKeys.filter(key => !familyKeys.includes(key) && !healthKeys.includes(key) && !preferenceKeys.includes(key));
 
         const memorySection = `
@@ -0,0 +1,188 @@
+const PatientService = require('./patient-service');
+const ConversationNarrativeService = require('./conversation-narrative-service');
+const CheckInScheduleService = require('./check-in-schedule-service');
+
+/**
+ * TranscriptExportService - A conversation as a document to share outside the dashboard
+ *
+ * Families share particular calls with a doctor or facility nurse. An export
+ * holds the call's details, the recap and care indicators from its summary,
+ * its latest emotional metrics and the transcript with speaker labels and
+ * times in the patient's timezone. TranscriptRenderer turns it into text or
+ * PDF; the JSON format is the export itself.
+ *
+ * Redacting replaces what identifies the patient and family: the names on the
+ * patient profile (patient, family contacts, transfer targets), the facility
+ * and its location, phone numbers, email addresses and street addresses. The
+ * call SID is left out. Names that appear only in conversation (a neighbour,
+ * a nurse) are not known and stay as they are, so a redacted export should
+ * still be read before it is shared.
+ */
+class TranscriptExportService {
+  static FORMATS = Object.freeze(['pdf', 'txt', 'json']);
+
+  static PATTERNS = Object.freeze([
+    { pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, replacement: '[EMAIL]' },
+    { pattern: /(?:\+?1[\s.-]?)?\(?\b\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/g, replacement: '[PHONE]' },
+    {
+      pattern: /\b\d{1,6}\s+(?:[A-Z][a-z]+\s+){1,3}(?:Street|St|Avenue|Ave|Road|Rd|Drive|Dr|Lane|Ln|Boulevard|Blvd|Court|Ct|Way|Place|Pl)\b\.?/g,
+      replacement: '[ADDRESS]'
+    }
+  ]);
+
+  constructor(databaseManager) {
+    this.db = databaseManager;
+  }
+
+  /**
+   * A function that redacts identifiers known from a patient profile
+   * @param {Object} patient - Patient profile from PatientService
+   * @returns {Function} (text) => redacted text
+   */
+  static createRedactor(patient) {
+    const names = [];
+    const addName = (name, replacement) => {
+      if (!name || typeof name !== 'string') return;
+      // The full name and each part of it ("Francine", "Francine Smith", "Smith")
+      for (const part of [name, ...name.split(/\s+/)]) {
+        if (part.trim().length >= 2) {
+          names.push({ text: part.trim(), replacement });
+        }
+      }
+    };
+
+    addName(patient.name, '[PATIENT]');
+    addName(patient.preferredName, '[PATIENT]');
+    for (const contact of [...(patient.familyContacts || []), ...(patient.transferTargets || [])]) {
+      addName(contact.name, '[NAME]');
+    }
+    if (patient.facilityName) names.push({ text: patient.facilityName, replacement: '[FACILITY]' });
+    if (patient.facilityLocation) names.push({ text: patient.facilityLocation, replacement: '[LOCATION]' });
+
+    // Longest first, so "Francine Smith" is replaced before "Francine"
+    names.sort((a, b) => b.text.length - a.text.length);
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    return (text) => {
+      if (typeof text !== 'string') return text;
+      let redacted = text;
+      for (const { pattern, replacement } of TranscriptExportService.PATTERNS) {
+        redacted = redacted.replace(pattern, replacement);
+      }
+      for (const { text: name, replacement } of names) {
+        redacted = redacted.replace(new RegExp(`(?<![\\w\\[])${escape(name)}(?![\\w\\]])`, 'gi'), replacement);
+      }
+      return redacted;
+    };
+  }
+
+  /**
+   * Format a UTC timestamp in a timezone
+   */
+  static formatLocal(timestamp, timezone, options) {
+    if (!timestamp) return null;
+    const date = new Date(timestamp);
+    return isNaN(date.getTime()) ? null : new Intl.DateTimeFormat('en-US', { timeZone: timezone, ...options }).format(date);
+  }
+
+  /**
+   * Build the export of one of a patient's conversations
+   * @param {number} conversationId - Conversation id
+   * @param {number} patientId - Patient the conversation must belong to
+   * @param {Object} options - { redact, now }
+   * @returns {Promise<Object|null>} Export, or null when the conversation isn't the patient's
+   */
+  async buildExport(conversationId, patientId, { redact = false, now = new Date() } = {}) {
+    await this.db.waitForInitialization();
+
+    const conversation = await this.db.get(`
+      SELECT c.id, c.call_sid, c.start_time, c.end_time, c.duration, c.direction, c.voicemail_transcript,
+             s.summary_text
+      FROM conversations c
+      LEFT JOIN summaries s ON s.conversation_id = c.id
+      WHERE c.id = ? AND c.patient_id = ?
+    `, [conversationId, patientId]);
+    if (!conversation) return null;
+
+    const patient = await new PatientService(this.db).getPatient(patientId) || PatientService.DEFAULT_PROFILE;
+    const timezone = patient.timezone;
+    const clean = redact ? TranscriptExportService.createRedactor(patient) : text => text;
+    const cleanList = list => (Array.isArray(list) ? list.map(clean) : []);
+    const patientLabel = redact ? 'Patient' : patient.preferredName;
+
+    const messages = await this.db.all(`
+      SELECT role, content, timestamp
+      FROM messages
+      WHERE conversation_id = ? AND role IN ('user', 'assistant')
+      ORDER BY timestamp ASC, id ASC
+    `, [conversationId]);
+
+    const metrics = await this.db.get(`
+      SELECT anxiety_level, agitation_level, confusion_level, comfort_level,
+             overall_sentiment, sentiment_score,
+             mentions_pain, mentions_medication, mentions_staff_complaint, mentions_family
+      FROM emotional_metrics
+      WHERE conversation_id = ?
+      ORDER BY id DESC LIMIT 1
+    `, [conversationId]);
+
+    let summary = {};
+    try {
+      summary = JSON.parse(conversation.summary_text || '{}') || {};
+    } catch {
+      summary = {};
+    }
+    const recap = await new ConversationNarrativeService(this.db).getForConversation(conversationId);
+    const careIndicators = summary.careIndicators || {};
+
+    return {
+      exportedAt: now.toISOString(),
+      redacted: Boolean(redact),
+      patient: {
+        name: patientLabel,
+        timezone
+      },
+      conversation: {
+        id: conversation.id,
+        callSid: redact ? null : conversation.call_sid,
+        direction: conversation.direction || 'inbound',
+        startTime: conversation.start_time,
+        endTime: conversation.end_time,
+        startTimeLocal: TranscriptExportService.formatLocal(conversation.start_time, timezone, { dateStyle: 'full', timeStyle: 'long' }),
+        localDate: CheckInScheduleService.getLocalDay(new Date(conversation.start_time), timezone).date,
+        durationSeconds: conversation.duration
+      },
+      summary: {
+        recap: recap ? clean(recap.narrative) : null,
+        keyTopics: cleanList(recap?.keyTopics),
+        concerns: cleanList(recap?.concerns),
+        requests: cleanList(recap?.requests),
+        medicationConcerns: cleanList(careIndicators.medicationConcerns),
+        staffComplaints: cleanList(careIndicators.staffComplaints),
+        painLevel: careIndicators.painLevel ?? null
+      },
+      emotionalMetrics: metrics ? {
+        anxietyLevel: metrics.anxiety_level,
+        agitationLevel: metrics.agitation_level,
+        confusionLevel: metrics.confusion_level,
+        comfortLevel: metrics.comfort_level,
+        overallSentiment: metrics.overall_sentiment,
+        sentimentScore: metrics.sentiment_score,
+        mentionsPain: Boolean(metrics.mentions_pain),
+        mentionsMedication: Boolean(metrics.mentions_medication),
+        mentionsStaffComplaint: Boolean(metrics.mentions_staff_complaint),
+        mentionsFamily: Boolean(metrics.mentions_family)
+      } : null,
+      voicemail: conversation.voicemail_transcript ? clean(conversation.voicemail_transcript) : null,
+      transcript: messages.map(message => ({
+        speaker: message.role === 'user' ? patientLabel : 'Companion',
+        role: message.role,
+        timestamp: message.timestamp,
+        time: TranscriptExportService.formatLocal(message.timestamp, timezone, { hour: 'numeric', minute: '2-digit', second: '2-digit' }),
+        text: clean(message.content)
+      }))
+    };
+  }
+}
+
+module.exports = TranscriptExportService;
@@ -0,0 +1,149 @@
+const PdfDocument = require('../utils/pdf-document');
+const DigestRenderer = require('./digest-renderer');
+
+/**
+ * TranscriptRenderer - Turns a TranscriptExportService export into text and PDF
+ *
+ * Both formats come from the same sections: the call's details, its recap and
+ * care indicators, emotional metrics, and the transcript with each line's
+ * speaker and local time.
+ */
+class TranscriptRenderer {
+  static CONTENT_TYPES = Object.freeze({
+    pdf: 'application/pdf',
+    txt: 'text/plain; charset=utf-8',
+    json: 'application/json; charset=utf-8'
+  });
+
+  /**
+   * File name for a download, e.g. francine-call-2024-06-10-42.pdf (call-2024-06-10-42.pdf when redacted)
+   */
+  static filename(transcript, extension) {
+    const name = transcript.patient.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const prefix = transcript.redacted || !name ? '' : `${name}-`;
+    return `${prefix}call-${transcript.conversation.localDate}-${transcript.conversation.id}.${extension}`;
+  }
+
+  static title(transcript) {
+    return `Call transcript: ${transcript.patient.name}`;
+  }
+
+  /**
+   * The export's content as titled sections of paragraphs and bullets
+   * @param {Object} transcript - Export from TranscriptExportService.buildExport
+   * @returns {Array<Object>} [{ title, paragraphs, bullets }]
+   */
+  static buildSections(transcript) {
+    const { conversation, summary, emotionalMetrics } = transcript;
+    const sections = [];
+
+    const details = [
+      `Date: ${conversation.startTimeLocal}`,
+      `Duration: ${conversation.durationSeconds ? DigestRenderer.formatDuration(conversation.durationSeconds) : 'unknown'}`,
+      `Direction: ${conversation.direction === 'outbound' ? 'Outbound check-in' : 'Inbound'}`
+    ];
+    if (conversation.callSid) details.push(`Call ID: ${conversation.callSid}`);
+    details.push(`Times are in ${transcript.patient.timezone}`);
+    if (transcript.redacted) details.push('Names and other identifiers have been redacted');
+    sections.push({ title: 'Call details', paragraphs: [], bullets: details });
+
+    const summaryBullets = [
+      ...summary.keyTopics.map(topic => `Topic: ${topic}`),
+      ...summary.concerns.map(concern => `Concern: ${concern}`),
+      ...summary.requests.map(request => `Request: ${request}`),
+      ...summary.medicationConcerns.map(concern => `Medication: ${concern}`),
+      ...summary.staffComplaints.map(complaint => `Staff complaint: ${complaint}`)
+    ];
+    if (summary.painLevel) summaryBullets.push(`Pain level: ${summary.painLevel}/10`);
+    if (summary.recap || summaryBullets.length > 0) {
+      sections.push({ title: 'Summary', paragraphs: summary.recap ? [summary.recap] : [], bullets: summaryBullets });
+    }
+
+    if (emotionalMetrics) {
+      const level = (label, value) => (value === null || value === undefined ? null : `${label}: ${value}/10`);
+      const mentions = [
+        emotionalMetrics.mentionsPain && 'pain',
+        emotionalMetrics.mentionsMedication && 'medication',
+        emotionalMetrics.mentionsStaffComplaint && 'staff',
+        emotionalMetrics.mentionsFamily && 'family'
+      ].filter(Boolean);
+      sections.push({
+        title: 'Emotional metrics',
+        paragraphs: [],
+        bullets: [
+          level('Anxiety', emotionalMetrics.anxietyLevel),
+          level('Agitation', emotionalMetrics.agitationLevel),
+          level('Confusion', emotionalMetrics.confusionLevel),
+          level('Comfort', emotionalMetrics.comfortLevel),
+          emotionalMetrics.overallSentiment && `Overall sentiment: ${emotionalMetrics.overallSentiment}`,
+          mentions.length > 0 && `Mentioned: ${mentions.join(', ')}`
+        ].filter(Boolean)
+      });
+    }
+
+    if (transcript.voicemail) {
+      sections.push({ title: 'Voicemail left before the call', paragraphs: [transcript.voicemail], bullets: [] });
+    }
+
+    return sections;
+  }
+
+  /**
+   * One transcript line, e.g. "[10:02:15 AM] Francine: Hello?"
+   */
+  static formatLine(line) {
+    return `${line.time ? `[${line.time}] ` : ''}${line.speaker}: ${line.text}`;
+  }
+
+  /**
+   * Plain text
+   * @param {Object} transcript - Export from TranscriptExportService.buildExport
+   * @returns {string} Text
+   */
+  static renderText(transcript) {
+    const lines = [TranscriptRenderer.title(transcript)];
+    for (const section of TranscriptRenderer.buildSections(transcript)) {
+      lines.push('', section.title.toUpperCase(), ...section.paragraphs, ...section.bullets.map(text => `- ${text}`));
+    }
+    lines.push('', 'TRANSCRIPT');
+    if (transcript.transcript.length === 0) {
+      lines.push('No messages were recorded for this call.');
+    }
+    lines.push(...transcript.transcript.map(TranscriptRenderer.formatLine));
+    lines.push('', `Exported ${transcript.exportedAt}`);
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Downloadable PDF
+   * @param {Object} transcript - Export from TranscriptExportService.buildExport
+   * @returns {Buffer} PDF bytes
+   */
+  static renderPdf(transcript) {
+    const title = TranscriptRenderer.title(transcript);
+    const pdf = new PdfDocument({ title });
+    pdf.heading(title);
+    pdf.paragraph(transcript.conversation.startTimeLocal || '', { color: [0.42, 0.45, 0.5] });
+    pdf.rule();
+
+    for (const section of TranscriptRenderer.buildSections(transcript)) {
+      pdf.subheading(section.title);
+      section.paragraphs.forEach(text => pdf.paragraph(text));
+      section.bullets.forEach(text => pdf.bullet(text));
+    }
+
+    pdf.subheading('Transcript');
+    if (transcript.transcript.length === 0) {
+      pdf.paragraph('No messages were recorded for this call.');
+    }
+    for (const line of transcript.transcript) {
+      pdf.text(`${line.time || ''}  ${line.speaker}`, { size: 9, bold: true, spaceBefore: 6, color: [0.42, 0.45, 0.5] });
+      pdf.text(line.text);
+    }
+
+    pdf.paragraph(`Exported ${transcript.exportedAt}`, { size: 9, spaceBefore: 16, color: [0.42, 0.45, 0.5] });
+    return pdf.toBuffer();
+  }
+}
+
+module.exports = TranscriptRenderer;
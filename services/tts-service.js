@@ -11,6 +11,13 @@ class TextToSpeechService extends EventEmitter {
     this.speechBuffer = {};
     this.retryDeepgram = createDeepgramRetry();
     
+    // Persona voice; falls back to the configured voice when the persona doesn't set one
+    this.voiceModel = null;
+    
+    // Configured voice settings (admin config `voice` section), applied at call start
+    this.defaultVoiceModel = null;
+    this.speed = 1.0;
+    
     // Rate limiting configuration
     this.maxRequestsPerSecond = parseInt(process.env.TTS_MAX_REQUESTS_PER_SECOND) || 5;
     this.requestSpacingMs = parseInt(process.env.TTS_REQUEST_SPACING_MS) || 200;
@@ -53,6 +60,45 @@ class TextToSpeechService extends EventEmitter {
     };
   }
 
+  /**
+   * Use a persona's Deepgram voice model for subsequent requests
+   * @param {string|null} voiceModel - Voice model name, or null for the VOICE_MODEL default
+   */
+  setVoiceModel(voiceModel) {
+    this.voiceModel = voiceModel || null;
+  }
+
+  getVoiceModel() {
+    return this.voiceModel || this.defaultVoiceModel || process.env.VOICE_MODEL;
+  }
+
+  /**
+   * Apply the configured voice settings for this call
+   * @param {Object} voiceConfig - `voice` section from ConfigService ({model, speed})
+   */
+  configure(voiceConfig = {}) {
+    this.defaultVoiceModel = voiceConfig.model || null;
+    this.speed = typeof voiceConfig.speed === 'number' ? voiceConfig.speed : 1.0;
+  }
+
+  /**
+   * Build the Deepgram speak URL for the current voice settings
+   * @returns {string} Request URL
+   */
+  getSpeakUrl() {
+    const params = new URLSearchParams({
+      model: this.getVoiceModel(),
+      encoding: 'mulaw',
+      sample_rate: '8000',
+      container: 'none'
+    });
+    // Only send speed when it differs from Deepgram's natural rate
+    if (this.speed !== 1.0) {
+      params.set('speed', String(this.speed));
+    }
+    return `https://api.deepgram.com/v1/speak?${params.toString()}`;
+  }
+
   async generate(gptReply, interactionCount) {
     const { partialResponseIndex, partialResponse } = gptReply;
 
@@ -151,7 +197,7 @@ class TextToSpeechService extends EventEmitter {
         }
 
         const res = await fetch(
-          `https://api.deepgram.com/v1/speak?model=${process.env.VOICE_MODEL}&encoding=mulaw&sample_rate=8000&container=none`,
+          this.getSpeakUrl(),
           {
             method: 'POST',
             headers: {
@@ -11,6 +11,7 @@
  */
 
 const axios = require('axios');
+const PatientService = require('./patient-service');
 
 class VoicemailRecordingService {
   constructor() {
@@ -61,8 +62,14 @@ class VoicemailRecordingService {
   /**
    * Step 3: After recording complete - connect to conversation
    * Plays beep, then connects to WebSocket with voicemail context
+   * @param {string} callSid - Twilio call SID
+   * @param {number|null} patientId - Patient the call was routed to (omitted when unknown)
    */
-  createConnectionResponse(callSid) {
+  createConnectionResponse(callSid, patientId = null) {
+    const patientParameter = patientId
+      ? `\n      <Parameter name="patient_id" value="${patientId}"/>`
+      : '';
+
     return `<?xml version="1.0" encoding="UTF-8"?>
 <Response>
   <!-- Second beep to indicate recording complete -->
@@ -74,7 +81,7 @@ class VoicemailRecordingService {
       <Parameter name="persona" value="jessica"/>
       <Parameter name="voicemail_mode" value="true"/>
       <Parameter name="call_sid" value="${callSid}"/>
-      <Parameter name="play_confirmation" value="true"/>
+      <Parameter name="play_confirmation" value="true"/>${patientParameter}
     </Stream>
   </Connect>
 </Response>`;
@@ -98,18 +105,33 @@ class VoicemailRecordingService {
     }, 600000);
   }
 
+  /**
+   * Confirmation spoken after a voicemail is recorded
+   * @param {Object} patient - Patient profile; the message names their primary family contact
+   * @returns {string} Confirmation text (always starts with "Message saved.")
+   */
+  getConfirmationMessage(patient = null) {
+    const profile = patient || PatientService.DEFAULT_PROFILE;
+    const contactName = profile.primaryContact?.name;
+    if (!contactName) {
+      return 'Message saved. I\'ll pass your message along to your family very soon.';
+    }
+    return `Message saved. I'll send your message to ${contactName} and they will get back to you very soon.`;
+  }
+
   /**
    * Generate confirmation message audio using Deepgram TTS
    * Uses same voice model as the persona for consistency
+   * @param {Object} patient - Patient profile used for the confirmation text
    */
-  async generateMessageSentAudio() {
+  async generateMessageSentAudio(patient = null) {
     try {
       const voiceModel = process.env.VOICE_MODEL || 'aura-asteria-en';
       
       const response = await axios.post(
         'https://api.deepgram.com/v1/speak',
         {
-          text: 'Message saved. I\'ll send your message to Ryan and he will get back to you very soon.'
+          text: this.getConfirmationMessage(patient)
         },
         {
           headers: {
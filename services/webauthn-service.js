@@ -45,7 +45,7 @@ class WebAuthnService {
 
       // Validate registration token
       const tokenData = await dbManager.get(
-        'SELECT expires_at, used FROM registration_tokens WHERE token = ?',
+        'SELECT expires_at, used, role FROM registration_tokens WHERE token = ?',
         [token]
       );
 
@@ -112,6 +112,7 @@ class WebAuthnService {
         challenge: options.challenge,
         token,
         email: email.toLowerCase().trim(),
+        role: tokenData.role,
         expires: Date.now() + (5 * 60 * 1000) // 5 minutes
       });
 
@@ -171,11 +172,11 @@ class WebAuthnService {
       // Start transaction for user creation and token marking
       const db = dbManager.getConnection();
       const transaction = db.transaction(() => {
-        // Create user (no username, email-based)
+        // Create user (no username, email-based) with the role chosen when the token was generated
         const userResult = db.prepare(`
-          INSERT INTO users (email, display_name, created_at, updated_at)
-          VALUES (?, ?, datetime('now'), datetime('now'))
-        `).run(challengeData.email, displayName || challengeData.email);
+          INSERT INTO users (email, display_name, role, created_at, updated_at)
+          VALUES (?, ?, ?, datetime('now'), datetime('now'))
+        `).run(challengeData.email, displayName || challengeData.email, challengeData.role || 'caregiver');
 
         // Store credential in user_credentials table
         const credentialResult = db.prepare(`
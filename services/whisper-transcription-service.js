@@ -21,9 +21,10 @@ class WhisperTranscriptionService {
    * @param {Buffer} audioBuffer - Audio data buffer
    * @param {string} format - Audio format (mp3, wav, etc.)
    * @param {string} callSid - Call SID for context
+   * @param {Object} context - { patient, persona } the voicemail was left for (see getContextPrompt)
    * @returns {Promise<object>} - Transcription result with text and metadata
    */
-  async transcribeAudio(audioBuffer, format, callSid) {
+  async transcribeAudio(audioBuffer, format, callSid, context = {}) {
     console.log(`🎤 Starting Whisper transcription for ${callSid}...`.cyan);
     const startTime = Date.now();
 
@@ -51,7 +52,7 @@ class WhisperTranscriptionService {
         model: this.model,
         language: this.language,
         response_format: 'verbose_json',
-        prompt: this.getContextPrompt()
+        prompt: this.getContextPrompt(context)
       };
 
       console.log(`🔊 Sending ${sizeValidation.sizeMB}MB ${format.toUpperCase()} file to Whisper API...`.gray);
@@ -120,10 +121,27 @@ class WhisperTranscriptionService {
 
   /**
    * Get context prompt optimized for elderly callers and voicemail scenarios
+   * Names the companion and the people the caller is likely to mention (the
+   * patient and their family contacts) so Whisper spells them correctly.
+   * @param {Object} context
+   * @param {Object} context.patient - Patient profile (see PatientService)
+   * @param {Object} context.persona - Persona profile (see PersonaService)
    * @returns {string} - Context prompt for Whisper
    */
-  getContextPrompt() {
-    return 'Voicemail from elderly caller speaking to AI companion named Ryan. May include names like Francine, Mary, Gary, or medical terms. Speaker may have dementia-related speech patterns, repetition, or unclear pronunciation.';
+  getContextPrompt({ patient = null, persona = null } = {}) {
+    const names = [...new Set([
+      patient?.preferredName,
+      patient?.name,
+      ...(patient?.familyContacts || []).map(contact => contact.name)
+    ].filter(Boolean))];
+
+    return [
+      persona?.displayName
+        ? `Voicemail from elderly caller speaking to AI companion named ${persona.displayName}.`
+        : 'Voicemail from elderly caller speaking to an AI companion.',
+      names.length > 0 ? `May include names like ${names.join(', ')}, or medical terms.` : 'May include medical terms.',
+      'Speaker may have dementia-related speech patterns, repetition, or unclear pronunciation.'
+    ].join(' ');
   }
 
   /**
@@ -16,10 +16,15 @@ const adminMemoriesRouter = require('../routes/api/admin-memories');
  * - POST /api/admin/memories - Create new memory
  * - PUT /api/admin/memories/:key - Update memory
  * - DELETE /api/admin/memories/:key - Delete memory
+ * - GET /api/admin/memories/review - Memories waiting for review
+ * - POST /api/admin/memories/:key/approve and /reject - Review a pending memory
+ * - GET /api/admin/memories/:key/history and /deleted - Revision history and deleted memories
+ * - POST /api/admin/memories/:key/history/:revisionId/restore - Restore a version
  */
 
 describe('Admin Memories API', () => {
   let app;
+  let userRole = 'owner';
   let testDb;
   let memoryService;
   let originalConsoleError;
@@ -48,6 +53,8 @@ describe('Admin Memories API', () => {
     // Create Express app with admin memories router
     app = express();
     app.use(express.json());
+    // Stand in for authenticateAdmin with a signed-in user (owner unless a test changes it)
+    app.use((req, res, next) => { req.user = { id: 1, role: userRole }; next(); });
     app.use('/api/admin/memories', adminMemoriesRouter);
 
     // Suppress console errors during testing
@@ -515,6 +522,24 @@ describe('Admin Memories API', () => {
   });
 
   describe('DELETE /api/admin/memories/:key', () => {
+    afterEach(() => {
+      userRole = 'owner';
+    });
+
+    it('should only let owners delete memories', async () => {
+      for (const role of ['caregiver', 'family']) {
+        userRole = role;
+        const response = await request(app)
+          .delete('/api/admin/memories/francines-son-ryan')
+          .expect(403);
+
+        expect(response.body.error).toBe('Insufficient permissions');
+      }
+
+      userRole = 'family';
+      await request(app).get('/api/admin/memories/francines-son-ryan').expect(200);
+    });
+
     it('should delete existing memory', async () => {
       const response = await request(app)
         .delete('/api/admin/memories/francines-son-ryan')
@@ -599,4 +624,142 @@ describe('Admin Memories API', () => {
     });
   });
 
+  describe('Memory review queue', () => {
+    let conversationId;
+
+    beforeEach(async () => {
+      userRole = 'caregiver';
+      await testDb.run('DELETE FROM conversations');
+      await testDb.run('INSERT OR IGNORE INTO users (id, email, display_name, role) VALUES (1, \'lisa@example.com\', \'Lisa\', \'caregiver\')');
+      ({ lastID: conversationId } = await testDb.run(
+        'INSERT INTO conversations (call_sid, start_time, patient_id) VALUES (?, ?, 1)',
+        ['CA-review-api', new Date().toISOString()]
+      ));
+
+      memoryService.setSource({ callSid: 'CA-review-api', utterance: 'Ryan moved to Denver last month' });
+      await memoryService.saveMemory('francines-son-ryan', 'Ryan lives in Denver', 'family', false, { fromCall: true });
+      await memoryService.saveMemory('ryan-moved', 'Ryan moved to Denver last month', 'family', false, { fromCall: true });
+    });
+
+    afterEach(() => {
+      userRole = 'owner';
+    });
+
+    it('should list pending memories with what they would replace and where they came from', async () => {
+      const response = await request(app)
+        .get('/api/admin/memories/review')
+        .expect(200);
+
+      const { memories } = response.body.data;
+      expect(memories.map(memory => memory.key)).toEqual(['francines-son-ryan', 'ryan-moved']);
+      expect(memories[0]).toMatchObject({
+        content: 'Ryan lives in Denver',
+        previous: { content: 'Ryan is her son who visits on weekends and lives in Portland', category: 'family' },
+        source: { callSid: 'CA-review-api', conversationId, utterance: 'Ryan moved to Denver last month' }
+      });
+      expect(memories[1].previous).toBeNull();
+
+      const list = await request(app).get('/api/admin/memories').expect(200);
+      expect(list.body.data.memories.find(memory => memory.key === 'ryan-moved').review_status).toBe('pending');
+    });
+
+    it('should approve a pending memory, with edits, and record the reviewer', async () => {
+      const response = await request(app)
+        .post('/api/admin/memories/francines-son-ryan/approve')
+        .send({ content: 'Ryan moved from Portland to Denver' })
+        .expect(200);
+
+      expect(response.body.data).toEqual({ key: 'francines-son-ryan', action: 'edited' });
+      const row = await testDb.get('SELECT memory_content, review_status, previous_content, reviewed_by FROM memories WHERE memory_key = ?', ['francines-son-ryan']);
+      expect(row).toEqual({ memory_content: 'Ryan moved from Portland to Denver', review_status: 'approved', previous_content: null, reviewed_by: 1 });
+
+      await request(app).post('/api/admin/memories/francines-son-ryan/approve').expect(404);
+      await request(app).post('/api/admin/memories/ryan-moved/approve').send({ content: '' }).expect(400);
+    });
+
+    it('should reject a pending change back to the approved version', async () => {
+      const response = await request(app)
+        .post('/api/admin/memories/francines-son-ryan/reject')
+        .expect(200);
+
+      expect(response.body.data.action).toBe('restored');
+      const row = await testDb.get('SELECT memory_content, review_status FROM memories WHERE memory_key = ?', ['francines-son-ryan']);
+      expect(row).toEqual({ memory_content: 'Ryan is her son who visits on weekends and lives in Portland', review_status: 'approved' });
+
+      await request(app).post('/api/admin/memories/ryan-moved/reject').expect(200);
+      expect(await testDb.get('SELECT id FROM memories WHERE memory_key = ?', ['ryan-moved'])).toBeUndefined();
+    });
+
+    it('should delete a memory the companion was asked to forget only once the removal is approved', async () => {
+      await memoryService.removeMemory('francines-son-ryan', { fromCall: true });
+
+      const review = await request(app).get('/api/admin/memories/review').expect(200);
+      expect(review.body.data.memories.find(memory => memory.key === 'francines-son-ryan')).toMatchObject({
+        key: 'francines-son-ryan',
+        content: 'Ryan is her son who visits on weekends and lives in Portland',
+        removal: true
+      });
+
+      const response = await request(app)
+        .post('/api/admin/memories/francines-son-ryan/approve')
+        .expect(200);
+
+      expect(response.body.data).toEqual({ key: 'francines-son-ryan', action: 'deleted' });
+      expect(await testDb.get('SELECT id FROM memories WHERE memory_key = ?', ['francines-son-ryan'])).toBeUndefined();
+      const deleted = await request(app).get('/api/admin/memories/deleted').expect(200);
+      expect(deleted.body.data.memories.map(memory => memory.key)).toContain('francines-son-ryan');
+    });
+
+    it('should only let owners and caregivers review', async () => {
+      userRole = 'family';
+      await request(app).post('/api/admin/memories/ryan-moved/approve').expect(403);
+      await request(app).post('/api/admin/memories/ryan-moved/reject').expect(403);
+      await request(app).get('/api/admin/memories/review').expect(200);
+    });
+  });
+  describe('Memory history', () => {
+    beforeEach(async () => {
+      await testDb.run('DELETE FROM memory_revisions');
+      await testDb.run('INSERT OR IGNORE INTO users (id, email, display_name, role) VALUES (1, \'lisa@example.com\', \'Lisa\', \'caregiver\')');
+    });
+
+    it('should record changes against the signed-in user and list them', async () => {
+      await request(app)
+        .post('/api/admin/memories')
+        .send({ key: 'garden-tomatoes', content: 'Grows tomatoes', category: 'preferences' })
+        .expect(201);
+      await request(app).delete('/api/admin/memories/garden-tomatoes').expect(200);
+
+      const response = await request(app)
+        .get('/api/admin/memories/garden-tomatoes/history')
+        .expect(200);
+
+      expect(response.body.data.revisions.map(revision => revision.action)).toEqual(['deleted', 'created']);
+      expect(response.body.data.revisions[0].changedBy).toMatchObject({ type: 'user', userId: 1, userName: 'Lisa' });
+      await request(app).get('/api/admin/memories/never-existed/history').expect(404);
+    });
+
+    it('should list deleted memories and restore them', async () => {
+      await request(app).delete('/api/admin/memories/morning-routine').expect(200);
+
+      const deleted = await request(app).get('/api/admin/memories/deleted').expect(200);
+      expect(deleted.body.data.memories).toHaveLength(1);
+      const [revision] = deleted.body.data.memories;
+      expect(revision).toMatchObject({ key: 'morning-routine', before: { content: 'She likes to have coffee at 8am and watch the news' } });
+
+      const response = await request(app)
+        .post(`/api/admin/memories/morning-routine/history/${revision.id}/restore`)
+        .expect(200);
+
+      expect(response.body.data).toEqual({ key: 'morning-routine', action: 'restored', revisionId: revision.id });
+      const memory = await request(app).get('/api/admin/memories/morning-routine').expect(200);
+      expect(memory.body.data.content).toBe('She likes to have coffee at 8am and watch the news');
+
+      await request(app).post('/api/admin/memories/morning-routine/history/9999/restore').expect(404);
+      userRole = 'family';
+      await request(app).post(`/api/admin/memories/morning-routine/history/${revision.id}/restore`).expect(403);
+      userRole = 'owner';
+    });
+  });
+
 });
\ No newline at end of file
@@ -0,0 +1,100 @@
+const request = require('supertest');
+const express = require('express');
+const DatabaseManager = require('../services/database-manager');
+const adminPatientsRouter = require('../routes/api/admin-patients');
+
+/**
+ * Test suite for Admin Patients API endpoints
+ *
+ * Covered endpoints:
+ * - GET /api/admin/patients - List patient profiles
+ * - GET /api/admin/patients/:id - Get a patient profile
+ * - POST /api/admin/patients - Create a patient profile
+ * - PUT /api/admin/patients/:id - Update a patient profile
+ */
+
+describe('Admin Patients API', () => {
+  let app;
+  let testDb;
+  let originalGetInstance;
+  let originalConsoleError;
+
+  beforeAll(async () => {
+    DatabaseManager.resetInstance();
+    originalGetInstance = DatabaseManager.getInstance;
+
+    testDb = new DatabaseManager(':memory:');
+    await testDb.waitForInitialization();
+    DatabaseManager.getInstance = () => testDb;
+
+    app = express();
+    app.use(express.json());
+    // Stand in for authenticateAdmin with a signed-in owner
+    app.use((req, res, next) => { req.user = { id: 1, role: 'owner' }; next(); });
+    app.use('/api/admin/patients', adminPatientsRouter);
+
+    originalConsoleError = console.error;
+    console.error = jest.fn();
+  });
+
+  afterAll(async () => {
+    console.error = originalConsoleError;
+    DatabaseManager.getInstance = originalGetInstance;
+    await testDb.close();
+    DatabaseManager.resetInstance();
+  });
+
+  test('GET / should list the default patient', async () => {
+    const response = await request(app).get('/api/admin/patients').expect(200);
+
+    expect(response.body.success).toBe(true);
+    expect(response.body.data.defaultPatientId).toBe(1);
+    expect(response.body.data.patients.map(patient => patient.name)).toContain('Francine');
+  });
+
+  test('POST / should create a patient', async () => {
+    const response = await request(app)
+      .post('/api/admin/patients')
+      .send({
+        name: 'Margaret',
+        timezone: 'America/Chicago',
+        familyContacts: [{ name: 'Alice', relationship: 'daughter', isPrimary: true }]
+      })
+      .expect(201);
+
+    expect(response.body.data.id).toBeGreaterThan(1);
+    expect(response.body.data.primaryContact.name).toBe('Alice');
+  });
+
+  test('POST / should reject an invalid timezone', async () => {
+    const response = await request(app)
+      .post('/api/admin/patients')
+      .send({ name: 'Margaret', timezone: 'Nowhere/Special' })
+      .expect(400);
+
+    expect(response.body.success).toBe(false);
+    expect(response.body.error).toContain('timezone');
+  });
+
+  test('GET /:id should return 404 for an unknown patient', async () => {
+    await request(app).get('/api/admin/patients/999').expect(404);
+    await request(app).get('/api/admin/patients/abc').expect(400);
+  });
+
+  test('PUT /:id should update a patient', async () => {
+    const response = await request(app)
+      .put('/api/admin/patients/1')
+      .send({ facilityName: 'Sunrise Care' })
+      .expect(200);
+
+    expect(response.body.data.facilityName).toBe('Sunrise Care');
+    expect(response.body.data.name).toBe('Francine');
+  });
+
+  test('PUT /:id should not deactivate the default patient', async () => {
+    await request(app)
+      .put('/api/admin/patients/1')
+      .send({ isActive: false })
+      .expect(400);
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Tests for real-time caregiver alerts
+ * Covers raising alerts from what the caller says and from the emotional
+ * analysis, de-duplicating repeats, sending to recipients by severity with stub
+ * channels, falling back to the primary contact, acknowledging from the admin
+ * API and signing webhook alerts.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const DatabaseManager = require('../services/database-manager');
+const AlertService = require('../services/alert-service');
+const PatientService = require('../services/patient-service');
+const ConfigService = require('../services/config-service');
+const { WebhookAlertChannel } = require('../services/alert-channels');
+const adminAlertsRouter = require('../routes/api/admin-alerts');
+
+describe('Caregiver alerts', () => {
+  const patient = { ...PatientService.DEFAULT_PROFILE, primaryContact: { name: 'Ryan', phone: '+15551234567' } };
+  let testDb;
+  let channels;
+  let service;
+  let originalConsoleLog;
+
+  beforeEach(async () => {
+    testDb = new DatabaseManager(':memory:');
+    await testDb.waitForInitialization();
+    channels = AlertService.createChannels({ stub: true });
+    service = new AlertService(testDb, { channels });
+
+    originalConsoleLog = console.log;
+    console.log = jest.fn();
+  });
+
+  afterEach(async () => {
+    console.log = originalConsoleLog;
+    await testDb.close();
+    DatabaseManager.resetInstance();
+  });
+
+  describe('AlertService', () => {
+    test('should send an alert to each recipient whose minimum severity it meets', async () => {
+      await service.createRecipient(patient.id, { name: 'Ryan', channel: 'sms', address: '+15551234567', minSeverity: 'critical' });
+      await service.createRecipient(patient.id, { name: 'Care team', channel: 'webhook', address: 'https://example.com/hook', minSeverity: 'info' });
+
+      const fall = await service.trigger('fall_mentioned', { patient, callSid: 'CA-alert-1' });
+      expect(fall.alert).toMatchObject({ type: 'fall_mentioned', severity: 'critical', status: 'open', callSid: 'CA-alert-1' });
+      expect(fall.deliveries.map(delivery => delivery.channel)).toEqual(['webhook', 'sms']);
+
+      const pain = await service.trigger('pain_mentioned', { patient });
+      expect(pain.deliveries.map(delivery => delivery.channel)).toEqual(['webhook']);
+      expect(channels.sms.sent).toHaveLength(1);
+      expect(channels.webhook.sent).toHaveLength(2);
+    });
+
+    test('should fold repeats within the de-duplication window into the open alert', async () => {
+      const first = await service.trigger('transfer_requested', { patient });
+      const repeat = await service.trigger('transfer_requested', { patient });
+
+      expect(repeat).toMatchObject({ deduplicated: true, deliveries: [] });
+      expect(repeat.alert).toMatchObject({ id: first.alert.id, occurrenceCount: 2 });
+      expect(channels.sms.sent).toHaveLength(1);
+
+      // Outside the window of the last repeat it notifies again
+      const later = new Date(Date.now() + 31 * 60000);
+      expect((await service.trigger('transfer_requested', { patient, now: later })).deduplicated).toBe(false);
+    });
+
+    test('should raise a new alert for a repeat after the open one is acknowledged', async () => {
+      await testDb.run('INSERT INTO users (id, email, display_name) VALUES (1, \'ryan@example.com\', \'Ryan\')');
+      const first = await service.trigger('emergency_indicators', { patient, details: { indicators: ['Trouble breathing'] } });
+      await service.acknowledge(first.alert.id, patient.id, 1);
+
+      const repeat = await service.trigger('emergency_indicators', { patient, details: { indicators: ['Trouble breathing'] } });
+      expect(repeat).toMatchObject({ deduplicated: false, alert: { status: 'open', occurrenceCount: 1 } });
+      expect(repeat.alert.id).not.toBe(first.alert.id);
+      expect(channels.sms.sent).toHaveLength(2);
+      expect(await service.getAlert(first.alert.id)).toMatchObject({ status: 'acknowledged', occurrenceCount: 1 });
+    });
+
+    test('should text the primary contact when the patient has no recipients', async () => {
+      const result = await service.trigger('transfer_failed', { patient });
+
+      expect(result.deliveries).toEqual([{ recipientId: null, channel: 'sms', status: 'sent' }]);
+      expect(channels.sms.sent[0].recipient.address).toBe('+15551234567');
+      expect(channels.sms.sent[0].alert.message).toContain('could not be transferred');
+    });
+
+    test('should record a failed delivery without throwing', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      channels.email.send = jest.fn().mockRejectedValue(new Error('SMTP_HOST is not configured'));
+      await service.createRecipient(patient.id, { name: 'Ryan', channel: 'email', address: 'ryan@example.com' });
+
+      const result = await service.trigger('fall_mentioned', { patient });
+      console.error.mockRestore();
+
+      expect(result.deliveries).toEqual([{ recipientId: 1, channel: 'email', status: 'failed', error: 'SMTP_HOST is not configured' }]);
+      const [alert] = await service.listAlerts(patient.id);
+      expect(alert.deliveries).toEqual([expect.objectContaining({ recipient: 'Ryan', status: 'failed' })]);
+    });
+
+    test('should raise alerts from what the caller says and the emotional analysis', async () => {
+      expect(await service.evaluateTranscription(patient, 'I fell in the kitchen and my hip hurts')).toEqual(['fall_mentioned', 'pain_mentioned']);
+      expect(await service.evaluateTranscription(patient, 'I fell asleep watching the game')).toEqual([]);
+
+      expect(await service.evaluateEmotionalMetrics(patient, {
+        anxietyLevel: 85,
+        mentionsPain: false,
+        emergencyIndicators: ['Trouble breathing']
+      })).toEqual(['emergency_indicators', 'high_anxiety']);
+      expect(await service.evaluateEmotionalMetrics(patient, { anxietyLevel: 25.5, emergencyIndicators: [] })).toEqual([]);
+
+      const alerts = await service.listAlerts(patient.id);
+      expect(alerts.map(alert => alert.type)).toEqual(['high_anxiety', 'emergency_indicators', 'pain_mentioned', 'fall_mentioned']);
+      expect(alerts[0].message).toContain('(9/10)');
+    });
+
+    test('should not raise alerts when alerting is turned off', async () => {
+      await new ConfigService(testDb).updateConfig({ alerts: { enabled: false } });
+
+      expect(await service.trigger('fall_mentioned', { patient })).toBeNull();
+      expect(channels.sms.sent).toEqual([]);
+    });
+
+    test('should report each recipient validation problem', () => {
+      expect(AlertService.validateRecipient({ name: 'Ryan', channel: 'sms', address: '+15551234567' })).toEqual([]);
+      expect(AlertService.validateRecipient({ name: ' ', channel: 'pager', address: '', minSeverity: 'urgent' })).toEqual([
+        'name is required',
+        'channel must be one of: sms, email, webhook',
+        'address is required',
+        'minSeverity must be one of: info, warning, critical'
+      ]);
+      expect(AlertService.validateRecipient({ channel: 'email', address: 'ryan' }, true)).toEqual(['address must be an email address for email']);
+    });
+  });
+
+  describe('WebhookAlertChannel', () => {
+    const originalSecret = process.env.ALERT_WEBHOOK_SECRET;
+
+    afterEach(() => {
+      if (originalSecret === undefined) {
+        delete process.env.ALERT_WEBHOOK_SECRET;
+      } else {
+        process.env.ALERT_WEBHOOK_SECRET = originalSecret;
+      }
+    });
+
+    test('should post the alert signed with the shared secret', async () => {
+      process.env.ALERT_WEBHOOK_SECRET = 'shh';
+      const fetchImpl = jest.fn().mockResolvedValue({ ok: true });
+      const alert = { id: 7, type: 'fall_mentioned', severity: 'critical', title: 'Fall mentioned', message: 'Check on her', patientId: 1 };
+
+      await new WebhookAlertChannel(fetchImpl).send({ address: 'https://example.com/hook' }, alert);
+
+      const [url, options] = fetchImpl.mock.calls[0];
+      expect(url).toBe('https://example.com/hook');
+      expect(JSON.parse(options.body)).toMatchObject({ id: 7, severity: 'critical' });
+      expect(options.headers['X-Alert-Signature']).toBe(WebhookAlertChannel.sign(options.body, 'shh'));
+    });
+
+    test('should reject when the receiver does not accept the alert', async () => {
+      const fetchImpl = jest.fn().mockResolvedValue({ ok: false, status: 500 });
+
+      await expect(new WebhookAlertChannel(fetchImpl).send({ address: 'https://example.com/hook' }, { severity: 'info' }))
+        .rejects.toThrow('Webhook responded with HTTP 500');
+    });
+  });
+
+  describe('Admin API', () => {
+    let app;
+    let userRole;
+    let originalGetInstance;
+
+    beforeEach(() => {
+      originalGetInstance = DatabaseManager.getInstance;
+      DatabaseManager.getInstance = () => testDb;
+      userRole = 'family';
+
+      app = express();
+      app.use(express.json());
+      // Stand in for authenticateAdmin with a signed-in user
+      app.use((req, res, next) => { req.user = { id: 1, role: userRole }; next(); });
+      app.use('/api/admin/alerts', adminAlertsRouter);
+    });
+
+    afterEach(() => {
+      DatabaseManager.getInstance = originalGetInstance;
+    });
+
+    test('should list open alerts and record who acknowledged them', async () => {
+      await testDb.run('INSERT INTO users (id, email, display_name) VALUES (1, \'ryan@example.com\', \'Ryan\')');
+      const { alert } = await service.trigger('transfer_requested', { patient });
+
+      const open = await request(app).get('/api/admin/alerts').expect(200);
+      expect(open.body.data.openCount).toBe(1);
+      expect(open.body.data.alerts[0]).toMatchObject({ id: alert.id, title: 'Transfer requested' });
+
+      // Family members can see alerts but not silence them
+      await request(app).post(`/api/admin/alerts/${alert.id}/acknowledge`).expect(403);
+      expect((await service.getAlert(alert.id)).status).toBe('open');
+
+      userRole = 'caregiver';
+      const acknowledged = await request(app).post(`/api/admin/alerts/${alert.id}/acknowledge`).expect(200);
+      expect(acknowledged.body.data).toMatchObject({ status: 'acknowledged', acknowledgedBy: 'Ryan', acknowledgedAt: expect.any(String) });
+
+      const afterwards = await request(app).get('/api/admin/alerts').expect(200);
+      expect(afterwards.body.data).toEqual({ alerts: [], openCount: 0 });
+      await request(app).post('/api/admin/alerts/999/acknowledge').expect(404);
+    });
+
+    test('should let only owners and caregivers manage recipients', async () => {
+      const recipient = { name: 'Ryan', channel: 'email', address: 'ryan@example.com' };
+      await request(app).post('/api/admin/alerts/recipients').send(recipient).expect(403);
+
+      userRole = 'caregiver';
+      const created = await request(app).post('/api/admin/alerts/recipients').send(recipient).expect(201);
+      expect(created.body.data).toMatchObject({ ...recipient, minSeverity: 'warning', isActive: true });
+
+      const invalid = await request(app).put(`/api/admin/alerts/recipients/${created.body.data.id}`).send({ address: 'not-an-email' }).expect(400);
+      expect(invalid.body.error).toBe('address must be an email address for email');
+
+      await request(app).put(`/api/admin/alerts/recipients/${created.body.data.id}`).send({ isActive: false }).expect(200);
+      const list = await request(app).get('/api/admin/alerts/recipients').expect(200);
+      expect(list.body.data.recipients[0].isActive).toBe(false);
+
+      await request(app).delete(`/api/admin/alerts/recipients/${created.body.data.id}`).expect(200);
+      await request(app).delete(`/api/admin/alerts/recipients/${created.body.data.id}`).expect(404);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Tests for the audit log
+ * Covers appending hash-chained entries, refusing updates and deletes,
+ * detecting entries changed or removed behind its back, filtering, the admin
+ * API's roles, and the actions recorded by the admin routes and search.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const DatabaseManager = require('../services/database-manager');
+const AuditService = require('../services/audit-service');
+const adminAuditRouter = require('../routes/api/admin-audit');
+const adminMemoriesRouter = require('../routes/api/admin-memories');
+const conversationsRouter = require('../routes/api/conversations');
+const searchRouter = require('../routes/api/search');
+
+describe('Audit log', () => {
+  let testDb;
+  let service;
+
+  const entry = (action, overrides = {}) => ({
+    action,
+    userId: 1,
+    actor: 'ryan@example.com',
+    ipAddress: '203.0.113.7',
+    userAgent: 'Mozilla/5.0',
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    testDb = new DatabaseManager(':memory:');
+    await testDb.waitForInitialization();
+    await testDb.run('INSERT INTO users (id, email, display_name) VALUES (1, \'ryan@example.com\', \'Ryan\')');
+    service = new AuditService(testDb);
+  });
+
+  afterEach(async () => {
+    await testDb.close();
+    DatabaseManager.resetInstance();
+  });
+
+  describe('AuditService', () => {
+    test('should chain each entry to the one before it', async () => {
+      const first = await service.record(entry('login', { targetType: 'user', targetId: 1 }));
+      const second = await service.record(entry('conversation_viewed', { targetType: 'conversation', targetId: 42, patientId: 1 }));
+
+      expect(first).toMatchObject({ action: 'login', actionLabel: 'Signed in', targetId: '1', ipAddress: '203.0.113.7' });
+      const rows = await testDb.all('SELECT prev_hash, hash FROM audit_log ORDER BY id');
+      expect(rows[0].prev_hash).toBeNull();
+      expect(rows[1].prev_hash).toBe(rows[0].hash);
+      expect(second.hash).toBe(rows[1].hash);
+
+      expect(await service.verify()).toEqual({ valid: true, checked: 2, firstInvalidId: null, lastHash: second.hash });
+    });
+
+    test('should refuse to change or remove entries', async () => {
+      const { id } = await service.record(entry('login'));
+
+      // Match the message rather than toThrow: better-sqlite3's errors can come from another test file's realm
+      await expect(testDb.run('UPDATE audit_log SET actor = ? WHERE id = ?', ['someone else', id])).rejects.toHaveProperty('message', 'audit_log is append-only');
+      await expect(testDb.run('DELETE FROM audit_log WHERE id = ?', [id])).rejects.toHaveProperty('message', 'audit_log is append-only');
+    });
+
+    test('should detect entries changed or removed around the triggers', async () => {
+      for (const action of ['login', 'memory_updated', 'memory_deleted', 'logout']) {
+        await service.record(entry(action, { targetType: 'memory', targetId: 'ryan-move' }));
+      }
+      const connection = testDb.getConnection();
+      connection.exec('DROP TRIGGER audit_log_no_update; DROP TRIGGER audit_log_no_delete');
+
+      connection.prepare('DELETE FROM audit_log WHERE id = 2').run();
+      expect(await service.verify()).toMatchObject({ valid: false, checked: 1, firstInvalidId: 3 });
+
+      connection.prepare('UPDATE audit_log SET actor = \'someone else\' WHERE id = 1').run();
+      expect(await service.verify()).toMatchObject({ valid: false, checked: 0, firstInvalidId: 1 });
+    });
+
+    test('should never throw while recording', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      expect(await service.record(entry('not_an_action'))).toBeNull();
+      consoleError.mockRestore();
+
+      expect(await testDb.get('SELECT COUNT(*) AS count FROM audit_log')).toEqual({ count: 0 });
+    });
+
+    test('should filter entries, newest first', async () => {
+      await service.record(entry('login', { now: new Date('2024-06-09T09:00:00Z') }));
+      await service.record(entry('memory_created', { targetType: 'memory', targetId: 'ryan-move', now: new Date('2024-06-10T09:00:00Z') }));
+      await service.record(entry('data_purged', { userId: null, actor: 'retention scheduler', now: new Date('2024-06-10T12:00:00Z') }));
+
+      const all = await service.list();
+      expect(all.entries.map(item => item.action)).toEqual(['data_purged', 'memory_created', 'login']);
+      expect(all.entries[1]).toMatchObject({ userName: 'Ryan', details: null });
+      expect(all.pagination).toEqual({ page: 1, pageSize: 50, total: 3, totalPages: 1 });
+
+      expect((await service.list({ userId: 1 })).entries).toHaveLength(2);
+      expect((await service.list({ targetId: 'ryan-move' })).entries.map(item => item.action)).toEqual(['memory_created']);
+      expect((await service.list({ from: '2024-06-10', to: '2024-06-10' })).entries).toHaveLength(2);
+      expect((await service.list({ to: '2024-06-09' })).entries.map(item => item.action)).toEqual(['login']);
+      expect((await service.list({ page: 2, pageSize: 2 })).entries.map(item => item.action)).toEqual(['login']);
+    });
+  });
+
+  describe('Admin routes', () => {
+    let app;
+    let userRole;
+    let originalGetInstance;
+
+    beforeEach(() => {
+      originalGetInstance = DatabaseManager.getInstance;
+      DatabaseManager.getInstance = () => testDb;
+      adminMemoriesRouter.resetServices();
+      userRole = 'owner';
+
+      app = express();
+      app.use(express.json());
+      // Stand in for authenticateAdmin with a signed-in user
+      app.use((req, res, next) => { req.user = { id: 1, email: 'ryan@example.com', role: userRole }; next(); });
+      app.use('/api/admin/audit', adminAuditRouter);
+      app.use('/api/admin/memories', adminMemoriesRouter);
+      app.use('/api/conversations', conversationsRouter);
+      app.use('/api/search', searchRouter);
+    });
+
+    afterEach(() => {
+      DatabaseManager.getInstance = originalGetInstance;
+      adminMemoriesRouter.resetServices();
+    });
+
+    test('should record who viewed transcripts and changed memories', async () => {
+      const { lastID: conversationId } = await testDb.run(
+        'INSERT INTO conversations (call_sid, start_time, patient_id) VALUES (\'CA-audit\', \'2024-06-10T17:00:00Z\', 1)'
+      );
+
+      await request(app).get(`/api/conversations/${conversationId}`).set('User-Agent', 'AuditTest/1.0').expect(200);
+      await request(app).post('/api/admin/memories').send({ key: 'ryan-move', content: 'Ryan moved to Denver', category: 'family' }).expect(201);
+      await request(app).delete('/api/admin/memories/ryan-move').expect(200);
+
+      const log = await request(app).get('/api/admin/audit').expect(200);
+      expect(log.body.data.entries.map(item => item.action)).toEqual(['memory_deleted', 'memory_created', 'conversation_viewed']);
+      expect(log.body.data.entries[2]).toMatchObject({
+        userId: 1,
+        actor: 'ryan@example.com',
+        targetType: 'conversation',
+        targetId: String(conversationId),
+        patientId: 1,
+        userAgent: 'AuditTest/1.0'
+      });
+      expect(log.body.data.entries[2].ipAddress).toBeTruthy();
+      expect(log.body.data.entries[0]).toMatchObject({ targetType: 'memory', targetId: 'ryan-move' });
+      expect(log.body.data.actions).toEqual(AuditService.ACTIONS);
+
+      const filtered = await request(app).get('/api/admin/audit?action=memory_created').expect(200);
+      expect(filtered.body.data.entries).toHaveLength(1);
+      await request(app).get('/api/admin/audit?action=shredded').expect(400);
+      await request(app).get('/api/admin/audit?from=yesterday').expect(400);
+
+      const verification = await request(app).get('/api/admin/audit/verify').expect(200);
+      expect(verification.body.data).toMatchObject({ valid: true, checked: 3 });
+    });
+
+    test('should record the conversations whose transcript a search returned', async () => {
+      const addCall = async (callSid, content) => {
+        const { lastID } = await testDb.run('INSERT INTO conversations (call_sid, start_time, patient_id) VALUES (?, \'2024-06-10T17:00:00Z\', 1)', [callSid]);
+        await testDb.run('INSERT INTO messages (conversation_id, role, content, timestamp) VALUES (?, \'user\', ?, \'2024-06-10T17:00:01Z\')', [lastID, content]);
+        return lastID;
+      };
+      const garden = await addCall('CA-garden', 'I planted tomatoes today');
+      await addCall('CA-weather', 'It is raining again');
+
+      await request(app).get('/api/search?q=tomatoes').expect(200);
+      await request(app).get('/api/search/conversations?q=tomatoes').expect(200);
+      await request(app).get('/api/search?q=basil').expect(200);
+
+      const entries = await testDb.all('SELECT action, target_type, target_id, patient_id, details FROM audit_log ORDER BY id');
+      expect(entries).toEqual([1, 2].map(() => ({
+        action: 'conversation_viewed',
+        target_type: 'conversation',
+        target_id: String(garden),
+        patient_id: 1,
+        details: JSON.stringify({ source: 'search' })
+      })));
+    });
+
+    test('should only let owners read the log', async () => {
+      userRole = 'caregiver';
+
+      await request(app).get('/api/admin/audit').expect(403);
+      await request(app).get('/api/admin/audit/verify').expect(403);
+    });
+  });
+});
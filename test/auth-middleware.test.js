@@ -8,7 +8,7 @@
  * - Bootstrap detection
  */
 
-const { developmentAutoLogin, authenticateAdmin } = require('../middleware/auth-middleware');
+const { developmentAutoLogin, authenticateAdmin, requireRole } = require('../middleware/auth-middleware');
 const DatabaseManager = require('../services/database-manager');
 
 // Mock request/response objects
@@ -135,7 +135,8 @@ describe('Authentication Middleware', () => {
       expect(result).toEqual({
         id: expect.any(Number),
         email: 'test@example.com', 
-        displayName: 'Test User'
+        displayName: 'Test User',
+        role: 'owner'
       });
       
       // Should create a new session ID for authentication (different from Express session ID)
@@ -322,4 +323,58 @@ describe('Authentication Middleware', () => {
       expect(result).toBeTruthy();
     });
   });
-});
\ No newline at end of file
+
+  describe('Role-based access', () => {
+    test('should load the user role from the session', async () => {
+      process.env.NODE_ENV = 'production';
+      const { lastInsertRowid: userId } = await dbManager.run(`
+        INSERT INTO users (email, display_name, role) VALUES (?, ?, ?)
+      `, ['family@example.com', 'Family Member', 'family']);
+      await dbManager.run(`
+        INSERT INTO user_sessions (user_id, session_id, expires_at) VALUES (?, ?, datetime('now', '+1 hour'))
+      `, [userId, 'family-session']);
+
+      const req = createMockReq({ id: 'family-session' });
+      const next = jest.fn();
+      await authenticateAdmin(req, createMockRes(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user.role).toBe('family');
+    });
+
+    test('should answer unauthenticated API requests with 401 JSON instead of a redirect', async () => {
+      process.env.NODE_ENV = 'production';
+      await dbManager.run('INSERT INTO users (email, display_name) VALUES (?, ?)', ['owner@example.com', 'Owner']);
+
+      const req = { ...createMockReq(null, '/'), originalUrl: '/api/conversations' };
+      const res = createMockRes();
+      await authenticateAdmin(req, res, jest.fn());
+
+      expect(res.redirect).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    test('should allow listed roles and reject others with 403', () => {
+      const ownerOnly = requireRole('owner');
+      const next = jest.fn();
+
+      ownerOnly({ ...createMockReq(), user: { id: 1, role: 'owner' } }, createMockRes(), next);
+      expect(next).toHaveBeenCalledTimes(1);
+
+      const res = createMockRes();
+      ownerOnly({ ...createMockReq(), method: 'PUT', originalUrl: '/api/admin/config/config', user: { id: 2, role: 'caregiver' } }, res, next);
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Insufficient permissions' }));
+    });
+
+    test('should default existing users to owner and reject unknown roles', async () => {
+      const { lastInsertRowid } = await dbManager.run('INSERT INTO users (email, display_name) VALUES (?, ?)', ['first@example.com', 'First']);
+      const user = await dbManager.get('SELECT role FROM users WHERE id = ?', [lastInsertRowid]);
+      expect(user.role).toBe('owner');
+
+      await expect(dbManager.run('INSERT INTO users (email, display_name, role) VALUES (?, ?, ?)', ['x@example.com', 'X', 'admin']))
+        .rejects.toHaveProperty('code', 'SQLITE_CONSTRAINT_CHECK');
+    });
+  });
+});
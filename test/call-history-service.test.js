@@ -0,0 +1,149 @@
+/**
+ * Tests for the recent call digest in the system prompt
+ * Covers detail fading with a call's age, falling back to what the caller said
+ * before a recap is written, open concerns, the size limit, leaving out the
+ * call in progress, and rendering the digest into the prompt.
+ */
+
+const DatabaseManager = require('../services/database-manager');
+const CallHistoryService = require('../services/call-history-service');
+const ConversationNarrativeService = require('../services/conversation-narrative-service');
+const TemplateService = require('../services/template-service');
+
+describe('CallHistoryService', () => {
+  let testDb;
+  let service;
+
+  // Monday June 10, 2024 at 14:00 in Los Angeles
+  const now = new Date('2024-06-10T21:00:00Z');
+  const hoursAgo = hours => new Date(now.getTime() - hours * 3600000).toISOString();
+
+  async function addCall(callSid, startTime, recap = null, { direction = 'inbound' } = {}) {
+    const { lastID } = await testDb.run(
+      'INSERT INTO conversations (call_sid, start_time, patient_id, direction) VALUES (?, ?, 1, ?)',
+      [callSid, startTime, direction]
+    );
+    if (recap) {
+      await new ConversationNarrativeService(testDb).save(lastID, recap);
+    }
+    return lastID;
+  }
+
+  beforeEach(async () => {
+    testDb = new DatabaseManager(':memory:');
+    await testDb.waitForInitialization();
+    service = new CallHistoryService(testDb);
+
+    await addCall('CA-history-1', hoursAgo(1), {
+      narrative: 'Francine was looking for her purse. • She was reassured it is in her closet.',
+      keyTopics: ['Purse'],
+      concerns: ['Worried her purse was stolen'],
+      requests: ['Help finding her purse']
+    });
+    await addCall('CA-history-2', hoursAgo(10), {
+      narrative: 'Francine complained that the night nurse was rude.',
+      keyTopics: ['Night nurse', 'Dinner'],
+      concerns: ['Staff complaint about the night nurse'],
+      requests: []
+    }, { direction: 'outbound' });
+    await addCall('CA-history-3', hoursAgo(30), {
+      narrative: 'Francine talked about her garden.',
+      keyTopics: ['Garden'],
+      concerns: ['Tired'],
+      requests: ['Call Ryan']
+    });
+    await addCall('CA-history-4', hoursAgo(100), { narrative: 'Too old to include.', keyTopics: ['Weather'] });
+  });
+
+  afterEach(async () => {
+    await testDb.close();
+    DatabaseManager.resetInstance();
+  });
+
+  test('should keep less of a call the older it is', async () => {
+    const digest = await service.getDigest(1, { now });
+
+    expect(digest.calls).toEqual([
+      {
+        when: '1 hour ago (Mon 1:00 PM)',
+        outbound: false,
+        summary: 'Francine was looking for her purse. She was reassured it is in her closet.',
+        topics: 'Purse',
+        requests: 'Help finding her purse',
+        concerns: 'Worried her purse was stolen',
+        callerSaid: null
+      },
+      {
+        when: '10 hours ago (Mon 4:00 AM)',
+        outbound: true,
+        summary: null,
+        topics: 'Night nurse; Dinner',
+        requests: null,
+        concerns: 'Staff complaint about the night nurse',
+        callerSaid: null
+      },
+      {
+        when: '1 day ago (Sun 8:00 AM)',
+        outbound: false,
+        summary: null,
+        topics: 'Garden',
+        requests: null,
+        concerns: null,
+        callerSaid: null
+      }
+    ]);
+    expect(digest.hasOpenConcerns).toBe(false);
+  });
+
+  test('should use what the caller said until the recap is written', async () => {
+    const conversationId = await addCall('CA-history-5', hoursAgo(0.25));
+    await testDb.run(`
+      INSERT INTO messages (conversation_id, role, content, timestamp)
+      VALUES (?, 'user', 'Where is my purse?', ?), (?, 'assistant', 'It is safe, dear.', ?)
+    `, [conversationId, hoursAgo(0.25), conversationId, hoursAgo(0.24)]);
+
+    const digest = await service.getDigest(1, { now, maxCalls: 1 });
+
+    expect(digest.calls).toEqual([expect.objectContaining({ when: '15 minutes ago (Mon 1:45 PM)', summary: null, callerSaid: '"Where is my purse?"' })]);
+  });
+
+  test('should include open concerns and leave out the call in progress', async () => {
+    await testDb.run(`
+      INSERT INTO alerts (patient_id, type, severity, message, status, occurrence_count, last_triggered_at)
+      VALUES (1, 'staff_complaint', 'warning', 'Francine complained about staff.', 'open', 3, ?),
+             (1, 'pain_mentioned', 'warning', 'Francine mentioned pain.', 'acknowledged', 1, ?)
+    `, [hoursAgo(2).replace('T', ' ').slice(0, 19), hoursAgo(2).replace('T', ' ').slice(0, 19)]);
+
+    const digest = await service.getDigest(1, { now, excludeCallSid: 'CA-history-1' });
+
+    expect(digest.calls.map(call => call.when)).toEqual(['10 hours ago (Mon 4:00 AM)', '1 day ago (Sun 8:00 AM)']);
+    expect(digest.openConcerns).toEqual([{ message: 'Francine complained about staff.', repeated: 3 }]);
+    expect(digest.hasOpenConcerns).toBe(true);
+  });
+
+  test('should drop the oldest calls to stay within the size limit', async () => {
+    const digest = await service.getDigest(1, { now, maxChars: 200 });
+    expect(digest.calls).toHaveLength(1);
+
+    expect(await service.getDigest(1, { now, maxCalls: 0 })).toBeNull();
+    expect(await service.getDigest(2, { now })).toBeNull();
+  });
+
+  test('should render the digest into the system prompt', async () => {
+    await testDb.run(`
+      INSERT INTO alerts (patient_id, type, severity, message, last_triggered_at)
+      VALUES (1, 'staff_complaint', 'warning', 'Francine complained about staff.', ?)
+    `, [hoursAgo(2).replace('T', ' ').slice(0, 19)]);
+    const digest = await service.getDigest(1, { now });
+
+    const prompt = new TemplateService().getSystemPrompt([], null, 'jessica', null, digest);
+
+    expect(prompt).toContain('## Recent Calls');
+    expect(prompt).toContain('Never tell her she already asked');
+    expect(prompt).toContain('- **1 hour ago (Mon 1:00 PM)**: Francine was looking for her purse. She was reassured it is in her closet. ' +
+      'Topics: Purse. She asked for: Help finding her purse. Concerns: Worried her purse was stolen.');
+    expect(prompt).toContain('- **10 hours ago (Mon 4:00 AM)** (a check-in call you placed) Topics: Night nurse; Dinner.');
+    expect(prompt).toContain('- Francine complained about staff.\n');
+    expect(new TemplateService().getSystemPrompt()).not.toContain('## Recent Calls');
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Tests for rules-based call routing
+ * Covers rule ordering and conditions (call stats, time of day, quiet hours,
+ * maintenance mode, family availability), rule validation and recording the
+ * decision so it shows up with the conversation.
+ */
+
+const DatabaseManager = require('../services/database-manager');
+const CallRoutingService = require('../services/call-routing-service');
+const ConfigService = require('../services/config-service');
+const PatientService = require('../services/patient-service');
+
+// 23:30 in Los Angeles (PDT)
+const LATE_NIGHT = new Date('2024-06-01T06:30:00Z');
+// 10:00 in Los Angeles (PDT)
+const MORNING = new Date('2024-06-01T17:00:00Z');
+
+const PATIENT = {
+  ...PatientService.DEFAULT_PROFILE,
+  familyContacts: [
+    { name: 'Ryan', relationship: 'son', phone: '+15552223333', isPrimary: true, availableHours: { start: '08:00', end: '21:00' } }
+  ]
+};
+
+describe('CallRoutingService', () => {
+  let originalConsoleLog;
+
+  beforeAll(() => {
+    originalConsoleLog = console.log;
+    console.log = jest.fn();
+  });
+
+  afterAll(() => {
+    console.log = originalConsoleLog;
+  });
+
+  describe('determineRoute()', () => {
+    test('should keep the built-in daily limit and progressive delay', () => {
+      const routingService = new CallRoutingService();
+
+      expect(routingService.determineRoute({ callsToday: 2 }, { now: MORNING })).toMatchObject({
+        type: 'connect', ruleId: 'default', delaySeconds: 6
+      });
+      expect(routingService.determineRoute({ callsToday: 11 }, { now: MORNING })).toMatchObject({
+        type: 'ring_forever', ruleId: 'daily-limit', reason: 'Call limit exceeded: 11 calls today'
+      });
+    });
+
+    test('should use the first matching custom rule', () => {
+      const routingService = new CallRoutingService({
+        quietHours: { start: '22:00', end: '07:00' },
+        rules: [
+          { id: 'maintenance', when: { maintenanceMode: true }, outcome: 'transfer' },
+          { id: 'night', description: 'Quiet hours', when: { quietHours: true }, outcome: 'voicemail' },
+          { id: 'too-soon', when: { minutesSinceLastCallBelow: 10 }, outcome: 'family_message', messageUrl: '/assets/audio/ryan.mp3' }
+        ]
+      });
+
+      const night = routingService.determineRoute({ callsToday: 1 }, { now: LATE_NIGHT, patient: PATIENT });
+      expect(night).toMatchObject({ type: 'voicemail', ruleId: 'night', reason: 'Quiet hours' });
+      expect(night.context).toMatchObject({ localTime: '23:30', quietHours: true, familyAvailable: false });
+
+      const recentCall = new Date(MORNING.getTime() - 5 * 60000).toISOString();
+      expect(routingService.determineRoute({ callsToday: 3, lastCallTime: recentCall }, { now: MORNING, patient: PATIENT }))
+        .toMatchObject({ type: 'family_message', ruleId: 'too-soon', messageUrl: '/assets/audio/ryan.mp3' });
+
+      expect(routingService.determineRoute({ callsToday: 3 }, { now: MORNING, patient: PATIENT, maintenanceMode: true }))
+        .toMatchObject({ type: 'transfer', ruleId: 'maintenance', transferTo: '+15552223333' });
+    });
+
+    test('should skip disabled rules and transfers with nobody available', () => {
+      const routingService = new CallRoutingService({
+        rules: [
+          { id: 'off', enabled: false, when: {}, outcome: 'ring_forever' },
+          { id: 'evening-transfer', when: { timeOfDay: { start: '22:00', end: '23:59' } }, outcome: 'transfer' }
+        ]
+      });
+
+      // Ryan is only available 08:00-21:00, so the transfer rule can't be carried out
+      expect(routingService.determineRoute({ callsToday: 1 }, { now: LATE_NIGHT, patient: PATIENT }).ruleId).toBe('default');
+    });
+  });
+
+  describe('validate()', () => {
+    test('should accept valid rules and report each problem', () => {
+      expect(CallRoutingService.validate({
+        quietHours: { start: '21:00', end: '07:00' },
+        rules: [{ id: 'night', when: { quietHours: true }, outcome: 'voicemail' }]
+      })).toEqual([]);
+
+      const errors = CallRoutingService.validate({
+        quietHours: { start: '9pm' },
+        rules: [
+          { id: 'default', outcome: 'connect' },
+          { id: 'message', when: { sunny: true, callsTodayAbove: -1 }, outcome: 'family_message' },
+          { id: 'x', outcome: 'hold' }
+        ]
+      });
+
+      expect(errors).toEqual([
+        'routing.quietHours must be null or { start: \'HH:MM\', end: \'HH:MM\' }',
+        'routing.rules[0].id \'default\' is reserved for a built-in rule',
+        'routing.rules[1].when.sunny is not a known condition',
+        'routing.rules[1].when.callsTodayAbove must be a number of at least 0',
+        'routing.rules[1].messageUrl is required for family_message',
+        'routing.rules[2].outcome must be one of: connect, voicemail, family_message, transfer, ring_forever'
+      ]);
+    });
+
+    test('should be enforced when saving the routing configuration', async () => {
+      expect(ConfigService.validateConfig({ routing: { rules: 'none' } })).toEqual(['routing.rules must be an array']);
+      expect(PatientService.validate({ familyContacts: [{ name: 'Ryan', availableHours: { start: 'noon' } }] }, true))
+        .toEqual(['family contact availableHours must be { start: \'HH:MM\', end: \'HH:MM\' }']);
+    });
+  });
+
+  describe('recordDecision()', () => {
+    let testDb;
+
+    beforeEach(async () => {
+      testDb = new DatabaseManager(':memory:');
+      await testDb.waitForInitialization();
+    });
+
+    afterEach(async () => {
+      await testDb.close();
+      DatabaseManager.resetInstance();
+    });
+
+    test('should store the rule that fired for the call', async () => {
+      const routingService = new CallRoutingService({}, testDb);
+      const decision = routingService.determineRoute({ callsToday: 12 }, { now: MORNING });
+
+      expect(await routingService.recordDecision('CA-routing', decision, { patientId: 1, endpoint: '/incoming' })).toBe(true);
+
+      expect(await routingService.getDecision('CA-routing')).toMatchObject({
+        ruleId: 'daily-limit',
+        outcome: 'ring_forever',
+        endpoint: '/incoming',
+        context: { callsToday: 12, maintenanceMode: false }
+      });
+    });
+
+    test('should not throw when the decision can\'t be saved', async () => {
+      const routingService = new CallRoutingService({}, testDb);
+      await testDb.close();
+
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      expect(await routingService.recordDecision('CA-closed', { ruleId: 'default', type: 'connect' })).toBe(false);
+      console.error.mockRestore();
+    });
+  });
+});
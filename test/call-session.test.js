@@ -0,0 +1,287 @@
+/**
+ * Tests for the transport-agnostic call session engine
+ * Drives a CallSession with a fake transport and TTS (no socket) to cover
+ * rapid input consolidation, the GPT queue, the silence ladder, interruptions
+ * and saving the conversation when the call ends.
+ */
+
+const DatabaseManager = require('../services/database-manager');
+const CallSession = require('../services/call-session');
+const PatientService = require('../services/patient-service');
+const ConversationNarrativeService = require('../services/conversation-narrative-service');
+
+describe('CallSession', () => {
+  let testDb;
+  let transport;
+  let ttsService;
+  let session;
+
+  const createSession = (overrides = {}) => {
+    const callSession = new CallSession({
+      callSid: 'CA-session-test',
+      transport,
+      ttsService,
+      databaseManager: testDb,
+      ...overrides
+    });
+    callSession.gptService.completion = jest.fn().mockResolvedValue({ usage: { total_tokens: 42 } });
+    return callSession;
+  };
+
+  // Simulate the transport playing one chunk of audio to the end
+  const playAudio = (label) => {
+    session.audioSent(label);
+    session.audioPlayed(label);
+  };
+
+  beforeEach(async () => {
+    testDb = new DatabaseManager(':memory:');
+    await testDb.waitForInitialization();
+
+    transport = { clearAudio: jest.fn(), hangUp: jest.fn(), isOpen: jest.fn().mockReturnValue(true) };
+    ttsService = { generate: jest.fn(), clearQueue: jest.fn(), configure: jest.fn(), setVoiceModel: jest.fn() };
+    session = createSession();
+    await session.start();
+    jest.useFakeTimers();
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await session.end();
+    await testDb.close();
+    DatabaseManager.resetInstance();
+  });
+
+  describe('start()', () => {
+    test('should apply the persona voice and patient silence policy', async () => {
+      expect(ttsService.setVoiceModel).toHaveBeenCalledWith(session.personaProfile.voiceModel);
+      expect(session.gptService.persona).toBe('jessica');
+      expect(session.silencePolicy.steps.map(step => step.action)).toEqual(['prompt', 'hangup']);
+    });
+
+    test('should open a scheduled check-in by saying why it called', async () => {
+      const outbound = createSession({ callSid: 'CA-outbound-test', direction: 'outbound', checkInLabel: 'Morning check-in' });
+      await outbound.start();
+      const spoken = jest.fn();
+      outbound.on('say', spoken);
+
+      outbound.greet();
+
+      expect(spoken.mock.calls[0][0]).toMatch(/call/);
+      expect(spoken.mock.calls[0][0]).toContain('Francine');
+      expect(outbound.gptService.userContext.some(message =>
+        message.role === 'system' && message.content.includes('OUTBOUND CHECK-IN CALL') && message.content.includes('Morning check-in')
+      )).toBe(true);
+      await outbound.end();
+    });
+  });
+
+  describe('caller input', () => {
+    test('should consolidate rapid transcriptions into a single GPT request', () => {
+      session.handleTranscription('I was thinking');
+      session.handleTranscription('about my garden');
+
+      jest.advanceTimersByTime(CallSession.RAPID_INPUT_DEBOUNCE_MS - 1);
+      expect(session.gptService.completion).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      expect(session.gptService.completion).toHaveBeenCalledTimes(1);
+      expect(session.gptService.completion).toHaveBeenCalledWith('I was thinking about my garden', 1, 'user', 'user', true);
+      expect(session.conversationAnalyzer.userUtterances).toHaveLength(2);
+    });
+
+    test('should queue requests while GPT is busy and report token usage', async () => {
+      let finishFirst;
+      session.gptService.completion
+        .mockImplementationOnce(() => new Promise(resolve => { finishFirst = resolve; }));
+      const usage = jest.fn();
+      session.on('usage', usage);
+
+      session.processGPTRequest('first', 0, 'system', 'test');
+      session.processGPTRequest('second', 1, 'system', 'test');
+      expect(session.gptQueue).toHaveLength(1);
+
+      finishFirst({ usage: { total_tokens: 10 } });
+      await Promise.resolve();
+      await Promise.resolve();
+      jest.advanceTimersByTime(10);
+
+      expect(session.gptService.completion).toHaveBeenLastCalledWith('second', 1, 'system', 'user', true);
+      expect(usage).toHaveBeenCalledWith({ total_tokens: 10 });
+      expect(session.conversationAnalyzer.tokenUsage[0]).toMatchObject({ turn: 1, totalTokens: 10 });
+    });
+
+    test('should alert caregivers about what the caller says and transfers that fail', () => {
+      const trigger = jest.spyOn(session.alertService, 'trigger').mockResolvedValue(null);
+
+      session.handleTranscription('I fell getting out of bed');
+      session.gptService.emit('transfer', { status: 'requested' });
+      session.gptService.emit('transfer', { status: 'dialing' });
+      session.gptService.emit('transfer', { status: 'failed' });
+
+      expect(trigger.mock.calls.map(([type]) => type)).toEqual(['fall_mentioned', 'transfer_requested', 'transfer_failed']);
+      expect(trigger).toHaveBeenLastCalledWith('transfer_failed', { patient: session.patient, callSid: 'CA-session-test' });
+    });
+  });
+
+  describe('silence policy', () => {
+    test('should check in, then say goodbye and hang up when the caller stays silent', () => {
+      const spoken = jest.fn();
+      session.on('say', spoken);
+
+      playAudio('greeting');
+      jest.advanceTimersByTime(250 + 100 + session.silencePolicy.audioBufferMs);
+      expect(session.isWaitingForResponse).toBe(true);
+
+      jest.advanceTimersByTime(8000);
+      expect(session.silencePolicy.steps[0].messages).toContain(spoken.mock.calls[0][0]);
+
+      jest.advanceTimersByTime(8000);
+      expect(session.silencePolicy.steps[1].messages).toContain(spoken.mock.calls[1][0]);
+      expect(session.conversationAnalyzer.silenceEvents.map(event => event.action)).toEqual(['prompt', 'hangup']);
+
+      // No marks come back from the fake transport, so the safety fallback hangs up
+      jest.advanceTimersByTime(CallSession.GOODBYE_SAFETY_TIMEOUT_MS);
+      expect(transport.hangUp).toHaveBeenCalled();
+    });
+
+    test('should alert caregivers when it hangs up on a silent caller, if the policy asks', () => {
+      const trigger = jest.spyOn(session.alertService, 'trigger').mockResolvedValue(null);
+      session.silencePolicy.alertFamilyOnSilentHangup = true;
+
+      playAudio('greeting');
+      jest.advanceTimersByTime(250 + 100 + session.silencePolicy.audioBufferMs + 16000);
+
+      expect(trigger).toHaveBeenCalledWith('silent_hangup', { patient: session.patient, callSid: 'CA-session-test' });
+    });
+
+    test('should restart the ladder when the caller responds', () => {
+      playAudio('greeting');
+      jest.advanceTimersByTime(250 + 100 + session.silencePolicy.audioBufferMs + 8000);
+      expect(session.silenceStepIndex).toBe(1);
+
+      session.handleTranscription('Sorry, I was getting some tea');
+
+      expect(session.silenceStepIndex).toBe(0);
+      expect(session.isWaitingForResponse).toBe(false);
+    });
+  });
+
+  describe('handleInterruption()', () => {
+    test('should clear audio and pending replies while audio is playing', () => {
+      session.audioSent('reply-1');
+      session.gptQueue.push({ text: 'queued', interactionCount: 1, role: 'user', caller: 'test' });
+
+      expect(session.handleInterruption('wait, I wanted to say')).toBe(true);
+      expect(transport.clearAudio).toHaveBeenCalled();
+      expect(ttsService.clearQueue).toHaveBeenCalled();
+      expect(session.gptQueue).toEqual([]);
+      expect(session.conversationAnalyzer.interruptionCount).toBe(1);
+    });
+
+    test('should ignore noise and respect the interruption setting', () => {
+      expect(session.handleInterruption('wait, I wanted to say')).toBe(false); // Nothing playing
+
+      session.audioSent('reply-1');
+      expect(session.handleInterruption('uh')).toBe(false);
+
+      session.callConfig.call.interruptionHandling = false;
+      expect(session.handleInterruption('wait, I wanted to say')).toBe(false);
+      expect(transport.clearAudio).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('end()', () => {
+    test('should save the summary and transcript for the patient', async () => {
+      jest.useRealTimers();
+      session.gptService.analyzeEmotionalState = jest.fn().mockResolvedValue({ overallMood: 0.5 });
+      const startTime = new Date(Date.now() - 60000);
+      session.conversationAnalyzer.startTime = startTime;
+      session.conversationAnalyzer.trackUserUtterance('Hello dear', new Date(startTime.getTime() + 1000));
+      session.conversationAnalyzer.trackAssistantResponse('Hi Francine!', new Date(startTime.getTime() + 2000));
+      session.conversationAnalyzer.trackTokenUsage(
+        { prompt_tokens: 900, completion_tokens: 30, total_tokens: 930 },
+        { messages: 4, tokens: 850, summarizedMessages: 0 },
+        new Date(startTime.getTime() + 2000)
+      );
+
+      const result = await session.end();
+      await session.analysisPromise;
+
+      const conversation = await testDb.get('SELECT patient_id, direction FROM conversations WHERE id = ?', [result.numericId]);
+      const messages = await testDb.all('SELECT role, content FROM messages WHERE conversation_id = ? ORDER BY id', [result.numericId]);
+
+      expect(conversation).toEqual({ patient_id: PatientService.DEFAULT_PROFILE.id, direction: 'inbound' });
+      expect(messages).toEqual([
+        { role: 'user', content: 'Hello dear' },
+        { role: 'assistant', content: 'Hi Francine!' }
+      ]);
+      expect(session.gptService.analyzeEmotionalState).toHaveBeenCalledTimes(1);
+      expect(await testDb.all('SELECT turn, total_tokens, context_tokens FROM token_usage WHERE conversation_id = ?', [result.numericId]))
+        .toEqual([{ turn: 1, total_tokens: 930, context_tokens: 850 }]);
+
+      const narrative = await new ConversationNarrativeService(testDb).getForConversation(result.numericId);
+      expect(narrative).toMatchObject({
+        narrative: 'Francine spoke 1 time during this call. Mock narrative for testing.',
+        keyTopics: ['Mock topic'],
+        concerns: [],
+        requests: []
+      });
+    });
+
+    test('should pick the conversation back up after a transfer nobody answered', async () => {
+      jest.useRealTimers();
+      session.gptService.analyzeEmotionalState = jest.fn().mockResolvedValue({ overallMood: 0.5 });
+      const startTime = new Date(Date.now() - 60000);
+      session.conversationAnalyzer.startTime = startTime;
+      session.conversationAnalyzer.trackUserUtterance('I want to talk to Ryan', new Date(startTime.getTime() + 1000));
+      session.conversationAnalyzer.trackAssistantResponse('Let\'s try calling him.', new Date(startTime.getTime() + 2000));
+      // The stream closes when the call is redirected to dial
+      const firstLeg = await session.end();
+
+      const { lastID: transferId } = await testDb.run(`
+        INSERT INTO call_transfers (call_sid, patient_id, persona, targets, status)
+        VALUES ('CA-session-test', 1, 'jessica', '[]', 'failed')
+      `);
+      await testDb.run(`
+        INSERT INTO transfer_attempts (transfer_id, position, target_name, phone_number, timeout_seconds, status)
+        VALUES (?, 0, 'Ryan', '+15551234567', 20, 'no-answer'), (?, 1, 'Nurse station', '+15553456789', 30, 'busy')
+      `, [transferId, transferId]);
+
+      session = createSession();
+      session.gptService.analyzeEmotionalState = jest.fn().mockResolvedValue({ overallMood: 0.5 });
+      await session.start();
+      await session.resumeAfterFailedTransfer(transferId);
+      session.greet();
+
+      const context = session.gptService.userContext;
+      expect(context).toEqual(expect.arrayContaining([
+        { role: 'user', content: 'I want to talk to Ryan' },
+        { role: 'assistant', content: 'Let\'s try calling him.' }
+      ]));
+      expect(context[context.length - 1].content).toContain('Ryan, then Nurse station');
+      expect(session.gptService.completion).toHaveBeenCalledWith(
+        CallSession.TRANSFER_RETURN_INSTRUCTION, 0, 'system', 'user', true
+      );
+
+      session.conversationAnalyzer.trackUserUtterance('Okay, thank you', new Date());
+      const secondLeg = await session.end();
+      await session.analysisPromise;
+
+      expect(secondLeg.numericId).toBe(firstLeg.numericId);
+      const messages = await testDb.all('SELECT content FROM messages WHERE conversation_id = ? ORDER BY timestamp', [secondLeg.numericId]);
+      expect(messages.map(message => message.content)).toEqual(['I want to talk to Ryan', 'Let\'s try calling him.', 'Okay, thank you']);
+    });
+
+    test('should not save calls shorter than the minimum duration', async () => {
+      const ended = jest.fn();
+      session.on('ended', ended);
+
+      expect(await session.end()).toBeNull();
+      expect(ended).toHaveBeenCalledWith(null);
+
+      const { count } = await testDb.get('SELECT COUNT(*) AS count FROM conversations');
+      expect(count).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Tests for warm transfers
+ * Covers choosing who to dial, redirecting the call to the first target,
+ * the whisper heard by whoever answers, moving down the list when a target
+ * doesn't pick up, and going back to the companion when nobody answers.
+ */
+
+const DatabaseManager = require('../services/database-manager');
+const CallTransferService = require('../services/call-transfer-service');
+const PatientService = require('../services/patient-service');
+
+describe('CallTransferService', () => {
+  let testDb;
+  let twilioClient;
+  let alertService;
+  let service;
+  let patient;
+  let originalTransferNumber;
+
+  const targets = [
+    { name: 'Ryan', relationship: 'son', phone: '+15551234567', timeoutSeconds: 15 },
+    { name: 'Lisa', relationship: 'daughter', phone: '+15552345678', availableHours: { start: '08:00', end: '21:00' } },
+    { name: 'Nurse station', phone: '+15553456789', timeoutSeconds: 30 }
+  ];
+
+  // 10:00 in Los Angeles, inside Lisa's hours
+  const morning = new Date('2024-06-03T17:00:00Z');
+
+  beforeEach(async () => {
+    testDb = new DatabaseManager(':memory:');
+    await testDb.waitForInitialization();
+    originalTransferNumber = process.env.TRANSFER_NUMBER;
+    delete process.env.TRANSFER_NUMBER;
+
+    patient = await new PatientService(testDb).updatePatient(1, { transferTargets: targets });
+    twilioClient = { update: jest.fn().mockResolvedValue({}) };
+    twilioClient.calls = jest.fn(() => ({ update: twilioClient.update }));
+    alertService = { trigger: jest.fn().mockResolvedValue(null) };
+    service = new CallTransferService({ databaseManager: testDb, twilioClient, serverHost: 'companion.example.com', alertService });
+  });
+
+  afterEach(async () => {
+    if (originalTransferNumber === undefined) {
+      delete process.env.TRANSFER_NUMBER;
+    } else {
+      process.env.TRANSFER_NUMBER = originalTransferNumber;
+    }
+    await testDb.close();
+    DatabaseManager.resetInstance();
+  });
+
+  describe('resolveTargets()', () => {
+    test('should keep the configured order and skip targets outside their hours', () => {
+      expect(CallTransferService.resolveTargets(patient, morning).map(target => [target.name, target.timeoutSeconds]))
+        .toEqual([['Ryan', 15], ['Lisa', CallTransferService.DEFAULT_DIAL_TIMEOUT_SECONDS], ['Nurse station', 30]]);
+
+      // 23:00 in Los Angeles
+      const lateNight = new Date('2024-06-04T06:00:00Z');
+      expect(CallTransferService.resolveTargets(patient, lateNight).map(target => target.name)).toEqual(['Ryan', 'Nurse station']);
+    });
+
+    test('should fall back to TRANSFER_NUMBER for patients without targets', () => {
+      expect(CallTransferService.resolveTargets({ ...patient, transferTargets: [] })).toEqual([]);
+
+      process.env.TRANSFER_NUMBER = '+15556667777';
+      expect(CallTransferService.resolveTargets({ ...patient, transferTargets: [] })).toEqual([
+        expect.objectContaining({ name: 'Family', phone: '+15556667777' })
+      ]);
+    });
+
+    test('should reject transfer targets without a phone or with a bad ring time', () => {
+      expect(PatientService.validate({ transferTargets: [{ name: 'Ryan' }] }, true))
+        .toEqual(['each transfer target requires a name and phone']);
+      expect(PatientService.validate({ transferTargets: [{ name: 'Ryan', phone: '+15551234567', timeoutSeconds: 300 }] }, true))
+        .toEqual(['transfer target timeoutSeconds must be an integer from 5 to 60']);
+    });
+  });
+
+  describe('start()', () => {
+    test('should redirect the call to dial the first target and log the attempt', async () => {
+      const transfer = await service.start({
+        callSid: 'CA-transfer-1',
+        patient,
+        persona: 'jessica',
+        recentUtterances: ['Good morning', 'I fell in the bathroom', 'My hip hurts', 'Can you call Ryan?'],
+        now: morning
+      });
+
+      expect(transfer).toMatchObject({ callSid: 'CA-transfer-1', status: 'dialing', recentUtterances: ['I fell in the bathroom', 'My hip hurts', 'Can you call Ryan?'] });
+      expect(twilioClient.calls).toHaveBeenCalledWith('CA-transfer-1');
+
+      const twiml = twilioClient.update.mock.calls[0][0].twiml;
+      expect(twiml).toContain('<Dial timeout="15" action="https://companion.example.com/transfer/dial-status?transferId=');
+      expect(twiml).toContain('url="https://companion.example.com/transfer/whisper?transferId=');
+      expect(twiml).toContain('>+15551234567</Number>');
+      expect(twiml).not.toContain('<Say>');
+
+      const attempts = await testDb.all('SELECT position, target_name, status FROM transfer_attempts');
+      expect(attempts).toEqual([{ position: 0, target_name: 'Ryan', status: 'dialing' }]);
+    });
+
+    test('should not transfer when there is nobody to dial or Twilio refuses', async () => {
+      expect(await service.start({ callSid: 'CA-transfer-2', patient: { ...patient, transferTargets: [] } })).toBeNull();
+      expect(twilioClient.update).not.toHaveBeenCalled();
+
+      twilioClient.update.mockRejectedValue(new Error('Call is not in-progress'));
+      expect(await service.start({ callSid: 'CA-transfer-3', patient, now: morning })).toBeNull();
+      expect(await testDb.get('SELECT status FROM call_transfers WHERE call_sid = ?', ['CA-transfer-3'])).toEqual({ status: 'failed' });
+    });
+  });
+
+  describe('webhooks', () => {
+    let transfer;
+
+    beforeEach(async () => {
+      transfer = await service.start({
+        callSid: 'CA-transfer-4',
+        patient,
+        persona: 'jessica',
+        recentUtterances: ['I fell in the bathroom'],
+        now: morning
+      });
+    });
+
+    test('should brief whoever answers with why the call is coming', async () => {
+      const twiml = (await service.buildWhisperResponse(String(transfer.id), '0')).toString();
+
+      expect(twiml).toContain('Hi Ryan, this is the companion line for Francine. Francine asked to talk with you.');
+      expect(twiml).toContain('Just before asking, Francine said: "I fell in the bathroom". Connecting you now.');
+    });
+
+    test('should hang up once a target has talked with the caller', async () => {
+      const twiml = (await service.handleDialStatus({ DialCallStatus: 'completed', DialCallDuration: '95' }, transfer.id, '0')).toString();
+
+      expect(twiml).toContain('<Hangup/>');
+      expect((await service.getTransfer(transfer.id)).status).toBe('connected');
+      expect((await service.getTransfer(transfer.id)).attempts[0]).toMatchObject({ status: 'completed', durationSeconds: 95 });
+      expect(alertService.trigger).not.toHaveBeenCalled();
+    });
+
+    test('should try each target in turn, then go back to the companion', async () => {
+      const second = (await service.handleDialStatus({ DialCallStatus: 'no-answer' }, transfer.id, '0')).toString();
+      expect(second).toContain('<Say>Ryan didn\'t pick up. Let me try Lisa.</Say>');
+      expect(second).toContain('>+15552345678</Number>');
+
+      // A repeated callback doesn't log the next dial twice
+      await service.handleDialStatus({ DialCallStatus: 'no-answer' }, transfer.id, '0');
+
+      const third = (await service.handleDialStatus({ DialCallStatus: 'busy' }, transfer.id, '1')).toString();
+      expect(third).toContain('<Dial timeout="30"');
+
+      const back = (await service.handleDialStatus({ DialCallStatus: 'no-answer' }, transfer.id, '2')).toString();
+      expect(back).toContain('<Stream url="wss://companion.example.com/connection">');
+      expect(back).toContain(`<Parameter name="transfer_id" value="${transfer.id}"/>`);
+      expect(back).toContain('<Parameter name="persona" value="jessica"/>');
+
+      const logged = await service.getTransfer(transfer.id);
+      expect(logged.status).toBe('failed');
+      expect(logged.attempts.map(attempt => [attempt.targetName, attempt.status])).toEqual([
+        ['Ryan', 'no-answer'], ['Lisa', 'busy'], ['Nurse station', 'no-answer']
+      ]);
+      expect(alertService.trigger).toHaveBeenCalledWith('transfer_failed', {
+        patient: expect.objectContaining({ id: 1 }),
+        callSid: 'CA-transfer-4'
+      });
+      expect(await service.listForCall('CA-transfer-4')).toEqual([logged]);
+    });
+
+    test('should stop dialing when the caller hangs up', async () => {
+      const twiml = (await service.handleDialStatus({ DialCallStatus: 'canceled' }, transfer.id, '0')).toString();
+
+      expect(twiml).toContain('<Hangup/>');
+      expect((await service.getTransfer(transfer.id)).status).toBe('canceled');
+      expect(alertService.trigger).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -1,4 +1,5 @@
 const { ChatSession } = require('../services/chat-session');
+const CallSession = require('../services/call-session');
 const ConversationAnalyzer = require('../services/conversation-analyzer');
 const SqliteStorageService = require('../services/sqlite-storage-service');
 const SummaryGenerator = require('../services/summary-generator');
@@ -76,6 +77,16 @@ describe('ChatSession Duration Filtering', () => {
     chatSession.storageService = mockStorageService;
     chatSession.summaryGenerator = mockSummaryGenerator;
     
+    // Saving is done by the shared call session engine
+    chatSession.callSession = new CallSession({
+      callSid: chatSession.callSid,
+      transport: chatSession,
+      ttsService: { generate: jest.fn() },
+      databaseManager: mockDbManager,
+      storageService: mockStorageService,
+      summaryGenerator: mockSummaryGenerator
+    });
+    
     // Mock the services that would be initialized in constructor
     chatSession.transcriptionService = {
       close: jest.fn()
@@ -101,6 +112,7 @@ describe('ChatSession Duration Filtering', () => {
     
     chatSession.conversationAnalyzer = new ConversationAnalyzer('test-call-sid', startTime);
     chatSession.conversationAnalyzer.endTime = endTime;
+    chatSession.callSession.conversationAnalyzer = chatSession.conversationAnalyzer;
     
     // Add some realistic conversation data
     chatSession.conversationAnalyzer.userUtterances = [
@@ -125,11 +137,11 @@ describe('ChatSession Duration Filtering', () => {
     
     // Verify the skip log message was called with correct format
     expect(consoleSpy).toHaveBeenCalledWith(
-      chalk.yellow('Skipping save: test chat session under 2 seconds (1.5s)')
+      expect.stringContaining('Skipping save: test call under 2 seconds (1.5s)')
     );
     
     // Verify database methods were NOT called
-    expect(mockSummaryGenerator.generateSummary).toHaveBeenCalledWith(chatSession.conversationAnalyzer);
+    expect(mockSummaryGenerator.generateSummary).not.toHaveBeenCalled();
     expect(mockStorageService.saveSummary).not.toHaveBeenCalled();
     expect(mockStorageService.saveMessages).not.toHaveBeenCalled();
     
@@ -150,6 +162,7 @@ describe('ChatSession Duration Filtering', () => {
     
     chatSession.conversationAnalyzer = new ConversationAnalyzer('test-call-sid', startTime);
     chatSession.conversationAnalyzer.endTime = endTime;
+    chatSession.callSession.conversationAnalyzer = chatSession.conversationAnalyzer;
     
     // Add conversation data
     chatSession.conversationAnalyzer.userUtterances = [
@@ -176,7 +189,7 @@ describe('ChatSession Duration Filtering', () => {
     
     // Verify the skip log message was NOT called
     expect(consoleSpy).not.toHaveBeenCalledWith(
-      expect.stringContaining('Skipping save: test chat session under 2 seconds')
+      expect.stringContaining('Skipping save: test call under 2 seconds')
     );
     
     // Verify database methods WERE called
@@ -186,7 +199,7 @@ describe('ChatSession Duration Filtering', () => {
     
     // Verify success messages
     expect(consoleSpy).toHaveBeenCalledWith(chalk.green('\n📝 Conversation summary saved to SQLite database'));
-    expect(consoleSpy).toHaveBeenCalledWith(chalk.green('💬 4 conversation messages saved to database'));
+    expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('4 conversation messages saved to database'));
     
     // Verify services were cleaned up
     expect(chatSession.transcriptionService.close).toHaveBeenCalled();
@@ -202,6 +215,7 @@ describe('ChatSession Duration Filtering', () => {
     
     chatSession.conversationAnalyzer = new ConversationAnalyzer('test-call-sid', startTime);
     chatSession.conversationAnalyzer.endTime = endTime;
+    chatSession.callSession.conversationAnalyzer = chatSession.conversationAnalyzer;
     
     // Add some conversation data
     chatSession.conversationAnalyzer.userUtterances = [
@@ -227,7 +241,7 @@ describe('ChatSession Duration Filtering', () => {
     
     // Should not have skip message
     expect(consoleSpy).not.toHaveBeenCalledWith(
-      expect.stringContaining('Skipping save: test chat session under 2 seconds')
+      expect.stringContaining('Skipping save: test call under 2 seconds')
     );
   });
 
@@ -238,6 +252,7 @@ describe('ChatSession Duration Filtering', () => {
     
     chatSession.conversationAnalyzer = new ConversationAnalyzer('test-call-sid', startTime);
     chatSession.conversationAnalyzer.endTime = endTime;
+    chatSession.callSession.conversationAnalyzer = chatSession.conversationAnalyzer;
     
     mockSummaryGenerator.generateSummary.mockReturnValue({
       callSid: 'test-call-sid',
@@ -260,12 +275,13 @@ describe('ChatSession Duration Filtering', () => {
   });
 
   test('should handle error in summary generation gracefully', async () => {
-    // Create analyzer with short duration
+    // Create analyzer long enough to be saved
     const startTime = new Date('2025-01-16T10:00:00.000Z');
-    const endTime = new Date('2025-01-16T10:00:01.000Z'); // 1 second
+    const endTime = new Date('2025-01-16T10:00:10.000Z'); // 10 seconds
     
     chatSession.conversationAnalyzer = new ConversationAnalyzer('test-call-sid', startTime);
     chatSession.conversationAnalyzer.endTime = endTime;
+    chatSession.callSession.conversationAnalyzer = chatSession.conversationAnalyzer;
     
     // Make summary generation throw an error
     mockSummaryGenerator.generateSummary.mockImplementation(() => {
@@ -279,7 +295,7 @@ describe('ChatSession Duration Filtering', () => {
     
     // Verify error was logged (HIPAA compliant: error.message only, not full error object)
     expect(consoleErrorSpy).toHaveBeenCalledWith(
-      chalk.red('❌ Error saving conversation summary or messages:'),
+      'Error saving conversation summary or messages:',
       'Summary generation failed' // error.message string, not full Error object
     );
     
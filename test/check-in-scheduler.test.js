@@ -0,0 +1,229 @@
+/**
+ * Tests for scheduled outbound check-in calls
+ * Covers when a check-in is due in the patient's timezone, placing calls with a
+ * fake Twilio client, retrying unanswered and machine-answered calls, the TwiML
+ * for an answered call and the admin API for managing schedules.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const DatabaseManager = require('../services/database-manager');
+const CheckInScheduleService = require('../services/check-in-schedule-service');
+const CheckInScheduler = require('../services/check-in-scheduler');
+const adminCheckInsRouter = require('../routes/api/admin-check-ins');
+
+// Monday 09:35 in Los Angeles (PDT)
+const MONDAY_MORNING = new Date('2024-06-03T16:35:00Z');
+
+const MORNING_CHECK_IN = {
+  label: 'Morning check-in',
+  phoneNumber: '+15557654321',
+  timeOfDay: '09:30'
+};
+
+describe('Check-in calls', () => {
+  const originalFromNumber = process.env.FROM_NUMBER;
+  let testDb;
+  let scheduleService;
+  let twilioClient;
+  let scheduler;
+  let originalConsoleLog;
+
+  beforeEach(async () => {
+    process.env.FROM_NUMBER = '+15550001111';
+    testDb = new DatabaseManager(':memory:');
+    await testDb.waitForInitialization();
+    scheduleService = new CheckInScheduleService(testDb);
+
+    let callCount = 0;
+    twilioClient = { calls: { create: jest.fn(async () => ({ sid: `CA-check-in-${++callCount}` })) } };
+    scheduler = new CheckInScheduler({ databaseManager: testDb, twilioClient, serverHost: 'companion.example.com' });
+
+    originalConsoleLog = console.log;
+    console.log = jest.fn();
+  });
+
+  afterEach(async () => {
+    if (originalFromNumber === undefined) {
+      delete process.env.FROM_NUMBER;
+    } else {
+      process.env.FROM_NUMBER = originalFromNumber;
+    }
+    console.log = originalConsoleLog;
+    scheduler.stop();
+    await testDb.close();
+    DatabaseManager.resetInstance();
+  });
+
+  describe('CheckInScheduleService', () => {
+    test('should find check-ins that are due in the patient\'s timezone', async () => {
+      const schedule = await scheduleService.createSchedule(1, MORNING_CHECK_IN);
+      await scheduleService.createSchedule(1, { ...MORNING_CHECK_IN, label: 'Weekend check-in', daysOfWeek: [6, 0] });
+
+      expect(await scheduleService.getDueCheckIns(MONDAY_MORNING)).toEqual([
+        { schedule, patientId: 1, occurrenceDate: '2024-06-03', attemptNumber: 1 }
+      ]);
+
+      // Before the check-in time, and too late to still place it
+      expect(await scheduleService.getDueCheckIns(new Date('2024-06-03T16:25:00Z'))).toEqual([]);
+      expect(await scheduleService.getDueCheckIns(new Date('2024-06-03T17:30:00Z'))).toEqual([]);
+    });
+
+    test('should report each validation problem', () => {
+      expect(CheckInScheduleService.validate(MORNING_CHECK_IN)).toEqual([]);
+      expect(CheckInScheduleService.validate({
+        label: ' ',
+        phoneNumber: '555-1234',
+        timeOfDay: '9am',
+        daysOfWeek: [7],
+        maxAttempts: 0
+      })).toEqual([
+        'label is required',
+        'phoneNumber must be a phone number with at least 10 digits',
+        'timeOfDay must be \'HH:MM\'',
+        'daysOfWeek must be null (every day) or an array of days 0 (Sunday) to 6',
+        'maxAttempts must be between 1 and 5'
+      ]);
+    });
+  });
+
+  describe('CheckInScheduler', () => {
+    test('should call the patient once per check-in from their companion number', async () => {
+      await testDb.run('UPDATE patients SET phone_numbers = ? WHERE id = 1', [JSON.stringify(['+15551110000'])]);
+      await scheduleService.createSchedule(1, MORNING_CHECK_IN);
+
+      expect(await scheduler.tick(MONDAY_MORNING)).toBe(1);
+      expect(await scheduler.tick(MONDAY_MORNING)).toBe(0);
+
+      expect(twilioClient.calls.create).toHaveBeenCalledTimes(1);
+      expect(twilioClient.calls.create).toHaveBeenCalledWith(expect.objectContaining({
+        to: '+15557654321',
+        from: '+15551110000',
+        url: expect.stringMatching(/^https:\/\/companion\.example\.com\/outbound\/check-in\?attemptId=\d+$/),
+        statusCallback: 'https://companion.example.com/outbound/status',
+        machineDetection: 'Enable'
+      }));
+
+      const [attempt] = await scheduleService.listAttempts(1);
+      expect(attempt).toMatchObject({ label: 'Morning check-in', attemptNumber: 1, status: 'initiated', callSid: 'CA-check-in-1' });
+    });
+
+    test('should retry an unanswered call after the retry delay, up to the maximum attempts', async () => {
+      const schedule = await scheduleService.createSchedule(1, { ...MORNING_CHECK_IN, maxAttempts: 2, retryDelayMinutes: 10 });
+      await scheduler.placeCall({ schedule, patientId: 1, occurrenceDate: '2024-06-03', attemptNumber: 1 });
+      await scheduler.handleStatusCallback({ CallSid: 'CA-check-in-1', CallStatus: 'no-answer' });
+
+      const minutesFromNow = minutes => new Date(Date.now() + minutes * 60000);
+      expect(await scheduleService.getDueRetries(minutesFromNow(5))).toEqual([]);
+      const [retry] = await scheduleService.getDueRetries(minutesFromNow(11));
+      expect(retry).toMatchObject({ patientId: 1, occurrenceDate: '2024-06-03', attemptNumber: 2 });
+      expect(await scheduler.placeCall(retry)).toBe(true);
+
+      await scheduler.handleStatusCallback({ CallSid: 'CA-check-in-2', CallStatus: 'busy' });
+      expect(await scheduleService.getDueRetries(minutesFromNow(30))).toEqual([]);
+
+      const attempts = await scheduleService.listAttempts(1);
+      expect(attempts.map(attempt => [attempt.attemptNumber, attempt.status])).toEqual([[2, 'busy'], [1, 'no-answer']]);
+    });
+
+    test('should record a call that couldn\'t be placed as failed so it is retried', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      twilioClient.calls.create.mockRejectedValueOnce(new Error('Invalid To number'));
+      const schedule = await scheduleService.createSchedule(1, MORNING_CHECK_IN);
+
+      expect(await scheduler.placeCall({ schedule, patientId: 1, occurrenceDate: '2024-06-03', attemptNumber: 1 })).toBe(false);
+      console.error.mockRestore();
+
+      const [attempt] = await scheduleService.listAttempts(1);
+      expect(attempt).toMatchObject({ status: 'failed', error: 'Invalid To number' });
+      expect(await scheduleService.getDueRetries(new Date(Date.now() + 11 * 60000))).toHaveLength(1);
+    });
+
+    test('should connect an answered call as an outbound check-in', async () => {
+      const schedule = await scheduleService.createSchedule(1, MORNING_CHECK_IN);
+      await scheduler.placeCall({ schedule, patientId: 1, occurrenceDate: '2024-06-03', attemptNumber: 1 });
+      const [attempt] = await scheduleService.listAttempts(1);
+
+      const twiml = (await scheduler.buildCheckInResponse({ CallSid: attempt.callSid, AnsweredBy: 'human' }, String(attempt.id))).toString();
+
+      expect(twiml).toContain('<Stream url="wss://companion.example.com/connection">');
+      expect(twiml).toContain('<Parameter name="direction" value="outbound"/>');
+      expect(twiml).toContain('<Parameter name="patient_id" value="1"/>');
+      expect(twiml).toContain('<Parameter name="check_in_label" value="Morning check-in"/>');
+    });
+
+    test('should hang up on an answering machine and count it as unanswered', async () => {
+      const schedule = await scheduleService.createSchedule(1, MORNING_CHECK_IN);
+      await scheduler.placeCall({ schedule, patientId: 1, occurrenceDate: '2024-06-03', attemptNumber: 1 });
+      const [attempt] = await scheduleService.listAttempts(1);
+
+      const twiml = (await scheduler.buildCheckInResponse({ CallSid: attempt.callSid, AnsweredBy: 'machine_start' }, String(attempt.id))).toString();
+      expect(twiml).toContain('<Hangup/>');
+      expect(twiml).not.toContain('<Connect>');
+
+      expect(await scheduler.handleStatusCallback({ CallSid: attempt.callSid, CallStatus: 'completed' }))
+        .toMatchObject({ status: 'no-answer', answeredBy: 'machine_start' });
+    });
+
+    test('should link an answered attempt to the saved outbound conversation', async () => {
+      const schedule = await scheduleService.createSchedule(1, MORNING_CHECK_IN);
+      await scheduler.placeCall({ schedule, patientId: 1, occurrenceDate: '2024-06-03', attemptNumber: 1 });
+      await scheduler.handleStatusCallback({ CallSid: 'CA-check-in-1', CallStatus: 'completed' });
+      const conversation = await testDb.run(
+        'INSERT INTO conversations (call_sid, start_time, patient_id, direction) VALUES (?, ?, 1, \'outbound\')',
+        ['CA-check-in-1', MONDAY_MORNING.toISOString()]
+      );
+
+      const [attempt] = await scheduleService.listAttempts(1);
+      expect(attempt).toMatchObject({ status: 'completed', conversationId: conversation.lastID });
+    });
+  });
+
+  describe('Admin API', () => {
+    let app;
+    let userRole;
+    let originalGetInstance;
+
+    beforeEach(() => {
+      originalGetInstance = DatabaseManager.getInstance;
+      DatabaseManager.getInstance = () => testDb;
+      userRole = 'caregiver';
+
+      app = express();
+      app.use(express.json());
+      // Stand in for authenticateAdmin with a signed-in user
+      app.use((req, res, next) => { req.user = { id: 1, role: userRole }; next(); });
+      app.use('/api/admin/check-ins', adminCheckInsRouter);
+    });
+
+    afterEach(() => {
+      DatabaseManager.getInstance = originalGetInstance;
+    });
+
+    test('should let caregivers create, update and delete schedules', async () => {
+      const created = await request(app).post('/api/admin/check-ins').send(MORNING_CHECK_IN).expect(201);
+      expect(created.body.data).toMatchObject({ ...MORNING_CHECK_IN, patientId: 1, daysOfWeek: null, maxAttempts: 3 });
+
+      const updated = await request(app)
+        .put(`/api/admin/check-ins/${created.body.data.id}`)
+        .send({ timeOfDay: '10:00', daysOfWeek: [5, 1, 3] })
+        .expect(200);
+      expect(updated.body.data).toMatchObject({ timeOfDay: '10:00', daysOfWeek: [1, 3, 5] });
+
+      const list = await request(app).get('/api/admin/check-ins').expect(200);
+      expect(list.body.data.schedules).toHaveLength(1);
+
+      await request(app).delete(`/api/admin/check-ins/${created.body.data.id}`).expect(200);
+      await request(app).delete(`/api/admin/check-ins/${created.body.data.id}`).expect(404);
+    });
+
+    test('should reject invalid schedules and family members making changes', async () => {
+      const invalid = await request(app).post('/api/admin/check-ins').send({ ...MORNING_CHECK_IN, timeOfDay: '25:00' }).expect(400);
+      expect(invalid.body.error).toBe('timeOfDay must be \'HH:MM\'');
+
+      userRole = 'family';
+      await request(app).post('/api/admin/check-ins').send(MORNING_CHECK_IN).expect(403);
+      await request(app).get('/api/admin/check-ins/attempts').expect(200);
+    });
+  });
+});
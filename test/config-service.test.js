@@ -0,0 +1,161 @@
+/**
+ * Tests for persisted admin configuration
+ * Covers settings storage, schema validation, change history, the admin
+ * config API and the services that read configuration at call start.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const DatabaseManager = require('../services/database-manager');
+const ConfigService = require('../services/config-service');
+const CallRoutingService = require('../services/call-routing-service');
+const { GptService } = require('../services/gpt-service');
+const { TextToSpeechService } = require('../services/tts-service');
+const adminConfigRouter = require('../routes/api/admin-config');
+
+describe('ConfigService', () => {
+  let testDb;
+  let configService;
+
+  beforeEach(async () => {
+    testDb = new DatabaseManager(':memory:');
+    await testDb.waitForInitialization();
+    configService = new ConfigService(testDb);
+  });
+
+  afterEach(async () => {
+    await testDb.close();
+    DatabaseManager.resetInstance();
+  });
+
+  describe('storage', () => {
+    test('should return the defaults when nothing is saved', async () => {
+      const config = await configService.getConfig();
+
+      expect(config.ai.model).toBe('gpt-4-1106-preview');
+      expect(config.call.silenceTimeout).toBe(8);
+      expect(config.routing.dailyCallLimit).toBe(10);
+    });
+
+    test('should persist updates in the settings table', async () => {
+      await configService.updateConfig({ ai: { temperature: 0.4 } }, 'admin@example.com');
+
+      const reloaded = await new ConfigService(testDb).getConfig('ai');
+      expect(reloaded.temperature).toBe(0.4);
+      expect(reloaded.model).toBe('gpt-4-1106-preview');
+
+      const row = await testDb.get('SELECT value FROM settings WHERE key = ?', ['config.ai']);
+      expect(JSON.parse(row.value).temperature).toBe(0.4);
+    });
+
+    test('should reject updates that fail the schema', async () => {
+      await expect(configService.updateConfig({ ai: { temperature: 2 } })).rejects.toThrow('above maximum');
+      expect(ConfigService.validateConfig({ ai: { model: 'gpt-2' } })[0]).toContain('not in allowed values');
+      expect(ConfigService.validateConfig({ bogus: {} })).toEqual(['bogus: Unknown configuration section']);
+    });
+  });
+
+  describe('getHistory()', () => {
+    test('should record each changed key, newest first', async () => {
+      await configService.updateConfig({ call: { maxDuration: 900 } }, 'admin@example.com');
+      await configService.updateConfig({ call: { maxDuration: 600, greetingEnabled: true } }, 'admin@example.com');
+
+      const history = await configService.getHistory();
+
+      // greetingEnabled was unchanged, so only the two maxDuration changes are recorded
+      expect(history).toHaveLength(2);
+      expect(history[0]).toMatchObject({ section: 'call', key: 'maxDuration', previousValue: 900, newValue: 600 });
+      expect(history[1]).toMatchObject({ previousValue: 1800, newValue: 900, changedBy: 'admin@example.com' });
+    });
+  });
+
+  describe('call pipeline', () => {
+    test('should use the configured model, temperature and context limits in GptService', async () => {
+      await configService.updateConfig({ ai: { model: 'gpt-4o', temperature: 0.2, maxConversationHistory: 4, contextTokenBudget: 1500 } });
+      const gptService = new GptService({ on: jest.fn() }, null, null, testDb);
+      await gptService.initialize();
+
+      expect(gptService.aiConfig.model).toBe('gpt-4o');
+      expect(gptService.aiConfig.temperature).toBe(0.2);
+      expect(gptService.context).toMatchObject({ maxHistory: 4, tokenBudget: 1500 });
+    });
+
+    test('should apply the configured voice and speed to text-to-speech', () => {
+      const ttsService = new TextToSpeechService();
+      ttsService.configure({ model: 'aura-stella-en', speed: 0.8 });
+
+      expect(ttsService.getSpeakUrl()).toContain('model=aura-stella-en');
+      expect(ttsService.getSpeakUrl()).toContain('speed=0.8');
+
+      // Persona voices take priority over the configured default
+      ttsService.setVoiceModel('aura-luna-en');
+      expect(ttsService.getVoiceModel()).toBe('aura-luna-en');
+    });
+
+    test('should route calls with the configured thresholds', () => {
+      const routingService = new CallRoutingService({ dailyCallLimit: 3, delayPerCallSeconds: 2 });
+
+      expect(routingService.determineRoute({ callsToday: 2 })).toMatchObject({ type: 'connect', delaySeconds: 4 });
+      expect(routingService.determineRoute({ callsToday: 4 }).type).toBe('ring_forever');
+    });
+  });
+});
+
+describe('Admin Config API', () => {
+  let app;
+  let testDb;
+  let originalGetInstance;
+  let originalConsoleLog;
+
+  beforeAll(async () => {
+    DatabaseManager.resetInstance();
+    originalGetInstance = DatabaseManager.getInstance;
+
+    testDb = new DatabaseManager(':memory:');
+    await testDb.waitForInitialization();
+    DatabaseManager.getInstance = () => testDb;
+
+    app = express();
+    app.use(express.json());
+    // Stand in for authenticateAdmin with a signed-in owner
+    app.use((req, res, next) => { req.user = { id: 1, role: 'owner' }; next(); });
+    app.use('/api/admin/config', adminConfigRouter);
+
+    originalConsoleLog = console.log;
+    console.log = jest.fn();
+  });
+
+  afterAll(async () => {
+    console.log = originalConsoleLog;
+    DatabaseManager.getInstance = originalGetInstance;
+    await testDb.close();
+    DatabaseManager.resetInstance();
+  });
+
+  test('PATCH /config/:section should persist and appear in the history', async () => {
+    const response = await request(app)
+      .patch('/api/admin/config/config/call')
+      .send({ silenceTimeout: 12 })
+      .expect(200);
+
+    expect(response.body.data.previous.silenceTimeout).toBe(8);
+    expect(response.body.data.current.silenceTimeout).toBe(12);
+
+    const history = await request(app).get('/api/admin/config/config/history?section=call').expect(200);
+    expect(history.body.data.history[0]).toMatchObject({ key: 'silenceTimeout', newValue: 12 });
+  });
+
+  test('PUT /config should reject invalid values', async () => {
+    const response = await request(app)
+      .put('/api/admin/config/config')
+      .send({ voice: { speed: 5 } })
+      .expect(400);
+
+    expect(response.body.details[0]).toContain('voice.speed');
+  });
+
+  test('GET /config should return the saved configuration', async () => {
+    const response = await request(app).get('/api/admin/config/config?section=call').expect(200);
+    expect(response.body.data.call.silenceTimeout).toBe(12);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests for keeping the call context within its limits
+ * Covers shortening earlier tool results, folding older turns into the running
+ * synopsis by history length and by token budget, keeping the system prompt and
+ * pinned messages, and GptService managing its context each caller turn.
+ */
+
+const ConversationContext = require('../services/conversation-context');
+const { GptService } = require('../services/gpt-service');
+
+describe('ConversationContext', () => {
+  const exchange = (n, reply = `Reply ${n}`) => [
+    { role: 'user', content: `Caller turn ${n}` },
+    { role: 'assistant', content: reply }
+  ];
+
+  const buildContext = (exchanges, options = {}) => {
+    const messages = [
+      { role: 'system', content: 'You are Jessica.' },
+      { role: 'assistant', content: 'Hi Francine! • How are you doing today?' },
+      { role: 'system', content: 'callSid: CA-context' }
+    ];
+    for (let n = 1; n <= exchanges; n++) {
+      messages.push(...exchange(n));
+    }
+    return new ConversationContext(messages, options);
+  };
+
+  test('should shorten tool results from earlier exchanges only', () => {
+    const context = buildContext(1);
+    const headlines = { role: 'function', name: 'getNewsHeadlines', content: 'Headline. '.repeat(100) };
+    context.messages.push(headlines, { role: 'assistant', content: 'Here is the news.' });
+    context.messages.push({ role: 'function', name: 'getCurrentTime', content: 'It is 3 PM. '.repeat(40) });
+
+    // The news is still part of the latest exchange
+    expect(context.pruneToolResults()).toBe(0);
+
+    context.messages.push(...exchange(2));
+    expect(context.pruneToolResults()).toBe(2);
+    expect(headlines.content.length).toBeLessThan(300);
+    expect(headlines.content).toContain('[rest of this earlier getNewsHeadlines result removed]');
+    expect(context.pruneToolResults()).toBe(0);
+  });
+
+  test('should fold exchanges beyond the history limit into a synopsis', async () => {
+    const summarize = jest.fn().mockResolvedValue('Francine talked about turns 1 and 2.');
+    const context = buildContext(5, { maxHistory: 3, summarize });
+
+    expect(context.needsCompaction()).toBe(true);
+    expect(await context.compact()).toBe(5);
+
+    // The greeting is an ordinary turn; the callSid system message is pinned
+    expect(summarize).toHaveBeenCalledWith(null, [
+      { role: 'assistant', content: 'Hi Francine! • How are you doing today?' },
+      ...exchange(1), ...exchange(2)
+    ]);
+    expect(context.messages.map(message => message.content)).toEqual([
+      'You are Jessica.',
+      `${ConversationContext.SYNOPSIS_PREFIX} Francine talked about turns 1 and 2.`,
+      'callSid: CA-context',
+      'Caller turn 3', 'Reply 3', 'Caller turn 4', 'Reply 4', 'Caller turn 5', 'Reply 5'
+    ]);
+    expect(context.needsCompaction()).toBe(false);
+
+    // The next fold builds on the synopsis instead of adding another
+    context.messages.push(...exchange(6));
+    await context.compact();
+    expect(summarize).toHaveBeenLastCalledWith('Francine talked about turns 1 and 2.', exchange(3));
+    expect(context.messages.filter(message => message.content.startsWith(ConversationContext.SYNOPSIS_PREFIX))).toHaveLength(1);
+    expect(context.getStats()).toMatchObject({ messages: 9, summarizedMessages: 7 });
+  });
+
+  test('should fold older exchanges while over the token budget, keeping the latest', async () => {
+    const context = buildContext(0, { maxHistory: 10, tokenBudget: 250 });
+    for (let n = 1; n <= 4; n++) {
+      context.messages.push(...exchange(n, `Reply ${n}: ${'a long story about the garden '.repeat(20)}`));
+    }
+    expect(context.getTokenCount()).toBeGreaterThan(250);
+
+    await context.compact();
+
+    const callerTurns = context.messages.filter(message => message.role === 'user').map(message => message.content);
+    expect(callerTurns).toEqual(['Caller turn 4']);
+    expect(context.messages[0].content).toBe('You are Jessica.');
+    expect(context.messages.some(message => message.content === 'callSid: CA-context')).toBe(true);
+  });
+
+  test('should fall back to a local synopsis when summarizing fails', async () => {
+    const context = buildContext(3, {
+      maxHistory: 1,
+      summarize: jest.fn().mockRejectedValue(new Error('Request timed out'))
+    });
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await context.compact();
+
+    expect(context.synopsis.content).toBe(`${ConversationContext.SYNOPSIS_PREFIX} You: Hi Francine! How are you doing today?\nCaller: Caller turn 1\nYou: Reply 1\nCaller: Caller turn 2\nYou: Reply 2`);
+    expect(consoleError).toHaveBeenCalledWith(expect.any(String), 'Request timed out');
+    consoleError.mockRestore();
+  });
+
+  test('should keep pinned messages and turns added while summarizing', async () => {
+    let finishSummary;
+    const context = buildContext(3, {
+      maxHistory: 1,
+      summarize: () => new Promise(resolve => { finishSummary = resolve; })
+    });
+    const important = context.pin(context.messages[3]);
+
+    const compaction = context.compact();
+    context.messages.push(...exchange(4));
+    finishSummary('Earlier turns.');
+    await compaction;
+
+    expect(context.messages).toContain(important);
+    expect(context.messages.slice(-4).map(message => message.content)).toEqual(['Caller turn 3', 'Reply 3', 'Caller turn 4', 'Reply 4']);
+  });
+});
+
+describe('GptService context', () => {
+  test('should keep the context within its limits across a long call', async () => {
+    const gptService = new GptService({ on: jest.fn() });
+    gptService.context.configure({ maxHistory: 3 });
+    jest.spyOn(gptService, 'emit').mockImplementation(() => true);
+
+    let result;
+    for (let n = 1; n <= 8; n++) {
+      result = await gptService.completion(`Caller turn ${n}`, n, 'user', 'user', true);
+      gptService.userContext.push({ role: 'assistant', content: `Reply ${n}` });
+    }
+    await gptService.context.compacting;
+
+    expect(gptService.userContext.filter(message => message.role === 'user')).toHaveLength(3);
+    expect(gptService.context.synopsis.content).toContain('Caller: Caller turn 1');
+    expect(result.context).toMatchObject({ summarizedMessages: expect.any(Number) });
+
+    // Replacing the context starts over without the synopsis
+    gptService.userContext = gptService.userContext.slice(0, 1);
+    expect(gptService.context.getStats()).toEqual({ messages: 1, tokens: expect.any(Number), summarizedMessages: 0 });
+  });
+});
@@ -1,6 +1,7 @@
 const request = require('supertest');
 const express = require('express');
 const DatabaseManager = require('../services/database-manager');
+const ConversationNarrativeService = require('../services/conversation-narrative-service');
 const conversationsRouter = require('../routes/api/conversations');
 
 /**
@@ -386,6 +387,65 @@ describe('Conversations API', () => {
       });
     });
 
+    test('should include the routing rule that answered the call', async () => {
+      await testDb.run(`
+        INSERT INTO routing_decisions (call_sid, patient_id, endpoint, rule_id, outcome, reason, context)
+        VALUES (?, 1, '/incoming', 'default', 'connect', 'Normal connect with progressive delay', '{"callsToday":1}')
+      `, ['CA1234567890abcdef1234567890abcdef12']);
+
+      const response = await request(app)
+        .get(`/api/conversations/${conversationId1}`)
+        .expect(200);
+
+      expect(response.body.data.routingDecision).toMatchObject({
+        ruleId: 'default',
+        outcome: 'connect',
+        context: { callsToday: 1 }
+      });
+    });
+
+    test('should include guidance caregivers sent during the call', async () => {
+      await testDb.run(`
+        INSERT INTO call_guidance (call_sid, patient_id, user_name, message, created_at)
+        VALUES (?, 1, 'Sam', 'The neighbor is feeding the cat', '2024-01-15 10:31:00')
+      `, ['CA1234567890abcdef1234567890abcdef12']);
+
+      const response = await request(app)
+        .get(`/api/conversations/${conversationId1}`)
+        .expect(200);
+
+      expect(response.body.data.guidance).toEqual([expect.objectContaining({
+        sentBy: 'Sam',
+        message: 'The neighbor is feeding the cat',
+        timestamp: '2024-01-15T10:31:00Z',
+        timestampFormatted: expect.objectContaining({ iso: '2024-01-15T10:31:00.000Z' })
+      })]);
+    });
+
+    test('should include the recap written after the call', async () => {
+      let response = await request(app)
+        .get(`/api/conversations/${conversationId1}`)
+        .expect(200);
+      expect(response.body.data.narrative).toBeNull();
+
+      await new ConversationNarrativeService(testDb).save(conversationId1, {
+        narrative: 'Francine talked about her garden and asked Ryan to visit.',
+        keyTopics: ['Garden'],
+        concerns: [],
+        requests: ['Visit from Ryan']
+      }, 'gpt-4o');
+
+      response = await request(app)
+        .get(`/api/conversations/${conversationId1}`)
+        .expect(200);
+      expect(response.body.data.narrative).toEqual({
+        narrative: 'Francine talked about her garden and asked Ryan to visit.',
+        keyTopics: ['Garden'],
+        concerns: [],
+        requests: ['Visit from Ryan']
+      });
+    });
+
     test('should include emotional state timeline data', async () => {
       const response = await request(app)
         .get(`/api/conversations/${conversationId1}`)
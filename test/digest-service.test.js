@@ -0,0 +1,205 @@
+/**
+ * Tests for family digests
+ * Covers the periods a digest covers in the patient's timezone, what goes into
+ * a report, rendering it as HTML, text and PDF, and the scheduler sending each
+ * digest once when it is due.
+ */
+
+const DatabaseManager = require('../services/database-manager');
+const DigestService = require('../services/digest-service');
+const DigestRenderer = require('../services/digest-renderer');
+const DigestScheduler = require('../services/digest-scheduler');
+const ConversationNarrativeService = require('../services/conversation-narrative-service');
+const { StubMailTransport } = require('../services/mail-transports');
+
+describe('Family digests', () => {
+  let testDb;
+  let service;
+  let originalFrom;
+
+  // Monday June 10, 2024 at 10:00 in Los Angeles
+  const mondayMorning = new Date('2024-06-10T17:00:00Z');
+
+  async function addCall(callSid, startTime, duration, { direction = 'inbound', anxiety = null, comfort = null } = {}) {
+    const { lastID } = await testDb.run(`
+      INSERT INTO conversations (call_sid, start_time, end_time, duration, patient_id, direction)
+      VALUES (?, ?, ?, ?, 1, ?)
+    `, [callSid, startTime, startTime, duration, direction]);
+    if (anxiety !== null || comfort !== null) {
+      await testDb.run(
+        'INSERT INTO emotional_metrics (conversation_id, anxiety_level, comfort_level) VALUES (?, ?, ?)',
+        [lastID, anxiety, comfort]
+      );
+    }
+    return lastID;
+  }
+
+  beforeEach(async () => {
+    testDb = new DatabaseManager(':memory:');
+    await testDb.waitForInitialization();
+    service = new DigestService(testDb);
+    originalFrom = process.env.DIGEST_EMAIL_FROM;
+    process.env.DIGEST_EMAIL_FROM = 'companion@example.com';
+
+    // Monday 9:00 and Sunday 15:30 of the week being reported, one the week before and one after it ended
+    const monday = await addCall('CA-digest-1', '2024-06-03T16:00:00.000Z', 600, { anxiety: 4, comfort: 6 });
+    await addCall('CA-digest-2', '2024-06-09T22:30:00.000Z', 300, { direction: 'outbound', anxiety: 2, comfort: 8 });
+    await addCall('CA-digest-3', '2024-05-30T16:00:00.000Z', 900, { anxiety: 6, comfort: 5 });
+    await addCall('CA-digest-4', '2024-06-10T08:00:00.000Z', 120);
+
+    await new ConversationNarrativeService(testDb).save(monday, {
+      narrative: 'Francine talked about her garden.',
+      keyTopics: ['Garden'],
+      concerns: ['Worried about the cat'],
+      requests: []
+    });
+    await testDb.run(`
+      INSERT INTO alerts (patient_id, type, severity, message, created_at)
+      VALUES (1, 'pain_mentioned', 'warning', 'Francine mentioned being in pain during a call at 11:00 AM.', '2024-06-05 18:00:00')
+    `);
+    await testDb.run(`
+      INSERT INTO memories (patient_id, memory_key, memory_content, category, created_at)
+      VALUES (1, 'ryan-move', 'Ryan is moving to <Denver>', 'family', '2024-06-04 12:00:00'),
+             (1, 'patient-garden', 'Francine grows tomatoes', 'preferences', '2024-05-01 12:00:00')
+    `);
+  });
+
+  afterEach(async () => {
+    if (originalFrom === undefined) {
+      delete process.env.DIGEST_EMAIL_FROM;
+    } else {
+      process.env.DIGEST_EMAIL_FROM = originalFrom;
+    }
+    await testDb.close();
+    DatabaseManager.resetInstance();
+  });
+
+  describe('DigestService', () => {
+    test('should cover yesterday or last Monday to Sunday in the patient\'s timezone', () => {
+      expect(DigestService.getPeriod('daily', 'America/Los_Angeles', mondayMorning)).toEqual({
+        period: 'daily',
+        start: '2024-06-09',
+        end: '2024-06-09',
+        startsAt: new Date('2024-06-09T07:00:00Z'),
+        endsAt: new Date('2024-06-10T07:00:00Z')
+      });
+
+      // Still Sunday evening in Los Angeles
+      const sundayEvening = new Date('2024-06-10T03:00:00Z');
+      expect(DigestService.getPeriod('weekly', 'America/Los_Angeles', sundayEvening)).toMatchObject({ start: '2024-05-27', end: '2024-06-02' });
+      expect(DigestService.getPeriod('weekly', 'America/Los_Angeles', mondayMorning)).toMatchObject({ start: '2024-06-03', end: '2024-06-09' });
+
+      // The day clocks go back is 25 hours long
+      expect(DigestService.getPeriod('daily', 'America/Los_Angeles', new Date('2024-11-04T18:00:00Z'))).toMatchObject({
+        startsAt: new Date('2024-11-03T07:00:00Z'),
+        endsAt: new Date('2024-11-04T08:00:00Z')
+      });
+    });
+
+    test('should report the week\'s calls, trends, concerns and new memories', async () => {
+      const report = await service.buildReport(1, 'weekly', { now: mondayMorning });
+
+      expect(report.calls).toMatchObject({ total: 2, outbound: 1, totalDurationSeconds: 900, averageDurationSeconds: 450 });
+      expect(report.calls.list.map(call => call.narrative)).toEqual(['Francine talked about her garden.', null]);
+      expect(report.days).toHaveLength(7);
+      expect(report.days[0]).toEqual({ date: '2024-06-03', calls: 1, averageAnxiety: 4, averageComfort: 6 });
+      expect(report.days[1]).toEqual({ date: '2024-06-04', calls: 0, averageAnxiety: null, averageComfort: null });
+      expect(report.anxiety).toEqual({ average: 3, previousAverage: 6, trend: 'lower' });
+      expect(report.comfort).toEqual({ average: 7, previousAverage: 5, trend: 'higher' });
+      expect(report.concerns).toEqual([
+        { source: 'alert', severity: 'warning', text: 'Francine mentioned being in pain during a call at 11:00 AM.' },
+        { source: 'call', conversationId: report.calls.list[0].id, text: 'Worried about the cat' }
+      ]);
+      expect(report.newMemories).toEqual([{ key: 'ryan-move', category: 'family', content: 'Ryan is moving to <Denver>' }]);
+
+      const daily = await service.buildReport(1, 'daily', { now: mondayMorning });
+      expect(daily.calls.total).toBe(1);
+      expect(daily.anxiety).toEqual({ average: 2, previousAverage: null, trend: null });
+    });
+
+    test('should validate recipients', async () => {
+      expect(DigestService.validateRecipient({ name: 'Ryan', email: 'not-an-email', frequency: 'monthly' })).toEqual([
+        'email must be an email address',
+        'frequency must be one of: daily, weekly'
+      ]);
+      await expect(service.createRecipient(1, { name: '', email: 'ryan@example.com', frequency: 'daily' }))
+        .rejects.toThrow('name is required');
+    });
+  });
+
+  describe('DigestRenderer', () => {
+    test('should render the same digest as email HTML, text and PDF', async () => {
+      const report = await service.buildReport(1, 'weekly', { now: mondayMorning });
+
+      expect(DigestRenderer.subject(report)).toBe('Francine\'s weekly digest: June 3 - June 9, 2024');
+
+      const html = DigestRenderer.renderHtml(report);
+      expect(html).toContain('Weekly digest for Francine');
+      expect(html).toContain('Francine had 2 calls this week, 15 min in total (8 min on average). 1 was a check-in call from the companion.');
+      expect(html).toContain('Anxiety averaged 3/10, lower than the week before (6/10).');
+      expect(html).toContain('Mon 9:00 AM, 10 min: Francine talked about her garden.');
+      expect(html).toContain('Ryan is moving to &lt;Denver&gt;');
+
+      const text = DigestRenderer.renderText(report);
+      expect(text).toContain('NOTABLE CONCERNS\n- Francine mentioned being in pain during a call at 11:00 AM.\n- Worried about the cat');
+      expect(text).toContain('- Sun 3:30 PM, 5 min (check-in): No recap was written for this call.');
+
+      const pdf = DigestRenderer.renderPdf(report).toString('latin1');
+      expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+      expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+      expect(pdf).toContain('(Weekly digest for Francine) Tj');
+      expect(DigestRenderer.filename(report, 'pdf')).toBe('francine-weekly-digest-2024-06-03.pdf');
+    });
+  });
+
+  describe('DigestScheduler', () => {
+    let transport;
+    let scheduler;
+    let ryan;
+    let lisa;
+
+    beforeEach(async () => {
+      transport = new StubMailTransport();
+      scheduler = new DigestScheduler({ databaseManager: testDb, transport });
+      ryan = await service.createRecipient(1, { name: 'Ryan', email: 'ryan@example.com', frequency: 'daily' });
+      lisa = await service.createRecipient(1, { name: 'Lisa', email: 'lisa@example.com', frequency: 'weekly' });
+    });
+
+    test('should email each due digest once with the PDF attached', async () => {
+      // 7:00 in Los Angeles, before digests go out
+      expect(await scheduler.tick(new Date('2024-06-10T14:00:00Z'))).toBe(0);
+
+      expect(await scheduler.tick(mondayMorning)).toBe(2);
+      expect(transport.sent.map(message => [message.to, message.subject])).toEqual([
+        ['ryan@example.com', 'Francine\'s daily digest: Sunday, June 9'],
+        ['lisa@example.com', 'Francine\'s weekly digest: June 3 - June 9, 2024']
+      ]);
+      expect(transport.sent[1]).toMatchObject({
+        from: 'companion@example.com',
+        html: expect.stringContaining('Weekly digest for Francine'),
+        text: expect.stringContaining('Weekly digest for Francine'),
+        attachments: [expect.objectContaining({ filename: 'francine-weekly-digest-2024-06-03.pdf', contentType: 'application/pdf' })]
+      });
+
+      // Already sent
+      expect(await scheduler.tick(new Date('2024-06-10T20:00:00Z'))).toBe(0);
+
+      // Tuesday brings a new daily digest only
+      expect(await scheduler.tick(new Date('2024-06-11T17:00:00Z'))).toBe(1);
+      expect(transport.sent[2].to).toBe('ryan@example.com');
+    });
+
+    test('should retry a failed send a few times, then give up', async () => {
+      await service.updateRecipient(lisa.id, 1, { isActive: false });
+      transport.sendMail = jest.fn().mockRejectedValue(new Error('SMTP connection refused'));
+
+      for (let attempt = 0; attempt < DigestService.MAX_ATTEMPTS + 1; attempt++) {
+        expect(await scheduler.tick(mondayMorning)).toBe(0);
+      }
+
+      expect(transport.sendMail).toHaveBeenCalledTimes(DigestService.MAX_ATTEMPTS);
+      expect(await testDb.get('SELECT status, attempts, error FROM digest_deliveries WHERE recipient_id = ?', [ryan.id]))
+        .toEqual({ status: 'failed', attempts: DigestService.MAX_ATTEMPTS, error: 'SMTP connection refused' });
+    });
+  });
+});
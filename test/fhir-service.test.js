@@ -0,0 +1,199 @@
+/**
+ * Tests for the FHIR export
+ * Covers turning calls, emotional metrics and care indicators into R4
+ * resources, the configurable Patient reference, local date ranges,
+ * validation of required elements, and the read-only /fhir endpoint and
+ * bundle download.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const DatabaseManager = require('../services/database-manager');
+const PatientService = require('../services/patient-service');
+const FhirService = require('../services/fhir-service');
+const fhirRouter = require('../routes/fhir');
+const adminFhirRouter = require('../routes/api/admin-fhir');
+
+describe('FHIR export', () => {
+  let testDb;
+  let service;
+  let conversationId;
+
+  const addCall = async (startTime, { metrics = null, painLevel = null, endTime = null } = {}) => {
+    const { lastID } = await testDb.run(
+      'INSERT INTO conversations (call_sid, start_time, end_time, duration, direction, patient_id) VALUES (?, ?, ?, ?, ?, 1)',
+      [`CA-${startTime}`, startTime, endTime, endTime ? 270 : null, 'outbound']
+    );
+    await testDb.run('INSERT INTO summaries (conversation_id, summary_text) VALUES (?, ?)', [lastID, JSON.stringify({
+      careIndicators: { painLevel, medicationConcerns: [], staffComplaints: [] }
+    })]);
+    if (metrics) {
+      await testDb.run(`
+        INSERT INTO emotional_metrics (conversation_id, anxiety_level, agitation_level, confusion_level, comfort_level, mentions_pain, mentions_medication)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [lastID, metrics.anxiety, metrics.agitation, metrics.confusion, metrics.comfort, metrics.pain ? 1 : 0, metrics.medication ? 1 : 0]);
+    }
+    return lastID;
+  };
+
+  beforeEach(async () => {
+    testDb = new DatabaseManager(':memory:');
+    await testDb.waitForInitialization();
+    await testDb.run('INSERT INTO users (id, email, display_name) VALUES (1, \'ryan@example.com\', \'Ryan\')');
+    conversationId = await addCall('2024-06-10T17:02:00Z', {
+      endTime: '2024-06-10T17:06:30Z',
+      painLevel: 4,
+      metrics: { anxiety: 6, agitation: 2, confusion: 3, comfort: 7, pain: true, medication: false }
+    });
+    service = new FhirService(testDb);
+  });
+
+  afterEach(async () => {
+    await testDb.close();
+    DatabaseManager.resetInstance();
+  });
+
+  describe('FhirService', () => {
+    test('should turn a call into an Encounter and Observations', async () => {
+      const { encounters, observations } = await service.getResources(1);
+
+      expect(encounters).toEqual([{
+        resourceType: 'Encounter',
+        id: String(conversationId),
+        status: 'finished',
+        class: { system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: 'VR', display: 'virtual' },
+        type: [{ text: 'Companion phone call (outbound check-in)' }],
+        subject: { reference: 'Patient/1' },
+        period: { start: '2024-06-10T17:02:00.000Z', end: '2024-06-10T17:06:30.000Z' },
+        length: { value: 4.5, unit: 'min', system: 'http://unitsofmeasure.org', code: 'min' }
+      }]);
+
+      expect(observations.map(item => [item.id, item.valueQuantity?.value ?? item.valueBoolean])).toEqual([
+        [`${conversationId}-anxiety-level`, 6],
+        [`${conversationId}-agitation-level`, 2],
+        [`${conversationId}-confusion-level`, 3],
+        [`${conversationId}-comfort-level`, 7],
+        [`${conversationId}-pain-mentioned`, true],
+        [`${conversationId}-72514-3`, 4]
+      ]);
+      expect(observations[5]).toMatchObject({
+        status: 'final',
+        code: { coding: [{ system: 'http://loinc.org', code: '72514-3' }] },
+        encounter: { reference: `Encounter/${conversationId}` },
+        effectiveDateTime: '2024-06-10T17:02:00.000Z'
+      });
+      for (const resource of [...encounters, ...observations]) {
+        expect(FhirService.validate(resource)).toEqual([]);
+      }
+    });
+
+    test('should refer to the configured Patient reference', async () => {
+      const patients = new PatientService(testDb);
+      await expect(patients.updatePatient(1, { fhirPatientReference: 'not a reference' })).rejects.toThrow('fhirPatientReference');
+      await patients.updatePatient(1, { fhirPatientReference: 'https://ehr.example.org/fhir/Patient/abc-123' });
+
+      const bundle = await service.buildBundle(1, { from: '2024-06-10', to: '2024-06-10', baseUrl: 'https://companion.example.org/fhir' });
+      expect(bundle.type).toBe('collection');
+      expect(bundle.entry.map(entry => entry.resource.resourceType)).not.toContain('Patient');
+      expect(bundle.entry.every(entry => entry.resource.subject.reference === 'https://ehr.example.org/fhir/Patient/abc-123')).toBe(true);
+      expect(bundle.entry[0].fullUrl).toBe(`https://companion.example.org/fhir/Encounter/${conversationId}`);
+      expect(FhirService.validate(bundle)).toEqual([]);
+
+      await patients.updatePatient(1, { fhirPatientReference: null });
+      const ours = await service.buildBundle(1, { from: '2024-06-10', to: '2024-06-10', baseUrl: 'https://companion.example.org/fhir' });
+      expect(ours.entry[0].resource).toMatchObject({ resourceType: 'Patient', id: '1' });
+    });
+
+    test('should select calls by the patient\'s local dates', async () => {
+      // 10pm on June 10 in Los Angeles, June 11 in UTC
+      const lateCall = await addCall('2024-06-11T05:00:00Z', { metrics: { anxiety: 3 } });
+      await addCall('2024-06-12T17:00:00Z');
+
+      const { encounters, observations } = await service.getResources(1, { from: '2024-06-10', to: '2024-06-10' });
+      expect(encounters.map(item => item.id)).toEqual([String(conversationId), String(lateCall)]);
+      expect(encounters[1].status).toBe('in-progress');
+      expect(observations.filter(item => item.encounter.reference === `Encounter/${lateCall}`).map(item => item.id))
+        .toEqual([`${lateCall}-anxiety-level`]);
+    });
+
+    test('should report missing required elements', () => {
+      expect(FhirService.validate({ resourceType: 'Observation', id: '1-x', status: 'done', subject: {} })).toEqual([
+        'Observation.status \'done\' is not one of: registered, preliminary, final, amended, corrected, cancelled, entered-in-error, unknown',
+        'Observation.code is required',
+        'Observation.subject needs a reference or display'
+      ]);
+      expect(FhirService.validate({ resourceType: 'Bundle', entry: [{ resource: { resourceType: 'Encounter', id: 'bad id' } }] })).toEqual([
+        'Bundle.type is required',
+        'Bundle.entry[0].resource.id \'bad id\' is not a valid id',
+        'Bundle.entry[0].resource.status is required',
+        'Bundle.entry[0].resource.class is required'
+      ]);
+      expect(FhirService.validate(FhirService.capabilityStatement('https://companion.example.org/fhir'))).toEqual([]);
+    });
+  });
+
+  describe('Routes', () => {
+    let app;
+    let originalGetInstance;
+
+    beforeEach(() => {
+      originalGetInstance = DatabaseManager.getInstance;
+      DatabaseManager.getInstance = () => testDb;
+
+      app = express();
+      // Stand in for authenticateAdmin with a signed-in user
+      app.use((req, res, next) => { req.user = { id: 1, email: 'ryan@example.com', role: 'owner' }; next(); });
+      app.use('/fhir', fhirRouter);
+      app.use('/api/admin/fhir', adminFhirRouter);
+    });
+
+    afterEach(() => {
+      DatabaseManager.getInstance = originalGetInstance;
+    });
+
+    test('should serve resources read-only as FHIR JSON', async () => {
+      const metadata = await request(app).get('/fhir/metadata').expect(200);
+      expect(metadata.headers['content-type']).toContain('application/fhir+json');
+      expect(JSON.parse(metadata.text)).toMatchObject({ resourceType: 'CapabilityStatement', fhirVersion: '4.0.1' });
+
+      const search = JSON.parse((await request(app).get('/fhir/Observation?patient=Patient/1&date=ge2024-06-10&date=le2024-06-10').expect(200)).text);
+      expect(search).toMatchObject({ resourceType: 'Bundle', type: 'searchset', total: 6 });
+      const empty = JSON.parse((await request(app).get('/fhir/Encounter?date=2024-06-09').expect(200)).text);
+      expect(empty.total).toBe(0);
+
+      const observation = JSON.parse((await request(app).get(`/fhir/Observation/${conversationId}-comfort-level`).expect(200)).text);
+      expect(observation.valueQuantity.value).toBe(7);
+      expect(JSON.parse((await request(app).get('/fhir/Patient/1').expect(200)).text).resourceType).toBe('Patient');
+
+      const missing = JSON.parse((await request(app).get(`/fhir/Encounter/${conversationId + 1}`).expect(404)).text);
+      expect(missing).toMatchObject({ resourceType: 'OperationOutcome', issue: [{ severity: 'error', code: 'not-found' }] });
+      await request(app).get('/fhir/Encounter?date=gt2024-06-10').expect(400);
+      await request(app).get('/fhir/Condition').expect(404);
+      await request(app).post('/fhir/Encounter').send({}).expect(405);
+
+      const entries = await testDb.all('SELECT target_id, details FROM audit_log WHERE action = \'data_exported\' ORDER BY id');
+      expect(entries.map(entry => entry.target_id)).toEqual(['Observation', 'Encounter', `Observation/${conversationId}-comfort-level`, 'Patient/1']);
+      expect(JSON.parse(entries[0].details)).toEqual({ interaction: 'search', from: '2024-06-10', to: '2024-06-10', count: 6 });
+    });
+
+    test('should download a bundle for a date range', async () => {
+      const response = await request(app).get('/api/admin/fhir/bundle?from=2024-06-01&to=2024-06-30').expect(200);
+      expect(response.headers['content-type']).toContain('application/fhir+json');
+      expect(response.headers['content-disposition']).toContain('fhir-patient-1-2024-06-01-to-2024-06-30.json');
+
+      const bundle = JSON.parse(response.text);
+      expect(bundle.entry.map(entry => entry.resource.resourceType)).toEqual([
+        'Patient', 'Encounter', 'Observation', 'Observation', 'Observation', 'Observation', 'Observation', 'Observation'
+      ]);
+      expect(await testDb.get('SELECT target_type, target_id, details FROM audit_log')).toEqual({
+        target_type: 'patient',
+        target_id: '1',
+        details: JSON.stringify({ format: 'fhir', from: '2024-06-01', to: '2024-06-30', resources: 8 })
+      });
+
+      await request(app).get('/api/admin/fhir/bundle?from=2024-06-30&to=2024-06-01').expect(400);
+      await request(app).get('/api/admin/fhir/bundle?from=2024-06-01').expect(400);
+      await request(app).get('/api/admin/fhir/bundle?from=2024-06-01&to=2024-06-30&patientId=99').expect(404);
+    });
+  });
+});
@@ -0,0 +1,285 @@
+/**
+ * Tests for field encryption at rest
+ * Covers the encrypted value format and keys, DatabaseManager encrypting PHI
+ * columns as they are written and decrypting them as they are read, search
+ * over encrypted fields, memory embeddings, encrypting rows written before a
+ * key was configured, refusing to start without a key that has encrypted data,
+ * key rotation, and no plaintext or old ciphertext left in the file on disk.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const DatabaseManager = require('../services/database-manager');
+const FieldEncryption = require('../services/field-encryption');
+const MemoryService = require('../services/memory-service');
+const CallGuidanceService = require('../services/call-guidance-service');
+const searchRouter = require('../routes/api/search');
+const conversationsRouter = require('../routes/api/conversations');
+
+describe('Field encryption', () => {
+  const oldKey = FieldEncryption.generateKey();
+  const newKey = FieldEncryption.generateKey();
+
+  // Values as stored in the file, bypassing decryption
+  const raw = (db, sql, params = []) => db.getConnection().prepare(sql).get(...params);
+
+  describe('FieldEncryption', () => {
+    test('should encrypt text so only a configured key can read it', () => {
+      const encryption = new FieldEncryption([oldKey]);
+
+      const first = encryption.encrypt('My hip hurts today.');
+      const second = encryption.encrypt('My hip hurts today.');
+
+      expect(first).toMatch(new RegExp(`^enc:v1:${encryption.currentKeyId}:`));
+      expect(first).not.toBe(second);
+      expect(encryption.decrypt(first)).toBe('My hip hurts today.');
+      expect(encryption.encrypt(first)).toBe(first);
+
+      expect(() => new FieldEncryption([newKey]).decrypt(first)).toThrow(`Field encryption key ${encryption.currentKeyId} is not configured`);
+      // A value altered in storage fails authentication
+      const tampered = first.split(':');
+      tampered[4] = second.split(':')[4];
+      expect(() => encryption.decrypt(tampered.join(':'))).toThrow();
+    });
+
+    test('should pass values through when no key is configured', () => {
+      const encryption = new FieldEncryption();
+
+      expect(encryption.enabled).toBe(false);
+      expect(encryption.encrypt('plain')).toBe('plain');
+      expect(new FieldEncryption([oldKey]).encrypt(null)).toBeNull();
+      expect(new FieldEncryption([oldKey]).decrypt('plain')).toBe('plain');
+      expect(() => new FieldEncryption(['too-short'])).toThrow('must be 32 bytes');
+    });
+
+    test('should read keys from the environment or a key file', () => {
+      const fromEnv = FieldEncryption.fromEnv({ FIELD_ENCRYPTION_KEY: newKey, FIELD_ENCRYPTION_PREVIOUS_KEYS: oldKey });
+      expect(fromEnv.keyIds).toEqual([FieldEncryption.keyId(FieldEncryption.parseKey(newKey)), FieldEncryption.keyId(FieldEncryption.parseKey(oldKey))]);
+      expect(fromEnv.currentKeyId).toBe(fromEnv.keyIds[0]);
+
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'field-keys-'));
+      try {
+        const keyFile = path.join(dir, 'keys');
+        fs.writeFileSync(keyFile, `${newKey}\n${oldKey}\n`);
+        expect(FieldEncryption.fromEnv({ FIELD_ENCRYPTION_KEY_FILE: keyFile, FIELD_ENCRYPTION_KEY: oldKey }).keyIds).toEqual(fromEnv.keyIds);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('DatabaseManager', () => {
+    let testDb;
+    let conversationId;
+
+    beforeEach(async () => {
+      testDb = new DatabaseManager(':memory:', { encryption: new FieldEncryption([oldKey]) });
+      await testDb.waitForInitialization();
+
+      ({ lastID: conversationId } = await testDb.run(`
+        INSERT INTO conversations (call_sid, start_time, patient_id, voicemail_transcript)
+        VALUES ('CA-encrypted', '2024-06-10T17:00:00.000Z', 1, 'Hi Mom, it is Ryan.')
+      `));
+      await testDb.run(`
+        INSERT INTO messages (conversation_id, role, content, timestamp)
+        VALUES (?, 'user', 'I planted tomatoes in the garden.', '2024-06-10T17:00:01.000Z')
+      `, [conversationId]);
+      await testDb.run('INSERT INTO summaries (conversation_id, summary_text) VALUES (?, ?)', [conversationId, JSON.stringify({
+        mentalStateIndicators: { overallMoodTrend: 'positive' },
+        careIndicators: { medicationConcerns: ['Forgot her pills'], staffComplaints: [] }
+      })]);
+    });
+
+    afterEach(async () => {
+      await testDb.close();
+      DatabaseManager.resetInstance();
+    });
+
+    test('should store PHI encrypted and read it back decrypted', async () => {
+      expect(FieldEncryption.isEncrypted(raw(testDb, 'SELECT content FROM messages').content)).toBe(true);
+      expect(FieldEncryption.isEncrypted(raw(testDb, 'SELECT summary_text FROM summaries').summary_text)).toBe(true);
+      expect(FieldEncryption.isEncrypted(raw(testDb, 'SELECT voicemail_transcript FROM conversations').voicemail_transcript)).toBe(true);
+
+      expect(await testDb.get('SELECT content AS text FROM messages')).toEqual({ text: 'I planted tomatoes in the garden.' });
+      expect(await testDb.all('SELECT voicemail_transcript FROM conversations')).toEqual([{ voicemail_transcript: 'Hi Mom, it is Ryan.' }]);
+
+      await testDb.run('UPDATE messages SET content = ? WHERE conversation_id = ?', ['Updated.', conversationId]);
+      expect(FieldEncryption.isEncrypted(raw(testDb, 'SELECT content FROM messages').content)).toBe(true);
+      expect((await testDb.get('SELECT content FROM messages')).content).toBe('Updated.');
+
+      // Columns that aren't PHI stay as they are
+      expect(raw(testDb, 'SELECT call_sid FROM conversations').call_sid).toBe('CA-encrypted');
+    });
+
+    test('should encrypt memories and their history', async () => {
+      const memoryService = new MemoryService(testDb);
+      await memoryService.saveMemory('ryan-move', 'Ryan is moving to Denver', 'family');
+      await memoryService.saveMemory('ryan-move', 'Ryan moved to Denver in June', 'family');
+
+      expect(FieldEncryption.isEncrypted(raw(testDb, 'SELECT memory_content FROM memories').memory_content)).toBe(true);
+      const revision = raw(testDb, 'SELECT old_content, new_content FROM memory_revisions WHERE old_content IS NOT NULL');
+      expect(FieldEncryption.isEncrypted(revision.old_content)).toBe(true);
+      expect(FieldEncryption.isEncrypted(revision.new_content)).toBe(true);
+
+      expect(await testDb.get('SELECT memory_content FROM memories')).toEqual({ memory_content: 'Ryan moved to Denver in June' });
+    });
+
+    test('should encrypt memory embeddings and key their content hash', async () => {
+      const memoryService = new MemoryService(testDb);
+      await memoryService.saveMemory('patient-garden', 'Francine grows tomatoes', 'preferences');
+
+      const stored = raw(testDb, 'SELECT vector, content_hash FROM memory_embeddings');
+      expect(FieldEncryption.isEncrypted(stored.vector)).toBe(true);
+      const text = 'patient garden: Francine grows tomatoes';
+      expect(stored.content_hash).toBe(testDb.encryption.digest(text));
+      expect(stored.content_hash).not.toBe(new FieldEncryption().digest(text));
+      expect(stored.content_hash).not.toBe(new FieldEncryption([newKey]).digest(text));
+
+      expect(await memoryService.recallMemories('tomato garden')).toEqual([expect.objectContaining({ key: 'patient-garden' })]);
+    });
+
+    test('should encrypt what was said in transfers and guidance', async () => {
+      await testDb.run(
+        'INSERT INTO call_transfers (call_sid, patient_id, targets, recent_utterances) VALUES (\'CA-encrypted\', 1, \'[]\', ?)',
+        [JSON.stringify(['I fell in the kitchen'])]
+      );
+      await new CallGuidanceService(testDb).record({ callSid: 'CA-encrypted', patientId: 1, user: { id: null, displayName: 'Ryan' }, message: 'Ask about her fall' });
+
+      expect(FieldEncryption.isEncrypted(raw(testDb, 'SELECT recent_utterances FROM call_transfers').recent_utterances)).toBe(true);
+      expect(FieldEncryption.isEncrypted(raw(testDb, 'SELECT message FROM call_guidance').message)).toBe(true);
+      expect(await testDb.get('SELECT recent_utterances FROM call_transfers')).toEqual({ recent_utterances: '["I fell in the kitchen"]' });
+      expect(await new CallGuidanceService(testDb).listForCall('CA-encrypted')).toEqual([expect.objectContaining({ message: 'Ask about her fall' })]);
+    });
+
+    test('should keep search working over encrypted fields', async () => {
+      const memoryService = new MemoryService(testDb);
+      await memoryService.saveMemory('patient-garden', 'Francine grows tomatoes', 'preferences');
+
+      const originalGetInstance = DatabaseManager.getInstance;
+      DatabaseManager.getInstance = () => testDb;
+      try {
+        const app = express();
+        app.use('/api/search', searchRouter);
+        app.use('/api/conversations', conversationsRouter);
+
+        const search = await request(app).get('/api/search?q=tomatoes').expect(200);
+        expect(search.body.data.results.conversations).toEqual([expect.objectContaining({ id: conversationId })]);
+        expect(search.body.data.results.memories).toEqual([expect.objectContaining({ title: 'patient-garden', summary: 'Francine grows tomatoes' })]);
+
+        const byMedication = await request(app).get('/api/search/conversations?q=pills').expect(200);
+        expect(byMedication.body.data.conversations).toHaveLength(1);
+
+        const list = await request(app).get('/api/conversations?search=tomatoes&emotionalStates=positive').expect(200);
+        expect(list.body.data.conversations).toEqual([expect.objectContaining({ id: conversationId })]);
+
+        await request(app).get('/api/conversations?search=weather').expect(200)
+          .then(response => expect(response.body.data.conversations).toEqual([]));
+      } finally {
+        DatabaseManager.getInstance = originalGetInstance;
+      }
+    });
+  });
+
+  describe('Existing data and key rotation', () => {
+    let dir;
+    let dbPath;
+
+    const open = async keys => {
+      const db = new DatabaseManager(dbPath, { encryption: new FieldEncryption(keys) });
+      await db.waitForInitialization();
+      return db;
+    };
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'field-encryption-'));
+      dbPath = path.join(dir, 'test.db');
+    });
+
+    // Whether text appears anywhere in the database's files on disk, free space and WAL included
+    const onDisk = text => fs.readdirSync(dir)
+      .some(file => fs.readFileSync(path.join(dir, file)).includes(text));
+    // Long enough to spill onto overflow pages, which is where replaced plaintext used to be left
+    const transcript = 'I take my lisinopril at breakfast. '.repeat(200);
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should leave no plaintext in the database file', async () => {
+      const db = await open([oldKey]);
+      const { lastID } = await db.run('INSERT INTO conversations (call_sid, start_time, patient_id) VALUES (\'CA-disk\', \'2024-06-01T10:00:00Z\', 1)');
+      await db.run('INSERT INTO messages (conversation_id, role, content, timestamp) VALUES (?, \'user\', ?, \'2024-06-01T10:00:01Z\')', [lastID, transcript]);
+      await db.run('UPDATE messages SET content = ? WHERE conversation_id = ?', [transcript.replace(/breakfast/g, 'lunch'), lastID]);
+      await new MemoryService(db).saveMemory('health-medication', 'Takes lisinopril for blood pressure', 'health');
+      await db.run('DELETE FROM messages WHERE conversation_id = ?', [lastID]);
+      await db.close();
+
+      expect(onDisk('lisinopril')).toBe(false);
+    });
+
+    test('should compact away plaintext written before a key was configured', async () => {
+      const plain = await open([]);
+      const { lastID } = await plain.run('INSERT INTO conversations (call_sid, start_time, patient_id) VALUES (\'CA-old\', \'2024-06-01T10:00:00Z\', 1)');
+      await plain.run('INSERT INTO messages (conversation_id, role, content, timestamp) VALUES (?, \'user\', ?, \'2024-06-01T10:00:01Z\')', [lastID, transcript]);
+      await plain.close();
+      expect(onDisk('lisinopril')).toBe(true);
+
+      const encrypted = await open([oldKey]);
+      await encrypted.close();
+
+      expect(onDisk('lisinopril')).toBe(false);
+    });
+
+    test('should encrypt rows written before a key was configured', async () => {
+      const plain = await open([]);
+      const { lastID } = await plain.run('INSERT INTO conversations (call_sid, start_time, patient_id) VALUES (\'CA-old\', \'2024-06-01T10:00:00Z\', 1)');
+      await plain.run('INSERT INTO messages (conversation_id, role, content, timestamp) VALUES (?, \'user\', \'Hello\', \'2024-06-01T10:00:01Z\')', [lastID]);
+      await plain.run('INSERT INTO call_guidance (call_sid, patient_id, user_name, message) VALUES (\'CA-old\', 1, \'Ryan\', \'Ask about lunch\')');
+      await new MemoryService(plain).saveMemory('patient-garden', 'Francine grows tomatoes', 'preferences');
+      expect(raw(plain, 'SELECT COUNT(*) AS count FROM memory_embeddings').count).toBe(1);
+      await plain.close();
+
+      const encrypted = await open([oldKey]);
+      expect(FieldEncryption.isEncrypted(raw(encrypted, 'SELECT content FROM messages').content)).toBe(true);
+      expect((await encrypted.get('SELECT content FROM messages')).content).toBe('Hello');
+      expect(FieldEncryption.isEncrypted(raw(encrypted, 'SELECT message FROM call_guidance').message)).toBe(true);
+      // Plain embeddings are dropped and recomputed, encrypted, on the next recall
+      expect(raw(encrypted, 'SELECT COUNT(*) AS count FROM memory_embeddings').count).toBe(0);
+      await new MemoryService(encrypted).recallMemories('tomato garden');
+      expect(FieldEncryption.isEncrypted(raw(encrypted, 'SELECT vector FROM memory_embeddings').vector)).toBe(true);
+      await encrypted.close();
+
+      // Starting without the key would leave the data unreadable
+      const withoutKey = new DatabaseManager(dbPath, { encryption: new FieldEncryption() });
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      await expect(withoutKey.waitForInitialization()).rejects.toThrow('is not configured');
+      consoleError.mockRestore();
+      await withoutKey.close();
+    });
+
+    test('should re-encrypt with a new key and retire the old one', async () => {
+      const before = await open([oldKey]);
+      const { lastID } = await before.run('INSERT INTO conversations (call_sid, start_time, patient_id) VALUES (\'CA-old\', \'2024-06-01T10:00:00Z\', 1)');
+      await before.run('INSERT INTO messages (conversation_id, role, content, timestamp) VALUES (?, \'user\', \'Hello\', \'2024-06-01T10:00:01Z\')', [lastID]);
+      const oldKeyId = before.encryption.currentKeyId;
+      await before.close();
+
+      const rotating = await open([newKey, oldKey]);
+      expect(FieldEncryption.keyIdOf(raw(rotating, 'SELECT content FROM messages').content)).toBe(oldKeyId);
+
+      expect(rotating.encryptFields({ rotate: true })).toMatchObject({ 'messages.content': 1, 'summaries.summary_text': 0 });
+      expect(FieldEncryption.keyIdOf(raw(rotating, 'SELECT content FROM messages').content)).toBe(rotating.encryption.currentKeyId);
+      expect(raw(rotating, 'SELECT retired_at FROM encryption_keys WHERE key_id = ?', [oldKeyId]).retired_at).not.toBeNull();
+      await rotating.close();
+      // Nothing encrypted with the old key is left behind
+      expect(onDisk(`${FieldEncryption.PREFIX}${oldKeyId}:`)).toBe(false);
+
+      const after = await open([newKey]);
+      expect((await after.get('SELECT content FROM messages')).content).toBe('Hello');
+      await after.close();
+    });
+  });
+});
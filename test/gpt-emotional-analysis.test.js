@@ -47,7 +47,9 @@ describe('GPT Emotional Analysis', () => {
         keyObservations: [
           'Mock analysis for testing',
           'Simulated emotional metrics'
-        ]
+        ],
+        mentionsPain: false,
+        emergencyIndicators: []
       });
     });
 
@@ -15,18 +15,12 @@ describe('GPT Functions - Fact Protection', () => {
     
     memoryService = new MemoryService(dbManager);
     await memoryService.initialize();
-    
-    // Set global memory service for functions
-    global.memoryService = memoryService;
   });
 
   afterAll(async () => {
     if (dbManager) {
       await dbManager.close();
     }
-    
-    // Clean up global
-    delete global.memoryService;
   });
 
   beforeEach(async () => {
@@ -44,19 +38,24 @@ describe('GPT Functions - Fact Protection', () => {
       await memoryService.saveMemory('general_memory', 'Likes tea in the morning', 'general', false);
     });
 
-    test('should delete regular memories successfully', async () => {
-      const result = JSON.parse(await forgetMemory({ memory_key: 'family_memory' }));
-      
+    test('should queue regular memories for removal until a caregiver approves', async () => {
+      const result = JSON.parse(await forgetMemory({ memoryService, memory_key: 'family_memory' }));
+
       expect(result.success).toBe(true);
-      
-      // Verify memory is deleted
-      const recalled = await memoryService.getMemory('family_memory');
-      expect(recalled).toBeNull();
+
+      // Hidden from the companion, but kept until a caregiver approves the removal
+      expect(await memoryService.getMemory('family_memory')).toBeNull();
+      expect(await memoryService.getPendingMemories()).toEqual([
+        expect.objectContaining({ key: 'familymemory', content: 'Talked about son yesterday', removal: true })
+      ]);
+
+      expect(await memoryService.approveMemory('family_memory')).toMatchObject({ action: 'deleted' });
+      expect(await dbManager.get('SELECT id FROM memories WHERE memory_key = ?', ['familymemory'])).toBeUndefined();
     });
 
     test('should protect facts from deletion', async () => {
       // Fact protection should prevent deletion
-      const result = JSON.parse(await forgetMemory({ memory_key: 'family_fact' }));
+      const result = JSON.parse(await forgetMemory({ memoryService, memory_key: 'family_fact' }));
       
       // Expect fact protection to block deletion
       expect(result.success).toBe(false);
@@ -73,7 +72,7 @@ describe('GPT Functions - Fact Protection', () => {
       await memoryService.saveMemory('family_conversation', 'Discussed family dynamics', 'family', false);
       
       // Try to forget using partial term that could match both fact and memory
-      const result = JSON.parse(await forgetMemory({ memory_key: 'family' }));
+      const result = JSON.parse(await forgetMemory({ memoryService, memory_key: 'family' }));
       
       // Should prefer deleting memories over facts
       // This behavior needs to be implemented
@@ -88,7 +87,8 @@ describe('GPT Functions - Fact Protection', () => {
     });
 
     test('should store new conversation memories without affecting facts', async () => {
-      const result = JSON.parse(await rememberInformation({ 
+      const result = JSON.parse(await rememberInformation({
+        memoryService,
         content: 'Son seemed worried during call',
         category: 'family'
       }));
@@ -107,7 +107,8 @@ describe('GPT Functions - Fact Protection', () => {
     });
 
     test('should store memories with is_fact=false by default', async () => {
-      const result = JSON.parse(await rememberInformation({ 
+      const result = JSON.parse(await rememberInformation({
+        memoryService,
         content: 'Seemed anxious today',
         category: 'general'
       }));
@@ -122,7 +123,8 @@ describe('GPT Functions - Fact Protection', () => {
 
     test('should handle memory key conflicts with facts gracefully', async () => {
       // Auto-generated keys should not conflict with existing facts
-      const result = JSON.parse(await rememberInformation({ 
+      const result = JSON.parse(await rememberInformation({
+        memoryService,
         content: 'Son called today and seemed happy',
         category: 'family'
       }));
@@ -151,7 +153,8 @@ describe('GPT Functions - Fact Protection', () => {
     });
 
     test('should update regular memories successfully', async () => {
-      const result = JSON.parse(await updateMemory({ 
+      const result = JSON.parse(await updateMemory({
+        memoryService,
         memory_key: 'changeable_memory', 
         updated_content: 'Is feeling better today'
       }));
@@ -165,7 +168,8 @@ describe('GPT Functions - Fact Protection', () => {
     });
 
     test('should protect facts from casual updates', async () => {
-      const result = JSON.parse(await updateMemory({ 
+      const result = JSON.parse(await updateMemory({
+        memoryService,
         memory_key: 'verified_fact', 
         updated_content: 'Moved to different facility'
       }));
@@ -197,10 +201,7 @@ describe('GPT Functions - Fact Protection', () => {
     });
 
     test('should handle empty memory service gracefully', async () => {
-      // Temporarily remove global service
-      const originalService = global.memoryService;
-      delete global.memoryService;
-      
+      // No memory service is passed when the call has none
       const result = JSON.parse(await rememberInformation({ 
         memory_key: 'test', 
         content: 'test content'
@@ -208,17 +209,14 @@ describe('GPT Functions - Fact Protection', () => {
       
       // Should fail gracefully without crashing
       expect(result.success).toBe(true); // Current implementation reports success
-      
-      // Restore service
-      global.memoryService = originalService;
     });
   });
 
 
   describe('Error Handling and Edge Cases', () => {
     test('should handle malformed function calls gracefully', async () => {
-      const result1 = JSON.parse(await forgetMemory({}));
-      const result2 = JSON.parse(await rememberInformation({}));
+      const result1 = JSON.parse(await forgetMemory({ memoryService }));
+      const result2 = JSON.parse(await rememberInformation({ memoryService }));
       
       // Should not crash and should handle missing parameters
       expect(result1).toBeDefined();
@@ -230,7 +228,8 @@ describe('GPT Functions - Fact Protection', () => {
       const originalSaveMemory = memoryService.saveMemory;
       memoryService.saveMemory = jest.fn().mockRejectedValue(new Error('Database error'));
       
-      const result = JSON.parse(await rememberInformation({ 
+      const result = JSON.parse(await rememberInformation({
+        memoryService,
         content: 'test content'
       }));
       
@@ -255,7 +254,7 @@ describe('GPT Functions - Fact Protection', () => {
       const startTime = Date.now();
       
       // Operations should be fast even with many facts
-      const result = JSON.parse(await forgetMemory({ memory_key: 'memory_25' }));
+      const result = JSON.parse(await forgetMemory({ memoryService, memory_key: 'memory_25' }));
       
       const endTime = Date.now();
       const executionTime = endTime - startTime;
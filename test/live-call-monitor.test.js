@@ -0,0 +1,234 @@
+/**
+ * Tests for the live call monitor
+ * Covers following a call through its ConversationAnalyzer (transcript lines,
+ * function calls, interruptions, silence steps), scoping events to a patient,
+ * the caregiver-only snapshot and audited Server-Sent Events stream, and
+ * private guidance sent into a call in progress.
+ */
+
+const http = require('http');
+const EventEmitter = require('events');
+const request = require('supertest');
+const express = require('express');
+const ConversationAnalyzer = require('../services/conversation-analyzer');
+const DatabaseManager = require('../services/database-manager');
+const CallSession = require('../services/call-session');
+const { GptService } = require('../services/gpt-service');
+const { MarkCompletionService } = require('../services/mark-completion-service');
+const LiveCallMonitor = require('../services/live-call-monitor');
+const adminLiveRouter = require('../routes/api/admin-live');
+
+// The parts of a CallSession the monitor reads
+function createSession(callSid, patientId = 1) {
+  const session = new EventEmitter();
+  session.callSid = callSid;
+  session.patient = { id: patientId, preferredName: 'Francine' };
+  session.direction = 'inbound';
+  session.isEnded = false;
+  session.personaProfile = { displayName: 'Jessica' };
+  session.gptService = new GptService(new MarkCompletionService(), null, null, null, 'jessica', session.patient);
+  session.conversationAnalyzer = new ConversationAnalyzer(callSid, new Date('2024-06-03T16:35:00Z'));
+  session.addCaregiverGuidance = CallSession.prototype.addCaregiverGuidance;
+  return session;
+}
+
+describe('LiveCallMonitor', () => {
+  let monitor;
+  let originalConsoleLog;
+
+  beforeEach(() => {
+    LiveCallMonitor.resetInstance();
+    monitor = LiveCallMonitor.getInstance();
+    originalConsoleLog = console.log;
+    console.log = jest.fn();
+  });
+
+  afterEach(() => {
+    console.log = originalConsoleLog;
+    LiveCallMonitor.resetInstance();
+  });
+
+  test('should stream a call from start to end', () => {
+    const events = [];
+    monitor.subscribe(1, event => events.push(event));
+    const session = createSession('CA-live-1');
+
+    monitor.attach(session);
+    const analyzer = session.conversationAnalyzer;
+    analyzer.trackAssistantResponse('Hi Francine!', new Date());
+    analyzer.trackUserUtterance('Hello dear', new Date());
+    analyzer.trackFunctionCall('getNewsHeadlines', {}, new Date());
+    analyzer.trackInterruption(new Date());
+    analyzer.trackSilenceEvent({ stepIndex: 0, action: 'prompt', timeoutSeconds: 8 }, new Date());
+    session.emit('ended', null);
+    analyzer.trackUserUtterance('Still there?', new Date());
+
+    expect(events.map(event => event.type)).toEqual([
+      'call_started', 'transcript', 'transcript', 'function_call', 'interruption', 'silence', 'call_ended'
+    ]);
+    expect(events[0].call).toMatchObject({ callSid: 'CA-live-1', patientName: 'Francine', persona: 'Jessica', direction: 'inbound' });
+    expect(events[2].line).toMatchObject({ role: 'user', text: 'Hello dear' });
+    expect(events[5]).toMatchObject({ action: 'prompt', stepIndex: 0 });
+    expect(monitor.getActiveCalls(1)).toEqual([]);
+  });
+
+  test('should keep a rolling transcript and only report a patient\'s own calls', () => {
+    const otherPatientEvents = [];
+    monitor.subscribe(2, event => otherPatientEvents.push(event));
+    const session = createSession('CA-live-2');
+    monitor.attach(session);
+
+    for (let i = 1; i <= LiveCallMonitor.TRANSCRIPT_LINES + 5; i++) {
+      session.conversationAnalyzer.trackUserUtterance(`Line ${i}`, new Date());
+    }
+
+    const [call] = monitor.getActiveCalls(1);
+    expect(call.transcript).toHaveLength(LiveCallMonitor.TRANSCRIPT_LINES);
+    expect(call.transcript[0].text).toBe('Line 6');
+    expect(monitor.getActiveCalls(2)).toEqual([]);
+    expect(otherPatientEvents).toEqual([]);
+  });
+
+  describe('Admin API', () => {
+    let app;
+    let userRole;
+    let testDb;
+    let originalGetInstance;
+
+    beforeEach(async () => {
+      testDb = new DatabaseManager(':memory:');
+      await testDb.waitForInitialization();
+      await testDb.run('INSERT INTO users (id, email, display_name, role) VALUES (1, ?, ?, ?)', ['sam@example.com', 'Sam', 'caregiver']);
+      originalGetInstance = DatabaseManager.getInstance;
+      DatabaseManager.getInstance = () => testDb;
+
+      userRole = 'caregiver';
+      app = express();
+      app.use(express.json());
+      // Stand in for authenticateAdmin with a signed-in user
+      app.use((req, res, next) => { req.user = { id: 1, displayName: 'Sam', role: userRole }; next(); });
+      app.use('/api/admin/live', adminLiveRouter);
+    });
+
+    afterEach(async () => {
+      DatabaseManager.getInstance = originalGetInstance;
+      await testDb.close();
+      DatabaseManager.resetInstance();
+    });
+
+    test('should list calls in progress for caregivers only', async () => {
+      monitor.attach(createSession('CA-live-3'));
+
+      const response = await request(app).get('/api/admin/live').expect(200);
+      expect(response.body.data.calls).toEqual([expect.objectContaining({ callSid: 'CA-live-3', transcript: [] })]);
+
+      userRole = 'family';
+      await request(app).get('/api/admin/live').expect(403);
+      await request(app).get('/api/admin/live/stream').expect(403);
+    });
+
+    test('should push a snapshot and then live events over Server-Sent Events', async () => {
+      const session = createSession('CA-live-4');
+      monitor.attach(session);
+      const server = app.listen(0);
+
+      try {
+        const received = await new Promise((resolve, reject) => {
+          const req = http.get(`http://127.0.0.1:${server.address().port}/api/admin/live/stream`, res => {
+            expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+            let body = '';
+            res.on('data', chunk => {
+              body += chunk;
+              if (body.includes('event: snapshot') && !body.includes('"type":"transcript"')) {
+                session.conversationAnalyzer.trackUserUtterance('Is Ryan coming today?', new Date());
+              }
+              if (body.includes('"type":"transcript"')) {
+                req.destroy();
+                resolve(body);
+              }
+            });
+          });
+          req.on('error', reject);
+        });
+
+        const [snapshot, live] = received.trim().split('\n\n');
+        expect(snapshot).toMatch(/^event: snapshot\ndata: /);
+        expect(JSON.parse(snapshot.split('data: ')[1]).calls[0].callSid).toBe('CA-live-4');
+        expect(JSON.parse(live.replace('data: ', ''))).toMatchObject({
+          type: 'transcript',
+          callSid: 'CA-live-4',
+          line: { role: 'user', text: 'Is Ryan coming today?' }
+        });
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+
+      expect(await testDb.all('SELECT user_id, action, target_type, target_id, patient_id, details FROM audit_log')).toEqual([{
+        user_id: 1,
+        action: 'conversation_viewed',
+        target_type: 'patient',
+        target_id: '1',
+        patient_id: 1,
+        details: JSON.stringify({ source: 'live' })
+      }]);
+    });
+
+    describe('Guidance', () => {
+      test('should steer the call privately and log who sent the guidance', async () => {
+        const events = [];
+        monitor.subscribe(1, event => events.push(event));
+        const session = createSession('CA-live-5');
+        monitor.attach(session);
+
+        const response = await request(app)
+          .post('/api/admin/live/CA-live-5/guidance')
+          .send({ message: '  She is worried about the cat. The neighbor is feeding it.  ' })
+          .expect(201);
+
+        expect(response.body.data).toMatchObject({
+          callSid: 'CA-live-5',
+          sentBy: 'Sam',
+          message: 'She is worried about the cat. The neighbor is feeding it.'
+        });
+
+        const instruction = session.gptService.userContext[session.gptService.userContext.length - 1];
+        expect(instruction.role).toBe('system');
+        expect(instruction.content).toContain('She is worried about the cat. The neighbor is feeding it.');
+        expect(instruction.content).toContain('NEVER read it aloud');
+
+        expect(events[events.length - 1]).toMatchObject({ type: 'guidance', callSid: 'CA-live-5', from: 'Sam' });
+
+        const logged = await testDb.all('SELECT call_sid, patient_id, user_id, user_name, message FROM call_guidance');
+        expect(logged).toEqual([{
+          call_sid: 'CA-live-5',
+          patient_id: 1,
+          user_id: 1,
+          user_name: 'Sam',
+          message: 'She is worried about the cat. The neighbor is feeding it.'
+        }]);
+      });
+
+      test('should only reach calls in progress for the patient', async () => {
+        const ended = createSession('CA-live-6');
+        monitor.attach(ended);
+        ended.isEnded = true;
+        monitor.attach(createSession('CA-live-7', 2));
+
+        await request(app).post('/api/admin/live/CA-unknown/guidance').send({ message: 'Hello' }).expect(404);
+        await request(app).post('/api/admin/live/CA-live-6/guidance').send({ message: 'Hello' }).expect(404);
+        await request(app).post('/api/admin/live/CA-live-7/guidance').send({ message: 'Hello' }).expect(404);
+        expect(await testDb.all('SELECT id FROM call_guidance')).toEqual([]);
+      });
+
+      test('should reject empty guidance and family members', async () => {
+        monitor.attach(createSession('CA-live-8'));
+
+        const response = await request(app).post('/api/admin/live/CA-live-8/guidance').send({ message: '   ' }).expect(400);
+        expect(response.body.error).toBe('message is required');
+
+        userRole = 'family';
+        await request(app).post('/api/admin/live/CA-live-8/guidance').send({ message: 'Hello' }).expect(403);
+      });
+    });
+  });
+});
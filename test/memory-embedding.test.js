@@ -0,0 +1,110 @@
+/**
+ * Tests for semantic memory recall
+ * Covers the offline embedding provider, storing embeddings as memories are
+ * saved, ranking memories by similarity, and recallMemory finding a memory
+ * from a key that only loosely matches.
+ */
+
+const DatabaseManager = require('../services/database-manager');
+const MemoryService = require('../services/memory-service');
+const MemoryEmbeddingService = require('../services/memory-embedding-service');
+const { LocalEmbeddingProvider, createEmbeddingProvider } = require('../services/embedding-providers');
+const recallMemory = require('../functions/recallMemory');
+
+describe('Semantic memory recall', () => {
+  let testDb;
+  let memoryService;
+
+  beforeEach(async () => {
+    testDb = new DatabaseManager(':memory:');
+    await testDb.waitForInitialization();
+    memoryService = new MemoryService(testDb);
+    await memoryService.initialize();
+
+    await memoryService.saveMemory('son-ryan-family-information', 'Her son Ryan lives in Portland and visits on weekends', 'family');
+    await memoryService.saveMemory('patient-music-preferences', 'Loves Frank Sinatra and big band music', 'preferences');
+    await memoryService.saveMemory('garden-tomatoes', 'Grows tomatoes on her balcony', 'preferences');
+  });
+
+  afterEach(async () => {
+    await testDb.close();
+    DatabaseManager.resetInstance();
+  });
+
+  describe('LocalEmbeddingProvider', () => {
+    test('should give the same text the same unit vector', async () => {
+      const provider = new LocalEmbeddingProvider();
+      const [first, second, other] = await provider.embed(['son info', 'son info', 'big band music']);
+
+      expect(first).toHaveLength(LocalEmbeddingProvider.DIMENSIONS);
+      expect(first).toEqual(second);
+      expect(MemoryEmbeddingService.cosine(first, second)).toBeCloseTo(1);
+      expect(MemoryEmbeddingService.cosine(first, other)).toBeLessThan(provider.minScore);
+      expect(createEmbeddingProvider('openai').id).toBe(provider.id); // Tests always embed locally
+    });
+  });
+
+  describe('MemoryService', () => {
+    test('should store an embedding when a memory is saved and refresh it when it changes', async () => {
+      const before = await testDb.get(`
+        SELECT e.provider, e.dimensions, e.content_hash FROM memory_embeddings e
+        JOIN memories m ON m.id = e.memory_id WHERE m.memory_key = ?
+      `, ['garden-tomatoes']);
+      expect(before).toMatchObject({ provider: 'local:hashed-256', dimensions: 256 });
+
+      await memoryService.saveMemory('garden-tomatoes', 'Grows tomatoes and basil on her balcony', 'preferences');
+      const after = await testDb.get('SELECT COUNT(*) AS count, MAX(content_hash) AS hash FROM memory_embeddings');
+      expect(after.count).toBe(3);
+      expect(after.hash).not.toBe(before.content_hash);
+
+      await memoryService.removeMemory('garden-tomatoes');
+      expect((await testDb.get('SELECT COUNT(*) AS count FROM memory_embeddings')).count).toBe(2);
+    });
+
+    test('should rank memories by similarity to a loose key', async () => {
+      const matches = await memoryService.recallMemories('son-info');
+
+      expect(matches[0]).toMatchObject({ key: 'son-ryan-family-information', category: 'family' });
+      expect(matches[0].score).toBeGreaterThan(0.2);
+      expect(matches.map(match => match.key)).not.toContain('patient-music-preferences');
+      expect(await memoryService.recallMemories('music she likes')).toEqual([
+        expect.objectContaining({ key: 'patient-music-preferences' })
+      ]);
+    });
+
+    test('should embed memories that are missing a vector or were embedded by another provider', async () => {
+      await testDb.run('DELETE FROM memory_embeddings WHERE memory_id = (SELECT id FROM memories WHERE memory_key = ?)', ['garden-tomatoes']);
+      await testDb.run('UPDATE memory_embeddings SET provider = ?', ['openai:text-embedding-3-small']);
+
+      expect((await memoryService.recallMemories('tomato garden'))[0].key).toBe('garden-tomatoes');
+      const providers = await testDb.all('SELECT DISTINCT provider FROM memory_embeddings');
+      expect(providers).toEqual([{ provider: 'local:hashed-256' }]);
+    });
+
+    test('should leave hidden pending memories out of recall', async () => {
+      await memoryService.saveMemory('son-ryan-move', 'Her son Ryan is moving to Denver', 'family', false, { fromCall: true });
+      memoryService.hidePending = true;
+
+      const matches = await memoryService.recallMemories('son ryan', { limit: 5 });
+      expect(matches.map(match => match.key)).toEqual(['son-ryan-family-information']);
+    });
+  });
+
+  describe('recallMemory', () => {
+    test('should return the closest memory and the top matches with scores', async () => {
+      const result = JSON.parse(await recallMemory({ memoryService, memory_key: 'son-info' }));
+
+      expect(result).toMatchObject({
+        success: true,
+        key: 'son-ryan-family-information',
+        content: 'Her son Ryan lives in Portland and visits on weekends'
+      });
+      expect(result.matches[0]).toEqual({
+        key: 'son-ryan-family-information',
+        content: 'Her son Ryan lives in Portland and visits on weekends',
+        category: 'family',
+        score: result.score
+      });
+    });
+  });
+});
@@ -375,16 +375,6 @@ describe('MemoryService with is_fact functionality', () => {
   describe('last_accessed field functionality', () => {
     const recallMemory = require('../functions/recallMemory');
 
-    beforeEach(() => {
-      // Set up global context for recallMemory function
-      global.memoryService = memoryService;
-    });
-
-    afterEach(() => {
-      // Clean up global context
-      delete global.memoryService;
-    });
-
     test('recallMemory should update last_accessed for exact matches', async () => {
       // Create a memory
       await memoryService.saveMemory('test-exact-key', 'Test exact content', 'general');
@@ -399,7 +389,7 @@ describe('MemoryService with is_fact functionality', () => {
       await new Promise(resolve => setTimeout(resolve, 10));
       
       // Call recallMemory (exact match)
-      const result = JSON.parse(await recallMemory({ memory_key: 'test-exact-key' }));
+      const result = JSON.parse(await recallMemory({ memoryService, memory_key: 'test-exact-key' }));
       
       // Verify recall was successful
       expect(result.success).toBe(true);
@@ -428,13 +418,13 @@ describe('MemoryService with is_fact functionality', () => {
       await new Promise(resolve => setTimeout(resolve, 10));
       
       // Call recallMemory with partial match (should find the birthday memory)
-      const result = JSON.parse(await recallMemory({ memory_key: 'birthday' }));
+      const result = JSON.parse(await recallMemory({ memoryService, memory_key: 'birthday' }));
       
       // Verify partial match was successful
       expect(result.success).toBe(true);
       expect(result.key).toBe('birthday-francine-july');
       expect(result.content).toBe('Francine\'s birthday is July 15th');
-      expect(result.note).toContain('Found as partial match');
+      expect(result.note).toContain('Found by similarity');
       
       // Check that last_accessed was updated for the partial match
       const afterAccess = await testDb.get(
@@ -456,7 +446,7 @@ describe('MemoryService with is_fact functionality', () => {
       );
       
       // Call recallMemory with non-matching key
-      const result = JSON.parse(await recallMemory({ memory_key: 'nonexistent-key' }));
+      const result = JSON.parse(await recallMemory({ memoryService, memory_key: 'nonexistent-key' }));
       
       // Verify recall failed as expected
       expect(result.success).toBe(false);
@@ -470,4 +460,196 @@ describe('MemoryService with is_fact functionality', () => {
       expect(afterAccess.last_accessed).toBe(beforeAccess.last_accessed);
     });
   });
+
+  describe('review of memories the companion saves', () => {
+    beforeEach(async () => {
+      memoryService.setSource({ callSid: 'CA-review-1', utterance: 'My husband is visiting tomorrow' });
+    });
+
+    test('should save memories from calls as pending with their source', async () => {
+      const result = await memoryService.saveMemory('husband-visit', 'Her husband is visiting tomorrow', 'family', false, { fromCall: true });
+
+      expect(result.reviewStatus).toBe('pending');
+      const row = await testDb.get('SELECT review_status, source_call_sid, source_utterance FROM memories WHERE memory_key = ?', ['husband-visit']);
+      expect(row).toEqual({
+        review_status: 'pending',
+        source_call_sid: 'CA-review-1',
+        source_utterance: 'My husband is visiting tomorrow'
+      });
+    });
+
+    test('should approve caregiver entries, facts, and call memories when review is off', async () => {
+      await memoryService.saveMemory('caregiver-note', 'Likes lemon tea', 'preferences');
+      await memoryService.saveMemory('son-fact', 'Son is Ryan', 'family', true, { fromCall: true });
+      memoryService.requireReview = false;
+      await memoryService.saveMemory('call-note', 'Enjoyed the radio', 'preferences', false, { fromCall: true });
+
+      const rows = await testDb.all('SELECT review_status FROM memories');
+      expect(rows.map(row => row.review_status)).toEqual(['approved', 'approved', 'approved']);
+      expect(await memoryService.getPendingMemories()).toEqual([]);
+    });
+
+    test('should keep pending memories out of calls when hidePending is set', async () => {
+      await memoryService.saveMemory('tea-preference', 'Likes lemon tea', 'preferences');
+      await memoryService.saveMemory('tea-preference', 'Likes mint tea', 'general', false, { fromCall: true });
+      await memoryService.saveMemory('husband-visit', 'Her husband is visiting tomorrow', 'family', false, { fromCall: true });
+
+      memoryService.hidePending = true;
+      expect(await memoryService.getMemory('husband-visit')).toBeNull();
+      expect(await memoryService.getMemory('tea-preference')).toMatchObject({ content: 'Likes lemon tea', category: 'preferences' });
+      expect((await memoryService.getAllMemoryKeys()).memories).toEqual(['tea-preference']);
+      expect(await memoryService.searchMemories('husband')).toEqual([]);
+      expect(await memoryService.getMemoriesByCategory('preferences')).toEqual([
+        { key: 'tea-preference', content: 'Likes lemon tea', is_fact: false }
+      ]);
+
+      memoryService.hidePending = false;
+      expect(await memoryService.getMemory('tea-preference')).toMatchObject({ content: 'Likes mint tea' });
+      expect((await memoryService.getStatistics()).pendingCount).toBe(2);
+    });
+
+    test('should approve a pending memory with a caregiver\'s edits', async () => {
+      await memoryService.saveMemory('husband-visit', 'Her husband is visiting tomorrow', 'family', false, { fromCall: true });
+
+      const result = await memoryService.approveMemory('husband-visit', null, { content: 'Talks about her late husband visiting' });
+
+      expect(result).toEqual({ status: 'success', key: 'husband-visit', action: 'edited' });
+      memoryService.hidePending = true;
+      expect(await memoryService.getMemory('husband-visit')).toMatchObject({ content: 'Talks about her late husband visiting', category: 'family' });
+      expect(await memoryService.approveMemory('husband-visit')).toMatchObject({ status: 'not_found' });
+    });
+
+    test('should remove a rejected new memory and restore a rejected change', async () => {
+      await memoryService.saveMemory('tea-preference', 'Likes lemon tea', 'preferences');
+      await memoryService.saveMemory('tea-preference', 'Likes mint tea', 'general', false, { fromCall: true });
+      // A second change while pending still restores the approved version
+      await memoryService.saveMemory('tea-preference', 'Likes green tea', 'general', false, { fromCall: true });
+      await memoryService.saveMemory('husband-visit', 'Her husband is visiting tomorrow', 'family', false, { fromCall: true });
+
+      expect(await memoryService.rejectMemory('husband-visit')).toMatchObject({ action: 'removed' });
+      expect(await memoryService.rejectMemory('tea-preference')).toMatchObject({ action: 'restored' });
+
+      expect(await memoryService.getMemory('husband-visit')).toBeNull();
+      expect(await memoryService.getMemory('tea-preference')).toMatchObject({ content: 'Likes lemon tea', category: 'preferences' });
+      expect(await memoryService.getPendingMemories()).toEqual([]);
+    });
+
+    test('should keep a memory the companion was asked to forget until the removal is reviewed', async () => {
+      await memoryService.saveMemory('tea-preference', 'Likes lemon tea', 'preferences');
+      await memoryService.saveMemory('tea-preference', 'Likes mint tea', 'general', false, { fromCall: true });
+
+      const result = await memoryService.removeMemory('tea-preference', { fromCall: true });
+
+      expect(result).toMatchObject({ status: 'success', action: 'removal_pending', reviewStatus: 'pending' });
+      expect(await memoryService.getMemory('tea-preference')).toBeNull();
+      memoryService.hidePending = true;
+      expect(await memoryService.getMemory('tea-preference')).toMatchObject({ content: 'Likes lemon tea', category: 'preferences' });
+      // The pending change it replaced is dropped; rejecting keeps the approved version
+      expect(await memoryService.getPendingMemories()).toEqual([
+        expect.objectContaining({ key: 'tea-preference', content: 'Likes lemon tea', removal: true })
+      ]);
+
+      expect(await memoryService.rejectMemory('tea-preference')).toMatchObject({ action: 'restored' });
+      memoryService.hidePending = false;
+      expect(await memoryService.getMemory('tea-preference')).toMatchObject({ content: 'Likes lemon tea', is_fact: false });
+      expect(await memoryService.getPendingMemories()).toEqual([]);
+    });
+
+    test('should remove unreviewed memories and any memory when review is off straight away', async () => {
+      await memoryService.saveMemory('husband-visit', 'Her husband is visiting tomorrow', 'family', false, { fromCall: true });
+      await memoryService.saveMemory('tea-preference', 'Likes lemon tea', 'preferences');
+      await memoryService.saveMemory('son-ryan', 'Son is Ryan', 'family', true);
+
+      expect(await memoryService.removeMemory('husband-visit', { fromCall: true })).toMatchObject({ action: 'removed' });
+      expect(await memoryService.removeMemory('son-ryan', { fromCall: true })).toMatchObject({ status: 'protected' });
+      memoryService.requireReview = false;
+      expect(await memoryService.removeMemory('tea-preference', { fromCall: true })).toMatchObject({ action: 'removed' });
+
+      const rows = await testDb.all('SELECT memory_key FROM memories');
+      expect(rows.map(row => row.memory_key)).toEqual(['son-ryan']);
+    });
+
+    test('should not let the companion overwrite a fact under a generated key', async () => {
+      const rememberInformation = require('../functions/rememberInformation');
+      await memoryService.saveMemory('son-ryan', 'Son is Ryan, visits Sundays', 'family', true);
+      memoryService.gptService = { generateMemoryKey: async () => 'son-ryan' };
+
+      const result = JSON.parse(await rememberInformation({ content: 'Ryan moved to Denver', category: 'family', memoryService }));
+
+      expect(result.success).toBe(false);
+      expect(await memoryService.getMemory('son-ryan')).toMatchObject({ content: 'Son is Ryan, visits Sundays', is_fact: true });
+      expect(await memoryService.getPendingMemories()).toEqual([]);
+    });
+
+    test('should restore a fact when a pending change to it is rejected', async () => {
+      await memoryService.saveMemory('son-ryan', 'Son is Ryan, visits Sundays', 'family', true);
+      // A change left pending by an earlier version that let the companion overwrite facts
+      await testDb.run(`
+        UPDATE memories SET memory_content = 'Ryan moved to Denver', is_fact = 0, review_status = 'pending',
+          previous_content = 'Son is Ryan, visits Sundays', previous_category = 'family', previous_is_fact = 1
+        WHERE memory_key = 'son-ryan'
+      `);
+      memoryService.memoryCache.clear();
+
+      expect(await memoryService.rejectMemory('son-ryan')).toMatchObject({ action: 'restored' });
+
+      expect(await memoryService.getMemory('son-ryan')).toMatchObject({ content: 'Son is Ryan, visits Sundays', is_fact: true });
+      expect((await memoryService.getAllMemoryKeys()).facts).toEqual(['son-ryan']);
+    });
+  });
+
+  describe('revision history', () => {
+    beforeEach(async () => {
+      await testDb.run('INSERT INTO users (id, email, display_name, role) VALUES (1, \'lisa@example.com\', \'Lisa\', \'caregiver\')');
+      memoryService.setSource({ callSid: 'CA-history-1', utterance: 'Ryan moved to Denver' });
+    });
+
+    test('should record who changed a memory and its old and new values', async () => {
+      await memoryService.saveMemory('son-ryan', 'Ryan lives in Portland', 'family', false, { actor: { type: 'user', userId: 1 } });
+      await memoryService.saveMemory('son-ryan', 'Ryan lives in Denver', 'family', false, { fromCall: true });
+      await memoryService.approveMemory('son-ryan', 1);
+      await memoryService.renameMemory('son-ryan', 'son-ryan-denver', { actor: { type: 'script', script: 'regenerate-memory-keys.js' } });
+      await memoryService.removeMemory('son-ryan-denver', { fromCall: true });
+      await memoryService.approveMemory('son-ryan-denver', 1);
+
+      const history = await memoryService.getHistory('son-ryan-denver');
+      expect(history.map(revision => [revision.action, revision.changedBy.type])).toEqual([
+        ['deleted', 'user'],
+        ['renamed', 'script'],
+        ['approved', 'user'],
+        ['updated', 'call'],
+        ['created', 'user']
+      ]);
+      expect(history[0]).toMatchObject({
+        before: { content: 'Ryan lives in Denver', category: 'family', isFact: false },
+        after: null,
+        changedBy: { userId: 1 }
+      });
+      expect(history[1]).toMatchObject({ key: 'son-ryan-denver', previousKey: 'son-ryan', changedBy: { script: 'regenerate-memory-keys.js' } });
+      expect(history[3]).toMatchObject({
+        before: { content: 'Ryan lives in Portland' },
+        after: { content: 'Ryan lives in Denver' }
+      });
+      expect(history[4].changedBy).toMatchObject({ userId: 1, userName: 'Lisa' });
+    });
+
+    test('should restore an earlier version and undelete a memory', async () => {
+      await memoryService.saveMemory('tea-preference', 'Likes lemon tea', 'preferences');
+      await memoryService.saveMemory('tea-preference', 'Likes mint tea', 'preferences');
+      const [, lemon] = await memoryService.getHistory('tea-preference');
+
+      expect(await memoryService.restoreRevision('tea-preference', lemon.id, { actor: { type: 'user', userId: 1 } }))
+        .toMatchObject({ status: 'success', action: 'restored' });
+      expect(await memoryService.getMemory('tea-preference')).toMatchObject({ content: 'Likes lemon tea' });
+
+      await memoryService.removeMemory('tea-preference');
+      const [deleted] = await memoryService.getDeletedMemories();
+      expect(deleted).toMatchObject({ key: 'tea-preference', action: 'deleted', before: { content: 'Likes lemon tea' } });
+
+      await memoryService.restoreRevision('tea-preference', deleted.id);
+      expect(await memoryService.getMemory('tea-preference')).toMatchObject({ content: 'Likes lemon tea', category: 'preferences' });
+      expect(await memoryService.getDeletedMemories()).toEqual([]);
+      expect(await memoryService.restoreRevision('tea-preference', 9999)).toMatchObject({ status: 'not_found' });
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,171 @@
+/**
+ * Tests for PatientService and per-patient data scoping
+ * Covers the seeded default patient, call-to-patient resolution by dialed number,
+ * memory isolation between patients (including calls running at once) and
+ * patient-aware prompt rendering.
+ */
+
+const DatabaseManager = require('../services/database-manager');
+const PatientService = require('../services/patient-service');
+const MemoryService = require('../services/memory-service');
+const TemplateService = require('../services/template-service');
+const { GptService } = require('../services/gpt-service');
+const { MarkCompletionService } = require('../services/mark-completion-service');
+
+describe('PatientService', () => {
+  let testDb;
+  let patientService;
+
+  beforeEach(async () => {
+    testDb = new DatabaseManager(':memory:');
+    await testDb.waitForInitialization();
+    patientService = new PatientService(testDb);
+  });
+
+  afterEach(async () => {
+    await testDb.close();
+    DatabaseManager.resetInstance();
+  });
+
+  describe('default patient', () => {
+    test('should seed the default patient profile', async () => {
+      const patient = await patientService.getDefaultPatient();
+
+      expect(patient.id).toBe(PatientService.DEFAULT_PATIENT_ID);
+      expect(patient.preferredName).toBe('Francine');
+      expect(patient.timezone).toBe('America/Los_Angeles');
+      expect(patient.primaryContact.name).toBe('Ryan');
+      expect(patient.isActive).toBe(true);
+    });
+
+    test('should assign existing conversations to the default patient', async () => {
+      await testDb.run(
+        'INSERT INTO conversations (call_sid, start_time) VALUES (?, ?)',
+        ['CA_default', new Date().toISOString()]
+      );
+
+      const row = await testDb.get('SELECT patient_id FROM conversations WHERE call_sid = ?', ['CA_default']);
+      expect(row.patient_id).toBe(PatientService.DEFAULT_PATIENT_ID);
+    });
+  });
+
+  describe('createPatient() and updatePatient()', () => {
+    test('should create a patient with contacts and phone numbers', async () => {
+      const patient = await patientService.createPatient({
+        name: 'Margaret Smith',
+        preferredName: 'Maggie',
+        timezone: 'America/New_York',
+        phoneNumbers: ['+15551234567'],
+        familyContacts: [{ name: 'Alice', relationship: 'daughter', phone: '+15559876543', isPrimary: true }]
+      });
+
+      expect(patient.id).toBeGreaterThan(PatientService.DEFAULT_PATIENT_ID);
+      expect(patient.preferredName).toBe('Maggie');
+      expect(patient.phoneNumbers).toEqual(['+15551234567']);
+      expect(patient.primaryContact.name).toBe('Alice');
+    });
+
+    test('should reject invalid profiles', async () => {
+      await expect(patientService.createPatient({ name: '' })).rejects.toThrow('name is required');
+      expect(PatientService.validate({ name: 'Ann', timezone: 'Mars/Base' })).toHaveLength(1);
+    });
+
+    test('should only change provided fields on update', async () => {
+      const created = await patientService.createPatient({ name: 'Walter', facilityName: 'Sunrise' });
+      const updated = await patientService.updatePatient(created.id, { preferredName: 'Walt' });
+
+      expect(updated.preferredName).toBe('Walt');
+      expect(updated.facilityName).toBe('Sunrise');
+    });
+  });
+
+  describe('resolveForCall()', () => {
+    test('should match the dialed number regardless of formatting', async () => {
+      const created = await patientService.createPatient({
+        name: 'Margaret',
+        phoneNumbers: ['+1 (555) 123-4567']
+      });
+
+      const patient = await patientService.resolveForCall('+15551234567');
+      expect(patient.id).toBe(created.id);
+    });
+
+    test('should fall back to the default patient for unknown numbers', async () => {
+      const patient = await patientService.resolveForCall('+15550000000');
+      expect(patient.id).toBe(PatientService.DEFAULT_PATIENT_ID);
+    });
+
+    test('should ignore deactivated patients', async () => {
+      const created = await patientService.createPatient({ name: 'Harold', phoneNumbers: ['+15552223333'] });
+      await patientService.updatePatient(created.id, { isActive: false });
+
+      const patient = await patientService.resolveForCall('+15552223333');
+      expect(patient.id).toBe(PatientService.DEFAULT_PATIENT_ID);
+    });
+  });
+
+  describe('memory isolation', () => {
+    test('should keep memories separate per patient, even with the same key', async () => {
+      const other = await patientService.createPatient({ name: 'Margaret' });
+      const defaultMemories = new MemoryService(testDb, null, PatientService.DEFAULT_PATIENT_ID);
+      const otherMemories = new MemoryService(testDb, null, other.id);
+      await defaultMemories.initialize();
+      await otherMemories.initialize();
+
+      await defaultMemories.saveMemory('favorite-color', 'Blue', 'preferences');
+      await otherMemories.saveMemory('favorite-color', 'Green', 'preferences');
+      await otherMemories.saveMemory('pet-name', 'Her cat is Milo', 'family');
+
+      expect((await defaultMemories.getMemory('favorite-color')).content).toBe('Blue');
+      expect((await otherMemories.getMemory('favorite-color')).content).toBe('Green');
+      expect(await defaultMemories.getMemory('pet-name')).toBeNull();
+
+      // A fresh service reads straight from the database rather than its cache
+      const reloaded = new MemoryService(testDb, null, PatientService.DEFAULT_PATIENT_ID);
+      expect(await reloaded.getAllMemoryKeys()).toEqual({ facts: [], memories: ['favorite-color'] });
+    });
+
+    test('should give each call\'s memory functions that call\'s patient, with calls running at once', async () => {
+      const other = await patientService.createPatient({ name: 'Margaret' });
+      const callFor = async patientId => {
+        const memoryService = new MemoryService(testDb, null, patientId);
+        await memoryService.initialize();
+        memoryService.requireReview = false;
+        return new GptService(new MarkCompletionService(), null, memoryService, testDb, 'jessica', { ...PatientService.DEFAULT_PROFILE, id: patientId });
+      };
+      const francineCall = await callFor(PatientService.DEFAULT_PATIENT_ID);
+      const margaretCall = await callFor(other.id);
+      const consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      await francineCall.runFunction('updateMemory', { memory_key: 'favorite-color', updated_content: 'Blue' });
+      await margaretCall.runFunction('updateMemory', { memory_key: 'favorite-color', updated_content: 'Green' });
+      const recalled = JSON.parse(await francineCall.runFunction('recallMemory', { memory_key: 'favorite-color' }));
+      const listed = JSON.parse(await margaretCall.runFunction('listAvailableMemories', {}));
+      consoleLog.mockRestore();
+
+      expect(recalled.content).toBe('Blue');
+      expect(listed.totalMemories).toBe(1);
+      expect(await testDb.all('SELECT patient_id, decrypt_field(memory_content) AS content FROM memories ORDER BY patient_id')).toEqual([
+        { patient_id: PatientService.DEFAULT_PATIENT_ID, content: 'Blue' },
+        { patient_id: other.id, content: 'Green' }
+      ]);
+      expect(global.memoryService).toBeUndefined();
+    });
+  });
+
+  describe('system prompt', () => {
+    test('should render the patient name and family contact', () => {
+      const prompt = new TemplateService().getSystemPrompt([], null, 'jessica', {
+        ...PatientService.DEFAULT_PROFILE,
+        name: 'Margaret',
+        preferredName: 'Maggie',
+        primaryContact: { name: 'Alice', relationship: 'daughter' }
+      });
+
+      expect(prompt).toContain('Maggie');
+      expect(prompt).toContain('Alice is her daughter');
+      expect(prompt).not.toContain('Francine');
+      expect(prompt).not.toContain('Ryan');
+    });
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Tests for the data-driven persona registry
+ * Covers the seeded Jessica persona, persona resolution for calls, greeting
+ * rendering, function filtering, persona voices and the admin personas API.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const DatabaseManager = require('../services/database-manager');
+const PersonaService = require('../services/persona-service');
+const TemplateService = require('../services/template-service');
+const { GptService } = require('../services/gpt-service');
+const { TextToSpeechService } = require('../services/tts-service');
+const adminPersonasRouter = require('../routes/api/admin-personas');
+
+const SARAH = {
+  name: 'sarah',
+  displayName: 'Sarah',
+  backstory: '{{familyContactName}}\'s neighbor and a retired kindergarten teacher from Portland.',
+  storyThemes: ['classroom stories', 'her vegetable garden'],
+  voiceModel: 'aura-luna-en',
+  greetings: ['Good morning, {{patientName}}!'],
+  allowedFunctions: ['recallMemory', 'endCallDeferred']
+};
+
+describe('PersonaService', () => {
+  let testDb;
+  let personaService;
+
+  beforeEach(async () => {
+    testDb = new DatabaseManager(':memory:');
+    await testDb.waitForInitialization();
+    personaService = new PersonaService(testDb);
+  });
+
+  afterEach(async () => {
+    await testDb.close();
+    DatabaseManager.resetInstance();
+  });
+
+  describe('registry', () => {
+    test('should seed the built-in Jessica persona', async () => {
+      const jessica = await personaService.getPersona('jessica');
+
+      expect(jessica.displayName).toBe('Jessica');
+      expect(jessica.backstory).toContain('Northwestern Memorial Hospital');
+      expect(jessica.storyThemes).toHaveLength(4);
+      expect(jessica.allowedFunctions).toEqual([]);
+      expect(jessica.isActive).toBe(true);
+    });
+
+    test('should create and update personas', async () => {
+      await personaService.createPersona(SARAH);
+      const updated = await personaService.updatePersona('sarah', { voiceModel: 'aura-stella-en' });
+
+      expect(updated.voiceModel).toBe('aura-stella-en');
+      expect(updated.allowedFunctions).toEqual(['recallMemory', 'endCallDeferred']);
+    });
+
+    test('should reject invalid personas', () => {
+      expect(PersonaService.validate({ ...SARAH, name: 'Sarah Smith' })[0]).toContain('lowercase slug');
+      expect(PersonaService.validate({ ...SARAH, allowedFunctions: ['launchRocket'] })).toEqual(['unknown functions: launchRocket']);
+      expect(PersonaService.validate({ backstory: '' }, true)).toEqual(['backstory is required']);
+    });
+  });
+
+  describe('resolvePersona()', () => {
+    test('should resolve an active persona by name', async () => {
+      await personaService.createPersona(SARAH);
+      const persona = await personaService.resolvePersona('sarah');
+      expect(persona.name).toBe('sarah');
+    });
+
+    test('should fall back to the default persona for unknown or inactive personas', async () => {
+      await personaService.createPersona(SARAH);
+      await personaService.updatePersona('sarah', { isActive: false });
+
+      expect((await personaService.resolvePersona('sarah')).name).toBe('jessica');
+      expect((await personaService.resolvePersona('nobody')).name).toBe('jessica');
+    });
+  });
+
+  describe('renderGreetings()', () => {
+    test('should render persona greetings with the patient name', () => {
+      const greetings = PersonaService.renderGreetings(SARAH, { preferredName: 'Maggie' });
+      expect(greetings).toEqual(['Good morning, Maggie!']);
+    });
+
+    test('should fall back to the default greetings', () => {
+      const greetings = PersonaService.renderGreetings({ ...SARAH, greetings: [] }, { preferredName: 'Maggie' });
+      expect(greetings).toContain('Hi Maggie!');
+      expect(greetings).toHaveLength(PersonaService.DEFAULT_GREETINGS.length);
+    });
+  });
+
+  describe('system prompt and services', () => {
+    test('should render a registry persona in the system prompt', () => {
+      const prompt = new TemplateService().getSystemPrompt([], null, SARAH);
+
+      expect(prompt).toContain('You are **Sarah**, Ryan\'s neighbor');
+      expect(prompt).toContain('**Story themes for redirection:** classroom stories, her vegetable garden.');
+      expect(prompt).not.toContain('Northwestern Memorial Hospital');
+    });
+
+    test('should load the persona profile when GptService initializes', async () => {
+      await personaService.createPersona(SARAH);
+      const gptService = new GptService({ on: jest.fn() }, null, null, testDb, 'sarah');
+      await gptService.initialize();
+
+      expect(gptService.persona).toBe('sarah');
+      expect(gptService.systemPrompt).toContain('You are **Sarah**');
+      expect(gptService.getTools().map(tool => tool.function.name)).toEqual(['endCallDeferred', 'recallMemory']);
+    });
+
+    test('should offer every function when a persona allows all', () => {
+      const gptService = new GptService({ on: jest.fn() }, null, null, null, PersonaService.getBuiltInPersona('jessica'));
+      expect(gptService.getTools()).toHaveLength(PersonaService.getFunctionNames().length);
+    });
+
+    test('should use the persona voice for text-to-speech', () => {
+      const ttsService = new TextToSpeechService();
+
+      ttsService.setVoiceModel('aura-luna-en');
+      expect(ttsService.getVoiceModel()).toBe('aura-luna-en');
+
+      ttsService.setVoiceModel(null);
+      expect(ttsService.getVoiceModel()).toBe(process.env.VOICE_MODEL);
+    });
+  });
+});
+
+describe('Admin Personas API', () => {
+  let app;
+  let testDb;
+  let originalGetInstance;
+  let originalConsoleError;
+
+  beforeAll(async () => {
+    DatabaseManager.resetInstance();
+    originalGetInstance = DatabaseManager.getInstance;
+
+    testDb = new DatabaseManager(':memory:');
+    await testDb.waitForInitialization();
+    DatabaseManager.getInstance = () => testDb;
+
+    app = express();
+    app.use(express.json());
+    // Stand in for authenticateAdmin with a signed-in owner
+    app.use((req, res, next) => { req.user = { id: 1, role: 'owner' }; next(); });
+    app.use('/api/admin/personas', adminPersonasRouter);
+
+    originalConsoleError = console.error;
+    console.error = jest.fn();
+  });
+
+  afterAll(async () => {
+    console.error = originalConsoleError;
+    DatabaseManager.getInstance = originalGetInstance;
+    await testDb.close();
+    DatabaseManager.resetInstance();
+  });
+
+  test('GET / should list personas with the available functions', async () => {
+    const response = await request(app).get('/api/admin/personas').expect(200);
+
+    expect(response.body.data.defaultPersona).toBe('jessica');
+    expect(response.body.data.personas.map(persona => persona.name)).toEqual(['jessica']);
+    expect(response.body.data.availableFunctions).toContain('recallMemory');
+  });
+
+  test('POST / should create a persona and reject duplicates', async () => {
+    const response = await request(app).post('/api/admin/personas').send(SARAH).expect(201);
+    expect(response.body.data.voiceModel).toBe('aura-luna-en');
+
+    await request(app).post('/api/admin/personas').send(SARAH).expect(409);
+  });
+
+  test('PUT /:name should update a persona', async () => {
+    const response = await request(app)
+      .put('/api/admin/personas/sarah')
+      .send({ greetings: ['Hello there, {{patientName}}!'] })
+      .expect(200);
+
+    expect(response.body.data.greetings).toEqual(['Hello there, {{patientName}}!']);
+  });
+
+  test('PUT /:name should not deactivate the default persona', async () => {
+    await request(app).put('/api/admin/personas/jessica').send({ isActive: false }).expect(400);
+    await request(app).put('/api/admin/personas/nobody').send({ isActive: false }).expect(404);
+  });
+});
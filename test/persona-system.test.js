@@ -137,14 +137,12 @@ describe('Persona System', () => {
     test('should render Jessica-specific content only for jessica persona', () => {
       const jessicaPrompt = templateService.render('system-prompt', {
         currentDateTime: 'Test Time',
-        persona: 'jessica',
-        isJessica: true
+        persona: templateService.buildPersonaView('jessica')
       });
       
       const otherPrompt = templateService.render('system-prompt', {
         currentDateTime: 'Test Time',
-        persona: 'sarah',
-        isJessica: false
+        persona: templateService.buildPersonaView('sarah')
       });
       
       expect(jessicaPrompt).toContain('You are **Jessica**');
@@ -236,13 +234,13 @@ describe('Persona System', () => {
       // Load template with caching
       const result1 = templateService.render('system-prompt', {
         currentDateTime: 'Test Time',
-        isJessica: true
+        persona: templateService.buildPersonaView('jessica')
       });
       
       // Load again (should use cache)
       const result2 = templateService.render('system-prompt', {
         currentDateTime: 'Different Time',
-        isJessica: false
+        persona: null
       });
       
       expect(result1).toContain('You are **Jessica**');
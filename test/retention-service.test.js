@@ -0,0 +1,363 @@
+/**
+ * Tests for data retention
+ * Covers validating policies, the dry-run preview, deleting and anonymizing each
+ * data class once it is past its retention period (including transcript quotes
+ * kept outside the transcript), legal holds, the purge
+ * audit log, the daily scheduler, and the admin API's roles.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const DatabaseManager = require('../services/database-manager');
+const RetentionService = require('../services/retention-service');
+const RetentionScheduler = require('../services/retention-scheduler');
+const ConversationNarrativeService = require('../services/conversation-narrative-service');
+const { StubRecordingStore } = require('../services/recording-stores');
+const adminRetentionRouter = require('../routes/api/admin-retention');
+
+describe('Data retention', () => {
+  let testDb;
+  let recordingStore;
+  let service;
+  let oldCall;
+  let heldCall;
+  let recentCall;
+
+  const now = new Date('2024-06-10T17:00:00Z');
+  const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  async function addCall(callSid, startTime) {
+    const { lastID } = await testDb.run(`
+      INSERT INTO conversations (call_sid, start_time, patient_id, voicemail_transcript)
+      VALUES (?, ?, 1, 'Hi Mom, it is Ryan.')
+    `, [callSid, startTime]);
+    await testDb.run(`
+      INSERT INTO messages (conversation_id, role, content, timestamp)
+      VALUES (?, 'user', 'My hip hurts today.', ?), (?, 'assistant', 'I am sorry to hear that.', ?)
+    `, [lastID, startTime, lastID, startTime]);
+    await testDb.run('INSERT INTO summaries (conversation_id, summary_text) VALUES (?, ?)', [lastID, JSON.stringify({
+      callSid,
+      startTime,
+      callMetadata: { duration: 300, dayOfWeek: 'Monday', timeOfDay: 'morning' },
+      conversationMetrics: { userUtterances: 1 },
+      mentalStateIndicators: { overallMoodTrend: 'stable' },
+      careIndicators: { medicationConcerns: ['Forgot her pills'] },
+      userMessages: ['My hip hurts today.']
+    })]);
+    await testDb.run(`
+      INSERT INTO emotional_metrics (conversation_id, anxiety_level, comfort_level, emergency_indicators, memory_triggers)
+      VALUES (?, 3, 7, '["hip pain"]', '["Ryan"]')
+    `, [lastID]);
+    await new ConversationNarrativeService(testDb).save(lastID, {
+      narrative: 'Francine said her hip hurts.',
+      keyTopics: ['Hip'],
+      concerns: ['Hip pain'],
+      requests: []
+    });
+    return lastID;
+  }
+
+  const count = async (table, conversationId) =>
+    (await testDb.get(`SELECT COUNT(*) AS count FROM ${table} WHERE conversation_id = ?`, [conversationId])).count;
+
+  beforeEach(async () => {
+    testDb = new DatabaseManager(':memory:');
+    await testDb.waitForInitialization();
+    await testDb.run('INSERT INTO users (id, email, display_name) VALUES (1, \'ryan@example.com\', \'Ryan\')');
+    recordingStore = new StubRecordingStore({ 'CA-retention-old': 2, 'CA-retention-held': 1 });
+    service = new RetentionService(testDb, recordingStore);
+
+    oldCall = await addCall('CA-retention-old', daysAgo(120));
+    heldCall = await addCall('CA-retention-held', daysAgo(100));
+    recentCall = await addCall('CA-retention-recent', daysAgo(10));
+    await service.setLegalHold(heldCall, 1, { hold: true, reason: 'Fall investigation' }, 1);
+  });
+
+  afterEach(async () => {
+    await testDb.close();
+    DatabaseManager.resetInstance();
+  });
+
+  describe('RetentionService', () => {
+    test('should keep everything until a policy is set', async () => {
+      const policies = await service.getPolicies();
+      expect(policies.map(policy => [policy.dataClass, policy.retainDays, policy.action])).toEqual([
+        ['messages', null, 'delete'],
+        ['summaries', null, 'delete'],
+        ['emotional_metrics', null, 'delete'],
+        ['voicemail_transcripts', null, 'delete'],
+        ['recordings', null, 'delete']
+      ]);
+
+      const run = await service.run({ now });
+      expect(run).toMatchObject({ trigger: 'manual', status: 'completed', totals: [] });
+      expect(await count('messages', oldCall)).toBe(2);
+    });
+
+    test('should validate policies', async () => {
+      expect(RetentionService.validatePolicy('messages', { retainDays: 90, action: 'anonymize' })).toEqual([]);
+      expect(RetentionService.validatePolicy('messages', { retainDays: null })).toEqual([]);
+      expect(RetentionService.validatePolicy('recordings', { action: 'anonymize' })).toEqual(['action must be one of: delete']);
+      expect(RetentionService.validatePolicy('messages', { retainDays: 0 })).toHaveLength(1);
+      expect(RetentionService.validatePolicy('phone_numbers', {})).toHaveLength(1);
+
+      await expect(service.updatePolicy('messages', { retainDays: 1.5 }, 1)).rejects.toThrow('retainDays must be');
+
+      // Only the provided fields change
+      await service.updatePolicy('messages', { retainDays: 90, action: 'anonymize' }, 1);
+      const policy = await service.updatePolicy('messages', { retainDays: 30 }, 1);
+      expect(policy).toMatchObject({ retainDays: 30, action: 'anonymize', updatedBy: 'Ryan' });
+    });
+
+    test('should preview what would be purged without changing anything', async () => {
+      await service.updatePolicy('messages', { retainDays: 90 }, 1);
+      await service.updatePolicy('recordings', { retainDays: 30 }, 1);
+
+      const preview = await service.preview(now);
+
+      expect(preview.heldConversations).toBe(1);
+      expect(preview.classes).toEqual([
+        expect.objectContaining({
+          dataClass: 'messages',
+          action: 'delete',
+          conversationCount: 1,
+          records: 2,
+          conversations: [{ conversationId: oldCall, callSid: 'CA-retention-old', startTime: daysAgo(120), records: 2 }]
+        }),
+        expect.objectContaining({ dataClass: 'recordings', conversationCount: 1, records: 1 })
+      ]);
+      expect(await count('messages', oldCall)).toBe(2);
+      expect(recordingStore.removed).toEqual([]);
+    });
+
+    test('should delete expired data and log each purge', async () => {
+      await service.updatePolicy('messages', { retainDays: 90 }, 1);
+      await service.updatePolicy('summaries', { retainDays: 90 }, 1);
+      await service.updatePolicy('voicemail_transcripts', { retainDays: 90 }, 1);
+      await service.updatePolicy('recordings', { retainDays: 90 }, 1);
+
+      const run = await service.run({ userId: 1, now });
+
+      expect(run).toMatchObject({ status: 'completed', startedBy: 'Ryan' });
+      expect(run.totals).toEqual([
+        { dataClass: 'messages', action: 'delete', conversations: 1, records: 2 },
+        { dataClass: 'recordings', action: 'delete', conversations: 1, records: 2 },
+        { dataClass: 'summaries', action: 'delete', conversations: 1, records: 2 },
+        { dataClass: 'voicemail_transcripts', action: 'delete', conversations: 1, records: 1 }
+      ]);
+      expect(await count('messages', oldCall)).toBe(0);
+      expect(await count('summaries', oldCall)).toBe(0);
+      expect(await count('conversation_narratives', oldCall)).toBe(0);
+      expect((await testDb.get('SELECT voicemail_transcript FROM conversations WHERE id = ?', [oldCall])).voicemail_transcript).toBeNull();
+      expect(recordingStore.removed).toEqual(['CA-retention-old']);
+
+      // Emotional metrics have no policy; the held and recent calls are untouched
+      expect(await count('emotional_metrics', oldCall)).toBe(1);
+      expect(await count('messages', heldCall)).toBe(2);
+      expect(await count('messages', recentCall)).toBe(2);
+
+      // The audit log keeps ids and counts, not content
+      const detail = await service.getRun(run.id, { includePurges: true });
+      expect(detail.purges).toHaveLength(4);
+      expect(detail.purges[0]).toEqual(expect.objectContaining({ conversationId: oldCall, callSid: 'CA-retention-old' }));
+
+      // Nothing is left to purge
+      const again = await service.run({ now });
+      expect(again.totals).toEqual([]);
+      expect(recordingStore.removed).toEqual(['CA-retention-old']);
+    });
+
+    test('should anonymize instead of deleting, keeping the metrics', async () => {
+      await service.updatePolicy('messages', { retainDays: 90, action: 'anonymize' }, 1);
+      await service.updatePolicy('summaries', { retainDays: 90, action: 'anonymize' }, 1);
+      await service.updatePolicy('emotional_metrics', { retainDays: 90, action: 'anonymize' }, 1);
+
+      await service.run({ now });
+
+      const messages = await testDb.all('SELECT role, content FROM messages WHERE conversation_id = ?', [oldCall]);
+      expect(messages).toEqual([
+        { role: 'user', content: RetentionService.REDACTED },
+        { role: 'assistant', content: RetentionService.REDACTED }
+      ]);
+
+      const summary = JSON.parse((await testDb.get('SELECT summary_text FROM summaries WHERE conversation_id = ?', [oldCall])).summary_text);
+      expect(summary).toMatchObject({
+        anonymized: true,
+        callMetadata: { duration: 300, dayOfWeek: 'Monday' },
+        mentalStateIndicators: { overallMoodTrend: 'stable' }
+      });
+      expect(summary.userMessages).toBeUndefined();
+      expect(summary.careIndicators).toBeUndefined();
+
+      const narrative = await new ConversationNarrativeService(testDb).getForConversation(oldCall);
+      expect(narrative).toMatchObject({ narrative: RetentionService.REDACTED, concerns: [] });
+
+      const metrics = await testDb.get('SELECT * FROM emotional_metrics WHERE conversation_id = ?', [oldCall]);
+      expect(metrics).toMatchObject({ anxiety_level: 3, comfort_level: 7, emergency_indicators: null, memory_triggers: null });
+
+      // Anonymized data isn't anonymized again
+      expect((await service.preview(now)).classes.map(item => item.records)).toEqual([0, 0, 0]);
+    });
+
+    test('should purge what was said that is kept outside the transcript', async () => {
+      const addQuotes = async callSid => {
+        await testDb.run(
+          'INSERT INTO call_guidance (call_sid, patient_id, user_id, user_name, message) VALUES (?, 1, 1, \'Ryan\', \'Ask about her hip\')',
+          [callSid]
+        );
+        await testDb.run(
+          'INSERT INTO call_transfers (call_sid, patient_id, targets, recent_utterances) VALUES (?, 1, \'[]\', \'["My hip hurts today."]\')',
+          [callSid]
+        );
+        await testDb.run(`
+          INSERT INTO memories (patient_id, memory_key, memory_content, category, source_call_sid, source_utterance)
+          VALUES (1, ?, 'Francine has hip pain', 'health', ?, 'My hip hurts today.')
+        `, [`hip-${callSid}`, callSid]);
+      };
+      const quotes = async callSid => ({
+        guidance: (await testDb.all('SELECT message FROM call_guidance WHERE call_sid = ?', [callSid])).map(row => row.message),
+        transfer: (await testDb.get('SELECT recent_utterances FROM call_transfers WHERE call_sid = ?', [callSid])).recent_utterances,
+        memory: await testDb.get('SELECT memory_content, source_utterance FROM memories WHERE source_call_sid = ?', [callSid])
+      });
+      await addQuotes('CA-retention-old');
+      await addQuotes('CA-retention-recent');
+      await service.updatePolicy('messages', { retainDays: 90, action: 'anonymize' }, 1);
+
+      expect((await service.preview(now)).classes[0]).toMatchObject({ conversationCount: 1, records: 5 });
+      await service.run({ now });
+      expect(await quotes('CA-retention-old')).toEqual({
+        guidance: [RetentionService.REDACTED],
+        transfer: null,
+        memory: { memory_content: 'Francine has hip pain', source_utterance: null }
+      });
+      expect((await service.preview(now)).classes[0].records).toBe(0);
+
+      await service.updatePolicy('messages', { retainDays: 5, action: 'delete' }, 1);
+      expect((await service.preview(now)).classes[0].conversations.map(call => call.records)).toEqual([3, 5]);
+      await service.run({ now });
+      expect(await quotes('CA-retention-recent')).toEqual({
+        guidance: [],
+        transfer: null,
+        memory: { memory_content: 'Francine has hip pain', source_utterance: null }
+      });
+    });
+
+    test('should purge a held conversation only once its hold is lifted', async () => {
+      await service.updatePolicy('messages', { retainDays: 90 }, 1);
+
+      expect(await service.listLegalHolds(1)).toEqual([expect.objectContaining({
+        conversationId: heldCall,
+        legalHold: true,
+        reason: 'Fall investigation',
+        setBy: 'Ryan'
+      })]);
+      expect(await service.setLegalHold(heldCall, 2, { hold: false }, 1)).toBeNull();
+
+      await service.run({ now });
+      expect(await count('messages', heldCall)).toBe(2);
+
+      await service.setLegalHold(heldCall, 1, { hold: false }, 1);
+      expect(await service.listLegalHolds(1)).toEqual([]);
+      await service.run({ now });
+      expect(await count('messages', heldCall)).toBe(0);
+    });
+
+    test('should retry recordings that could not be removed on the next run', async () => {
+      await service.updatePolicy('messages', { retainDays: 90 }, 1);
+      await service.updatePolicy('recordings', { retainDays: 90 }, 1);
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      recordingStore.removeForCall = jest.fn().mockRejectedValue(new Error('Twilio unavailable'));
+
+      const run = await service.run({ now });
+
+      expect(run.status).toBe('completed');
+      expect(run.totals.map(item => item.dataClass)).toEqual(['messages']);
+      expect((await service.preview(now)).classes[1].conversationCount).toBe(1);
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('RetentionScheduler', () => {
+    test('should run once a day, and only once a policy is set', async () => {
+      const scheduler = new RetentionScheduler({ databaseManager: testDb, recordingStore });
+      const consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      expect(await scheduler.tick(now)).toBeNull();
+
+      await service.updatePolicy('messages', { retainDays: 90 }, 1);
+      expect(await scheduler.tick(now)).toMatchObject({ trigger: 'schedule', status: 'completed' });
+      expect(await count('messages', oldCall)).toBe(0);
+
+      expect(await scheduler.tick(new Date(now.getTime() + 12 * 60 * 60 * 1000))).toBeNull();
+      expect(await scheduler.tick(new Date(now.getTime() + 25 * 60 * 60 * 1000))).toMatchObject({ trigger: 'schedule' });
+      expect(await service.listRuns()).toHaveLength(2);
+      consoleLog.mockRestore();
+    });
+  });
+
+  describe('Admin API', () => {
+    let app;
+    let userRole;
+    let originalGetInstance;
+
+    beforeEach(() => {
+      originalGetInstance = DatabaseManager.getInstance;
+      DatabaseManager.getInstance = () => testDb;
+      userRole = 'owner';
+
+      app = express();
+      app.use(express.json());
+      // Stand in for authenticateAdmin with a signed-in user
+      app.use((req, res, next) => { req.user = { id: 1, role: userRole }; next(); });
+      app.use('/api/admin/retention', adminRetentionRouter);
+    });
+
+    afterEach(() => {
+      DatabaseManager.getInstance = originalGetInstance;
+    });
+
+    test('should let owners set policies, run them and manage legal holds', async () => {
+      await request(app).put('/api/admin/retention/policies/messages').send({ retainDays: -1 }).expect(400);
+      const policy = await request(app).put('/api/admin/retention/policies/messages').send({ retainDays: 90 }).expect(200);
+      expect(policy.body.data.policy).toMatchObject({ dataClass: 'messages', retainDays: 90 });
+
+      // The API uses the current time, so every call but the held one is past 90 days
+      const preview = await request(app).get('/api/admin/retention/preview').expect(200);
+      expect(preview.body.data.classes[0]).toMatchObject({ dataClass: 'messages', conversationCount: 2 });
+
+      await request(app).put(`/api/admin/retention/holds/${oldCall}`).send({ hold: 'yes' }).expect(400);
+      await request(app).put('/api/admin/retention/holds/999').send({ hold: true }).expect(404);
+      const hold = await request(app).put(`/api/admin/retention/holds/${oldCall}`)
+        .send({ hold: true, reason: 'Records request' }).expect(200);
+      expect(hold.body.data.legalHold).toMatchObject({ legalHold: true, reason: 'Records request' });
+
+      const holds = await request(app).get('/api/admin/retention/holds').expect(200);
+      expect(holds.body.data.holds.map(item => item.conversationId)).toEqual([heldCall, oldCall]);
+
+      const run = await request(app).post('/api/admin/retention/run').expect(200);
+      expect(run.body.data.run).toMatchObject({
+        trigger: 'manual',
+        status: 'completed',
+        startedBy: 'Ryan',
+        totals: [{ dataClass: 'messages', action: 'delete', conversations: 1, records: 2 }]
+      });
+      expect(await count('messages', recentCall)).toBe(0);
+      expect(await count('messages', oldCall)).toBe(2);
+
+      const runs = await request(app).get('/api/admin/retention/runs').expect(200);
+      expect(runs.body.data.runs).toHaveLength(1);
+      await request(app).get(`/api/admin/retention/runs/${run.body.data.run.id}`).expect(200);
+      await request(app).get('/api/admin/retention/runs/999').expect(404);
+    });
+
+    test('should let others see policies but not change them', async () => {
+      userRole = 'caregiver';
+
+      await request(app).get('/api/admin/retention/policies').expect(200);
+      await request(app).get('/api/admin/retention/preview').expect(200);
+      await request(app).put('/api/admin/retention/policies/messages').send({ retainDays: 90 }).expect(403);
+      await request(app).post('/api/admin/retention/run').expect(403);
+      await request(app).put(`/api/admin/retention/holds/${oldCall}`).send({ hold: false }).expect(403);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests for per-patient silence handling
+ * Covers policy resolution and validation, storing a policy on the patient
+ * profile, recording silence events on the conversation and whether family was alerted.
+ */
+
+const DatabaseManager = require('../services/database-manager');
+const SilencePolicyService = require('../services/silence-policy-service');
+const PatientService = require('../services/patient-service');
+const ConversationAnalyzer = require('../services/conversation-analyzer');
+const SummaryGenerator = require('../services/summary-generator');
+const SqliteStorageService = require('../services/sqlite-storage-service');
+
+const LONG_PAUSE_POLICY = {
+  steps: [
+    { timeoutSeconds: 20, action: 'prompt', messages: ['Take your time, I\'m right here.'] },
+    { timeoutSeconds: 30, action: 'story' },
+    { timeoutSeconds: 45, action: 'hangup' }
+  ],
+  alertFamilyOnSilentHangup: true
+};
+
+describe('SilencePolicyService', () => {
+  describe('resolvePolicy()', () => {
+    test('should build the default check-in then goodbye ladder from the call config', () => {
+      const policy = SilencePolicyService.resolvePolicy(null, { silenceTimeout: 10 });
+
+      expect(policy.steps.map(step => step.action)).toEqual(['prompt', 'hangup']);
+      expect(policy.steps.every(step => step.timeoutSeconds === 10)).toBe(true);
+      expect(policy.audioBufferMs).toBe(3000);
+      expect(policy.alertFamilyOnSilentHangup).toBe(false);
+    });
+
+    test('should use the patient policy and fill in default messages', () => {
+      const policy = SilencePolicyService.resolvePolicy(LONG_PAUSE_POLICY, { silenceTimeout: 8 });
+
+      expect(policy.steps.map(step => step.timeoutSeconds)).toEqual([20, 30, 45]);
+      expect(policy.steps[0].messages).toEqual(['Take your time, I\'m right here.']);
+      expect(policy.steps[1].messages).toEqual([]);
+      expect(policy.steps[2].messages).toEqual(SilencePolicyService.DEFAULT_GOODBYES);
+      expect(policy.alertFamilyOnSilentHangup).toBe(true);
+    });
+
+    test('should fall back to the default for an invalid saved policy', () => {
+      const policy = SilencePolicyService.resolvePolicy({ steps: [{ timeoutSeconds: 1, action: 'dance' }] });
+      expect(policy.steps).toHaveLength(2);
+    });
+  });
+
+  describe('validate()', () => {
+    test('should accept null and valid policies', () => {
+      expect(SilencePolicyService.validate(null)).toEqual([]);
+      expect(SilencePolicyService.validate(LONG_PAUSE_POLICY)).toEqual([]);
+    });
+
+    test('should reject unknown actions and out-of-range timeouts', () => {
+      const errors = SilencePolicyService.validate({ steps: [{ timeoutSeconds: 1, action: 'dance' }] });
+
+      expect(errors).toContain('silencePolicy.steps[0].timeoutSeconds must be a number between 3 and 300');
+      expect(errors).toContain('silencePolicy.steps[0].action must be one of: prompt, story, hangup');
+    });
+  });
+
+  describe('persistence', () => {
+    let testDb;
+
+    beforeEach(async () => {
+      testDb = new DatabaseManager(':memory:');
+      await testDb.waitForInitialization();
+    });
+
+    afterEach(async () => {
+      await testDb.close();
+      DatabaseManager.resetInstance();
+    });
+
+    test('should store a silence policy on the patient profile', async () => {
+      const patientService = new PatientService(testDb);
+
+      const updated = await patientService.updatePatient(1, { silencePolicy: LONG_PAUSE_POLICY });
+      expect(updated.silencePolicy).toEqual(LONG_PAUSE_POLICY);
+
+      const reset = await patientService.updatePatient(1, { silencePolicy: null });
+      expect(reset.silencePolicy).toBeNull();
+
+      await expect(patientService.updatePatient(1, { silencePolicy: { steps: 'soon' } }))
+        .rejects.toThrow('silencePolicy.steps');
+    });
+
+    test('should record silence events on the conversation', async () => {
+      const startTime = new Date('2024-03-01T15:00:00Z');
+      const analyzer = new ConversationAnalyzer('CA-silence', startTime);
+      analyzer.trackSilenceEvent({ stepIndex: 0, action: 'prompt', timeoutSeconds: 20, message: 'Are you there?' },
+        new Date('2024-03-01T15:01:00Z'));
+      const hangup = analyzer.trackSilenceEvent({ stepIndex: 1, action: 'hangup', timeoutSeconds: 45, message: 'Bye!' },
+        new Date('2024-03-01T15:02:00Z'));
+      hangup.familyAlerted = true;
+      analyzer.endTime = new Date('2024-03-01T15:02:30Z');
+
+      const summary = new SummaryGenerator().generateSummary(analyzer);
+      expect(summary.conversationMetrics.silenceEventCount).toBe(2);
+
+      const { numericId } = await new SqliteStorageService(testDb).saveSummary(summary);
+      const rows = await testDb.all(
+        'SELECT step_index, action, family_alerted FROM silence_events WHERE conversation_id = ? ORDER BY step_index',
+        [numericId]
+      );
+
+      expect(rows).toEqual([
+        { step_index: 0, action: 'prompt', family_alerted: 0 },
+        { step_index: 1, action: 'hangup', family_alerted: 1 }
+      ]);
+    });
+  });
+});
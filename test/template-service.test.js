@@ -49,14 +49,14 @@ describe('TemplateService', () => {
       
       expect(result).toContain('Monday, December 25, 2023 at 10:30 AM PST');
       expect(result).not.toContain('{{currentDateTime}}');
-      // Without isJessica flag, the Jessica section won't be rendered
+      // Without a persona, the Jessica section won't be rendered
       expect(result).toContain('AI Companion System Prompt');
     });
 
     test('should render template with Jessica persona', () => {
       const result = templateService.render('system-prompt', {
         currentDateTime: 'Monday, December 25, 2023 at 10:30 AM PST',
-        isJessica: true
+        persona: templateService.buildPersonaView('jessica')
       });
       
       expect(result).toContain('Monday, December 25, 2023 at 10:30 AM PST');
@@ -67,13 +67,13 @@ describe('TemplateService', () => {
     test('should handle empty data object', () => {
       const result = templateService.render('system-prompt', {});
       expect(result).not.toContain('{{currentDateTime}}'); // Should be rendered as empty
-      expect(result).toContain('Current date and time in La Palma, CA (Orange County): .');
+      expect(result).toContain('Current date and time: .'); // Facility comes from the patient profile
     });
 
     test('should handle undefined data', () => {
       const result = templateService.render('system-prompt');
       expect(result).not.toContain('{{currentDateTime}}'); // Should be rendered as empty
-      expect(result).toContain('Current date and time in La Palma, CA (Orange County): .');
+      expect(result).toContain('Current date and time: .'); // Facility comes from the patient profile
     });
   });
 
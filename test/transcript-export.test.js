@@ -0,0 +1,182 @@
+/**
+ * Tests for exporting a conversation as a transcript document
+ * Covers the export's local times and speaker labels, redacting the patient
+ * profile's names and other identifiers, the text and PDF renderings, and the
+ * export endpoint's downloads and audit entries.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const DatabaseManager = require('../services/database-manager');
+const PatientService = require('../services/patient-service');
+const ConversationNarrativeService = require('../services/conversation-narrative-service');
+const TranscriptExportService = require('../services/transcript-export-service');
+const TranscriptRenderer = require('../services/transcript-renderer');
+const conversationsRouter = require('../routes/api/conversations');
+
+describe('Transcript export', () => {
+  let testDb;
+  let service;
+  let conversationId;
+
+  beforeEach(async () => {
+    testDb = new DatabaseManager(':memory:');
+    await testDb.waitForInitialization();
+    await testDb.run('INSERT INTO users (id, email, display_name) VALUES (1, \'ryan@example.com\', \'Ryan\')');
+    await new PatientService(testDb).updatePatient(1, {
+      name: 'Francine Smith',
+      facilityName: 'Sunrise Gardens'
+    });
+
+    ({ lastID: conversationId } = await testDb.run(`
+      INSERT INTO conversations (call_sid, start_time, end_time, duration, patient_id)
+      VALUES ('CA-export', '2024-06-10T17:02:00Z', '2024-06-10T17:05:30Z', 210, 1)
+    `));
+    const messages = [
+      ['assistant', 'Hello Francine, how are you today?', '2024-06-10T17:02:05Z'],
+      ['user', 'Ryan said he would call me at 555-123-4567 from Sunrise Gardens.', '2024-06-10T17:02:20Z'],
+      ['system', 'Context for the model', '2024-06-10T17:02:21Z'],
+      ['assistant', 'That sounds lovely. You can email him at ryan@example.com too.', '2024-06-10T17:02:40Z']
+    ];
+    for (const [role, content, timestamp] of messages) {
+      await testDb.run('INSERT INTO messages (conversation_id, role, content, timestamp) VALUES (?, ?, ?, ?)', [conversationId, role, content, timestamp]);
+    }
+    await testDb.run('INSERT INTO summaries (conversation_id, summary_text) VALUES (?, ?)', [conversationId, JSON.stringify({
+      careIndicators: { medicationConcerns: ['Francine asked about her evening pills'], staffComplaints: [], painLevel: 3 }
+    })]);
+    await new ConversationNarrativeService(testDb).save(conversationId, {
+      narrative: 'Francine talked about Ryan calling later.',
+      keyTopics: ['family'],
+      concerns: []
+    });
+    await testDb.run(
+      'INSERT INTO emotional_metrics (conversation_id, anxiety_level, comfort_level, overall_sentiment, mentions_family) VALUES (?, ?, ?, ?, ?)',
+      [conversationId, 2, 8, 'positive', 1]
+    );
+
+    service = new TranscriptExportService(testDb);
+  });
+
+  afterEach(async () => {
+    await testDb.close();
+    DatabaseManager.resetInstance();
+  });
+
+  describe('TranscriptExportService', () => {
+    test('should label speakers and show times in the patient\'s timezone', async () => {
+      const transcript = await service.buildExport(conversationId, 1, { now: new Date('2024-06-11T09:00:00Z') });
+
+      expect(transcript).toMatchObject({
+        exportedAt: '2024-06-11T09:00:00.000Z',
+        redacted: false,
+        patient: { name: 'Francine', timezone: 'America/Los_Angeles' },
+        conversation: { id: conversationId, callSid: 'CA-export', localDate: '2024-06-10', durationSeconds: 210 },
+        summary: {
+          recap: 'Francine talked about Ryan calling later.',
+          keyTopics: ['family'],
+          medicationConcerns: ['Francine asked about her evening pills'],
+          painLevel: 3
+        },
+        emotionalMetrics: { anxietyLevel: 2, comfortLevel: 8, overallSentiment: 'positive', mentionsFamily: true, mentionsPain: false }
+      });
+      expect(transcript.conversation.startTimeLocal).toContain('June 10, 2024');
+      expect(transcript.transcript.map(line => [line.speaker, line.time])).toEqual([
+        ['Companion', '10:02:05 AM'],
+        ['Francine', '10:02:20 AM'],
+        ['Companion', '10:02:40 AM']
+      ]);
+    });
+
+    test('should redact names and other identifiers', async () => {
+      const transcript = await service.buildExport(conversationId, 1, { redact: true });
+
+      expect(transcript.patient.name).toBe('Patient');
+      expect(transcript.conversation.callSid).toBeNull();
+      expect(transcript.summary.recap).toBe('[PATIENT] talked about [NAME] calling later.');
+      expect(transcript.summary.medicationConcerns).toEqual(['[PATIENT] asked about her evening pills']);
+      expect(transcript.transcript.map(line => `${line.speaker}: ${line.text}`)).toEqual([
+        'Companion: Hello [PATIENT], how are you today?',
+        'Patient: [NAME] said he would call me at [PHONE] from [FACILITY].',
+        'Companion: That sounds lovely. You can email him at [EMAIL] too.'
+      ]);
+    });
+
+    test('should only export the patient\'s own conversations', async () => {
+      expect(await service.buildExport(conversationId, 2)).toBeNull();
+      expect(await service.buildExport(conversationId + 1, 1)).toBeNull();
+    });
+  });
+
+  describe('TranscriptRenderer', () => {
+    test('should render text and PDF from the same export', async () => {
+      const transcript = await service.buildExport(conversationId, 1);
+
+      const text = TranscriptRenderer.renderText(transcript);
+      expect(text).toContain('Call transcript: Francine');
+      expect(text).toContain('- Duration: 4 min');
+      expect(text).toContain('- Pain level: 3/10');
+      expect(text).toContain('- Comfort: 8/10');
+      expect(text).toContain('[10:02:20 AM] Francine: Ryan said he would call me');
+
+      const pdf = TranscriptRenderer.renderPdf(transcript);
+      expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+
+      expect(TranscriptRenderer.filename(transcript, 'pdf')).toBe(`francine-call-2024-06-10-${conversationId}.pdf`);
+      expect(TranscriptRenderer.filename({ ...transcript, redacted: true }, 'txt')).toBe(`call-2024-06-10-${conversationId}.txt`);
+    });
+  });
+
+  describe('GET /api/conversations/:id/export', () => {
+    let app;
+    let originalGetInstance;
+
+    beforeEach(() => {
+      originalGetInstance = DatabaseManager.getInstance;
+      DatabaseManager.getInstance = () => testDb;
+
+      app = express();
+      // Stand in for authenticateAdmin with a signed-in user
+      app.use((req, res, next) => { req.user = { id: 1, email: 'ryan@example.com', role: 'owner' }; next(); });
+      app.use('/api/conversations', conversationsRouter);
+    });
+
+    afterEach(() => {
+      DatabaseManager.getInstance = originalGetInstance;
+    });
+
+    test('should download each format and record the export', async () => {
+      const pdf = await request(app).get(`/api/conversations/${conversationId}/export`).expect(200);
+      expect(pdf.headers['content-type']).toBe('application/pdf');
+      expect(pdf.headers['content-disposition']).toContain(`francine-call-2024-06-10-${conversationId}.pdf`);
+      expect(pdf.headers['cache-control']).toBe('no-store');
+
+      const text = await request(app).get(`/api/conversations/${conversationId}/export?format=txt&redact=true`).expect(200);
+      expect(text.headers['content-type']).toContain('text/plain');
+      expect(text.text).toContain('Patient: [NAME] said he would call me');
+      expect(text.text).not.toContain('Francine');
+
+      const json = await request(app).get(`/api/conversations/${conversationId}/export?format=json`).expect(200);
+      expect(json.body.transcript).toHaveLength(3);
+
+      const entries = await testDb.all('SELECT action, target_type, target_id, patient_id, details FROM audit_log ORDER BY id');
+      expect(entries.map(entry => [entry.action, entry.target_type, entry.target_id, entry.patient_id])).toEqual([
+        ['data_exported', 'conversation', String(conversationId), 1],
+        ['data_exported', 'conversation', String(conversationId), 1],
+        ['data_exported', 'conversation', String(conversationId), 1]
+      ]);
+      expect(entries.map(entry => JSON.parse(entry.details))).toEqual([
+        { format: 'pdf', redacted: false },
+        { format: 'txt', redacted: true },
+        { format: 'json', redacted: false }
+      ]);
+    });
+
+    test('should reject bad requests and other patients\' conversations', async () => {
+      await request(app).get(`/api/conversations/${conversationId}/export?format=docx`).expect(400);
+      await request(app).get('/api/conversations/abc/export').expect(400);
+      await request(app).get(`/api/conversations/${conversationId}/export?patientId=2`).expect(404);
+
+      expect(await testDb.get('SELECT COUNT(*) AS count FROM audit_log')).toEqual({ count: 0 });
+    });
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Tests for voicemail transcription with Whisper
+ * Covers building the context prompt from the patient the voicemail was left
+ * for and the persona answering it.
+ */
+
+const WhisperTranscriptionService = require('../services/whisper-transcription-service');
+const PatientService = require('../services/patient-service');
+const PersonaService = require('../services/persona-service');
+
+describe('WhisperTranscriptionService', () => {
+  describe('getContextPrompt()', () => {
+    test('should name the persona, the patient and their family contacts', () => {
+      const prompt = new WhisperTranscriptionService().getContextPrompt({
+        patient: {
+          ...PatientService.DEFAULT_PROFILE,
+          name: 'Margaret',
+          preferredName: 'Maggie',
+          familyContacts: [
+            { name: 'Alice', relationship: 'daughter', isPrimary: true },
+            { name: 'Tom', relationship: 'grandson', isPrimary: false }
+          ]
+        },
+        persona: PersonaService.getBuiltInPersona('jessica')
+      });
+
+      expect(prompt).toContain('AI companion named Jessica.');
+      expect(prompt).toContain('May include names like Maggie, Margaret, Alice, Tom, or medical terms.');
+      expect(prompt).not.toMatch(/Francine|Ryan/);
+    });
+
+    test('should leave out what it does not know', () => {
+      const prompt = new WhisperTranscriptionService().getContextPrompt();
+
+      expect(prompt).toBe('Voicemail from elderly caller speaking to an AI companion. May include medical terms. ' +
+        'Speaker may have dementia-related speech patterns, repetition, or unclear pronunciation.');
+    });
+  });
+});
@@ -22,9 +22,10 @@ function getConfiguredTimezone() {
 /**
  * Get today's call count using timezone-aware filtering
  * @param {Object} dbManager - Database manager instance
+ * @param {number|null} patientId - Limit to one patient's calls (null for all patients)
  * @returns {Promise<number>} Number of calls today
  */
-async function getTodayCallCount(dbManager) {
+async function getTodayCallCount(dbManager, patientId = null) {
   if (!dbManager) {
     console.error('Error getting today call count: dbManager is null or undefined');
     return 0;
@@ -39,9 +40,10 @@ async function getTodayCallCount(dbManager) {
       SELECT COUNT(*) as callsToday 
       FROM conversations 
       WHERE DATE(start_time, 'localtime') = DATE('now', 'localtime')
+      ${patientId ? 'AND patient_id = ?' : ''}
     `;
     
-    const result = await dbManager.get(callCountQuery);
+    const result = await dbManager.get(callCountQuery, patientId ? [patientId] : []);
     return result?.callsToday || 0;
   } catch (error) {
     console.error('Error getting today call count:', error);
@@ -56,9 +58,10 @@ async function getTodayCallCount(dbManager) {
  * @param {string} options.startDate - Start date (YYYY-MM-DD format)
  * @param {string} options.endDate - End date (YYYY-MM-DD format)
  * @param {string} options.timeField - Database field to filter on ('start_time' or 'created_at')
+ * @param {number} options.patientId - Limit to one patient's calls (optional)
  * @returns {Promise<number>} Number of calls in date range
  */
-async function getCallsByDateRange(dbManager, { startDate, endDate, timeField = 'start_time' }) {
+async function getCallsByDateRange(dbManager, { startDate, endDate, timeField = 'start_time', patientId = null }) {
   if (!dbManager) {
     console.error('Error getting calls by date range: dbManager is null or undefined');
     return 0;
@@ -81,6 +84,11 @@ async function getCallsByDateRange(dbManager, { startDate, endDate, timeField =
       params.push(endDate);
     }
     
+    if (patientId) {
+      conditions.push('patient_id = ?');
+      params.push(patientId);
+    }
+    
     const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
     
     const query = `
@@ -0,0 +1,25 @@
+/**
+ * Patient Scope Utilities
+ *
+ * Every admin/data API works on one patient at a time. The admin UI sends the
+ * selected patient as a `patientId` query parameter (or `X-Patient-Id` header);
+ * requests without one are scoped to the default patient so single-patient
+ * deployments keep working unchanged.
+ */
+
+const PatientService = require('../services/patient-service');
+
+/**
+ * Resolve the patient id a request is scoped to
+ * @param {Object} req - Express request
+ * @returns {number} Positive integer patient id
+ */
+function getPatientId(req) {
+  const raw = req.query?.patientId ?? (typeof req.get === 'function' ? req.get('X-Patient-Id') : undefined);
+  const parsed = parseInt(raw, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : PatientService.DEFAULT_PATIENT_ID;
+}
+
+module.exports = {
+  getPatientId
+};
@@ -0,0 +1,192 @@
+/**
+ * PDF Document
+ *
+ * A small writer for text-only PDF reports (the family digests). It lays out
+ * headings, wrapped paragraphs, bullets and rules top to bottom on US Letter
+ * pages with the built-in Helvetica fonts, and starts a new page when one is
+ * full. Nothing is embedded, so the output stays small and needs no extra
+ * dependencies.
+ *
+ * Built-in fonts only cover Latin-1: common typographic characters are
+ * replaced with ASCII equivalents and anything else with '?'.
+ *
+ * Usage:
+ *   const pdf = new PdfDocument({ title: 'Weekly digest' });
+ *   pdf.heading('Weekly digest for Francine');
+ *   pdf.paragraph('Francine had 9 calls this week.');
+ *   const buffer = pdf.toBuffer();
+ */
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 54;
+
+// Helvetica averages about half an em per character; a little extra keeps wide lines inside the margin
+const CHARACTER_WIDTH_EM = 0.53;
+
+const REPLACEMENTS = {
+  '\u2018': '\'', '\u2019': '\'', '\u201C': '"', '\u201D': '"',
+  '\u2013': '-', '\u2014': '-', '\u2026': '...', '\u2022': '-', '\u2192': '->', '\u00A0': ' '
+};
+
+class PdfDocument {
+  /**
+   * @param {Object} options - { title }
+   */
+  constructor({ title = '' } = {}) {
+    this.title = title;
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.pages.push([]);
+    this.y = PAGE_HEIGHT - MARGIN;
+  }
+
+  /**
+   * Make text safe for a PDF string in a built-in font
+   * @param {string} text - Text to write
+   * @returns {string} Escaped Latin-1 text
+   */
+  static encode(text) {
+    return String(text)
+      .replace(/[\u2018\u2019\u201C\u201D\u2013\u2014\u2026\u2022\u2192\u00A0]/g, char => REPLACEMENTS[char])
+      .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+      .replace(/([\\()])/g, '\\$1');
+  }
+
+  /**
+   * Break text into lines that fit the given width
+   * @param {string} text - Text to wrap
+   * @param {number} size - Font size in points
+   * @param {number} width - Available width in points
+   * @returns {Array<string>} Lines
+   */
+  static wrap(text, size, width) {
+    const maxChars = Math.max(1, Math.floor(width / (size * CHARACTER_WIDTH_EM)));
+    const lines = [];
+    let line = '';
+    for (const word of String(text).split(/\s+/).filter(Boolean)) {
+      if (line && `${line} ${word}`.length > maxChars) {
+        lines.push(line);
+        line = '';
+      }
+      // Split words too long for a line on their own
+      let rest = word;
+      while (rest.length > maxChars) {
+        if (line) {
+          lines.push(line);
+          line = '';
+        }
+        lines.push(rest.slice(0, maxChars));
+        rest = rest.slice(maxChars);
+      }
+      line = line ? `${line} ${rest}` : rest;
+    }
+    if (line) lines.push(line);
+    return lines;
+  }
+
+  /**
+   * Move down, starting a new page when there isn't room for the next line
+   */
+  advance(height) {
+    if (this.y - height < MARGIN) {
+      this.addPage();
+    }
+    this.y -= height;
+  }
+
+  /**
+   * Write one line at the current position
+   */
+  writeLine(line, { size, bold, indent, color }) {
+    this.advance(size * 1.35);
+    this.pages[this.pages.length - 1].push(
+      `BT ${color.join(' ')} rg /${bold ? 'F2' : 'F1'} ${size} Tf ${MARGIN + indent} ${this.y.toFixed(2)} Td (${PdfDocument.encode(line)}) Tj ET`
+    );
+  }
+
+  /**
+   * Write wrapped text
+   * @param {string} text - Text to write
+   * @param {Object} options - { size, bold, indent, spaceBefore, color: [r, g, b] from 0-1 }
+   */
+  text(text, { size = 11, bold = false, indent = 0, spaceBefore = 0, color = [0.1, 0.1, 0.1] } = {}) {
+    this.y -= spaceBefore;
+    for (const line of PdfDocument.wrap(text, size, PAGE_WIDTH - MARGIN * 2 - indent)) {
+      this.writeLine(line, { size, bold, indent, color });
+    }
+    return this;
+  }
+
+  heading(text, size = 18) {
+    return this.text(text, { size, bold: true, spaceBefore: this.y < PAGE_HEIGHT - MARGIN ? size : 0 });
+  }
+
+  subheading(text) {
+    return this.text(text, { size: 13, bold: true, spaceBefore: 12, color: [0.2, 0.25, 0.45] });
+  }
+
+  paragraph(text, options = {}) {
+    return this.text(text, { spaceBefore: 4, ...options });
+  }
+
+  bullet(text, { size = 11, color = [0.1, 0.1, 0.1] } = {}) {
+    this.y -= 2;
+    PdfDocument.wrap(text, size, PAGE_WIDTH - MARGIN * 2 - 20).forEach((line, index) => {
+      this.writeLine(`${index === 0 ? '-' : ' '} ${line}`, { size, bold: false, indent: 8, color });
+    });
+    return this;
+  }
+
+  rule() {
+    this.advance(10);
+    this.pages[this.pages.length - 1].push(
+      `0.8 0.8 0.8 RG 0.5 w ${MARGIN} ${this.y.toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${this.y.toFixed(2)} l S`
+    );
+    return this;
+  }
+
+  /**
+   * Assemble the PDF file
+   * @returns {Buffer} PDF bytes
+   */
+  toBuffer() {
+    const pageCount = this.pages.length;
+    const firstPageObject = 5;
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      `<< /Type /Pages /Kids [${this.pages.map((_, index) => `${firstPageObject + index * 2} 0 R`).join(' ')}] /Count ${pageCount} >>`,
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+    ];
+
+    this.pages.forEach((operations, index) => {
+      const footer = `BT 0.5 0.5 0.5 rg /F1 9 Tf ${MARGIN} ${MARGIN / 2} Td (${PdfDocument.encode(`${this.title}${this.title ? ' - ' : ''}Page ${index + 1} of ${pageCount}`)}) Tj ET`;
+      const stream = [...operations, footer].join('\n');
+      objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${firstPageObject + index * 2 + 1} 0 R >>`);
+      objects.push(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+    });
+
+    objects.push(`<< /Title (${PdfDocument.encode(this.title)}) /Producer (mom-nanny) >>`);
+    const infoObject = objects.length;
+
+    let output = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+      const offset = Buffer.byteLength(output, 'latin1');
+      output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoObject} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+module.exports = PdfDocument;